@@ -10,9 +10,100 @@ const AppState = {
   currentEditIndex: null,
   currentEditType: null,
   productivityChart: null,
-  matchFactorChart: null
+  matchFactorChart: null,
+  delayParetoChart: null
 };
 
+// ==========================================
+// IndexedDB Schema
+// ==========================================
+const DB_NAME = 'SmartzProdDB';
+const DB_VERSION = 2;
+
+// Object stores for the tabular data, keyed by the AppState array they persist
+const RECORD_STORES = {
+  productivityData: { storeName: 'productivityRecords', idPrefix: 'PRD', indexes: { excavator: 'noExcavator', timestamp: 'waktu', supervisor: 'namaPengawas' } },
+  matchFactorData: { storeName: 'matchFactorRecords', idPrefix: 'MF', indexes: { excavator: 'noExcavator', timestamp: 'waktu', supervisor: 'namaPengawas' } },
+  issuesData: { storeName: 'issues', idPrefix: null, indexes: { excavator: 'excavator', timestamp: 'timestamp' } }
+};
+
+// Schema migrations by target version. Each step runs once when an older database is upgraded,
+// so a new version only adds a step here and bumps DB_VERSION.
+const DB_MIGRATIONS = {
+  1: (db) => {
+    const objectStore = db.createObjectStore('images', { keyPath: 'id' });
+    objectStore.createIndex('uploadedAt', 'uploadedAt', { unique: false });
+    objectStore.createIndex('issueId', 'issueId', { unique: false });
+  },
+  2: (db) => {
+    Object.values(RECORD_STORES).forEach(({ storeName, indexes }) => {
+      const objectStore = db.createObjectStore(storeName, { keyPath: 'id' });
+      Object.entries(indexes).forEach(([indexName, keyPath]) => {
+        objectStore.createIndex(indexName, keyPath, { unique: false });
+      });
+    });
+  }
+};
+
+let dbConnectionPromise = null;
+
+/**
+ * Open the shared SmartzProdDB connection, running any pending schema migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSmartzProdDB() {
+  if (dbConnectionPromise) return dbConnectionPromise;
+
+  dbConnectionPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB tidak didukung browser ini'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      console.error('❌ IndexedDB failed to open:', request.error);
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('⚠️ IndexedDB upgrade blocked by another open tab');
+      showAlert('Tutup tab SmartzProd lain agar database dapat diperbarui.', 'warning');
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Let a newer version in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbConnectionPromise = null;
+        console.warn('⚠️ IndexedDB closed for a schema upgrade in another tab');
+      };
+
+      console.log(`✅ IndexedDB opened successfully (v${db.version})`);
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        if (DB_MIGRATIONS[version]) {
+          DB_MIGRATIONS[version](db, request.transaction);
+          console.log(`✅ IndexedDB schema migrated to v${version}`);
+        }
+      }
+    };
+  }).catch(error => {
+    dbConnectionPromise = null;
+    throw error;
+  });
+
+  return dbConnectionPromise;
+}
+
 // ==========================================
 // IndexedDB Image Storage Utility
 // ==========================================
@@ -23,8 +114,6 @@ const AppState = {
  */
 class ImageStorage {
   constructor() {
-    this.dbName = 'SmartzProdDB';
-    this.dbVersion = 1;
     this.storeName = 'images';
     this.db = null;
   }
@@ -34,34 +123,8 @@ class ImageStorage {
    * @returns {Promise<IDBDatabase>}
    */
   async init() {
-    if (this.db) return this.db;
-
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
-
-      request.onerror = () => {
-        console.error('❌ IndexedDB failed to open:', request.error);
-        reject(request.error);
-      };
-
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log('✅ IndexedDB opened successfully');
-        resolve(this.db);
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Create object store if it doesn't exist
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          const objectStore = db.createObjectStore(this.storeName, { keyPath: 'id' });
-          objectStore.createIndex('uploadedAt', 'uploadedAt', { unique: false });
-          objectStore.createIndex('issueId', 'issueId', { unique: false });
-          console.log('✅ IndexedDB object store created');
-        }
-      };
-    });
+    this.db = await openSmartzProdDB();
+    return this.db;
   }
 
   /**
@@ -390,6 +453,278 @@ class ImageStorage {
 // Initialize global ImageStorage instance
 const imageStorage = new ImageStorage();
 
+// ==========================================
+// IndexedDB Record Storage
+// ==========================================
+
+let recordIdSequence = 0;
+
+/**
+ * Generate a record ID that sorts in creation order, so records load back in the order they were added
+ * @param {string} prefix - ID prefix (e.g. 'PRD')
+ * @returns {string}
+ */
+function generateRecordId(prefix) {
+  recordIdSequence = (recordIdSequence + 1) % 1679616;
+  return `${prefix}-${Date.now().toString(36).padStart(9, '0')}${recordIdSequence.toString(36).padStart(4, '0')}`;
+}
+
+/**
+ * RecordStorage - Persists productivity, match factor and issue records in IndexedDB.
+ * Code that adds, edits or removes records queues them with markChanged / markDeleted,
+ * and a save writes only the queue, so it costs the same whether the pit has a day or
+ * several months of hourly data.
+ */
+class RecordStorage {
+  constructor() {
+    this.db = null;
+    this.available = false;
+    // Queued for the next sync: records to write (by ID) and IDs to delete, per AppState key
+    this.changed = {};
+    this.deleted = {};
+    // AppState keys whose array was swapped out as a whole (restore, clear all)
+    this.replaced = new Set();
+    this.pendingSave = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Initialize IndexedDB connection
+   * @returns {Promise<IDBDatabase>}
+   */
+  async init() {
+    this.db = await openSmartzProdDB();
+    this.available = true;
+    return this.db;
+  }
+
+  /**
+   * Give every record a primary key so it can live in a keyPath store
+   * @param {string} key - AppState key (e.g. 'productivityData')
+   * @param {Object[]} records
+   */
+  ensureIds(key, records) {
+    const { idPrefix } = RECORD_STORES[key];
+    records.forEach((record, index) => {
+      if (record.id !== undefined && record.id !== null && record.id !== '') return;
+      // Issues already use numeric Date.now() IDs
+      record.id = idPrefix ? generateRecordId(idPrefix) : Date.now() + index;
+    });
+  }
+
+  /**
+   * Queue added or edited records for the next save (new records get their ID here)
+   * @param {string} key - AppState key (e.g. 'productivityData')
+   * @param {Object[]} records
+   */
+  markChanged(key, records) {
+    this.ensureIds(key, records);
+    // Without IndexedDB every save rewrites the localStorage copy anyway
+    if (!this.available) return;
+
+    if (!this.changed[key]) this.changed[key] = new Map();
+    records.forEach(record => {
+      this.changed[key].set(record.id, record);
+      if (this.deleted[key]) this.deleted[key].delete(record.id);
+    });
+  }
+
+  /**
+   * Queue removed records for deletion on the next save
+   * @param {string} key - AppState key
+   * @param {Object[]} records - Records taken out of AppState[key]
+   */
+  markDeleted(key, records) {
+    if (!this.available) return;
+
+    if (!this.deleted[key]) this.deleted[key] = new Set();
+    records.forEach(record => {
+      if (record.id === undefined || record.id === null || record.id === '') return;
+      this.deleted[key].add(record.id);
+      if (this.changed[key]) this.changed[key].delete(record.id);
+    });
+  }
+
+  /**
+   * Rewrite a whole store on the next save, for an AppState array replaced as a whole
+   * @param {string} key - AppState key
+   */
+  markReplaced(key) {
+    if (!this.available) return;
+
+    this.replaced.add(key);
+    delete this.changed[key];
+    delete this.deleted[key];
+  }
+
+  /**
+   * Put the queue of a failed sync back, under anything queued since
+   * @param {{changed: Object, deleted: Object, replaced: Set}} queue
+   */
+  requeue(queue) {
+    queue.replaced.forEach(key => {
+      if (!this.replaced.has(key)) this.markReplaced(key);
+    });
+
+    Object.keys(RECORD_STORES).filter(key => !this.replaced.has(key)).forEach(key => {
+      const changed = this.changed[key] || new Map();
+      const deleted = this.deleted[key] || new Set();
+      (queue.changed[key] || new Map()).forEach((record, id) => {
+        if (!changed.has(id) && !deleted.has(id)) changed.set(id, record);
+      });
+      (queue.deleted[key] || new Set()).forEach(id => {
+        if (!changed.has(id)) deleted.add(id);
+      });
+      this.changed[key] = changed;
+      this.deleted[key] = deleted;
+    });
+  }
+
+  /**
+   * Load every record store, sorted by primary key (creation order)
+   * @returns {Promise<Object>} Arrays keyed like AppState
+   */
+  async loadAll() {
+    await this.init();
+    const keys = Object.keys(RECORD_STORES);
+    const storeNames = keys.map(key => RECORD_STORES[key].storeName);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readonly');
+      const result = {};
+
+      keys.forEach(key => {
+        const request = transaction.objectStore(RECORD_STORES[key].storeName).getAll();
+        request.onsuccess = () => {
+          result[key] = request.result || [];
+        };
+      });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => {
+        console.error('❌ Failed to load records:', transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Write the queued records and deletions of every store, in one transaction
+   * @param {Object} data - Arrays keyed like AppState, read for replaced stores
+   * @returns {Promise<Object>} Number of records written and deleted
+   */
+  async sync(data) {
+    await this.init();
+    const keys = Object.keys(RECORD_STORES);
+    const storeNames = keys.map(key => RECORD_STORES[key].storeName);
+    const stats = { written: 0, deleted: 0 };
+
+    // Take the queue; records marked while this transaction runs go into the next one
+    const queue = { changed: this.changed, deleted: this.deleted, replaced: this.replaced };
+    this.changed = {};
+    this.deleted = {};
+    this.replaced = new Set();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+
+      keys.forEach(key => {
+        const objectStore = transaction.objectStore(RECORD_STORES[key].storeName);
+
+        if (queue.replaced.has(key)) {
+          const records = data[key] || [];
+          this.ensureIds(key, records);
+          objectStore.clear();
+          records.forEach(record => objectStore.put(record));
+          stats.written += records.length;
+          return;
+        }
+
+        (queue.deleted[key] || new Set()).forEach(id => {
+          objectStore.delete(id);
+          stats.deleted++;
+        });
+        (queue.changed[key] || new Map()).forEach(record => {
+          objectStore.put(record);
+          stats.written++;
+        });
+      });
+
+      transaction.oncomplete = () => resolve(stats);
+      // An aborted transaction wrote nothing, so the whole queue is due again
+      transaction.onabort = () => {
+        this.requeue(queue);
+        reject(transaction.error || new Error('Transaksi IndexedDB dibatalkan'));
+      };
+    });
+  }
+
+  /**
+   * Coalesce saves made in the same tick into a single background sync
+   * @param {Object} data - Arrays keyed like AppState
+   * @returns {Promise<Object>}
+   */
+  scheduleSave(data) {
+    if (this.pendingSave) return this.pendingSave;
+
+    this.pendingSave = new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+      this.pendingSave = null;
+      // Chain syncs so a slow write never finishes after a newer one
+      this.saveChain = this.saveChain.catch(() => {}).then(() => this.sync(data));
+      return this.saveChain;
+    });
+
+    return this.pendingSave;
+  }
+
+  /**
+   * One-time import of the arrays saved by older versions under localStorage keys.
+   * The keys are only removed once the records are committed to IndexedDB.
+   * @returns {Promise<number>} Number of records migrated
+   */
+  async migrateFromLocalStorage() {
+    const legacy = {};
+    let count = 0;
+
+    Object.keys(RECORD_STORES).forEach(key => {
+      const raw = localStorage.getItem(key);
+      if (!raw) return;
+      try {
+        legacy[key] = JSON.parse(raw) || [];
+        count += legacy[key].length;
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable localStorage key "${key}":`, error);
+      }
+    });
+
+    if (Object.keys(legacy).length === 0) return 0;
+
+    await this.init();
+    const storeNames = Object.keys(legacy).map(key => RECORD_STORES[key].storeName);
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+
+      Object.entries(legacy).forEach(([key, records]) => {
+        this.ensureIds(key, records);
+        const objectStore = transaction.objectStore(RECORD_STORES[key].storeName);
+        records.forEach(record => objectStore.put(record));
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaksi IndexedDB dibatalkan'));
+    });
+
+    Object.keys(legacy).forEach(key => localStorage.removeItem(key));
+    console.log(`✅ Migrated ${count} records from localStorage to IndexedDB`);
+    return count;
+  }
+}
+
+// Initialize global RecordStorage instance
+const recordStorage = new RecordStorage();
+
 // ==========================================
 // Platform Detection Utilities
 // ==========================================
@@ -516,7 +851,14 @@ const DELAY_OPTIONS = {
   'D14': { label: 'Dusty', sub: [] },
   'D15': { label: 'Sholat', sub: [] },
   'D16': { label: 'Pit Stop', sub: [] },
-  'D17': { label: 'Others', sub: [] }
+  'D17': { label: 'Others', sub: [] },
+  'D18': {
+    label: 'Breakdown', timeClass: 'breakdown', sub: [
+      { code: 'R01', label: 'Breakdown Unscheduled' },
+      { code: 'R02', label: 'Service Terjadwal' },
+      { code: 'R03', label: 'Tunggu Mekanik / Sparepart' }
+    ]
+  }
 };
 
 const PRODUCTIVITY_OPTIONS = {
@@ -574,7452 +916,14146 @@ const PRODUCTIVITY_OPTIONS = {
 };
 
 // ==========================================
-// Initialization
+// Problem Catalog
 // ==========================================
-document.addEventListener('DOMContentLoaded', function () {
-  initializeApp();
-  setupEventListeners();
-  loadFromLocalStorage();
-  updateFilterOptions();
-  setupSidebarToggle();
-  setupInputValidation(); // Real-time validation
-  setupIssueModal(); // New: Setup issue reporting modal
-  renderIssuesTable(); // Render issues log table
-});
+// DELAY_OPTIONS / PRODUCTIVITY_OPTIONS are the built-in defaults. A site can edit them into
+// a versioned catalog stored in localStorage. Codes are never deleted, only deactivated, and
+// issues keep the labels they were saved with.
+// Delay main codes also carry a time class: standby (unit ready but not working) or breakdown
+// (unit under repair). It drives the PA/MA/UA/EU availability KPIs.
+const DELAY_TIME_CLASSES = {
+  standby: 'Standby',
+  breakdown: 'Breakdown'
+};
 
-function initializeApp() {
-  // Auto-fill timestamp with real-time local timezone
-  const waktuInput = document.getElementById('waktu');
+const CATALOG_KINDS = {
+  delay: { label: 'Delay', noneCode: 'D0', subHasCode: true },
+  productivity: { label: 'Productivity', noneCode: '0', subHasCode: false }
+};
 
-  // Function to get current local datetime in HTML datetime-local format
-  function getCurrentLocalDateTime() {
-    const now = new Date();
-    // Get local datetime in YYYY-MM-DDTHH:MM format
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
-  }
+function getDefaultProblemCatalog() {
+  return {
+    version: 0,
+    updatedAt: null,
+    delay: Object.entries(DELAY_OPTIONS).map(([code, option]) => ({
+      code,
+      label: option.label,
+      timeClass: option.timeClass || 'standby',
+      active: true,
+      sub: option.sub.map(sub => ({ code: sub.code, label: sub.label, active: true }))
+    })),
+    productivity: Object.entries(PRODUCTIVITY_OPTIONS).map(([code, option]) => ({
+      code,
+      label: option.label,
+      active: true,
+      sub: option.sub.map(label => ({ label, active: true }))
+    }))
+  };
+}
 
-  // Set initial value
-  if (waktuInput) {
-    waktuInput.value = getCurrentLocalDateTime();
+/**
+ * Get the active problem catalog (custom catalog from localStorage or built-in default)
+ * Saved catalogs never drop codes, so a built-in code missing from one was added to the app
+ * after the catalog was saved and is appended. "Tidak Ada" (D0 / 0) always comes first.
+ * @returns {{version: number, updatedAt: string|null, delay: Array, productivity: Array}}
+ */
+function getProblemCatalog() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem('problemCatalog') || 'null');
+  } catch (error) {
+    console.warn('⚠️ Invalid problem catalog in localStorage, using default:', error);
+  }
 
-    // Update every minute (60000ms) if user hasn't manually changed it
-    let userModified = false;
+  const defaults = getDefaultProblemCatalog();
+  if (!saved || !Array.isArray(saved.delay) || !Array.isArray(saved.productivity)) return defaults;
 
-    // Track if user manually changes the time
-    waktuInput.addEventListener('input', () => {
-      userModified = true;
+  const catalog = {
+    version: parseInt(saved.version) || 0,
+    updatedAt: saved.updatedAt || null,
+    delay: saved.delay,
+    productivity: saved.productivity
+  };
+  Object.entries(CATALOG_KINDS).forEach(([kind, config]) => {
+    defaults[kind].forEach(entry => {
+      if (catalog[kind].some(saved => saved.code === entry.code)) return;
+      if (entry.code === config.noneCode) {
+        catalog[kind].unshift(entry);
+      } else {
+        catalog[kind].push(entry);
+      }
     });
+  });
+  return catalog;
+}
 
-    // Update time every minute if not manually modified
-    setInterval(() => {
-      if (!userModified && document.activeElement !== waktuInput) {
-        waktuInput.value = getCurrentLocalDateTime();
-      }
-    }, 60000); // Update every 1 minute
+// Version of a serialized catalog (0 when missing or unreadable)
+function getCatalogVersion(json) {
+  try {
+    return parseInt(JSON.parse(json)?.version) || 0;
+  } catch (error) {
+    return 0;
+  }
+}
 
-    // Reset userModified flag when form is submitted or reset
-    const productivityForm = waktuInput.closest('form') || document.querySelector('#calculateProductivityBtn')?.closest('.bg-white');
-    if (productivityForm) {
-      // Reset flag when Calculate button is clicked
-      const calculateBtn = document.getElementById('calculateProductivityBtn');
-      const calculateMFBtn = document.getElementById('calculateMatchFactorBtn');
+function saveProblemCatalog(catalog) {
+  localStorage.setItem('problemCatalog', JSON.stringify(catalog));
+}
 
-      if (calculateBtn) {
-        calculateBtn.addEventListener('click', () => {
-          // Reset after submission
-          setTimeout(() => {
-            userModified = false;
-            waktuInput.value = getCurrentLocalDateTime();
-          }, 100);
-        });
-      }
+function findCatalogEntry(kind, code, catalog = getProblemCatalog()) {
+  return catalog[kind].find(entry => entry.code === code) || null;
+}
 
-      if (calculateMFBtn) {
-        calculateMFBtn.addEventListener('click', () => {
-          // Reset after submission
-          setTimeout(() => {
-            userModified = false;
-            waktuInput.value = getCurrentLocalDateTime();
-          }, 100);
-        });
-      }
-    }
-  }
+// Delay main codes counted as repair time (entries without a class are standby)
+function getBreakdownDelayCodes(catalog = getProblemCatalog()) {
+  return new Set(catalog.delay.filter(entry => entry.timeClass === 'breakdown').map(entry => entry.code));
+}
 
-  // Load saved user data (Nama & NRP)
-  const savedNama = localStorage.getItem('userNama');
-  const savedNRP = localStorage.getItem('userNRP');
+// Delay sub-categories are identified by code, productivity sub-categories by their text
+function getCatalogSubKey(kind, sub) {
+  return CATALOG_KINDS[kind].subHasCode ? sub.code : sub.label;
+}
 
-  if (savedNama) document.getElementById('namaPengawas').value = savedNama;
-  if (savedNRP) document.getElementById('nrp').value = savedNRP;
+/**
+ * Active catalog entries plus the currently selected one, so editing an issue never drops its code
+ * @param {Array} entries - Main or sub entries
+ * @param {string} selectedKey - Key currently chosen in the form
+ * @param {Function} keyOf - Returns an entry's key
+ * @param {string} savedLabel - Label the issue was saved with, used when the key left the catalog
+ * @returns {Array}
+ */
+function getSelectableCatalogEntries(entries, selectedKey, keyOf, savedLabel) {
+  const selectable = entries.filter(entry => entry.active !== false || keyOf(entry) === selectedKey);
+  if (selectedKey && !entries.some(entry => keyOf(entry) === selectedKey)) {
+    selectable.push({ code: selectedKey, label: savedLabel || selectedKey, active: false, sub: [] });
+  }
+  return selectable;
 }
 
-// ==========================================
-// Sidebar Toggle Setup
-// ==========================================
-function setupSidebarToggle() {
-  const sidebar = document.getElementById('sidebar');
-  const menuToggle = document.getElementById('menu-toggle');
-  const sidebarToggleDesktop = document.getElementById('sidebar-toggle-desktop');
-  const mainContent = document.querySelector('main');
-  const filtersToggle = document.getElementById('filters-toggle');
-  const filtersContent = document.getElementById('filters-content');
-  const filtersChevron = document.getElementById('filters-chevron');
-  const clearFiltersBtn = document.getElementById('clearFiltersBtn');
-
-  // Restore sidebar state from localStorage
-  const savedSidebarState = localStorage.getItem('sidebarCollapsed');
-  if (savedSidebarState === 'true' && sidebar && mainContent) {
-    applySidebarState(sidebar, mainContent, true);
-  }
-
-  // Mobile menu toggle
-  if (menuToggle) {
-    menuToggle.addEventListener('click', (e) => {
-      e.stopPropagation();
-      sidebar.classList.toggle('-translate-x-full');
-    });
-  }
-
-  // Desktop sidebar collapse/expand - Hide content, keep container with icons
-  if (sidebarToggleDesktop && sidebar && mainContent) {
-    sidebarToggleDesktop.addEventListener('click', () => {
-      // Toggle sidebar content visibility
-      const isCurrentlyExpanded = !sidebar.classList.contains('collapsed');
-      const newCollapsedState = isCurrentlyExpanded;
-
-      // Apply the new state
-      applySidebarState(sidebar, mainContent, newCollapsedState);
-
-      // Save state to localStorage
-      localStorage.setItem('sidebarCollapsed', newCollapsedState.toString());
-    });
-  }
+/**
+ * Resolve the labels to store for a delay/productivity form item
+ * Codes unchanged since the issue was loaded keep their saved label; new picks use the catalog.
+ * @param {string} kind - 'delay' or 'productivity'
+ * @param {Object} item - Form item (may carry the loaded issue's labels in item.saved)
+ * @param {Object} catalog - Problem catalog
+ * @returns {{mainLabel: string, subLabel: string}}
+ */
+function getCatalogItemLabels(kind, item, catalog = getProblemCatalog()) {
+  const saved = item.saved || {};
+  const sameMain = saved.mainCode === item.mainCode;
+  const entry = findCatalogEntry(kind, item.mainCode, catalog);
+  const mainLabel = sameMain && saved.mainLabel ? saved.mainLabel : (entry ? entry.label : '');
+
+  let subLabel = '';
+  if (kind === 'delay' && item.subCode) {
+    const sub = entry?.sub?.find(option => option.code === item.subCode);
+    subLabel = sameMain && saved.subCode === item.subCode && saved.subLabel
+      ? saved.subLabel
+      : (sub ? sub.label : '');
+  }
+  return { mainLabel, subLabel };
+}
 
-  // Filters collapsible
-  if (filtersToggle) {
-    filtersToggle.addEventListener('click', () => {
-      filtersContent.classList.toggle('hidden');
-      filtersChevron.classList.toggle('fa-chevron-down');
-      filtersChevron.classList.toggle('fa-chevron-up');
-    });
-  }
+// ==========================================
+// Shift Roster
+// ==========================================
+// A shift whose end is earlier than its start crosses midnight (e.g. Night 18:00-06:00).
+// Records logged after midnight in such a shift belong to the previous production date.
+const DEFAULT_SHIFT_ROSTER = [
+  { code: 'Day', label: 'Day Shift', start: '06:00', end: '18:00' },
+  { code: 'Night', label: 'Night Shift', start: '18:00', end: '06:00' }
+];
 
-  // Clear filters
-  if (clearFiltersBtn) {
-    clearFiltersBtn.addEventListener('click', () => {
-      document.getElementById('filterNama').value = '';
-      document.getElementById('filterExcavator').value = '';
-      applyFilters();
-    });
+/**
+ * Get the active shift roster (custom roster from localStorage or default)
+ * @returns {Array<{code: string, label: string, start: string, end: string}>}
+ */
+function getShiftRoster() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('shiftRoster') || 'null');
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch (error) {
+    console.warn('⚠️ Invalid shift roster in localStorage, using default:', error);
   }
+  return DEFAULT_SHIFT_ROSTER;
+}
 
-  // Close sidebar when clicking outside on mobile
-  document.addEventListener('click', (e) => {
-    if (window.innerWidth < 1024) {
-      if (!sidebar.contains(e.target) && !menuToggle.contains(e.target)) {
-        sidebar.classList.add('-translate-x-full');
-      }
-    }
-  });
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
 }
 
-// Helper function to apply sidebar state
-function applySidebarState(sidebar, mainContent, isCollapsed) {
-  const sidebarToggleDesktop = document.getElementById('sidebar-toggle-desktop');
+// Format a Date as YYYY-MM-DD using local time
+function formatDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
 
-  if (isCollapsed) {
-    // Collapse: hide content, make sidebar narrow, show icons
-    sidebar.classList.add('collapsed');
-    sidebar.classList.remove('w-80');
-    sidebar.classList.add('w-20');
-    mainContent.classList.remove('lg:ml-80');
-    mainContent.classList.add('lg:ml-20');
+/**
+ * Resolve the shift and production date for a record time
+ * @param {string} datetime - Record waktu (datetime-local) or issue timestamp (ISO)
+ * @returns {{shift: string, productionDate: string}|null} Null if datetime is invalid
+ */
+function getShiftInfo(datetime) {
+  if (!datetime) return null;
 
-    // Hide all sidebar content
-    const sidebarContent = sidebar.querySelectorAll('.sidebar-content');
-    sidebarContent.forEach(content => content.classList.add('hidden'));
+  const date = new Date(datetime);
+  if (isNaN(date.getTime())) return null;
 
-    // Show collapsed icons
-    const collapsedIcons = sidebar.querySelector('.collapsed-icons');
-    if (collapsedIcons) {
-      collapsedIcons.classList.remove('hidden');
-      // Bind click handlers to collapsed icons
-      bindCollapsedIconEvents();
-    }
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes();
 
-    // Update toggle icon
-    const toggleIcon = sidebarToggleDesktop?.querySelector('i');
-    if (toggleIcon) {
-      toggleIcon.classList.remove('fa-chevron-left');
-      toggleIcon.classList.add('fa-chevron-right');
-    }
-  } else {
-    // Expand: show content, make sidebar wide, hide icons
-    sidebar.classList.remove('collapsed');
-    sidebar.classList.remove('w-20');
-    sidebar.classList.add('w-80');
-    mainContent.classList.remove('lg:ml-20');
-    mainContent.classList.add('lg:ml-80');
+  for (const shift of getShiftRoster()) {
+    const start = timeToMinutes(shift.start);
+    const end = timeToMinutes(shift.end);
+    const crossesMidnight = end <= start;
+    const inShift = crossesMidnight
+      ? minuteOfDay >= start || minuteOfDay < end
+      : minuteOfDay >= start && minuteOfDay < end;
 
-    // Show all sidebar content
-    const sidebarContent = sidebar.querySelectorAll('.sidebar-content');
-    sidebarContent.forEach(content => content.classList.remove('hidden'));
+    if (!inShift) continue;
 
-    // Hide collapsed icons
-    const collapsedIcons = sidebar.querySelector('.collapsed-icons');
-    if (collapsedIcons) {
-      collapsedIcons.classList.add('hidden');
+    const productionDate = new Date(date);
+    if (crossesMidnight && minuteOfDay < end) {
+      productionDate.setDate(productionDate.getDate() - 1);
     }
 
-    // Update toggle icon
-    const toggleIcon = sidebarToggleDesktop?.querySelector('i');
-    if (toggleIcon) {
-      toggleIcon.classList.remove('fa-chevron-right');
-      toggleIcon.classList.add('fa-chevron-left');
-    }
+    return { shift: shift.code, productionDate: formatDateKey(productionDate) };
   }
-}
 
-// ==========================================
-// Bind Collapsed Icon Events
-// ==========================================
-function bindCollapsedIconEvents() {
-  const collapsedProductivityExcel = document.getElementById('collapsed-productivity-excel');
-  const collapsedMatchFactorExcel = document.getElementById('collapsed-matchfactor-excel');
-  const collapsedPdfProductivity = document.getElementById('collapsed-pdf-productivity');
-  const collapsedPdfMatchFactor = document.getElementById('collapsed-pdf-matchfactor');
+  // Time not covered by any shift - keep the calendar date
+  return { shift: '-', productionDate: formatDateKey(date) };
+}
 
-  // Export Productivity Excel
-  if (collapsedProductivityExcel) {
-    collapsedProductivityExcel.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exportToExcel('productivity');
-    });
+/**
+ * Stamp shift and productionDate onto a record
+ * @param {Object} record - Productivity, match factor or issue record
+ * @param {string} datetimeField - Field holding the record time ('waktu' or 'timestamp')
+ * @returns {Object} The same record
+ */
+function applyShiftInfo(record, datetimeField = 'waktu') {
+  const info = getShiftInfo(record[datetimeField]);
+  if (info) {
+    record.shift = info.shift;
+    record.productionDate = info.productionDate;
   }
+  return record;
+}
 
-  // Export Match Factor Excel
-  if (collapsedMatchFactorExcel) {
-    collapsedMatchFactorExcel.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exportToExcel('matchFactor');
+/**
+ * Add shift info to records saved before the roster existed
+ * @param {boolean} force - Recompute every record (used after the roster changes)
+ * @returns {number} Number of records updated
+ */
+function backfillShiftInfo(force = false) {
+  let updated = 0;
+  const stamp = (key, datetimeField) => {
+    AppState[key].forEach(record => {
+      if (force || !record.shift || !record.productionDate) {
+        applyShiftInfo(record, datetimeField);
+        recordStorage.markChanged(key, [record]);
+        updated++;
+      }
     });
-  }
+  };
 
-  // PDF Productivity Export
-  if (collapsedPdfProductivity) {
-    collapsedPdfProductivity.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exportToPDF('productivity');
-    });
-  }
+  stamp('productivityData', 'waktu');
+  stamp('matchFactorData', 'waktu');
+  stamp('issuesData', 'timestamp');
 
-  // PDF Match Factor Export
-  if (collapsedPdfMatchFactor) {
-    collapsedPdfMatchFactor.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exportToPDF('matchFactor');
-    });
-  }
+  return updated;
 }
 
-function updateLastUpdate() {
-  const lastUpdateEl = document.getElementById('lastUpdate');
-  if (lastUpdateEl) {
-    const now = new Date();
-    const timestamp = now.toLocaleString('id-ID');
-    lastUpdateEl.textContent = timestamp;
+function formatProductionDate(dateKey) {
+  if (!dateKey) return '-';
+  const [year, month, day] = dateKey.split('-');
+  return `${day}/${month}/${year}`;
+}
 
+// "Night · 18/11/2025" - used in tables, charts and exports
+function formatShiftLabel(record) {
+  if (!record || !record.shift) return '-';
+  return `${record.shift} · ${formatProductionDate(record.productionDate)}`;
+}
 
-    // Save timestamp to localStorage
-    localStorage.setItem('lastUpdateTimestamp', now.toISOString());
+/**
+ * Production date of a record as a local Date (falls back to the raw record time)
+ * @param {Object} record - Productivity, match factor or issue record
+ * @returns {Date}
+ */
+function getRecordProductionDate(record) {
+  if (record.productionDate) {
+    const [year, month, day] = record.productionDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
   }
+  return new Date(record.waktu || record.timestamp);
 }
 
-function updateTotalRecords() {
-  const totalRecordsEl = document.getElementById('totalRecords');
-  if (totalRecordsEl) {
-    const total = AppState.productivityData.length + AppState.matchFactorData.length;
-    totalRecordsEl.textContent = total;
-  }
+function getShiftBadgeClass(shift) {
+  const roster = getShiftRoster();
+  const index = roster.findIndex(s => s.code === shift);
+  const palette = [
+    'bg-amber-100 text-amber-800',
+    'bg-slate-700 text-white',
+    'bg-teal-100 text-teal-800',
+    'bg-rose-100 text-rose-800'
+  ];
+  return index >= 0 ? palette[index % palette.length] : 'bg-gray-100 text-gray-600';
 }
 
 // ==========================================
-// Event Listeners Setup
+// Productivity Target Registry
 // ==========================================
-function setupEventListeners() {
-  // Save user data on change
-  document.getElementById('namaPengawas').addEventListener('change', (e) => {
-    localStorage.setItem('userNama', e.target.value);
-  });
+// Hourly target (BCM/jam) per excavator class. An entry matches by excavator number
+// prefix (EX20 -> EX2030, EX2031) or by model; empty jenisMaterial applies to all materials.
+const DEFAULT_PRODUCTIVITY_TARGETS = [
+  { prefix: 'EX20', model: 'PC2000', jenisMaterial: 'Blasting', target: 850 },
+  { prefix: 'EX20', model: 'PC2000', jenisMaterial: 'Soil', target: 950 },
+  { prefix: 'EX20', model: 'PC2000', jenisMaterial: 'Lumpur', target: 600 },
+  { prefix: 'EX20', model: 'PC2000', jenisMaterial: 'Free dig', target: 750 },
+  { prefix: 'EX12', model: 'PC1250', jenisMaterial: 'Blasting', target: 550 },
+  { prefix: 'EX12', model: 'PC1250', jenisMaterial: 'Soil', target: 620 },
+  { prefix: 'EX12', model: 'PC1250', jenisMaterial: 'Lumpur', target: 400 },
+  { prefix: 'EX12', model: 'PC1250', jenisMaterial: 'Free dig', target: 480 }
+];
+
+// Achievement colour states, checked from the top
+const ACHIEVEMENT_STATES = [
+  { min: 100, label: 'Achieved', badge: 'bg-green-100 text-green-800', chip: 'bg-green-400/30', argb: 'FFC6EFCE', rgb: [198, 239, 206] },
+  { min: 85, label: 'Near', badge: 'bg-yellow-100 text-yellow-800', chip: 'bg-yellow-300/30', argb: 'FFFFEB9C', rgb: [255, 235, 156] },
+  { min: -Infinity, label: 'Below', badge: 'bg-red-100 text-red-800', chip: 'bg-red-400/30', argb: 'FFFFC7CE', rgb: [255, 199, 206] }
+];
+
+function getProductivityTargets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('productivityTargets') || 'null');
+    if (Array.isArray(saved)) return saved;
+  } catch (error) {
+    console.warn('⚠️ Invalid productivity targets in localStorage, using default:', error);
+  }
+  return DEFAULT_PRODUCTIVITY_TARGETS;
+}
 
-  document.getElementById('nrp').addEventListener('change', (e) => {
-    localStorage.setItem('userNRP', e.target.value);
+/**
+ * Find the most specific target entry for an excavator and material
+ * Exact material beats "all materials", model match beats prefix, longer prefix beats shorter
+ * @param {string} noExcavator - Excavator number (e.g. EX2030)
+ * @param {string} jenisMaterial - Material type
+ * @param {string} model - Excavator model, if known
+ * @returns {Object|null} Target entry or null if none matches
+ */
+function findProductivityTarget(noExcavator, jenisMaterial, model = '') {
+  const excavator = String(noExcavator || '').toUpperCase();
+  const excavatorModel = String(model || '').toUpperCase();
+  let best = null;
+  let bestScore = -1;
+
+  getProductivityTargets().forEach(entry => {
+    if (!(parseFloat(entry.target) > 0)) return;
+    if (entry.jenisMaterial && entry.jenisMaterial !== jenisMaterial) return;
+
+    const prefix = String(entry.prefix || '').toUpperCase();
+    const modelMatch = excavatorModel && entry.model && String(entry.model).toUpperCase() === excavatorModel;
+    const prefixMatch = prefix && excavator.startsWith(prefix);
+    if (!modelMatch && !prefixMatch) return;
+
+    const score = (entry.jenisMaterial ? 1000 : 0) + (modelMatch ? 100 : 0) + (prefixMatch ? prefix.length : 0);
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
   });
 
-  // Productivity Calculator
-  document.getElementById('btnHitungProductivity').addEventListener('click', calculateProductivity);
+  return best;
+}
 
-  // Match Factor Calculator
-  document.getElementById('btnHitungMatchFactor').addEventListener('click', calculateMatchFactor);
+function getAchievementState(percent) {
+  return ACHIEVEMENT_STATES.find(state => percent >= state.min);
+}
 
-  // Filters
-  document.getElementById('filterNama').addEventListener('change', applyFilters);
-  document.getElementById('filterNRP').addEventListener('change', applyFilters);
-  document.getElementById('filterExcavator').addEventListener('change', applyFilters);
+/**
+ * Target and achievement for a productivity record
+ * @param {Object} record - Productivity record
+ * @returns {{target: number, percent: number, state: Object}|null} Null if no target is registered
+ */
+function getProductivityAchievement(record) {
+  const entry = findProductivityTarget(record.noExcavator, record.jenisMaterial, record.model);
+  if (!entry) return null;
 
-  // Date filter cascading dropdowns
-  const filterYear = document.getElementById('filterYear');
-  const filterMonth = document.getElementById('filterMonth');
-  const filterDay = document.getElementById('filterDay');
+  const target = parseFloat(entry.target);
+  const percent = (parseFloat(record.productivity) || 0) / target * 100;
+  return { target, percent, state: getAchievementState(percent) };
+}
 
-  filterYear.addEventListener('change', function () {
-    populateFilterMonths();
-    applyFilters();
+/**
+ * Overall achievement for a set of records (total actual vs total target)
+ * @param {Array} records - Productivity records
+ * @returns {{target: number, percent: number, state: Object, count: number}|null}
+ */
+function summarizeAchievement(records) {
+  let actual = 0;
+  let target = 0;
+  let count = 0;
+
+  records.forEach(record => {
+    const achievement = getProductivityAchievement(record);
+    if (!achievement) return;
+    actual += parseFloat(record.productivity) || 0;
+    target += achievement.target;
+    count++;
   });
 
-  filterMonth.addEventListener('change', function () {
-    populateFilterDays();
-    applyFilters();
-  });
+  if (count === 0) return null;
 
-  filterDay.addEventListener('change', applyFilters);
+  const percent = actual / target * 100;
+  return { target: target / count, percent, state: getAchievementState(percent), count };
+}
 
-  document.getElementById('clearFiltersBtn').addEventListener('click', () => {
-    document.getElementById('filterNama').value = '';
-    document.getElementById('filterNRP').value = '';
-    document.getElementById('filterExcavator').value = '';
-    filterYear.value = '';
-    filterMonth.value = '';
-    filterMonth.disabled = true;
-    filterDay.value = '';
-    filterDay.disabled = true;
-    applyFilters();
-  });
+/**
+ * jspdf-autotable hook that colours achievement cells by state
+ * @param {number} columnIndex - Column holding the achievement %
+ * @param {Array} records - Productivity records in table row order
+ * @returns {Function} didParseCell hook
+ */
+function createAchievementCellHook(columnIndex, records) {
+  return (data) => {
+    if (data.section !== 'body' || data.column.index !== columnIndex) return;
+    const achievement = getProductivityAchievement(records[data.row.index]);
+    if (achievement) data.cell.styles.fillColor = achievement.state.rgb;
+  };
+}
 
-  // Export buttons
-  document.getElementById('btnExportProductivityExcel').addEventListener('click', () => exportToExcel('productivity'));
-  document.getElementById('btnExportMatchFactorExcel').addEventListener('click', () => exportToExcel('matchFactor'));
-  document.getElementById('btnExportProductivityPDF').addEventListener('click', () => exportToPDF('productivity'));
-  document.getElementById('btnExportMatchFactorPDF').addEventListener('click', () => exportToPDF('matchFactor'));
+// Colour an ExcelJS achievement cell by state
+function styleAchievementCell(cell, achievement) {
+  if (!achievement) return;
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: achievement.state.argb } };
+}
 
-  // WhatsApp Share buttons
-  document.getElementById('btnShareProductivityWhatsApp').addEventListener('click', () => sharePDFToWhatsApp('productivity'));
-  document.getElementById('btnShareMatchFactorWhatsApp').addEventListener('click', () => sharePDFToWhatsApp('matchFactor'));
+// ==========================================
+// Material Properties
+// ==========================================
+// Swell factor is BCM/LCM (a loose load is this share of its bank volume), density is ton/BCM
+// and fill factor the standard share of the heaped bucket capacity loaded per pass.
+// Productivity records keep the capacity as entered plus the factor used to convert it to BCM.
+const DEFAULT_MATERIALS = [
+  { name: 'Blasting', swellFactor: 0.74, density: 2.4, fillFactor: 0.85 },
+  { name: 'Soil', swellFactor: 0.8, density: 1.8, fillFactor: 1 },
+  { name: 'Lumpur', swellFactor: 0.9, density: 1.6, fillFactor: 0.8 },
+  { name: 'Free dig', swellFactor: 0.83, density: 2, fillFactor: 0.9 }
+];
+
+const CAPACITY_UNITS = {
+  BCM: 'BCM',
+  LCM: 'LCM',
+  ton: 'Ton'
+};
 
-  // Backup/Restore buttons
-  document.getElementById('btnBackupData').addEventListener('click', backupData);
-  document.getElementById('btnRestoreData').addEventListener('click', () => {
-    document.getElementById('restoreFileInput').click();
-  });
-  document.getElementById('restoreFileInput').addEventListener('change', handleRestoreFile);
-  document.getElementById('btnClearData').addEventListener('click', clearAllData);
+function getMaterialTable() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('materialTable') || 'null');
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch (error) {
+    console.warn('⚠️ Invalid material table in localStorage, using default:', error);
+  }
+  return DEFAULT_MATERIALS;
+}
 
-  // Edit Modal buttons
-  document.getElementById('btnSaveEdit').addEventListener('click', saveEdit);
-  document.getElementById('btnCancelEdit').addEventListener('click', closeEditModal);
+function findMaterial(name, materials = getMaterialTable()) {
+  return materials.find(material => material.name === name) || null;
 }
 
-// ==========================================
-// Real-Time Input Validation System
-// ==========================================
-function setupInputValidation() {
-  // Validation helper function
-  function validateInput(inputId, validationFn, errorMessage = '') {
-    const input = document.getElementById(inputId);
-    if (!input) return;
+/**
+ * BCM per unit of entered capacity
+ * @param {string} unit - Key of CAPACITY_UNITS
+ * @param {Object|null} material - Material table entry
+ * @returns {number|null} Null when the material has no factor for the unit
+ */
+function getBcmFactor(unit, material) {
+  if (unit === 'LCM') return parseFloat(material?.swellFactor) > 0 ? parseFloat(material.swellFactor) : null;
+  if (unit === 'ton') return parseFloat(material?.density) > 0 ? 1 / parseFloat(material.density) : null;
+  return 1;
+}
 
-    const validIcon = document.getElementById(inputId + '-valid');
-    const invalidIcon = document.getElementById(inputId + '-invalid');
+/**
+ * Capacity and productivity fields of a productivity record, as entered and normalized to BCM
+ * @param {Object} input - { jumlahRitase, kapasitas, kapasitasUnit, jenisMaterial, durasi, bcmFactor? }
+ *   bcmFactor reuses the factor a record was saved with instead of the current material table
+ * @returns {Object|null} Record fields, or null when the material has no factor for the unit
+ */
+function buildProductivityFigures({ jumlahRitase, kapasitas, kapasitasUnit, jenisMaterial, durasi, bcmFactor }) {
+  const unit = CAPACITY_UNITS[kapasitasUnit] ? kapasitasUnit : 'BCM';
+  const factor = bcmFactor > 0 ? bcmFactor : getBcmFactor(unit, findMaterial(jenisMaterial));
+  if (factor === null) return null;
 
-    // Validate on input
-    input.addEventListener('input', function () {
-      validateField(this, validIcon, invalidIcon, validationFn, errorMessage);
-    });
+  const productivityRaw = (jumlahRitase * kapasitas) / durasi;
+  return {
+    kapasitas,
+    kapasitasUnit: unit,
+    bcmFactor: parseFloat(factor.toFixed(4)),
+    kapasitasBcm: parseFloat((kapasitas * factor).toFixed(2)),
+    productivityRaw: parseFloat(productivityRaw.toFixed(2)),
+    productivity: parseFloat((productivityRaw * factor).toFixed(2))
+  };
+}
 
-    // Validate on blur (when user leaves the field)
-    input.addEventListener('blur', function () {
-      if (this.value !== '') {
-        validateField(this, validIcon, invalidIcon, validationFn, errorMessage);
-      }
-    });
-  }
+// Records saved before units existed were entered in BCM
+function getCapacityUnit(record) {
+  return record.kapasitasUnit || 'BCM';
+}
 
-  function validateField(input, validIcon, invalidIcon, validationFn, errorMessage) {
-    // Remove both icons first
-    if (validIcon) {
-      validIcon.classList.remove('show');
-      validIcon.classList.add('hidden');
-    }
-    if (invalidIcon) {
-      invalidIcon.classList.remove('show');
-      invalidIcon.classList.add('hidden');
-    }
+function getCapacityBcm(record) {
+  return record.kapasitasBcm !== undefined ? record.kapasitasBcm : parseFloat(record.kapasitas);
+}
 
-    // Remove error state
-    input.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
+function getRawProductivity(record) {
+  return record.productivityRaw !== undefined ? record.productivityRaw : record.productivity;
+}
 
-    // If empty, don't show anything (unless required on blur)
-    if (input.value === '') {
-      return;
-    }
+// "45 LCM (33.3 BCM)", or just "36" for a record entered in BCM
+function formatRecordCapacity(record) {
+  const unit = getCapacityUnit(record);
+  if (unit === 'BCM') return String(record.kapasitas);
+  return `${record.kapasitas} ${CAPACITY_UNITS[unit]} (${getCapacityBcm(record)} BCM)`;
+}
 
-    // Validate
-    const isValid = validationFn(input.value);
+// Raw and normalized capacity columns for Excel exports
+function getCapacityExport(record) {
+  return {
+    kapasitas: record.kapasitas,
+    kapasitasUnit: CAPACITY_UNITS[getCapacityUnit(record)],
+    kapasitasBcm: getCapacityBcm(record),
+    productivityRaw: getRawProductivity(record)
+  };
+}
 
-    if (isValid) {
-      // Valid - show green checkmark
-      if (validIcon) {
-        validIcon.classList.remove('hidden');
-        validIcon.classList.add('show');
-        console.log('✅ Valid:', input.id, input.value);
-      }
-      input.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
-    } else {
-      // Invalid - show red exclamation and red border
-      if (invalidIcon) {
-        invalidIcon.classList.remove('hidden');
-        invalidIcon.classList.add('show');
-        console.log('❌ Invalid:', input.id, input.value);
-      }
-      input.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
-    }
-  }
+// Capacity currently typed in the productivity form, converted to BCM (NaN when unknown)
+function getFormCapacityBcm() {
+  const kapasitas = parseFloat(document.getElementById('kapasitas').value);
+  const unit = document.getElementById('kapasitasUnit').value;
+  const factor = getBcmFactor(unit, findMaterial(document.getElementById('jenisMaterial').value));
+  return factor === null ? NaN : kapasitas * factor;
+}
 
-  // Data Umum Form Validations
-  validateInput('namaPengawas', (val) => val.trim().length > 0);
-  validateInput('nrp', (val) => val.trim().length > 0);
-  validateInput('noExcavator', (val) => /^EX[0-9]{4}$/.test(val));
-  validateInput('namaOperator', (val) => val.trim().length > 0);
-  validateInput('jenisMaterial', (val) => val.trim().length > 0);
+// Show the BCM equivalent under the capacity input while typing
+function updateCapacityHint() {
+  const help = document.getElementById('kapasitas-help');
+  if (!help) return;
+
+  const unit = document.getElementById('kapasitasUnit').value;
+  const kapasitas = parseFloat(document.getElementById('kapasitas').value);
+  const material = findMaterial(document.getElementById('jenisMaterial').value);
+  const factor = getBcmFactor(unit, material);
+
+  let text = 'Kapasitas per ritase (BCM, LCM atau ton)';
+  if (unit !== 'BCM' && !material) {
+    text = 'Pilih jenis material untuk konversi ke BCM';
+  } else if (unit !== 'BCM' && factor === null) {
+    text = `${material.name} belum punya ${unit === 'LCM' ? 'swell factor' : 'densitas'} di Tabel Material`;
+  } else if (unit !== 'BCM' && kapasitas > 0) {
+    const basis = unit === 'LCM' ? `SF ${material.swellFactor}` : `densitas ${material.density} ton/BCM`;
+    text = `= ${(kapasitas * factor).toFixed(2)} BCM (${basis}, ${material.name})`;
+  }
+  help.innerHTML = `<i class="fas fa-info-circle mr-1"></i>${text}`;
+}
 
-  // Productivity Calculator Validations
-  validateInput('jumlahRitase', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num > 0;
-  });
+// Fill the material dropdown from the material table, keeping the current choice
+function populateMaterialOptions() {
+  const select = document.getElementById('jenisMaterial');
+  if (!select) return;
+
+  const current = select.value;
+  const names = getMaterialTable().map(material => material.name);
+  if (current && !names.includes(current)) names.push(current);
+  select.innerHTML = '<option value="">Pilih jenis material</option>' +
+    names.map(name => `<option value="${name}">${name}</option>`).join('');
+  select.value = current;
+}
 
-  validateInput('hmAwal', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num >= 0;
-  });
+// ==========================================
+// Equipment Registry
+// ==========================================
+// Master data for excavator units, hauler classes and operators. Records keep their display
+// fields (noExcavator, namaOperator) and additionally reference registry IDs.
+function getEquipmentRegistry() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem('equipmentRegistry') || 'null');
+  } catch (error) {
+    console.warn('⚠️ Invalid equipment registry in localStorage, using empty registry:', error);
+  }
 
-  validateInput('hmAkhir', (val) => {
-    const num = parseFloat(val);
-    const hmAwal = parseFloat(document.getElementById('hmAwal').value);
-    return !isNaN(num) && num >= 0 && (isNaN(hmAwal) || num > hmAwal);
-  });
+  return {
+    excavators: Array.isArray(saved?.excavators) ? saved.excavators : [],
+    haulers: Array.isArray(saved?.haulers) ? saved.haulers : [],
+    operators: Array.isArray(saved?.operators) ? saved.operators : []
+  };
+}
 
-  validateInput('kapasitas', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num > 0;
-  });
+function saveEquipmentRegistry(registry) {
+  localStorage.setItem('equipmentRegistry', JSON.stringify(registry));
+}
 
-  // Match Factor Calculator Validations
-  validateInput('jumlahHD', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num > 0 && Number.isInteger(num);
-  });
+// "EX-1201", "ex1201" and "EX 1201" all become "EX1201"
+function normalizeEquipmentCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s\-_./]+/g, '');
+}
 
-  validateInput('cycleTimeHauler', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num > 0;
-  });
+// Collapse whitespace so "budi  santoso " and "Budi Santoso" compare equal (case-insensitive)
+function normalizePersonName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
 
-  validateInput('cycleTimeLoader', (val) => {
-    const num = parseFloat(val);
-    return !isNaN(num) && num > 0;
-  });
+function generateRegistryId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
 
-  // Special validation for HM Akhir to check against HM Awal
-  document.getElementById('hmAwal').addEventListener('input', function () {
-    const hmAkhirInput = document.getElementById('hmAkhir');
-    if (hmAkhirInput.value !== '') {
-      hmAkhirInput.dispatchEvent(new Event('input'));
-    }
-  });
+function findRegisteredExcavator(code, registry = getEquipmentRegistry()) {
+  const normalized = normalizeEquipmentCode(code);
+  if (!normalized) return null;
+  return registry.excavators.find(excavator => normalizeEquipmentCode(excavator.code) === normalized) || null;
 }
 
-// ==========================================
-// Issue Modal Setup & Handlers
-// ==========================================
-// ===== HELPER FUNCTIONS FOR FORMATTING MULTIPLE DELAYS/PRODUCTIVITIES =====
-function getIssueDelays(issue) {
-  // Return delays array with backward compatibility
-  return issue.delays || (issue.delay ? [issue.delay] : []);
+function findRegisteredOperator(nameOrNrp, registry = getEquipmentRegistry()) {
+  const value = normalizePersonName(nameOrNrp).toLowerCase();
+  if (!value) return null;
+  return registry.operators.find(operator =>
+    normalizePersonName(operator.name).toLowerCase() === value || String(operator.nrp || '').toLowerCase() === value
+  ) || null;
 }
 
-function getIssueProductivities(issue) {
-  // Return productivities array with backward compatibility
-  return issue.productivities || (issue.productivity ? [issue.productivity] : []);
+function findRegisteredHauler(id, registry = getEquipmentRegistry()) {
+  return registry.haulers.find(hauler => hauler.id === id) || null;
 }
 
-function formatDelaysHTML(issue, separator = '<br>') {
-  const delays = getIssueDelays(issue);
-  if (delays.length === 0) return '<span class="text-gray-400">Tidak ada</span>';
+/**
+ * Normalize a record's excavator code and link it to the registry
+ * Sets excavatorId/model and operatorId when a registry entry matches
+ * @param {Object} record - Productivity, match factor or issue record
+ * @param {string} excavatorField - Field holding the excavator code ('excavator' for issues)
+ * @param {Object} registry - Registry to match against
+ */
+function applyRegistryInfo(record, excavatorField = 'noExcavator', registry = getEquipmentRegistry()) {
+  if (record[excavatorField]) {
+    record[excavatorField] = normalizeEquipmentCode(record[excavatorField]);
+  }
 
-  return delays.map(delay => {
-    let html = `<div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}</div>`;
-    if (delay.subCode && delay.subLabel) {
-      html += `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>`;
-    }
-    if (delay.customText) {
-      html += `<div class="text-gray-500 italic mt-1">${delay.customText}</div>`;
+  const excavator = findRegisteredExcavator(record[excavatorField], registry);
+  if (excavator) {
+    record.excavatorId = excavator.id;
+    record.model = excavator.model || '';
+  } else {
+    delete record.excavatorId;
+    delete record.model;
+  }
+
+  if (record.namaOperator !== undefined) {
+    const operator = findRegisteredOperator(record.namaOperator, registry);
+    if (operator) {
+      record.operatorId = operator.id;
+      record.namaOperator = operator.name;
+    } else {
+      delete record.operatorId;
     }
-    return html;
-  }).join(separator);
+  }
 }
 
-function formatProductivitiesHTML(issue, separator = '<br>') {
-  const productivities = getIssueProductivities(issue);
-  if (productivities.length === 0) return '<span class="text-gray-400">Tidak ada</span>';
+/**
+ * Re-link every stored record to the registry (also normalizes excavator codes)
+ * @returns {number} Number of records that changed
+ */
+function normalizeRecordsToRegistry() {
+  const registry = getEquipmentRegistry();
+  let changed = 0;
+
+  const normalize = (key, excavatorField) => {
+    AppState[key].forEach(record => {
+      const before = JSON.stringify(record);
+      applyRegistryInfo(record, excavatorField, registry);
+      if (JSON.stringify(record) !== before) {
+        recordStorage.markChanged(key, [record]);
+        changed++;
+      }
+    });
+  };
 
-  return productivities.map(prod => {
-    let html = `<div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>`;
-    if (prod.subOption) {
-      html += `<div class="text-gray-600 mt-1">${prod.subOption}</div>`;
-    }
-    if (prod.customText) {
-      html += `<div class="text-gray-500 italic mt-1">${prod.customText}</div>`;
-    }
-    return html;
-  }).join(separator);
+  normalize('productivityData', 'noExcavator');
+  normalize('matchFactorData', 'noExcavator');
+  normalize('issuesData', 'excavator');
+
+  return changed;
 }
 
-function formatDelaysText(issue, separator = '\n') {
-  const delays = getIssueDelays(issue);
-  if (delays.length === 0) return 'Tidak ada';
+// Fill the Data Umum autocomplete lists and the hauler class select
+function populateRegistryOptions() {
+  const registry = getEquipmentRegistry();
 
-  return delays.map(delay => {
-    let text = `${delay.mainCode} - ${delay.mainLabel}`;
-    if (delay.subCode && delay.subLabel) {
-      text += ` | ${delay.subCode} - ${delay.subLabel}`;
-    }
-    if (delay.customText) {
-      text += ` | ${delay.customText}`;
-    }
-    return text;
-  }).join(separator);
+  const excavatorList = document.getElementById('excavatorOptions');
+  if (excavatorList) {
+    const codes = new Map();
+    registry.excavators.forEach(excavator => {
+      codes.set(normalizeEquipmentCode(excavator.code), excavator.model || '');
+    });
+    [...AppState.productivityData, ...AppState.matchFactorData].forEach(record => {
+      const code = normalizeEquipmentCode(record.noExcavator);
+      if (code && !codes.has(code)) codes.set(code, '');
+    });
+    excavatorList.innerHTML = Array.from(codes.entries()).sort(([a], [b]) => a.localeCompare(b))
+      .map(([code, model]) => `<option value="${code}">${model}</option>`).join('');
+  }
+
+  const operatorList = document.getElementById('operatorOptions');
+  if (operatorList) {
+    operatorList.innerHTML = registry.operators
+      .map(operator => `<option value="${operator.name}">${operator.nrp ? `NRP ${operator.nrp}` : ''}</option>`).join('');
+  }
+
+  const haulerSelect = document.getElementById('haulerClass');
+  if (haulerSelect) {
+    const current = haulerSelect.value;
+    haulerSelect.innerHTML = '<option value="">Kelas HD (opsional)</option>' + registry.haulers
+      .map(hauler => `<option value="${hauler.id}">${hauler.name} · ${hauler.capacity} BCM</option>`).join('');
+    haulerSelect.value = registry.haulers.some(hauler => hauler.id === current) ? current : '';
+  }
 }
 
-function formatProductivitiesText(issue, separator = '\n') {
-  const productivities = getIssueProductivities(issue);
-  if (productivities.length === 0) return 'Tidak ada';
+// Normalize the typed excavator and pre-fill capacity from the registry
+function handleExcavatorInputChange(event) {
+  const input = event.target;
+  input.value = normalizeEquipmentCode(input.value);
+  input.dispatchEvent(new Event('input'));
 
-  return productivities.map(prod => {
-    let text = `Kat. ${prod.mainCode} - ${prod.mainLabel}`;
-    if (prod.subOption) {
-      text += ` | ${prod.subOption}`;
-    }
-    if (prod.customText) {
-      text += ` | ${prod.customText}`;
-    }
-    return text;
-  }).join(separator);
+  const excavator = findRegisteredExcavator(input.value);
+  const kapasitasInput = document.getElementById('kapasitas');
+  if (excavator && excavator.haulerCapacity && !kapasitasInput.value) {
+    kapasitasInput.value = excavator.haulerCapacity;
+    document.getElementById('kapasitasUnit').value = 'BCM';
+    kapasitasInput.dispatchEvent(new Event('input'));
+  }
 }
 
-// ===== GLOBAL VARIABLES FOR DYNAMIC DELAY/PRODUCTIVITY ITEMS =====
-let delayItems = [];
-let productivityItems = [];
-let delayItemsContainer;
-let productivityItemsContainer;
-let addDelayBtn;
-let addProductivityBtn;
+function handleHaulerClassChange(event) {
+  const hauler = findRegisteredHauler(event.target.value);
+  if (!hauler) return;
+  const kapasitasInput = document.getElementById('kapasitas');
+  kapasitasInput.value = hauler.capacity;
+  document.getElementById('kapasitasUnit').value = 'BCM';
+  kapasitasInput.dispatchEvent(new Event('input'));
+}
+
+// ==========================================
+// Match Factor Recommendation
+// ==========================================
+// With MF = (HD × CT loader) / CT hauler, the fleet is truck-limited below 1 (the excavator
+// waits) and loader-limited above 1 (trucks queue). Loads per hour are capped by whichever
+// side is the bottleneck, so the ideal hauler count is CT hauler / CT loader.
+
+/**
+ * Simulate a fleet for a given number of haulers
+ * @param {number} haulers - Number of dump trucks
+ * @param {number} cycleTimeHauler - Hauler cycle time (menit)
+ * @param {number} cycleTimeLoader - Loading time per truck (menit)
+ * @returns {{haulers: number, matchFactor: number, loadsPerHour: number, loaderIdle: number, truckIdle: number}}
+ *   Idle values are minutes per hour; truckIdle is per truck
+ */
+function simulateMatchFactor(haulers, cycleTimeHauler, cycleTimeLoader) {
+  const matchFactor = (haulers * cycleTimeLoader) / cycleTimeHauler;
+  const loadsPerHour = Math.min(haulers * 60 / cycleTimeHauler, 60 / cycleTimeLoader);
 
-// ===== DYNAMIC DELAY ITEMS FUNCTIONS (GLOBAL) =====
-function createDelayItem(index) {
   return {
-    id: Date.now() + index,
-    mainCode: '',
-    subCode: '',
-    customText: ''
+    haulers,
+    matchFactor,
+    loadsPerHour,
+    loaderIdle: matchFactor < 1 ? 60 * (1 - matchFactor) : 0,
+    truckIdle: matchFactor > 1 ? 60 * (1 - 1 / matchFactor) : 0
   };
 }
 
-function renderDelayItems() {
-  if (!delayItemsContainer) return;
+/**
+ * Recommend the hauler count that brings MF closest to 1
+ * @param {Object} record - Match factor record (jumlahHD, cycleTimeHauler, cycleTimeLoader)
+ * @returns {Object|null} current and ideal simulations, hauler delta and productivity change (%)
+ */
+function getMatchFactorRecommendation(record) {
+  const haulers = parseFloat(record.jumlahHD);
+  const cycleTimeHauler = parseFloat(record.cycleTimeHauler);
+  const cycleTimeLoader = parseFloat(record.cycleTimeLoader);
+  if (!(haulers > 0 && cycleTimeHauler > 0 && cycleTimeLoader > 0)) return null;
+
+  // Pick between floor and ceil of the exact ratio, whichever lands nearer MF 1
+  const exact = cycleTimeHauler / cycleTimeLoader;
+  const candidates = [Math.max(1, Math.floor(exact)), Math.max(1, Math.ceil(exact))];
+  const idealHaulers = candidates.reduce((best, count) => {
+    const bestGap = Math.abs(best * cycleTimeLoader / cycleTimeHauler - 1);
+    const gap = Math.abs(count * cycleTimeLoader / cycleTimeHauler - 1);
+    return gap < bestGap ? count : best;
+  });
 
-  delayItemsContainer.innerHTML = '';
-  delayItems.forEach((item, index) => {
-    const itemDiv = document.createElement('div');
-    itemDiv.className = 'border-l-4 border-red-500 bg-red-50/50 rounded-lg p-3 sm:p-4 relative animate-fade-in';
-    itemDiv.dataset.index = index;
+  const current = simulateMatchFactor(haulers, cycleTimeHauler, cycleTimeLoader);
+  const ideal = simulateMatchFactor(idealHaulers, cycleTimeHauler, cycleTimeLoader);
 
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'flex items-center justify-between mb-3';
-
-    const badge = document.createElement('span');
-    badge.className = 'text-xs font-bold text-red-600 bg-red-100 px-2 py-1 rounded';
-    badge.textContent = `Delay #${index + 1}`;
-    headerDiv.appendChild(badge);
-
-    // Only show delete button if more than 1 item
-    if (delayItems.length > 1) {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.type = 'button';
-      deleteBtn.className = 'text-red-500 hover:text-red-700 hover:bg-red-100 w-8 h-8 rounded-full transition-all';
-      deleteBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
-      deleteBtn.onclick = () => removeDelayItem(index);
-      headerDiv.appendChild(deleteBtn);
-    }
-
-    itemDiv.appendChild(headerDiv);
-
-    // Main Category
-    const mainDiv = document.createElement('div');
-    mainDiv.className = 'mb-3';
-    const mainLabel = document.createElement('label');
-    mainLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-    mainLabel.textContent = 'Pilih Kategori Delay';
-    const mainSelect = document.createElement('select');
-    mainSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm bg-white';
-    mainSelect.innerHTML = '<option value="">-- Pilih Kategori --</option>';
-    Object.keys(DELAY_OPTIONS).forEach(key => {
-      const option = document.createElement('option');
-      option.value = key;
-      option.textContent = key === 'D0' ? 'Tidak Ada' : `${key} - ${DELAY_OPTIONS[key].label}`;
-      if (item.mainCode === key) option.selected = true;
-      mainSelect.appendChild(option);
-    });
-    mainSelect.onchange = (e) => handleDelayMainChange(index, e.target.value);
-    mainDiv.appendChild(mainLabel);
-    mainDiv.appendChild(mainSelect);
-    itemDiv.appendChild(mainDiv);
-
-    // Sub Category (shown if applicable)
-    if (item.mainCode && DELAY_OPTIONS[item.mainCode]?.sub?.length > 0) {
-      const subDiv = document.createElement('div');
-      subDiv.className = 'mb-3';
-      const subLabel = document.createElement('label');
-      subLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-      subLabel.textContent = 'Pilih Sub-Kategori';
-      const subSelect = document.createElement('select');
-      subSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm bg-white';
-      subSelect.innerHTML = '<option value="">-- Pilih Sub-Kategori --</option>';
-      DELAY_OPTIONS[item.mainCode].sub.forEach(subOption => {
-        const option = document.createElement('option');
-        option.value = subOption.code;
-        option.textContent = `${subOption.code} - ${subOption.label}`;
-        if (item.subCode === subOption.code) option.selected = true;
-        subSelect.appendChild(option);
-      });
-      subSelect.onchange = (e) => handleDelaySubChange(index, e.target.value);
-      subDiv.appendChild(subLabel);
-      subDiv.appendChild(subSelect);
-      itemDiv.appendChild(subDiv);
-    }
-
-    // Custom Text (shown if "Others" selected)
-    if (item.subCode && item.subCode.toLowerCase().includes('other')) {
-      const customDiv = document.createElement('div');
-      customDiv.className = 'mb-2';
-      const customLabel = document.createElement('label');
-      customLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-      customLabel.textContent = 'Keterangan Detail';
-      const customTextarea = document.createElement('textarea');
-      customTextarea.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm resize-none';
-      customTextarea.rows = 2;
-      customTextarea.placeholder = 'Masukkan keterangan detail...';
-      customTextarea.value = item.customText || '';
-      customTextarea.oninput = (e) => {
-        delayItems[index].customText = e.target.value;
-      };
-      customDiv.appendChild(customLabel);
-      customDiv.appendChild(customTextarea);
-      itemDiv.appendChild(customDiv);
-    }
-
-    delayItemsContainer.appendChild(itemDiv);
-  });
-}
-
-function handleDelayMainChange(index, value) {
-  delayItems[index].mainCode = value;
-  delayItems[index].subCode = '';
-  delayItems[index].customText = '';
-  renderDelayItems();
+  return {
+    exactHaulers: exact,
+    current,
+    ideal,
+    delta: idealHaulers - haulers,
+    productivityChange: (ideal.loadsPerHour - current.loadsPerHour) / current.loadsPerHour * 100
+  };
 }
 
-function handleDelaySubChange(index, value) {
-  delayItems[index].subCode = value;
-  if (!value.toLowerCase().includes('other')) {
-    delayItems[index].customText = '';
-  }
-  renderDelayItems();
+// Short recommendation text, e.g. "+2 HD" / "-1 HD" / "Sesuai"
+function formatHaulerDelta(delta) {
+  if (delta > 0) return `+${delta} HD`;
+  if (delta < 0) return `${delta} HD`;
+  return 'Sesuai';
 }
 
-function addDelayItem() {
-  delayItems.push(createDelayItem(delayItems.length));
-  renderDelayItems();
-}
+/**
+ * One-line explanation of what applying the recommendation does
+ * @param {Object} recommendation - Result of getMatchFactorRecommendation
+ * @returns {string}
+ */
+function describeMatchFactorRecommendation(recommendation) {
+  const { current, ideal, delta, productivityChange } = recommendation;
 
-function removeDelayItem(index) {
-  if (delayItems.length <= 1) {
-    showAlert('Minimal harus ada 1 Delay Problem!', 'warning');
-    return;
+  if (delta > 0) {
+    return `Tambah ${delta} HD → ${ideal.haulers} HD (MF ${ideal.matchFactor.toFixed(2)}), produksi naik ±${productivityChange.toFixed(1)}%`;
   }
-  delayItems.splice(index, 1);
-  renderDelayItems();
+  if (delta < 0) {
+    return `Kurangi ${-delta} HD → ${ideal.haulers} HD (MF ${ideal.matchFactor.toFixed(2)}), antrian HD turun dari ${current.truckIdle.toFixed(1)} ke ${ideal.truckIdle.toFixed(1)} menit/jam per unit`;
+  }
+  return `Jumlah HD sudah ideal (${current.haulers} HD, MF ${current.matchFactor.toFixed(2)})`;
 }
 
-// ===== DYNAMIC PRODUCTIVITY ITEMS FUNCTIONS (GLOBAL) =====
-function createProductivityItem(index) {
-  return {
-    id: Date.now() + index,
-    mainCode: '',
-    subOption: '',
-    customText: ''
-  };
-}
+// ==========================================
+// Service Worker (Offline & Updates)
+// ==========================================
+let pendingServiceWorker = null;
+let reloadOnControllerChange = false;
 
-function renderProductivityItems() {
-  if (!productivityItemsContainer) return;
+/**
+ * Register sw.js so the app keeps working without signal in the pit, and watch for new versions.
+ * A new version waits until the user accepts the reload so an open form is never lost.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
 
-  productivityItemsContainer.innerHTML = '';
-  productivityItems.forEach((item, index) => {
-    const itemDiv = document.createElement('div');
-    itemDiv.className = 'border-l-4 border-orange-500 bg-orange-50/50 rounded-lg p-3 sm:p-4 relative animate-fade-in';
-    itemDiv.dataset.index = index;
+  document.getElementById('btnApplyUpdate')?.addEventListener('click', applyServiceWorkerUpdate);
+  document.getElementById('btnDismissUpdate')?.addEventListener('click', () => {
+    document.getElementById('updateBanner')?.classList.add('hidden');
+  });
 
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'flex items-center justify-between mb-3';
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadOnControllerChange) return;
+    reloadOnControllerChange = false;
+    window.location.reload();
+  });
 
-    const badge = document.createElement('span');
-    badge.className = 'text-xs font-bold text-orange-600 bg-orange-100 px-2 py-1 rounded';
-    badge.textContent = `Productivity #${index + 1}`;
-    headerDiv.appendChild(badge);
+  navigator.serviceWorker.register('sw.js')
+    .then(registration => {
+      console.log('📦 Service worker registered');
 
-    // Only show delete button if more than 1 item
-    if (productivityItems.length > 1) {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.type = 'button';
-      deleteBtn.className = 'text-orange-600 hover:text-orange-700 hover:bg-orange-100 w-8 h-8 rounded-full transition-all';
-      deleteBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
-      deleteBtn.onclick = () => removeProductivityItem(index);
-      headerDiv.appendChild(deleteBtn);
-    }
+      if (registration.active) showAppVersion(registration.active);
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
 
-    itemDiv.appendChild(headerDiv);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
 
-    // Main Category
-    const mainDiv = document.createElement('div');
-    mainDiv.className = 'mb-3';
-    const mainLabel = document.createElement('label');
-    mainLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-    mainLabel.textContent = 'Pilih Kategori Productivity';
-    const mainSelect = document.createElement('select');
-    mainSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm bg-white';
-    mainSelect.innerHTML = '<option value="">-- Pilih Kategori --</option>';
-    Object.keys(PRODUCTIVITY_OPTIONS).forEach(key => {
-      const option = document.createElement('option');
-      option.value = key;
-      option.textContent = key === '0' ? 'Tidak Ada' : `Kategori ${key}: ${PRODUCTIVITY_OPTIONS[key].label}`;
-      if (item.mainCode === key) option.selected = true;
-      mainSelect.appendChild(option);
-    });
-    mainSelect.onchange = (e) => handleProductivityMainChange(index, e.target.value);
-    mainDiv.appendChild(mainLabel);
-    mainDiv.appendChild(mainSelect);
-    itemDiv.appendChild(mainDiv);
+        worker.addEventListener('statechange', () => {
+          if (worker.state !== 'installed') return;
 
-    // Sub Category (shown if applicable)
-    if (item.mainCode && PRODUCTIVITY_OPTIONS[item.mainCode]?.sub?.length > 0) {
-      const subDiv = document.createElement('div');
-      subDiv.className = 'mb-3';
-      const subLabel = document.createElement('label');
-      subLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-      subLabel.textContent = 'Pilih Sub-Kategori';
-      const subSelect = document.createElement('select');
-      subSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm bg-white';
-      subSelect.innerHTML = '<option value="">-- Pilih Sub-Kategori --</option>';
-      PRODUCTIVITY_OPTIONS[item.mainCode].sub.forEach(subOption => {
-        const option = document.createElement('option');
-        option.value = subOption;
-        option.textContent = subOption;
-        if (item.subOption === subOption) option.selected = true;
-        subSelect.appendChild(option);
+          if (navigator.serviceWorker.controller) {
+            showUpdateBanner(worker);
+          } else {
+            showAppVersion(worker);
+            showToast('Aplikasi siap digunakan offline', 'success');
+          }
+        });
       });
-      subSelect.onchange = (e) => handleProductivitySubChange(index, e.target.value);
-      subDiv.appendChild(subLabel);
-      subDiv.appendChild(subSelect);
-      itemDiv.appendChild(subDiv);
-    }
 
-    // Custom Text (shown if "Other" selected)
-    if (item.subOption && item.subOption.toLowerCase() === 'other') {
-      const customDiv = document.createElement('div');
-      customDiv.className = 'mb-2';
-      const customLabel = document.createElement('label');
-      customLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
-      customLabel.textContent = 'Keterangan Detail';
-      const customTextarea = document.createElement('textarea');
-      customTextarea.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm resize-none';
-      customTextarea.rows = 2;
-      customTextarea.placeholder = 'Masukkan keterangan detail...';
-      customTextarea.value = item.customText || '';
-      customTextarea.oninput = (e) => {
-        productivityItems[index].customText = e.target.value;
-      };
-      customDiv.appendChild(customLabel);
-      customDiv.appendChild(customTextarea);
-      itemDiv.appendChild(customDiv);
-    }
+      // Long shifts keep the tab open, so check for a new version every hour
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    })
+    .catch(error => console.error('❌ Service worker registration failed:', error));
+}
 
-    productivityItemsContainer.appendChild(itemDiv);
+/**
+ * Ask a service worker for its APP_VERSION.
+ * @param {ServiceWorker} worker
+ * @returns {Promise<string|null>}
+ */
+function getServiceWorkerVersion(worker) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 2000);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data?.version || null);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
   });
 }
 
-function handleProductivityMainChange(index, value) {
-  productivityItems[index].mainCode = value;
-  productivityItems[index].subOption = '';
-  productivityItems[index].customText = '';
-  renderProductivityItems();
+function showAppVersion(worker) {
+  getServiceWorkerVersion(worker).then(version => {
+    const label = document.getElementById('appVersion');
+    if (label && version) label.textContent = `Versi ${version}`;
+  });
 }
 
-function handleProductivitySubChange(index, value) {
-  productivityItems[index].subOption = value;
-  if (value.toLowerCase() !== 'other') {
-    productivityItems[index].customText = '';
-  }
-  renderProductivityItems();
-}
+function showUpdateBanner(worker) {
+  pendingServiceWorker = worker;
 
-function addProductivityItem() {
-  productivityItems.push(createProductivityItem(productivityItems.length));
-  renderProductivityItems();
-}
+  const banner = document.getElementById('updateBanner');
+  const text = document.getElementById('updateBannerText');
+  if (!banner) return;
 
-function removeProductivityItem(index) {
-  if (productivityItems.length <= 1) {
-    showAlert('Minimal harus ada 1 Productivity Problem!', 'warning');
-    return;
-  }
-  productivityItems.splice(index, 1);
-  renderProductivityItems();
+  banner.classList.remove('hidden');
+  getServiceWorkerVersion(worker).then(version => {
+    if (text) text.textContent = version ? `Versi ${version} tersedia` : 'Versi baru tersedia';
+  });
 }
 
-function setupIssueModal() {
-  const modal = document.getElementById('issueModal');
-  const btnAddIssue = document.getElementById('btnAddIssue');
-  const closeBtn = document.getElementById('closeIssueModalBtn');
-  const cancelBtn = document.getElementById('cancelIssueBtn');
-  const saveBtn = document.getElementById('saveIssueBtn');
+function applyServiceWorkerUpdate() {
+  if (!pendingServiceWorker) return;
 
-  // Excavator select
-  const excavatorSelect = document.getElementById('issueExcavatorSelect');
-  const dateContainer = document.getElementById('issueDateContainer');
-  const dateSelect = document.getElementById('issueDateSelect');
+  reloadOnControllerChange = true;
+  pendingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+  document.getElementById('updateBanner')?.classList.add('hidden');
+}
 
-  // Set global container references
-  delayItemsContainer = document.getElementById('delayItemsContainer');
-  addDelayBtn = document.getElementById('addDelayBtn');
-  productivityItemsContainer = document.getElementById('productivityItemsContainer');
-  addProductivityBtn = document.getElementById('addProductivityBtn');
+// ==========================================
+// Initialization
+// ==========================================
+document.addEventListener('DOMContentLoaded', function () {
+  initializeApp();
+  setupEventListeners();
+  loadAppData().then(updateFilterOptions);
+  setupSidebarToggle();
+  setupInputValidation(); // Real-time validation
+  setupIssueModal(); // New: Setup issue reporting modal
+  renderIssuesTable(); // Render issues log table
+  registerServiceWorker(); // Offline cache & update notice
+});
 
-  // Photo elements
-  const photoBtn = document.getElementById('issuePhotoBtn');
-  const photoInput = document.getElementById('issuePhotoInput');
-  const photoPreviewContainer = document.getElementById('issuePhotoPreviewContainer');
-  const photoPreview = document.getElementById('issuePhotoPreview');
-  const photoRemoveBtn = document.getElementById('issuePhotoRemoveBtn');
-
-  // Follow-up photo elements
-  const followUpPhotoBtn = document.getElementById('followUpPhotoBtn');
-  const followUpPhotoInput = document.getElementById('followUpPhotoInput');
-  const followUpPhotoPreviewContainer = document.getElementById('followUpPhotoPreviewContainer');
-
-  // Additional notes
-  const additionalNotes = document.getElementById('issueAdditionalNotes');
-
-  let currentPhotoBase64 = null;
-
-  // Note: Dynamic delay/productivity functions are now global (defined above setupIssueModal)
-
-  // Event listeners for add buttons
-  addDelayBtn.addEventListener('click', addDelayItem);
-  addProductivityBtn.addEventListener('click', addProductivityItem);
-
-  // Populate Excavator Options
-  function populateExcavatorOptions() {
-    excavatorSelect.innerHTML = '<option value="">-- Pilih Excavator --</option>';
-
-    // Get unique excavators from both productivity and match factor data
-    const excavators = new Set();
-    AppState.productivityData.forEach(item => excavators.add(item.noExcavator));
-    AppState.matchFactorData.forEach(item => excavators.add(item.noExcavator));
+function initializeApp() {
+  // Auto-fill timestamp with real-time local timezone
+  const waktuInput = document.getElementById('waktu');
 
-    const sortedExcavators = Array.from(excavators).sort();
-    sortedExcavators.forEach(ex => {
-      const option = document.createElement('option');
-      option.value = ex;
-      option.textContent = ex;
-      excavatorSelect.appendChild(option);
-    });
+  // Function to get current local datetime in HTML datetime-local format
+  function getCurrentLocalDateTime() {
+    const now = new Date();
+    // Get local datetime in YYYY-MM-DDTHH:MM format
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    return `${year}-${month}-${day}T${hours}:${minutes}`;
   }
 
-  // Excavator Selection Change Handler
-  excavatorSelect.addEventListener('change', function () {
-    const selectedExcavator = this.value;
-    populateDateOptions(selectedExcavator);
-  });
-
-  // Photo Upload Handler - Multiple Photos Support
-  let currentPhotoBlobs = []; // Array of { blob: Blob, preview: string }
-  let followUpPhotoBlobs = []; // Array of { blob: Blob, preview: string } for follow-up section
-
-  photoBtn.addEventListener('click', function () {
-    photoInput.click();
-  });
+  // Set initial value
+  if (waktuInput) {
+    waktuInput.value = getCurrentLocalDateTime();
 
-  photoInput.addEventListener('change', async function (e) {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
+    // Update every minute (60000ms) if user hasn't manually changed it
+    let userModified = false;
 
-    // Process each file
-    for (const file of files) {
-      // Validate file type
-      if (!file.type.startsWith('image/')) {
-        showAlert(`File "${file.name}" bukan gambar, dilewati!`, 'warning');
-        continue;
-      }
+    // Track if user manually changes the time
+    waktuInput.addEventListener('input', () => {
+      userModified = true;
+    });
 
-      // Validate file size (max 5MB per file)
-      if (file.size > 5 * 1024 * 1024) {
-        showAlert(`File "${file.name}" terlalu besar (max 5MB), dilewati!`, 'warning');
-        continue;
+    // Update time every minute if not manually modified
+    setInterval(() => {
+      if (!userModified && document.activeElement !== waktuInput) {
+        waktuInput.value = getCurrentLocalDateTime();
       }
+    }, 60000); // Update every 1 minute
 
-      try {
-        // Read and compress image
-        const compressedBlob = await compressImage(file);
-        const previewUrl = URL.createObjectURL(compressedBlob);
+    // Reset userModified flag when form is submitted or reset
+    const productivityForm = waktuInput.closest('form') || document.querySelector('#calculateProductivityBtn')?.closest('.bg-white');
+    if (productivityForm) {
+      // Reset flag when Calculate button is clicked
+      const calculateBtn = document.getElementById('calculateProductivityBtn');
+      const calculateMFBtn = document.getElementById('calculateMatchFactorBtn');
 
-        // Add to current photos
-        currentPhotoBlobs.push({
-          blob: compressedBlob,
-          preview: previewUrl,
-          name: file.name
+      if (calculateBtn) {
+        calculateBtn.addEventListener('click', () => {
+          // Reset after submission
+          setTimeout(() => {
+            userModified = false;
+            waktuInput.value = getCurrentLocalDateTime();
+          }, 100);
         });
+      }
 
-        // Show compression info
-        const originalSize = (file.size / 1024).toFixed(2);
-        const compressedSize = (compressedBlob.size / 1024).toFixed(2);
-        console.log(`📸 Image compressed: ${file.name} ${originalSize}KB → ${compressedSize}KB`);
-      } catch (error) {
-        console.error('Failed to compress image:', error);
-        showAlert(`Gagal memproses gambar "${file.name}"`, 'error');
+      if (calculateMFBtn) {
+        calculateMFBtn.addEventListener('click', () => {
+          // Reset after submission
+          setTimeout(() => {
+            userModified = false;
+            waktuInput.value = getCurrentLocalDateTime();
+          }, 100);
+        });
       }
     }
+  }
 
-    // Update preview
-    updatePhotoPreview();
-
-    // Clear input to allow re-selecting the same files
-    photoInput.value = '';
-  });
-
-  /**
-   * Compress image file to JPEG blob
-   * @param {File} file - Image file
-   * @returns {Promise<Blob>} Compressed JPEG blob
-   */
-  function compressImage(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = function (event) {
-        const img = new Image();
+  // Load saved user data (Nama & NRP)
+  const savedNama = localStorage.getItem('userNama');
+  const savedNRP = localStorage.getItem('userNRP');
 
-        img.onload = function () {
-          // Create canvas for compression
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
+  if (savedNama) document.getElementById('namaPengawas').value = savedNama;
+  if (savedNRP) document.getElementById('nrp').value = savedNRP;
+}
 
-          // Calculate new dimensions (max 1200px width/height)
-          let width = img.width;
-          let height = img.height;
-          const maxSize = 1200;
+// ==========================================
+// Sidebar Toggle Setup
+// ==========================================
+function setupSidebarToggle() {
+  const sidebar = document.getElementById('sidebar');
+  const menuToggle = document.getElementById('menu-toggle');
+  const sidebarToggleDesktop = document.getElementById('sidebar-toggle-desktop');
+  const mainContent = document.querySelector('main');
+  const filtersToggle = document.getElementById('filters-toggle');
+  const filtersContent = document.getElementById('filters-content');
+  const filtersChevron = document.getElementById('filters-chevron');
+  const clearFiltersBtn = document.getElementById('clearFiltersBtn');
 
-          if (width > height && width > maxSize) {
-            height = (height * maxSize) / width;
-            width = maxSize;
-          } else if (height > maxSize) {
-            width = (width * maxSize) / height;
-            height = maxSize;
-          }
+  // Restore sidebar state from localStorage
+  const savedSidebarState = localStorage.getItem('sidebarCollapsed');
+  if (savedSidebarState === 'true' && sidebar && mainContent) {
+    applySidebarState(sidebar, mainContent, true);
+  }
 
-          canvas.width = width;
-          canvas.height = height;
+  // Mobile menu toggle
+  if (menuToggle) {
+    menuToggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      sidebar.classList.toggle('-translate-x-full');
+    });
+  }
 
-          // Draw and compress (0.7 quality = ~70% compression)
-          ctx.drawImage(img, 0, 0, width, height);
+  // Desktop sidebar collapse/expand - Hide content, keep container with icons
+  if (sidebarToggleDesktop && sidebar && mainContent) {
+    sidebarToggleDesktop.addEventListener('click', () => {
+      // Toggle sidebar content visibility
+      const isCurrentlyExpanded = !sidebar.classList.contains('collapsed');
+      const newCollapsedState = isCurrentlyExpanded;
 
-          canvas.toBlob((blob) => {
-            if (blob) {
-              resolve(blob);
-            } else {
-              reject(new Error('Failed to create blob'));
-            }
-          }, 'image/jpeg', 0.7);
-        };
+      // Apply the new state
+      applySidebarState(sidebar, mainContent, newCollapsedState);
 
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = event.target.result;
-      };
+      // Save state to localStorage
+      localStorage.setItem('sidebarCollapsed', newCollapsedState.toString());
+    });
+  }
 
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsDataURL(file);
+  // Filters collapsible
+  if (filtersToggle) {
+    filtersToggle.addEventListener('click', () => {
+      filtersContent.classList.toggle('hidden');
+      filtersChevron.classList.toggle('fa-chevron-down');
+      filtersChevron.classList.toggle('fa-chevron-up');
     });
   }
 
-  /**
-   * Update photo preview grid
-   */
-  function updatePhotoPreview() {
-    const grid = document.getElementById('issuePhotoPreviewGrid');
-    const badge = document.getElementById('photoCountBadge');
+  // Clear filters
+  if (clearFiltersBtn) {
+    clearFiltersBtn.addEventListener('click', () => {
+      document.getElementById('filterNama').value = '';
+      document.getElementById('filterExcavator').value = '';
+      applyFilters();
+    });
+  }
 
-    if (currentPhotoBlobs.length === 0) {
-      photoPreviewContainer.classList.add('hidden');
-      badge.classList.add('hidden');
-      grid.innerHTML = '';
-      return;
+  // Close sidebar when clicking outside on mobile
+  document.addEventListener('click', (e) => {
+    if (window.innerWidth < 1024) {
+      if (!sidebar.contains(e.target) && !menuToggle.contains(e.target)) {
+        sidebar.classList.add('-translate-x-full');
+      }
     }
+  });
+}
 
-    photoPreviewContainer.classList.remove('hidden');
-    badge.classList.remove('hidden');
-    badge.textContent = currentPhotoBlobs.length;
+// Helper function to apply sidebar state
+function applySidebarState(sidebar, mainContent, isCollapsed) {
+  const sidebarToggleDesktop = document.getElementById('sidebar-toggle-desktop');
 
-    // Clear grid
-    grid.innerHTML = '';
+  if (isCollapsed) {
+    // Collapse: hide content, make sidebar narrow, show icons
+    sidebar.classList.add('collapsed');
+    sidebar.classList.remove('w-80');
+    sidebar.classList.add('w-20');
+    mainContent.classList.remove('lg:ml-80');
+    mainContent.classList.add('lg:ml-20');
 
-    // Add each photo preview
-    currentPhotoBlobs.forEach((photo, index) => {
-      const previewItem = document.createElement('div');
-      previewItem.className = 'relative bg-gray-50 rounded-lg overflow-hidden border-2 border-purple-200 group';
-      previewItem.innerHTML = `
-        <img src="${photo.preview}" alt="Preview ${index + 1}" class="w-full h-32 object-cover cursor-pointer hover:opacity-90 transition-opacity" data-lightbox-index="${index}" />
-        <button
-          type="button"
-          data-index="${index}"
-          class="photo-remove-btn absolute top-2 right-2 w-8 h-8 min-w-[2rem] min-h-[2rem] bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center transition-all shadow-lg opacity-0 group-hover:opacity-100 hover:scale-110 active:scale-95 flex-shrink-0"
-          style="aspect-ratio: 1/1;">
-          <i class="fas fa-times text-xs"></i>
-        </button>
-        <div class="absolute bottom-0 left-0 right-0 bg-black/50 text-white text-xs px-2 py-1 truncate">
-          ${(photo.blob.size / 1024).toFixed(1)}KB
-        </div>
-      `;
-      grid.appendChild(previewItem);
-    });
+    // Hide all sidebar content
+    const sidebarContent = sidebar.querySelectorAll('.sidebar-content');
+    sidebarContent.forEach(content => content.classList.add('hidden'));
 
-    // Add remove button listeners
-    grid.querySelectorAll('.photo-remove-btn').forEach(btn => {
-      btn.addEventListener('click', function () {
-        const index = parseInt(this.dataset.index);
-        removePhoto(index);
-      });
-    });
+    // Show collapsed icons
+    const collapsedIcons = sidebar.querySelector('.collapsed-icons');
+    if (collapsedIcons) {
+      collapsedIcons.classList.remove('hidden');
+      // Bind click handlers to collapsed icons
+      bindCollapsedIconEvents();
+    }
 
-    // Add lightbox click listeners to images
-    grid.querySelectorAll('img[data-lightbox-index]').forEach(img => {
-      img.addEventListener('click', function () {
-        const index = parseInt(this.dataset.lightboxIndex);
-        openPhotoLightbox(index, currentPhotoBlobs);
-      });
-    });
-  }
+    // Update toggle icon
+    const toggleIcon = sidebarToggleDesktop?.querySelector('i');
+    if (toggleIcon) {
+      toggleIcon.classList.remove('fa-chevron-left');
+      toggleIcon.classList.add('fa-chevron-right');
+    }
+  } else {
+    // Expand: show content, make sidebar wide, hide icons
+    sidebar.classList.remove('collapsed');
+    sidebar.classList.remove('w-20');
+    sidebar.classList.add('w-80');
+    mainContent.classList.remove('lg:ml-20');
+    mainContent.classList.add('lg:ml-80');
 
-  /**
-   * Remove a photo from the list
-   * @param {number} index - Photo index
-   */
-  function removePhoto(index) {
-    if (index >= 0 && index < currentPhotoBlobs.length) {
-      // Revoke object URL to free memory
-      URL.revokeObjectURL(currentPhotoBlobs[index].preview);
+    // Show all sidebar content
+    const sidebarContent = sidebar.querySelectorAll('.sidebar-content');
+    sidebarContent.forEach(content => content.classList.remove('hidden'));
 
-      // Remove from array
-      currentPhotoBlobs.splice(index, 1);
+    // Hide collapsed icons
+    const collapsedIcons = sidebar.querySelector('.collapsed-icons');
+    if (collapsedIcons) {
+      collapsedIcons.classList.add('hidden');
+    }
 
-      // Update preview
-      updatePhotoPreview();
+    // Update toggle icon
+    const toggleIcon = sidebarToggleDesktop?.querySelector('i');
+    if (toggleIcon) {
+      toggleIcon.classList.remove('fa-chevron-right');
+      toggleIcon.classList.add('fa-chevron-left');
     }
   }
+}
 
-  /**
-   * Set current photo blobs (for editing)
-   * @param {Array} photos - Array of photo objects
-   */
-  window.setCurrentPhotoBlobs = function (photos) {
-    // Clear existing photos
-    currentPhotoBlobs.forEach(photo => {
-      URL.revokeObjectURL(photo.preview);
+// ==========================================
+// Bind Collapsed Icon Events
+// ==========================================
+function bindCollapsedIconEvents() {
+  const collapsedProductivityExcel = document.getElementById('collapsed-productivity-excel');
+  const collapsedMatchFactorExcel = document.getElementById('collapsed-matchfactor-excel');
+  const collapsedPdfProductivity = document.getElementById('collapsed-pdf-productivity');
+  const collapsedPdfMatchFactor = document.getElementById('collapsed-pdf-matchfactor');
+
+  // Export Productivity Excel
+  if (collapsedProductivityExcel) {
+    collapsedProductivityExcel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportToExcel('productivity');
     });
+  }
 
-    // Set new photos
-    currentPhotoBlobs = photos;
-    updatePhotoPreview();
-  };
+  // Export Match Factor Excel
+  if (collapsedMatchFactorExcel) {
+    collapsedMatchFactorExcel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportToExcel('matchFactor');
+    });
+  }
 
-  /**
-   * Open photo lightbox for preview
-   * @param {number} index - Photo index
-   * @param {Array} photos - Array of photo objects with {blob, preview, name}
-   */
-  function openPhotoLightbox(index, photos) {
-    let currentIndex = index;
-    const totalPhotos = photos.length;
+  // PDF Productivity Export
+  if (collapsedPdfProductivity) {
+    collapsedPdfProductivity.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportToPDF('productivity');
+    });
+  }
 
-    // Create lightbox modal
-    const lightbox = document.createElement('div');
-    lightbox.id = 'photoLightbox';
-    lightbox.className = 'fixed inset-0 z-[9999] bg-black/95 backdrop-blur-sm flex items-center justify-center p-0';
+  // PDF Match Factor Export
+  if (collapsedPdfMatchFactor) {
+    collapsedPdfMatchFactor.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportToPDF('matchFactor');
+    });
+  }
+}
 
-    lightbox.innerHTML = `
-      <div class="relative w-full h-full flex flex-col">
-        <!-- Header with Close Button -->
-        <div class="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 sm:p-6 bg-gradient-to-b from-black/60 to-transparent">
-          <div class="text-white">
-            <p class="text-sm sm:text-base font-semibold" id="lightboxFileName">${photos[currentIndex].name}</p>
-            <p class="text-xs sm:text-sm text-gray-300 mt-1">
-              <span id="lightboxFileSize">${(photos[currentIndex].blob.size / 1024).toFixed(1)}KB</span>
-              ${totalPhotos > 1 ? ` • <span id="lightboxCounter">${currentIndex + 1}</span> / ${totalPhotos}` : ''}
-            </p>
-          </div>
-          <button
-            id="closeLightbox"
-            class="w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all hover:rotate-90 flex-shrink-0 ml-4"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-times text-white text-lg sm:text-xl"></i>
-          </button>
-        </div>
+function updateLastUpdate() {
+  const lastUpdateEl = document.getElementById('lastUpdate');
+  if (lastUpdateEl) {
+    const now = new Date();
+    const timestamp = now.toLocaleString('id-ID');
+    lastUpdateEl.textContent = timestamp;
 
-        <!-- Main Image Container -->
-        <div class="flex-1 flex items-center justify-center px-4 sm:px-16 py-20 sm:py-24">
-          ${totalPhotos > 1 ? `
-          <!-- Previous Button -->
-          <button
-            id="lightboxPrev"
-            class="absolute left-2 sm:left-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentIndex === 0 ? 'opacity-50 cursor-not-allowed' : ''}"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-chevron-left text-white text-lg sm:text-xl"></i>
-          </button>
-          ` : ''}
 
-          <!-- Image -->
-          <div class="max-w-full max-h-full flex items-center justify-center">
-            <img 
-              id="lightboxImage" 
-              src="${photos[currentIndex].preview}" 
-              alt="Photo ${currentIndex + 1}" 
-              class="max-w-full max-h-[70vh] sm:max-h-[80vh] w-auto h-auto object-contain rounded-lg shadow-2xl" />
-          </div>
+    // Save timestamp to localStorage
+    localStorage.setItem('lastUpdateTimestamp', now.toISOString());
+  }
+}
 
-          ${totalPhotos > 1 ? `
-          <!-- Next Button -->
-          <button
-            id="lightboxNext"
-            class="absolute right-2 sm:right-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentIndex === totalPhotos - 1 ? 'opacity-50 cursor-not-allowed' : ''}"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-chevron-right text-white text-lg sm:text-xl"></i>
-          </button>
-          ` : ''}
-        </div>
+function updateTotalRecords() {
+  const totalRecordsEl = document.getElementById('totalRecords');
+  if (totalRecordsEl) {
+    const total = AppState.productivityData.length + AppState.matchFactorData.length;
+    totalRecordsEl.textContent = total;
+  }
+}
 
-        <!-- Footer hint -->
-        <div class="absolute bottom-0 left-0 right-0 z-20 p-4 bg-gradient-to-t from-black/60 to-transparent">
-          <p class="text-center text-xs sm:text-sm text-gray-300">
-            <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">ESC</kbd> untuk keluar
-            ${totalPhotos > 1 ? ` • <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">← →</kbd> navigasi` : ''}
-          </p>
-        </div>
-      </div>
-    `;
+// ==========================================
+// Event Listeners Setup
+// ==========================================
+function setupEventListeners() {
+  // Save user data on change
+  document.getElementById('namaPengawas').addEventListener('change', (e) => {
+    localStorage.setItem('userNama', e.target.value);
+  });
 
-    document.body.appendChild(lightbox);
+  document.getElementById('nrp').addEventListener('change', (e) => {
+    localStorage.setItem('userNRP', e.target.value);
+  });
 
-    // Update photo display
-    function updateLightboxPhoto() {
-      const img = lightbox.querySelector('#lightboxImage');
-      const counter = lightbox.querySelector('#lightboxCounter');
-      const fileName = lightbox.querySelector('#lightboxFileName');
-      const fileSize = lightbox.querySelector('#lightboxFileSize');
-      const prevBtn = lightbox.querySelector('#lightboxPrev');
-      const nextBtn = lightbox.querySelector('#lightboxNext');
+  // Productivity Calculator
+  document.getElementById('btnHitungProductivity').addEventListener('click', calculateProductivity);
 
-      img.src = photos[currentIndex].preview;
-      img.alt = `Photo ${currentIndex + 1}`;
-      if (counter) counter.textContent = currentIndex + 1;
-      if (fileName) fileName.textContent = photos[currentIndex].name;
-      if (fileSize) fileSize.textContent = `${(photos[currentIndex].blob.size / 1024).toFixed(1)}KB`;
+  // Match Factor Calculator
+  document.getElementById('btnHitungMatchFactor').addEventListener('click', calculateMatchFactor);
 
-      // Update button states
-      if (prevBtn) {
-        if (currentIndex === 0) {
-          prevBtn.classList.add('opacity-50', 'cursor-not-allowed');
-        } else {
-          prevBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-        }
-      }
+  // Equipment registry
+  document.getElementById('noExcavator').addEventListener('change', handleExcavatorInputChange);
+  document.getElementById('haulerClass').addEventListener('change', handleHaulerClassChange);
+  document.getElementById('btnEquipmentRegistry').addEventListener('click', openEquipmentRegistryModal);
+  document.getElementById('btnCancelEquipmentRegistry').addEventListener('click', closeEquipmentRegistryModal);
+  document.getElementById('btnSaveEquipmentRegistry').addEventListener('click', saveEquipmentRegistryFromModal);
+  document.getElementById('btnAddRegistryRow').addEventListener('click', addEquipmentRegistryRow);
+  document.getElementById('btnImportRegistry').addEventListener('click', () => {
+    document.getElementById('registryImportInput').click();
+  });
+  document.getElementById('registryImportInput').addEventListener('change', handleRegistryImportFile);
+  document.querySelectorAll('[data-registry-tab]').forEach(tab => {
+    tab.addEventListener('click', () => switchEquipmentRegistryTab(tab.dataset.registryTab));
+  });
 
-      if (nextBtn) {
-        if (currentIndex === totalPhotos - 1) {
-          nextBtn.classList.add('opacity-50', 'cursor-not-allowed');
-        } else {
-          nextBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-        }
-      }
-    }
+  // Availability summary
+  document.getElementById('availabilityGroupBy').addEventListener('change', renderAvailabilitySummary);
+  document.getElementById('availabilityExcavator').addEventListener('change', renderAvailabilitySummary);
+
+  // Operator leaderboard
+  document.getElementById('operatorSortBy').addEventListener('change', renderOperatorLeaderboard);
+
+  // Data completeness matrix
+  document.getElementById('completenessDate').addEventListener('change', renderCompletenessMatrix);
+  document.getElementById('completenessShift').addEventListener('change', renderCompletenessMatrix);
+
+  // Problem catalog
+  document.getElementById('btnProblemCatalog').addEventListener('click', openProblemCatalogModal);
+  document.getElementById('btnCancelProblemCatalog').addEventListener('click', closeProblemCatalogModal);
+  document.getElementById('btnSaveProblemCatalog').addEventListener('click', saveProblemCatalogFromModal);
+  document.getElementById('btnAddCatalogMain').addEventListener('click', addCatalogMainEntry);
+  document.getElementById('btnExportCatalogJSON').addEventListener('click', exportProblemCatalogJSON);
+  document.getElementById('btnExportCatalogXLSX').addEventListener('click', exportProblemCatalogXLSX);
+  document.getElementById('btnImportCatalog').addEventListener('click', () => {
+    document.getElementById('catalogImportInput').click();
+  });
+  document.getElementById('catalogImportInput').addEventListener('change', handleCatalogImportFile);
+  document.querySelectorAll('[data-catalog-tab]').forEach(tab => {
+    tab.addEventListener('click', () => switchProblemCatalogTab(tab.dataset.catalogTab));
+  });
 
-    // Close lightbox
-    function closeLightbox() {
-      lightbox.remove();
-      document.removeEventListener('keydown', keyHandler);
-    }
+  // HM validation modal
+  document.getElementById('btnCancelHmOverride').addEventListener('click', closeHmWarningModal);
+
+  // Ritase tally
+  document.getElementById('btnOpenRitaseTally').addEventListener('click', openRitaseTally);
+  document.getElementById('btnTallyTruck').addEventListener('click', tallyTruck);
+  document.getElementById('btnTallyPass').addEventListener('click', tallyPass);
+  document.getElementById('btnTallyUndo').addEventListener('click', undoTally);
+  document.getElementById('btnTallyReset').addEventListener('click', resetRitaseTally);
+  document.getElementById('btnTallyClose').addEventListener('click', closeRitaseTally);
+  document.getElementById('btnTallyFinish').addEventListener('click', finishRitaseTally);
+  document.getElementById('tallyBucketCapacity').addEventListener('change', updateTallyBucketCapacity);
+  document.getElementById('kapasitas').addEventListener('input', updateRitaseTallyHint);
+  document.getElementById('kapasitas').addEventListener('input', updateCapacityHint);
+  document.getElementById('kapasitasUnit').addEventListener('change', () => {
+    updateCapacityHint();
+    updateRitaseTallyHint();
+  });
+  document.getElementById('jenisMaterial').addEventListener('change', updateCapacityHint);
+  updateRitaseTallyHint();
 
-    // Keyboard navigation
-    function keyHandler(e) {
-      if (e.key === 'Escape') {
-        e.stopPropagation();
-        e.preventDefault();
-        closeLightbox();
-      }
-      if (e.key === 'ArrowLeft' && currentIndex > 0) {
-        e.preventDefault();
-        currentIndex--;
-        updateLightboxPhoto();
-      }
-      if (e.key === 'ArrowRight' && currentIndex < totalPhotos - 1) {
-        e.preventDefault();
-        currentIndex++;
-        updateLightboxPhoto();
-      }
-    }
+  // Cycle time stopwatch
+  document.getElementById('btnToggleStopwatch').addEventListener('click', () => {
+    document.getElementById('ctStopwatchPanel').classList.toggle('hidden');
+    renderStopwatchStats();
+  });
+  document.getElementById('btnStopwatchToggle').addEventListener('click', toggleStopwatch);
+  document.getElementById('btnStopwatchReset').addEventListener('click', resetStopwatch);
+  document.getElementById('btnLapBucket').addEventListener('click', lapBucketPass);
+  document.getElementById('btnLapTruckLoaded').addEventListener('click', lapTruckLoaded);
+  document.getElementById('btnLapHauler').addEventListener('click', lapHaulerArrival);
+  document.getElementById('btnStopwatchApply').addEventListener('click', applyStopwatchToForm);
 
-    // Event listeners
-    lightbox.querySelector('#closeLightbox').addEventListener('click', closeLightbox);
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox || e.target.id === 'lightboxImage') {
-        // Click on backdrop or image to close
-        closeLightbox();
-      }
-    });
+  // Filters
+  document.getElementById('filterNama').addEventListener('change', applyFilters);
+  document.getElementById('filterNRP').addEventListener('change', applyFilters);
+  document.getElementById('filterExcavator').addEventListener('change', applyFilters);
+  document.getElementById('filterShift').addEventListener('change', () => {
+    applyFilters();
+    renderIndividualCharts(); // Excavator charts follow the shift filter
+  });
 
-    if (totalPhotos > 1) {
-      const prevBtn = lightbox.querySelector('#lightboxPrev');
-      const nextBtn = lightbox.querySelector('#lightboxNext');
+  // Date filter cascading dropdowns
+  const filterYear = document.getElementById('filterYear');
+  const filterMonth = document.getElementById('filterMonth');
+  const filterDay = document.getElementById('filterDay');
 
-      prevBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (currentIndex > 0) {
-          currentIndex--;
-          updateLightboxPhoto();
-        }
-      });
+  filterYear.addEventListener('change', function () {
+    populateFilterMonths();
+    applyFilters();
+  });
 
-      nextBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (currentIndex < totalPhotos - 1) {
-          currentIndex++;
-          updateLightboxPhoto();
-        }
-      });
-    }
+  filterMonth.addEventListener('change', function () {
+    populateFilterDays();
+    applyFilters();
+  });
 
-    document.addEventListener('keydown', keyHandler);
-  }
+  filterDay.addEventListener('change', applyFilters);
 
-  // Follow-up Photo Upload Handler - Multiple Photos Support
-  followUpPhotoBtn.addEventListener('click', function () {
-    followUpPhotoInput.click();
+  document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+    document.getElementById('filterNama').value = '';
+    document.getElementById('filterNRP').value = '';
+    document.getElementById('filterExcavator').value = '';
+    document.getElementById('filterShift').value = '';
+    filterYear.value = '';
+    filterMonth.value = '';
+    filterMonth.disabled = true;
+    filterDay.value = '';
+    filterDay.disabled = true;
+    applyFilters();
+    renderIndividualCharts();
   });
 
-  followUpPhotoInput.addEventListener('change', async function (e) {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
+  // Export buttons
+  document.getElementById('btnExportProductivityExcel').addEventListener('click', () => exportToExcel('productivity'));
+  document.getElementById('btnExportMatchFactorExcel').addEventListener('click', () => exportToExcel('matchFactor'));
+  document.getElementById('btnExportProductivityPDF').addEventListener('click', () => exportToPDF('productivity'));
+  document.getElementById('btnExportMatchFactorPDF').addEventListener('click', () => exportToPDF('matchFactor'));
 
-    // Process each file
-    for (const file of files) {
-      // Validate file type
-      if (!file.type.startsWith('image/')) {
-        showAlert(`File "${file.name}" bukan gambar, dilewati!`, 'warning');
-        continue;
-      }
+  // WhatsApp Share buttons
+  document.getElementById('btnShareProductivityWhatsApp').addEventListener('click', () => sharePDFToWhatsApp('productivity'));
+  document.getElementById('btnShareMatchFactorWhatsApp').addEventListener('click', () => sharePDFToWhatsApp('matchFactor'));
 
-      // Validate file size (max 5MB per file)
-      if (file.size > 5 * 1024 * 1024) {
-        showAlert(`File "${file.name}" terlalu besar (max 5MB), dilewati!`, 'warning');
-        continue;
-      }
+  // Backup/Restore buttons
+  document.getElementById('btnBackupData').addEventListener('click', backupData);
+  document.getElementById('btnRestoreData').addEventListener('click', () => {
+    document.getElementById('restoreFileInput').click();
+  });
+  document.getElementById('restoreFileInput').addEventListener('change', handleRestoreFile);
+  document.getElementById('btnCancelRestoreMerge').addEventListener('click', () => {
+    closeRestoreMergeModal();
+    showToast('Restore dibatalkan', 'info');
+  });
+  document.getElementById('btnReplaceRestore').addEventListener('click', replaceFromRestoreMergeModal);
+  document.getElementById('btnConfirmRestoreMerge').addEventListener('click', confirmRestoreMerge);
+  document.getElementById('btnMergeKeepAllLocal').addEventListener('click', () => setAllRestoreMergeResolutions('local'));
+  document.getElementById('btnMergeTakeAllBackup').addEventListener('click', () => setAllRestoreMergeResolutions('backup'));
+  document.getElementById('btnClearData').addEventListener('click', clearAllData);
 
-      try {
-        // Read and compress image
-        const compressedBlob = await compressImage(file);
-        const previewUrl = URL.createObjectURL(compressedBlob);
+  // Delay Pareto filters
+  ['paretoGroupBy', 'paretoMetric', 'paretoDateFrom', 'paretoDateTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderDelayPareto);
+  });
+  document.getElementById('btnResetPareto').addEventListener('click', resetDelayParetoFilters);
+  document.getElementById('btnClearIssuesDrillDown').addEventListener('click', () => renderIssuesTable());
+  document.getElementById('issueStatusFilter').addEventListener('change', () => renderIssuesTable());
+  document.getElementById('issuesOverdueBadge').addEventListener('click', () => {
+    document.getElementById('issueStatusFilter').value = 'overdue';
+    renderIssuesTable();
+  });
 
-        // Add to follow-up photos
-        followUpPhotoBlobs.push({
-          blob: compressedBlob,
-          preview: previewUrl,
-          name: file.name
-        });
+  // Shift Roster modal
+  document.getElementById('btnShiftRoster').addEventListener('click', openShiftRosterModal);
+  document.getElementById('btnCancelShiftRoster').addEventListener('click', closeShiftRosterModal);
+  document.getElementById('btnSaveShiftRoster').addEventListener('click', saveShiftRoster);
+  document.getElementById('btnAddShift').addEventListener('click', () => {
+    renderShiftRosterRows([...readShiftRosterRows(), { code: '', label: '', start: '', end: '' }]);
+  });
+  document.getElementById('btnResetShiftRoster').addEventListener('click', () => {
+    renderShiftRosterRows(DEFAULT_SHIFT_ROSTER);
+  });
 
-        // Show compression info
-        const originalSize = (file.size / 1024).toFixed(2);
-        const compressedSize = (compressedBlob.size / 1024).toFixed(2);
-        console.log(`📸 Follow-up image compressed: ${file.name} ${originalSize}KB → ${compressedSize}KB`);
-      } catch (error) {
-        console.error('Failed to compress image:', error);
-        showAlert(`Gagal memproses gambar "${file.name}"`, 'error');
-      }
-    }
+  // Productivity Target modal
+  document.getElementById('btnProductivityTargets').addEventListener('click', openProductivityTargetModal);
+  document.getElementById('btnCancelProductivityTargets').addEventListener('click', closeProductivityTargetModal);
+  document.getElementById('btnSaveProductivityTargets').addEventListener('click', saveProductivityTargets);
+  document.getElementById('btnAddProductivityTarget').addEventListener('click', () => {
+    renderProductivityTargetRows([...readProductivityTargetRows(), { prefix: '', model: '', jenisMaterial: '', target: '' }]);
+  });
+  document.getElementById('btnResetProductivityTargets').addEventListener('click', () => {
+    renderProductivityTargetRows(DEFAULT_PRODUCTIVITY_TARGETS);
+    document.getElementById('jobEfficiencyInput').value = DEFAULT_JOB_EFFICIENCY * 100;
+  });
 
-    // Update preview
-    updateFollowUpPhotoPreview();
+  // Shift Report modal
+  document.getElementById('btnShiftReport').addEventListener('click', openShiftReportModal);
+  document.getElementById('btnCancelShiftReport').addEventListener('click', closeShiftReportModal);
+  document.getElementById('btnShiftReportPDF').addEventListener('click', () => generateShiftReport('pdf'));
+  document.getElementById('btnShiftReportExcel').addEventListener('click', () => generateShiftReport('xlsx'));
+  ['shiftReportDate', 'shiftReportShift', 'shiftReportPit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadShiftReportSignOff);
+  });
 
-    // Clear input to allow re-selecting the same files
-    followUpPhotoInput.value = '';
+  // Report Template modal
+  document.getElementById('btnReportTemplate').addEventListener('click', openReportTemplateModal);
+  document.getElementById('btnCancelReportTemplate').addEventListener('click', closeReportTemplateModal);
+  document.getElementById('btnSaveReportTemplate').addEventListener('click', saveReportTemplate);
+  document.getElementById('btnResetReportTemplate').addEventListener('click', resetReportTemplateDraft);
+  document.getElementById('reportLogoInput').addEventListener('change', handleReportLogoSelect);
+  document.getElementById('btnRemoveReportLogo').addEventListener('click', removeReportLogo);
+  document.querySelectorAll('[data-report-column-tab]').forEach(button => {
+    button.addEventListener('click', () => {
+      reportTemplateColumnTab = button.dataset.reportColumnTab;
+      renderReportTemplateColumns();
+    });
   });
 
-  /**
-   * Update follow-up photo preview grid
-   */
-  function updateFollowUpPhotoPreview() {
-    const grid = document.getElementById('followUpPhotoPreviewGrid');
-    const badge = document.getElementById('followUpPhotoCountBadge');
+  // Material Table modal
+  document.getElementById('btnMaterialTable').addEventListener('click', openMaterialTableModal);
+  document.getElementById('btnCancelMaterialTable').addEventListener('click', closeMaterialTableModal);
+  document.getElementById('btnSaveMaterialTable').addEventListener('click', saveMaterialTable);
+  document.getElementById('btnAddMaterial').addEventListener('click', () => {
+    renderMaterialTableRows([...readMaterialTableRows(), { name: '', swellFactor: '', density: '', fillFactor: 1 }]);
+  });
+  document.getElementById('btnResetMaterialTable').addEventListener('click', () => {
+    renderMaterialTableRows(DEFAULT_MATERIALS);
+  });
 
-    if (followUpPhotoBlobs.length === 0) {
-      followUpPhotoPreviewContainer.classList.add('hidden');
-      badge.classList.add('hidden');
-      grid.innerHTML = '';
-      return;
-    }
+  // Bulk Import modal
+  document.getElementById('btnBulkImport').addEventListener('click', openBulkImportModal);
+  document.getElementById('btnCancelBulkImport').addEventListener('click', closeBulkImportModal);
+  document.getElementById('btnConfirmBulkImport').addEventListener('click', confirmBulkImport);
+  document.getElementById('btnUndoImport').addEventListener('click', undoLastImport);
+  document.getElementById('btnSelectBulkImportFile').addEventListener('click', () => {
+    document.getElementById('bulkImportInput').click();
+  });
+  document.getElementById('bulkImportInput').addEventListener('change', handleBulkImportFile);
+  document.getElementById('bulkImportType').addEventListener('change', handleBulkImportTypeChange);
+  document.getElementById('bulkImportMapping').addEventListener('change', handleBulkImportMappingChange);
+  document.getElementById('bulkImportSkipWarnings').addEventListener('change', updateBulkImportConfirm);
+
+  // FMS Dispatch modal
+  document.getElementById('btnFmsDispatch').addEventListener('click', openFmsModal);
+  document.getElementById('btnCloseFms').addEventListener('click', closeFmsModal);
+  document.getElementById('btnResetFms').addEventListener('click', resetFmsData);
+  document.getElementById('btnSelectFmsFiles').addEventListener('click', () => {
+    document.getElementById('fmsFileInput').click();
+  });
+  document.getElementById('fmsFileInput').addEventListener('change', handleFmsFiles);
+  document.getElementById('fmsStatusFilter').addEventListener('change', renderFmsComparison);
 
-    followUpPhotoPreviewContainer.classList.remove('hidden');
-    badge.classList.remove('hidden');
-    badge.textContent = followUpPhotoBlobs.length;
+  // Edit Modal buttons
+  document.getElementById('btnSaveEdit').addEventListener('click', saveEdit);
+  document.getElementById('btnCancelEdit').addEventListener('click', closeEditModal);
+}
 
-    // Clear grid
-    grid.innerHTML = '';
+// ==========================================
+// Real-Time Input Validation System
+// ==========================================
+function setupInputValidation() {
+  // Validation helper function
+  function validateInput(inputId, validationFn, errorMessage = '') {
+    const input = document.getElementById(inputId);
+    if (!input) return;
 
-    // Add each photo preview
-    followUpPhotoBlobs.forEach((photo, index) => {
-      const previewItem = document.createElement('div');
-      previewItem.className = 'relative bg-gray-50 rounded-lg overflow-hidden border-2 border-blue-200 group';
-      previewItem.innerHTML = `
-        <img src="${photo.preview}" alt="Preview ${index + 1}" class="w-full h-32 object-cover cursor-pointer hover:opacity-90 transition-opacity" data-lightbox-index="${index}" />
-        <button
-          type="button"
-          data-index="${index}"
-          class="followup-photo-remove-btn absolute top-2 right-2 w-8 h-8 min-w-[2rem] min-h-[2rem] bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center transition-all shadow-lg opacity-0 group-hover:opacity-100 hover:scale-110 active:scale-95 flex-shrink-0"
-          style="aspect-ratio: 1/1;">
-          <i class="fas fa-times text-xs"></i>
-        </button>
-        <div class="absolute bottom-0 left-0 right-0 bg-black/50 text-white text-xs px-2 py-1 truncate">
-          ${(photo.blob.size / 1024).toFixed(1)}KB
-        </div>
-      `;
-      grid.appendChild(previewItem);
-    });
+    const validIcon = document.getElementById(inputId + '-valid');
+    const invalidIcon = document.getElementById(inputId + '-invalid');
 
-    // Add remove button listeners
-    grid.querySelectorAll('.followup-photo-remove-btn').forEach(btn => {
-      btn.addEventListener('click', function () {
-        const index = parseInt(this.dataset.index);
-        removeFollowUpPhoto(index);
-      });
+    // Validate on input
+    input.addEventListener('input', function () {
+      validateField(this, validIcon, invalidIcon, validationFn, errorMessage);
     });
 
-    // Add lightbox click listeners to images
-    grid.querySelectorAll('img[data-lightbox-index]').forEach(img => {
-      img.addEventListener('click', function () {
-        const index = parseInt(this.dataset.lightboxIndex);
-        openPhotoLightbox(index, followUpPhotoBlobs);
-      });
+    // Validate on blur (when user leaves the field)
+    input.addEventListener('blur', function () {
+      if (this.value !== '') {
+        validateField(this, validIcon, invalidIcon, validationFn, errorMessage);
+      }
     });
   }
 
-  /**
-   * Remove a follow-up photo from the list
-   * @param {number} index - Photo index
-   */
-  function removeFollowUpPhoto(index) {
-    if (index >= 0 && index < followUpPhotoBlobs.length) {
-      // Revoke object URL to free memory
-      URL.revokeObjectURL(followUpPhotoBlobs[index].preview);
-
-      // Remove from array
-      followUpPhotoBlobs.splice(index, 1);
-
-      // Update preview
-      updateFollowUpPhotoPreview();
+  function validateField(input, validIcon, invalidIcon, validationFn, errorMessage) {
+    // Remove both icons first
+    if (validIcon) {
+      validIcon.classList.remove('show');
+      validIcon.classList.add('hidden');
+    }
+    if (invalidIcon) {
+      invalidIcon.classList.remove('show');
+      invalidIcon.classList.add('hidden');
     }
-  }
-
-  /**
-   * Set current follow-up photo blobs (for editing)
-   * @param {Array} photos - Array of photo objects
-   */
-  window.setFollowUpPhotoBlobs = function (photos) {
-    // Clear existing photos
-    followUpPhotoBlobs.forEach(photo => {
-      URL.revokeObjectURL(photo.preview);
-    });
-
-    // Set new photos
-    followUpPhotoBlobs = photos;
-    updateFollowUpPhotoPreview();
-  };
 
-  // Open Modal
-  function openIssueModal(preSelectedExcavator = null) {
-    populateExcavatorOptions();
+    // Remove error state
+    input.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
 
-    // Initialize with one empty delay and one empty productivity item
-    if (delayItems.length === 0) {
-      delayItems = [createDelayItem(0)];
-      renderDelayItems();
-    }
-    if (productivityItems.length === 0) {
-      productivityItems = [createProductivityItem(0)];
-      renderProductivityItems();
+    // If empty, don't show anything (unless required on blur)
+    if (input.value === '') {
+      return;
     }
 
-    // Pre-select excavator if provided
-    if (preSelectedExcavator) {
-      excavatorSelect.value = preSelectedExcavator;
-      // Trigger date population immediately for pre-selected excavator
-      populateDateOptions(preSelectedExcavator);
-    }
+    // Validate
+    const isValid = validationFn(input.value);
 
-    modal.classList.remove('hidden');
-    setTimeout(() => {
-      modal.querySelector('.modal-content').classList.remove('scale-95', 'opacity-0');
-      modal.querySelector('.modal-content').classList.add('scale-100', 'opacity-100');
-    }, 10);
+    if (isValid) {
+      // Valid - show green checkmark
+      if (validIcon) {
+        validIcon.classList.remove('hidden');
+        validIcon.classList.add('show');
+        console.log('✅ Valid:', input.id, input.value);
+      }
+      input.classList.remove('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
+    } else {
+      // Invalid - show red exclamation and red border
+      if (invalidIcon) {
+        invalidIcon.classList.remove('hidden');
+        invalidIcon.classList.add('show');
+        console.log('❌ Invalid:', input.id, input.value);
+      }
+      input.classList.add('border-red-500', 'focus:border-red-500', 'focus:ring-red-200');
+    }
   }
 
-  // Global function to open modal with pre-selected excavator
-  window.openIssueModalForExcavator = function (excavatorId) {
-    openIssueModal(excavatorId);
-  };
-
-  // Close Modal
-  function closeIssueModal() {
-    modal.querySelector('.modal-content').classList.add('scale-95', 'opacity-0');
-    modal.querySelector('.modal-content').classList.remove('scale-100', 'opacity-100');
-    setTimeout(() => {
-      modal.classList.add('hidden');
-      resetIssueForm();
-    }, 200);
-  }
+  // Data Umum Form Validations
+  validateInput('namaPengawas', (val) => val.trim().length > 0);
+  validateInput('nrp', (val) => val.trim().length > 0);
+  validateInput('noExcavator', (val) => /^EX[0-9]{4}$/.test(val));
+  validateInput('namaOperator', (val) => val.trim().length > 0);
+  validateInput('jenisMaterial', (val) => val.trim().length > 0);
 
-  // Reset Form
-  function resetIssueForm() {
-    // Clear edit state
-    delete window.currentEditIssueIndex;
+  // Productivity Calculator Validations
+  validateInput('jumlahRitase', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num > 0;
+  });
 
-    // Reset modal title back to "Add"
-    const modalTitle = modal.querySelector('h2');
-    const modalSubtitle = modal.querySelector('p');
-    const saveBtn = document.getElementById('saveIssueBtn');
-    const saveBtnText = saveBtn?.querySelector('span');
+  validateInput('hmAwal', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num >= 0;
+  });
 
-    if (modalTitle) modalTitle.textContent = 'Tambah Catatan Problem';
-    if (modalSubtitle) modalSubtitle.textContent = 'Dokumentasi masalah Delay & Productivity';
-    if (saveBtnText) saveBtnText.textContent = 'Simpan Catatan';
+  validateInput('hmAkhir', (val) => {
+    const num = parseFloat(val);
+    const hmAwal = parseFloat(document.getElementById('hmAwal').value);
+    return !isNaN(num) && num >= 0 && (isNaN(hmAwal) || num > hmAwal);
+  });
 
-    excavatorSelect.value = '';
+  validateInput('kapasitas', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num > 0;
+  });
 
-    // Clear and hide date selector
-    dateSelect.value = '';
-    dateContainer.classList.add('hidden');
+  // Match Factor Calculator Validations
+  validateInput('jumlahHD', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num > 0 && Number.isInteger(num);
+  });
 
-    // Reset delay and productivity arrays
-    delayItems = [createDelayItem(0)];
-    productivityItems = [createProductivityItem(0)];
-    renderDelayItems();
-    renderProductivityItems();
+  validateInput('cycleTimeHauler', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num > 0;
+  });
 
-    // Clear photos
-    currentPhotoBlobs.forEach(photo => {
-      URL.revokeObjectURL(photo.preview); // Free memory
-    });
-    currentPhotoBlobs = [];
-    updatePhotoPreview();
+  validateInput('cycleTimeLoader', (val) => {
+    const num = parseFloat(val);
+    return !isNaN(num) && num > 0;
+  });
 
-    // Clear follow-up photos
-    followUpPhotoBlobs.forEach(photo => {
-      URL.revokeObjectURL(photo.preview); // Free memory
-    });
-    followUpPhotoBlobs = [];
-    updateFollowUpPhotoPreview();
+  // Special validation for HM Akhir to check against HM Awal
+  document.getElementById('hmAwal').addEventListener('input', function () {
+    const hmAkhirInput = document.getElementById('hmAkhir');
+    if (hmAkhirInput.value !== '') {
+      hmAkhirInput.dispatchEvent(new Event('input'));
+    }
+  });
+}
 
-    additionalNotes.value = '';
-    document.getElementById('followUpNotes').value = '';
-  }
+// ==========================================
+// Issue Modal Setup & Handlers
+// ==========================================
+// ===== HELPER FUNCTIONS FOR FORMATTING MULTIPLE DELAYS/PRODUCTIVITIES =====
+function getIssueDelays(issue) {
+  // Return delays array with backward compatibility
+  return issue.delays || (issue.delay ? [issue.delay] : []);
+}
 
-  // Save Issue
-  async function saveIssue() {
-    const excavator = excavatorSelect.value;
-    const selectedDate = dateSelect.value;
-    const notes = additionalNotes.value.trim();
-    const followUpNotes = document.getElementById('followUpNotes').value.trim();
+function getIssueProductivities(issue) {
+  // Return productivities array with backward compatibility
+  return issue.productivities || (issue.productivity ? [issue.productivity] : []);
+}
 
-    // Check if we're editing an existing issue
-    const isEditing = typeof window.currentEditIssueIndex !== 'undefined';
-    const editIndex = window.currentEditIssueIndex;
+function formatDelaysHTML(issue, separator = '<br>') {
+  const delays = getIssueDelays(issue);
+  if (delays.length === 0) return '<span class="text-gray-400">Tidak ada</span>';
 
-    // Validation: Must select excavator
-    if (!excavator) {
-      showAlert('Pilih Excavator terlebih dahulu!', 'error');
-      return;
+  return delays.map(delay => {
+    let html = `<div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}${formatDelayDurationBadge(delay)}</div>`;
+    if (delay.subCode && delay.subLabel) {
+      html += `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>`;
     }
-
-    // Validation: Must select date
-    if (!selectedDate) {
-      showAlert('Pilih Tanggal terlebih dahulu!', 'error');
-      return;
+    if (delay.customText) {
+      html += `<div class="text-gray-500 italic mt-1">${delay.customText}</div>`;
     }
+    return html;
+  }).join(separator);
+}
 
-    // Validation: At least one valid delay with mainCode
-    const validDelays = delayItems.filter(item => item.mainCode);
-    if (validDelays.length === 0) {
-      showAlert('Minimal harus ada 1 Delay Problem yang diisi!', 'error');
-      return;
-    }
+function formatProductivitiesHTML(issue, separator = '<br>') {
+  const productivities = getIssueProductivities(issue);
+  if (productivities.length === 0) return '<span class="text-gray-400">Tidak ada</span>';
 
-    // Validation: At least one valid productivity with mainCode
-    const validProductivities = productivityItems.filter(item => item.mainCode);
-    if (validProductivities.length === 0) {
-      showAlert('Minimal harus ada 1 Productivity Problem yang diisi!', 'error');
-      return;
+  return productivities.map(prod => {
+    let html = `<div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>`;
+    if (prod.subOption) {
+      html += `<div class="text-gray-600 mt-1">${prod.subOption}</div>`;
     }
+    if (prod.customText) {
+      html += `<div class="text-gray-500 italic mt-1">${prod.customText}</div>`;
+    }
+    return html;
+  }).join(separator);
+}
 
-    // Build or update issue object
-    let issue;
+function formatDelaysText(issue, separator = '\n') {
+  const delays = getIssueDelays(issue);
+  if (delays.length === 0) return 'Tidak ada';
 
-    if (isEditing) {
-      // Update existing issue
-      issue = AppState.issuesData[editIndex];
+  return delays.map(delay => {
+    let text = `${delay.mainCode} - ${delay.mainLabel}`;
+    if (delay.subCode && delay.subLabel) {
+      text += ` | ${delay.subCode} - ${delay.subLabel}`;
+    }
+    if (delay.customText) {
+      text += ` | ${delay.customText}`;
+    }
+    if (getDelayMinutes(delay) > 0) {
+      text += ` | ${formatDelayDuration(delay)}`;
+    }
+    return text;
+  }).join(separator);
+}
 
-      // Delete old photos from IndexedDB if they exist
-      if (issue.imageIds && issue.imageIds.length > 0) {
-        try {
-          await imageStorage.deleteImages(issue.imageIds);
-          console.log(`✅ Deleted old photos from IndexedDB for issue ${issue.id}`);
-        } catch (error) {
-          console.warn('Failed to delete old photos:', error);
-        }
-      }
-
-      // Delete old follow-up photos from IndexedDB if they exist
-      if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-        try {
-          await imageStorage.deleteImages(issue.followUpImageIds);
-          console.log(`✅ Deleted old follow-up photos from IndexedDB for issue ${issue.id}`);
-        } catch (error) {
-          console.warn('Failed to delete old follow-up photos:', error);
-        }
-      }
-
-      // Keep the original ID, but update timestamp if datetime changed
-      const selectedDateTime = new Date(selectedDate);
-      issue.excavator = excavator;
-      issue.timestamp = selectedDateTime.toISOString(); // Update timestamp with selected datetime
-      issue.imageIds = [];
-      issue.followUpImageIds = [];
-      issue.notes = notes;
-      issue.followUpNotes = followUpNotes;
-    } else {
-      // Create new issue
-      const issueId = Date.now();
-
-      // Use the selected datetime directly (it already includes hours and minutes)
-      const selectedDateTime = new Date(selectedDate);
+function formatProductivitiesText(issue, separator = '\n') {
+  const productivities = getIssueProductivities(issue);
+  if (productivities.length === 0) return 'Tidak ada';
 
-      issue = {
-        id: issueId,
-        timestamp: selectedDateTime.toISOString(),
-        excavator: excavator,
-        delay: null,
-        productivity: null,
-        imageIds: [], // Store image IDs instead of base64
-        followUpImageIds: [], // Store follow-up image IDs
-        notes: notes,
-        followUpNotes: followUpNotes
-      };
+  return productivities.map(prod => {
+    let text = `Kat. ${prod.mainCode} - ${prod.mainLabel}`;
+    if (prod.subOption) {
+      text += ` | ${prod.subOption}`;
     }
+    if (prod.customText) {
+      text += ` | ${prod.customText}`;
+    }
+    return text;
+  }).join(separator);
+}
 
-    // Process Delay Problems (multiple)
-    issue.delays = validDelays.map(item => {
-      const delayLabel = DELAY_OPTIONS[item.mainCode]?.label || '';
-      let delaySubLabel = '';
-
-      if (item.subCode) {
-        const subOption = DELAY_OPTIONS[item.mainCode]?.sub?.find(s => s.code === item.subCode);
-        delaySubLabel = subOption ? subOption.label : '';
-      }
-
-      return {
-        mainCode: item.mainCode,
-        mainLabel: delayLabel,
-        subCode: item.subCode || null,
-        subLabel: delaySubLabel || null,
-        customText: item.customText || null
-      };
-    });
+// ===== GLOBAL VARIABLES FOR DYNAMIC DELAY/PRODUCTIVITY ITEMS =====
+let delayItems = [];
+let productivityItems = [];
+let delayItemsContainer;
+let productivityItemsContainer;
+let addDelayBtn;
+let addProductivityBtn;
 
-    // Process Productivity Problems (multiple)
-    issue.productivities = validProductivities.map(item => {
-      const productivityLabel = PRODUCTIVITY_OPTIONS[item.mainCode]?.label || '';
+// ===== DYNAMIC DELAY ITEMS FUNCTIONS (GLOBAL) =====
+function createDelayItem(index) {
+  return {
+    id: Date.now() + index,
+    mainCode: '',
+    subCode: '',
+    customText: '',
+    startTime: '',
+    endTime: '',
+    minutes: ''
+  };
+}
 
-      return {
-        mainCode: item.mainCode,
-        mainLabel: productivityLabel,
-        subOption: item.subOption || null,
-        customText: item.customText || null
-      };
-    });
+function renderDelayItems() {
+  if (!delayItemsContainer) return;
 
-    // Backward compatibility: Keep first items as single delay/productivity
-    issue.delay = issue.delays[0] || null;
-    issue.productivity = issue.productivities[0] || null;
+  const delayCatalog = getProblemCatalog().delay;
+  delayItemsContainer.innerHTML = '';
+  delayItems.forEach((item, index) => {
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'border-l-4 border-red-500 bg-red-50/50 rounded-lg p-3 sm:p-4 relative animate-fade-in';
+    itemDiv.dataset.index = index;
 
-    // Store photos in IndexedDB
-    if (currentPhotoBlobs.length > 0) {
-      try {
-        showAlert(`Menyimpan ${currentPhotoBlobs.length} foto ke IndexedDB...`, 'info');
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'flex items-center justify-between mb-3';
 
-        for (const photoData of currentPhotoBlobs) {
-          const imageId = await imageStorage.storeImage(photoData.blob, issue.id.toString());
-          issue.imageIds.push(imageId);
-        }
+    const badge = document.createElement('span');
+    badge.className = 'text-xs font-bold text-red-600 bg-red-100 px-2 py-1 rounded';
+    badge.textContent = `Delay #${index + 1}`;
+    headerDiv.appendChild(badge);
 
-        console.log(`✅ Stored ${currentPhotoBlobs.length} photos in IndexedDB for issue ${issue.id}`);
-      } catch (error) {
-        console.error('Failed to store photos:', error);
-        showAlert('Gagal menyimpan foto! Data issue tetap disimpan.', 'warning');
-      }
+    // Only show delete button if more than 1 item
+    if (delayItems.length > 1) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'text-red-500 hover:text-red-700 hover:bg-red-100 w-8 h-8 rounded-full transition-all';
+      deleteBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+      deleteBtn.onclick = () => removeDelayItem(index);
+      headerDiv.appendChild(deleteBtn);
     }
 
-    // Store follow-up photos in IndexedDB
-    if (followUpPhotoBlobs.length > 0) {
-      try {
-        showAlert(`Menyimpan ${followUpPhotoBlobs.length} foto follow-up ke IndexedDB...`, 'info');
+    itemDiv.appendChild(headerDiv);
 
-        for (const photoData of followUpPhotoBlobs) {
-          const imageId = await imageStorage.storeImage(photoData.blob, issue.id.toString() + '_followup');
-          issue.followUpImageIds.push(imageId);
-        }
+    // Main Category
+    const mainDiv = document.createElement('div');
+    mainDiv.className = 'mb-3';
+    const mainLabel = document.createElement('label');
+    mainLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+    mainLabel.textContent = 'Pilih Kategori Delay';
+    const mainSelect = document.createElement('select');
+    mainSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm bg-white';
+    mainSelect.innerHTML = '<option value="">-- Pilih Kategori --</option>';
+    const saved = item.saved || {};
+    const mainEntries = getSelectableCatalogEntries(delayCatalog, item.mainCode, entry => entry.code,
+      saved.mainCode === item.mainCode ? saved.mainLabel : '');
+    mainEntries.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.code;
+      option.textContent = entry.code === 'D0' ? 'Tidak Ada' : `${entry.code} - ${entry.label}${entry.active === false ? ' (nonaktif)' : ''}`;
+      if (item.mainCode === entry.code) option.selected = true;
+      mainSelect.appendChild(option);
+    });
+    mainSelect.onchange = (e) => handleDelayMainChange(index, e.target.value);
+    mainDiv.appendChild(mainLabel);
+    mainDiv.appendChild(mainSelect);
+    itemDiv.appendChild(mainDiv);
 
-        console.log(`✅ Stored ${followUpPhotoBlobs.length} follow-up photos in IndexedDB for issue ${issue.id}`);
-      } catch (error) {
-        console.error('Failed to store follow-up photos:', error);
-        showAlert('Gagal menyimpan foto follow-up! Data issue tetap disimpan.', 'warning');
-      }
+    // Sub Category (shown if applicable)
+    const mainEntry = mainEntries.find(entry => entry.code === item.mainCode);
+    const subEntries = getSelectableCatalogEntries(mainEntry ? mainEntry.sub || [] : [], item.subCode, sub => sub.code,
+      saved.mainCode === item.mainCode && saved.subCode === item.subCode ? saved.subLabel : '');
+    if (item.mainCode && subEntries.length > 0) {
+      const subDiv = document.createElement('div');
+      subDiv.className = 'mb-3';
+      const subLabel = document.createElement('label');
+      subLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+      subLabel.textContent = 'Pilih Sub-Kategori';
+      const subSelect = document.createElement('select');
+      subSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm bg-white';
+      subSelect.innerHTML = '<option value="">-- Pilih Sub-Kategori --</option>';
+      subEntries.forEach(subOption => {
+        const option = document.createElement('option');
+        option.value = subOption.code;
+        option.textContent = `${subOption.code} - ${subOption.label}${subOption.active === false ? ' (nonaktif)' : ''}`;
+        if (item.subCode === subOption.code) option.selected = true;
+        subSelect.appendChild(option);
+      });
+      subSelect.onchange = (e) => handleDelaySubChange(index, e.target.value);
+      subDiv.appendChild(subLabel);
+      subDiv.appendChild(subSelect);
+      itemDiv.appendChild(subDiv);
     }
 
-    // Save to AppState
-    if (!isEditing) {
-      AppState.issuesData.push(issue);
+    // Custom Text (shown if "Others" selected)
+    if (item.subCode && item.subCode.toLowerCase().includes('other')) {
+      const customDiv = document.createElement('div');
+      customDiv.className = 'mb-2';
+      const customLabel = document.createElement('label');
+      customLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+      customLabel.textContent = 'Keterangan Detail';
+      const customTextarea = document.createElement('textarea');
+      customTextarea.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm resize-none';
+      customTextarea.rows = 2;
+      customTextarea.placeholder = 'Masukkan keterangan detail...';
+      customTextarea.value = item.customText || '';
+      customTextarea.oninput = (e) => {
+        delayItems[index].customText = e.target.value;
+      };
+      customDiv.appendChild(customLabel);
+      customDiv.appendChild(customTextarea);
+      itemDiv.appendChild(customDiv);
     }
-    // If editing, the issue is already updated in the array by reference
 
-    saveToLocalStorage();
-
-    const totalPhotos = issue.imageIds.length + (issue.followUpImageIds?.length || 0);
-    const photoMsg = totalPhotos > 0 ? ` dengan ${totalPhotos} foto` : '';
-    const action = isEditing ? 'diperbarui' : 'disimpan';
-    showAlert(`Catatan problem${photoMsg} berhasil ${action}!`, 'success');
-
-    // Clear edit state
-    delete window.currentEditIssueIndex;
+    // Duration: start/end within the hour, or minutes only
+    if (item.mainCode && item.mainCode !== 'D0') {
+      itemDiv.appendChild(createDelayDurationFields(index));
+    }
 
-    closeIssueModal();
+    delayItemsContainer.appendChild(itemDiv);
+  });
 
-    // Update UI to show issues
-    renderIssuesTable();
-  }
+  const totalDiv = document.createElement('div');
+  totalDiv.id = 'delayTotalInfo';
+  totalDiv.className = 'text-xs font-semibold text-right';
+  delayItemsContainer.appendChild(totalDiv);
+  updateDelayTotalInfo();
+}
 
-  // Event Listeners
-  if (btnAddIssue) btnAddIssue.addEventListener('click', () => openIssueModal());
-  if (closeBtn) closeBtn.addEventListener('click', closeIssueModal);
-  if (cancelBtn) cancelBtn.addEventListener('click', closeIssueModal);
-  if (saveBtn) saveBtn.addEventListener('click', saveIssue);
+function createDelayDurationFields(index) {
+  const item = delayItems[index];
+  const durationDiv = document.createElement('div');
+  durationDiv.className = 'grid grid-cols-3 gap-2 mt-2';
+
+  const inputClass = 'w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 outline-none transition-all text-sm bg-white';
+  const addField = (labelText, input) => {
+    const wrapper = document.createElement('div');
+    const label = document.createElement('label');
+    label.className = 'block text-xs font-semibold text-gray-700 mb-1';
+    label.textContent = labelText;
+    input.className = inputClass;
+    wrapper.appendChild(label);
+    wrapper.appendChild(input);
+    durationDiv.appendChild(wrapper);
+  };
 
-  // ESC key to close - but not if lightbox is open
-  document.addEventListener('keydown', function (e) {
-    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
-      // Check if lightbox is open - if so, don't close the modal
-      const lightbox = document.getElementById('photoLightbox');
-      if (lightbox) {
-        // Lightbox is open, let its own handler deal with ESC
-        return;
-      }
-      closeIssueModal();
+  const startInput = document.createElement('input');
+  startInput.type = 'time';
+  startInput.value = item.startTime || '';
+
+  const endInput = document.createElement('input');
+  endInput.type = 'time';
+  endInput.value = item.endTime || '';
+
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = '1';
+  minutesInput.max = String(HOUR_MINUTES);
+  minutesInput.step = '1';
+  minutesInput.placeholder = 'Menit';
+  minutesInput.value = item.minutes || '';
+
+  // Start/end win over a typed duration once both are filled
+  const syncFromClock = () => {
+    delayItems[index].startTime = startInput.value;
+    delayItems[index].endTime = endInput.value;
+    const hasClock = Boolean(startInput.value && endInput.value);
+    if (hasClock) {
+      delayItems[index].minutes = getDelayMinutes(delayItems[index]);
+      minutesInput.value = delayItems[index].minutes;
     }
-  });
+    minutesInput.readOnly = hasClock;
+    updateDelayTotalInfo();
+  };
+  startInput.onchange = syncFromClock;
+  endInput.onchange = syncFromClock;
+  minutesInput.readOnly = Boolean(item.startTime && item.endTime);
+  minutesInput.oninput = (e) => {
+    delayItems[index].minutes = e.target.value;
+    updateDelayTotalInfo();
+  };
 
-  // Click outside to close
-  modal.addEventListener('click', function (e) {
-    if (e.target === modal) {
-      closeIssueModal();
-    }
-  });
+  addField('Mulai', startInput);
+  addField('Selesai', endInput);
+  addField('Durasi (menit) *', minutesInput);
+
+  return durationDiv;
 }
 
-// ==========================================
-// Date Filter Functions (Global Scope)
-// ==========================================
-// Populate filter year dropdown with available years from data
-function populateFilterYears() {
-  const filterYear = document.getElementById('filterYear');
-  if (!filterYear) return;
+function updateDelayTotalInfo() {
+  const totalDiv = document.getElementById('delayTotalInfo');
+  if (!totalDiv) return;
 
-  const years = new Set();
+  const total = delayItems
+    .filter(item => item.mainCode && item.mainCode !== 'D0')
+    .reduce((sum, item) => sum + getDelayMinutes(item), 0);
 
-  // Collect years from all data sources
-  AppState.productivityData.forEach(item => {
-    const date = new Date(item.waktu);
-    years.add(date.getFullYear());
-  });
+  totalDiv.className = `text-xs font-semibold text-right ${total > HOUR_MINUTES ? 'text-red-600' : 'text-gray-500'}`;
+  totalDiv.innerHTML = `<i class="fas fa-stopwatch mr-1"></i>Total delay: ${formatMinutes(total)} / ${HOUR_MINUTES} menit`;
+}
 
-  AppState.matchFactorData.forEach(item => {
-    const date = new Date(item.waktu);
-    years.add(date.getFullYear());
-  });
+function handleDelayMainChange(index, value) {
+  delayItems[index].mainCode = value;
+  delayItems[index].subCode = '';
+  delayItems[index].customText = '';
+  renderDelayItems();
+}
 
-  AppState.issuesData.forEach(item => {
-    const date = new Date(item.timestamp);
-    years.add(date.getFullYear());
-  });
+function handleDelaySubChange(index, value) {
+  delayItems[index].subCode = value;
+  if (!value.toLowerCase().includes('other')) {
+    delayItems[index].customText = '';
+  }
+  renderDelayItems();
+}
 
-  // Sort years descending (newest first)
-  const sortedYears = Array.from(years).sort((a, b) => b - a);
+function addDelayItem() {
+  delayItems.push(createDelayItem(delayItems.length));
+  renderDelayItems();
+}
 
-  filterYear.innerHTML = '<option value="">-- Pilih Tahun --</option>';
-  sortedYears.forEach(year => {
-    const option = document.createElement('option');
-    option.value = year;
-    option.textContent = year;
-    filterYear.appendChild(option);
-  });
+function removeDelayItem(index) {
+  if (delayItems.length <= 1) {
+    showAlert('Minimal harus ada 1 Delay Problem!', 'warning');
+    return;
+  }
+  delayItems.splice(index, 1);
+  renderDelayItems();
 }
 
-// Populate filter month dropdown based on selected year
-function populateFilterMonths() {
-  const filterYear = document.getElementById('filterYear');
-  const filterMonth = document.getElementById('filterMonth');
-  const filterDay = document.getElementById('filterDay');
+// ===== DYNAMIC PRODUCTIVITY ITEMS FUNCTIONS (GLOBAL) =====
+function createProductivityItem(index) {
+  return {
+    id: Date.now() + index,
+    mainCode: '',
+    subOption: '',
+    customText: ''
+  };
+}
 
-  if (!filterYear || !filterMonth || !filterDay) return;
+function renderProductivityItems() {
+  if (!productivityItemsContainer) return;
 
-  const selectedYear = filterYear.value;
+  const productivityCatalog = getProblemCatalog().productivity;
+  productivityItemsContainer.innerHTML = '';
+  productivityItems.forEach((item, index) => {
+    const itemDiv = document.createElement('div');
+    itemDiv.className = 'border-l-4 border-orange-500 bg-orange-50/50 rounded-lg p-3 sm:p-4 relative animate-fade-in';
+    itemDiv.dataset.index = index;
 
-  if (!selectedYear) {
-    filterMonth.innerHTML = '<option value="">-- Pilih Bulan --</option>';
-    filterMonth.disabled = true;
-    filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
-    filterDay.disabled = true;
-    return;
-  }
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'flex items-center justify-between mb-3';
 
-  const months = new Set();
-  const year = parseInt(selectedYear);
+    const badge = document.createElement('span');
+    badge.className = 'text-xs font-bold text-orange-600 bg-orange-100 px-2 py-1 rounded';
+    badge.textContent = `Productivity #${index + 1}`;
+    headerDiv.appendChild(badge);
 
-  // Collect months from all data sources for the selected year
-  AppState.productivityData.forEach(item => {
-    const date = new Date(item.waktu);
-    if (date.getFullYear() === year) {
-      months.add(date.getMonth());
+    // Only show delete button if more than 1 item
+    if (productivityItems.length > 1) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'text-orange-600 hover:text-orange-700 hover:bg-orange-100 w-8 h-8 rounded-full transition-all';
+      deleteBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+      deleteBtn.onclick = () => removeProductivityItem(index);
+      headerDiv.appendChild(deleteBtn);
     }
-  });
 
-  AppState.matchFactorData.forEach(item => {
-    const date = new Date(item.waktu);
-    if (date.getFullYear() === year) {
-      months.add(date.getMonth());
-    }
-  });
+    itemDiv.appendChild(headerDiv);
 
-  AppState.issuesData.forEach(item => {
-    const date = new Date(item.timestamp);
-    if (date.getFullYear() === year) {
-      months.add(date.getMonth());
-    }
-  });
+    // Main Category
+    const mainDiv = document.createElement('div');
+    mainDiv.className = 'mb-3';
+    const mainLabel = document.createElement('label');
+    mainLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+    mainLabel.textContent = 'Pilih Kategori Productivity';
+    const mainSelect = document.createElement('select');
+    mainSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm bg-white';
+    mainSelect.innerHTML = '<option value="">-- Pilih Kategori --</option>';
+    const saved = item.saved || {};
+    const mainEntries = getSelectableCatalogEntries(productivityCatalog, item.mainCode, entry => entry.code,
+      saved.mainCode === item.mainCode ? saved.mainLabel : '');
+    mainEntries.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.code;
+      option.textContent = entry.code === '0' ? 'Tidak Ada' : `Kategori ${entry.code}: ${entry.label}${entry.active === false ? ' (nonaktif)' : ''}`;
+      if (item.mainCode === entry.code) option.selected = true;
+      mainSelect.appendChild(option);
+    });
+    mainSelect.onchange = (e) => handleProductivityMainChange(index, e.target.value);
+    mainDiv.appendChild(mainLabel);
+    mainDiv.appendChild(mainSelect);
+    itemDiv.appendChild(mainDiv);
 
-  // Sort months
-  const sortedMonths = Array.from(months).sort((a, b) => a - b);
+    // Sub Category (shown if applicable)
+    const mainEntry = mainEntries.find(entry => entry.code === item.mainCode);
+    const subEntries = getSelectableCatalogEntries(mainEntry ? mainEntry.sub || [] : [], item.subOption, sub => sub.label);
+    if (item.mainCode && subEntries.length > 0) {
+      const subDiv = document.createElement('div');
+      subDiv.className = 'mb-3';
+      const subLabel = document.createElement('label');
+      subLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+      subLabel.textContent = 'Pilih Sub-Kategori';
+      const subSelect = document.createElement('select');
+      subSelect.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm bg-white';
+      subSelect.innerHTML = '<option value="">-- Pilih Sub-Kategori --</option>';
+      subEntries.forEach(subOption => {
+        const option = document.createElement('option');
+        option.value = subOption.label;
+        option.textContent = `${subOption.label}${subOption.active === false ? ' (nonaktif)' : ''}`;
+        if (item.subOption === subOption.label) option.selected = true;
+        subSelect.appendChild(option);
+      });
+      subSelect.onchange = (e) => handleProductivitySubChange(index, e.target.value);
+      subDiv.appendChild(subLabel);
+      subDiv.appendChild(subSelect);
+      itemDiv.appendChild(subDiv);
+    }
 
-  const monthNames = [
-    'Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
-    'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'
-  ];
+    // Custom Text (shown if "Other" selected)
+    if (item.subOption && item.subOption.toLowerCase() === 'other') {
+      const customDiv = document.createElement('div');
+      customDiv.className = 'mb-2';
+      const customLabel = document.createElement('label');
+      customLabel.className = 'block text-sm font-semibold text-gray-700 mb-2';
+      customLabel.textContent = 'Keterangan Detail';
+      const customTextarea = document.createElement('textarea');
+      customTextarea.className = 'w-full px-4 py-2.5 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none transition-all text-sm resize-none';
+      customTextarea.rows = 2;
+      customTextarea.placeholder = 'Masukkan keterangan detail...';
+      customTextarea.value = item.customText || '';
+      customTextarea.oninput = (e) => {
+        productivityItems[index].customText = e.target.value;
+      };
+      customDiv.appendChild(customLabel);
+      customDiv.appendChild(customTextarea);
+      itemDiv.appendChild(customDiv);
+    }
 
-  filterMonth.innerHTML = '<option value="">-- Pilih Bulan --</option>';
-  sortedMonths.forEach(monthIndex => {
-    const option = document.createElement('option');
-    option.value = monthIndex;
-    option.textContent = monthNames[monthIndex];
-    filterMonth.appendChild(option);
+    productivityItemsContainer.appendChild(itemDiv);
   });
-
-  filterMonth.disabled = false;
-  filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
-  filterDay.disabled = true;
 }
 
-// Populate filter day dropdown based on selected year and month
-function populateFilterDays() {
-  const filterYear = document.getElementById('filterYear');
-  const filterMonth = document.getElementById('filterMonth');
-  const filterDay = document.getElementById('filterDay');
+function handleProductivityMainChange(index, value) {
+  productivityItems[index].mainCode = value;
+  productivityItems[index].subOption = '';
+  productivityItems[index].customText = '';
+  renderProductivityItems();
+}
 
-  if (!filterYear || !filterMonth || !filterDay) return;
+function handleProductivitySubChange(index, value) {
+  productivityItems[index].subOption = value;
+  if (value.toLowerCase() !== 'other') {
+    productivityItems[index].customText = '';
+  }
+  renderProductivityItems();
+}
 
-  const selectedYear = filterYear.value;
-  const selectedMonth = filterMonth.value;
+function addProductivityItem() {
+  productivityItems.push(createProductivityItem(productivityItems.length));
+  renderProductivityItems();
+}
 
-  if (!selectedYear || selectedMonth === '') {
-    filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
-    filterDay.disabled = true;
+function removeProductivityItem(index) {
+  if (productivityItems.length <= 1) {
+    showAlert('Minimal harus ada 1 Productivity Problem!', 'warning');
     return;
   }
+  productivityItems.splice(index, 1);
+  renderProductivityItems();
+}
 
-  const days = new Set();
-  const year = parseInt(selectedYear);
-  const month = parseInt(selectedMonth);
+function setupIssueModal() {
+  const modal = document.getElementById('issueModal');
+  const btnAddIssue = document.getElementById('btnAddIssue');
+  const closeBtn = document.getElementById('closeIssueModalBtn');
+  const cancelBtn = document.getElementById('cancelIssueBtn');
+  const saveBtn = document.getElementById('saveIssueBtn');
 
-  // Collect days from all data sources for the selected year and month
-  AppState.productivityData.forEach(item => {
-    const date = new Date(item.waktu);
-    if (date.getFullYear() === year && date.getMonth() === month) {
-      days.add(date.getDate());
-    }
-  });
+  // Excavator select
+  const excavatorSelect = document.getElementById('issueExcavatorSelect');
+  const dateContainer = document.getElementById('issueDateContainer');
+  const dateSelect = document.getElementById('issueDateSelect');
 
-  AppState.matchFactorData.forEach(item => {
-    const date = new Date(item.waktu);
-    if (date.getFullYear() === year && date.getMonth() === month) {
-      days.add(date.getDate());
-    }
-  });
+  // Set global container references
+  delayItemsContainer = document.getElementById('delayItemsContainer');
+  addDelayBtn = document.getElementById('addDelayBtn');
+  productivityItemsContainer = document.getElementById('productivityItemsContainer');
+  addProductivityBtn = document.getElementById('addProductivityBtn');
 
-  AppState.issuesData.forEach(item => {
-    const date = new Date(item.timestamp);
-    if (date.getFullYear() === year && date.getMonth() === month) {
-      days.add(date.getDate());
-    }
-  });
+  // Photo elements
+  const photoBtn = document.getElementById('issuePhotoBtn');
+  const photoInput = document.getElementById('issuePhotoInput');
+  const photoPreviewContainer = document.getElementById('issuePhotoPreviewContainer');
+  const photoPreview = document.getElementById('issuePhotoPreview');
+  const photoRemoveBtn = document.getElementById('issuePhotoRemoveBtn');
 
-  // Sort days
-  const sortedDays = Array.from(days).sort((a, b) => a - b);
+  // Follow-up photo elements
+  const followUpPhotoBtn = document.getElementById('followUpPhotoBtn');
+  const followUpPhotoInput = document.getElementById('followUpPhotoInput');
+  const followUpPhotoPreviewContainer = document.getElementById('followUpPhotoPreviewContainer');
 
-  filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
-  sortedDays.forEach(day => {
-    const option = document.createElement('option');
-    option.value = day;
-    option.textContent = day;
-    filterDay.appendChild(option);
-  });
-
-  filterDay.disabled = false;
-}
-
-// Populate Available DateTime Options for Selected Excavator (for Issue Modal)
-function populateDateOptions(excavatorId) {
-  const dateSelect = document.getElementById('issueDateSelect');
-  const dateContainer = document.getElementById('issueDateContainer');
+  // Additional notes
+  const additionalNotes = document.getElementById('issueAdditionalNotes');
 
-  if (!dateSelect || !dateContainer) return;
+  let currentPhotoBase64 = null;
 
-  dateSelect.innerHTML = '<option value="">-- Pilih Waktu --</option>';
+  // Note: Dynamic delay/productivity functions are now global (defined above setupIssueModal)
 
-  if (!excavatorId) {
-    dateContainer.classList.add('hidden');
-    return;
-  }
+  // Event listeners for add buttons
+  addDelayBtn.addEventListener('click', addDelayItem);
+  addProductivityBtn.addEventListener('click', addProductivityItem);
 
-  // Get unique datetimes from productivity and match factor data for this excavator
-  const datetimes = new Set();
+  // Populate Excavator Options
+  function populateExcavatorOptions() {
+    excavatorSelect.innerHTML = '<option value="">-- Pilih Excavator --</option>';
 
-  AppState.productivityData
-    .filter(item => item.noExcavator === excavatorId)
-    .forEach(item => {
-      const datetime = new Date(item.waktu).toISOString(); // Full ISO datetime
-      datetimes.add(datetime);
-    });
+    // Get unique excavators from both productivity and match factor data
+    const excavators = new Set();
+    AppState.productivityData.forEach(item => excavators.add(item.noExcavator));
+    AppState.matchFactorData.forEach(item => excavators.add(item.noExcavator));
 
-  AppState.matchFactorData
-    .filter(item => item.noExcavator === excavatorId)
-    .forEach(item => {
-      const datetime = new Date(item.waktu).toISOString();
-      datetimes.add(datetime);
+    const sortedExcavators = Array.from(excavators).sort();
+    sortedExcavators.forEach(ex => {
+      const option = document.createElement('option');
+      option.value = ex;
+      option.textContent = ex;
+      excavatorSelect.appendChild(option);
     });
-
-  if (datetimes.size === 0) {
-    dateContainer.classList.add('hidden');
-    showAlert(`Tidak ada data untuk excavator ${excavatorId}`, 'warning');
-    return;
   }
 
-  // Sort datetimes (newest first)
-  const sortedDatetimes = Array.from(datetimes).sort((a, b) => new Date(b) - new Date(a));
-
-  sortedDatetimes.forEach(datetimeStr => {
-    const dt = new Date(datetimeStr);
-    const option = document.createElement('option');
-    option.value = datetimeStr;
-    option.textContent = dt.toLocaleString('id-ID', {
-      weekday: 'short',
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    dateSelect.appendChild(option);
+  // Excavator Selection Change Handler
+  excavatorSelect.addEventListener('change', function () {
+    const selectedExcavator = this.value;
+    populateDateOptions(selectedExcavator);
   });
 
-  dateContainer.classList.remove('hidden');
-}
-
-// ==========================================
-// Productivity Calculator
-// ==========================================
-function calculateProductivity() {
-  const namaPengawas = document.getElementById('namaPengawas').value.trim();
-  const nrp = document.getElementById('nrp').value.trim();
-  const waktu = document.getElementById('waktu').value;
-  const noExcavator = document.getElementById('noExcavator').value.trim();
-  const namaOperator = document.getElementById('namaOperator').value.trim();
-  const jenisMaterial = document.getElementById('jenisMaterial').value;
-  const jumlahRitase = parseFloat(document.getElementById('jumlahRitase').value) || 0;
-  const hmAwal = parseFloat(document.getElementById('hmAwal').value) || 0;
-  const hmAkhir = parseFloat(document.getElementById('hmAkhir').value) || 0;
-  const kapasitas = parseFloat(document.getElementById('kapasitas').value) || 0;
-
-  // Validation
-  if (!namaPengawas || !nrp || !noExcavator || !namaOperator || !jenisMaterial) {
-    showAlert('Mohon lengkapi Data Umum (Nama Pengawas, NRP, No Excavator, Nama Operator, dan Jenis Material)', 'error');
-    return;
-  }
-
-  if (jumlahRitase <= 0 || kapasitas <= 0) {
-    showAlert('Jumlah Ritase dan Kapasitas harus lebih dari 0', 'error');
-    return;
-  }
+  // Photo Upload Handler - Multiple Photos Support
+  let currentPhotoBlobs = []; // Array of { blob: Blob, preview: string }
+  let followUpPhotoBlobs = []; // Array of { blob: Blob, preview: string } for follow-up section
 
-  if (hmAkhir <= hmAwal) {
-    showAlert('HM Akhir harus lebih besar dari HM Awal', 'error');
-    return;
-  }
+  photoBtn.addEventListener('click', function () {
+    photoInput.click();
+  });
 
-  // Calculate
-  const durasi = hmAkhir - hmAwal;
-  const productivity = (jumlahRitase * kapasitas) / durasi;
+  photoInput.addEventListener('change', async function (e) {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
 
-  const data = {
-    namaPengawas,
-    nrp,
-    waktu: waktu || new Date().toISOString().slice(0, 16),
-    noExcavator,
-    namaOperator,
-    jenisMaterial,
-    jumlahRitase,
-    hmAwal,
-    hmAkhir,
-    durasi: parseFloat(durasi.toFixed(2)),
-    kapasitas,
-    productivity: parseFloat(productivity.toFixed(2))
-  };
+    // Process each file
+    for (const file of files) {
+      // Validate file type
+      if (!file.type.startsWith('image/')) {
+        showAlert(`File "${file.name}" bukan gambar, dilewati!`, 'warning');
+        continue;
+      }
 
-  // Save to state and localStorage
-  AppState.productivityData.push(data);
-  saveToLocalStorage();
+      // Validate file size (max 5MB per file)
+      if (file.size > 5 * 1024 * 1024) {
+        showAlert(`File "${file.name}" terlalu besar (max 5MB), dilewati!`, 'warning');
+        continue;
+      }
 
-  // Update UI
-  renderProductivityTable();
-  updateProductivityChart();
-  updateFilterOptions();
-  updateTotalRecords();
-  updateLastUpdate();
+      try {
+        // Read and compress image
+        const compressedBlob = await compressImage(file);
+        const previewUrl = URL.createObjectURL(compressedBlob);
 
-  // Clear inputs (except Data Umum)
-  document.getElementById('jumlahRitase').value = '';
-  document.getElementById('hmAwal').value = '';
-  document.getElementById('hmAkhir').value = '';
-  document.getElementById('kapasitas').value = '';
+        // Add to current photos
+        currentPhotoBlobs.push({
+          blob: compressedBlob,
+          preview: previewUrl,
+          name: file.name
+        });
 
-  showAlert('Data Productivity berhasil ditambahkan!', 'success');
-}
+        // Show compression info
+        const originalSize = (file.size / 1024).toFixed(2);
+        const compressedSize = (compressedBlob.size / 1024).toFixed(2);
+        console.log(`📸 Image compressed: ${file.name} ${originalSize}KB → ${compressedSize}KB`);
+      } catch (error) {
+        console.error('Failed to compress image:', error);
+        showAlert(`Gagal memproses gambar "${file.name}"`, 'error');
+      }
+    }
 
-// ==========================================
-// Match Factor Calculator
-// ==========================================
-function calculateMatchFactor() {
-  const namaPengawas = document.getElementById('namaPengawas').value.trim();
-  const nrp = document.getElementById('nrp').value.trim();
-  const waktu = document.getElementById('waktu').value;
-  const noExcavator = document.getElementById('noExcavator').value.trim();
-  const namaOperator = document.getElementById('namaOperator').value.trim();
-  const jenisMaterial = document.getElementById('jenisMaterial').value;
-  const jumlahHD = parseFloat(document.getElementById('jumlahHD').value) || 0;
-  const cycleTimeHauler = parseFloat(document.getElementById('cycleTimeHauler').value) || 0;
-  const cycleTimeLoader = parseFloat(document.getElementById('cycleTimeLoader').value) || 0;
-
-  // Validation
-  if (!namaPengawas || !nrp || !noExcavator || !namaOperator || !jenisMaterial) {
-    showAlert('Mohon lengkapi Data Umum (Nama Pengawas, NRP, No Excavator, Nama Operator, dan Jenis Material)', 'error');
-    return;
-  }
+    // Update preview
+    updatePhotoPreview();
 
-  if (jumlahHD <= 0 || cycleTimeHauler <= 0 || cycleTimeLoader <= 0) {
-    showAlert('Semua field harus diisi dengan nilai lebih dari 0', 'error');
-    return;
-  }
+    // Clear input to allow re-selecting the same files
+    photoInput.value = '';
+  });
 
-  // Calculate
-  const matchFactor = (jumlahHD * cycleTimeLoader) / cycleTimeHauler;
+  /**
+   * Compress image file to JPEG blob
+   * @param {File} file - Image file
+   * @returns {Promise<Blob>} Compressed JPEG blob
+   */
+  function compressImage(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-  // Validate range
-  if (matchFactor < 0.1 || matchFactor > 2) {
-    showAlert(`Warning: Match Factor (${matchFactor.toFixed(2)}) di luar range valid (0.1 - 2)`, 'warning');
-  }
+      reader.onload = function (event) {
+        const img = new Image();
 
-  const data = {
-    namaPengawas,
-    nrp,
-    waktu: waktu || new Date().toISOString().slice(0, 16),
-    noExcavator,
-    namaOperator,
-    jenisMaterial,
-    jumlahHD,
-    cycleTimeHauler,
-    cycleTimeLoader,
-    matchFactor: parseFloat(matchFactor.toFixed(2))
-  };
+        img.onload = function () {
+          // Create canvas for compression
+          const canvas = document.createElement('canvas');
+          const ctx = canvas.getContext('2d');
 
-  // Save to state and localStorage
-  AppState.matchFactorData.push(data);
-  saveToLocalStorage();
+          // Calculate new dimensions (max 1200px width/height)
+          let width = img.width;
+          let height = img.height;
+          const maxSize = 1200;
 
-  // Update UI
-  renderMatchFactorTable();
-  updateMatchFactorChart();
-  updateFilterOptions();
-  updateTotalRecords();
-  updateLastUpdate();
+          if (width > height && width > maxSize) {
+            height = (height * maxSize) / width;
+            width = maxSize;
+          } else if (height > maxSize) {
+            width = (width * maxSize) / height;
+            height = maxSize;
+          }
 
-  // Clear inputs (except Data Umum)
-  document.getElementById('jumlahHD').value = '';
-  document.getElementById('cycleTimeHauler').value = '';
-  document.getElementById('cycleTimeLoader').value = '';
+          canvas.width = width;
+          canvas.height = height;
 
-  showAlert('Data Match Factor berhasil ditambahkan!', 'success');
-}
+          // Draw and compress (0.7 quality = ~70% compression)
+          ctx.drawImage(img, 0, 0, width, height);
 
-// ==========================================
-// Table Rendering
-// ==========================================
-function renderProductivityTable(filteredData = null) {
-  const data = filteredData || AppState.productivityData;
-  const tbody = document.getElementById('productivityTableBody');
-  tbody.innerHTML = '';
+          canvas.toBlob((blob) => {
+            if (blob) {
+              resolve(blob);
+            } else {
+              reject(new Error('Failed to create blob'));
+            }
+          }, 'image/jpeg', 0.7);
+        };
 
-  // Update record count
-  const countEl = document.getElementById('productivityCount');
-  if (countEl) {
-    countEl.textContent = `${data.length} data`;
-  }
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = event.target.result;
+      };
 
-  // Show empty state if no data
-  if (data.length === 0) {
-    tbody.innerHTML = `
-      <tr class="empty-state">
-        <td colspan="14" class="px-6 py-12 text-center">
-          <div class="flex flex-col items-center justify-center">
-            <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
-              <i class="fas fa-inbox text-gray-400 text-2xl"></i>
-            </div>
-            <p class="text-gray-500 font-medium mb-1">Belum ada data</p>
-            <p class="text-gray-400 text-sm">Mulai dengan menghitung productivity</p>
-          </div>
-        </td>
-      </tr>
-    `;
-    return;
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsDataURL(file);
+    });
   }
 
-  data.forEach((item, index) => {
-    const row = document.createElement('tr');
-    // Add zebra striping and hover effects
-    row.className = 'hover:bg-blue-50 transition-colors duration-150 even:bg-gray-50 group fade-in';
+  /**
+   * Update photo preview grid
+   */
+  function updatePhotoPreview() {
+    const grid = document.getElementById('issuePhotoPreviewGrid');
+    const badge = document.getElementById('photoCountBadge');
 
-    // Calculate delay: (WH_Target - (HM_Akhir - HM_Awal)) × 60
-    const selisihHM = parseFloat(item.hmAkhir) - parseFloat(item.hmAwal);
-    const whTarget = Math.ceil(selisihHM);
-    const delay = Math.max(0, (whTarget - selisihHM) * 60);
-
-    row.innerHTML = `
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">${index + 1}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaPengawas}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.nrp}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">
-                <div class="flex items-center gap-1.5">
-                    <i class="fas fa-clock text-gray-400 text-xs"></i>
-                    <span>${formatDateTime(item.waktu)}</span>
-                </div>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
-                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                    ${item.noExcavator}
-                </span>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaOperator || '-'}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
-                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
-                    ${item.jenisMaterial || '-'}
-                </span>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${item.jumlahRitase}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.hmAwal).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.hmAkhir).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.kapasitas).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-bold text-blue-600 text-right">${parseFloat(item.productivity).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-semibold text-green-600 text-right">${(selisihHM * 60).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-semibold text-orange-600 text-right">${delay.toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
-                <div class="flex items-center justify-center gap-1.5 sm:gap-2">
-                    <!-- Edit Button -->
-                    <button 
-                        type="button"
-                        onclick="editData('productivity', ${AppState.productivityData.indexOf(item)})"
-                        class="
-                            inline-flex items-center justify-center
-                            w-8 h-8 sm:w-9 sm:h-9
-                            rounded-lg
-                            bg-yellow-50 hover:bg-yellow-100
-                            text-yellow-600 hover:text-yellow-700
-                            border border-yellow-200 hover:border-yellow-300
-                            transition-all duration-200
-                            hover:shadow-md hover:scale-105
-                            focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
-                        " 
-                        title="Edit data"
-                        aria-label="Edit productivity data">
-                        <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
-                    </button>
-                    
-                    <!-- Delete Button -->
-                    <button 
-                        type="button"
-                        onclick="deleteData('productivity', ${AppState.productivityData.indexOf(item)})"
-                        class="
-                            inline-flex items-center justify-center
-                            w-8 h-8 sm:w-9 sm:h-9
-                            rounded-lg
-                            bg-red-50 hover:bg-red-100
-                            text-red-600 hover:text-red-700
-                            border border-red-200 hover:border-red-300
-                            transition-all duration-200
-                            hover:shadow-md hover:scale-105
-                            focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
-                        " 
-                        title="Hapus data"
-                        aria-label="Delete productivity data">
-                        <i class="fas fa-trash text-xs sm:text-sm"></i>
-                    </button>
-                </div>
-            </td>
-        `;
-    tbody.appendChild(row);
-  });
-}
-
-function renderMatchFactorTable(filteredData = null) {
-  const data = filteredData || AppState.matchFactorData;
-  const tbody = document.getElementById('matchFactorTableBody');
-  tbody.innerHTML = '';
-
-  // Update record count
-  const countEl = document.getElementById('matchFactorCount');
-  if (countEl) {
-    countEl.textContent = `${data.length} data`;
-  }
-
-  // Show empty state if no data
-  if (data.length === 0) {
-    tbody.innerHTML = `
-      <tr class="empty-state">
-        <td colspan="12" class="px-6 py-12 text-center">
-          <div class="flex flex-col items-center justify-center">
-            <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
-              <i class="fas fa-inbox text-gray-400 text-2xl"></i>
-            </div>
-            <p class="text-gray-500 font-medium mb-1">Belum ada data</p>
-            <p class="text-gray-400 text-sm">Mulai dengan menghitung match factor</p>
-          </div>
-        </td>
-      </tr>
-    `;
-    return;
-  }
-
-  data.forEach((item, index) => {
-    const row = document.createElement('tr');
-    // Add zebra striping and hover effects
-    row.className = 'hover:bg-purple-50 transition-colors duration-150 even:bg-gray-50 group fade-in';
-
-    // Color code match factor
-    // Below 0.95: Red, 0.95-1: Green, More than 1: Orange
-    let mfColor = 'text-green-600';
-    let mfBadgeColor = 'bg-green-100 text-green-800';
-    if (item.matchFactor < 0.95) {
-      mfColor = 'text-red-600';
-      mfBadgeColor = 'bg-red-100 text-red-800';
-    } else if (item.matchFactor > 1) {
-      mfColor = 'text-orange-600';
-      mfBadgeColor = 'bg-orange-100 text-orange-800';
+    if (currentPhotoBlobs.length === 0) {
+      photoPreviewContainer.classList.add('hidden');
+      badge.classList.add('hidden');
+      grid.innerHTML = '';
+      return;
     }
 
-    row.innerHTML = `
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">${index + 1}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaPengawas}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.nrp}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">
-                <div class="flex items-center gap-1.5">
-                    <i class="fas fa-clock text-gray-400 text-xs"></i>
-                    <span>${formatDateTime(item.waktu)}</span>
-                </div>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
-                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
-                    ${item.noExcavator}
-                </span>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaOperator || '-'}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
-                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
-                    ${item.jenisMaterial || '-'}
-                </span>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${item.jumlahHD}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.cycleTimeHauler).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.cycleTimeLoader).toFixed(2)}</td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
-                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-bold ${mfBadgeColor}">
-                    ${parseFloat(item.matchFactor).toFixed(2)}
-                </span>
-            </td>
-            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
-                <div class="flex items-center justify-center gap-1.5 sm:gap-2">
-                    <!-- Edit Button -->
-                    <button 
-                        type="button"
-                        onclick="editData('matchFactor', ${AppState.matchFactorData.indexOf(item)})"
-                        class="
-                            inline-flex items-center justify-center
-                            w-8 h-8 sm:w-9 sm:h-9
-                            rounded-lg
-                            bg-yellow-50 hover:bg-yellow-100
-                            text-yellow-600 hover:text-yellow-700
-                            border border-yellow-200 hover:border-yellow-300
-                            transition-all duration-200
-                            hover:shadow-md hover:scale-105
-                            focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
-                        " 
-                        title="Edit data"
-                        aria-label="Edit match factor data">
-                        <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
-                    </button>
-                    
-                    <!-- Delete Button -->
-                    <button 
-                        type="button"
-                        onclick="deleteData('matchFactor', ${AppState.matchFactorData.indexOf(item)})"
-                        class="
-                            inline-flex items-center justify-center
-                            w-8 h-8 sm:w-9 sm:h-9
-                            rounded-lg
-                            bg-red-50 hover:bg-red-100
-                            text-red-600 hover:text-red-700
-                            border border-red-200 hover:border-red-300
-                            transition-all duration-200
-                            hover:shadow-md hover:scale-105
-                            focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
-                        " 
-                        title="Hapus data"
-                        aria-label="Delete match factor data">
-                        <i class="fas fa-trash text-xs sm:text-sm"></i>
-                    </button>
-                </div>
-            </td>
-        `;
-    tbody.appendChild(row);
-  });
-}
+    photoPreviewContainer.classList.remove('hidden');
+    badge.classList.remove('hidden');
+    badge.textContent = currentPhotoBlobs.length;
 
-// ==========================================
-// Issues Table Rendering
-// ==========================================
+    // Clear grid
+    grid.innerHTML = '';
 
-// Check if an issue is orphaned (no matching productivity/match factor record)
-function isOrphanedIssue(issue) {
-  // If no timestamp, not orphaned (could be a general note)
-  if (!issue.timestamp) return false;
+    // Add each photo preview
+    currentPhotoBlobs.forEach((photo, index) => {
+      const previewItem = document.createElement('div');
+      previewItem.className = 'relative bg-gray-50 rounded-lg overflow-hidden border-2 border-purple-200 group';
+      previewItem.innerHTML = `
+        <img src="${photo.preview}" alt="Preview ${index + 1}" class="w-full h-32 object-cover cursor-pointer hover:opacity-90 transition-opacity" data-lightbox-index="${index}" />
+        <button
+          type="button"
+          data-index="${index}"
+          class="photo-remove-btn absolute top-2 right-2 w-8 h-8 min-w-[2rem] min-h-[2rem] bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center transition-all shadow-lg opacity-0 group-hover:opacity-100 hover:scale-110 active:scale-95 flex-shrink-0"
+          style="aspect-ratio: 1/1;">
+          <i class="fas fa-times text-xs"></i>
+        </button>
+        <div class="absolute bottom-0 left-0 right-0 bg-black/50 text-white text-xs px-2 py-1 truncate">
+          ${(photo.blob.size / 1024).toFixed(1)}KB
+        </div>
+      `;
+      grid.appendChild(previewItem);
+    });
 
-  const issueTime = new Date(issue.timestamp);
-  const issueExcavator = issue.excavator;
+    // Add remove button listeners
+    grid.querySelectorAll('.photo-remove-btn').forEach(btn => {
+      btn.addEventListener('click', function () {
+        const index = parseInt(this.dataset.index);
+        removePhoto(index);
+      });
+    });
 
-  // Check if there's a matching Productivity record
-  const hasProductivityMatch = AppState.productivityData.some(record => {
-    if (record.noExcavator !== issueExcavator) return false;
+    // Add lightbox click listeners to images
+    grid.querySelectorAll('img[data-lightbox-index]').forEach(img => {
+      img.addEventListener('click', function () {
+        const index = parseInt(this.dataset.lightboxIndex);
+        openPhotoLightbox(index, currentPhotoBlobs);
+      });
+    });
+  }
 
-    if (record.waktu) {
-      const recordTime = new Date(record.waktu);
-      // Match if same hour on same date
-      return issueTime.getHours() === recordTime.getHours() &&
-        issueTime.getDate() === recordTime.getDate() &&
-        issueTime.getMonth() === recordTime.getMonth() &&
-        issueTime.getFullYear() === recordTime.getFullYear();
-    }
-    return false;
-  });
+  /**
+   * Remove a photo from the list
+   * @param {number} index - Photo index
+   */
+  function removePhoto(index) {
+    if (index >= 0 && index < currentPhotoBlobs.length) {
+      // Revoke object URL to free memory
+      URL.revokeObjectURL(currentPhotoBlobs[index].preview);
 
-  // Check if there's a matching Match Factor record
-  const hasMatchFactorMatch = AppState.matchFactorData.some(record => {
-    if (record.noExcavator !== issueExcavator) return false;
+      // Remove from array
+      currentPhotoBlobs.splice(index, 1);
 
-    if (record.waktu) {
-      const recordTime = new Date(record.waktu);
-      // Match if same hour on same date
-      return issueTime.getHours() === recordTime.getHours() &&
-        issueTime.getDate() === recordTime.getDate() &&
-        issueTime.getMonth() === recordTime.getMonth() &&
-        issueTime.getFullYear() === recordTime.getFullYear();
+      // Update preview
+      updatePhotoPreview();
     }
-    return false;
-  });
-
-  // Orphaned if no match in either table
-  return !hasProductivityMatch && !hasMatchFactorMatch;
-}
+  }
 
-function renderIssuesTable(filteredData = null) {
-  const tbody = document.getElementById('issuesTableBody');
-  const issuesCount = document.getElementById('issuesCount');
+  /**
+   * Set current photo blobs (for editing)
+   * @param {Array} photos - Array of photo objects
+   */
+  window.setCurrentPhotoBlobs = function (photos) {
+    // Clear existing photos
+    currentPhotoBlobs.forEach(photo => {
+      URL.revokeObjectURL(photo.preview);
+    });
 
-  if (!tbody) return;
+    // Set new photos
+    currentPhotoBlobs = photos;
+    updatePhotoPreview();
+  };
 
-  const data = filteredData || AppState.issuesData;
-  tbody.innerHTML = '';
+  /**
+   * Open photo lightbox for preview
+   * @param {number} index - Photo index
+   * @param {Array} photos - Array of photo objects with {blob, preview, name}
+   */
+  function openPhotoLightbox(index, photos) {
+    let currentIndex = index;
+    const totalPhotos = photos.length;
 
-  if (!data || data.length === 0) {
-    tbody.innerHTML = `
-      <tr>
-        <td colspan="8" class="px-4 py-8 text-center">
-          <div class="flex flex-col items-center justify-center text-gray-400">
-            <i class="fas fa-clipboard-list text-4xl mb-3"></i>
-            <p class="text-sm font-medium">Belum ada catatan issue</p>
-            <p class="text-xs mt-1">Klik tombol "Tambah Catatan" untuk menambahkan</p>
+    // Create lightbox modal
+    const lightbox = document.createElement('div');
+    lightbox.id = 'photoLightbox';
+    lightbox.className = 'fixed inset-0 z-[9999] bg-black/95 backdrop-blur-sm flex items-center justify-center p-0';
+
+    lightbox.innerHTML = `
+      <div class="relative w-full h-full flex flex-col">
+        <!-- Header with Close Button -->
+        <div class="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 sm:p-6 bg-gradient-to-b from-black/60 to-transparent">
+          <div class="text-white">
+            <p class="text-sm sm:text-base font-semibold" id="lightboxFileName">${photos[currentIndex].name}</p>
+            <p class="text-xs sm:text-sm text-gray-300 mt-1">
+              <span id="lightboxFileSize">${(photos[currentIndex].blob.size / 1024).toFixed(1)}KB</span>
+              ${totalPhotos > 1 ? ` • <span id="lightboxCounter">${currentIndex + 1}</span> / ${totalPhotos}` : ''}
+            </p>
           </div>
-        </td>
-      </tr>
-    `;
-    if (issuesCount) issuesCount.textContent = '0 Issues';
-    return;
-  }
+          <button
+            id="closeLightbox"
+            class="w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all hover:rotate-90 flex-shrink-0 ml-4"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-times text-white text-lg sm:text-xl"></i>
+          </button>
+        </div>
 
-  // Update count
-  if (issuesCount) {
-    issuesCount.textContent = `${data.length} Issue${data.length > 1 ? 's' : ''}`;
-  }
+        <!-- Main Image Container -->
+        <div class="flex-1 flex items-center justify-center px-4 sm:px-16 py-20 sm:py-24">
+          ${totalPhotos > 1 ? `
+          <!-- Previous Button -->
+          <button
+            id="lightboxPrev"
+            class="absolute left-2 sm:left-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentIndex === 0 ? 'opacity-50 cursor-not-allowed' : ''}"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-chevron-left text-white text-lg sm:text-xl"></i>
+          </button>
+          ` : ''}
 
-  // Sort by timestamp (newest first)
-  const sortedData = [...data].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+          <!-- Image -->
+          <div class="max-w-full max-h-full flex items-center justify-center">
+            <img 
+              id="lightboxImage" 
+              src="${photos[currentIndex].preview}" 
+              alt="Photo ${currentIndex + 1}" 
+              class="max-w-full max-h-[70vh] sm:max-h-[80vh] w-auto h-auto object-contain rounded-lg shadow-2xl" />
+          </div>
 
-  sortedData.forEach((issue, index) => {
-    const row = document.createElement('tr');
-    row.className = 'hover:bg-gray-50 transition-colors duration-150';
+          ${totalPhotos > 1 ? `
+          <!-- Next Button -->
+          <button
+            id="lightboxNext"
+            class="absolute right-2 sm:right-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentIndex === totalPhotos - 1 ? 'opacity-50 cursor-not-allowed' : ''}"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-chevron-right text-white text-lg sm:text-xl"></i>
+          </button>
+          ` : ''}
+        </div>
 
-    // Get original index in AppState.issuesData
-    const originalIndex = AppState.issuesData.findIndex(i => i.id === issue.id);
+        <!-- Footer hint -->
+        <div class="absolute bottom-0 left-0 right-0 z-20 p-4 bg-gradient-to-t from-black/60 to-transparent">
+          <p class="text-center text-xs sm:text-sm text-gray-300">
+            <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">ESC</kbd> untuk keluar
+            ${totalPhotos > 1 ? ` • <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">← →</kbd> navigasi` : ''}
+          </p>
+        </div>
+      </div>
+    `;
 
-    // Format timestamp
-    const timestamp = new Date(issue.timestamp);
-    const formattedTime = timestamp.toLocaleString('id-ID', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    document.body.appendChild(lightbox);
 
-    // Build Delay Problem with expandable count badge (supports multiple delays)
-    const delays = getIssueDelays(issue);
-    const delayId = `delay-${issue.id || index}`;
-    let delayText = '';
+    // Update photo display
+    function updateLightboxPhoto() {
+      const img = lightbox.querySelector('#lightboxImage');
+      const counter = lightbox.querySelector('#lightboxCounter');
+      const fileName = lightbox.querySelector('#lightboxFileName');
+      const fileSize = lightbox.querySelector('#lightboxFileSize');
+      const prevBtn = lightbox.querySelector('#lightboxPrev');
+      const nextBtn = lightbox.querySelector('#lightboxNext');
 
-    if (delays.length === 0) {
-      delayText = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
-    } else if (delays.length === 1) {
-      // Single delay - show directly without expand button
-      const delay = delays[0];
-      delayText = `
-        <div class="text-xs p-2">
-          <div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}</div>
-          ${delay.subCode && delay.subLabel ? `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>` : ''}
-          ${delay.customText ? `<div class="text-gray-500 italic mt-1">${delay.customText}</div>` : ''}
-        </div>
-      `;
-    } else {
-      // Multiple delays - use expandable count badge
-      const delaysList = delays.map((delay, idx) => {
-        let html = '';
+      img.src = photos[currentIndex].preview;
+      img.alt = `Photo ${currentIndex + 1}`;
+      if (counter) counter.textContent = currentIndex + 1;
+      if (fileName) fileName.textContent = photos[currentIndex].name;
+      if (fileSize) fileSize.textContent = `${(photos[currentIndex].blob.size / 1024).toFixed(1)}KB`;
 
-        // Add divider before all items except the first
-        if (idx > 0) {
-          html += '<div class="border-t border-red-200 pt-2 mt-2"></div>';
+      // Update button states
+      if (prevBtn) {
+        if (currentIndex === 0) {
+          prevBtn.classList.add('opacity-50', 'cursor-not-allowed');
+        } else {
+          prevBtn.classList.remove('opacity-50', 'cursor-not-allowed');
         }
+      }
 
-        html += `<div class="text-xs">
-          <div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}</div>`;
-        if (delay.subCode && delay.subLabel) {
-          html += `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>`;
-        }
-        if (delay.customText) {
-          html += `<div class="text-gray-500 italic mt-1">${delay.customText}</div>`;
+      if (nextBtn) {
+        if (currentIndex === totalPhotos - 1) {
+          nextBtn.classList.add('opacity-50', 'cursor-not-allowed');
+        } else {
+          nextBtn.classList.remove('opacity-50', 'cursor-not-allowed');
         }
-        html += '</div>';
-        return html;
-      }).join('');
+      }
+    }
 
-      delayText = `
-        <div class="relative">
-          <button
-            onclick="toggleIssueDetails('${delayId}')"
-            class="flex items-center gap-2 hover:bg-red-50 px-2 py-1.5 rounded transition-all w-full text-left">
-            <span class="w-2 h-2 bg-red-500 rounded-full flex-shrink-0"></span>
-            <span class="font-semibold text-sm text-red-700">${delays.length} Delays</span>
-            <i class="fas fa-chevron-down text-xs transition-transform duration-200 ml-auto text-red-600" id="${delayId}-icon"></i>
-          </button>
-          <div id="${delayId}-content" class="hidden mt-2 pl-4 border-l-2 border-red-300 pb-2">
-            ${delaysList}
-          </div>
-        </div>
-      `;
+    // Close lightbox
+    function closeLightbox() {
+      lightbox.remove();
+      document.removeEventListener('keydown', keyHandler);
     }
 
-    // Build Productivity Problem with expandable count badge (supports multiple productivities)
-    const productivities = getIssueProductivities(issue);
-    const prodId = `prod-${issue.id || index}`;
-    let productivityText = '';
+    // Keyboard navigation
+    function keyHandler(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        e.preventDefault();
+        closeLightbox();
+      }
+      if (e.key === 'ArrowLeft' && currentIndex > 0) {
+        e.preventDefault();
+        currentIndex--;
+        updateLightboxPhoto();
+      }
+      if (e.key === 'ArrowRight' && currentIndex < totalPhotos - 1) {
+        e.preventDefault();
+        currentIndex++;
+        updateLightboxPhoto();
+      }
+    }
 
-    if (productivities.length === 0) {
-      productivityText = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
-    } else if (productivities.length === 1) {
-      // Single productivity - show directly without expand button
-      const prod = productivities[0];
-      productivityText = `
-        <div class="text-xs p-2">
-          <div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>
-          ${prod.subOption ? `<div class="text-gray-600 mt-1">${prod.subOption}</div>` : ''}
-          ${prod.customText ? `<div class="text-gray-500 italic mt-1">${prod.customText}</div>` : ''}
-        </div>
-      `;
-    } else {
-      // Multiple productivities - use expandable count badge
-      const prodList = productivities.map((prod, idx) => {
-        let html = '';
+    // Event listeners
+    lightbox.querySelector('#closeLightbox').addEventListener('click', closeLightbox);
+    lightbox.addEventListener('click', (e) => {
+      if (e.target === lightbox || e.target.id === 'lightboxImage') {
+        // Click on backdrop or image to close
+        closeLightbox();
+      }
+    });
 
-        // Add divider before all items except the first
-        if (idx > 0) {
-          html += '<div class="border-t border-orange-200 pt-2 mt-2"></div>';
-        }
+    if (totalPhotos > 1) {
+      const prevBtn = lightbox.querySelector('#lightboxPrev');
+      const nextBtn = lightbox.querySelector('#lightboxNext');
 
-        html += `<div class="text-xs">
-          <div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>`;
-        if (prod.subOption) {
-          html += `<div class="text-gray-600 mt-1">${prod.subOption}</div>`;
+      prevBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (currentIndex > 0) {
+          currentIndex--;
+          updateLightboxPhoto();
         }
-        if (prod.customText) {
-          html += `<div class="text-gray-500 italic mt-1">${prod.customText}</div>`;
-        }
-        html += '</div>';
-        return html;
-      }).join('');
+      });
 
-      productivityText = `
-        <div class="relative">
-          <button
-            onclick="toggleIssueDetails('${prodId}')"
-            class="flex items-center gap-2 hover:bg-orange-50 px-2 py-1.5 rounded transition-all w-full text-left">
-            <span class="w-2 h-2 bg-orange-500 rounded-full flex-shrink-0"></span>
-            <span class="font-semibold text-sm text-orange-700">${productivities.length} Problems</span>
-            <i class="fas fa-chevron-down text-xs transition-transform duration-200 ml-auto text-orange-600" id="${prodId}-icon"></i>
-          </button>
-          <div id="${prodId}-content" class="hidden mt-2 pl-4 border-l-2 border-orange-300 pb-2">
-            ${prodList}
-          </div>
-        </div>
-      `;
+      nextBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (currentIndex < totalPhotos - 1) {
+          currentIndex++;
+          updateLightboxPhoto();
+        }
+      });
     }
 
-    // Notes - Better UX with clear separation
-    let notesHtml = '';
-    const hasNotes = issue.notes && issue.notes.trim();
-    const hasFollowUp = issue.followUpNotes && issue.followUpNotes.trim();
+    document.addEventListener('keydown', keyHandler);
+  }
 
-    if (hasNotes || hasFollowUp) {
-      const noteId = `notes-${issue.id || index}`;
-      const isMobile = window.innerWidth < 640;
-      const maxPreviewLength = isMobile ? 50 : 100;
+  // Follow-up Photo Upload Handler - Multiple Photos Support
+  followUpPhotoBtn.addEventListener('click', function () {
+    followUpPhotoInput.click();
+  });
 
-      // Build compact preview
-      let previewParts = [];
-      if (hasNotes) {
-        const notesPreview = issue.notes.trim().substring(0, maxPreviewLength);
-        previewParts.push(`<span class="text-purple-700">${notesPreview}${issue.notes.trim().length > maxPreviewLength ? '...' : ''}</span>`);
+  followUpPhotoInput.addEventListener('change', async function (e) {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+
+    // Process each file
+    for (const file of files) {
+      // Validate file type
+      if (!file.type.startsWith('image/')) {
+        showAlert(`File "${file.name}" bukan gambar, dilewati!`, 'warning');
+        continue;
       }
-      if (hasFollowUp) {
-        const followUpPreview = issue.followUpNotes.trim().substring(0, maxPreviewLength);
-        previewParts.push(`<span class="text-blue-600">${followUpPreview}${issue.followUpNotes.trim().length > maxPreviewLength ? '...' : ''}</span>`);
+
+      // Validate file size (max 5MB per file)
+      if (file.size > 5 * 1024 * 1024) {
+        showAlert(`File "${file.name}" terlalu besar (max 5MB), dilewati!`, 'warning');
+        continue;
       }
 
-      const hasMore = (hasNotes && issue.notes.trim().length > maxPreviewLength) ||
-        (hasFollowUp && issue.followUpNotes.trim().length > maxPreviewLength) ||
-        (hasNotes && hasFollowUp);
+      try {
+        // Read and compress image
+        const compressedBlob = await compressImage(file);
+        const previewUrl = URL.createObjectURL(compressedBlob);
 
-      // Build full content
-      let fullContent = '<div class="space-y-3">';
-      if (hasNotes) {
-        fullContent += `
-          <div class="bg-purple-50 p-2.5 rounded-lg border border-purple-200">
-            <div class="text-[10px] font-semibold text-purple-600 mb-1.5 flex items-center gap-1.5">
-              <i class="fas fa-file-alt text-[9px]"></i>
-              <span>Dokumentasi Masalah</span>
-            </div>
-            <div class="text-xs text-purple-700 leading-relaxed break-words">${issue.notes.trim()}</div>
-          </div>
-        `;
-      }
-      if (hasFollowUp) {
-        fullContent += `
-          <div class="bg-blue-50 p-2.5 rounded-lg border border-blue-200">
-            <div class="text-[10px] font-semibold text-blue-600 mb-1.5 flex items-center gap-1.5">
-              <i class="fas fa-tools text-[9px]"></i>
-              <span>Follow Up Perbaikan</span>
-            </div>
-            <div class="text-xs text-blue-700 leading-relaxed break-words">${issue.followUpNotes.trim()}</div>
-          </div>
-        `;
+        // Add to follow-up photos
+        followUpPhotoBlobs.push({
+          blob: compressedBlob,
+          preview: previewUrl,
+          name: file.name
+        });
+
+        // Show compression info
+        const originalSize = (file.size / 1024).toFixed(2);
+        const compressedSize = (compressedBlob.size / 1024).toFixed(2);
+        console.log(`📸 Follow-up image compressed: ${file.name} ${originalSize}KB → ${compressedSize}KB`);
+      } catch (error) {
+        console.error('Failed to compress image:', error);
+        showAlert(`Gagal memproses gambar "${file.name}"`, 'error');
       }
-      fullContent += '</div>';
+    }
 
-      notesHtml = `
-        <div class="relative ${hasMore ? 'cursor-pointer hover:bg-gray-50 p-2 rounded-lg transition-colors' : 'p-2'}" ${hasMore ? `onclick="toggleNotesExpand('${noteId}')"` : ''}>
-          <div id="${noteId}-preview" class="text-xs leading-relaxed space-y-1">
-            ${previewParts.join('<span class="text-gray-400 mx-1">•</span>')}
-          </div>
-          
-          <div id="${noteId}-full" class="hidden mt-2">
-            ${fullContent}
-          </div>
-          
-          ${hasMore ? `
-            <div class="mt-2 inline-flex items-center gap-1 text-[10px] font-semibold text-blue-600">
-              <i class="fas fa-chevron-right transition-transform duration-200 text-[8px]" id="${noteId}-icon"></i>
-              <span id="${noteId}-btn" class="underline">${isMobile ? 'Lihat Detail' : 'Lihat Selengkapnya'}</span>
-            </div>
-          ` : ''}
+    // Update preview
+    updateFollowUpPhotoPreview();
+
+    // Clear input to allow re-selecting the same files
+    followUpPhotoInput.value = '';
+  });
+
+  /**
+   * Update follow-up photo preview grid
+   */
+  function updateFollowUpPhotoPreview() {
+    const grid = document.getElementById('followUpPhotoPreviewGrid');
+    const badge = document.getElementById('followUpPhotoCountBadge');
+
+    if (followUpPhotoBlobs.length === 0) {
+      followUpPhotoPreviewContainer.classList.add('hidden');
+      badge.classList.add('hidden');
+      grid.innerHTML = '';
+      return;
+    }
+
+    followUpPhotoPreviewContainer.classList.remove('hidden');
+    badge.classList.remove('hidden');
+    badge.textContent = followUpPhotoBlobs.length;
+
+    // Clear grid
+    grid.innerHTML = '';
+
+    // Add each photo preview
+    followUpPhotoBlobs.forEach((photo, index) => {
+      const previewItem = document.createElement('div');
+      previewItem.className = 'relative bg-gray-50 rounded-lg overflow-hidden border-2 border-blue-200 group';
+      previewItem.innerHTML = `
+        <img src="${photo.preview}" alt="Preview ${index + 1}" class="w-full h-32 object-cover cursor-pointer hover:opacity-90 transition-opacity" data-lightbox-index="${index}" />
+        <button
+          type="button"
+          data-index="${index}"
+          class="followup-photo-remove-btn absolute top-2 right-2 w-8 h-8 min-w-[2rem] min-h-[2rem] bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center transition-all shadow-lg opacity-0 group-hover:opacity-100 hover:scale-110 active:scale-95 flex-shrink-0"
+          style="aspect-ratio: 1/1;">
+          <i class="fas fa-times text-xs"></i>
+        </button>
+        <div class="absolute bottom-0 left-0 right-0 bg-black/50 text-white text-xs px-2 py-1 truncate">
+          ${(photo.blob.size / 1024).toFixed(1)}KB
         </div>
       `;
-    } else {
-      notesHtml = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
+      grid.appendChild(previewItem);
+    });
+
+    // Add remove button listeners
+    grid.querySelectorAll('.followup-photo-remove-btn').forEach(btn => {
+      btn.addEventListener('click', function () {
+        const index = parseInt(this.dataset.index);
+        removeFollowUpPhoto(index);
+      });
+    });
+
+    // Add lightbox click listeners to images
+    grid.querySelectorAll('img[data-lightbox-index]').forEach(img => {
+      img.addEventListener('click', function () {
+        const index = parseInt(this.dataset.lightboxIndex);
+        openPhotoLightbox(index, followUpPhotoBlobs);
+      });
+    });
+  }
+
+  /**
+   * Remove a follow-up photo from the list
+   * @param {number} index - Photo index
+   */
+  function removeFollowUpPhoto(index) {
+    if (index >= 0 && index < followUpPhotoBlobs.length) {
+      // Revoke object URL to free memory
+      URL.revokeObjectURL(followUpPhotoBlobs[index].preview);
+
+      // Remove from array
+      followUpPhotoBlobs.splice(index, 1);
+
+      // Update preview
+      updateFollowUpPhotoPreview();
     }
+  }
 
-    // Photo indicator - Use original index from AppState
-    // Count photos from both sections (Dokumentasi Masalah + Follow Up Perbaikan)
-    const documentationPhotoCount = (issue.imageIds && issue.imageIds.length > 0) ? issue.imageIds.length :
-      (issue.photo ? 1 : 0); // Support legacy base64 photos
-    const followUpPhotoCount = (issue.followUpImageIds && issue.followUpImageIds.length > 0) ? issue.followUpImageIds.length : 0;
-    const photoCount = documentationPhotoCount + followUpPhotoCount;
+  /**
+   * Set current follow-up photo blobs (for editing)
+   * @param {Array} photos - Array of photo objects
+   */
+  window.setFollowUpPhotoBlobs = function (photos) {
+    // Clear existing photos
+    followUpPhotoBlobs.forEach(photo => {
+      URL.revokeObjectURL(photo.preview);
+    });
 
-    const photoHtml = photoCount > 0
-      ? `<button
-          onclick="viewIssuePhotos(${originalIndex})"
-          class="px-3 py-1 bg-purple-100 hover:bg-purple-200 text-purple-700 rounded-lg text-xs font-semibold transition-colors inline-flex items-center gap-1.5">
-          <i class="fas fa-images"></i>
-          <span>Lihat (${photoCount})</span>
-        </button>`
-      : '<span class="text-gray-400 text-xs">-</span>';
+    // Set new photos
+    followUpPhotoBlobs = photos;
+    updateFollowUpPhotoPreview();
+  };
 
-    // Check if issue is orphaned (no matching productivity/match factor record)
-    const isOrphaned = isOrphanedIssue(issue);
-    const orphanedBadge = isOrphaned
-      ? `<div class="inline-flex items-center gap-1 mt-1 px-2 py-0.5 bg-amber-100 text-amber-700 rounded text-[10px] font-semibold" title="Issue ini tidak memiliki record Productivity atau Match Factor yang sesuai">
-          <i class="fas fa-exclamation-triangle text-amber-600"></i>
-          <span>No Record</span>
-        </div>`
-      : '';
+  // Open Modal
+  function openIssueModal(preSelectedExcavator = null) {
+    populateExcavatorOptions();
+    populateIssuePicOptions();
 
-    row.innerHTML = `
-      <td class="px-3 sm:px-4 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-700 font-semibold">${index + 1}</td>
-      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-600">
-        <div>${formattedTime}</div>
-        ${orphanedBadge}
-      </td>
-      <td class="px-3 sm:px-4 py-3 whitespace-nowrap">
-        <span class="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold">${issue.excavator}</span>
-      </td>
-      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-700">${delayText}</td>
-      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-700">${productivityText}</td>
-      <td class="px-2 sm:px-3 py-3 text-center">${photoHtml}</td>
-      <td class="px-2 sm:px-3 py-3 w-72 sm:w-96">
+    // Initialize with one empty delay and one empty productivity item
+    if (delayItems.length === 0) {
+      delayItems = [createDelayItem(0)];
+      renderDelayItems();
+    }
+    if (productivityItems.length === 0) {
+      productivityItems = [createProductivityItem(0)];
+      renderProductivityItems();
+    }
+
+    // Pre-select excavator if provided
+    if (preSelectedExcavator) {
+      excavatorSelect.value = preSelectedExcavator;
+      // Trigger date population immediately for pre-selected excavator
+      populateDateOptions(preSelectedExcavator);
+    }
+
+    modal.classList.remove('hidden');
+    setTimeout(() => {
+      modal.querySelector('.modal-content').classList.remove('scale-95', 'opacity-0');
+      modal.querySelector('.modal-content').classList.add('scale-100', 'opacity-100');
+    }, 10);
+  }
+
+  // Global function to open modal with pre-selected excavator
+  window.openIssueModalForExcavator = function (excavatorId) {
+    openIssueModal(excavatorId);
+  };
+
+  // Close Modal
+  function closeIssueModal() {
+    modal.querySelector('.modal-content').classList.add('scale-95', 'opacity-0');
+    modal.querySelector('.modal-content').classList.remove('scale-100', 'opacity-100');
+    setTimeout(() => {
+      modal.classList.add('hidden');
+      resetIssueForm();
+    }, 200);
+  }
+
+  // Reset Form
+  function resetIssueForm() {
+    // Clear edit state
+    delete window.currentEditIssueIndex;
+
+    // Reset modal title back to "Add"
+    const modalTitle = modal.querySelector('h2');
+    const modalSubtitle = modal.querySelector('p');
+    const saveBtn = document.getElementById('saveIssueBtn');
+    const saveBtnText = saveBtn?.querySelector('span');
+
+    if (modalTitle) modalTitle.textContent = 'Tambah Catatan Problem';
+    if (modalSubtitle) modalSubtitle.textContent = 'Dokumentasi masalah Delay & Productivity';
+    if (saveBtnText) saveBtnText.textContent = 'Simpan Catatan';
+
+    excavatorSelect.value = '';
+
+    // Clear and hide date selector
+    dateSelect.value = '';
+    dateContainer.classList.add('hidden');
+
+    // Reset delay and productivity arrays
+    delayItems = [createDelayItem(0)];
+    productivityItems = [createProductivityItem(0)];
+    renderDelayItems();
+    renderProductivityItems();
+
+    // Clear photos
+    currentPhotoBlobs.forEach(photo => {
+      URL.revokeObjectURL(photo.preview); // Free memory
+    });
+    currentPhotoBlobs = [];
+    updatePhotoPreview();
+
+    // Clear follow-up photos
+    followUpPhotoBlobs.forEach(photo => {
+      URL.revokeObjectURL(photo.preview); // Free memory
+    });
+    followUpPhotoBlobs = [];
+    updateFollowUpPhotoPreview();
+
+    additionalNotes.value = '';
+    document.getElementById('followUpNotes').value = '';
+
+    document.getElementById('issueStatus').value = 'open';
+    document.getElementById('issuePic').value = '';
+    document.getElementById('issueDueDate').value = '';
+  }
+
+  // Save Issue
+  async function saveIssue() {
+    const excavator = excavatorSelect.value;
+    const selectedOption = dateSelect.selectedOptions[0];
+    const selectedDate = dateSelect.value ? selectedOption.dataset.datetime : '';
+    const recordIds = dateSelect.value ? dateSelect.value.split(',') : [];
+    const notes = additionalNotes.value.trim();
+    const followUpNotes = document.getElementById('followUpNotes').value.trim();
+    const status = document.getElementById('issueStatus').value;
+    const pic = document.getElementById('issuePic').value.trim();
+    const dueDate = document.getElementById('issueDueDate').value;
+
+    // Check if we're editing an existing issue
+    const isEditing = typeof window.currentEditIssueIndex !== 'undefined';
+    const editIndex = window.currentEditIssueIndex;
+
+    // Validation: Must select excavator
+    if (!excavator) {
+      showAlert('Pilih Excavator terlebih dahulu!', 'error');
+      return;
+    }
+
+    // Validation: Must select date
+    if (!selectedDate) {
+      showAlert('Pilih Tanggal terlebih dahulu!', 'error');
+      return;
+    }
+
+    // Validation: At least one valid delay with mainCode
+    const validDelays = delayItems.filter(item => item.mainCode);
+    if (validDelays.length === 0) {
+      showAlert('Minimal harus ada 1 Delay Problem yang diisi!', 'error');
+      return;
+    }
+
+    // Validation: Delay durations must fit inside the selected hour
+    const delayDurationError = validateDelayDurations(validDelays, selectedDate);
+    if (delayDurationError) {
+      showAlert(delayDurationError, 'error');
+      return;
+    }
+
+    // Validation: At least one valid productivity with mainCode
+    const validProductivities = productivityItems.filter(item => item.mainCode);
+    if (validProductivities.length === 0) {
+      showAlert('Minimal harus ada 1 Productivity Problem yang diisi!', 'error');
+      return;
+    }
+
+    // Validation: Closing needs evidence of the fix
+    if (status === 'closed' && !followUpNotes && followUpPhotoBlobs.length === 0) {
+      showAlert('Issue hanya bisa di-Close dengan keterangan atau foto Follow Up Perbaikan!', 'error');
+      return;
+    }
+
+    // Build or update issue object
+    let issue;
+
+    if (isEditing) {
+      // Update existing issue
+      issue = AppState.issuesData[editIndex];
+
+      // Delete old photos from IndexedDB if they exist
+      if (issue.imageIds && issue.imageIds.length > 0) {
+        try {
+          await imageStorage.deleteImages(issue.imageIds);
+          console.log(`✅ Deleted old photos from IndexedDB for issue ${issue.id}`);
+        } catch (error) {
+          console.warn('Failed to delete old photos:', error);
+        }
+      }
+
+      // Delete old follow-up photos from IndexedDB if they exist
+      if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
+        try {
+          await imageStorage.deleteImages(issue.followUpImageIds);
+          console.log(`✅ Deleted old follow-up photos from IndexedDB for issue ${issue.id}`);
+        } catch (error) {
+          console.warn('Failed to delete old follow-up photos:', error);
+        }
+      }
+
+      // Keep the original ID, but update timestamp if datetime changed
+      const selectedDateTime = new Date(selectedDate);
+      issue.excavator = excavator;
+      issue.timestamp = selectedDateTime.toISOString(); // Update timestamp with selected datetime
+      issue.recordIds = recordIds;
+      issue.imageIds = [];
+      issue.followUpImageIds = [];
+      issue.notes = notes;
+      issue.followUpNotes = followUpNotes;
+    } else {
+      // Create new issue
+      const issueId = Date.now();
+
+      // Use the selected datetime directly (it already includes hours and minutes)
+      const selectedDateTime = new Date(selectedDate);
+
+      issue = {
+        id: issueId,
+        timestamp: selectedDateTime.toISOString(),
+        excavator: excavator,
+        recordIds: recordIds, // Productivity/match factor record(s) this issue belongs to
+        delay: null,
+        productivity: null,
+        imageIds: [], // Store image IDs instead of base64
+        followUpImageIds: [], // Store follow-up image IDs
+        notes: notes,
+        followUpNotes: followUpNotes
+      };
+    }
+
+    applyShiftInfo(issue, 'timestamp');
+    applyRegistryInfo(issue, 'excavator');
+
+    applyIssueStatus(issue, status);
+    issue.pic = pic;
+    issue.dueDate = dueDate || null;
+
+    // Catalog version in effect when the labels below were resolved
+    const catalog = getProblemCatalog();
+    issue.catalogVersion = catalog.version;
+
+    // Process Delay Problems (multiple)
+    issue.delays = validDelays.map(item => {
+      const { mainLabel: delayLabel, subLabel: delaySubLabel } = getCatalogItemLabels('delay', item, catalog);
+
+      const hasClock = Boolean(item.startTime && item.endTime);
+      return {
+        mainCode: item.mainCode,
+        mainLabel: delayLabel,
+        subCode: item.subCode || null,
+        subLabel: delaySubLabel || null,
+        customText: item.customText || null,
+        startTime: hasClock ? item.startTime : null,
+        endTime: hasClock ? item.endTime : null,
+        minutes: item.mainCode === 'D0' ? 0 : getDelayMinutes(item)
+      };
+    });
+
+    // Process Productivity Problems (multiple)
+    issue.productivities = validProductivities.map(item => {
+      const productivityLabel = getCatalogItemLabels('productivity', item, catalog).mainLabel;
+
+      return {
+        mainCode: item.mainCode,
+        mainLabel: productivityLabel,
+        subOption: item.subOption || null,
+        customText: item.customText || null
+      };
+    });
+
+    // Backward compatibility: Keep first items as single delay/productivity
+    issue.delay = issue.delays[0] || null;
+    issue.productivity = issue.productivities[0] || null;
+
+    // Store photos in IndexedDB
+    if (currentPhotoBlobs.length > 0) {
+      try {
+        showAlert(`Menyimpan ${currentPhotoBlobs.length} foto ke IndexedDB...`, 'info');
+
+        for (const photoData of currentPhotoBlobs) {
+          const imageId = await imageStorage.storeImage(photoData.blob, issue.id.toString());
+          issue.imageIds.push(imageId);
+        }
+
+        console.log(`✅ Stored ${currentPhotoBlobs.length} photos in IndexedDB for issue ${issue.id}`);
+      } catch (error) {
+        console.error('Failed to store photos:', error);
+        showAlert('Gagal menyimpan foto! Data issue tetap disimpan.', 'warning');
+      }
+    }
+
+    // Store follow-up photos in IndexedDB
+    if (followUpPhotoBlobs.length > 0) {
+      try {
+        showAlert(`Menyimpan ${followUpPhotoBlobs.length} foto follow-up ke IndexedDB...`, 'info');
+
+        for (const photoData of followUpPhotoBlobs) {
+          const imageId = await imageStorage.storeImage(photoData.blob, issue.id.toString() + '_followup');
+          issue.followUpImageIds.push(imageId);
+        }
+
+        console.log(`✅ Stored ${followUpPhotoBlobs.length} follow-up photos in IndexedDB for issue ${issue.id}`);
+      } catch (error) {
+        console.error('Failed to store follow-up photos:', error);
+        showAlert('Gagal menyimpan foto follow-up! Data issue tetap disimpan.', 'warning');
+      }
+    }
+
+    // Save to AppState
+    if (!isEditing) {
+      AppState.issuesData.push(issue);
+    }
+    // If editing, the issue is already updated in the array by reference
+    recordStorage.markChanged('issuesData', [issue]);
+
+    saveAppData();
+
+    const totalPhotos = issue.imageIds.length + (issue.followUpImageIds?.length || 0);
+    const photoMsg = totalPhotos > 0 ? ` dengan ${totalPhotos} foto` : '';
+    const action = isEditing ? 'diperbarui' : 'disimpan';
+    showAlert(`Catatan problem${photoMsg} berhasil ${action}!`, 'success');
+
+    // Clear edit state
+    delete window.currentEditIssueIndex;
+
+    closeIssueModal();
+
+    // Update UI to show issues
+    renderIssuesTable();
+    renderDelayPareto();
+    // Delay durations feed the time usage and availability shown on the excavator cards
+    renderIndividualCharts();
+  }
+
+  // Event Listeners
+  if (btnAddIssue) btnAddIssue.addEventListener('click', () => openIssueModal());
+  if (closeBtn) closeBtn.addEventListener('click', closeIssueModal);
+  if (cancelBtn) cancelBtn.addEventListener('click', closeIssueModal);
+  if (saveBtn) saveBtn.addEventListener('click', saveIssue);
+
+  // ESC key to close - but not if lightbox is open
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      // Check if lightbox is open - if so, don't close the modal
+      const lightbox = document.getElementById('photoLightbox');
+      if (lightbox) {
+        // Lightbox is open, let its own handler deal with ESC
+        return;
+      }
+      closeIssueModal();
+    }
+  });
+
+  // Click outside to close
+  modal.addEventListener('click', function (e) {
+    if (e.target === modal) {
+      closeIssueModal();
+    }
+  });
+}
+
+// ==========================================
+// Date Filter Functions (Global Scope)
+// ==========================================
+// Populate filter year dropdown with available years from data
+function populateFilterYears() {
+  const filterYear = document.getElementById('filterYear');
+  if (!filterYear) return;
+
+  const years = new Set();
+
+  // Collect years from all data sources
+  AppState.productivityData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    years.add(date.getFullYear());
+  });
+
+  AppState.matchFactorData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    years.add(date.getFullYear());
+  });
+
+  AppState.issuesData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    years.add(date.getFullYear());
+  });
+
+  // Sort years descending (newest first)
+  const sortedYears = Array.from(years).sort((a, b) => b - a);
+
+  filterYear.innerHTML = '<option value="">-- Pilih Tahun --</option>';
+  sortedYears.forEach(year => {
+    const option = document.createElement('option');
+    option.value = year;
+    option.textContent = year;
+    filterYear.appendChild(option);
+  });
+}
+
+// Populate filter month dropdown based on selected year
+function populateFilterMonths() {
+  const filterYear = document.getElementById('filterYear');
+  const filterMonth = document.getElementById('filterMonth');
+  const filterDay = document.getElementById('filterDay');
+
+  if (!filterYear || !filterMonth || !filterDay) return;
+
+  const selectedYear = filterYear.value;
+
+  if (!selectedYear) {
+    filterMonth.innerHTML = '<option value="">-- Pilih Bulan --</option>';
+    filterMonth.disabled = true;
+    filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
+    filterDay.disabled = true;
+    return;
+  }
+
+  const months = new Set();
+  const year = parseInt(selectedYear);
+
+  // Collect months from all data sources for the selected year
+  AppState.productivityData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year) {
+      months.add(date.getMonth());
+    }
+  });
+
+  AppState.matchFactorData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year) {
+      months.add(date.getMonth());
+    }
+  });
+
+  AppState.issuesData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year) {
+      months.add(date.getMonth());
+    }
+  });
+
+  // Sort months
+  const sortedMonths = Array.from(months).sort((a, b) => a - b);
+
+  const monthNames = [
+    'Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
+    'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'
+  ];
+
+  filterMonth.innerHTML = '<option value="">-- Pilih Bulan --</option>';
+  sortedMonths.forEach(monthIndex => {
+    const option = document.createElement('option');
+    option.value = monthIndex;
+    option.textContent = monthNames[monthIndex];
+    filterMonth.appendChild(option);
+  });
+
+  filterMonth.disabled = false;
+  filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
+  filterDay.disabled = true;
+}
+
+// Populate filter day dropdown based on selected year and month
+function populateFilterDays() {
+  const filterYear = document.getElementById('filterYear');
+  const filterMonth = document.getElementById('filterMonth');
+  const filterDay = document.getElementById('filterDay');
+
+  if (!filterYear || !filterMonth || !filterDay) return;
+
+  const selectedYear = filterYear.value;
+  const selectedMonth = filterMonth.value;
+
+  if (!selectedYear || selectedMonth === '') {
+    filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
+    filterDay.disabled = true;
+    return;
+  }
+
+  const days = new Set();
+  const year = parseInt(selectedYear);
+  const month = parseInt(selectedMonth);
+
+  // Collect days from all data sources for the selected year and month
+  AppState.productivityData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year && date.getMonth() === month) {
+      days.add(date.getDate());
+    }
+  });
+
+  AppState.matchFactorData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year && date.getMonth() === month) {
+      days.add(date.getDate());
+    }
+  });
+
+  AppState.issuesData.forEach(item => {
+    const date = getRecordProductionDate(item);
+    if (date.getFullYear() === year && date.getMonth() === month) {
+      days.add(date.getDate());
+    }
+  });
+
+  // Sort days
+  const sortedDays = Array.from(days).sort((a, b) => a - b);
+
+  filterDay.innerHTML = '<option value="">-- Pilih Tanggal --</option>';
+  sortedDays.forEach(day => {
+    const option = document.createElement('option');
+    option.value = day;
+    option.textContent = day;
+    filterDay.appendChild(option);
+  });
+
+  filterDay.disabled = false;
+}
+
+// Populate Available DateTime Options for Selected Excavator (for Issue Modal)
+function populateDateOptions(excavatorId) {
+  const dateSelect = document.getElementById('issueDateSelect');
+  const dateContainer = document.getElementById('issueDateContainer');
+
+  if (!dateSelect || !dateContainer) return;
+
+  dateSelect.innerHTML = '<option value="">-- Pilih Waktu --</option>';
+
+  if (!excavatorId) {
+    dateContainer.classList.add('hidden');
+    return;
+  }
+
+  // One option per record time; the value carries the IDs of the record(s) the issue will link to
+  const slots = getExcavatorRecordSlots(excavatorId);
+
+  if (slots.length === 0) {
+    dateContainer.classList.add('hidden');
+    showAlert(`Tidak ada data untuk excavator ${excavatorId}`, 'warning');
+    return;
+  }
+
+  slots.forEach(slot => {
+    const dt = new Date(slot.datetime);
+    const sources = [];
+    if (slot.types.has('productivityData')) sources.push('Productivity');
+    if (slot.types.has('matchFactorData')) sources.push('Match Factor');
+
+    const option = document.createElement('option');
+    option.value = slot.recordIds.join(',');
+    option.dataset.datetime = slot.datetime;
+    option.textContent = `${dt.toLocaleString('id-ID', {
+      weekday: 'short',
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })} · ${sources.join(' + ')}`;
+    dateSelect.appendChild(option);
+  });
+
+  dateContainer.classList.remove('hidden');
+}
+
+// ==========================================
+// Productivity Calculator
+// ==========================================
+/**
+ * Validate productivity inputs and build the record (shared by the form and the bulk import)
+ * @param {Object} input - Data Umum fields, jumlahRitase, hmAwal, hmAkhir, kapasitas, kapasitasUnit
+ * @returns {{data: Object}|{error: string}}
+ */
+function buildProductivityRecord(input) {
+  const { namaPengawas, nrp, waktu, noExcavator, namaOperator, jenisMaterial, jumlahRitase, hmAwal, hmAkhir, kapasitas, kapasitasUnit } = input;
+
+  if (!namaPengawas || !nrp || !noExcavator || !namaOperator || !jenisMaterial) {
+    return { error: 'Mohon lengkapi Data Umum (Nama Pengawas, NRP, No Excavator, Nama Operator, dan Jenis Material)' };
+  }
+
+  if (jumlahRitase <= 0 || kapasitas <= 0) {
+    return { error: 'Jumlah Ritase dan Kapasitas harus lebih dari 0' };
+  }
+
+  if (hmAkhir <= hmAwal) {
+    return { error: 'HM Akhir harus lebih besar dari HM Awal' };
+  }
+
+  // Calculate (productivity is normalized to BCM/jam; the entered unit is kept alongside)
+  const durasi = hmAkhir - hmAwal;
+  const figures = buildProductivityFigures({ jumlahRitase, kapasitas, kapasitasUnit, jenisMaterial, durasi });
+  if (!figures) {
+    return { error: `Material ${jenisMaterial} belum punya ${kapasitasUnit === 'LCM' ? 'swell factor' : 'densitas'} di Tabel Material` };
+  }
+
+  const data = {
+    namaPengawas,
+    nrp,
+    waktu,
+    noExcavator,
+    namaOperator,
+    jenisMaterial,
+    jumlahRitase,
+    hmAwal,
+    hmAkhir,
+    durasi: parseFloat(durasi.toFixed(2)),
+    ...figures
+  };
+  applyShiftInfo(data);
+  applyRegistryInfo(data);
+  return { data };
+}
+
+function calculateProductivity() {
+  const { data, error } = buildProductivityRecord({
+    namaPengawas: document.getElementById('namaPengawas').value.trim(),
+    nrp: document.getElementById('nrp').value.trim(),
+    waktu: document.getElementById('waktu').value || new Date().toISOString().slice(0, 16),
+    noExcavator: document.getElementById('noExcavator').value.trim(),
+    namaOperator: document.getElementById('namaOperator').value.trim(),
+    jenisMaterial: document.getElementById('jenisMaterial').value,
+    jumlahRitase: parseFloat(document.getElementById('jumlahRitase').value) || 0,
+    hmAwal: parseFloat(document.getElementById('hmAwal').value) || 0,
+    hmAkhir: parseFloat(document.getElementById('hmAkhir').value) || 0,
+    kapasitas: parseFloat(document.getElementById('kapasitas').value) || 0,
+    kapasitasUnit: document.getElementById('kapasitasUnit').value
+  });
+  if (error) {
+    showAlert(error, 'error');
+    return;
+  }
+  const { jumlahRitase } = data;
+
+  const haulerClass = findRegisteredHauler(document.getElementById('haulerClass').value);
+  if (haulerClass && parseFloat(haulerClass.capacity) === data.kapasitasBcm) {
+    data.haulerClassId = haulerClass.id;
+  }
+
+  const ritaseTally = getFinishedRitaseTally(jumlahRitase, data.kapasitasBcm);
+  if (ritaseTally) {
+    data.ritaseTally = ritaseTally;
+  }
+
+  const commit = () => {
+    // Save to state and storage (marking assigns the ID issues link to)
+    AppState.productivityData.push(data);
+    recordStorage.markChanged('productivityData', [data]);
+    saveAppData();
+
+    // Update UI
+    renderProductivityTable();
+    updateProductivityChart();
+    updateFilterOptions();
+    updateTotalRecords();
+    updateLastUpdate();
+
+    // Clear inputs (except Data Umum)
+    document.getElementById('jumlahRitase').value = '';
+    document.getElementById('hmAwal').value = '';
+    document.getElementById('hmAkhir').value = '';
+    document.getElementById('kapasitas').value = '';
+    updateCapacityHint();
+
+    if (ritaseTally) clearRitaseTally();
+
+    showAlert('Data Productivity berhasil ditambahkan!', 'success');
+  };
+
+  // Check the HM against the excavator's other records before saving
+  const hmIssues = checkHmTimeline(data, AppState.productivityData);
+  if (hmIssues.length > 0) {
+    promptHmOverride(hmIssues, (override) => {
+      data.hmOverride = override;
+      commit();
+    });
+    return;
+  }
+
+  commit();
+}
+
+// ==========================================
+// HM Timeline Validation
+// ==========================================
+const HM_MAX_HOURLY_DURATION = 1.5; // jam, for a record that covers one hour
+const HM_GAP_TOLERANCE = 0.1; // jam of unrecorded HM tolerated between consecutive records
+const HM_NEIGHBOUR_WINDOW_MINUTES = 90; // records further apart are not expected to chain
+
+/**
+ * Productivity records per excavator (normalized code), each list sorted by waktu
+ * @param {Array} records - Productivity records
+ * @returns {Map<string, Array<{record: Object, time: number}>>}
+ */
+function buildHmTimelines(records) {
+  const timelines = new Map();
+  records.forEach(record => {
+    const excavator = normalizeEquipmentCode(record.noExcavator);
+    if (!timelines.has(excavator)) timelines.set(excavator, []);
+    timelines.get(excavator).push({ record, time: new Date(record.waktu).getTime() });
+  });
+  timelines.forEach(timeline => timeline.sort((a, b) => a.time - b.time));
+  return timelines;
+}
+
+// First position in a sorted timeline that is not before the given time
+function findHmTimelineIndex(timeline, time) {
+  let low = 0;
+  let high = timeline.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (timeline[middle].time < time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// Insert a record into its excavator's timeline, after the records with the same waktu
+function addToHmTimelines(timelines, record) {
+  const excavator = normalizeEquipmentCode(record.noExcavator);
+  if (!timelines.has(excavator)) timelines.set(excavator, []);
+  const timeline = timelines.get(excavator);
+  const time = new Date(record.waktu).getTime();
+  let index = findHmTimelineIndex(timeline, time);
+  while (index < timeline.length && timeline[index].time === time) index++;
+  timeline.splice(index, 0, { record, time });
+}
+
+/**
+ * Check a productivity record's HM range against its neighbours on the excavator's timeline:
+ * the records with the same waktu and the nearest one before and after. When every record
+ * agrees with its neighbours the whole timeline is consistent, so farther records are skipped.
+ * @param {Object} candidate - Record being checked (may itself be on the timeline)
+ * @param {Map} timelines - Result of buildHmTimelines
+ * @returns {Array<{type: string, message: string}>} Empty when the timeline is consistent
+ */
+function checkHmAgainstTimelines(candidate, timelines) {
+  const issues = [];
+  const hmAwal = parseFloat(candidate.hmAwal);
+  const hmAkhir = parseFloat(candidate.hmAkhir);
+  const time = new Date(candidate.waktu).getTime();
+
+  if (hmAkhir <= hmAwal) {
+    issues.push({ type: 'backwards', message: `HM Akhir (${hmAkhir}) tidak lebih besar dari HM Awal (${hmAwal})` });
+  } else if (hmAkhir - hmAwal > HM_MAX_HOURLY_DURATION) {
+    issues.push({ type: 'duration', message: `Durasi ${(hmAkhir - hmAwal).toFixed(2)} jam melebihi ${HM_MAX_HOURLY_DURATION} jam untuk data per jam` });
+  }
+
+  const timeline = timelines.get(normalizeEquipmentCode(candidate.noExcavator)) || [];
+  const start = findHmTimelineIndex(timeline, time);
+  let end = start;
+  while (end < timeline.length && timeline[end].time === time) end++;
+  const before = start > 0 ? timeline[start - 1].record : null;
+  const after = end < timeline.length ? timeline[end].record : null;
+  const sameTime = timeline.slice(start, end).map(entry => entry.record).filter(record => record !== candidate);
+
+  [before, ...sameTime, after].filter(Boolean).forEach(other => {
+    const otherAwal = parseFloat(other.hmAwal);
+    const otherAkhir = parseFloat(other.hmAkhir);
+    const otherTime = new Date(other.waktu).getTime();
+    // Formatted only when reported: an audit checks every stored record
+    const label = () => `data ${formatDateTime(other.waktu)} (HM ${otherAwal} - ${otherAkhir})`;
+
+    if (otherAwal === hmAwal && otherAkhir === hmAkhir) {
+      issues.push({ type: 'duplicate', message: `Duplikat dengan ${label()}` });
+    } else if (hmAwal < otherAkhir && otherAwal < hmAkhir) {
+      issues.push({ type: 'overlap', message: `HM tumpang tindih dengan ${label()}` });
+    } else if ((otherTime < time && otherAwal >= hmAkhir) || (otherTime > time && otherAkhir <= hmAwal)) {
+      issues.push({ type: 'backwards', message: `HM mundur dibanding ${label()}` });
+    }
+  });
+
+  // Gaps only matter between records that should chain (consecutive hours)
+  const windowMs = HM_NEIGHBOUR_WINDOW_MINUTES * 60 * 1000;
+  if (before && time - new Date(before.waktu).getTime() <= windowMs) {
+    const gap = hmAwal - parseFloat(before.hmAkhir);
+    if (gap > HM_GAP_TOLERANCE) {
+      issues.push({ type: 'gap', message: `Gap HM ${gap.toFixed(2)} jam setelah data ${formatDateTime(before.waktu)} (HM Akhir ${before.hmAkhir})` });
+    }
+  }
+  if (after && new Date(after.waktu).getTime() - time <= windowMs) {
+    const gap = parseFloat(after.hmAwal) - hmAkhir;
+    if (gap > HM_GAP_TOLERANCE) {
+      issues.push({ type: 'gap', message: `Gap HM ${gap.toFixed(2)} jam sebelum data ${formatDateTime(after.waktu)} (HM Awal ${after.hmAwal})` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check a productivity record's HM range against the same excavator's other records
+ * @param {Object} candidate - Record being saved
+ * @param {Array} records - Existing productivity records
+ * @param {number} ignoreIndex - Index of the candidate in records when editing, -1 otherwise
+ * @returns {Array<{type: string, message: string}>} Empty when the timeline is consistent
+ */
+function checkHmTimeline(candidate, records, ignoreIndex = -1) {
+  const excavator = normalizeEquipmentCode(candidate.noExcavator);
+  const others = records.filter((record, index) => index !== ignoreIndex && normalizeEquipmentCode(record.noExcavator) === excavator);
+  return checkHmAgainstTimelines(candidate, buildHmTimelines(others));
+}
+
+/**
+ * Audit every productivity record's HM timeline (used after restore)
+ * Records already saved with an override reason are skipped
+ * @param {Array} records - Productivity records
+ * @returns {Array<{record: Object, issues: Array}>}
+ */
+function auditHmTimeline(records) {
+  const timelines = buildHmTimelines(records);
+  return records
+    .filter(record => !record.hmOverride)
+    .map(record => ({ record, issues: checkHmAgainstTimelines(record, timelines) }))
+    .filter(finding => finding.issues.length > 0);
+}
+
+const HM_ISSUE_LABELS = {
+  duplicate: { label: 'Duplikat', badge: 'bg-red-100 text-red-800' },
+  overlap: { label: 'Overlap', badge: 'bg-red-100 text-red-800' },
+  backwards: { label: 'HM Mundur', badge: 'bg-orange-100 text-orange-800' },
+  gap: { label: 'Gap', badge: 'bg-yellow-100 text-yellow-800' },
+  duration: { label: 'Durasi', badge: 'bg-yellow-100 text-yellow-800' }
+};
+
+function renderHmIssueList(issues) {
+  return issues.map(issue => `
+    <li class="flex items-start gap-2 text-sm text-gray-700">
+      <span class="inline-flex px-2 py-0.5 rounded-full text-[10px] font-bold flex-shrink-0 ${HM_ISSUE_LABELS[issue.type].badge}">${HM_ISSUE_LABELS[issue.type].label}</span>
+      <span>${issue.message}</span>
+    </li>
+  `).join('');
+}
+
+function openHmWarningModal({ title, description, listHTML, cancelLabel = 'Batal', previousReason = '' }) {
+  document.getElementById('hmWarningTitle').textContent = title;
+  document.getElementById('hmWarningDescription').textContent = description;
+  document.getElementById('hmWarningList').innerHTML = listHTML;
+  document.getElementById('btnCancelHmOverride').querySelector('span span').textContent = cancelLabel;
+  document.getElementById('hmOverrideReason').value = previousReason;
+
+  document.getElementById('hmWarningModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
+
+function closeHmWarningModal() {
+  document.getElementById('hmWarningModal').classList.add('hidden');
+  // The check can run on top of the edit modal
+  if (document.getElementById('editModal').classList.contains('hidden')) {
+    document.body.classList.remove('modal-open');
+  }
+  document.getElementById('btnConfirmHmOverride').onclick = null;
+}
+
+/**
+ * Show HM problems and let the user save anyway with a reason
+ * @param {Array} issues - Result of checkHmTimeline
+ * @param {Function} onConfirm - Called with the override ({reason, issues, at})
+ * @param {string} previousReason - Reason from an earlier override, when editing
+ */
+function promptHmOverride(issues, onConfirm, previousReason = '') {
+  openHmWarningModal({
+    title: 'Periksa HM',
+    description: 'HM data ini tidak konsisten dengan data lain untuk excavator yang sama.',
+    listHTML: `<ul class="space-y-2">${renderHmIssueList(issues)}</ul>`,
+    previousReason
+  });
+
+  bindHmOverrideConfirm((reason, at) => onConfirm({ reason, issues: issues.map(issue => issue.message), at }));
+}
+
+// Confirm button of the HM modal: require a reason, then hand it on with the time
+function bindHmOverrideConfirm(onConfirm) {
+  document.getElementById('btnConfirmHmOverride').onclick = () => {
+    const reason = document.getElementById('hmOverrideReason').value.trim();
+    if (!reason) {
+      showToast('Isi alasan untuk tetap menyimpan', 'warning');
+      return;
+    }
+    closeHmWarningModal();
+    onConfirm(reason, new Date().toISOString());
+  };
+}
+
+/**
+ * List the HM problems of already stored records. They can be fixed through the table,
+ * or kept with a reason, which marks them like a save-time override
+ * @param {Array} findings - Result of auditHmTimeline
+ */
+function showHmAuditReport(findings) {
+  const listHTML = findings.map(({ record, issues }) => `
+    <div class="border border-gray-200 rounded-lg p-3">
+      <p class="text-xs font-semibold text-gray-900 mb-2">${record.noExcavator} · ${formatDateTime(record.waktu)} · HM ${record.hmAwal} - ${record.hmAkhir}</p>
+      <ul class="space-y-1.5">${renderHmIssueList(issues)}</ul>
+    </div>
+  `).join('');
+
+  openHmWarningModal({
+    title: 'Hasil Validasi HM',
+    description: `${findings.length} data productivity memiliki masalah HM. Perbaiki lewat tombol edit pada tabel, atau simpan apa adanya dengan alasan.`,
+    listHTML: `<div class="space-y-2">${listHTML}</div>`,
+    cancelLabel: 'Tutup'
+  });
+
+  bindHmOverrideConfirm((reason, at) => {
+    findings.forEach(({ record, issues }) => {
+      record.hmOverride = { reason, issues: issues.map(issue => issue.message), at };
+    });
+    recordStorage.markChanged('productivityData', findings.map(finding => finding.record));
+    saveAppData();
+    renderProductivityTable();
+    showToast(`${findings.length} data productivity disimpan dengan catatan HM`, 'success');
+  });
+}
+
+// ==========================================
+// Ritase Tally Counter
+// ==========================================
+// The tally lives in localStorage so a reload or a dead signal at the pit edge loses nothing
+const RITASE_TALLY_KEY = 'ritaseTally';
+let ritaseTallyTimerId = null;
+
+function loadRitaseTally() {
+  try {
+    return JSON.parse(localStorage.getItem(RITASE_TALLY_KEY) || 'null');
+  } catch (error) {
+    console.warn('⚠️ Invalid ritase tally in localStorage, starting over:', error);
+    return null;
+  }
+}
+
+function saveRitaseTally(tally) {
+  localStorage.setItem(RITASE_TALLY_KEY, JSON.stringify(tally));
+}
+
+function clearRitaseTally() {
+  localStorage.removeItem(RITASE_TALLY_KEY);
+  updateRitaseTallyHint();
+}
+
+// Current hour slot as a datetime-local value (e.g. 2025-11-19T07:00)
+function getCurrentHourSlot() {
+  const now = new Date();
+  return `${formatDateKey(now)}T${String(now.getHours()).padStart(2, '0')}:00`;
+}
+
+function createRitaseTally() {
+  const waktuInput = document.getElementById('waktu');
+  if (!waktuInput.value) {
+    waktuInput.value = getCurrentHourSlot();
+  }
+
+  return {
+    waktu: waktuInput.value,
+    noExcavator: document.getElementById('noExcavator').value.trim(),
+    startedAt: Date.now(),
+    finishedAt: null,
+    trucks: [],
+    currentPasses: 0,
+    actions: [],
+    bucketCapacity: parseFloat(findRegisteredExcavator(document.getElementById('noExcavator').value)?.bucketCapacity) ||
+      parseFloat(localStorage.getItem('tallyBucketCapacity')) || null
+  };
+}
+
+function vibrateTap(pattern = 30) {
+  if (navigator.vibrate) navigator.vibrate(pattern);
+}
+
+/**
+ * Pass statistics and fill factor for a tally
+ * Fill factor = vessel capacity / (average passes × bucket capacity)
+ * @param {Object} tally - Ritase tally state
+ * @param {number} kapasitas - Vessel capacity (BCM), if known
+ * @returns {{avgPasses: number|null, fillFactor: number|null}}
+ */
+function summarizeRitaseTally(tally, kapasitas) {
+  const counted = tally.trucks.filter(truck => truck.passes > 0);
+  const avgPasses = counted.length > 0
+    ? counted.reduce((sum, truck) => sum + truck.passes, 0) / counted.length
+    : null;
+  const fillFactor = avgPasses && tally.bucketCapacity > 0 && kapasitas > 0
+    ? kapasitas / (avgPasses * tally.bucketCapacity)
+    : null;
+
+  return { avgPasses, fillFactor };
+}
+
+function renderRitaseTally() {
+  const tally = loadRitaseTally();
+  if (!tally) return;
+
+  document.getElementById('ritaseTallyCount').textContent = tally.trucks.length;
+  document.getElementById('ritaseTallyPasses').textContent = tally.currentPasses;
+  document.getElementById('btnTallyUndo').disabled = tally.actions.length === 0;
+
+  const slotStart = new Date(tally.waktu);
+  const slotEnd = new Date(slotStart.getTime() + 60 * 60 * 1000);
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: false };
+  document.getElementById('ritaseTallySlot').textContent =
+    `${tally.noExcavator || 'Excavator -'} · Slot ${slotStart.toLocaleTimeString('id-ID', timeOptions)} - ${slotEnd.toLocaleTimeString('id-ID', timeOptions)}`;
+
+  const { avgPasses, fillFactor } = summarizeRitaseTally(tally, getFormCapacityBcm());
+  const standardFillFactor = parseFloat(findMaterial(document.getElementById('jenisMaterial').value)?.fillFactor);
+  const parts = [];
+  if (avgPasses) parts.push(`Rata-rata ${avgPasses.toFixed(1)} pass/HD`);
+  if (avgPasses && tally.bucketCapacity > 0) parts.push(`±${(avgPasses * tally.bucketCapacity).toFixed(1)} BCM/HD dari bucket`);
+  if (fillFactor) parts.push(`Fill factor ${fillFactor.toFixed(2)}${standardFillFactor > 0 ? ` (standar ${standardFillFactor})` : ''}`);
+  document.getElementById('ritaseTallySummary').textContent = parts.join(' · ');
+
+  updateRitaseTallyTimer();
+}
+
+// Timer runs from the start of the waktu slot and flags when the hour is over
+function updateRitaseTallyTimer() {
+  const tally = loadRitaseTally();
+  if (!tally) return;
+
+  const slotStart = new Date(tally.waktu).getTime();
+  const elapsed = Math.max(0, Date.now() - slotStart);
+  const minutes = Math.floor(elapsed / 60000);
+  const seconds = Math.floor((elapsed % 60000) / 1000);
+  document.getElementById('ritaseTallyTimer').textContent =
+    `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+
+  const note = document.getElementById('ritaseTallyTimerNote');
+  if (elapsed >= 60 * 60 * 1000) {
+    note.textContent = 'Slot jam sudah lewat';
+    note.className = 'text-[10px] text-orange-600 font-semibold';
+  } else {
+    note.textContent = `Sisa ${60 - minutes} menit`;
+    note.className = 'text-[10px] text-gray-400';
+  }
+}
+
+function openRitaseTally() {
+  let tally = loadRitaseTally();
+  if (!tally || tally.finishedAt) {
+    tally = tally && tally.finishedAt ? { ...tally, finishedAt: null } : createRitaseTally();
+    saveRitaseTally(tally);
+  }
+
+  document.getElementById('tallyBucketCapacity').value = tally.bucketCapacity || '';
+  renderRitaseTally();
+
+  clearInterval(ritaseTallyTimerId);
+  ritaseTallyTimerId = setInterval(updateRitaseTallyTimer, 1000);
+
+  document.getElementById('ritaseTallyModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
+
+function closeRitaseTally() {
+  clearInterval(ritaseTallyTimerId);
+  ritaseTallyTimerId = null;
+  document.getElementById('ritaseTallyModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  updateRitaseTallyHint();
+}
+
+function tallyPass() {
+  const tally = loadRitaseTally();
+  if (!tally) return;
+  tally.currentPasses++;
+  tally.actions.push('pass');
+  saveRitaseTally(tally);
+  vibrateTap(20);
+  renderRitaseTally();
+}
+
+function tallyTruck() {
+  const tally = loadRitaseTally();
+  if (!tally) return;
+  tally.trucks.push({ at: Date.now(), passes: tally.currentPasses });
+  tally.currentPasses = 0;
+  tally.actions.push('truck');
+  saveRitaseTally(tally);
+  vibrateTap(60);
+  renderRitaseTally();
+}
+
+function undoTally() {
+  const tally = loadRitaseTally();
+  if (!tally || tally.actions.length === 0) return;
+
+  const last = tally.actions.pop();
+  if (last === 'truck') {
+    const truck = tally.trucks.pop();
+    tally.currentPasses = truck.passes;
+  } else {
+    tally.currentPasses = Math.max(0, tally.currentPasses - 1);
+  }
+
+  saveRitaseTally(tally);
+  vibrateTap([20, 40, 20]);
+  renderRitaseTally();
+}
+
+function updateTallyBucketCapacity(event) {
+  const tally = loadRitaseTally();
+  if (!tally) return;
+  tally.bucketCapacity = parseFloat(event.target.value) || null;
+  if (tally.bucketCapacity) localStorage.setItem('tallyBucketCapacity', tally.bucketCapacity);
+  saveRitaseTally(tally);
+  renderRitaseTally();
+}
+
+function resetRitaseTally() {
+  showConfirm(
+    'Reset Tally?',
+    'Semua hitungan ritase dan pass pada tally ini akan dihapus.',
+    'warning',
+    'red',
+    () => {
+      saveRitaseTally(createRitaseTally());
+      renderRitaseTally();
+    }
+  );
+}
+
+function finishRitaseTally() {
+  const tally = loadRitaseTally();
+  if (!tally || tally.trucks.length === 0) {
+    showToast('Belum ada ritase yang dihitung', 'warning');
+    return;
+  }
+
+  // A loading truck that has not been tapped off yet is not a ritase
+  if (tally.currentPasses > 0) {
+    showToast(`${tally.currentPasses} pass pada HD terakhir tidak dihitung sebagai ritase`, 'warning');
+  }
+
+  tally.finishedAt = Date.now();
+  saveRitaseTally(tally);
+
+  document.getElementById('jumlahRitase').value = tally.trucks.length;
+  if (!document.getElementById('waktu').value) {
+    document.getElementById('waktu').value = tally.waktu;
+  }
+
+  closeRitaseTally();
+  showToast(`Jumlah Ritase diisi: ${tally.trucks.length}`, 'success');
+}
+
+// Short status line under the productivity form while a tally is open or waiting to be saved
+function updateRitaseTallyHint() {
+  const hint = document.getElementById('ritaseTallyHint');
+  if (!hint) return;
+
+  const tally = loadRitaseTally();
+  if (!tally || (tally.trucks.length === 0 && tally.currentPasses === 0)) {
+    hint.classList.add('hidden');
+    return;
+  }
+
+  const { avgPasses, fillFactor } = summarizeRitaseTally(tally, getFormCapacityBcm());
+  const parts = [`${tally.finishedAt ? 'Tally selesai' : 'Tally berjalan'}: ${tally.trucks.length} ritase`];
+  if (avgPasses) parts.push(`${avgPasses.toFixed(1)} pass/HD`);
+  if (fillFactor) parts.push(`fill factor ${fillFactor.toFixed(2)}`);
+
+  hint.innerHTML = `<i class="fas fa-hand-pointer mr-1"></i>${parts.join(' · ')}`;
+  hint.classList.remove('hidden');
+}
+
+/**
+ * Tally details to store with a productivity record
+ * Only attached while jumlahRitase still matches the finished tally
+ * @param {number} jumlahRitase - Value being saved
+ * @param {number} kapasitas - Vessel capacity being saved (BCM)
+ * @returns {Object|null}
+ */
+function getFinishedRitaseTally(jumlahRitase, kapasitas) {
+  const tally = loadRitaseTally();
+  if (!tally || !tally.finishedAt || tally.trucks.length !== jumlahRitase) return null;
+
+  const { avgPasses, fillFactor } = summarizeRitaseTally(tally, kapasitas);
+  return {
+    passesPerTruck: tally.trucks.map(truck => truck.passes),
+    truckTimes: tally.trucks.map(truck => new Date(truck.at).toISOString()),
+    avgPasses: avgPasses !== null ? parseFloat(avgPasses.toFixed(2)) : null,
+    bucketCapacity: tally.bucketCapacity,
+    fillFactor: fillFactor !== null ? parseFloat(fillFactor.toFixed(2)) : null,
+    startedAt: new Date(tally.startedAt).toISOString(),
+    finishedAt: new Date(tally.finishedAt).toISOString()
+  };
+}
+
+// ==========================================
+// Match Factor Calculator
+// ==========================================
+/**
+ * Validate match factor inputs and build the record (shared by the form and the bulk import)
+ * @param {Object} input - Data Umum fields, jumlahHD, cycleTimeHauler, cycleTimeLoader
+ * @returns {{data: Object, warning: string|null}|{error: string}} Warning when MF is outside 0.1 - 2
+ */
+function buildMatchFactorRecord(input) {
+  const { namaPengawas, nrp, waktu, noExcavator, namaOperator, jenisMaterial, jumlahHD, cycleTimeHauler, cycleTimeLoader } = input;
+
+  if (!namaPengawas || !nrp || !noExcavator || !namaOperator || !jenisMaterial) {
+    return { error: 'Mohon lengkapi Data Umum (Nama Pengawas, NRP, No Excavator, Nama Operator, dan Jenis Material)' };
+  }
+
+  if (jumlahHD <= 0 || cycleTimeHauler <= 0 || cycleTimeLoader <= 0) {
+    return { error: 'Semua field harus diisi dengan nilai lebih dari 0' };
+  }
+
+  // Calculate
+  const matchFactor = (jumlahHD * cycleTimeLoader) / cycleTimeHauler;
+
+  const data = {
+    namaPengawas,
+    nrp,
+    waktu,
+    noExcavator,
+    namaOperator,
+    jenisMaterial,
+    jumlahHD,
+    cycleTimeHauler,
+    cycleTimeLoader,
+    matchFactor: parseFloat(matchFactor.toFixed(2))
+  };
+  applyShiftInfo(data);
+  applyRegistryInfo(data);
+
+  // Validate range
+  const warning = matchFactor < 0.1 || matchFactor > 2
+    ? `Warning: Match Factor (${matchFactor.toFixed(2)}) di luar range valid (0.1 - 2)`
+    : null;
+  return { data, warning };
+}
+
+function calculateMatchFactor() {
+  const { data, warning, error } = buildMatchFactorRecord({
+    namaPengawas: document.getElementById('namaPengawas').value.trim(),
+    nrp: document.getElementById('nrp').value.trim(),
+    waktu: document.getElementById('waktu').value || new Date().toISOString().slice(0, 16),
+    noExcavator: document.getElementById('noExcavator').value.trim(),
+    namaOperator: document.getElementById('namaOperator').value.trim(),
+    jenisMaterial: document.getElementById('jenisMaterial').value,
+    jumlahHD: parseFloat(document.getElementById('jumlahHD').value) || 0,
+    cycleTimeHauler: parseFloat(document.getElementById('cycleTimeHauler').value) || 0,
+    cycleTimeLoader: parseFloat(document.getElementById('cycleTimeLoader').value) || 0
+  });
+  if (error) {
+    showAlert(error, 'error');
+    return;
+  }
+  if (warning) {
+    showAlert(warning, 'warning');
+  }
+  const { cycleTimeHauler, cycleTimeLoader } = data;
+
+  const cycleTimeSamples = getAppliedStopwatchSamples(cycleTimeHauler, cycleTimeLoader);
+  if (cycleTimeSamples) {
+    data.cycleTimeSamples = cycleTimeSamples;
+  }
+
+  // Save to state and storage (marking assigns the ID issues link to)
+  AppState.matchFactorData.push(data);
+  recordStorage.markChanged('matchFactorData', [data]);
+  saveAppData();
+
+  // Update UI
+  renderMatchFactorTable();
+  updateMatchFactorChart();
+  updateFilterOptions();
+  updateTotalRecords();
+  updateLastUpdate();
+
+  // Clear inputs (except Data Umum)
+  document.getElementById('jumlahHD').value = '';
+  document.getElementById('cycleTimeHauler').value = '';
+  document.getElementById('cycleTimeLoader').value = '';
+
+  renderMatchFactorRecommendation(data);
+  if (cycleTimeSamples) resetStopwatch();
+
+  showAlert('Data Match Factor berhasil ditambahkan!', 'success');
+}
+
+/**
+ * Render the recommendation panel with a what-if slider for a match factor record
+ * @param {Object} record - Match factor record
+ */
+function renderMatchFactorRecommendation(record) {
+  const panel = document.getElementById('mfRecommendationPanel');
+  const recommendation = getMatchFactorRecommendation(record);
+  if (!panel || !recommendation) return;
+
+  const { current, ideal, delta } = recommendation;
+  const sliderMax = Math.max(ideal.haulers * 2, current.haulers + 5);
+  const deltaColor = delta === 0 ? 'bg-green-100 text-green-800' : 'bg-orange-100 text-orange-800';
+
+  panel.innerHTML = `
+    <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+      <div class="flex items-center gap-2">
+        <i class="fas fa-lightbulb text-purple-500"></i>
+        <h3 class="text-sm font-bold text-gray-900">Rekomendasi Jumlah HD</h3>
+      </div>
+      <span class="text-xs text-gray-500">${record.noExcavator} · ${formatDateTime(record.waktu)}</span>
+    </div>
+    <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+      <div class="bg-white rounded-lg border border-gray-200 p-3">
+        <p class="text-[10px] uppercase font-semibold text-gray-400">Saat Ini</p>
+        <p class="text-lg font-bold text-gray-900">${current.haulers} HD</p>
+        <p class="text-xs text-gray-500">MF ${current.matchFactor.toFixed(2)}</p>
+      </div>
+      <div class="bg-white rounded-lg border border-gray-200 p-3">
+        <p class="text-[10px] uppercase font-semibold text-gray-400">Ideal (MF ≈ 1)</p>
+        <p class="text-lg font-bold text-purple-700">${ideal.haulers} HD</p>
+        <p class="text-xs text-gray-500">MF ${ideal.matchFactor.toFixed(2)}</p>
+      </div>
+      <div class="bg-white rounded-lg border border-gray-200 p-3">
+        <p class="text-[10px] uppercase font-semibold text-gray-400">Ritase/Jam</p>
+        <p class="text-lg font-bold text-gray-900">${current.loadsPerHour.toFixed(1)} → ${ideal.loadsPerHour.toFixed(1)}</p>
+        <p class="text-xs text-gray-500">${recommendation.productivityChange >= 0 ? '+' : ''}${recommendation.productivityChange.toFixed(1)}%</p>
+      </div>
+      <div class="bg-white rounded-lg border border-gray-200 p-3">
+        <p class="text-[10px] uppercase font-semibold text-gray-400">Rekomendasi</p>
+        <span class="inline-flex items-center px-2.5 py-1 mt-1 rounded-full text-xs font-bold ${deltaColor}">${formatHaulerDelta(delta)}</span>
+      </div>
+    </div>
+    <p class="text-xs text-gray-600 mb-4"><i class="fas fa-circle-info text-purple-400 mr-1"></i>${describeMatchFactorRecommendation(recommendation)}</p>
+    <div class="bg-white rounded-lg border border-gray-200 p-3">
+      <div class="flex items-center justify-between mb-2">
+        <label for="mfWhatIfSlider" class="text-xs font-semibold text-gray-700">What-if: jumlah HD</label>
+        <span id="mfWhatIfValue" class="text-sm font-bold text-purple-700"></span>
+      </div>
+      <input type="range" id="mfWhatIfSlider" min="1" max="${sliderMax}" step="1" value="${current.haulers}" class="w-full accent-purple-600">
+      <div id="mfWhatIfResult" class="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-3 text-xs"></div>
+    </div>
+  `;
+
+  const slider = document.getElementById('mfWhatIfSlider');
+  const updateWhatIf = () => {
+    const haulers = parseInt(slider.value, 10);
+    const simulated = simulateMatchFactor(haulers, parseFloat(record.cycleTimeHauler), parseFloat(record.cycleTimeLoader));
+    const change = (simulated.loadsPerHour - current.loadsPerHour) / current.loadsPerHour * 100;
+
+    document.getElementById('mfWhatIfValue').textContent = `${haulers} HD`;
+    document.getElementById('mfWhatIfResult').innerHTML = `
+      <div><span class="text-gray-400">MF</span><br><strong>${simulated.matchFactor.toFixed(2)}</strong></div>
+      <div><span class="text-gray-400">Ritase/Jam</span><br><strong>${simulated.loadsPerHour.toFixed(1)}</strong> (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)</div>
+      <div><span class="text-gray-400">Excavator Idle</span><br><strong>${simulated.loaderIdle.toFixed(1)}</strong> menit/jam</div>
+      <div><span class="text-gray-400">Antrian HD</span><br><strong>${simulated.truckIdle.toFixed(1)}</strong> menit/jam per unit</div>
+    `;
+  };
+  slider.addEventListener('input', updateWhatIf);
+  updateWhatIf();
+
+  panel.classList.remove('hidden');
+}
+
+window.showMatchFactorRecommendation = function (index) {
+  const record = AppState.matchFactorData[index];
+  if (!record) return;
+  renderMatchFactorRecommendation(record);
+  document.getElementById('mfRecommendationPanel').scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+// ==========================================
+// Cycle Time Stopwatch
+// ==========================================
+// Lap marks are kept in ms since the stopwatch started; samples are stored in seconds
+const ctStopwatch = {
+  running: false,
+  startedAt: 0,
+  elapsedBefore: 0,
+  timerId: null,
+  lastBucketMark: 0,
+  loadStartMark: 0,
+  lastHaulerMark: null,
+  bucketPasses: [],
+  currentLoadPasses: 0,
+  loads: [],
+  haulerCycles: [],
+  applied: null
+};
+
+/**
+ * Mean and standard deviation after dropping outliers outside Tukey's fences (1.5 × IQR)
+ * Fewer than 4 samples are used as-is
+ * @param {number[]} samples - Raw samples
+ * @returns {{count: number, mean: number, stdDev: number, kept: number[], outliers: number[]}|null}
+ */
+function summarizeSamples(samples) {
+  if (!samples || samples.length === 0) return null;
+
+  let kept = samples;
+  let outliers = [];
+  if (samples.length >= 4) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const quantile = (q) => {
+      const pos = (sorted.length - 1) * q;
+      const base = Math.floor(pos);
+      const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+      return sorted[base] + (pos - base) * (next - sorted[base]);
+    };
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+    const fence = 1.5 * (q3 - q1);
+    kept = samples.filter(v => v >= q1 - fence && v <= q3 + fence);
+    outliers = samples.filter(v => v < q1 - fence || v > q3 + fence);
+  }
+
+  const mean = kept.reduce((a, b) => a + b, 0) / kept.length;
+  const variance = kept.length > 1
+    ? kept.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (kept.length - 1)
+    : 0;
+
+  return { count: samples.length, mean, stdDev: Math.sqrt(variance), kept, outliers };
+}
+
+function getStopwatchElapsed() {
+  return ctStopwatch.elapsedBefore + (ctStopwatch.running ? Date.now() - ctStopwatch.startedAt : 0);
+}
+
+function formatStopwatchTime(ms) {
+  const totalSeconds = ms / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+  return `${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+function updateStopwatchDisplay() {
+  const display = document.getElementById('ctStopwatchDisplay');
+  if (display) display.textContent = formatStopwatchTime(getStopwatchElapsed());
+}
+
+function renderStopwatchStats() {
+  const container = document.getElementById('ctStopwatchStats');
+  if (!container) return;
+
+  const groups = [
+    { label: 'Bucket Pass', samples: ctStopwatch.bucketPasses, extra: ctStopwatch.currentLoadPasses > 0 ? `${ctStopwatch.currentLoadPasses} pass di HD saat ini` : '' },
+    { label: 'Loading Time / HD', samples: ctStopwatch.loads.map(load => load.seconds), extra: '' },
+    { label: 'Cycle Time Hauler', samples: ctStopwatch.haulerCycles, extra: ctStopwatch.lastHaulerMark !== null && ctStopwatch.haulerCycles.length === 0 ? 'Menunggu HD kembali...' : '' }
+  ];
+
+  container.innerHTML = groups.map(group => {
+    const summary = summarizeSamples(group.samples);
+    return `
+      <div class="bg-white rounded-lg border border-gray-200 p-3">
+        <p class="text-[10px] uppercase font-semibold text-gray-400 mb-1">${group.label}</p>
+        ${summary ? `
+          <p class="text-lg font-bold text-gray-900">${summary.mean.toFixed(1)} <span class="text-xs font-medium text-gray-500">± ${summary.stdDev.toFixed(1)} detik</span></p>
+          <p class="text-xs text-gray-500">n = ${summary.kept.length}${summary.outliers.length ? ` <span class="text-orange-600">(${summary.outliers.length} outlier dibuang)</span>` : ''}</p>
+        ` : '<p class="text-sm text-gray-400">Belum ada sampel</p>'}
+        ${group.extra ? `<p class="text-[10px] text-purple-600 mt-1">${group.extra}</p>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function setStopwatchLapButtons(enabled) {
+  ['btnLapBucket', 'btnLapTruckLoaded', 'btnLapHauler'].forEach(id => {
+    document.getElementById(id).disabled = !enabled;
+  });
+}
+
+function toggleStopwatch() {
+  const button = document.getElementById('btnStopwatchToggle');
+
+  if (ctStopwatch.running) {
+    ctStopwatch.elapsedBefore = getStopwatchElapsed();
+    ctStopwatch.running = false;
+    clearInterval(ctStopwatch.timerId);
+    button.innerHTML = '<i class="fas fa-play"></i><span>Lanjut</span>';
+  } else {
+    ctStopwatch.startedAt = Date.now();
+    ctStopwatch.running = true;
+    ctStopwatch.timerId = setInterval(updateStopwatchDisplay, 100);
+    button.innerHTML = '<i class="fas fa-pause"></i><span>Jeda</span>';
+  }
+
+  setStopwatchLapButtons(ctStopwatch.running);
+  updateStopwatchDisplay();
+}
+
+function resetStopwatch() {
+  clearInterval(ctStopwatch.timerId);
+  Object.assign(ctStopwatch, {
+    running: false,
+    startedAt: 0,
+    elapsedBefore: 0,
+    timerId: null,
+    lastBucketMark: 0,
+    loadStartMark: 0,
+    lastHaulerMark: null,
+    bucketPasses: [],
+    currentLoadPasses: 0,
+    loads: [],
+    haulerCycles: [],
+    applied: null
+  });
+
+  const button = document.getElementById('btnStopwatchToggle');
+  if (button) button.innerHTML = '<i class="fas fa-play"></i><span>Mulai</span>';
+  if (document.getElementById('btnLapBucket')) setStopwatchLapButtons(false);
+  updateStopwatchDisplay();
+  renderStopwatchStats();
+}
+
+function lapBucketPass() {
+  const now = getStopwatchElapsed();
+  ctStopwatch.bucketPasses.push(parseFloat(((now - ctStopwatch.lastBucketMark) / 1000).toFixed(1)));
+  ctStopwatch.lastBucketMark = now;
+  ctStopwatch.currentLoadPasses++;
+  renderStopwatchStats();
+}
+
+function lapTruckLoaded() {
+  const now = getStopwatchElapsed();
+  ctStopwatch.loads.push({
+    seconds: parseFloat(((now - ctStopwatch.loadStartMark) / 1000).toFixed(1)),
+    passes: ctStopwatch.currentLoadPasses
+  });
+  // The next truck's loading (and its first bucket) starts now
+  ctStopwatch.loadStartMark = now;
+  ctStopwatch.lastBucketMark = now;
+  ctStopwatch.currentLoadPasses = 0;
+  renderStopwatchStats();
+}
+
+function lapHaulerArrival() {
+  const now = getStopwatchElapsed();
+  if (ctStopwatch.lastHaulerMark !== null) {
+    ctStopwatch.haulerCycles.push(parseFloat(((now - ctStopwatch.lastHaulerMark) / 1000).toFixed(1)));
+  }
+  ctStopwatch.lastHaulerMark = now;
+  renderStopwatchStats();
+}
+
+// Fill the cycle-time inputs (menit) from the stopwatch means
+function applyStopwatchToForm() {
+  const loadSummary = summarizeSamples(ctStopwatch.loads.map(load => load.seconds));
+  const haulerSummary = summarizeSamples(ctStopwatch.haulerCycles);
+
+  if (!loadSummary && !haulerSummary) {
+    showToast('Belum ada sampel loading time atau cycle time hauler', 'warning');
+    return;
+  }
+
+  const applied = {
+    bucketPasses: [...ctStopwatch.bucketPasses],
+    loads: ctStopwatch.loads.map(load => ({ ...load })),
+    haulerCycles: [...ctStopwatch.haulerCycles],
+    capturedAt: new Date().toISOString()
+  };
+
+  if (loadSummary) {
+    applied.cycleTimeLoader = parseFloat((loadSummary.mean / 60).toFixed(2));
+    document.getElementById('cycleTimeLoader').value = applied.cycleTimeLoader;
+  }
+  if (haulerSummary) {
+    applied.cycleTimeHauler = parseFloat((haulerSummary.mean / 60).toFixed(2));
+    document.getElementById('cycleTimeHauler').value = applied.cycleTimeHauler;
+  }
+
+  ctStopwatch.applied = applied;
+  showToast('Cycle time dari stopwatch diisi ke form', 'success');
+}
+
+/**
+ * Stopwatch samples to store with a match factor record
+ * Only attached while the form still holds the values the stopwatch filled in
+ * @param {number} cycleTimeHauler - Value being saved
+ * @param {number} cycleTimeLoader - Value being saved
+ * @returns {Object|null} Raw samples plus summary statistics (seconds)
+ */
+function getAppliedStopwatchSamples(cycleTimeHauler, cycleTimeLoader) {
+  const applied = ctStopwatch.applied;
+  if (!applied) return null;
+  if (applied.cycleTimeHauler !== undefined && applied.cycleTimeHauler !== cycleTimeHauler) return null;
+  if (applied.cycleTimeLoader !== undefined && applied.cycleTimeLoader !== cycleTimeLoader) return null;
+
+  const stats = (samples) => {
+    const summary = summarizeSamples(samples);
+    return summary ? { mean: summary.mean, stdDev: summary.stdDev, n: summary.kept.length, outliers: summary.outliers } : null;
+  };
+
+  return {
+    bucketPasses: applied.bucketPasses,
+    loads: applied.loads,
+    haulerCycles: applied.haulerCycles,
+    capturedAt: applied.capturedAt,
+    stats: {
+      bucketPass: stats(applied.bucketPasses),
+      loadingTime: stats(applied.loads.map(load => load.seconds)),
+      haulerCycle: stats(applied.haulerCycles)
+    }
+  };
+}
+
+// Flatten a record's stopwatch samples into one row per lap for exports
+function getCycleTimeSampleRows(record) {
+  const samples = record.cycleTimeSamples;
+  if (!samples) return [];
+
+  const rows = [];
+  const addRows = (kind, values, summary) => {
+    values.forEach((seconds, index) => {
+      rows.push({
+        kind,
+        lap: index + 1,
+        seconds,
+        outlier: summary && summary.outliers.includes(seconds) ? 'Ya' : 'Tidak'
+      });
+    });
+  };
+
+  addRows('Bucket Pass', samples.bucketPasses || [], samples.stats.bucketPass);
+  addRows('Loading Time', (samples.loads || []).map(load => load.seconds), samples.stats.loadingTime);
+  addRows('Cycle Time Hauler', samples.haulerCycles || [], samples.stats.haulerCycle);
+  return rows;
+}
+
+// Short "mean ± sd (n)" summary of one stopwatch statistic, in seconds
+function formatSampleStat(stat) {
+  return stat ? `${stat.mean.toFixed(1)} ± ${stat.stdDev.toFixed(1)} dtk (n=${stat.n})` : '-';
+}
+
+/**
+ * Add a sheet listing every stopwatch lap behind the match factor records
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Array} records - Match factor records in export order
+ */
+function addCycleTimeSampleSheet(workbook, records) {
+  if (!records.some(record => record.cycleTimeSamples)) return;
+
+  const sheet = workbook.addWorksheet('CT Stopwatch Samples');
+  sheet.columns = [
+    { header: 'No Data', key: 'recordNo', width: 10 },
+    { header: 'No Excavator', key: 'noExcavator', width: 15 },
+    { header: 'Waktu', key: 'waktu', width: 20 },
+    { header: 'Jenis Sampel', key: 'kind', width: 20 },
+    { header: 'Lap', key: 'lap', width: 8 },
+    { header: 'Durasi (detik)', key: 'seconds', width: 15 },
+    { header: 'Outlier', key: 'outlier', width: 10 }
+  ];
+
+  records.forEach((record, index) => {
+    getCycleTimeSampleRows(record).forEach(sample => {
+      const row = sheet.addRow({
+        recordNo: index + 1,
+        noExcavator: record.noExcavator,
+        waktu: formatDateTime(record.waktu),
+        ...sample
+      });
+      if (sample.outlier === 'Ya') {
+        row.font = { color: { argb: 'FFC00000' }, italic: true };
+      }
+    });
+  });
+
+  sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  sheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF9333EA' }
+  };
+}
+
+// ==========================================
+// Table Rendering
+// ==========================================
+function renderProductivityTable(filteredData = null) {
+  const data = filteredData || AppState.productivityData;
+  const tbody = document.getElementById('productivityTableBody');
+  tbody.innerHTML = '';
+
+  // Update record count
+  const countEl = document.getElementById('productivityCount');
+  if (countEl) {
+    countEl.textContent = `${data.length} data`;
+  }
+
+  // Show empty state if no data
+  if (data.length === 0) {
+    tbody.innerHTML = `
+      <tr class="empty-state">
+        <td colspan="18" class="px-6 py-12 text-center">
+          <div class="flex flex-col items-center justify-center">
+            <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
+              <i class="fas fa-inbox text-gray-400 text-2xl"></i>
+            </div>
+            <p class="text-gray-500 font-medium mb-1">Belum ada data</p>
+            <p class="text-gray-400 text-sm">Mulai dengan menghitung productivity</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  const getUsage = createTimeUsageLookup();
+
+  data.forEach((item, index) => {
+    const row = document.createElement('tr');
+    // Add zebra striping and hover effects
+    row.className = 'hover:bg-blue-50 transition-colors duration-150 even:bg-gray-50 group fade-in';
+
+    // Working minutes from HM, delay minutes from the delay durations logged for this hour
+    const timeUsage = getUsage(item);
+
+    const achievement = getProductivityAchievement(item);
+
+    row.innerHTML = `
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">${index + 1}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaPengawas}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.nrp}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">
+                <div class="flex items-center gap-1.5">
+                    <i class="fas fa-clock text-gray-400 text-xs"></i>
+                    <span>${formatDateTime(item.waktu)}</span>
+                </div>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${getShiftBadgeClass(item.shift)}">
+                    ${item.shift || '-'}
+                </span>
+                <div class="text-[10px] text-gray-400 mt-1">${formatProductionDate(item.productionDate)}</div>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                    ${item.noExcavator}
+                </span>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaOperator || '-'}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                    ${item.jenisMaterial || '-'}
+                </span>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">
+                ${item.jumlahRitase}
+                ${item.ritaseTally?.avgPasses ? `<div class="text-[10px] text-blue-500" title="Dari tally ritase"><i class="fas fa-hand-pointer mr-0.5"></i>${item.ritaseTally.avgPasses} pass${item.ritaseTally.fillFactor ? ` · FF ${item.ritaseTally.fillFactor}` : ''}</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">
+                ${item.hmOverride ? `<i class="fas fa-flag text-orange-500 text-xs mr-1" title="Disimpan dengan catatan HM: ${item.hmOverride.reason.replace(/"/g, '&quot;')}"></i>` : ''}${parseFloat(item.hmAwal).toFixed(2)}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${parseFloat(item.hmAkhir).toFixed(2)}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">
+                ${parseFloat(item.kapasitas).toFixed(2)}${getCapacityUnit(item) !== 'BCM' ? ` <span class="text-xs text-gray-500">${CAPACITY_UNITS[getCapacityUnit(item)]}</span>
+                <div class="text-[10px] text-gray-400" title="1 ${CAPACITY_UNITS[getCapacityUnit(item)]} = ${item.bcmFactor} BCM">= ${getCapacityBcm(item).toFixed(2)} BCM</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-bold text-blue-600 text-right">
+                ${parseFloat(item.productivity).toFixed(2)}
+                ${getCapacityUnit(item) !== 'BCM' ? `<div class="text-[10px] text-gray-400 font-normal">${parseFloat(getRawProductivity(item)).toFixed(2)} ${CAPACITY_UNITS[getCapacityUnit(item)]}/jam</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${achievement ? achievement.target.toFixed(0) : '-'}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
+                ${achievement ? `
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-bold ${achievement.state.badge}" title="${achievement.state.label}">
+                    ${achievement.percent.toFixed(1)}%
+                </span>` : '<span class="text-gray-400 text-xs" title="Belum ada target untuk excavator/material ini">-</span>'}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-semibold text-green-600 text-right">${timeUsage.workingMinutes.toFixed(2)}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-semibold text-orange-600 text-right" title="${formatDelayBreakdown(timeUsage.byCode)}">
+                ${timeUsage.delayMinutes.toFixed(2)}
+                ${timeUsage.excessMinutes > 0
+                  ? `<div class="text-[10px] text-red-500 font-normal" title="HM dan durasi delay melebihi 1 jam"><i class="fas fa-triangle-exclamation mr-0.5"></i>+${formatMinutes(timeUsage.excessMinutes)} mnt</div>`
+                  : timeUsage.unaccountedMinutes > 0 ? `<div class="text-[10px] text-gray-400 font-normal">Tak tercatat ${formatMinutes(timeUsage.unaccountedMinutes)}</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
+                <div class="flex items-center justify-center gap-1.5 sm:gap-2">
+                    <!-- Edit Button -->
+                    <button 
+                        type="button"
+                        onclick="editData('productivity', ${AppState.productivityData.indexOf(item)})"
+                        class="
+                            inline-flex items-center justify-center
+                            w-8 h-8 sm:w-9 sm:h-9
+                            rounded-lg
+                            bg-yellow-50 hover:bg-yellow-100
+                            text-yellow-600 hover:text-yellow-700
+                            border border-yellow-200 hover:border-yellow-300
+                            transition-all duration-200
+                            hover:shadow-md hover:scale-105
+                            focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
+                        " 
+                        title="Edit data"
+                        aria-label="Edit productivity data">
+                        <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
+                    </button>
+                    
+                    <!-- Delete Button -->
+                    <button 
+                        type="button"
+                        onclick="deleteData('productivity', ${AppState.productivityData.indexOf(item)})"
+                        class="
+                            inline-flex items-center justify-center
+                            w-8 h-8 sm:w-9 sm:h-9
+                            rounded-lg
+                            bg-red-50 hover:bg-red-100
+                            text-red-600 hover:text-red-700
+                            border border-red-200 hover:border-red-300
+                            transition-all duration-200
+                            hover:shadow-md hover:scale-105
+                            focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
+                        " 
+                        title="Hapus data"
+                        aria-label="Delete productivity data">
+                        <i class="fas fa-trash text-xs sm:text-sm"></i>
+                    </button>
+                </div>
+            </td>
+        `;
+    tbody.appendChild(row);
+  });
+}
+
+function renderMatchFactorTable(filteredData = null) {
+  const data = filteredData || AppState.matchFactorData;
+  const tbody = document.getElementById('matchFactorTableBody');
+  tbody.innerHTML = '';
+
+  // Update record count
+  const countEl = document.getElementById('matchFactorCount');
+  if (countEl) {
+    countEl.textContent = `${data.length} data`;
+  }
+
+  // Show empty state if no data
+  if (data.length === 0) {
+    tbody.innerHTML = `
+      <tr class="empty-state">
+        <td colspan="14" class="px-6 py-12 text-center">
+          <div class="flex flex-col items-center justify-center">
+            <div class="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mb-4">
+              <i class="fas fa-inbox text-gray-400 text-2xl"></i>
+            </div>
+            <p class="text-gray-500 font-medium mb-1">Belum ada data</p>
+            <p class="text-gray-400 text-sm">Mulai dengan menghitung match factor</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  data.forEach((item, index) => {
+    const row = document.createElement('tr');
+    // Add zebra striping and hover effects
+    row.className = 'hover:bg-purple-50 transition-colors duration-150 even:bg-gray-50 group fade-in';
+
+    // Color code match factor
+    // Below 0.95: Red, 0.95-1: Green, More than 1: Orange
+    let mfColor = 'text-green-600';
+    let mfBadgeColor = 'bg-green-100 text-green-800';
+    if (item.matchFactor < 0.95) {
+      mfColor = 'text-red-600';
+      mfBadgeColor = 'bg-red-100 text-red-800';
+    } else if (item.matchFactor > 1) {
+      mfColor = 'text-orange-600';
+      mfBadgeColor = 'bg-orange-100 text-orange-800';
+    }
+
+    const recommendation = getMatchFactorRecommendation(item);
+    const recommendationColor = recommendation && recommendation.delta === 0
+      ? 'bg-green-50 text-green-700 border-green-200 hover:bg-green-100'
+      : 'bg-orange-50 text-orange-700 border-orange-200 hover:bg-orange-100';
+
+    row.innerHTML = `
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm font-medium text-gray-900">${index + 1}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaPengawas}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.nrp}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">
+                <div class="flex items-center gap-1.5">
+                    <i class="fas fa-clock text-gray-400 text-xs"></i>
+                    <span>${formatDateTime(item.waktu)}</span>
+                </div>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${getShiftBadgeClass(item.shift)}">
+                    ${item.shift || '-'}
+                </span>
+                <div class="text-[10px] text-gray-400 mt-1">${formatProductionDate(item.productionDate)}</div>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                    ${item.noExcavator}
+                </span>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700">${item.namaOperator || '-'}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                    ${item.jenisMaterial || '-'}
+                </span>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">${item.jumlahHD}</td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">
+                ${parseFloat(item.cycleTimeHauler).toFixed(2)}
+                ${item.cycleTimeSamples?.stats.haulerCycle ? `<div class="text-[10px] text-purple-500" title="Stopwatch: ${formatSampleStat(item.cycleTimeSamples.stats.haulerCycle)}"><i class="fas fa-stopwatch mr-0.5"></i>n=${item.cycleTimeSamples.stats.haulerCycle.n}</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-sm text-gray-700 text-right">
+                ${parseFloat(item.cycleTimeLoader).toFixed(2)}
+                ${item.cycleTimeSamples?.stats.loadingTime ? `<div class="text-[10px] text-purple-500" title="Stopwatch: ${formatSampleStat(item.cycleTimeSamples.stats.loadingTime)}"><i class="fas fa-stopwatch mr-0.5"></i>n=${item.cycleTimeSamples.stats.loadingTime.n}</div>` : ''}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
+                <span class="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-bold ${mfBadgeColor}">
+                    ${parseFloat(item.matchFactor).toFixed(2)}
+                </span>
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
+                ${recommendation ? `
+                <button type="button"
+                        onclick="showMatchFactorRecommendation(${AppState.matchFactorData.indexOf(item)})"
+                        class="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-bold border transition-colors ${recommendationColor}"
+                        title="${describeMatchFactorRecommendation(recommendation)}">
+                    <i class="fas fa-sliders text-[10px]"></i>
+                    ${formatHaulerDelta(recommendation.delta)}
+                </button>` : '-'}
+            </td>
+            <td class="px-3 sm:px-4 lg:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
+                <div class="flex items-center justify-center gap-1.5 sm:gap-2">
+                    <!-- Edit Button -->
+                    <button 
+                        type="button"
+                        onclick="editData('matchFactor', ${AppState.matchFactorData.indexOf(item)})"
+                        class="
+                            inline-flex items-center justify-center
+                            w-8 h-8 sm:w-9 sm:h-9
+                            rounded-lg
+                            bg-yellow-50 hover:bg-yellow-100
+                            text-yellow-600 hover:text-yellow-700
+                            border border-yellow-200 hover:border-yellow-300
+                            transition-all duration-200
+                            hover:shadow-md hover:scale-105
+                            focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
+                        " 
+                        title="Edit data"
+                        aria-label="Edit match factor data">
+                        <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
+                    </button>
+                    
+                    <!-- Delete Button -->
+                    <button 
+                        type="button"
+                        onclick="deleteData('matchFactor', ${AppState.matchFactorData.indexOf(item)})"
+                        class="
+                            inline-flex items-center justify-center
+                            w-8 h-8 sm:w-9 sm:h-9
+                            rounded-lg
+                            bg-red-50 hover:bg-red-100
+                            text-red-600 hover:text-red-700
+                            border border-red-200 hover:border-red-300
+                            transition-all duration-200
+                            hover:shadow-md hover:scale-105
+                            focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
+                        " 
+                        title="Hapus data"
+                        aria-label="Delete match factor data">
+                        <i class="fas fa-trash text-xs sm:text-sm"></i>
+                    </button>
+                </div>
+            </td>
+        `;
+    tbody.appendChild(row);
+  });
+}
+
+// ==========================================
+// Delay Duration & Time Usage
+// ==========================================
+const HOUR_MINUTES = 60;
+
+// "07:15" -> 435 (minutes since midnight)
+function parseClockMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+function formatMinutes(minutes) {
+  return String(parseFloat((minutes || 0).toFixed(1)));
+}
+
+/**
+ * Minutes lost to one delay item: from start/end when both are set, otherwise the entered duration
+ * @param {Object} delay - Delay item ({startTime, endTime, minutes})
+ * @returns {number}
+ */
+function getDelayMinutes(delay) {
+  if (!delay) return 0;
+
+  const start = parseClockMinutes(delay.startTime);
+  let end = parseClockMinutes(delay.endTime);
+  if (start !== null && end !== null) {
+    // 23:45 - 00:00 ends at midnight
+    if (end <= start) end += 24 * 60;
+    return end - start;
+  }
+
+  const minutes = parseFloat(delay.minutes);
+  return isNaN(minutes) ? 0 : Math.max(0, minutes);
+}
+
+function getIssueDelayMinutes(issue) {
+  return getIssueDelays(issue).reduce((sum, delay) => sum + getDelayMinutes(delay), 0);
+}
+
+function formatDelayDuration(delay) {
+  const minutes = getDelayMinutes(delay);
+  if (minutes <= 0) return '';
+  const range = delay.startTime && delay.endTime ? ` (${delay.startTime}-${delay.endTime})` : '';
+  return `${formatMinutes(minutes)} mnt${range}`;
+}
+
+function formatDelayDurationBadge(delay) {
+  const duration = formatDelayDuration(delay);
+  return duration
+    ? `<span class="ml-1 px-1.5 py-0.5 bg-red-100 text-red-600 rounded text-[10px] font-semibold whitespace-nowrap"><i class="fas fa-stopwatch mr-0.5"></i>${duration}</span>`
+    : '';
+}
+
+/**
+ * Check the delay items of one excavator-hour before the issue is saved
+ * @param {Object[]} items - Delay items from the issue form
+ * @param {string} hourDatetime - Selected issue datetime; delays must fall inside its hour
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDelayDurations(items, hourDatetime) {
+  const hour = new Date(hourDatetime);
+  const hourStart = isNaN(hour) ? null : hour.getHours() * 60;
+  const pad = (value) => String(value % 24).padStart(2, '0');
+  let total = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const label = `Delay #${i + 1}`;
+    if (item.mainCode === 'D0') continue;
+
+    const start = parseClockMinutes(item.startTime);
+    const end = parseClockMinutes(item.endTime);
+    if ((item.startTime && start === null) || (item.endTime && end === null)) {
+      return `${label}: format jam tidak valid`;
+    }
+    if ((start === null) !== (end === null)) {
+      return `${label}: isi jam mulai dan selesai, atau kosongkan keduanya dan isi durasi`;
+    }
+
+    if (start !== null && hourStart !== null) {
+      const endInHour = end <= start ? end + 24 * 60 : end;
+      if (start < hourStart || endInHour > hourStart + HOUR_MINUTES) {
+        return `${label}: jam delay harus di antara ${pad(hourStart / 60)}:00 dan ${pad(hourStart / 60 + 1)}:00`;
+      }
+    }
+
+    const minutes = getDelayMinutes(item);
+    if (!(minutes > 0)) {
+      return `${label}: isi durasi delay (menit)`;
+    }
+    total += minutes;
+  }
+
+  if (total > HOUR_MINUTES) {
+    return `Total durasi delay ${formatMinutes(total)} menit melebihi 1 jam (${HOUR_MINUTES} menit)`;
+  }
+  return null;
+}
+
+// Same excavator, same local hour - how issues are tied to productivity/match factor records
+function getExcavatorHourKey(excavator, datetime) {
+  const time = new Date(datetime);
+  if (!excavator || isNaN(time)) return null;
+  return `${excavator}|${time.getFullYear()}-${time.getMonth()}-${time.getDate()}-${time.getHours()}`;
+}
+
+/**
+ * The record that stands for each excavator-hour: the one with the latest waktu,
+ * or the one saved last when two share it
+ * @param {Object[]} records - Productivity or match factor records
+ * @returns {Map<string, Object>} Excavator-hour key -> record
+ */
+function indexLatestByExcavatorHour(records) {
+  const latest = new Map();
+  records.forEach(record => {
+    const key = getExcavatorHourKey(record.noExcavator, record.waktu);
+    if (!key) return;
+    const current = latest.get(key);
+    if (!current || new Date(current.waktu) <= new Date(record.waktu)) latest.set(key, record);
+  });
+  return latest;
+}
+
+/**
+ * Split one excavator-hour into working, delay and unaccounted minutes.
+ * Working time comes from the HM difference, delay time from the delay durations on that hour's issues.
+ * Breakdown minutes are the part of the delay minutes whose code is classed as breakdown.
+ * @param {Object} record - Productivity record
+ * @param {Object[]} issues - Issues logged for the same excavator-hour
+ * @param {Set<string>} breakdownCodes - Delay main codes counted as repair time
+ * @returns {Object} { calendarMinutes, workingMinutes, delayMinutes, breakdownMinutes, unaccountedMinutes, excessMinutes, byCode }
+ */
+function getTimeUsage(record, issues, breakdownCodes = getBreakdownDelayCodes()) {
+  const hmMinutes = (parseFloat(record.hmAkhir) - parseFloat(record.hmAwal)) * 60;
+  // Round away float noise from the HM subtraction
+  const workingMinutes = isNaN(hmMinutes) ? 0 : Math.max(0, Math.round(hmMinutes * 100) / 100);
+  const byCode = {};
+  let delayMinutes = 0;
+  let breakdownMinutes = 0;
+
+  issues.forEach(issue => {
+    getIssueDelays(issue).forEach(delay => {
+      const minutes = getDelayMinutes(delay);
+      if (minutes <= 0) return;
+      byCode[delay.mainCode] = (byCode[delay.mainCode] || 0) + minutes;
+      delayMinutes += minutes;
+      if (breakdownCodes.has(delay.mainCode)) breakdownMinutes += minutes;
+    });
+  });
+
+  // An hourly record can carry up to HM_MAX_HOURLY_DURATION of HM
+  const calendarMinutes = Math.max(HOUR_MINUTES, workingMinutes);
+
+  return {
+    calendarMinutes,
+    workingMinutes,
+    delayMinutes,
+    breakdownMinutes,
+    unaccountedMinutes: Math.max(0, calendarMinutes - workingMinutes - delayMinutes),
+    // HM and delays together claim more than the hour: one of them is wrong
+    excessMinutes: Math.max(0, workingMinutes + delayMinutes - calendarMinutes),
+    byCode
+  };
+}
+
+/**
+ * Build a record -> time usage function, indexing issues by record once per render/export
+ * @param {Object[]} issues
+ * @returns {Function}
+ */
+function createTimeUsageLookup(issues = AppState.issuesData) {
+  const getIssues = createRecordIssueLookup(issues);
+  const breakdownCodes = getBreakdownDelayCodes();
+  return (record) => getTimeUsage(record, getIssues(record), breakdownCodes);
+}
+
+/**
+ * Total time usage of several excavator-hours, in hours and as a share of calendar time
+ * @param {Object[]} records - Productivity records
+ * @param {Function} getUsage - From createTimeUsageLookup
+ * @returns {Object|null}
+ */
+function summarizeTimeUsage(records, getUsage = createTimeUsageLookup()) {
+  if (records.length === 0) return null;
+
+  const totals = { calendar: 0, working: 0, delay: 0, breakdown: 0, unaccounted: 0, byCode: {} };
+  records.forEach(record => {
+    const usage = getUsage(record);
+    totals.calendar += usage.calendarMinutes;
+    totals.working += usage.workingMinutes;
+    totals.delay += usage.delayMinutes;
+    totals.breakdown += usage.breakdownMinutes;
+    totals.unaccounted += usage.unaccountedMinutes;
+    Object.entries(usage.byCode).forEach(([code, minutes]) => {
+      totals.byCode[code] = (totals.byCode[code] || 0) + minutes;
+    });
+  });
+
+  const percent = (minutes) => totals.calendar > 0 ? (minutes / totals.calendar) * 100 : 0;
+  return {
+    calendarHours: totals.calendar / 60,
+    workingHours: totals.working / 60,
+    delayHours: totals.delay / 60,
+    breakdownHours: totals.breakdown / 60,
+    unaccountedHours: totals.unaccounted / 60,
+    workingPercent: percent(totals.working),
+    delayPercent: percent(totals.delay),
+    breakdownPercent: percent(totals.breakdown),
+    unaccountedPercent: percent(totals.unaccounted),
+    byCode: totals.byCode
+  };
+}
+
+// { D1: 10, D5: 5 } -> "D1 10 mnt, D5 5 mnt"
+function formatDelayBreakdown(byCode) {
+  const entries = Object.entries(byCode).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return '-';
+  return entries.map(([code, minutes]) => `${code} ${formatMinutes(minutes)} mnt`).join(', ');
+}
+
+// ==========================================
+// Equipment Availability (PA / MA / UA / EU)
+// ==========================================
+// W = working hours (HM), R = repair (delays classed as breakdown), S = standby (other delays
+// plus unaccounted time, when the unit was ready but not working).
+//   PA = (W + S) / (W + R + S)   MA = W / (W + R)   UA = W / (W + S)   EU = W / (W + R + S)
+const AVAILABILITY_KPIS = [
+  { key: 'pa', label: 'PA', title: 'Physical Availability = (W + S) / (W + R + S)' },
+  { key: 'ma', label: 'MA', title: 'Mechanical Availability = W / (W + R)' },
+  { key: 'ua', label: 'UA', title: 'Use of Availability = W / (W + S)' },
+  { key: 'eu', label: 'EU', title: 'Effective Utilization = W / (W + R + S)' }
+];
+
+const AVAILABILITY_GROUPS = {
+  excavator: { label: 'Excavator', getKey: (record) => record.noExcavator || '-' },
+  shift: { label: 'Shift', getKey: (record) => `${record.productionDate || '-'} · ${record.shift || '-'}` },
+  day: { label: 'Tanggal', getKey: (record) => record.productionDate || '-' }
+};
+
+/**
+ * Availability KPIs of a set of productivity records (excavator-hours)
+ * @param {Object[]} records - Productivity records
+ * @param {Function} getUsage - From createTimeUsageLookup
+ * @returns {Object|null} { count, workingHours, repairHours, standbyHours, totalHours, pa, ma, ua, eu } (KPIs in %, null when undefined)
+ */
+function summarizeAvailability(records, getUsage = createTimeUsageLookup()) {
+  if (records.length === 0) return null;
+
+  let working = 0;
+  let repair = 0;
+  let standby = 0;
+  records.forEach(record => {
+    const usage = getUsage(record);
+    working += usage.workingMinutes;
+    repair += usage.breakdownMinutes;
+    standby += usage.delayMinutes - usage.breakdownMinutes + usage.unaccountedMinutes;
+  });
+
+  const total = working + repair + standby;
+  const ratio = (numerator, denominator) => denominator > 0 ? (numerator / denominator) * 100 : null;
+  return {
+    count: records.length,
+    workingHours: working / 60,
+    repairHours: repair / 60,
+    standbyHours: standby / 60,
+    totalHours: total / 60,
+    pa: ratio(working + standby, total),
+    ma: ratio(working, working + repair),
+    ua: ratio(working, working + standby),
+    eu: ratio(working, total)
+  };
+}
+
+/**
+ * Availability KPIs per excavator, shift or production day
+ * @param {Object[]} records - Productivity records
+ * @param {string} groupBy - Key of AVAILABILITY_GROUPS
+ * @param {Function} getUsage - From createTimeUsageLookup
+ * @returns {Array<Object>} Summaries with a `key`, sorted by excavator or newest date first
+ */
+function groupAvailability(records, groupBy, getUsage = createTimeUsageLookup()) {
+  const { getKey } = AVAILABILITY_GROUPS[groupBy];
+  const groups = new Map();
+  records.forEach(record => {
+    const key = getKey(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const rows = Array.from(groups, ([key, groupRecords]) => ({ key, ...summarizeAvailability(groupRecords, getUsage) }));
+  return groupBy === 'excavator'
+    ? rows.sort((a, b) => a.key.localeCompare(b.key))
+    : rows.sort((a, b) => b.key.localeCompare(a.key));
+}
+
+function formatKpiPercent(value) {
+  return value === null ? '-' : `${value.toFixed(1)}%`;
+}
+
+// "PA 92.0% · MA 95.1% · UA 80.4% · EU 74.0%"
+function formatAvailabilityText(summary) {
+  return AVAILABILITY_KPIS.map(kpi => `${kpi.label} ${formatKpiPercent(summary[kpi.key])}`).join(' · ');
+}
+
+/**
+ * PA/MA/UA/EU tiles under an excavator's time usage bar
+ * @param {HTMLElement} container
+ * @param {Object|null} summary - Result of summarizeAvailability
+ */
+function renderAvailabilityTiles(container, summary) {
+  if (!container || !summary) return;
+
+  container.innerHTML = `
+    <div class="grid grid-cols-4 gap-1.5 sm:gap-2 mt-3" title="W ${summary.workingHours.toFixed(1)} jam · R ${summary.repairHours.toFixed(1)} jam · S ${summary.standbyHours.toFixed(1)} jam">
+      ${AVAILABILITY_KPIS.map(kpi => `
+        <div class="bg-gray-50 border border-gray-200 rounded-lg px-2 py-1.5 text-center" title="${kpi.title}">
+          <div class="text-[10px] font-semibold text-gray-500">${kpi.label}</div>
+          <div class="text-xs sm:text-sm font-bold text-gray-800">${formatKpiPercent(summary[kpi.key])}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderAvailabilitySummary() {
+  const tableBody = document.getElementById('availabilityTableBody');
+  if (!tableBody) return;
+
+  const groupBy = document.getElementById('availabilityGroupBy').value;
+  const excavator = document.getElementById('availabilityExcavator').value;
+  const shiftFilter = document.getElementById('filterShift')?.value || '';
+
+  // Keep the excavator choices in step with the data
+  const excavatorSelect = document.getElementById('availabilityExcavator');
+  const excavators = Array.from(new Set(AppState.productivityData.map(record => record.noExcavator))).sort();
+  excavatorSelect.innerHTML = '<option value="">Semua Excavator</option>' +
+    excavators.map(code => `<option value="${code}">${code}</option>`).join('');
+  excavatorSelect.value = excavators.includes(excavator) ? excavator : '';
+
+  const records = AppState.productivityData.filter(record =>
+    (!excavatorSelect.value || record.noExcavator === excavatorSelect.value) &&
+    (!shiftFilter || record.shift === shiftFilter)
+  );
+  const getUsage = createTimeUsageLookup();
+  const fleet = summarizeAvailability(records, getUsage);
+
+  AVAILABILITY_KPIS.forEach(kpi => {
+    document.getElementById(`fleet${kpi.label}`).textContent = fleet ? formatKpiPercent(fleet[kpi.key]) : '-';
+  });
+  document.getElementById('availabilityHours').textContent = fleet
+    ? `W ${fleet.workingHours.toFixed(1)} jam · R ${fleet.repairHours.toFixed(1)} jam · S ${fleet.standbyHours.toFixed(1)} jam dari ${fleet.count} jam-excavator${shiftFilter ? ` (shift ${shiftFilter})` : ''}`
+    : 'Belum ada data productivity';
+  document.getElementById('availabilityGroupHeader').textContent = AVAILABILITY_GROUPS[groupBy].label;
+
+  const rows = fleet ? groupAvailability(records, groupBy, getUsage) : [];
+  if (rows.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="9" class="px-4 py-8 text-center text-sm text-gray-400">Belum ada data</td></tr>';
+    return;
+  }
+
+  const cell = 'px-3 sm:px-4 py-2 sm:py-3 text-sm whitespace-nowrap';
+  tableBody.innerHTML = rows.map(row => `
+    <tr class="hover:bg-gray-50">
+      <td class="${cell} font-semibold text-gray-800">${row.key}</td>
+      <td class="${cell} text-right text-gray-600">${row.count}</td>
+      <td class="${cell} text-right text-green-600">${row.workingHours.toFixed(1)}</td>
+      <td class="${cell} text-right text-red-600">${row.repairHours.toFixed(1)}</td>
+      <td class="${cell} text-right text-orange-600">${row.standbyHours.toFixed(1)}</td>
+      ${AVAILABILITY_KPIS.map(kpi => `<td class="${cell} text-right font-semibold text-gray-800">${formatKpiPercent(row[kpi.key])}</td>`).join('')}
+    </tr>
+  `).join('');
+}
+
+// ==========================================
+// Theoretical vs Actual Productivity
+// ==========================================
+// Theoretical = 3600 / bucket cycle time (detik) × bucket × fill factor × efisiensi kerja.
+// The gap to the measured productivity of the same excavator-hour is split into a hauling
+// share (match factor below 1 leaves the loader waiting), a fill share (measured fill factor
+// below the material standard) and the rest, which points at the operator or the front.
+const DEFAULT_JOB_EFFICIENCY = 0.83;
+
+function getJobEfficiency() {
+  const saved = parseFloat(localStorage.getItem('jobEfficiency'));
+  return saved > 0 && saved <= 1 ? saved : DEFAULT_JOB_EFFICIENCY;
+}
+
+// Latest match factor record per excavator-hour
+function createMatchFactorHourLookup(matchFactorData = AppState.matchFactorData) {
+  const lookup = indexLatestByExcavatorHour(matchFactorData);
+  return (record) => lookup.get(getExcavatorHourKey(record.noExcavator, record.waktu)) || null;
+}
+
+/**
+ * Seconds per bucket pass, from the stopwatch when it timed passes,
+ * otherwise loading time per truck divided by passes per truck
+ * @returns {{seconds: number, source: string}|null}
+ */
+function getBucketCycleTime(record, matchFactor, bucketCapacity, fillFactor) {
+  const stopwatchMean = parseFloat(matchFactor.cycleTimeSamples?.stats?.bucketPass?.mean);
+  if (stopwatchMean > 0) return { seconds: stopwatchMean, source: 'stopwatch' };
+
+  const loadingSeconds = parseFloat(matchFactor.cycleTimeLoader) * 60;
+  if (!(loadingSeconds > 0)) return null;
+
+  const timedLoads = (matchFactor.cycleTimeSamples?.loads || []).filter(load => load.passes > 0);
+  let passes = parseFloat(record.ritaseTally?.avgPasses);
+  let source = 'tally';
+  if (!(passes > 0) && timedLoads.length > 0) {
+    passes = timedLoads.reduce((sum, load) => sum + load.passes, 0) / timedLoads.length;
+    source = 'stopwatch';
+  }
+  if (!(passes > 0)) {
+    passes = Math.ceil(getCapacityBcm(record) / (bucketCapacity * fillFactor));
+    source = 'estimasi';
+  }
+  return passes > 0 ? { seconds: loadingSeconds / passes, source } : null;
+}
+
+/**
+ * Theoretical productivity and gap breakdown for one productivity record
+ * @param {Object} record - Productivity record
+ * @param {Object|null} matchFactor - Match factor record of the same excavator-hour
+ * @param {Object} options - { registry, materials, efficiency }
+ * @returns {Object|null} Null when cycle time, bucket or fill factor is unknown
+ */
+function getTheoreticalProductivity(record, matchFactor, {
+  registry = getEquipmentRegistry(),
+  materials = getMaterialTable(),
+  efficiency = getJobEfficiency()
+} = {}) {
+  if (!matchFactor) return null;
+
+  const bucketCapacity = parseFloat(findRegisteredExcavator(record.noExcavator, registry)?.bucketCapacity) ||
+    parseFloat(record.ritaseTally?.bucketCapacity);
+  const fillFactor = parseFloat(findMaterial(record.jenisMaterial, materials)?.fillFactor);
+  if (!(bucketCapacity > 0 && fillFactor > 0)) return null;
+
+  const cycleTime = getBucketCycleTime(record, matchFactor, bucketCapacity, fillFactor);
+  if (!cycleTime) return null;
+
+  const theoretical = 3600 / cycleTime.seconds * bucketCapacity * fillFactor * efficiency;
+  const actual = parseFloat(record.productivity) || 0;
+
+  // Losses are taken in turn so they add up to the whole gap
+  const matchFactorValue = parseFloat(matchFactor.matchFactor);
+  const haulingShare = matchFactorValue > 0 ? Math.min(1, matchFactorValue) : 1;
+  const measuredFill = parseFloat(record.ritaseTally?.fillFactor);
+  const fillShare = measuredFill > 0 ? Math.min(1, measuredFill / fillFactor) : 1;
+  const haulingLimited = theoretical * haulingShare;
+  const fillLimited = haulingLimited * fillShare;
+
+  return {
+    theoretical,
+    actual,
+    gap: theoretical - actual,
+    gapPercent: (theoretical - actual) / theoretical * 100,
+    cycleTimeSeconds: cycleTime.seconds,
+    cycleTimeSource: cycleTime.source,
+    bucketCapacity,
+    fillFactor,
+    efficiency,
+    matchFactor: matchFactorValue,
+    haulingLoss: theoretical - haulingLimited,
+    fillLoss: haulingLimited - fillLimited,
+    otherLoss: fillLimited - actual
+  };
+}
+
+// Theoretical productivity per record, sharing the registry and material lookups
+function createTheoreticalLookup() {
+  const getMatchFactor = createMatchFactorHourLookup();
+  const options = { registry: getEquipmentRegistry(), materials: getMaterialTable(), efficiency: getJobEfficiency() };
+  return (record) => getTheoreticalProductivity(record, getMatchFactor(record), options);
+}
+
+// Sum of theoretical and actual over the records that have both
+function summarizeTheoreticalGap(results) {
+  const valid = results.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const total = (key) => valid.reduce((sum, result) => sum + result[key], 0);
+  const theoretical = total('theoretical');
+  const actual = total('actual');
+  return {
+    count: valid.length,
+    theoretical: theoretical / valid.length,
+    actual: actual / valid.length,
+    gapPercent: (theoretical - actual) / theoretical * 100,
+    haulingLoss: total('haulingLoss') / valid.length,
+    fillLoss: total('fillLoss') / valid.length,
+    otherLoss: total('otherLoss') / valid.length
+  };
+}
+
+// Tooltip lines explaining where the gap of one excavator-hour went
+function formatTheoreticalGapLines(result) {
+  const bcm = (value) => Math.round(value).toLocaleString('id-ID');
+  const lines = [
+    `⚙️ Teoritis ${bcm(result.theoretical)} BCM/Jam (gap ${result.gapPercent.toFixed(0)}%)`,
+    `   CT ${result.cycleTimeSeconds.toFixed(0)} dtk (${result.cycleTimeSource}) · Bucket ${result.bucketCapacity} · FF ${result.fillFactor} · Eff ${(result.efficiency * 100).toFixed(0)}%`
+  ];
+  if (result.haulingLoss > 0) lines.push(`   🚚 Hauling (MF ${result.matchFactor.toFixed(2)}): -${bcm(result.haulingLoss)}`);
+  if (result.fillLoss > 0) lines.push(`   🪣 Fill factor aktual: -${bcm(result.fillLoss)}`);
+  if (result.otherLoss > 0) lines.push(`   👷 Operator/front: -${bcm(result.otherLoss)}`);
+  return lines;
+}
+
+// ==========================================
+// Operator Performance
+// ==========================================
+// Productivity is normalized against peers on the same excavator class and material: each hour
+// is scored as a % of the average of all hours with that class + material, so an operator on a
+// PC1250 in blasting is not ranked below one on a PC2000 in soil just for the machine.
+const SKILL_OPERATOR_OPTION = 'Skill Operator';
+
+const OPERATOR_SORTS = {
+  index: { label: 'Indeks', value: (row) => row.index },
+  productivity: { label: 'Productivity', value: (row) => row.avgProductivity },
+  consistency: { label: 'Konsistensi', value: (row) => row.consistency },
+  hours: { label: 'Jam', value: (row) => row.hours },
+  // Closest to a balanced fleet (MF 1) ranks first
+  matchFactor: { label: 'Match Factor', value: (row) => row.matchFactor === null ? -Infinity : -Math.abs(1 - row.matchFactor) }
+};
+
+// Excavator class: registry model, otherwise the unit prefix (EX2030 -> EX20)
+function getExcavatorClass(record) {
+  return record.model || normalizeEquipmentCode(record.noExcavator).slice(0, 4);
+}
+
+function getOperatorKey(record) {
+  return record.operatorId || normalizePersonName(record.namaOperator).toLowerCase();
+}
+
+function isSkillOperatorIssue(issue) {
+  return (issue.productivities || []).some(item => item.subOption === SKILL_OPERATOR_OPTION);
+}
+
+/**
+ * Scorecard per operator from productivity, match factor and issue data
+ * @param {Object[]} productivityData
+ * @param {Object[]} matchFactorData
+ * @param {Object[]} issues
+ * @returns {Object[]} { key, name, hours, avgProductivity, index, consistency, matchFactor, trend, skillIssueIds, classes, materials }
+ */
+function buildOperatorScorecards(productivityData, matchFactorData, issues) {
+  const peerKey = (record) => `${getExcavatorClass(record)}|${record.jenisMaterial}`;
+  const peers = new Map();
+  productivityData.forEach(record => {
+    const peer = peers.get(peerKey(record)) || { total: 0, count: 0 };
+    peer.total += parseFloat(record.productivity) || 0;
+    peer.count++;
+    peers.set(peerKey(record), peer);
+  });
+
+  const operators = new Map();
+  const getOperator = (record) => {
+    const key = getOperatorKey(record);
+    if (!key) return null;
+    if (!operators.has(key)) {
+      operators.set(key, { key, name: record.namaOperator, records: [], matchFactors: [], skillIssueIds: new Set() });
+    }
+    return operators.get(key);
+  };
+
+  productivityData.forEach(record => {
+    const peer = peers.get(peerKey(record));
+    const peerAverage = peer.total / peer.count;
+    getOperator(record)?.records.push({
+      record,
+      index: peerAverage > 0 ? (parseFloat(record.productivity) || 0) / peerAverage * 100 : null
+    });
+  });
+  matchFactorData.forEach(record => {
+    const matchFactor = parseFloat(record.matchFactor);
+    if (matchFactor > 0) getOperator(record)?.matchFactors.push(matchFactor);
+  });
+
+  // A Skill Operator issue counts against whoever operated the records it was logged on
+  const recordIndex = createRecordIndex();
+  issues.filter(isSkillOperatorIssue).forEach(issue => {
+    new Set(getIssueRecords(issue, recordIndex).map(getOperatorKey)).forEach(key => {
+      operators.get(key)?.skillIssueIds.add(issue.id);
+    });
+  });
+
+  const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+  return Array.from(operators.values())
+    .filter(operator => operator.records.length > 0)
+    .map(operator => {
+      const indexes = operator.records.map(entry => entry.index).filter(value => value !== null);
+      const index = average(indexes);
+      const spread = indexes.length > 1
+        ? Math.sqrt(indexes.reduce((sum, value) => sum + (value - index) ** 2, 0) / (indexes.length - 1))
+        : 0;
+
+      // Daily average index, oldest first, for the sparkline
+      const byDay = new Map();
+      operator.records.forEach(entry => {
+        if (entry.index === null) return;
+        const day = entry.record.productionDate || String(entry.record.waktu).slice(0, 10);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(entry.index);
+      });
+
+      return {
+        key: operator.key,
+        name: operator.name,
+        // Hour meter time behind the records, not the record count (a record can cover a partial hour)
+        hours: operator.records.reduce((sum, entry) => sum + (parseFloat(entry.record.durasi) || 0), 0),
+        avgProductivity: average(operator.records.map(entry => parseFloat(entry.record.productivity) || 0)),
+        index,
+        // 100 minus the coefficient of variation of the hourly index
+        consistency: index > 0 ? Math.max(0, 100 - spread / index * 100) : null,
+        matchFactor: average(operator.matchFactors),
+        trend: Array.from(byDay, ([day, values]) => ({ day, index: average(values) })).sort((a, b) => a.day.localeCompare(b.day)),
+        skillIssueIds: operator.skillIssueIds,
+        classes: Array.from(new Set(operator.records.map(entry => getExcavatorClass(entry.record)))).sort(),
+        materials: Array.from(new Set(operator.records.map(entry => entry.record.jenisMaterial))).sort()
+      };
+    });
+}
+
+/**
+ * Inline SVG sparkline
+ * @param {number[]} values
+ * @param {Object} options - { width, height, color, baseline } baseline is drawn as a dashed line when in range
+ * @returns {string} SVG markup
+ */
+function renderSparkline(values, { width = 96, height = 24, color = '#4f46e5', baseline = null } = {}) {
+  if (values.length === 0) return '<span class="text-xs text-gray-300">-</span>';
+
+  const min = Math.min(...values, baseline !== null ? baseline : Infinity);
+  const max = Math.max(...values, baseline !== null ? baseline : -Infinity);
+  const range = max - min || 1;
+  const x = (i) => values.length === 1 ? width / 2 : (i / (values.length - 1)) * (width - 4) + 2;
+  const y = (value) => height - 2 - ((value - min) / range) * (height - 4);
+  const points = values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+  const last = values.length - 1;
+
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" class="inline-block align-middle">
+      ${baseline !== null ? `<line x1="0" x2="${width}" y1="${y(baseline).toFixed(1)}" y2="${y(baseline).toFixed(1)}" stroke="#d1d5db" stroke-dasharray="2 2" />` : ''}
+      <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />
+      <circle cx="${x(last).toFixed(1)}" cy="${y(values[last]).toFixed(1)}" r="2" fill="${color}" />
+    </svg>
+  `;
+}
+
+// Records behind the leaderboard, following the sidebar shift filter
+function getOperatorLeaderboardData() {
+  const shiftFilter = document.getElementById('filterShift')?.value || '';
+  const inShift = (record) => !shiftFilter || record.shift === shiftFilter;
+  return {
+    productivityData: AppState.productivityData.filter(inShift),
+    matchFactorData: AppState.matchFactorData.filter(inShift)
+  };
+}
+
+function getSortedOperatorScorecards() {
+  const { productivityData, matchFactorData } = getOperatorLeaderboardData();
+  const sortBy = document.getElementById('operatorSortBy')?.value || 'index';
+  const { value } = OPERATOR_SORTS[sortBy];
+  return buildOperatorScorecards(productivityData, matchFactorData, AppState.issuesData)
+    .sort((a, b) => (value(b) === null ? -Infinity : value(b)) - (value(a) === null ? -Infinity : value(a)) || a.name.localeCompare(b.name));
+}
+
+function formatScore(value, digits = 0, suffix = '') {
+  return value === null || value === undefined ? '-' : `${value.toFixed(digits)}${suffix}`;
+}
+
+function renderOperatorLeaderboard() {
+  const tableBody = document.getElementById('operatorTableBody');
+  if (!tableBody) return;
+
+  const rows = getSortedOperatorScorecards();
+  if (rows.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="10" class="px-4 py-8 text-center text-sm text-gray-400">Belum ada data productivity</td></tr>';
+    return;
+  }
+
+  const cell = 'px-3 sm:px-4 py-2 sm:py-3 text-sm whitespace-nowrap';
+  tableBody.innerHTML = rows.map((row, index) => `
+    <tr class="hover:bg-gray-50">
+      <td class="${cell} text-center font-bold ${index < 3 ? 'text-amber-600' : 'text-gray-400'}">${index + 1}</td>
+      <td class="${cell}">
+        <div class="font-semibold text-gray-800">${escapeHtmlAttr(row.name)}</div>
+        <div class="text-[10px] text-gray-400">${escapeHtmlAttr(row.classes.join(', '))} · ${escapeHtmlAttr(row.materials.join(', '))}</div>
+      </td>
+      <td class="${cell} text-right text-gray-600">${formatScore(row.hours, 1)}</td>
+      <td class="${cell} text-right text-gray-800">${formatScore(row.avgProductivity)}</td>
+      <td class="${cell} text-right font-bold ${row.index >= 100 ? 'text-green-600' : 'text-red-600'}">${formatScore(row.index, 0, '%')}</td>
+      <td class="${cell} text-right text-gray-700">${formatScore(row.consistency, 0, '%')}</td>
+      <td class="${cell} text-right text-gray-700">${formatScore(row.matchFactor, 2)}</td>
+      <td class="${cell} text-center">${renderSparkline(row.trend.map(point => point.index), { baseline: 100 })}</td>
+      <td class="${cell} text-center">
+        ${row.skillIssueIds.size > 0
+      ? `<button type="button" onclick="showOperatorSkillIssues(${index})" class="px-2 py-0.5 rounded-full bg-rose-100 text-rose-700 text-xs font-semibold hover:bg-rose-200" title="Lihat issue ${SKILL_OPERATOR_OPTION}">${row.skillIssueIds.size}</button>`
+      : '<span class="text-xs text-gray-300">0</span>'}
+      </td>
+      <td class="${cell} text-center">
+        <button type="button" onclick="exportOperatorScorecardPDF(${index})" class="w-8 h-8 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200" title="Scorecard PDF">
+          <i class="fas fa-file-pdf text-xs"></i>
+        </button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Table buttons pass the row position so operator names never reach inline handlers
+function findOperatorScorecard(index) {
+  return getSortedOperatorScorecards()[index] || null;
+}
+
+// Show the Skill Operator issues raised against one operator in the Issues Log
+window.showOperatorSkillIssues = function (index) {
+  const scorecard = findOperatorScorecard(index);
+  if (!scorecard) return;
+
+  const issues = AppState.issuesData.filter(issue => scorecard.skillIssueIds.has(issue.id));
+  renderIssuesTable(issues);
+  document.getElementById('issuesDrillDownText').textContent =
+    `${SKILL_OPERATOR_OPTION}: ${scorecard.name} (${issues.length} issue)`;
+  document.getElementById('issuesDrillDownBanner').classList.remove('hidden');
+  document.getElementById('issuesLogSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+window.exportOperatorScorecardPDF = async function (index) {
+  const scorecard = findOperatorScorecard(index);
+  if (!scorecard) return;
+
+  const rank = index + 1;
+  const pdf = await createPdfReport({
+    orientation: 'p',
+    title: `Scorecard Operator - ${scorecard.name}`,
+    subtitle: `Peringkat ${rank} (${OPERATOR_SORTS[document.getElementById('operatorSortBy').value].label})`,
+    code: 'OPR',
+    unit: scorecard.name
+  });
+  const { doc } = pdf;
+
+  pdf.table({
+    head: ['Metric', 'Value'],
+    rows: [
+      ['Jam Tercatat', formatScore(scorecard.hours, 1)],
+      ['Rata-rata Productivity (BCM/Jam)', formatScore(scorecard.avgProductivity, 2)],
+      ['Indeks vs Rekan (kelas & material sama)', formatScore(scorecard.index, 1, '%')],
+      ['Konsistensi', formatScore(scorecard.consistency, 1, '%')],
+      ['Rata-rata Match Factor', formatScore(scorecard.matchFactor, 2)],
+      [`Issue ${SKILL_OPERATOR_OPTION}`, scorecard.skillIssueIds.size],
+      ['Kelas Excavator', scorecard.classes.join(', ')],
+      ['Material', scorecard.materials.join(', ')]
+    ]
+  }, { styles: { fontSize: 9 } });
+
+  // Trend as a simple line between the min and max of the daily index
+  if (scorecard.trend.length > 1) {
+    pdf.ensureSpace(60);
+    let yPos = pdf.yPos;
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text('Trend Indeks Harian', 14, yPos);
+    yPos += 4;
+
+    const values = scorecard.trend.map(point => point.index);
+    const min = Math.min(...values, 100);
+    const max = Math.max(...values, 100);
+    const chart = { x: 14, y: yPos, width: 182, height: 35 };
+    const px = (i) => chart.x + (i / (values.length - 1)) * chart.width;
+    const py = (value) => chart.y + chart.height - ((value - min) / (max - min || 1)) * chart.height;
+
+    doc.setDrawColor(209, 213, 219);
+    doc.rect(chart.x, chart.y, chart.width, chart.height);
+    doc.setLineDashPattern([1, 1], 0);
+    doc.line(chart.x, py(100), chart.x + chart.width, py(100));
+    doc.setLineDashPattern([], 0);
+    doc.setDrawColor(79, 70, 229);
+    for (let i = 1; i < values.length; i++) {
+      doc.line(px(i - 1), py(values[i - 1]), px(i), py(values[i]));
+    }
+    pdf.yPos = yPos + chart.height + 10;
+  }
+
+  pdf.table({
+    head: ['Tanggal', 'Indeks (%)'],
+    rows: scorecard.trend.map(point => [formatProductionDate(point.day), point.index.toFixed(1)])
+  });
+
+  const skillIssues = AppState.issuesData.filter(issue => scorecard.skillIssueIds.has(issue.id));
+  if (skillIssues.length > 0) {
+    pdf.table({
+      head: ['Waktu', 'Excavator', 'Status', 'Catatan'],
+      rows: skillIssues.map(issue => [formatDateTime(issue.timestamp), issue.excavator, ISSUE_STATUSES[getIssueStatus(issue)]?.label || '-', issue.notes || '-'])
+    }, { fillColor: [225, 29, 72] });
+  }
+
+  pdf.save(`Scorecard_${scorecard.name.replace(/[^\w-]+/g, '_')}_${new Date().getTime()}.pdf`);
+  showToast('Scorecard operator berhasil diexport!', 'success');
+};
+
+// ==========================================
+// Data Completeness (Supervisor Activity)
+// ==========================================
+// Every excavator is expected to have a productivity and a match factor entry for each hour of
+// the shift; issues are optional. Only finished hours count as gaps; the running hour can
+// still be filled in from the matrix.
+
+/**
+ * Hour slots of one shift on a production date
+ * @param {string} productionDate - YYYY-MM-DD
+ * @param {Object} shift - Roster entry
+ * @returns {Date[]} Slot start times
+ */
+function getShiftHourSlots(productionDate, shift) {
+  const [year, month, day] = productionDate.split('-').map(Number);
+  const start = timeToMinutes(shift.start);
+  const length = (timeToMinutes(shift.end) - start + 24 * 60) % (24 * 60) || 24 * 60;
+
+  const slots = [];
+  for (let offset = 0; offset < length; offset += 60) {
+    slots.push(new Date(year, month - 1, day, 0, start + offset));
+  }
+  return slots;
+}
+
+// Slot as a datetime-local value for the entry form
+function formatSlotInput(slot) {
+  return `${formatDateKey(slot)}T${String(slot.getHours()).padStart(2, '0')}:${String(slot.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Fill the entry form for one excavator-hour and scroll to the first field still to enter
+ * @param {Object} options
+ * @param {Date} options.slot - Hour start
+ * @param {string} options.excavator
+ * @param {Object} [options.reference] - Record whose Data Umum (pengawas, NRP, operator, material) is copied
+ * @param {Object} [options.values] - Further input values keyed by element ID
+ * @param {string} options.focusId - Input to scroll to
+ */
+function prefillEntryForm({ slot, excavator, reference, values = {}, focusId }) {
+  const setValue = (id, value) => {
+    const input = document.getElementById(id);
+    if (!input || value === undefined || value === null || value === '') return;
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  };
+
+  setValue('waktu', formatSlotInput(slot));
+  setValue('noExcavator', excavator);
+  document.getElementById('noExcavator').dispatchEvent(new Event('change'));
+  if (reference) {
+    setValue('namaPengawas', reference.namaPengawas);
+    setValue('nrp', reference.nrp);
+    setValue('namaOperator', reference.namaOperator);
+    setValue('jenisMaterial', reference.jenisMaterial);
+    document.getElementById('jenisMaterial').dispatchEvent(new Event('change'));
+  }
+  Object.entries(values).forEach(([id, value]) => setValue(id, value));
+
+  const target = document.getElementById(focusId);
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  target.focus({ preventScroll: true });
+}
+
+/**
+ * Completeness matrix of excavator × hour for one shift
+ * @param {string} productionDate - YYYY-MM-DD
+ * @param {string} shiftCode - Roster shift code
+ * @param {Date} now - Hours ending after this are not due yet
+ * @returns {Object|null} { slots, rows: [{ excavator, cells }], supervisors } or null when the shift is unknown
+ */
+function buildCompletenessMatrix(productionDate, shiftCode, now = new Date()) {
+  const shift = getShiftRoster().find(entry => entry.code === shiftCode);
+  if (!shift || !productionDate) return null;
+
+  const slots = getShiftHourSlots(productionDate, shift);
+  const inShift = (record) => record.productionDate === productionDate && record.shift === shiftCode;
+  const productivity = AppState.productivityData.filter(inShift);
+  const matchFactor = AppState.matchFactorData.filter(inShift);
+  const issues = AppState.issuesData.filter(inShift);
+
+  const byHour = (records, excavatorField, timeField) => {
+    const lookup = new Map();
+    records.forEach(record => {
+      const key = getExcavatorHourKey(record[excavatorField], record[timeField]);
+      if (!key) return;
+      if (!lookup.has(key)) lookup.set(key, []);
+      lookup.get(key).push(record);
+    });
+    return lookup;
+  };
+  const productivityByHour = byHour(productivity, 'noExcavator', 'waktu');
+  const matchFactorByHour = byHour(matchFactor, 'noExcavator', 'waktu');
+  const issuesByHour = byHour(issues, 'excavator', 'timestamp');
+
+  // Excavators with data in the shift, plus registered units that logged nothing
+  const excavators = new Set([...productivity, ...matchFactor].map(record => record.noExcavator));
+  issues.forEach(issue => excavators.add(issue.excavator));
+  getEquipmentRegistry().excavators.forEach(excavator => excavators.add(normalizeEquipmentCode(excavator.code)));
+
+  const supervisors = new Map();
+  const getSupervisor = (record) => {
+    const key = record.nrp || record.namaPengawas;
+    if (!supervisors.has(key)) {
+      supervisors.set(key, { name: record.namaPengawas, nrp: record.nrp, slotKeys: new Set(), excavators: new Set(), gaps: 0, due: 0 });
+    }
+    return supervisors.get(key);
+  };
+
+  const rows = Array.from(excavators).filter(Boolean).sort().map(excavator => {
+    const cells = slots.map(slot => {
+      const key = getExcavatorHourKey(excavator, slot);
+      const cell = {
+        slot,
+        productivity: productivityByHour.get(key) || [],
+        matchFactor: matchFactorByHour.get(key) || [],
+        issues: issuesByHour.get(key) || [],
+        started: slot <= now,
+        due: slot.getTime() + 60 * 60 * 1000 <= now.getTime()
+      };
+      cell.enteredBy = Array.from(new Set([...cell.productivity, ...cell.matchFactor].map(record => record.namaPengawas).filter(Boolean)));
+      cell.status = cell.productivity.length > 0 && cell.matchFactor.length > 0
+        ? 'complete'
+        : cell.productivity.length > 0 || cell.matchFactor.length > 0 ? 'partial' : 'missing';
+      return cell;
+    });
+
+    // Gaps count against every supervisor who logged this excavator during the shift
+    const covering = new Set();
+    cells.forEach(cell => [...cell.productivity, ...cell.matchFactor].forEach(record => {
+      const supervisor = getSupervisor(record);
+      supervisor.slotKeys.add(getExcavatorHourKey(excavator, cell.slot));
+      supervisor.excavators.add(excavator);
+      covering.add(supervisor);
+    }));
+    const dueCells = cells.filter(cell => cell.due);
+    covering.forEach(supervisor => {
+      supervisor.due += dueCells.length;
+      supervisor.gaps += dueCells.filter(cell => cell.status !== 'complete').length;
+    });
+
+    return { excavator, cells };
+  });
+
+  return {
+    slots,
+    rows,
+    supervisors: Array.from(supervisors.values()).map(supervisor => ({
+      name: supervisor.name,
+      nrp: supervisor.nrp,
+      hours: supervisor.slotKeys.size,
+      excavators: Array.from(supervisor.excavators).sort(),
+      gaps: supervisor.gaps,
+      completeness: supervisor.due > 0 ? (supervisor.due - supervisor.gaps) / supervisor.due * 100 : null
+    })).sort((a, b) => b.gaps - a.gaps || String(a.name).localeCompare(String(b.name)))
+  };
+}
+
+// Last rendered matrix, so cell clicks can resolve their slot
+let currentCompletenessMatrix = null;
+
+const COMPLETENESS_CELL_CLASSES = {
+  complete: 'bg-green-100 text-green-700 border-green-200 hover:bg-green-200',
+  partial: 'bg-amber-100 text-amber-700 border-amber-200 hover:bg-amber-200',
+  missing: 'bg-red-50 text-red-600 border-red-200 hover:bg-red-100',
+  upcoming: 'bg-gray-50 text-gray-300 border-gray-100'
+};
+
+function renderCompletenessMatrix() {
+  const container = document.getElementById('completenessMatrix');
+  if (!container) return;
+
+  const dateInput = document.getElementById('completenessDate');
+  const shiftSelect = document.getElementById('completenessShift');
+
+  // Default to the shift running now
+  const roster = getShiftRoster();
+  const current = getShiftInfo(new Date());
+  const selectedShift = shiftSelect.value;
+  shiftSelect.innerHTML = roster.map(shift => `<option value="${shift.code}">${shift.label || shift.code}</option>`).join('');
+  shiftSelect.value = roster.some(shift => shift.code === selectedShift)
+    ? selectedShift
+    : roster.some(shift => shift.code === current.shift) ? current.shift : roster[0].code;
+  if (!dateInput.value) dateInput.value = current.productionDate;
+
+  const matrix = buildCompletenessMatrix(dateInput.value, shiftSelect.value);
+  currentCompletenessMatrix = matrix;
+  const summary = document.getElementById('completenessSummary');
+  const supervisorBody = document.getElementById('completenessSupervisorBody');
+
+  if (!matrix || matrix.rows.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-400 text-center py-8">Belum ada excavator untuk shift ini</p>';
+    summary.textContent = '';
+    supervisorBody.innerHTML = '<tr><td colspan="5" class="px-4 py-6 text-center text-sm text-gray-400">Belum ada data</td></tr>';
+    return;
+  }
+
+  const dueCells = matrix.rows.flatMap(row => row.cells.filter(cell => cell.due));
+  const complete = dueCells.filter(cell => cell.status === 'complete').length;
+  summary.textContent = dueCells.length > 0
+    ? `${complete} dari ${dueCells.length} jam-excavator lengkap (${(complete / dueCells.length * 100).toFixed(0)}%) · ${dueCells.length - complete} perlu dilengkapi`
+    : 'Belum ada jam shift yang selesai';
+
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: false };
+  container.innerHTML = `
+    <table class="min-w-full text-xs border-separate" style="border-spacing: 2px">
+      <thead>
+        <tr>
+          <th class="sticky left-0 bg-white px-2 py-1 text-left font-bold text-gray-700">Excavator</th>
+          ${matrix.slots.map(slot => `<th class="px-1 py-1 font-semibold text-gray-500 whitespace-nowrap">${slot.toLocaleTimeString('id-ID', timeOptions)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${matrix.rows.map((row, rowIndex) => `
+          <tr>
+            <td class="sticky left-0 bg-white px-2 py-1 font-semibold text-gray-800 whitespace-nowrap">${row.excavator}</td>
+            ${row.cells.map((cell, cellIndex) => {
+      const state = cell.due || cell.status !== 'missing' ? cell.status : 'upcoming';
+      const flag = (present, letter) => `<span class="${present ? '' : 'opacity-30 line-through'}">${letter}</span>`;
+      const title = [
+        `${row.excavator} · ${cell.slot.toLocaleString('id-ID', { ...timeOptions, day: '2-digit', month: '2-digit' })}`,
+        `Productivity: ${cell.productivity.length > 0 ? 'ada' : 'belum'}`,
+        `Match Factor: ${cell.matchFactor.length > 0 ? 'ada' : 'belum'}`,
+        `Issue: ${cell.issues.length}`,
+        cell.enteredBy.length > 0 ? `Diinput: ${cell.enteredBy.join(', ')}` : '',
+        state === 'complete' ? 'Klik untuk lihat catatan' : cell.started ? 'Klik untuk isi data yang kurang' : ''
+      ].filter(Boolean).join('\n');
+      return `
+              <td class="p-0">
+                <button type="button" onclick="openCompletenessCell(${rowIndex}, ${cellIndex})" ${cell.started ? '' : 'disabled'}
+                        class="w-full min-w-[52px] px-1 py-1 rounded border font-mono font-semibold flex items-center justify-center gap-0.5 ${COMPLETENESS_CELL_CLASSES[state]}"
+                        title="${escapeHtmlAttr(title)}">
+                  ${flag(cell.productivity.length > 0, 'P')}${flag(cell.matchFactor.length > 0, 'M')}${cell.issues.length > 0 ? `<span class="text-purple-600">I</span>` : ''}
+                </button>
+              </td>`;
+    }).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  const cell = 'px-3 sm:px-4 py-2 text-sm whitespace-nowrap';
+  supervisorBody.innerHTML = matrix.supervisors.length > 0
+    ? matrix.supervisors.map(supervisor => `
+      <tr class="hover:bg-gray-50">
+        <td class="${cell}">
+          <div class="font-semibold text-gray-800">${supervisor.name || '-'}</div>
+          <div class="text-[10px] text-gray-400">${supervisor.nrp || '-'}</div>
+        </td>
+        <td class="${cell} text-right text-gray-700">${supervisor.hours}</td>
+        <td class="${cell} text-gray-600">${supervisor.excavators.join(', ')}</td>
+        <td class="${cell} text-right font-semibold ${supervisor.gaps > 0 ? 'text-red-600' : 'text-green-600'}">${supervisor.gaps}</td>
+        <td class="${cell} text-right font-semibold text-gray-800">${formatKpiPercent(supervisor.completeness)}</td>
+      </tr>
+    `).join('')
+    : '<tr><td colspan="5" class="px-4 py-6 text-center text-sm text-gray-400">Belum ada pengawas yang menginput di shift ini</td></tr>';
+}
+
+/**
+ * Complete hours open their notes; incomplete hours pre-fill the entry form
+ * with the slot and the Data Umum of the nearest record of that excavator in the shift
+ */
+window.openCompletenessCell = function (rowIndex, cellIndex) {
+  const row = currentCompletenessMatrix?.rows[rowIndex];
+  const cell = row?.cells[cellIndex];
+  if (!cell || !cell.started) return;
+
+  if (cell.status === 'complete') {
+    const record = cell.productivity[0];
+    viewIssuesForExcavatorAndDate(row.excavator, record.waktu, record.id);
+    return;
+  }
+
+  const nearest = row.cells
+    .flatMap(other => [...other.productivity, ...other.matchFactor])
+    .sort((a, b) => Math.abs(new Date(a.waktu) - cell.slot) - Math.abs(new Date(b.waktu) - cell.slot))[0];
+
+  // Jump to the first part of the hour that is still missing
+  prefillEntryForm({
+    slot: cell.slot,
+    excavator: row.excavator,
+    reference: nearest,
+    focusId: cell.productivity.length === 0 ? 'jumlahRitase' : 'jumlahHD'
+  });
+
+  const missing = [cell.productivity.length === 0 ? 'Productivity' : '', cell.matchFactor.length === 0 ? 'Match Factor' : ''].filter(Boolean);
+  showToast(`Form diisi untuk ${row.excavator} jam ${formatSlotInput(cell.slot).slice(11)} · kurang: ${missing.join(' & ')}`, 'info');
+};
+
+// ==========================================
+// Delay Pareto Analysis
+// ==========================================
+// Delays to the left of this cumulative share are the "vital few" worth attacking first
+const PARETO_VITAL_PERCENT = 80;
+
+const PARETO_GROUPS = {
+  mainCode: {
+    label: 'Kode Delay',
+    getKey: (delay) => delay.mainCode,
+    getLabel: (delay) => `${delay.mainCode} - ${delay.mainLabel}`
+  },
+  subCode: {
+    label: 'Sub-Kode Delay',
+    getKey: (delay) => `${delay.mainCode}|${delay.subCode || ''}`,
+    getLabel: (delay) => delay.subCode
+      ? `${delay.subCode} - ${delay.subLabel}`
+      : `${delay.mainCode} - ${delay.mainLabel} (tanpa sub-kode)`
+  },
+  excavator: {
+    label: 'Excavator',
+    getKey: (delay, issue) => issue.excavator || '-',
+    getLabel: (delay, issue) => issue.excavator || '-'
+  },
+  supervisor: {
+    label: 'Pengawas',
+    getKey: (delay, issue, supervisor) => supervisor || '-',
+    getLabel: (delay, issue, supervisor) => supervisor || 'Tanpa data pengawas'
+  },
+  shift: {
+    label: 'Shift',
+    getKey: (delay, issue) => issue.shift || '-',
+    getLabel: (delay, issue) => issue.shift ? `Shift ${issue.shift}` : 'Tanpa shift'
+  }
+};
+
+// Issues carry no supervisor; take it from the record the issue was logged against
+function createSupervisorLookup() {
+  const recordIndex = createRecordIndex();
+  return (issue) => {
+    const record = getIssueRecords(issue, recordIndex).find(linked => linked.namaPengawas);
+    return record ? record.namaPengawas : null;
+  };
+}
+
+/**
+ * Rank delay causes by frequency or duration with cumulative percentages
+ * @param {Object[]} issues - Issues to analyse
+ * @param {Object} options - { groupBy: PARETO_GROUPS key, metric: 'frequency'|'duration', from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * @returns {Object} { items: [{key, label, value, count, minutes, percent, cumulativePercent, vital, issueIds}], total, delayCount, untimedCount }
+ */
+function buildDelayPareto(issues, { groupBy = 'mainCode', metric = 'frequency', from = '', to = '' } = {}) {
+  const group = PARETO_GROUPS[groupBy] || PARETO_GROUPS.mainCode;
+  const getSupervisor = groupBy === 'supervisor' ? createSupervisorLookup() : () => null;
+  const buckets = new Map();
+  let delayCount = 0;
+  let untimedCount = 0;
+
+  issues.forEach(issue => {
+    // Production date keys sort as strings, so the range check needs no Date parsing
+    const dateKey = issue.productionDate || formatDateKey(getRecordProductionDate(issue));
+    if ((from && dateKey < from) || (to && dateKey > to)) return;
+
+    const supervisor = getSupervisor(issue);
+    getIssueDelays(issue).forEach(delay => {
+      if (!delay.mainCode || delay.mainCode === 'D0') return;
+
+      const minutes = getDelayMinutes(delay);
+      delayCount++;
+      if (minutes <= 0) untimedCount++;
+
+      const key = group.getKey(delay, issue, supervisor);
+      if (!buckets.has(key)) {
+        buckets.set(key, { key, label: group.getLabel(delay, issue, supervisor), count: 0, minutes: 0, issueIds: new Set() });
+      }
+      const bucket = buckets.get(key);
+      bucket.count++;
+      bucket.minutes += minutes;
+      bucket.issueIds.add(issue.id);
+    });
+  });
+
+  const items = [...buckets.values()]
+    .map(bucket => ({ ...bucket, value: metric === 'duration' ? bucket.minutes : bucket.count }))
+    .filter(item => item.value > 0)
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  let running = 0;
+  items.forEach(item => {
+    const previousPercent = total > 0 ? (running / total) * 100 : 0;
+    running += item.value;
+    item.percent = total > 0 ? (item.value / total) * 100 : 0;
+    item.cumulativePercent = total > 0 ? (running / total) * 100 : 0;
+    // The item that crosses the line still belongs to the vital few
+    item.vital = previousPercent < PARETO_VITAL_PERCENT;
+  });
+
+  return { items, total, delayCount, untimedCount };
+}
+
+function getDelayParetoOptions() {
+  return {
+    groupBy: document.getElementById('paretoGroupBy')?.value || 'mainCode',
+    metric: document.getElementById('paretoMetric')?.value || 'frequency',
+    from: document.getElementById('paretoDateFrom')?.value || '',
+    to: document.getElementById('paretoDateTo')?.value || ''
+  };
+}
+
+// Last rendered Pareto, so chart/table clicks can resolve their bucket
+let currentDelayPareto = null;
+
+function renderDelayPareto() {
+  const canvas = document.getElementById('delayParetoChart');
+  const tbody = document.getElementById('delayParetoTableBody');
+  if (!canvas || !tbody) return;
+
+  const options = getDelayParetoOptions();
+  const pareto = buildDelayPareto(AppState.issuesData, options);
+  const isDuration = options.metric === 'duration';
+  const unit = isDuration ? 'mnt' : 'kali';
+  const formatValue = (value) => isDuration ? formatMinutes(value) : value.toLocaleString('id-ID');
+  currentDelayPareto = { ...pareto, options };
+
+  document.getElementById('delayParetoTotal').textContent = isDuration
+    ? `${formatMinutes(pareto.total)} Menit`
+    : `${pareto.delayCount} Delay`;
+  document.getElementById('delayParetoValueHeader').textContent = isDuration ? 'Durasi (Menit)' : 'Frekuensi';
+
+  const note = document.getElementById('delayParetoNote');
+  if (isDuration && pareto.untimedCount > 0) {
+    note.textContent = `${pareto.untimedCount} dari ${pareto.delayCount} delay belum punya durasi dan tidak ikut dihitung. Lengkapi jam/durasi di catatan issue.`;
+    note.classList.remove('hidden');
+  } else {
+    note.classList.add('hidden');
+  }
+
+  if (AppState.delayParetoChart) {
+    AppState.delayParetoChart.destroy();
+    AppState.delayParetoChart = null;
+  }
+
+  const emptyState = document.getElementById('delayParetoEmpty');
+  if (pareto.items.length === 0) {
+    emptyState.classList.remove('hidden');
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="6" class="px-4 py-6 text-center text-sm text-gray-400">Tidak ada delay untuk dianalisis</td>
+      </tr>
+    `;
+    return;
+  }
+  emptyState.classList.add('hidden');
+
+  const isMobile = window.innerWidth < 640;
+  AppState.delayParetoChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: pareto.items.map(item => item.label),
+      datasets: [{
+        label: isDuration ? 'Durasi (Menit)' : 'Frekuensi',
+        data: pareto.items.map(item => item.value),
+        backgroundColor: pareto.items.map(item => item.vital ? 'rgba(239, 68, 68, 0.8)' : 'rgba(156, 163, 175, 0.6)'),
+        borderRadius: 6,
+        borderSkipped: false,
+        yAxisID: 'y',
+        order: 2
+      }, {
+        type: 'line',
+        label: 'Kumulatif %',
+        data: pareto.items.map(item => item.cumulativePercent),
+        borderColor: 'rgb(79, 70, 229)',
+        backgroundColor: 'rgb(79, 70, 229)',
+        borderWidth: 2,
+        pointRadius: 3,
+        fill: false,
+        yAxisID: 'y1',
+        order: 1
+      }, {
+        type: 'line',
+        label: `${PARETO_VITAL_PERCENT}%`,
+        data: pareto.items.map(() => PARETO_VITAL_PERCENT),
+        borderColor: 'rgba(234, 179, 8, 0.9)',
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+        yAxisID: 'y1',
+        order: 0
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      onClick: (event, activeElements) => {
+        if (activeElements && activeElements.length > 0) {
+          drillDownDelayPareto(activeElements[0].index);
+        }
+      },
+      plugins: {
+        legend: { display: true, position: 'bottom', labels: { boxWidth: 12, font: { size: isMobile ? 10 : 12 } } },
+        tooltip: {
+          backgroundColor: 'rgba(0, 0, 0, 0.8)',
+          padding: 12,
+          callbacks: {
+            label: function (context) {
+              const item = pareto.items[context.dataIndex];
+              if (context.datasetIndex === 0) return ` ${formatValue(item.value)} ${unit} (${item.percent.toFixed(1)}%)`;
+              if (context.datasetIndex === 1) return ` Kumulatif: ${item.cumulativePercent.toFixed(1)}%`;
+              return '';
+            },
+            afterBody: function () {
+              return '💡 Klik untuk lihat issue terkait';
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { font: { size: isMobile ? 9 : 11 }, maxRotation: 45, minRotation: 0 },
+          grid: { display: false }
+        },
+        y: {
+          beginAtZero: true,
+          position: 'left',
+          title: { display: !isMobile, text: isDuration ? 'Menit' : 'Kejadian' },
+          ticks: { precision: 0 },
+          grid: { color: 'rgba(0, 0, 0, 0.05)' }
+        },
+        y1: {
+          min: 0,
+          max: 100,
+          position: 'right',
+          ticks: { callback: (value) => `${value}%` },
+          grid: { drawOnChartArea: false }
+        }
+      },
+      animation: { duration: isMobile ? 500 : 750 }
+    }
+  });
+
+  tbody.innerHTML = pareto.items.map((item, index) => `
+    <tr class="hover:bg-gray-50 transition-colors duration-150 ${item.vital ? 'bg-red-50/40' : ''}">
+      <td class="px-3 sm:px-4 py-2 text-sm text-gray-500">${index + 1}</td>
+      <td class="px-3 sm:px-4 py-2 text-sm font-medium text-gray-800">
+        ${item.vital ? '<i class="fas fa-circle text-red-500 text-[8px] mr-1.5" title="Vital few"></i>' : ''}${item.label}
+      </td>
+      <td class="px-3 sm:px-4 py-2 text-sm text-right font-semibold text-gray-800">${formatValue(item.value)}</td>
+      <td class="px-3 sm:px-4 py-2 text-sm text-right text-gray-600">${item.percent.toFixed(1)}%</td>
+      <td class="px-3 sm:px-4 py-2 text-sm text-right ${item.vital ? 'text-red-600 font-semibold' : 'text-gray-600'}">${item.cumulativePercent.toFixed(1)}%</td>
+      <td class="px-3 sm:px-4 py-2 text-center">
+        <button onclick="drillDownDelayPareto(${index})" class="px-2.5 py-1 bg-orange-50 text-orange-700 rounded-lg hover:bg-orange-100 transition-all text-xs font-medium whitespace-nowrap">
+          <i class="fas fa-list mr-1"></i>${item.issueIds.size} Issue
+        </button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Show only the issues behind one Pareto bar in the Issues Log
+window.drillDownDelayPareto = function (index) {
+  const item = currentDelayPareto?.items[index];
+  if (!item) return;
+
+  const issues = AppState.issuesData.filter(issue => item.issueIds.has(issue.id));
+  renderIssuesTable(issues);
+
+  const { groupBy, from, to } = currentDelayPareto.options;
+  const range = from || to
+    ? ` · ${from ? formatProductionDate(from) : '...'} - ${to ? formatProductionDate(to) : '...'}`
+    : '';
+  document.getElementById('issuesDrillDownText').textContent =
+    `Pareto ${PARETO_GROUPS[groupBy].label}: ${item.label}${range} (${issues.length} issue)`;
+  document.getElementById('issuesDrillDownBanner').classList.remove('hidden');
+  document.getElementById('issuesLogSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+function resetDelayParetoFilters() {
+  document.getElementById('paretoGroupBy').value = 'mainCode';
+  document.getElementById('paretoMetric').value = 'frequency';
+  document.getElementById('paretoDateFrom').value = '';
+  document.getElementById('paretoDateTo').value = '';
+  renderDelayPareto();
+}
+
+// ==========================================
+// Issue-Record Linkage
+// ==========================================
+// Issues reference the exact productivity/match factor record(s) they were logged against
+// through issue.recordIds. Issues saved before record IDs existed fall back to the
+// same-excavator, same-hour match until linkIssuesToRecords() links them.
+const LINKED_RECORD_TYPES = ['productivityData', 'matchFactorData'];
+
+function isIssueLinked(issue) {
+  return Array.isArray(issue.recordIds) && issue.recordIds.length > 0;
+}
+
+function isIssueLinkedTo(issue, recordId) {
+  return isIssueLinked(issue) && issue.recordIds.some(id => String(id) === String(recordId));
+}
+
+/**
+ * Index productivity and match factor records by ID
+ * @returns {Map<string, Object>} Record ID -> record
+ */
+function createRecordIndex() {
+  const index = new Map();
+  LINKED_RECORD_TYPES.forEach(type => {
+    AppState[type].forEach(record => {
+      if (record.id !== undefined && record.id !== null) index.set(String(record.id), record);
+    });
+  });
+  return index;
+}
+
+/**
+ * Records an issue belongs to: its linked records, or for an unlinked issue every record of its excavator-hour
+ * @param {Object} issue
+ * @param {Map} recordIndex - From createRecordIndex, reused when checking many issues
+ * @returns {Object[]}
+ */
+function getIssueRecords(issue, recordIndex = createRecordIndex()) {
+  if (isIssueLinked(issue)) {
+    return issue.recordIds.map(id => recordIndex.get(String(id))).filter(Boolean);
+  }
+
+  const hourKey = getExcavatorHourKey(issue.excavator, issue.timestamp);
+  if (!hourKey) return [];
+  return LINKED_RECORD_TYPES.flatMap(type =>
+    AppState[type].filter(record => getExcavatorHourKey(record.noExcavator, record.waktu) === hourKey)
+  );
+}
+
+/**
+ * Issues logged against one record
+ * @param {Object} record - Productivity or match factor record
+ * @returns {Object[]}
+ */
+function getRecordIssues(record) {
+  return createRecordIssueLookup()(record);
+}
+
+/**
+ * Build a record -> issues function, indexing issues by record ID (and unlinked ones by excavator-hour) once
+ * @param {Object[]} issues
+ * @returns {Function}
+ */
+function createRecordIssueLookup(issues = AppState.issuesData) {
+  const issuesByRecord = new Map();
+  const unlinkedByHour = new Map();
+  const add = (map, key, issue) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(issue);
+  };
+
+  issues.forEach(issue => {
+    if (isIssueLinked(issue)) {
+      issue.recordIds.forEach(id => add(issuesByRecord, String(id), issue));
+      return;
+    }
+    const hourKey = getExcavatorHourKey(issue.excavator, issue.timestamp);
+    if (hourKey) add(unlinkedByHour, hourKey, issue);
+  });
+
+  return (record) => [
+    ...(issuesByRecord.get(String(record.id)) || []),
+    ...(unlinkedByHour.get(getExcavatorHourKey(record.noExcavator, record.waktu)) || [])
+  ];
+}
+
+/**
+ * Link issues saved before record IDs existed to the records of their excavator-hour.
+ * A record at the issue's exact time wins; otherwise every record of that hour is linked.
+ * Issues with no record yet stay unlinked so a record entered later still picks them up.
+ * @returns {number} Number of issues linked
+ */
+function linkIssuesToRecords() {
+  // Records without an ID get one here and are saved with it
+  LINKED_RECORD_TYPES.forEach(type => {
+    recordStorage.markChanged(type, AppState[type].filter(record => record.id === undefined || record.id === null || record.id === ''));
+  });
+
+  const recordsByHour = new Map();
+  LINKED_RECORD_TYPES.forEach(type => {
+    AppState[type].forEach(record => {
+      const hourKey = getExcavatorHourKey(record.noExcavator, record.waktu);
+      if (!hourKey) return;
+      if (!recordsByHour.has(hourKey)) recordsByHour.set(hourKey, []);
+      recordsByHour.get(hourKey).push(record);
+    });
+  });
+
+  let linked = 0;
+  AppState.issuesData.forEach(issue => {
+    if (isIssueLinked(issue)) return;
+    const candidates = recordsByHour.get(getExcavatorHourKey(issue.excavator, issue.timestamp)) || [];
+    if (candidates.length === 0) return;
+
+    const issueTime = new Date(issue.timestamp).getTime();
+    const exact = candidates.filter(record => new Date(record.waktu).getTime() === issueTime);
+    issue.recordIds = (exact.length > 0 ? exact : candidates).map(record => record.id);
+    recordStorage.markChanged('issuesData', [issue]);
+    linked++;
+  });
+
+  return linked;
+}
+
+/**
+ * Move linked issues along when a record's time is edited, so shift and time usage stay consistent
+ * @param {Object} record - The edited record
+ * @returns {number} Number of issues updated
+ */
+function syncLinkedIssues(record) {
+  const time = new Date(record.waktu);
+  if (isNaN(time)) return 0;
+
+  let updated = 0;
+  AppState.issuesData.forEach(issue => {
+    if (!isIssueLinkedTo(issue, record.id) || issue.timestamp === time.toISOString()) return;
+    issue.timestamp = time.toISOString();
+    applyShiftInfo(issue, 'timestamp');
+    recordStorage.markChanged('issuesData', [issue]);
+    updated++;
+  });
+  return updated;
+}
+
+/**
+ * Work out what deleting a record does to its issues: issues left without any record are removed,
+ * issues still linked to another record only lose the link
+ * @param {Object} record
+ * @returns {{remove: Object[], keep: Object[]}}
+ */
+function getRecordDeletionImpact(record) {
+  const impact = { remove: [], keep: [] };
+
+  getRecordIssues(record).forEach(issue => {
+    const remaining = isIssueLinked(issue)
+      ? issue.recordIds.filter(id => String(id) !== String(record.id))
+      : getIssueRecords(issue).filter(other => other !== record);
+    (remaining.length === 0 ? impact.remove : impact.keep).push(issue);
+  });
+
+  return impact;
+}
+
+/**
+ * Apply getRecordDeletionImpact: unlink the kept issues and delete the rest with their photos
+ * @param {Object} record - The deleted record
+ * @param {{remove: Object[], keep: Object[]}} impact
+ */
+async function cascadeRecordDeletion(record, impact) {
+  impact.keep.forEach(issue => {
+    if (isIssueLinked(issue)) {
+      issue.recordIds = issue.recordIds.filter(id => String(id) !== String(record.id));
+      recordStorage.markChanged('issuesData', [issue]);
+    }
+  });
+
+  if (impact.remove.length === 0) return;
+  recordStorage.markDeleted('issuesData', impact.remove);
+
+  const removedIds = new Set(impact.remove.map(issue => issue.id));
+  AppState.issuesData = AppState.issuesData.filter(issue => !removedIds.has(issue.id));
+
+  const imageIds = impact.remove.flatMap(issue => [...(issue.imageIds || []), ...(issue.followUpImageIds || [])]);
+  if (imageIds.length > 0) {
+    try {
+      await imageStorage.deleteImages(imageIds);
+      console.log(`✅ Deleted ${imageIds.length} photos of ${impact.remove.length} cascaded issues`);
+    } catch (error) {
+      console.warn('Failed to delete some photos of cascaded issues:', error);
+    }
+  }
+}
+
+/**
+ * Record slots an issue can be logged against: one per distinct record time of the excavator,
+ * pairing the productivity and match factor entries saved for the same time
+ * @param {string} excavatorId
+ * @returns {Object[]} [{ datetime, recordIds, types }] newest first
+ */
+function getExcavatorRecordSlots(excavatorId) {
+  const slots = new Map();
+
+  LINKED_RECORD_TYPES.forEach(type => {
+    AppState[type]
+      .filter(record => record.noExcavator === excavatorId)
+      .forEach(record => {
+        const time = new Date(record.waktu);
+        if (isNaN(time)) return;
+        const datetime = time.toISOString();
+        if (!slots.has(datetime)) slots.set(datetime, { datetime, recordIds: [], types: new Set() });
+        slots.get(datetime).recordIds.push(record.id);
+        slots.get(datetime).types.add(type);
+      });
+  });
+
+  return [...slots.values()].sort((a, b) => new Date(b.datetime) - new Date(a.datetime));
+}
+
+// ==========================================
+// Issue Lifecycle (Status, PIC, Due Date)
+// ==========================================
+const ISSUE_STATUSES = {
+  open: { label: 'Open', icon: 'fa-circle-exclamation', badge: 'bg-red-100 text-red-700' },
+  in_progress: { label: 'In Progress', icon: 'fa-person-digging', badge: 'bg-blue-100 text-blue-700' },
+  waiting: { label: 'Waiting', icon: 'fa-hourglass-half', badge: 'bg-amber-100 text-amber-700' },
+  closed: { label: 'Closed', icon: 'fa-circle-check', badge: 'bg-green-100 text-green-700' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Issues saved before the lifecycle existed are treated as Open
+function getIssueStatus(issue) {
+  return ISSUE_STATUSES[issue.status] ? issue.status : 'open';
+}
+
+/**
+ * Past its due date and not closed yet
+ * @param {Object} issue
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isIssueOverdue(issue, now = new Date()) {
+  if (getIssueStatus(issue) === 'closed' || !issue.dueDate) return false;
+  return formatDateKey(now) > issue.dueDate;
+}
+
+/**
+ * Whole days an issue has been (or was) open: from the problem time to closing, or to now
+ * @param {Object} issue
+ * @param {Date} now
+ * @returns {number|null} Null when the issue has no valid time
+ */
+function getIssueAgingDays(issue, now = new Date()) {
+  const opened = new Date(issue.timestamp);
+  if (isNaN(opened)) return null;
+  const closedAt = getIssueStatus(issue) === 'closed' && issue.closedAt ? new Date(issue.closedAt) : now;
+  return Math.max(0, Math.floor((closedAt - opened) / DAY_MS));
+}
+
+/**
+ * Set an issue's status, stamping when it was closed (and clearing that when reopened)
+ * @param {Object} issue
+ * @param {string} status - ISSUE_STATUSES key
+ */
+function applyIssueStatus(issue, status) {
+  const previous = issue.status;
+  issue.status = ISSUE_STATUSES[status] ? status : 'open';
+  if (issue.status === previous) return;
+
+  issue.statusUpdatedAt = new Date().toISOString();
+  if (issue.status === 'closed') {
+    issue.closedAt = issue.statusUpdatedAt;
+  } else {
+    delete issue.closedAt;
+  }
+}
+
+/**
+ * Filter issues by the Issues Log status filter
+ * @param {Object[]} issues
+ * @param {string} filter - '' (all), 'active' (not closed), 'overdue' or an ISSUE_STATUSES key
+ * @returns {Object[]}
+ */
+function filterIssuesByStatus(issues, filter) {
+  if (!filter) return issues;
+  const now = new Date();
+  if (filter === 'active') return issues.filter(issue => getIssueStatus(issue) !== 'closed');
+  if (filter === 'overdue') return issues.filter(issue => isIssueOverdue(issue, now));
+  return issues.filter(issue => getIssueStatus(issue) === filter);
+}
+
+// Show per-status counts in the Issues Log filter options
+function updateIssueStatusFilterCounts() {
+  const select = document.getElementById('issueStatusFilter');
+  if (!select) return;
+
+  const labels = { '': 'Semua Status', active: 'Belum Closed', overdue: 'Overdue' };
+  Object.entries(ISSUE_STATUSES).forEach(([status, config]) => {
+    labels[status] = config.label;
+  });
+
+  Array.from(select.options).forEach(option => {
+    const count = filterIssuesByStatus(AppState.issuesData, option.value).length;
+    option.textContent = `${labels[option.value]} (${count})`;
+  });
+
+  const overdueCount = filterIssuesByStatus(AppState.issuesData, 'overdue').length;
+  const overdueBadge = document.getElementById('issuesOverdueBadge');
+  if (overdueBadge) {
+    document.getElementById('issuesOverdueCount').textContent = overdueCount;
+    overdueBadge.classList.toggle('hidden', overdueCount === 0);
+  }
+}
+
+// PICs already used, for the issue form autocomplete
+function populateIssuePicOptions() {
+  const datalist = document.getElementById('issuePicOptions');
+  if (!datalist) return;
+
+  const pics = new Set(AppState.issuesData.map(issue => (issue.pic || '').trim()).filter(Boolean));
+  datalist.innerHTML = Array.from(pics).sort().map(pic => `<option value="${pic.replace(/"/g, '&quot;')}"></option>`).join('');
+}
+
+// Status badge, plus an OVERDUE badge past the due date
+function renderIssueStatusBadge(issue, now = new Date()) {
+  const status = ISSUE_STATUSES[getIssueStatus(issue)];
+  return `
+    <span class="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold ${status.badge}">
+      <i class="fas ${status.icon}"></i>${status.label}
+    </span>
+    ${isIssueOverdue(issue, now) ? `<span class="inline-flex items-center gap-1 ml-1 px-2 py-0.5 bg-red-600 text-white rounded text-[10px] font-bold" title="Lewat due date ${formatProductionDate(issue.dueDate)}">
+      <i class="fas fa-clock"></i>OVERDUE
+    </span>` : ''}
+  `;
+}
+
+// Status badge, PIC, due date and aging for the Issues Log row
+function renderIssueStatusCell(issue, now = new Date()) {
+  const aging = getIssueAgingDays(issue, now);
+  const overdue = isIssueOverdue(issue, now);
+
+  return `
+    ${renderIssueStatusBadge(issue, now)}
+    <div class="mt-1.5 space-y-0.5 text-[11px] text-gray-600">
+      <div><i class="fas fa-user-check text-gray-400 mr-1"></i>${issue.pic || '<span class="text-gray-400">PIC belum diisi</span>'}</div>
+      ${issue.dueDate ? `<div class="${overdue ? 'text-red-600 font-semibold' : ''}"><i class="fas fa-calendar-day text-gray-400 mr-1"></i>Due ${formatProductionDate(issue.dueDate)}</div>` : ''}
+      ${aging !== null ? `<div><i class="fas fa-hourglass-half text-gray-400 mr-1"></i>Aging ${aging} hari</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Lifecycle columns shared by the issue exports
+ * @param {Object} issue
+ * @param {Date} now
+ * @returns {Object} { status, pic, dueDate, aging, overdue }
+ */
+function getIssueLifecycleExport(issue, now = new Date()) {
+  const aging = getIssueAgingDays(issue, now);
+  return {
+    status: ISSUE_STATUSES[getIssueStatus(issue)].label,
+    pic: issue.pic || '-',
+    dueDate: issue.dueDate ? formatProductionDate(issue.dueDate) : '-',
+    aging: aging !== null ? aging : '-',
+    overdue: isIssueOverdue(issue, now) ? 'Ya' : 'Tidak'
+  };
+}
+
+// "In Progress | PIC: Andi\nDue 12/03/2026 (OVERDUE)\nAging 4 hari" - one PDF cell
+function formatIssueLifecycleText(issue, now = new Date()) {
+  const lifecycle = getIssueLifecycleExport(issue, now);
+  const lines = [`${lifecycle.status} | PIC: ${lifecycle.pic}`];
+  if (issue.dueDate) lines.push(`Due ${lifecycle.dueDate}${lifecycle.overdue === 'Ya' ? ' (OVERDUE)' : ''}`);
+  if (lifecycle.aging !== '-') lines.push(`Aging ${lifecycle.aging} hari`);
+  return lines.join('\n');
+}
+
+// ==========================================
+// Issues Table Rendering
+// ==========================================
+
+// Check if an issue is orphaned (its records were deleted, or no record exists for its excavator-hour)
+function isOrphanedIssue(issue, recordIndex = createRecordIndex()) {
+  // If no timestamp and no link, not orphaned (could be a general note)
+  if (!issue.timestamp && !isIssueLinked(issue)) return false;
+
+  return getIssueRecords(issue, recordIndex).length === 0;
+}
+
+function renderIssuesTable(filteredData = null) {
+  const tbody = document.getElementById('issuesTableBody');
+  const issuesCount = document.getElementById('issuesCount');
+
+  if (!tbody) return;
+
+  const statusFilter = document.getElementById('issueStatusFilter')?.value || '';
+  const data = filterIssuesByStatus(filteredData || AppState.issuesData, statusFilter);
+  tbody.innerHTML = '';
+  // A Pareto drill-down re-shows the banner after rendering its subset
+  document.getElementById('issuesDrillDownBanner')?.classList.add('hidden');
+  updateIssueStatusFilterCounts();
+
+  if (!data || data.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="9" class="px-4 py-8 text-center">
+          <div class="flex flex-col items-center justify-center text-gray-400">
+            <i class="fas fa-clipboard-list text-4xl mb-3"></i>
+            ${statusFilter
+      ? '<p class="text-sm font-medium">Tidak ada issue dengan status ini</p>'
+      : `<p class="text-sm font-medium">Belum ada catatan issue</p>
+            <p class="text-xs mt-1">Klik tombol "Tambah Catatan" untuk menambahkan</p>`}
+          </div>
+        </td>
+      </tr>
+    `;
+    if (issuesCount) issuesCount.textContent = '0 Issues';
+    return;
+  }
+
+  // Update count
+  if (issuesCount) {
+    issuesCount.textContent = `${data.length} Issue${data.length > 1 ? 's' : ''}`;
+  }
+
+  // Sort by timestamp (newest first)
+  const sortedData = [...data].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const recordIndex = createRecordIndex();
+  const now = new Date();
+
+  sortedData.forEach((issue, index) => {
+    const row = document.createElement('tr');
+    row.className = 'hover:bg-gray-50 transition-colors duration-150';
+
+    // Get original index in AppState.issuesData
+    const originalIndex = AppState.issuesData.findIndex(i => i.id === issue.id);
+
+    // Format timestamp
+    const timestamp = new Date(issue.timestamp);
+    const formattedTime = timestamp.toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    // Build Delay Problem with expandable count badge (supports multiple delays)
+    const delays = getIssueDelays(issue);
+    const delayId = `delay-${issue.id || index}`;
+    let delayText = '';
+
+    if (delays.length === 0) {
+      delayText = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
+    } else if (delays.length === 1) {
+      // Single delay - show directly without expand button
+      const delay = delays[0];
+      delayText = `
+        <div class="text-xs p-2">
+          <div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}${formatDelayDurationBadge(delay)}</div>
+          ${delay.subCode && delay.subLabel ? `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>` : ''}
+          ${delay.customText ? `<div class="text-gray-500 italic mt-1">${delay.customText}</div>` : ''}
+        </div>
+      `;
+    } else {
+      // Multiple delays - use expandable count badge
+      const delaysList = delays.map((delay, idx) => {
+        let html = '';
+
+        // Add divider before all items except the first
+        if (idx > 0) {
+          html += '<div class="border-t border-red-200 pt-2 mt-2"></div>';
+        }
+
+        html += `<div class="text-xs">
+          <div class="font-semibold text-red-700">${delay.mainCode}: ${delay.mainLabel}${formatDelayDurationBadge(delay)}</div>`;
+        if (delay.subCode && delay.subLabel) {
+          html += `<div class="text-gray-600 mt-1">${delay.subCode} - ${delay.subLabel}</div>`;
+        }
+        if (delay.customText) {
+          html += `<div class="text-gray-500 italic mt-1">${delay.customText}</div>`;
+        }
+        html += '</div>';
+        return html;
+      }).join('');
+
+      delayText = `
+        <div class="relative">
+          <button
+            onclick="toggleIssueDetails('${delayId}')"
+            class="flex items-center gap-2 hover:bg-red-50 px-2 py-1.5 rounded transition-all w-full text-left">
+            <span class="w-2 h-2 bg-red-500 rounded-full flex-shrink-0"></span>
+            <span class="font-semibold text-sm text-red-700">${delays.length} Delays</span>
+            ${getIssueDelayMinutes(issue) > 0 ? `<span class="text-[10px] text-red-500 whitespace-nowrap">${formatMinutes(getIssueDelayMinutes(issue))} mnt</span>` : ''}
+            <i class="fas fa-chevron-down text-xs transition-transform duration-200 ml-auto text-red-600" id="${delayId}-icon"></i>
+          </button>
+          <div id="${delayId}-content" class="hidden mt-2 pl-4 border-l-2 border-red-300 pb-2">
+            ${delaysList}
+          </div>
+        </div>
+      `;
+    }
+
+    // Build Productivity Problem with expandable count badge (supports multiple productivities)
+    const productivities = getIssueProductivities(issue);
+    const prodId = `prod-${issue.id || index}`;
+    let productivityText = '';
+
+    if (productivities.length === 0) {
+      productivityText = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
+    } else if (productivities.length === 1) {
+      // Single productivity - show directly without expand button
+      const prod = productivities[0];
+      productivityText = `
+        <div class="text-xs p-2">
+          <div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>
+          ${prod.subOption ? `<div class="text-gray-600 mt-1">${prod.subOption}</div>` : ''}
+          ${prod.customText ? `<div class="text-gray-500 italic mt-1">${prod.customText}</div>` : ''}
+        </div>
+      `;
+    } else {
+      // Multiple productivities - use expandable count badge
+      const prodList = productivities.map((prod, idx) => {
+        let html = '';
+
+        // Add divider before all items except the first
+        if (idx > 0) {
+          html += '<div class="border-t border-orange-200 pt-2 mt-2"></div>';
+        }
+
+        html += `<div class="text-xs">
+          <div class="font-semibold text-orange-700">Kat. ${prod.mainCode}: ${prod.mainLabel}</div>`;
+        if (prod.subOption) {
+          html += `<div class="text-gray-600 mt-1">${prod.subOption}</div>`;
+        }
+        if (prod.customText) {
+          html += `<div class="text-gray-500 italic mt-1">${prod.customText}</div>`;
+        }
+        html += '</div>';
+        return html;
+      }).join('');
+
+      productivityText = `
+        <div class="relative">
+          <button
+            onclick="toggleIssueDetails('${prodId}')"
+            class="flex items-center gap-2 hover:bg-orange-50 px-2 py-1.5 rounded transition-all w-full text-left">
+            <span class="w-2 h-2 bg-orange-500 rounded-full flex-shrink-0"></span>
+            <span class="font-semibold text-sm text-orange-700">${productivities.length} Problems</span>
+            <i class="fas fa-chevron-down text-xs transition-transform duration-200 ml-auto text-orange-600" id="${prodId}-icon"></i>
+          </button>
+          <div id="${prodId}-content" class="hidden mt-2 pl-4 border-l-2 border-orange-300 pb-2">
+            ${prodList}
+          </div>
+        </div>
+      `;
+    }
+
+    // Notes - Better UX with clear separation
+    let notesHtml = '';
+    const hasNotes = issue.notes && issue.notes.trim();
+    const hasFollowUp = issue.followUpNotes && issue.followUpNotes.trim();
+
+    if (hasNotes || hasFollowUp) {
+      const noteId = `notes-${issue.id || index}`;
+      const isMobile = window.innerWidth < 640;
+      const maxPreviewLength = isMobile ? 50 : 100;
+
+      // Build compact preview
+      let previewParts = [];
+      if (hasNotes) {
+        const notesPreview = issue.notes.trim().substring(0, maxPreviewLength);
+        previewParts.push(`<span class="text-purple-700">${notesPreview}${issue.notes.trim().length > maxPreviewLength ? '...' : ''}</span>`);
+      }
+      if (hasFollowUp) {
+        const followUpPreview = issue.followUpNotes.trim().substring(0, maxPreviewLength);
+        previewParts.push(`<span class="text-blue-600">${followUpPreview}${issue.followUpNotes.trim().length > maxPreviewLength ? '...' : ''}</span>`);
+      }
+
+      const hasMore = (hasNotes && issue.notes.trim().length > maxPreviewLength) ||
+        (hasFollowUp && issue.followUpNotes.trim().length > maxPreviewLength) ||
+        (hasNotes && hasFollowUp);
+
+      // Build full content
+      let fullContent = '<div class="space-y-3">';
+      if (hasNotes) {
+        fullContent += `
+          <div class="bg-purple-50 p-2.5 rounded-lg border border-purple-200">
+            <div class="text-[10px] font-semibold text-purple-600 mb-1.5 flex items-center gap-1.5">
+              <i class="fas fa-file-alt text-[9px]"></i>
+              <span>Dokumentasi Masalah</span>
+            </div>
+            <div class="text-xs text-purple-700 leading-relaxed break-words">${issue.notes.trim()}</div>
+          </div>
+        `;
+      }
+      if (hasFollowUp) {
+        fullContent += `
+          <div class="bg-blue-50 p-2.5 rounded-lg border border-blue-200">
+            <div class="text-[10px] font-semibold text-blue-600 mb-1.5 flex items-center gap-1.5">
+              <i class="fas fa-tools text-[9px]"></i>
+              <span>Follow Up Perbaikan</span>
+            </div>
+            <div class="text-xs text-blue-700 leading-relaxed break-words">${issue.followUpNotes.trim()}</div>
+          </div>
+        `;
+      }
+      fullContent += '</div>';
+
+      notesHtml = `
+        <div class="relative ${hasMore ? 'cursor-pointer hover:bg-gray-50 p-2 rounded-lg transition-colors' : 'p-2'}" ${hasMore ? `onclick="toggleNotesExpand('${noteId}')"` : ''}>
+          <div id="${noteId}-preview" class="text-xs leading-relaxed space-y-1">
+            ${previewParts.join('<span class="text-gray-400 mx-1">•</span>')}
+          </div>
+          
+          <div id="${noteId}-full" class="hidden mt-2">
+            ${fullContent}
+          </div>
+          
+          ${hasMore ? `
+            <div class="mt-2 inline-flex items-center gap-1 text-[10px] font-semibold text-blue-600">
+              <i class="fas fa-chevron-right transition-transform duration-200 text-[8px]" id="${noteId}-icon"></i>
+              <span id="${noteId}-btn" class="underline">${isMobile ? 'Lihat Detail' : 'Lihat Selengkapnya'}</span>
+            </div>
+          ` : ''}
+        </div>
+      `;
+    } else {
+      notesHtml = '<div class="p-2 text-center"><span class="text-gray-400 text-xs">-</span></div>';
+    }
+
+    // Photo indicator - Use original index from AppState
+    // Count photos from both sections (Dokumentasi Masalah + Follow Up Perbaikan)
+    const documentationPhotoCount = (issue.imageIds && issue.imageIds.length > 0) ? issue.imageIds.length :
+      (issue.photo ? 1 : 0); // Support legacy base64 photos
+    const followUpPhotoCount = (issue.followUpImageIds && issue.followUpImageIds.length > 0) ? issue.followUpImageIds.length : 0;
+    const photoCount = documentationPhotoCount + followUpPhotoCount;
+
+    const photoHtml = photoCount > 0
+      ? `<button
+          onclick="viewIssuePhotos(${originalIndex})"
+          class="px-3 py-1 bg-purple-100 hover:bg-purple-200 text-purple-700 rounded-lg text-xs font-semibold transition-colors inline-flex items-center gap-1.5">
+          <i class="fas fa-images"></i>
+          <span>Lihat (${photoCount})</span>
+        </button>`
+      : '<span class="text-gray-400 text-xs">-</span>';
+
+    // Check if issue is orphaned (no matching productivity/match factor record)
+    const isOrphaned = isOrphanedIssue(issue, recordIndex);
+    const orphanedBadge = isOrphaned
+      ? `<div class="inline-flex items-center gap-1 mt-1 px-2 py-0.5 bg-amber-100 text-amber-700 rounded text-[10px] font-semibold" title="Issue ini tidak memiliki record Productivity atau Match Factor yang sesuai">
+          <i class="fas fa-exclamation-triangle text-amber-600"></i>
+          <span>No Record</span>
+        </div>`
+      : '';
+
+    row.innerHTML = `
+      <td class="px-3 sm:px-4 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-700 font-semibold">${index + 1}</td>
+      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-600">
+        <div>${formattedTime}</div>
+        ${issue.shift ? `<div class="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded text-[10px] font-semibold ${getShiftBadgeClass(issue.shift)}" title="Tanggal produksi ${formatProductionDate(issue.productionDate)}">
+          <i class="fas fa-business-time"></i>
+          <span>${formatShiftLabel(issue)}</span>
+        </div>` : ''}
+        ${orphanedBadge}
+      </td>
+      <td class="px-3 sm:px-4 py-3 whitespace-nowrap">
+        <span class="px-2 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold">${issue.excavator}</span>
+      </td>
+      <td class="px-3 sm:px-4 py-3">${renderIssueStatusCell(issue, now)}</td>
+      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-700">${delayText}</td>
+      <td class="px-3 sm:px-4 py-3 text-xs sm:text-sm text-gray-700">${productivityText}</td>
+      <td class="px-2 sm:px-3 py-3 text-center">${photoHtml}</td>
+      <td class="px-2 sm:px-3 py-3 w-72 sm:w-96">
         <div class="rounded-lg border border-gray-200 bg-white">
           ${notesHtml}
         </div>
-      </td>
-      <td class="px-3 sm:px-4 py-3">
-        <div class="flex items-center justify-center gap-2">
-          <!-- Edit Button -->
-          <button 
-            onclick="editIssue(${originalIndex})" 
-            class="
-              inline-flex items-center justify-center
-              w-8 h-8 sm:w-9 sm:h-9
-              rounded-lg
-              bg-yellow-50 hover:bg-yellow-100
-              text-yellow-600 hover:text-yellow-700
-              border border-yellow-200 hover:border-yellow-300
-              transition-all duration-200
-              hover:shadow-md hover:scale-105
-              focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
-            " 
-            title="Edit issue"
-            aria-label="Edit issue">
-            <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
-          </button>
-          
-          <!-- Delete Button -->
-          <button 
-            onclick="deleteIssue(${originalIndex})" 
-            class="
-              inline-flex items-center justify-center
-              w-8 h-8 sm:w-9 sm:h-9
-              rounded-lg
-              bg-red-50 hover:bg-red-100
-              text-red-600 hover:text-red-700
-              border border-red-200 hover:border-red-300
-              transition-all duration-200
-              hover:shadow-md hover:scale-105
-              focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
-            " 
-            title="Hapus issue"
-            aria-label="Delete issue">
-            <i class="fas fa-trash text-xs sm:text-sm"></i>
+      </td>
+      <td class="px-3 sm:px-4 py-3">
+        <div class="flex items-center justify-center gap-2">
+          <!-- Edit Button -->
+          <button 
+            onclick="editIssue(${originalIndex})" 
+            class="
+              inline-flex items-center justify-center
+              w-8 h-8 sm:w-9 sm:h-9
+              rounded-lg
+              bg-yellow-50 hover:bg-yellow-100
+              text-yellow-600 hover:text-yellow-700
+              border border-yellow-200 hover:border-yellow-300
+              transition-all duration-200
+              hover:shadow-md hover:scale-105
+              focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-2
+            " 
+            title="Edit issue"
+            aria-label="Edit issue">
+            <i class="fas fa-pencil-alt text-xs sm:text-sm"></i>
+          </button>
+          
+          <!-- Delete Button -->
+          <button 
+            onclick="deleteIssue(${originalIndex})" 
+            class="
+              inline-flex items-center justify-center
+              w-8 h-8 sm:w-9 sm:h-9
+              rounded-lg
+              bg-red-50 hover:bg-red-100
+              text-red-600 hover:text-red-700
+              border border-red-200 hover:border-red-300
+              transition-all duration-200
+              hover:shadow-md hover:scale-105
+              focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2
+            " 
+            title="Hapus issue"
+            aria-label="Delete issue">
+            <i class="fas fa-trash text-xs sm:text-sm"></i>
+          </button>
+        </div>
+      </td>
+    `;
+
+    tbody.appendChild(row);
+  });
+}
+
+// View Issue Photos in Modal (Supports Multiple Photos from IndexedDB)
+window.viewIssuePhotos = async function (index) {
+  const issue = AppState.issuesData[index];
+  if (!issue) return;
+
+  // Get photos from both sections - support both new imageIds and legacy base64 photo
+  let photoUrls = [];
+  let photoSections = []; // Track which section each photo belongs to
+
+  // Section 1: Dokumentasi Masalah (Purple)
+  if (issue.imageIds && issue.imageIds.length > 0) {
+    // New: Load from IndexedDB
+    try {
+      const images = await imageStorage.getImages(issue.imageIds);
+      const urls = images.map(img => URL.createObjectURL(img.blob));
+      photoUrls.push(...urls);
+      photoSections.push(...urls.map(() => ({ type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' })));
+    } catch (error) {
+      console.error('Failed to load images from IndexedDB:', error);
+      showAlert('Gagal memuat foto dokumentasi dari penyimpanan', 'error');
+    }
+  } else if (issue.photo) {
+    // Legacy: base64 photo
+    photoUrls.push(issue.photo);
+    photoSections.push({ type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' });
+  }
+
+  // Section 2: Follow Up Perbaikan (Blue)
+  if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
+    try {
+      const images = await imageStorage.getImages(issue.followUpImageIds);
+      const urls = images.map(img => URL.createObjectURL(img.blob));
+      photoUrls.push(...urls);
+      photoSections.push(...urls.map(() => ({ type: 'followup', label: 'Follow Up Perbaikan', color: 'blue' })));
+    } catch (error) {
+      console.error('Failed to load follow-up images from IndexedDB:', error);
+      showAlert('Gagal memuat foto follow-up dari penyimpanan', 'error');
+    }
+  }
+
+  if (photoUrls.length === 0) {
+    showAlert('Tidak ada foto untuk issue ini', 'info');
+    return;
+  }
+
+  // Create photo viewer modal - using same style as Tambah Catatan Problem lightbox
+  const photoModal = document.createElement('div');
+  photoModal.className = 'fixed inset-0 z-[60] bg-black/95 backdrop-blur-sm flex items-center justify-center p-0';
+
+  let currentPhotoIndex = 0;
+
+  function renderPhoto() {
+    const totalPhotos = photoUrls.length;
+    const currentSection = photoSections[currentPhotoIndex] || { type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' };
+
+    // Section badge colors
+    const badgeColor = currentSection.color === 'blue'
+      ? 'bg-blue-500/90 text-white'
+      : 'bg-purple-500/90 text-white';
+
+    // Section icon
+    const badgeIcon = currentSection.color === 'blue' ? 'tools' : 'file-alt';
+
+    photoModal.innerHTML = `
+      <div class="relative w-full h-full flex flex-col">
+        <!-- Header with Close Button and Issue Info -->
+        <div class="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 sm:p-6 bg-gradient-to-b from-black/60 to-transparent">
+          <div class="text-white">
+            <p class="text-sm sm:text-base font-semibold flex items-center gap-2">
+              <i class="fas fa-hard-hat text-yellow-400"></i>
+              ${issue.excavator}
+            </p>
+            <p class="text-xs sm:text-sm text-gray-300 mt-1">
+              <i class="far fa-clock mr-1"></i>
+              ${new Date(issue.timestamp).toLocaleString('id-ID')}
+              ${totalPhotos > 1 ? ` • <span id="photoCounter">${currentPhotoIndex + 1}</span> / ${totalPhotos}` : ''}
+            </p>
+            <!-- Section Badge -->
+            <div class="mt-2">
+              <span class="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold ${badgeColor}">
+                <i class="fas fa-${badgeIcon} text-[10px]"></i>
+                ${currentSection.label}
+              </span>
+            </div>
+          </div>
+          <button
+            id="closePhotoModal"
+            class="w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all hover:rotate-90 flex-shrink-0 ml-4"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-times text-white text-lg sm:text-xl"></i>
+          </button>
+        </div>
+
+        <!-- Main Image Container -->
+        <div class="flex-1 flex items-center justify-center px-4 sm:px-16 py-20 sm:py-24">
+          ${totalPhotos > 1 ? `
+          <!-- Previous Button -->
+          <button
+            id="prevPhotoBtn"
+            class="absolute left-2 sm:left-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentPhotoIndex === 0 ? 'opacity-50 cursor-not-allowed' : ''}"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-chevron-left text-white text-lg sm:text-xl"></i>
+          </button>
+          ` : ''}
+
+          <!-- Image -->
+          <div class="max-w-full max-h-full flex items-center justify-center">
+            <img 
+              id="photoImage" 
+              src="${photoUrls[currentPhotoIndex]}" 
+              alt="Issue Photo ${currentPhotoIndex + 1}" 
+              class="max-w-full max-h-[70vh] sm:max-h-[80vh] w-auto h-auto object-contain rounded-lg shadow-2xl" />
+          </div>
+
+          ${totalPhotos > 1 ? `
+          <!-- Next Button -->
+          <button
+            id="nextPhotoBtn"
+            class="absolute right-2 sm:right-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentPhotoIndex === totalPhotos - 1 ? 'opacity-50 cursor-not-allowed' : ''}"
+            style="aspect-ratio: 1/1;">
+            <i class="fas fa-chevron-right text-white text-lg sm:text-xl"></i>
+          </button>
+          ` : ''}
+        </div>
+
+        <!-- Footer hint -->
+        <div class="absolute bottom-0 left-0 right-0 z-20 p-4 bg-gradient-to-t from-black/60 to-transparent">
+          <p class="text-center text-xs sm:text-sm text-gray-300">
+            <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">ESC</kbd> untuk keluar
+            ${totalPhotos > 1 ? ` • <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">← →</kbd> navigasi` : ''}
+          </p>
+        </div>
+      </div>
+    `;
+
+    // Add event listeners
+    const closeBtn = photoModal.querySelector('#closePhotoModal');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        photoModal.remove();
+        // Clean up object URLs
+        photoUrls.forEach(url => {
+          if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+        });
+        document.removeEventListener('keydown', keyHandler);
+      });
+    }
+
+    if (totalPhotos > 1) {
+      const prevBtn = photoModal.querySelector('#prevPhotoBtn');
+      const nextBtn = photoModal.querySelector('#nextPhotoBtn');
+
+      if (prevBtn) {
+        prevBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (currentPhotoIndex > 0) {
+            currentPhotoIndex--;
+            updatePhoto();
+          }
+        });
+      }
+
+      if (nextBtn) {
+        nextBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (currentPhotoIndex < totalPhotos - 1) {
+            currentPhotoIndex++;
+            updatePhoto();
+          }
+        });
+      }
+    }
+  }
+
+  // Update photo display
+  function updatePhoto() {
+    const img = photoModal.querySelector('#photoImage');
+    const counter = photoModal.querySelector('#photoCounter');
+    const prevBtn = photoModal.querySelector('#prevPhotoBtn');
+    const nextBtn = photoModal.querySelector('#nextPhotoBtn');
+
+    // Get current section and update badge
+    const currentSection = photoSections[currentPhotoIndex] || { type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' };
+    const badge = photoModal.querySelector('span.inline-flex.items-center');
+
+    // Update badge color and content
+    if (badge) {
+      // Remove old color classes
+      badge.classList.remove('bg-purple-500/90', 'bg-blue-500/90');
+      // Add new color
+      if (currentSection.color === 'blue') {
+        badge.classList.add('bg-blue-500/90');
+      } else {
+        badge.classList.add('bg-purple-500/90');
+      }
+
+      // Update icon and text - use correct icon names without fa- prefix in template literal
+      const iconClass = currentSection.color === 'blue' ? 'tools' : 'file-alt';
+      badge.innerHTML = `<i class="fas fa-${iconClass} text-[10px]"></i> ${currentSection.label}`;
+    }
+
+    if (img) {
+      img.src = photoUrls[currentPhotoIndex];
+      img.alt = `Issue Photo ${currentPhotoIndex + 1}`;
+    }
+
+    if (counter) {
+      counter.textContent = currentPhotoIndex + 1;
+    }
+
+    // Update button states
+    if (prevBtn) {
+      if (currentPhotoIndex === 0) {
+        prevBtn.classList.add('opacity-50', 'cursor-not-allowed');
+      } else {
+        prevBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+      }
+    }
+
+    if (nextBtn) {
+      if (currentPhotoIndex === photoUrls.length - 1) {
+        nextBtn.classList.add('opacity-50', 'cursor-not-allowed');
+      } else {
+        nextBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+      }
+    }
+  }
+
+  renderPhoto();
+  document.body.appendChild(photoModal);
+
+  // Keyboard navigation
+  const keyHandler = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      e.preventDefault();
+      photoModal.querySelector('#closePhotoModal')?.click();
+    } else if (e.key === 'ArrowLeft' && currentPhotoIndex > 0) {
+      e.preventDefault();
+      currentPhotoIndex--;
+      updatePhoto();
+    } else if (e.key === 'ArrowRight' && currentPhotoIndex < photoUrls.length - 1) {
+      e.preventDefault();
+      currentPhotoIndex++;
+      updatePhoto();
+    }
+  };
+  document.addEventListener('keydown', keyHandler);
+
+  // Close on click outside
+  photoModal.addEventListener('click', function (e) {
+    if (e.target === photoModal || e.target.id === 'photoImage') {
+      photoModal.querySelector('#closePhotoModal')?.click();
+    }
+  });
+};
+
+// Toggle Note Expand/Collapse with Enhanced UX
+window.toggleNote = function (noteId) {
+  const shortNote = document.getElementById(`${noteId}-short`);
+  const fullNote = document.getElementById(`${noteId}-full`);
+  const button = document.getElementById(`${noteId}-btn`);
+  const icon = document.getElementById(`${noteId}-icon`);
+
+  if (!shortNote || !fullNote || !button || !icon) return;
+
+  if (fullNote.classList.contains('hidden')) {
+    // Expand - Show full version
+    shortNote.classList.add('hidden');
+    fullNote.classList.remove('hidden');
+    button.textContent = 'Sembunyikan';
+    icon.classList.remove('fa-chevron-down');
+    icon.classList.add('fa-chevron-up');
+
+    // Add smooth reveal animation
+    fullNote.style.animation = 'fadeIn 0.3s ease-in-out';
+  } else {
+    // Collapse - Show short version
+    fullNote.classList.add('hidden');
+    shortNote.classList.remove('hidden');
+    button.textContent = 'Selengkapnya';
+    icon.classList.remove('fa-chevron-up');
+    icon.classList.add('fa-chevron-down');
+
+    // Add smooth reveal animation
+    shortNote.style.animation = 'fadeIn 0.3s ease-in-out';
+  }
+};
+
+// Toggle Notes Expand/Collapse (Option 2 - Expandable Rows)
+window.toggleNotesExpand = function (noteId) {
+  const preview = document.getElementById(`${noteId}-preview`);
+  const fullContent = document.getElementById(`${noteId}-full`);
+  const button = document.getElementById(`${noteId}-btn`);
+  const icon = document.getElementById(`${noteId}-icon`);
+
+  if (!preview || !fullContent || !button || !icon) return;
+
+  const isMobile = window.innerWidth < 640;
+  const expandText = isMobile ? 'Lihat' : 'Lihat Selengkapnya';
+  const collapseText = 'Tutup';
+
+  if (fullContent.classList.contains('hidden')) {
+    // Expand - Show full content (chevron points down)
+    preview.classList.add('hidden');
+    fullContent.classList.remove('hidden');
+    button.textContent = collapseText;
+    icon.classList.remove('fa-chevron-right');
+    icon.classList.add('fa-chevron-down');
+    icon.style.transform = 'rotate(0deg)';
+
+    // Smooth animation
+    fullContent.style.animation = 'fadeIn 0.2s ease-in-out';
+  } else {
+    // Collapse - Show preview (chevron points right)
+    fullContent.classList.add('hidden');
+    preview.classList.remove('hidden');
+    button.textContent = expandText;
+    icon.classList.remove('fa-chevron-down');
+    icon.classList.add('fa-chevron-right');
+    icon.style.transform = 'rotate(0deg)';
+
+    // Smooth animation
+    preview.style.animation = 'fadeIn 0.2s ease-in-out';
+  }
+};
+
+// Toggle expand/collapse for delay and productivity details in Issues table
+window.toggleIssueDetails = function (detailId) {
+  const content = document.getElementById(`${detailId}-content`);
+  const icon = document.getElementById(`${detailId}-icon`);
+
+  if (!content || !icon) return;
+
+  if (content.classList.contains('hidden')) {
+    // Expand
+    content.classList.remove('hidden');
+    icon.style.transform = 'rotate(180deg)';
+
+    // Smooth animation
+    content.style.animation = 'slideDown 0.2s ease-out';
+  } else {
+    // Collapse
+    content.classList.add('hidden');
+    icon.style.transform = 'rotate(0deg)';
+  }
+};
+
+// Edit Issue
+window.editIssue = async function (index) {
+  const issue = AppState.issuesData[index];
+  if (!issue) return;
+
+  // Store the index being edited
+  window.currentEditIssueIndex = index;
+
+  // Get modal elements
+  const modal = document.getElementById('issueModal');
+  const modalTitle = modal.querySelector('h2');
+  const modalSubtitle = modal.querySelector('p');
+  const saveBtn = document.getElementById('saveIssueBtn');
+  const saveBtnText = saveBtn.querySelector('span');
+
+  // Change modal title to "Edit Catatan Problem"
+  if (modalTitle) modalTitle.textContent = 'Edit Catatan Problem';
+  if (modalSubtitle) modalSubtitle.textContent = 'Perbarui catatan masalah Delay & Productivity';
+  if (saveBtnText) saveBtnText.textContent = 'Update Catatan';
+
+  // Populate form fields
+  const excavatorSelect = document.getElementById('issueExcavatorSelect');
+  const additionalNotes = document.getElementById('issueAdditionalNotes');
+  const followUpNotes = document.getElementById('followUpNotes');
+
+  // First, populate excavator dropdown
+  // Populate Excavator Options
+  excavatorSelect.innerHTML = '<option value="">-- Pilih Excavator --</option>';
+  const excavators = new Set();
+  AppState.productivityData.forEach(item => excavators.add(item.noExcavator));
+  AppState.matchFactorData.forEach(item => excavators.add(item.noExcavator));
+  const sortedExcavators = Array.from(excavators).sort();
+  sortedExcavators.forEach(ex => {
+    const option = document.createElement('option');
+    option.value = ex;
+    option.textContent = ex;
+    excavatorSelect.appendChild(option);
+  });
+
+  // Set excavator
+  excavatorSelect.value = issue.excavator;
+
+  // Populate and set date selector
+  populateDateOptions(issue.excavator);
+
+  // Select the record slot the issue is linked to (unlinked issues: the slot at the issue time)
+  const dateSelect = document.getElementById('issueDateSelect');
+  if (dateSelect && (isIssueLinked(issue) || issue.timestamp)) {
+    const issueDatetime = issue.timestamp ? new Date(issue.timestamp).toISOString() : null;
+    const slotOption = Array.from(dateSelect.options).find(option => option.value && (isIssueLinked(issue)
+      ? option.value.split(',').some(id => isIssueLinkedTo(issue, id))
+      : option.dataset.datetime === issueDatetime));
+    if (slotOption) dateSelect.value = slotOption.value;
+  }
+
+  // Load delay problems (with backward compatibility)
+  const delaysToLoad = issue.delays || (issue.delay ? [issue.delay] : []);
+  if (delaysToLoad.length > 0) {
+    delayItems = delaysToLoad.map(delay => ({
+      id: Date.now() + Math.random(),
+      mainCode: delay.mainCode || '',
+      subCode: delay.subCode || '',
+      customText: delay.customText || '',
+      startTime: delay.startTime || '',
+      endTime: delay.endTime || '',
+      minutes: delay.minutes || '',
+      saved: { mainCode: delay.mainCode, mainLabel: delay.mainLabel, subCode: delay.subCode, subLabel: delay.subLabel }
+    }));
+    renderDelayItems();
+  } else {
+    delayItems = [createDelayItem(0)];
+    renderDelayItems();
+  }
+
+  // Load productivity problems (with backward compatibility)
+  const productivitiesToLoad = issue.productivities || (issue.productivity ? [issue.productivity] : []);
+  if (productivitiesToLoad.length > 0) {
+    productivityItems = productivitiesToLoad.map(productivity => ({
+      id: Date.now() + Math.random(),
+      mainCode: productivity.mainCode || '',
+      subOption: productivity.subOption || '',
+      customText: productivity.customText || '',
+      saved: { mainCode: productivity.mainCode, mainLabel: productivity.mainLabel }
+    }));
+    renderProductivityItems();
+  } else {
+    productivityItems = [createProductivityItem(0)];
+    renderProductivityItems();
+  }
+
+  // Set notes
+  if (issue.notes) additionalNotes.value = issue.notes;
+  if (issue.followUpNotes) followUpNotes.value = issue.followUpNotes;
+
+  // Set status, PIC and due date
+  populateIssuePicOptions();
+  document.getElementById('issueStatus').value = getIssueStatus(issue);
+  document.getElementById('issuePic').value = issue.pic || '';
+  document.getElementById('issueDueDate').value = issue.dueDate || '';
+
+  // Load existing photos from Dokumentasi Masalah (Section 3)
+  if (issue.imageIds && issue.imageIds.length > 0) {
+    try {
+      const images = await imageStorage.getImages(issue.imageIds);
+
+      // Convert to photo blobs format for preview
+      const photoBlobs = images.map(img => ({
+        blob: img.blob,
+        preview: URL.createObjectURL(img.blob),
+        name: `Doctn ${images.indexOf(img) + 1}.jpg`
+      }));
+
+      // Set current photo blobs (this should be in the modal setup scope)
+      // We'll need to expose this or create a setter function
+      if (window.setCurrentPhotoBlobs) {
+        window.setCurrentPhotoBlobs(photoBlobs);
+      }
+    } catch (error) {
+      console.error('Failed to load existing photos:', error);
+    }
+  }
+
+  // Load existing photos from Follow Up Perbaikan (Section 4)
+  if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
+    try {
+      const images = await imageStorage.getImages(issue.followUpImageIds);
+
+      // Convert to photo blobs format for preview
+      const photoBlobs = images.map(img => ({
+        blob: img.blob,
+        preview: URL.createObjectURL(img.blob),
+        name: `Follow-up ${images.indexOf(img) + 1}.jpg`
+      }));
+
+      // Set follow-up photo blobs
+      if (window.setFollowUpPhotoBlobs) {
+        window.setFollowUpPhotoBlobs(photoBlobs);
+      }
+    } catch (error) {
+      console.error('Failed to load existing follow-up photos:', error);
+    }
+  }
+
+  // Open modal
+  modal.classList.remove('hidden');
+  setTimeout(() => {
+    modal.querySelector('.modal-content').classList.remove('scale-95', 'opacity-0');
+    modal.querySelector('.modal-content').classList.add('scale-100', 'opacity-100');
+  }, 10);
+};
+
+// Delete Issue
+window.deleteIssue = function (index) {
+  const issue = AppState.issuesData[index];
+  if (!issue) return;
+
+  const timestamp = new Date(issue.timestamp).toLocaleString('id-ID');
+  const excavator = issue.excavator;
+
+  const delays = getIssueDelays(issue);
+  const productivities = getIssueProductivities(issue);
+
+  let problemSummary = '';
+  if (delays.length > 0) {
+    delays.forEach((delay, i) => {
+      problemSummary += `• Delay ${i + 1}: ${delay.mainCode} - ${delay.mainLabel}${getDelayMinutes(delay) > 0 ? ` (${formatDelayDuration(delay)})` : ''}\n`;
+    });
+  }
+  if (productivities.length > 0) {
+    productivities.forEach((prod, i) => {
+      problemSummary += `• Productivity ${i + 1}: Kat. ${prod.mainCode} - ${prod.mainLabel}\n`;
+    });
+  }
+
+  const dataPreview = `
+    <div class="text-left space-y-2 text-sm">
+      <p><strong>Excavator:</strong> ${excavator}</p>
+      <p><strong>Waktu:</strong> ${timestamp}</p>
+      <div><strong>Problem:</strong><br/><pre class="text-xs mt-1 whitespace-pre-wrap">${problemSummary}</pre></div>
+    </div>
+  `;
+
+  showConfirm(
+    'Hapus Issue?',
+    'Data issue ini akan dihapus secara permanen dan tidak dapat dikembalikan.',
+    'warning',
+    'red',
+    async function () {
+      // Delete photos from IndexedDB if they exist
+      if (issue.imageIds && issue.imageIds.length > 0) {
+        try {
+          await imageStorage.deleteImages(issue.imageIds);
+          console.log(`✅ Deleted ${issue.imageIds.length} photos from IndexedDB for issue ${issue.id}`);
+        } catch (error) {
+          console.warn('Failed to delete some photos from IndexedDB:', error);
+        }
+      }
+
+      // Delete follow-up photos from IndexedDB if they exist
+      if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
+        try {
+          await imageStorage.deleteImages(issue.followUpImageIds);
+          console.log(`✅ Deleted ${issue.followUpImageIds.length} follow-up photos from IndexedDB for issue ${issue.id}`);
+        } catch (error) {
+          console.warn('Failed to delete some follow-up photos from IndexedDB:', error);
+        }
+      }
+
+      recordStorage.markDeleted('issuesData', AppState.issuesData.splice(index, 1));
+      saveAppData();
+      renderIssuesTable();
+      renderDelayPareto();
+      renderIndividualCharts();
+      showToast('Issue berhasil dihapus', 'success');
+    },
+    null,
+    dataPreview
+  );
+};
+
+// ==========================================
+// View Issues Modal (Read-Only) - Triggered from Chart Click
+// ==========================================
+
+// View Issues for specific excavator and datetime (and the record clicked, when known)
+window.viewIssuesForExcavatorAndDate = function (excavator, dateStr, recordId = null) {
+  // Linked issues by record; unlinked issues by excavator and exact datetime
+  const targetDatetime = new Date(dateStr).toISOString();
+  const issues = AppState.issuesData.filter(issue => {
+    if (recordId !== null && isIssueLinked(issue)) return isIssueLinkedTo(issue, recordId);
+    const issueDatetime = new Date(issue.timestamp).toISOString();
+    return issue.excavator === excavator && issueDatetime === targetDatetime;
+  });
+
+  if (issues.length === 0) {
+    const displayTime = new Date(dateStr).toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    showAlert(`Tidak ada catatan problem untuk ${excavator} pada ${displayTime}`, 'info');
+    return;
+  }
+
+  // Show modal
+  const modal = document.getElementById('viewIssuesModal');
+  const title = document.getElementById('viewIssuesTitle');
+  const subtitle = document.getElementById('viewIssuesSubtitle');
+  const content = document.getElementById('viewIssuesContent');
+
+  title.textContent = `Catatan Problem - ${excavator}`;
+  subtitle.textContent = `Waktu: ${new Date(dateStr).toLocaleString('id-ID', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })} | ${issues.length} Catatan`;
+
+  // Build issues content
+  let contentHTML = '<div class="space-y-4">';
+
+  issues.forEach((issue, idx) => {
+    const timestamp = new Date(issue.timestamp).toLocaleString('id-ID', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    // Build delay text (supports multiple)
+    const delayHTML = `<div class="text-sm">${formatDelaysHTML(issue, '<div class="mt-3 pt-3 border-t border-red-200"></div>')}</div>`;
+
+    // Build productivity text (supports multiple)
+    const prodHTML = `<div class="text-sm">${formatProductivitiesHTML(issue, '<div class="mt-3 pt-3 border-t border-green-200"></div>')}</div>`;
+
+    // Photo count (both Dokumentasi Masalah and Follow Up)
+    const documentationPhotoCount = (issue.imageIds && issue.imageIds.length) || 0;
+    const followUpPhotoCount = (issue.followUpImageIds && issue.followUpImageIds.length) || 0;
+    const photoCount = documentationPhotoCount + followUpPhotoCount;
+
+    contentHTML += `
+      <div class="border border-gray-200 rounded-lg p-4 bg-white hover:shadow-md transition-shadow">
+        <div class="flex items-center justify-between mb-3">
+          <div class="flex items-center gap-2">
+            <div class="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
+              <span class="text-purple-600 font-bold text-sm">${idx + 1}</span>
+            </div>
+            <button 
+              onclick="document.getElementById('viewIssuesModal').classList.add('hidden'); editIssue(${AppState.issuesData.indexOf(issue)})" 
+              class="group text-gray-500 hover:text-purple-600 text-sm transition-colors cursor-pointer inline-flex items-center gap-1 hover:bg-purple-50 px-2 py-1 rounded"
+              title="Klik untuk edit catatan ini">
+              <i class="far fa-clock"></i>
+              <span>${timestamp}</span>
+              <i class="fas fa-edit text-xs opacity-0 group-hover:opacity-100 transition-opacity"></i>
+            </button>
+            ${renderIssueStatusBadge(issue)}
+          </div>
+          ${photoCount > 0 ? `
+            <button onclick="viewIssuePhotos(${AppState.issuesData.indexOf(issue)})" 
+              class="px-3 py-1 bg-purple-100 hover:bg-purple-200 text-purple-700 rounded-lg text-xs font-semibold transition-colors inline-flex items-center gap-1.5">
+              <i class="fas fa-images"></i>
+              <span>Foto (${photoCount})</span>
+            </button>
+          ` : ''}
+        </div>
+
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+          <div>
+            <div class="text-xs font-semibold text-gray-500 mb-1">Delay Problem</div>
+            ${delayHTML}
+          </div>
+          <div>
+            <div class="text-xs font-semibold text-gray-500 mb-1">Productivity Problem</div>
+            ${prodHTML}
+          </div>
+        </div>
+
+        ${issue.notes || issue.followUpNotes ? `
+          <div class="border-t border-gray-100 pt-3 mt-3 space-y-3">
+            ${issue.notes ? `
+              <div class="bg-purple-50 p-3 rounded-lg border border-purple-200">
+                <div class="text-xs font-semibold text-purple-600 mb-1.5 flex items-center gap-1.5">
+                  <i class="fas fa-file-alt"></i>
+                  <span>Dokumentasi Masalah</span>
+                </div>
+                <div class="text-sm text-purple-700 leading-relaxed">${issue.notes}</div>
+              </div>
+            ` : ''}
+            ${issue.followUpNotes ? `
+              <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
+                <div class="text-xs font-semibold text-blue-600 mb-1.5 flex items-center gap-1.5">
+                  <i class="fas fa-tools"></i>
+                  <span>Follow Up Perbaikan</span>
+                </div>
+                <div class="text-sm text-blue-700 leading-relaxed">${issue.followUpNotes}</div>
+              </div>
+            ` : ''}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  });
+
+  contentHTML += '</div>';
+  content.innerHTML = contentHTML;
+
+  // Show modal
+  modal.classList.remove('hidden');
+
+  // Setup close handlers
+  const closeBtn = document.getElementById('closeViewIssuesBtn');
+  const closeFooterBtn = document.getElementById('closeViewIssuesFooterBtn');
+
+  const closeModal = () => {
+    modal.classList.add('hidden');
+  };
+
+  closeBtn.onclick = closeModal;
+  closeFooterBtn.onclick = closeModal;
+
+  // ESC key to close
+  const handleEsc = (e) => {
+    if (e.key === 'Escape') {
+      closeModal();
+      document.removeEventListener('keydown', handleEsc);
+    }
+  };
+  document.addEventListener('keydown', handleEsc);
+};
+
+// ==========================================
+// Chart Rendering - Individual Charts Per Excavator
+// ==========================================
+
+// Store individual charts by excavator
+AppState.excavatorCharts = {};
+
+// Flag to prevent duplicate renders
+let isRendering = false;
+
+function renderIndividualCharts() {
+  // Prevent duplicate renders
+  if (isRendering) {
+    console.log('Already rendering, skipping duplicate call');
+    return;
+  }
+
+  isRendering = true;
+
+  const container = document.getElementById('individualChartsContainer');
+  if (!container) {
+    isRendering = false;
+    return;
+  }
+
+  renderAvailabilitySummary();
+  renderOperatorLeaderboard();
+  renderCompletenessMatrix();
+
+  // Group data by excavator
+  const excavators = getUniqueExcavators();
+
+  // Clear existing charts
+  Object.values(AppState.excavatorCharts).forEach(charts => {
+    if (charts.productivity) {
+      charts.productivity.destroy();
+      charts.productivity = null;
+    }
+    if (charts.matchFactor) {
+      charts.matchFactor.destroy();
+      charts.matchFactor = null;
+    }
+  });
+  AppState.excavatorCharts = {};
+
+  // Clear container
+  container.innerHTML = '';
+
+  if (excavators.length === 0) {
+    container.innerHTML = `
+      <div class="text-center py-12">
+        <i class="fas fa-chart-line text-gray-300 text-6xl mb-4"></i>
+        <p class="text-gray-500 text-lg">Belum ada data untuk ditampilkan</p>
+        <p class="text-gray-400 text-sm mt-2">Silakan input data productivity dan match factor</p>
+      </div>
+    `;
+    return;
+  }
+
+  // Create card for each excavator
+  excavators.forEach((excavatorId, index) => {
+    const card = createExcavatorCard(excavatorId, index);
+    container.appendChild(card);
+  });
+
+  // Create all charts after DOM insertion
+  setTimeout(() => {
+    excavators.forEach((excavatorId, index) => {
+      createExcavatorCharts(excavatorId, index);
+    });
+    // Reset rendering flag after all charts created
+    isRendering = false;
+  }, 100);
+}
+
+function getUniqueExcavators() {
+  const excavators = new Set();
+
+  AppState.productivityData.forEach(d => excavators.add(d.noExcavator));
+  AppState.matchFactorData.forEach(d => excavators.add(d.noExcavator));
+
+  const result = Array.from(excavators).sort();
+
+  // Debug logging
+  console.log('🔍 Unique Excavators Analysis:');
+  console.log('  Productivity excavators:', AppState.productivityData.map(d => d.noExcavator));
+  console.log('  Match Factor excavators:', AppState.matchFactorData.map(d => d.noExcavator));
+  console.log('  Combined unique:', result);
+
+  return result;
+}
+
+function createExcavatorCard(excavatorId, index) {
+  const card = document.createElement('div');
+  card.className = 'excavator-card';
+  card.dataset.excavator = excavatorId;
+
+  // Color scheme rotation - Minimalist elegant design
+  const colors = [
+    { gradient: 'from-blue-500 to-blue-600', icon: 'text-blue-600', bg: 'bg-blue-50', border: 'blue-200' },
+    { gradient: 'from-purple-500 to-purple-600', icon: 'text-purple-600', bg: 'bg-purple-50', border: 'purple-200' },
+    { gradient: 'from-green-500 to-green-600', icon: 'text-green-600', bg: 'bg-green-50', border: 'green-200' },
+    { gradient: 'from-orange-500 to-orange-600', icon: 'text-orange-600', bg: 'bg-orange-50', border: 'orange-200' },
+    { gradient: 'from-pink-500 to-pink-600', icon: 'text-pink-600', bg: 'bg-pink-50', border: 'pink-200' },
+    { gradient: 'from-teal-500 to-teal-600', icon: 'text-teal-600', bg: 'bg-teal-50', border: 'teal-200' }
+  ];
+  const color = colors[index % colors.length];
+
+  // Get data counts
+  const prodCount = AppState.productivityData.filter(d => d.noExcavator === excavatorId).length;
+  const mfCount = AppState.matchFactorData.filter(d => d.noExcavator === excavatorId).length;
+  const totalRecords = prodCount + mfCount;
+
+  // Achievement against the registered hourly target
+  const achievement = summarizeAchievement(AppState.productivityData.filter(d => d.noExcavator === excavatorId));
+  const achievementChip = achievement
+    ? `<span class="text-xs ${achievement.state.chip} px-1.5 sm:px-2 py-0.5 rounded-full whitespace-nowrap font-semibold" title="${achievement.state.label} - rata-rata target ${achievement.target.toFixed(0)} BCM/Jam (${achievement.count} record)">
+        <i class="fas fa-bullseye mr-1"></i>Target ${achievement.target.toFixed(0)} · ${achievement.percent.toFixed(0)}%
+      </span>`
+    : '';
+
+  // Debug logging (can be removed after testing)
+  console.log(`[Card ${excavatorId}] Prod: ${prodCount}, MF: ${mfCount}, Total: ${totalRecords}`);
+
+  // Debug: Show what MF excavator IDs exist
+  const mfExcavatorIds = AppState.matchFactorData.map(d => d.noExcavator);
+  console.log(`  → Looking for: "${excavatorId}", MF has:`, mfExcavatorIds);
+
+  // Check if expanded (from localStorage)
+  const expandedCards = JSON.parse(localStorage.getItem('expandedCards') || '{}');
+  const isExpanded = expandedCards[excavatorId] !== false; // Default expanded
+
+  card.innerHTML = `
+    <div class="card-header bg-gradient-to-r ${color.gradient} text-white p-4 cursor-pointer" onclick="toggleExcavatorCard('${excavatorId}')">
+      <div class="flex items-center justify-between">
+        <div class="flex items-center gap-3">
+          <div class="${color.bg} rounded-lg p-2 hidden sm:flex items-center justify-center shadow-sm border border-${color.border}">
+            <i class="fas fa-layer-group ${color.icon} text-lg"></i>
+          </div>
+          <div class="flex-1 min-w-0">
+            <h3 class="text-base sm:text-lg font-bold truncate flex items-center gap-2">
+              <i class="fas fa-layer-group sm:hidden text-white/90 text-sm"></i>
+              <span>Excavator ${excavatorId}</span>
+            </h3>
+            <div class="flex flex-wrap gap-1 sm:gap-2 mt-1">
+              <span class="text-xs bg-white/20 px-1.5 sm:px-2 py-0.5 rounded-full whitespace-nowrap">
+                ${prodCount} Prod
+              </span>
+              <span class="text-xs bg-white/20 px-1.5 sm:px-2 py-0.5 rounded-full whitespace-nowrap">
+                ${mfCount} MF
+              </span>
+              ${achievementChip}
+            </div>
+          </div>
+        </div>
+        <div class="flex items-center gap-2 sm:gap-3 flex-shrink-0">
+          <button
+            onclick="event.stopPropagation(); openIssueModalForExcavator('${excavatorId}')"
+            class="px-2 sm:px-3 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-xs font-semibold transition-all duration-200 hover:scale-105 gap-1 whitespace-nowrap"
+            title="Tambah Catatan">
+            <i class="fas fa-plus text-xs"></i>
+            <span class="hidden sm:inline">Catatan</span>
           </button>
+          <span class="hidden md:inline-block text-xs sm:text-sm font-semibold bg-white/20 px-2 sm:px-3 py-1 rounded-full whitespace-nowrap">
+            ${totalRecords} Records
+          </span>
+          <span class="md:hidden text-xs font-semibold bg-white/20 px-2 py-1 rounded-full">
+            ${totalRecords}
+          </span>
+          <i class="fas fa-chevron-down transition-transform duration-300 ${isExpanded ? 'rotate-180' : ''}" id="chevron-${excavatorId}"></i>
         </div>
-      </td>
-    `;
+      </div>
+    </div>
+    
+    <div class="charts-grid ${isExpanded ? '' : 'collapsed'}" id="charts-${excavatorId}">
+      <div class="chart-wrapper">
+        <h4 class="chart-title">
+          <i class="fas fa-chart-bar text-blue-500"></i>
+          <span class="hidden sm:inline">Productivity Trend</span>
+          <span class="sm:hidden">Productivity</span>
+        </h4>
+        <div class="chart-canvas-wrapper">
+          <canvas id="productivity-${excavatorId}"></canvas>
+        </div>
+        <div class="chart-stats" id="prod-stats-${excavatorId}">
+          <span><i class="fas fa-arrows-up-down text-gray-400 mr-1"></i>Loading...</span>
+        </div>
+        <div id="time-usage-${excavatorId}"></div>
+        <div id="availability-${excavatorId}"></div>
+      </div>
+      
+      <div class="chart-wrapper">
+        <h4 class="chart-title">
+          <i class="fas fa-chart-line text-purple-500"></i>
+          <span class="hidden sm:inline">Match Factor Analysis</span>
+          <span class="sm:hidden">Match Factor</span>
+        </h4>
+        <div class="chart-canvas-wrapper">
+          <canvas id="matchfactor-${excavatorId}"></canvas>
+        </div>
+        <div class="chart-stats" id="mf-stats-${excavatorId}">
+          <span><i class="fas fa-arrows-up-down text-gray-400 mr-1"></i>Loading...</span>
+        </div>
+      </div>
+    </div>
+  `;
 
-    tbody.appendChild(row);
-  });
+  return card;
+}
+
+/**
+ * Stacked bar of working / breakdown / delay / unaccounted time under a productivity chart
+ * @param {HTMLElement} container
+ * @param {Object|null} usage - Result of summarizeTimeUsage
+ */
+function renderTimeUsageBar(container, usage) {
+  if (!container || !usage) return;
+
+  const segments = [
+    { label: 'Kerja', hours: usage.workingHours, percent: usage.workingPercent, color: 'bg-green-500' },
+    { label: 'Breakdown', hours: usage.breakdownHours, percent: usage.breakdownPercent, color: 'bg-red-500' },
+    { label: 'Delay', hours: usage.delayHours - usage.breakdownHours, percent: usage.delayPercent - usage.breakdownPercent, color: 'bg-orange-500' },
+    { label: 'Tak tercatat', hours: usage.unaccountedHours, percent: usage.unaccountedPercent, color: 'bg-gray-300' }
+  ].filter(segment => segment.label !== 'Breakdown' || segment.hours > 0);
+
+  container.innerHTML = `
+    <div class="mt-3" title="Rincian delay: ${formatDelayBreakdown(usage.byCode)}">
+      <div class="flex h-2.5 rounded-full overflow-hidden bg-gray-100">
+        ${segments.map(segment => `<div class="${segment.color}" style="width: ${Math.min(100, segment.percent).toFixed(1)}%"></div>`).join('')}
+      </div>
+      <div class="flex flex-wrap gap-x-3 gap-y-1 mt-1.5 text-[10px] sm:text-xs text-gray-500">
+        ${segments.map(segment => `
+          <span class="flex items-center gap-1">
+            <span class="w-2 h-2 rounded-full ${segment.color}"></span>${segment.label} ${segment.hours.toFixed(1)} jam (${segment.percent.toFixed(0)}%)
+          </span>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function toggleExcavatorCard(excavatorId) {
+  const chartsGrid = document.getElementById(`charts-${excavatorId}`);
+  const chevron = document.getElementById(`chevron-${excavatorId}`);
+
+  if (!chartsGrid || !chevron) return;
+
+  // Toggle collapsed state
+  const isCollapsed = chartsGrid.classList.toggle('collapsed');
+  chevron.classList.toggle('rotate-180');
+
+  // Save state to localStorage
+  const expandedCards = JSON.parse(localStorage.getItem('expandedCards') || '{}');
+  expandedCards[excavatorId] = !isCollapsed;
+  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
 }
 
-// View Issue Photos in Modal (Supports Multiple Photos from IndexedDB)
-window.viewIssuePhotos = async function (index) {
-  const issue = AppState.issuesData[index];
-  if (!issue) return;
+function createExcavatorCharts(excavatorId, index) {
+  // Charts follow the sidebar shift filter
+  const shiftFilter = document.getElementById('filterShift')?.value || '';
+
+  const productivityData = AppState.productivityData.filter(
+    d => d.noExcavator === excavatorId && (!shiftFilter || d.shift === shiftFilter)
+  );
+
+  const matchFactorData = AppState.matchFactorData.filter(
+    d => d.noExcavator === excavatorId && (!shiftFilter || d.shift === shiftFilter)
+  );
+
+  // Responsive font sizes
+  const isMobile = window.innerWidth < 768;
+  const fontSize = {
+    title: isMobile ? 10 : 12,
+    axis: isMobile ? 8 : 10,
+    tooltip: isMobile ? 10 : 12
+  };
+
+  // Color schemes
+  const chartColors = [
+    { prod: 'rgb(59, 130, 246)', prodBg: 'rgba(59, 130, 246, 0.1)', mf: 'rgb(147, 51, 234)', mfBg: 'rgba(147, 51, 234, 0.7)' },
+    { prod: 'rgb(139, 92, 246)', prodBg: 'rgba(139, 92, 246, 0.1)', mf: 'rgb(236, 72, 153)', mfBg: 'rgba(236, 72, 153, 0.7)' },
+    { prod: 'rgb(16, 185, 129)', prodBg: 'rgba(16, 185, 129, 0.1)', mf: 'rgb(59, 130, 246)', mfBg: 'rgba(59, 130, 246, 0.7)' },
+    { prod: 'rgb(245, 158, 11)', prodBg: 'rgba(245, 158, 11, 0.1)', mf: 'rgb(16, 185, 129)', mfBg: 'rgba(16, 185, 129, 0.7)' },
+    { prod: 'rgb(236, 72, 153)', prodBg: 'rgba(236, 72, 153, 0.1)', mf: 'rgb(245, 158, 11)', mfBg: 'rgba(245, 158, 11, 0.7)' },
+    { prod: 'rgb(20, 184, 166)', prodBg: 'rgba(20, 184, 166, 0.1)', mf: 'rgb(139, 92, 246)', mfBg: 'rgba(139, 92, 246, 0.7)' }
+  ];
+  const colors = chartColors[index % chartColors.length];
+
+  // Initialize chart storage
+  if (!AppState.excavatorCharts[excavatorId]) {
+    AppState.excavatorCharts[excavatorId] = {};
+  }
+
+  // ===== PRODUCTIVITY CHART =====
+  if (productivityData.length > 0) {
+    const prodCanvas = document.getElementById(`productivity-${excavatorId}`);
+    if (!prodCanvas) {
+      console.warn(`Productivity canvas not found for ${excavatorId}`);
+      return;
+    }
+
+    // Destroy existing chart if any
+    if (AppState.excavatorCharts[excavatorId].productivity) {
+      AppState.excavatorCharts[excavatorId].productivity.destroy();
+      AppState.excavatorCharts[excavatorId].productivity = null;
+    }
+
+    const prodCtx = prodCanvas.getContext('2d');
+    const productivityAchievements = productivityData.map(d => getProductivityAchievement(d));
+    const getUsage = createTimeUsageLookup();
+    const productivityUsage = productivityData.map(getUsage);
+    const productivityTheoretical = productivityData.map(createTheoreticalLookup());
+    if (prodCtx) {
+      AppState.excavatorCharts[excavatorId].productivity = new Chart(prodCtx, {
+        type: 'bar',
+        data: {
+          labels: productivityData.map(d => [formatDateTime(d.waktu), d.shift || '-']),
+          datasets: [{
+            label: 'Productivity (BCM/Jam)',
+            data: productivityData.map(d => d.productivity),
+            backgroundColor: colors.prod,
+            borderColor: colors.prod,
+            borderWidth: 1,
+            borderRadius: 6,
+            borderSkipped: false
+          }, {
+            type: 'line',
+            label: 'Target',
+            data: productivityAchievements.map(a => a ? a.target : null),
+            borderColor: 'rgb(239, 68, 68)',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            fill: false,
+            spanGaps: true
+          }, {
+            type: 'line',
+            label: 'Teoritis',
+            data: productivityTheoretical.map(result => result ? Math.round(result.theoretical) : null),
+            borderColor: 'rgb(100, 116, 139)',
+            backgroundColor: 'rgb(100, 116, 139)',
+            borderWidth: 1.5,
+            pointRadius: 3,
+            pointStyle: 'rectRot',
+            fill: false,
+            spanGaps: true
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          onClick: (event, activeElements) => {
+            if (activeElements && activeElements.length > 0) {
+              const index = activeElements[0].index;
+              const clickedData = productivityData[index];
+              if (clickedData && clickedData.waktu) {
+                viewIssuesForExcavatorAndDate(excavatorId, clickedData.waktu, clickedData.id);
+              }
+            }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              enabled: true,
+              backgroundColor: 'rgba(0, 0, 0, 0.8)',
+              titleFont: { size: fontSize.tooltip },
+              bodyFont: { size: fontSize.tooltip },
+              padding: 12,
+              callbacks: {
+                title: function (context) {
+                  const record = productivityData[context[0].dataIndex];
+                  return [formatDateTime(record.waktu), `Shift ${formatShiftLabel(record)}`];
+                },
+                label: function (context) {
+                  const prefix = context.datasetIndex > 0 ? `${context.dataset.label}: ` : '';
+                  return ` ${prefix}${context.parsed.y.toLocaleString('id-ID')} BCM/Jam`;
+                },
+                afterLabel: function (context) {
+                  if (context.datasetIndex !== 0) return '';
+                  const achievement = productivityAchievements[context.dataIndex];
+                  const achievementText = achievement
+                    ? `🎯 Achievement: ${achievement.percent.toFixed(1)}% (${achievement.state.label})\n`
+                    : '';
+                  const usage = productivityUsage[context.dataIndex];
+                  const usageText = `⏱️ Kerja ${formatMinutes(usage.workingMinutes)} · Delay ${formatMinutes(usage.delayMinutes)} · Tak tercatat ${formatMinutes(usage.unaccountedMinutes)} mnt\n`;
+                  const theoretical = productivityTheoretical[context.dataIndex];
+                  const theoreticalText = theoretical ? `${formatTheoreticalGapLines(theoretical).join('\n')}\n` : '';
+                  return `${achievementText}${usageText}${theoreticalText}💡 Klik untuk lihat catatan`;
+                }
+              }
+            }
+          },
+          scales: {
+            x: {
+              display: true,
+              ticks: {
+                font: { size: fontSize.axis },
+                maxRotation: 45,
+                minRotation: 45
+              },
+              grid: { display: false }
+            },
+            y: {
+              beginAtZero: true,
+              suggestedMax: 2000,
+              ticks: {
+                font: { size: fontSize.axis },
+                callback: function (value) {
+                  return value.toLocaleString('id-ID');
+                }
+              },
+              grid: { color: 'rgba(0, 0, 0, 0.05)' }
+            }
+          },
+          animation: { duration: isMobile ? 500 : 750 }
+        }
+      });
+
+      // Calculate stats
+      const values = productivityData.map(d => d.productivity);
+      const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(0);
+      const max = Math.max(...values).toFixed(0);
+      const min = Math.min(...values).toFixed(0);
 
-  // Get photos from both sections - support both new imageIds and legacy base64 photo
-  let photoUrls = [];
-  let photoSections = []; // Track which section each photo belongs to
+      const achievement = summarizeAchievement(productivityData);
+      const theoreticalGap = summarizeTheoreticalGap(productivityTheoretical);
+      const achievementColor = achievement
+        ? { Achieved: 'text-green-500', Near: 'text-yellow-500', Below: 'text-red-500' }[achievement.state.label]
+        : '';
 
-  // Section 1: Dokumentasi Masalah (Purple)
-  if (issue.imageIds && issue.imageIds.length > 0) {
-    // New: Load from IndexedDB
-    try {
-      const images = await imageStorage.getImages(issue.imageIds);
-      const urls = images.map(img => URL.createObjectURL(img.blob));
-      photoUrls.push(...urls);
-      photoSections.push(...urls.map(() => ({ type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' })));
-    } catch (error) {
-      console.error('Failed to load images from IndexedDB:', error);
-      showAlert('Gagal memuat foto dokumentasi dari penyimpanan', 'error');
-    }
-  } else if (issue.photo) {
-    // Legacy: base64 photo
-    photoUrls.push(issue.photo);
-    photoSections.push({ type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' });
-  }
+      document.getElementById(`prod-stats-${excavatorId}`).innerHTML = `
+        <span><i class="fas fa-chart-simple text-gray-400 mr-1"></i>Avg: ${parseInt(avg).toLocaleString('id-ID')}</span>
+        <span><i class="fas fa-arrow-up text-green-500 mr-1"></i>Max: ${parseInt(max).toLocaleString('id-ID')}</span>
+        <span><i class="fas fa-arrow-down text-red-500 mr-1"></i>Min: ${parseInt(min).toLocaleString('id-ID')}</span>
+        ${achievement ? `<span><i class="fas fa-bullseye ${achievementColor} mr-1"></i>${achievement.percent.toFixed(0)}% ${achievement.state.label}</span>` : ''}
+        ${theoreticalGap ? `<span title="Rata-rata teoritis ${Math.round(theoreticalGap.theoretical).toLocaleString('id-ID')} BCM/Jam dari ${theoreticalGap.count} jam · Hauling -${Math.round(theoreticalGap.haulingLoss)} · Fill -${Math.round(theoreticalGap.fillLoss)} · Operator/front -${Math.max(0, Math.round(theoreticalGap.otherLoss))}"><i class="fas fa-gears text-slate-500 mr-1"></i>Gap ${theoreticalGap.gapPercent.toFixed(0)}%</span>` : ''}
+      `;
 
-  // Section 2: Follow Up Perbaikan (Blue)
-  if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-    try {
-      const images = await imageStorage.getImages(issue.followUpImageIds);
-      const urls = images.map(img => URL.createObjectURL(img.blob));
-      photoUrls.push(...urls);
-      photoSections.push(...urls.map(() => ({ type: 'followup', label: 'Follow Up Perbaikan', color: 'blue' })));
-    } catch (error) {
-      console.error('Failed to load follow-up images from IndexedDB:', error);
-      showAlert('Gagal memuat foto follow-up dari penyimpanan', 'error');
+      renderTimeUsageBar(document.getElementById(`time-usage-${excavatorId}`), summarizeTimeUsage(productivityData, getUsage));
+      renderAvailabilityTiles(document.getElementById(`availability-${excavatorId}`), summarizeAvailability(productivityData, getUsage));
     }
-  }
-
-  if (photoUrls.length === 0) {
-    showAlert('Tidak ada foto untuk issue ini', 'info');
-    return;
-  }
-
-  // Create photo viewer modal - using same style as Tambah Catatan Problem lightbox
-  const photoModal = document.createElement('div');
-  photoModal.className = 'fixed inset-0 z-[60] bg-black/95 backdrop-blur-sm flex items-center justify-center p-0';
-
-  let currentPhotoIndex = 0;
-
-  function renderPhoto() {
-    const totalPhotos = photoUrls.length;
-    const currentSection = photoSections[currentPhotoIndex] || { type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' };
-
-    // Section badge colors
-    const badgeColor = currentSection.color === 'blue'
-      ? 'bg-blue-500/90 text-white'
-      : 'bg-purple-500/90 text-white';
-
-    // Section icon
-    const badgeIcon = currentSection.color === 'blue' ? 'tools' : 'file-alt';
-
-    photoModal.innerHTML = `
-      <div class="relative w-full h-full flex flex-col">
-        <!-- Header with Close Button and Issue Info -->
-        <div class="absolute top-0 left-0 right-0 z-20 flex items-center justify-between p-4 sm:p-6 bg-gradient-to-b from-black/60 to-transparent">
-          <div class="text-white">
-            <p class="text-sm sm:text-base font-semibold flex items-center gap-2">
-              <i class="fas fa-hard-hat text-yellow-400"></i>
-              ${issue.excavator}
-            </p>
-            <p class="text-xs sm:text-sm text-gray-300 mt-1">
-              <i class="far fa-clock mr-1"></i>
-              ${new Date(issue.timestamp).toLocaleString('id-ID')}
-              ${totalPhotos > 1 ? ` • <span id="photoCounter">${currentPhotoIndex + 1}</span> / ${totalPhotos}` : ''}
-            </p>
-            <!-- Section Badge -->
-            <div class="mt-2">
-              <span class="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold ${badgeColor}">
-                <i class="fas fa-${badgeIcon} text-[10px]"></i>
-                ${currentSection.label}
-              </span>
-            </div>
-          </div>
-          <button
-            id="closePhotoModal"
-            class="w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all hover:rotate-90 flex-shrink-0 ml-4"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-times text-white text-lg sm:text-xl"></i>
-          </button>
-        </div>
-
-        <!-- Main Image Container -->
-        <div class="flex-1 flex items-center justify-center px-4 sm:px-16 py-20 sm:py-24">
-          ${totalPhotos > 1 ? `
-          <!-- Previous Button -->
-          <button
-            id="prevPhotoBtn"
-            class="absolute left-2 sm:left-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentPhotoIndex === 0 ? 'opacity-50 cursor-not-allowed' : ''}"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-chevron-left text-white text-lg sm:text-xl"></i>
-          </button>
-          ` : ''}
-
-          <!-- Image -->
-          <div class="max-w-full max-h-full flex items-center justify-center">
-            <img 
-              id="photoImage" 
-              src="${photoUrls[currentPhotoIndex]}" 
-              alt="Issue Photo ${currentPhotoIndex + 1}" 
-              class="max-w-full max-h-[70vh] sm:max-h-[80vh] w-auto h-auto object-contain rounded-lg shadow-2xl" />
-          </div>
-
-          ${totalPhotos > 1 ? `
-          <!-- Next Button -->
-          <button
-            id="nextPhotoBtn"
-            class="absolute right-2 sm:right-4 top-1/2 -translate-y-1/2 w-10 h-10 sm:w-12 sm:h-12 min-w-[2.5rem] min-h-[2.5rem] sm:min-w-[3rem] sm:min-h-[3rem] rounded-full bg-white/10 hover:bg-white/20 flex items-center justify-center transition-all z-10 flex-shrink-0 ${currentPhotoIndex === totalPhotos - 1 ? 'opacity-50 cursor-not-allowed' : ''}"
-            style="aspect-ratio: 1/1;">
-            <i class="fas fa-chevron-right text-white text-lg sm:text-xl"></i>
-          </button>
-          ` : ''}
-        </div>
-
-        <!-- Footer hint -->
-        <div class="absolute bottom-0 left-0 right-0 z-20 p-4 bg-gradient-to-t from-black/60 to-transparent">
-          <p class="text-center text-xs sm:text-sm text-gray-300">
-            <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">ESC</kbd> untuk keluar
-            ${totalPhotos > 1 ? ` • <kbd class="px-2 py-1 bg-white/10 rounded text-white font-mono text-xs">← →</kbd> navigasi` : ''}
-          </p>
+  } else {
+    document.getElementById(`productivity-${excavatorId}`).parentElement.innerHTML = `
+      <div class="flex items-center justify-center h-48 text-gray-400">
+        <div class="text-center">
+          <i class="fas fa-chart-bar text-4xl mb-2"></i>
+          <p class="text-sm">No productivity data</p>
         </div>
       </div>
     `;
+  }
 
-    // Add event listeners
-    const closeBtn = photoModal.querySelector('#closePhotoModal');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', () => {
-        photoModal.remove();
-        // Clean up object URLs
-        photoUrls.forEach(url => {
-          if (url.startsWith('blob:')) URL.revokeObjectURL(url);
-        });
-        document.removeEventListener('keydown', keyHandler);
-      });
+  // ===== MATCH FACTOR CHART =====
+  if (matchFactorData.length > 0) {
+    const mfCanvas = document.getElementById(`matchfactor-${excavatorId}`);
+    if (!mfCanvas) {
+      console.warn(`Match Factor canvas not found for ${excavatorId}`);
+      return;
     }
 
-    if (totalPhotos > 1) {
-      const prevBtn = photoModal.querySelector('#prevPhotoBtn');
-      const nextBtn = photoModal.querySelector('#nextPhotoBtn');
-
-      if (prevBtn) {
-        prevBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          if (currentPhotoIndex > 0) {
-            currentPhotoIndex--;
-            updatePhoto();
-          }
-        });
-      }
-
-      if (nextBtn) {
-        nextBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          if (currentPhotoIndex < totalPhotos - 1) {
-            currentPhotoIndex++;
-            updatePhoto();
-          }
-        });
-      }
+    // Destroy existing chart if any
+    if (AppState.excavatorCharts[excavatorId].matchFactor) {
+      AppState.excavatorCharts[excavatorId].matchFactor.destroy();
+      AppState.excavatorCharts[excavatorId].matchFactor = null;
     }
-  }
 
-  // Update photo display
-  function updatePhoto() {
-    const img = photoModal.querySelector('#photoImage');
-    const counter = photoModal.querySelector('#photoCounter');
-    const prevBtn = photoModal.querySelector('#prevPhotoBtn');
-    const nextBtn = photoModal.querySelector('#nextPhotoBtn');
+    const mfCtx = mfCanvas.getContext('2d');
+    if (mfCtx) {
+      AppState.excavatorCharts[excavatorId].matchFactor = new Chart(mfCtx, {
+        type: 'bar',
+        data: {
+          labels: matchFactorData.map(d => [formatDateTime(d.waktu), d.shift || '-']),
+          datasets: [{
+            label: 'Match Factor',
+            data: matchFactorData.map(d => d.matchFactor),
+            backgroundColor: colors.mfBg,
+            borderColor: colors.mf,
+            borderWidth: 2,
+            borderRadius: isMobile ? 4 : 6,
+            barThickness: isMobile ? 20 : 30
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          onClick: (event, activeElements) => {
+            if (activeElements && activeElements.length > 0) {
+              const index = activeElements[0].index;
+              const clickedData = matchFactorData[index];
+              if (clickedData && clickedData.waktu) {
+                viewIssuesForExcavatorAndDate(excavatorId, clickedData.waktu, clickedData.id);
+              }
+            }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              enabled: true,
+              backgroundColor: 'rgba(0, 0, 0, 0.8)',
+              titleFont: { size: fontSize.tooltip },
+              bodyFont: { size: fontSize.tooltip },
+              padding: 12,
+              callbacks: {
+                title: function (context) {
+                  const record = matchFactorData[context[0].dataIndex];
+                  return [formatDateTime(record.waktu), `Shift ${formatShiftLabel(record)}`];
+                },
+                label: function (context) {
+                  return ` ${context.parsed.y.toFixed(2)}`;
+                },
+                afterLabel: function (context) {
+                  return '💡 Klik untuk lihat catatan';
+                }
+              }
+            }
+          },
+          scales: {
+            x: {
+              display: true,
+              ticks: {
+                font: { size: fontSize.axis },
+                maxRotation: 45,
+                minRotation: 45
+              },
+              grid: { display: false }
+            },
+            y: {
+              beginAtZero: true,
+              suggestedMax: 2.0,
+              ticks: {
+                font: { size: fontSize.axis },
+                callback: function (value) {
+                  return value.toFixed(1);
+                }
+              },
+              grid: { color: 'rgba(0, 0, 0, 0.05)' }
+            }
+          },
+          animation: { duration: isMobile ? 500 : 750 }
+        }
+      });
+
+      // Calculate stats
+      const values = matchFactorData.map(d => d.matchFactor);
+      const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2);
+      const max = Math.max(...values).toFixed(2);
+      const min = Math.min(...values).toFixed(2);
 
-    // Get current section and update badge
-    const currentSection = photoSections[currentPhotoIndex] || { type: 'documentation', label: 'Dokumentasi Masalah', color: 'purple' };
-    const badge = photoModal.querySelector('span.inline-flex.items-center');
+      // Status color based on average
+      const avgNum = parseFloat(avg);
+      let statusColor = 'text-green-500';
+      let statusText = 'Optimal';
+      let statusIcon = 'fa-circle-check'; // Green check for optimal
 
-    // Update badge color and content
-    if (badge) {
-      // Remove old color classes
-      badge.classList.remove('bg-purple-500/90', 'bg-blue-500/90');
-      // Add new color
-      if (currentSection.color === 'blue') {
-        badge.classList.add('bg-blue-500/90');
-      } else {
-        badge.classList.add('bg-purple-500/90');
+      if (avgNum < 1) {
+        statusColor = 'text-yellow-500';
+        statusText = 'Under';
+        statusIcon = 'fa-triangle-exclamation'; // Yellow warning for under
+      } else if (avgNum > 1) {
+        statusColor = 'text-orange-500';
+        statusText = 'Over';
+        statusIcon = 'fa-circle-xmark'; // Orange X for over/excess
       }
 
-      // Update icon and text - use correct icon names without fa- prefix in template literal
-      const iconClass = currentSection.color === 'blue' ? 'tools' : 'file-alt';
-      badge.innerHTML = `<i class="fas fa-${iconClass} text-[10px]"></i> ${currentSection.label}`;
-    }
+      // Recommendation follows the most recent reading
+      const latestRecord = matchFactorData.reduce((latest, d) => new Date(d.waktu) > new Date(latest.waktu) ? d : latest);
+      const latestRecommendation = getMatchFactorRecommendation(latestRecord);
 
-    if (img) {
-      img.src = photoUrls[currentPhotoIndex];
-      img.alt = `Issue Photo ${currentPhotoIndex + 1}`;
+      document.getElementById(`mf-stats-${excavatorId}`).innerHTML = `
+        <span><i class="fas fa-chart-simple text-gray-400 mr-1"></i>Avg: ${avg}</span>
+        <span><i class="fas fa-arrow-up text-green-500 mr-1"></i>Max: ${max}</span>
+        <span><i class="fas fa-arrow-down text-red-500 mr-1"></i>Min: ${min}</span>
+        <span><i class="fas ${statusIcon} ${statusColor} mr-1"></i>${statusText}</span>
+        ${latestRecommendation ? `<span title="${describeMatchFactorRecommendation(latestRecommendation)}"><i class="fas fa-lightbulb text-purple-500 mr-1"></i>Ideal: ${latestRecommendation.ideal.haulers} HD (${formatHaulerDelta(latestRecommendation.delta)})</span>` : ''}
+      `;
     }
+  } else {
+    document.getElementById(`matchfactor-${excavatorId}`).parentElement.innerHTML = `
+      <div class="flex items-center justify-center h-48 text-gray-400">
+        <div class="text-center">
+          <i class="fas fa-chart-line text-4xl mb-2"></i>
+          <p class="text-sm">No match factor data</p>
+        </div>
+      </div>
+    `;
+  }
+}
 
-    if (counter) {
-      counter.textContent = currentPhotoIndex + 1;
-    }
+// Legacy functions - now redirect to individual charts
+function updateProductivityChart() {
+  renderIndividualCharts();
+}
 
-    // Update button states
-    if (prevBtn) {
-      if (currentPhotoIndex === 0) {
-        prevBtn.classList.add('opacity-50', 'cursor-not-allowed');
-      } else {
-        prevBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-      }
-    }
+function updateMatchFactorChart() {
+  renderIndividualCharts();
+}
 
-    if (nextBtn) {
-      if (currentPhotoIndex === photoUrls.length - 1) {
-        nextBtn.classList.add('opacity-50', 'cursor-not-allowed');
-      } else {
-        nextBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-      }
-    }
-  }
+// Make toggleExcavatorCard global
+window.toggleExcavatorCard = toggleExcavatorCard;
 
-  renderPhoto();
-  document.body.appendChild(photoModal);
+// Expand/Collapse All Functions
+window.expandAllExcavators = function () {
+  const excavatorCards = document.querySelectorAll('.excavator-card');
+  const expandedCards = {};
 
-  // Keyboard navigation
-  const keyHandler = (e) => {
-    if (e.key === 'Escape') {
-      e.stopPropagation();
-      e.preventDefault();
-      photoModal.querySelector('#closePhotoModal')?.click();
-    } else if (e.key === 'ArrowLeft' && currentPhotoIndex > 0) {
-      e.preventDefault();
-      currentPhotoIndex--;
-      updatePhoto();
-    } else if (e.key === 'ArrowRight' && currentPhotoIndex < photoUrls.length - 1) {
-      e.preventDefault();
-      currentPhotoIndex++;
-      updatePhoto();
-    }
-  };
-  document.addEventListener('keydown', keyHandler);
+  excavatorCards.forEach(card => {
+    const excavatorId = card.dataset.excavator;
+    const chartsGrid = card.querySelector('.charts-grid');
+    const chevron = card.querySelector('.fa-chevron-down');
 
-  // Close on click outside
-  photoModal.addEventListener('click', function (e) {
-    if (e.target === photoModal || e.target.id === 'photoImage') {
-      photoModal.querySelector('#closePhotoModal')?.click();
+    if (chartsGrid && chevron) {
+      chartsGrid.classList.remove('collapsed');
+      chevron.classList.add('rotate-180');
+      expandedCards[excavatorId] = true;
     }
   });
-};
-
-// Toggle Note Expand/Collapse with Enhanced UX
-window.toggleNote = function (noteId) {
-  const shortNote = document.getElementById(`${noteId}-short`);
-  const fullNote = document.getElementById(`${noteId}-full`);
-  const button = document.getElementById(`${noteId}-btn`);
-  const icon = document.getElementById(`${noteId}-icon`);
-
-  if (!shortNote || !fullNote || !button || !icon) return;
-
-  if (fullNote.classList.contains('hidden')) {
-    // Expand - Show full version
-    shortNote.classList.add('hidden');
-    fullNote.classList.remove('hidden');
-    button.textContent = 'Sembunyikan';
-    icon.classList.remove('fa-chevron-down');
-    icon.classList.add('fa-chevron-up');
-
-    // Add smooth reveal animation
-    fullNote.style.animation = 'fadeIn 0.3s ease-in-out';
-  } else {
-    // Collapse - Show short version
-    fullNote.classList.add('hidden');
-    shortNote.classList.remove('hidden');
-    button.textContent = 'Selengkapnya';
-    icon.classList.remove('fa-chevron-up');
-    icon.classList.add('fa-chevron-down');
-
-    // Add smooth reveal animation
-    shortNote.style.animation = 'fadeIn 0.3s ease-in-out';
-  }
-};
-
-// Toggle Notes Expand/Collapse (Option 2 - Expandable Rows)
-window.toggleNotesExpand = function (noteId) {
-  const preview = document.getElementById(`${noteId}-preview`);
-  const fullContent = document.getElementById(`${noteId}-full`);
-  const button = document.getElementById(`${noteId}-btn`);
-  const icon = document.getElementById(`${noteId}-icon`);
 
-  if (!preview || !fullContent || !button || !icon) return;
+  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
 
-  const isMobile = window.innerWidth < 640;
-  const expandText = isMobile ? 'Lihat' : 'Lihat Selengkapnya';
-  const collapseText = 'Tutup';
+  // Update button states
+  const expandBtn = document.getElementById('btnExpandAll');
+  const collapseBtn = document.getElementById('btnCollapseAll');
 
-  if (fullContent.classList.contains('hidden')) {
-    // Expand - Show full content (chevron points down)
-    preview.classList.add('hidden');
-    fullContent.classList.remove('hidden');
-    button.textContent = collapseText;
-    icon.classList.remove('fa-chevron-right');
-    icon.classList.add('fa-chevron-down');
-    icon.style.transform = 'rotate(0deg)';
+  if (expandBtn && collapseBtn) {
+    expandBtn.classList.add('active');
+    collapseBtn.classList.remove('active');
 
-    // Smooth animation
-    fullContent.style.animation = 'fadeIn 0.2s ease-in-out';
-  } else {
-    // Collapse - Show preview (chevron points right)
-    fullContent.classList.add('hidden');
-    preview.classList.remove('hidden');
-    button.textContent = expandText;
-    icon.classList.remove('fa-chevron-down');
-    icon.classList.add('fa-chevron-right');
-    icon.style.transform = 'rotate(0deg)';
+    expandBtn.classList.remove('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
+    expandBtn.classList.add('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
 
-    // Smooth animation
-    preview.style.animation = 'fadeIn 0.2s ease-in-out';
+    collapseBtn.classList.remove('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
+    collapseBtn.classList.add('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
   }
-};
-
-// Toggle expand/collapse for delay and productivity details in Issues table
-window.toggleIssueDetails = function (detailId) {
-  const content = document.getElementById(`${detailId}-content`);
-  const icon = document.getElementById(`${detailId}-icon`);
-
-  if (!content || !icon) return;
-
-  if (content.classList.contains('hidden')) {
-    // Expand
-    content.classList.remove('hidden');
-    icon.style.transform = 'rotate(180deg)';
 
-    // Smooth animation
-    content.style.animation = 'slideDown 0.2s ease-out';
-  } else {
-    // Collapse
-    content.classList.add('hidden');
-    icon.style.transform = 'rotate(0deg)';
-  }
+  showToast('All excavator cards expanded', 'success');
 };
 
-// Edit Issue
-window.editIssue = async function (index) {
-  const issue = AppState.issuesData[index];
-  if (!issue) return;
-
-  // Store the index being edited
-  window.currentEditIssueIndex = index;
+window.collapseAllExcavators = function () {
+  const excavatorCards = document.querySelectorAll('.excavator-card');
+  const expandedCards = {};
 
-  // Get modal elements
-  const modal = document.getElementById('issueModal');
-  const modalTitle = modal.querySelector('h2');
-  const modalSubtitle = modal.querySelector('p');
-  const saveBtn = document.getElementById('saveIssueBtn');
-  const saveBtnText = saveBtn.querySelector('span');
+  excavatorCards.forEach(card => {
+    const excavatorId = card.dataset.excavator;
+    const chartsGrid = card.querySelector('.charts-grid');
+    const chevron = card.querySelector('.fa-chevron-down');
 
-  // Change modal title to "Edit Catatan Problem"
-  if (modalTitle) modalTitle.textContent = 'Edit Catatan Problem';
-  if (modalSubtitle) modalSubtitle.textContent = 'Perbarui catatan masalah Delay & Productivity';
-  if (saveBtnText) saveBtnText.textContent = 'Update Catatan';
+    if (chartsGrid && chevron) {
+      chartsGrid.classList.add('collapsed');
+      chevron.classList.remove('rotate-180');
+      expandedCards[excavatorId] = false;
+    }
+  });
 
-  // Populate form fields
-  const excavatorSelect = document.getElementById('issueExcavatorSelect');
-  const additionalNotes = document.getElementById('issueAdditionalNotes');
-  const followUpNotes = document.getElementById('followUpNotes');
+  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
 
-  // First, populate excavator dropdown
-  // Populate Excavator Options
-  excavatorSelect.innerHTML = '<option value="">-- Pilih Excavator --</option>';
-  const excavators = new Set();
-  AppState.productivityData.forEach(item => excavators.add(item.noExcavator));
-  AppState.matchFactorData.forEach(item => excavators.add(item.noExcavator));
-  const sortedExcavators = Array.from(excavators).sort();
-  sortedExcavators.forEach(ex => {
-    const option = document.createElement('option');
-    option.value = ex;
-    option.textContent = ex;
-    excavatorSelect.appendChild(option);
-  });
+  // Update button states
+  const expandBtn = document.getElementById('btnExpandAll');
+  const collapseBtn = document.getElementById('btnCollapseAll');
 
-  // Set excavator
-  excavatorSelect.value = issue.excavator;
+  if (expandBtn && collapseBtn) {
+    collapseBtn.classList.add('active');
+    expandBtn.classList.remove('active');
 
-  // Populate and set date selector
-  populateDateOptions(issue.excavator);
+    collapseBtn.classList.remove('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
+    collapseBtn.classList.add('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
 
-  // Set the datetime from the issue timestamp
-  if (issue.timestamp) {
-    const dateSelect = document.getElementById('issueDateSelect');
-    if (dateSelect) {
-      const issueDate = new Date(issue.timestamp);
-      const dateStr = issueDate.toISOString(); // Full ISO datetime
-      dateSelect.value = dateStr;
-    }
+    expandBtn.classList.remove('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
+    expandBtn.classList.add('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
   }
+  showToast('All excavator cards collapsed', 'info');
+};
 
-  // Load delay problems (with backward compatibility)
-  const delaysToLoad = issue.delays || (issue.delay ? [issue.delay] : []);
-  if (delaysToLoad.length > 0) {
-    delayItems = delaysToLoad.map(delay => ({
-      id: Date.now() + Math.random(),
-      mainCode: delay.mainCode || '',
-      subCode: delay.subCode || '',
-      customText: delay.customText || ''
-    }));
-    renderDelayItems();
-  } else {
-    delayItems = [createDelayItem(0)];
-    renderDelayItems();
-  }
+// ==========================================
+// Edit & Delete Functions
+// ==========================================
+function editData(type, index) {
+  AppState.currentEditType = type;
+  AppState.currentEditIndex = index;
 
-  // Load productivity problems (with backward compatibility)
-  const productivitiesToLoad = issue.productivities || (issue.productivity ? [issue.productivity] : []);
-  if (productivitiesToLoad.length > 0) {
-    productivityItems = productivitiesToLoad.map(productivity => ({
-      id: Date.now() + Math.random(),
-      mainCode: productivity.mainCode || '',
-      subOption: productivity.subOption || '',
-      customText: productivity.customText || ''
-    }));
-    renderProductivityItems();
+  const data = type === 'productivity' ? AppState.productivityData[index] : AppState.matchFactorData[index];
+
+  let modalContent = '';
+
+  if (type === 'productivity') {
+    modalContent = `
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-clock text-blue-500 mr-2"></i>Waktu
+                    </label>
+                    <input type="datetime-local" id="editWaktu" value="${data.waktu}"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-hashtag text-blue-500 mr-2"></i>Jumlah Ritase
+                    </label>
+                    <input type="number" id="editJumlahRitase" value="${data.jumlahRitase}"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-gauge text-blue-500 mr-2"></i>HM Awal
+                    </label>
+                    <input type="number" id="editHmAwal" value="${data.hmAwal}" step="0.01"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-gauge-high text-blue-500 mr-2"></i>HM Akhir
+                    </label>
+                    <input type="number" id="editHmAkhir" value="${data.hmAkhir}" step="0.01"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-box text-blue-500 mr-2"></i>Kapasitas
+                    </label>
+                    <div class="flex gap-2">
+                        <input type="number" id="editKapasitas" value="${data.kapasitas}" step="0.01"
+                               class="flex-1 min-w-0 px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
+                        <select id="editKapasitasUnit"
+                                class="px-3 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 bg-white text-sm">
+                            ${Object.entries(CAPACITY_UNITS).map(([unit, label]) => `<option value="${unit}" ${getCapacityUnit(data) === unit ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${getCapacityUnit(data) !== 'BCM' ? `<p class="mt-1 text-xs text-gray-500">Faktor konversi tersimpan: 1 ${CAPACITY_UNITS[getCapacityUnit(data)]} = ${data.bcmFactor} BCM</p>` : ''}
+                </div>
+            </div>
+        `;
   } else {
-    productivityItems = [createProductivityItem(0)];
-    renderProductivityItems();
+    modalContent = `
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-clock text-purple-500 mr-2"></i>Waktu
+                    </label>
+                    <input type="datetime-local" id="editWaktuMF" value="${data.waktu}"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-truck text-purple-500 mr-2"></i>Jumlah HD
+                    </label>
+                    <input type="number" id="editJumlahHD" value="${data.jumlahHD}"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-hourglass-start text-purple-500 mr-2"></i>Cycle Time Hauler (menit)
+                    </label>
+                    <input type="number" id="editCycleTimeHauler" value="${data.cycleTimeHauler}" step="0.01"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-2">
+                        <i class="fas fa-hourglass-half text-purple-500 mr-2"></i>Cycle Time Loader (menit)
+                    </label>
+                    <input type="number" id="editCycleTimeLoader" value="${data.cycleTimeLoader}" step="0.01"
+                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
+                </div>
+            </div>
+        `;
   }
 
-  // Set notes
-  if (issue.notes) additionalNotes.value = issue.notes;
-  if (issue.followUpNotes) followUpNotes.value = issue.followUpNotes;
+  document.getElementById('editModalContent').innerHTML = modalContent;
 
-  // Load existing photos from Dokumentasi Masalah (Section 3)
-  if (issue.imageIds && issue.imageIds.length > 0) {
-    try {
-      const images = await imageStorage.getImages(issue.imageIds);
+  const modal = document.getElementById('editModal');
+  modal.classList.remove('hidden');
 
-      // Convert to photo blobs format for preview
-      const photoBlobs = images.map(img => ({
-        blob: img.blob,
-        preview: URL.createObjectURL(img.blob),
-        name: `Doctn ${images.indexOf(img) + 1}.jpg`
-      }));
+  // Prevent body scroll when modal is open
+  document.body.classList.add('modal-open');
 
-      // Set current photo blobs (this should be in the modal setup scope)
-      // We'll need to expose this or create a setter function
-      if (window.setCurrentPhotoBlobs) {
-        window.setCurrentPhotoBlobs(photoBlobs);
-      }
-    } catch (error) {
-      console.error('Failed to load existing photos:', error);
+  // Add ESC key listener for edit modal
+  const handleEscapeEdit = (e) => {
+    if (e.key === 'Escape') {
+      closeEditModal();
+      document.removeEventListener('keydown', handleEscapeEdit);
     }
-  }
+  };
 
-  // Load existing photos from Follow Up Perbaikan (Section 4)
-  if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-    try {
-      const images = await imageStorage.getImages(issue.followUpImageIds);
+  document.addEventListener('keydown', handleEscapeEdit);
 
-      // Convert to photo blobs format for preview
-      const photoBlobs = images.map(img => ({
-        blob: img.blob,
-        preview: URL.createObjectURL(img.blob),
-        name: `Follow-up ${images.indexOf(img) + 1}.jpg`
-      }));
+  // Store the handler so we can remove it later
+  modal.dataset.escHandler = 'attached';
+}
 
-      // Set follow-up photo blobs
-      if (window.setFollowUpPhotoBlobs) {
-        window.setFollowUpPhotoBlobs(photoBlobs);
+function saveEdit() {
+  const type = AppState.currentEditType;
+  const index = AppState.currentEditIndex;
+
+  if (type === 'productivity') {
+    const waktu = document.getElementById('editWaktu').value;
+    const jumlahRitase = parseFloat(document.getElementById('editJumlahRitase').value);
+    const hmAwal = parseFloat(document.getElementById('editHmAwal').value);
+    const hmAkhir = parseFloat(document.getElementById('editHmAkhir').value);
+    const kapasitas = parseFloat(document.getElementById('editKapasitas').value);
+    const kapasitasUnit = document.getElementById('editKapasitasUnit').value;
+
+    if (hmAkhir <= hmAwal) {
+      showToast('HM Akhir harus lebih besar dari HM Awal', 'error');
+      return;
+    }
+
+    // Keep the conversion factor the record was saved with unless the unit changes
+    const original = AppState.productivityData[index];
+    const durasi = hmAkhir - hmAwal;
+    const figures = buildProductivityFigures({
+      jumlahRitase,
+      kapasitas,
+      kapasitasUnit,
+      jenisMaterial: original.jenisMaterial,
+      durasi,
+      bcmFactor: kapasitasUnit === getCapacityUnit(original) ? original.bcmFactor : null
+    });
+    if (!figures) {
+      showToast(`Material ${original.jenisMaterial} belum punya faktor konversi ${CAPACITY_UNITS[kapasitasUnit]} di Tabel Material`, 'error');
+      return;
+    }
+
+    const updated = {
+      ...original,
+      waktu,
+      jumlahRitase,
+      hmAwal,
+      hmAkhir,
+      durasi: parseFloat(durasi.toFixed(2)),
+      ...figures
+    };
+    applyShiftInfo(updated);
+    // The tally counted the ritase the record was saved with, not an edited one
+    if (jumlahRitase !== parseFloat(original.jumlahRitase)) {
+      delete updated.ritaseTally;
+    }
+    const previousOverride = updated.hmOverride;
+    delete updated.hmOverride;
+
+    const commitEdit = () => {
+      AppState.productivityData[index] = updated;
+      recordStorage.markChanged('productivityData', [updated]);
+      if (syncLinkedIssues(updated) > 0) {
+        renderIssuesTable();
+        renderDelayPareto();
       }
-    } catch (error) {
-      console.error('Failed to load existing follow-up photos:', error);
+      renderProductivityTable();
+      updateProductivityChart();
+      saveAppData();
+      closeEditModal();
+      showToast('Data berhasil diupdate!', 'success');
+    };
+
+    const hmIssues = checkHmTimeline(updated, AppState.productivityData, index);
+    if (hmIssues.length > 0) {
+      promptHmOverride(hmIssues, (override) => {
+        updated.hmOverride = override;
+        commitEdit();
+      }, previousOverride ? previousOverride.reason : '');
+    } else {
+      commitEdit();
     }
-  }
+    return;
+  } else {
+    const waktu = document.getElementById('editWaktuMF').value;
+    const jumlahHD = parseFloat(document.getElementById('editJumlahHD').value);
+    const cycleTimeHauler = parseFloat(document.getElementById('editCycleTimeHauler').value);
+    const cycleTimeLoader = parseFloat(document.getElementById('editCycleTimeLoader').value);
 
-  // Open modal
-  modal.classList.remove('hidden');
-  setTimeout(() => {
-    modal.querySelector('.modal-content').classList.remove('scale-95', 'opacity-0');
-    modal.querySelector('.modal-content').classList.add('scale-100', 'opacity-100');
-  }, 10);
-};
+    const matchFactor = (jumlahHD * cycleTimeLoader) / cycleTimeHauler;
 
-// Delete Issue
-window.deleteIssue = function (index) {
-  const issue = AppState.issuesData[index];
-  if (!issue) return;
+    AppState.matchFactorData[index] = {
+      ...AppState.matchFactorData[index],
+      waktu,
+      jumlahHD,
+      cycleTimeHauler,
+      cycleTimeLoader,
+      matchFactor: parseFloat(matchFactor.toFixed(2))
+    };
+    applyShiftInfo(AppState.matchFactorData[index]);
+    recordStorage.markChanged('matchFactorData', [AppState.matchFactorData[index]]);
+    if (syncLinkedIssues(AppState.matchFactorData[index]) > 0) {
+      renderIssuesTable();
+      renderDelayPareto();
+    }
+
+    renderMatchFactorTable();
+    updateMatchFactorChart();
+  }
 
-  const timestamp = new Date(issue.timestamp).toLocaleString('id-ID');
-  const excavator = issue.excavator;
+  saveAppData();
+  closeEditModal();
+  showToast('Data berhasil diupdate!', 'success');
+}
 
-  const delays = getIssueDelays(issue);
-  const productivities = getIssueProductivities(issue);
+function deleteData(type, index) {
+  const data = type === 'productivity' ? AppState.productivityData[index] : AppState.matchFactorData[index];
 
-  let problemSummary = '';
-  if (delays.length > 0) {
-    delays.forEach((delay, i) => {
-      problemSummary += `• Delay ${i + 1}: ${delay.mainCode} - ${delay.mainLabel}\n`;
-    });
-  }
-  if (productivities.length > 0) {
-    productivities.forEach((prod, i) => {
-      problemSummary += `• Productivity ${i + 1}: Kat. ${prod.mainCode} - ${prod.mainLabel}\n`;
-    });
+  // Build data preview
+  let previewHTML = '';
+  if (type === 'productivity') {
+    previewHTML = `
+      <div class="space-y-2 text-sm">
+        <div class="flex justify-between">
+          <span class="text-gray-500">Excavator:</span>
+          <span class="font-semibold text-gray-900">${data.noExcavator}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Waktu:</span>
+          <span class="font-semibold text-gray-900">${new Date(data.waktu).toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Ritase:</span>
+          <span class="font-semibold text-blue-600">${data.jumlahRitase}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Productivity:</span>
+          <span class="font-semibold text-green-600">${data.productivity.toFixed(2)} BCM/jam</span>
+        </div>
+      </div>
+    `;
+  } else {
+    previewHTML = `
+      <div class="space-y-2 text-sm">
+        <div class="flex justify-between">
+          <span class="text-gray-500">Excavator:</span>
+          <span class="font-semibold text-gray-900">${data.noExcavator}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Waktu:</span>
+          <span class="font-semibold text-gray-900">${new Date(data.waktu).toLocaleString('id-ID', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Jumlah HD:</span>
+          <span class="font-semibold text-purple-600">${data.jumlahHD}</span>
+        </div>
+        <div class="flex justify-between">
+          <span class="text-gray-500">Match Factor:</span>
+          <span class="font-semibold text-green-600">${data.matchFactor.toFixed(2)}</span>
+        </div>
+      </div>
+    `;
   }
 
-  const dataPreview = `
-    <div class="text-left space-y-2 text-sm">
-      <p><strong>Excavator:</strong> ${excavator}</p>
-      <p><strong>Waktu:</strong> ${timestamp}</p>
-      <div><strong>Problem:</strong><br/><pre class="text-xs mt-1 whitespace-pre-wrap">${problemSummary}</pre></div>
-    </div>
-  `;
+  // Issues logged against this record follow it
+  const issueImpact = getRecordDeletionImpact(data);
+  if (issueImpact.remove.length > 0 || issueImpact.keep.length > 0) {
+    previewHTML += `
+      <div class="mt-3 pt-3 border-t border-gray-200 space-y-1 text-xs">
+        ${issueImpact.remove.length > 0 ? `<div class="flex items-center gap-2 text-red-600 font-semibold">
+          <i class="fas fa-clipboard-list"></i>
+          <span>${issueImpact.remove.length} catatan issue ikut terhapus (beserta fotonya)</span>
+        </div>` : ''}
+        ${issueImpact.keep.length > 0 ? `<div class="flex items-center gap-2 text-gray-600">
+          <i class="fas fa-link-slash"></i>
+          <span>${issueImpact.keep.length} catatan issue tetap ada (masih terkait data lain)</span>
+        </div>` : ''}
+      </div>
+    `;
+  }
 
+  // Show enhanced delete modal
   showConfirm(
-    'Hapus Issue?',
-    'Data issue ini akan dihapus secara permanen dan tidak dapat dikembalikan.',
-    'warning',
+    'Hapus Data',
+    `Apakah Anda yakin ingin menghapus data ${type === 'productivity' ? 'produktivitas' : 'match factor'} ini? Data yang dihapus tidak dapat dikembalikan.`,
+    'trash',
     'red',
-    async function () {
-      // Delete photos from IndexedDB if they exist
-      if (issue.imageIds && issue.imageIds.length > 0) {
-        try {
-          await imageStorage.deleteImages(issue.imageIds);
-          console.log(`✅ Deleted ${issue.imageIds.length} photos from IndexedDB for issue ${issue.id}`);
-        } catch (error) {
-          console.warn('Failed to delete some photos from IndexedDB:', error);
-        }
+    async () => {
+      if (type === 'productivity') {
+        recordStorage.markDeleted('productivityData', AppState.productivityData.splice(index, 1));
+      } else {
+        recordStorage.markDeleted('matchFactorData', AppState.matchFactorData.splice(index, 1));
       }
+      await cascadeRecordDeletion(data, issueImpact);
 
-      // Delete follow-up photos from IndexedDB if they exist
-      if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-        try {
-          await imageStorage.deleteImages(issue.followUpImageIds);
-          console.log(`✅ Deleted ${issue.followUpImageIds.length} follow-up photos from IndexedDB for issue ${issue.id}`);
-        } catch (error) {
-          console.warn('Failed to delete some follow-up photos from IndexedDB:', error);
-        }
+      if (type === 'productivity') {
+        renderProductivityTable();
+        updateProductivityChart();
+      } else {
+        renderMatchFactorTable();
+        updateMatchFactorChart();
+      }
+      if (issueImpact.remove.length > 0 || issueImpact.keep.length > 0) {
+        renderIssuesTable();
+        renderDelayPareto();
       }
 
-      AppState.issuesData.splice(index, 1);
-      saveToLocalStorage();
-      renderIssuesTable();
-      showToast('Issue berhasil dihapus', 'success');
+      saveAppData();
+      updateFilterOptions();
+      updateTotalRecords();
+      updateLastUpdate();
+      const cascadeMsg = issueImpact.remove.length > 0 ? ` (${issueImpact.remove.length} catatan issue ikut dihapus)` : '';
+      showToast(`Data berhasil dihapus!${cascadeMsg}`, 'success');
     },
     null,
-    dataPreview
+    previewHTML
   );
-};
+}
 
-// ==========================================
-// View Issues Modal (Read-Only) - Triggered from Chart Click
-// ==========================================
+function closeEditModal() {
+  const modal = document.getElementById('editModal');
+  modal.classList.add('hidden');
+  AppState.currentEditIndex = null;
+  AppState.currentEditType = null;
 
-// View Issues for specific excavator and datetime
-window.viewIssuesForExcavatorAndDate = function (excavator, dateStr) {
-  // Filter issues by excavator and exact datetime
-  const targetDatetime = new Date(dateStr).toISOString();
-  const issues = AppState.issuesData.filter(issue => {
-    const issueDatetime = new Date(issue.timestamp).toISOString();
-    return issue.excavator === excavator && issueDatetime === targetDatetime;
-  });
+  // Re-enable body scroll
+  document.body.classList.remove('modal-open');
 
-  if (issues.length === 0) {
-    const displayTime = new Date(dateStr).toLocaleString('id-ID', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    showAlert(`Tidak ada catatan problem untuk ${excavator} pada ${displayTime}`, 'info');
-    return;
+  // Clean up ESC key listener
+  if (modal.dataset.escHandler) {
+    delete modal.dataset.escHandler;
   }
+}
 
-  // Show modal
-  const modal = document.getElementById('viewIssuesModal');
-  const title = document.getElementById('viewIssuesTitle');
-  const subtitle = document.getElementById('viewIssuesSubtitle');
-  const content = document.getElementById('viewIssuesContent');
-
-  title.textContent = `Catatan Problem - ${excavator}`;
-  subtitle.textContent = `Waktu: ${new Date(dateStr).toLocaleString('id-ID', {
-    day: '2-digit',
-    month: 'long',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  })} | ${issues.length} Catatan`;
-
-  // Build issues content
-  let contentHTML = '<div class="space-y-4">';
-
-  issues.forEach((issue, idx) => {
-    const timestamp = new Date(issue.timestamp).toLocaleString('id-ID', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+// ==========================================
+// Filter Functions
+// ==========================================
+function updateFilterOptions() {
+  const filterNama = document.getElementById('filterNama');
+  const filterNRP = document.getElementById('filterNRP');
+  const filterExcavator = document.getElementById('filterExcavator');
 
-    // Build delay text (supports multiple)
-    const delayHTML = `<div class="text-sm">${formatDelaysHTML(issue, '<div class="mt-3 pt-3 border-t border-red-200"></div>')}</div>`;
+  // Get unique names
+  const allNames = [...new Set([
+    ...AppState.productivityData.map(d => d.namaPengawas),
+    ...AppState.matchFactorData.map(d => d.namaPengawas)
+  ])];
 
-    // Build productivity text (supports multiple)
-    const prodHTML = `<div class="text-sm">${formatProductivitiesHTML(issue, '<div class="mt-3 pt-3 border-t border-green-200"></div>')}</div>`;
+  // Get unique NRPs
+  const allNRPs = [...new Set([
+    ...AppState.productivityData.map(d => d.nrp),
+    ...AppState.matchFactorData.map(d => d.nrp)
+  ])];
 
-    // Photo count (both Dokumentasi Masalah and Follow Up)
-    const documentationPhotoCount = (issue.imageIds && issue.imageIds.length) || 0;
-    const followUpPhotoCount = (issue.followUpImageIds && issue.followUpImageIds.length) || 0;
-    const photoCount = documentationPhotoCount + followUpPhotoCount;
+  // Get unique excavators
+  const allExcavators = [...new Set([
+    ...AppState.productivityData.map(d => d.noExcavator),
+    ...AppState.matchFactorData.map(d => d.noExcavator)
+  ])];
 
-    contentHTML += `
-      <div class="border border-gray-200 rounded-lg p-4 bg-white hover:shadow-md transition-shadow">
-        <div class="flex items-center justify-between mb-3">
-          <div class="flex items-center gap-2">
-            <div class="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
-              <span class="text-purple-600 font-bold text-sm">${idx + 1}</span>
-            </div>
-            <button 
-              onclick="document.getElementById('viewIssuesModal').classList.add('hidden'); editIssue(${AppState.issuesData.indexOf(issue)})" 
-              class="group text-gray-500 hover:text-purple-600 text-sm transition-colors cursor-pointer inline-flex items-center gap-1 hover:bg-purple-50 px-2 py-1 rounded"
-              title="Klik untuk edit catatan ini">
-              <i class="far fa-clock"></i>
-              <span>${timestamp}</span>
-              <i class="fas fa-edit text-xs opacity-0 group-hover:opacity-100 transition-opacity"></i>
-            </button>
-          </div>
-          ${photoCount > 0 ? `
-            <button onclick="viewIssuePhotos(${AppState.issuesData.indexOf(issue)})" 
-              class="px-3 py-1 bg-purple-100 hover:bg-purple-200 text-purple-700 rounded-lg text-xs font-semibold transition-colors inline-flex items-center gap-1.5">
-              <i class="fas fa-images"></i>
-              <span>Foto (${photoCount})</span>
-            </button>
-          ` : ''}
-        </div>
+  // Update nama filter
+  filterNama.innerHTML = '<option value="">Semua Pengawas</option>';
+  allNames.forEach(name => {
+    filterNama.innerHTML += `<option value="${name}">${name}</option>`;
+  });
 
-        <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
-          <div>
-            <div class="text-xs font-semibold text-gray-500 mb-1">Delay Problem</div>
-            ${delayHTML}
-          </div>
-          <div>
-            <div class="text-xs font-semibold text-gray-500 mb-1">Productivity Problem</div>
-            ${prodHTML}
-          </div>
-        </div>
+  // Update NRP filter
+  if (filterNRP) {
+    filterNRP.innerHTML = '<option value="">Semua NRP</option>';
+    allNRPs.sort().forEach(nrp => {
+      filterNRP.innerHTML += `<option value="${nrp}">${nrp}</option>`;
+    });
+  }
 
-        ${issue.notes || issue.followUpNotes ? `
-          <div class="border-t border-gray-100 pt-3 mt-3 space-y-3">
-            ${issue.notes ? `
-              <div class="bg-purple-50 p-3 rounded-lg border border-purple-200">
-                <div class="text-xs font-semibold text-purple-600 mb-1.5 flex items-center gap-1.5">
-                  <i class="fas fa-file-alt"></i>
-                  <span>Dokumentasi Masalah</span>
-                </div>
-                <div class="text-sm text-purple-700 leading-relaxed">${issue.notes}</div>
-              </div>
-            ` : ''}
-            ${issue.followUpNotes ? `
-              <div class="bg-blue-50 p-3 rounded-lg border border-blue-200">
-                <div class="text-xs font-semibold text-blue-600 mb-1.5 flex items-center gap-1.5">
-                  <i class="fas fa-tools"></i>
-                  <span>Follow Up Perbaikan</span>
-                </div>
-                <div class="text-sm text-blue-700 leading-relaxed">${issue.followUpNotes}</div>
-              </div>
-            ` : ''}
-          </div>
-        ` : ''}
-      </div>
-    `;
+  // Update excavator filter
+  filterExcavator.innerHTML = '<option value="">Semua Excavator</option>';
+  allExcavators.forEach(exc => {
+    filterExcavator.innerHTML += `<option value="${exc}">${exc}</option>`;
   });
 
-  contentHTML += '</div>';
-  content.innerHTML = contentHTML;
+  // Update shift filter (roster shifts plus any legacy codes still in the data)
+  const filterShift = document.getElementById('filterShift');
+  if (filterShift) {
+    const selectedShift = filterShift.value;
+    const rosterCodes = getShiftRoster().map(s => s.code);
+    const dataCodes = [
+      ...AppState.productivityData.map(d => d.shift),
+      ...AppState.matchFactorData.map(d => d.shift),
+      ...AppState.issuesData.map(d => d.shift)
+    ].filter(code => code && !rosterCodes.includes(code));
+
+    filterShift.innerHTML = '<option value="">Semua Shift</option>';
+    [...new Set([...rosterCodes, ...dataCodes])].forEach(code => {
+      filterShift.innerHTML += `<option value="${code}">${code}</option>`;
+    });
+    filterShift.value = selectedShift;
+  }
 
-  // Show modal
-  modal.classList.remove('hidden');
+  // Update date filter years
+  populateFilterYears();
 
-  // Setup close handlers
-  const closeBtn = document.getElementById('closeViewIssuesBtn');
-  const closeFooterBtn = document.getElementById('closeViewIssuesFooterBtn');
+  populateRegistryOptions();
+  populateMaterialOptions();
+}
 
-  const closeModal = () => {
-    modal.classList.add('hidden');
-  };
+function applyFilters() {
+  const filterNamaValue = document.getElementById('filterNama').value;
+  const filterNRPValue = document.getElementById('filterNRP').value;
+  const filterExcavatorValue = document.getElementById('filterExcavator').value;
+  const filterShiftValue = document.getElementById('filterShift').value;
 
-  closeBtn.onclick = closeModal;
-  closeFooterBtn.onclick = closeModal;
+  // Get date filter values
+  const filterYear = document.getElementById('filterYear').value;
+  const filterMonth = document.getElementById('filterMonth').value;
+  const filterDay = document.getElementById('filterDay').value;
 
-  // ESC key to close
-  const handleEsc = (e) => {
-    if (e.key === 'Escape') {
-      closeModal();
-      document.removeEventListener('keydown', handleEsc);
-    }
-  };
-  document.addEventListener('keydown', handleEsc);
-};
+  let filteredProductivity = AppState.productivityData;
+  let filteredMatchFactor = AppState.matchFactorData;
+  let filteredIssues = AppState.issuesData;
 
-// ==========================================
-// Chart Rendering - Individual Charts Per Excavator
-// ==========================================
+  if (filterNamaValue) {
+    filteredProductivity = filteredProductivity.filter(d => d.namaPengawas === filterNamaValue);
+    filteredMatchFactor = filteredMatchFactor.filter(d => d.namaPengawas === filterNamaValue);
+  }
 
-// Store individual charts by excavator
-AppState.excavatorCharts = {};
+  if (filterNRPValue) {
+    filteredProductivity = filteredProductivity.filter(d => d.nrp === filterNRPValue);
+    filteredMatchFactor = filteredMatchFactor.filter(d => d.nrp === filterNRPValue);
+  }
 
-// Flag to prevent duplicate renders
-let isRendering = false;
+  if (filterExcavatorValue) {
+    filteredProductivity = filteredProductivity.filter(d => d.noExcavator === filterExcavatorValue);
+    filteredMatchFactor = filteredMatchFactor.filter(d => d.noExcavator === filterExcavatorValue);
+    filteredIssues = filteredIssues.filter(d => d.excavator === filterExcavatorValue);
+  }
 
-function renderIndividualCharts() {
-  // Prevent duplicate renders
-  if (isRendering) {
-    console.log('Already rendering, skipping duplicate call');
-    return;
+  if (filterShiftValue) {
+    filteredProductivity = filteredProductivity.filter(d => d.shift === filterShiftValue);
+    filteredMatchFactor = filteredMatchFactor.filter(d => d.shift === filterShiftValue);
+    filteredIssues = filteredIssues.filter(d => d.shift === filterShiftValue);
   }
 
-  isRendering = true;
+  // Apply date filters (cascading)
+  if (filterYear) {
+    const year = parseInt(filterYear);
+    filteredProductivity = filteredProductivity.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getFullYear() === year;
+    });
+    filteredMatchFactor = filteredMatchFactor.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getFullYear() === year;
+    });
+    filteredIssues = filteredIssues.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getFullYear() === year;
+    });
+  }
 
-  const container = document.getElementById('individualChartsContainer');
-  if (!container) {
-    isRendering = false;
-    return;
+  if (filterMonth !== '') {
+    const month = parseInt(filterMonth);
+    filteredProductivity = filteredProductivity.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getMonth() === month;
+    });
+    filteredMatchFactor = filteredMatchFactor.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getMonth() === month;
+    });
+    filteredIssues = filteredIssues.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getMonth() === month;
+    });
   }
 
-  // Group data by excavator
-  const excavators = getUniqueExcavators();
+  if (filterDay) {
+    const day = parseInt(filterDay);
+    filteredProductivity = filteredProductivity.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getDate() === day;
+    });
+    filteredMatchFactor = filteredMatchFactor.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getDate() === day;
+    });
+    filteredIssues = filteredIssues.filter(d => {
+      const date = getRecordProductionDate(d);
+      return date.getDate() === day;
+    });
+  }
 
-  // Clear existing charts
-  Object.values(AppState.excavatorCharts).forEach(charts => {
-    if (charts.productivity) {
-      charts.productivity.destroy();
-      charts.productivity = null;
-    }
-    if (charts.matchFactor) {
-      charts.matchFactor.destroy();
-      charts.matchFactor = null;
-    }
-  });
-  AppState.excavatorCharts = {};
+  renderProductivityTable(filteredProductivity);
+  renderMatchFactorTable(filteredMatchFactor);
+  renderIssuesTable(filteredIssues);
+}
 
-  // Clear container
-  container.innerHTML = '';
+// ==========================================
+// Report Template (Letterhead, Sections, Columns)
+// ==========================================
+// Every PDF and Excel export renders through createPdfReport / createExcelReport, so the
+// letterhead, logo, document number and footer configured here appear on all of them.
+// Section order and column choice apply to the Productivity and Match Factor reports; the
+// shift report and operator scorecard keep their fixed layouts.
+const REPORT_SECTIONS = [
+  { key: 'data', label: 'Tabel Data' },
+  { key: 'summary', label: 'Ringkasan' },
+  { key: 'charts', label: 'Grafik per Excavator' },
+  { key: 'issues', label: 'Issue Log' }
+];
+
+const REPORT_FORMATS = { pdf: 'PDF', excel: 'Excel' };
 
-  if (excavators.length === 0) {
-    container.innerHTML = `
-      <div class="text-center py-12">
-        <i class="fas fa-chart-line text-gray-300 text-6xl mb-4"></i>
-        <p class="text-gray-500 text-lg">Belum ada data untuk ditampilkan</p>
-        <p class="text-gray-400 text-sm mt-2">Silakan input data productivity dan match factor</p>
-      </div>
-    `;
-    return;
+/**
+ * Columns users can pick per dataset. `prepare` derives the per-row values once, `value`
+ * reads the cell and `fill` colours it; `formats` lists where a new template shows it and
+ * `label` tells same-named columns apart in the template modal.
+ */
+const REPORT_DATASETS = {
+  productivity: {
+    label: 'Productivity',
+    code: 'PROD',
+    filePrefix: 'Productivity',
+    chartPrefix: 'productivity',
+    valueField: 'productivity',
+    summaryTitle: 'Productivity Trend Summary',
+    rgb: [68, 114, 196],
+    argb: 'FF4472C4',
+    prepare: (item, ctx) => ({ achievement: getProductivityAchievement(item), timeUsage: ctx.getUsage(item), capacity: getCapacityExport(item) }),
+    columns: [
+      { key: 'no', header: 'No', width: 5, formats: ['pdf', 'excel'], value: (item, row, index) => index + 1 },
+      { key: 'namaPengawas', header: 'Pengawas', width: 20, formats: ['pdf', 'excel'], value: item => item.namaPengawas },
+      { key: 'nrp', header: 'NRP', width: 15, formats: ['pdf', 'excel'], value: item => item.nrp },
+      { key: 'waktu', header: 'Waktu', width: 20, formats: ['pdf', 'excel'], value: item => formatDateTime(item.waktu) },
+      { key: 'shift', header: 'Shift', width: 10, formats: ['pdf', 'excel'], value: item => item.shift || '-' },
+      { key: 'productionDate', header: 'Tgl Produksi', width: 14, formats: ['excel'], value: item => formatProductionDate(item.productionDate) },
+      { key: 'noExcavator', header: 'No Excavator', width: 15, formats: ['pdf', 'excel'], value: item => item.noExcavator },
+      { key: 'namaOperator', header: 'Operator', width: 20, formats: ['pdf', 'excel'], value: item => item.namaOperator || '-' },
+      { key: 'jenisMaterial', header: 'Jenis Material', width: 15, formats: ['pdf', 'excel'], value: item => item.jenisMaterial || '-' },
+      { key: 'jumlahRitase', header: 'Ritase', width: 10, formats: ['pdf', 'excel'], value: item => item.jumlahRitase },
+      { key: 'hmAwal', header: 'HM Awal', width: 10, formats: ['pdf', 'excel'], value: item => item.hmAwal },
+      { key: 'hmAkhir', header: 'HM Akhir', width: 10, formats: ['pdf', 'excel'], value: item => item.hmAkhir },
+      { key: 'durasi', header: 'Durasi (Jam)', width: 12, formats: ['pdf', 'excel'], value: item => item.durasi },
+      { key: 'kapasitasLabel', header: 'Kapasitas', label: 'Kapasitas (teks + BCM)', width: 22, formats: ['pdf'], value: item => formatRecordCapacity(item) },
+      { key: 'kapasitas', header: 'Kapasitas', label: 'Kapasitas (angka input)', width: 12, formats: ['excel'], value: (item, row) => row.capacity.kapasitas },
+      { key: 'kapasitasUnit', header: 'Satuan', width: 10, formats: ['excel'], value: (item, row) => row.capacity.kapasitasUnit },
+      { key: 'kapasitasBcm', header: 'Kapasitas (BCM)', width: 15, formats: ['excel'], value: (item, row) => row.capacity.kapasitasBcm },
+      { key: 'productivityRaw', header: 'Productivity (Satuan/Jam)', width: 22, formats: ['excel'], value: (item, row) => row.capacity.productivityRaw },
+      { key: 'productivity', header: 'Productivity (BCM/Jam)', width: 20, formats: ['pdf', 'excel'], value: item => item.productivity },
+      { key: 'target', header: 'Target (BCM/Jam)', width: 16, formats: ['pdf', 'excel'], value: (item, row) => row.achievement ? row.achievement.target : '-' },
+      {
+        key: 'achievement', header: 'Ach. (%)', width: 16, formats: ['pdf', 'excel'],
+        value: (item, row) => row.achievement ? row.achievement.percent.toFixed(1) : '-',
+        fill: (item, row) => row.achievement ? row.achievement.state : null
+      },
+      { key: 'achievementStatus', header: 'Status Target', width: 14, formats: ['excel'], value: (item, row) => row.achievement ? row.achievement.state.label : '-' },
+      { key: 'avgPasses', header: 'Rata-rata Pass/HD', width: 16, formats: ['excel'], value: item => item.ritaseTally && item.ritaseTally.avgPasses !== null ? item.ritaseTally.avgPasses : '-' },
+      { key: 'fillFactor', header: 'Fill Factor (Est.)', width: 16, formats: ['excel'], value: item => item.ritaseTally && item.ritaseTally.fillFactor !== null ? item.ritaseTally.fillFactor : '-' },
+      { key: 'wh', header: 'WH (Menit)', width: 12, formats: ['pdf', 'excel'], value: (item, row) => row.timeUsage.workingMinutes.toFixed(2) },
+      { key: 'delay', header: 'Delay (Menit)', width: 14, formats: ['pdf', 'excel'], value: (item, row) => row.timeUsage.delayMinutes.toFixed(2) },
+      { key: 'unaccounted', header: 'Tak Tercatat (Menit)', width: 18, formats: ['excel'], value: (item, row) => row.timeUsage.unaccountedMinutes.toFixed(2) },
+      { key: 'delayBreakdown', header: 'Rincian Delay', width: 30, formats: ['excel'], value: (item, row) => formatDelayBreakdown(row.timeUsage.byCode) },
+      { key: 'hmOverrideReason', header: 'Catatan HM', width: 40, formats: ['excel'], value: item => item.hmOverride ? item.hmOverride.reason : '' }
+    ]
+  },
+  matchFactor: {
+    label: 'Match Factor',
+    code: 'MF',
+    filePrefix: 'MatchFactor',
+    chartPrefix: 'matchfactor',
+    valueField: 'matchFactor',
+    summaryTitle: 'Match Factor Analysis Summary',
+    rgb: [147, 51, 234],
+    argb: 'FF9333EA',
+    prepare: item => ({ recommendation: getMatchFactorRecommendation(item) }),
+    columns: [
+      { key: 'no', header: 'No', width: 5, formats: ['pdf', 'excel'], value: (item, row, index) => index + 1 },
+      { key: 'namaPengawas', header: 'Pengawas', width: 20, formats: ['pdf', 'excel'], value: item => item.namaPengawas },
+      { key: 'nrp', header: 'NRP', width: 15, formats: ['pdf', 'excel'], value: item => item.nrp },
+      { key: 'waktu', header: 'Waktu', width: 20, formats: ['pdf', 'excel'], value: item => formatDateTime(item.waktu) },
+      { key: 'shift', header: 'Shift', width: 10, formats: ['pdf', 'excel'], value: item => item.shift || '-' },
+      { key: 'productionDate', header: 'Tgl Produksi', width: 14, formats: ['excel'], value: item => formatProductionDate(item.productionDate) },
+      { key: 'noExcavator', header: 'No Excavator', width: 15, formats: ['pdf', 'excel'], value: item => item.noExcavator },
+      { key: 'namaOperator', header: 'Operator', width: 20, formats: ['pdf', 'excel'], value: item => item.namaOperator || '-' },
+      { key: 'jenisMaterial', header: 'Jenis Material', width: 15, formats: ['pdf', 'excel'], value: item => item.jenisMaterial || '-' },
+      { key: 'jumlahHD', header: 'Jumlah HD', width: 12, formats: ['pdf', 'excel'], value: item => item.jumlahHD },
+      { key: 'cycleTimeHauler', header: 'CT Hauler (min)', width: 15, formats: ['pdf', 'excel'], value: item => item.cycleTimeHauler },
+      { key: 'cycleTimeLoader', header: 'CT Loader (min)', width: 15, formats: ['pdf', 'excel'], value: item => item.cycleTimeLoader },
+      {
+        key: 'matchFactor', header: 'Match Factor', width: 15, formats: ['pdf', 'excel'],
+        value: item => item.matchFactor,
+        fill: item => getMatchFactorStatus(parseFloat(item.matchFactor))
+      },
+      { key: 'idealHaulers', header: 'HD Ideal', width: 12, formats: ['pdf', 'excel'], value: (item, row) => row.recommendation ? row.recommendation.ideal.haulers : '-' },
+      { key: 'haulerDelta', header: 'Rekomendasi', label: 'Rekomendasi (±HD)', width: 14, formats: ['pdf'], value: (item, row) => row.recommendation ? formatHaulerDelta(row.recommendation.delta) : '-' },
+      { key: 'recommendation', header: 'Rekomendasi', label: 'Rekomendasi (detail)', width: 60, formats: ['excel'], value: (item, row) => row.recommendation ? describeMatchFactorRecommendation(row.recommendation) : '-' },
+      { key: 'loaderSamples', header: 'Stopwatch Loading Time', width: 28, formats: ['excel'], value: item => item.cycleTimeSamples ? formatSampleStat(item.cycleTimeSamples.stats.loadingTime) : '-' },
+      { key: 'haulerSamples', header: 'Stopwatch CT Hauler', width: 28, formats: ['excel'], value: item => item.cycleTimeSamples ? formatSampleStat(item.cycleTimeSamples.stats.haulerCycle) : '-' }
+    ]
+  },
+  issues: {
+    label: 'Issue Log',
+    rgb: [255, 107, 107],
+    argb: 'FFFF6B6B',
+    prepare: (issue, ctx) => ({ lifecycle: getIssueLifecycleExport(issue, ctx.exportTime) }),
+    columns: [
+      { key: 'no', header: 'No', width: 5, pdfWidth: 10, formats: ['pdf', 'excel'], value: (issue, row, index) => index + 1 },
+      { key: 'waktu', header: 'Waktu', width: 20, pdfWidth: 25, formats: ['pdf', 'excel'], value: issue => formatDateTime(issue.timestamp) },
+      { key: 'shift', header: 'Shift', width: 18, pdfWidth: 24, formats: ['pdf', 'excel'], value: issue => formatShiftLabel(issue) },
+      { key: 'excavator', header: 'Excavator', width: 15, pdfWidth: 20, formats: ['pdf', 'excel'], value: issue => issue.excavator },
+      { key: 'delayProblem', header: 'Delay Problem', width: 40, pdfWidth: 35, formats: ['pdf', 'excel'], value: issue => getIssueDelays(issue).length > 0 ? formatDelaysText(issue) : '-' },
+      { key: 'productivityProblem', header: 'Productivity Problem', width: 40, pdfWidth: 35, formats: ['pdf', 'excel'], value: issue => getIssueProductivities(issue).length > 0 ? formatProductivitiesText(issue) : '-' },
+      { key: 'catatan', header: 'Dokumentasi Masalah', width: 45, pdfWidth: 35, formats: ['pdf', 'excel'], value: issue => issue.notes || '-' },
+      { key: 'catatanLanjutan', header: 'Follow Up Perbaikan', width: 45, pdfWidth: 35, formats: ['pdf', 'excel'], value: issue => issue.followUpNotes || '-' },
+      { key: 'statusPic', header: 'Status / PIC', width: 30, pdfWidth: 40, formats: ['pdf'], value: (issue, row, index, ctx) => formatIssueLifecycleText(issue, ctx.exportTime) },
+      { key: 'status', header: 'Status', width: 14, formats: ['excel'], value: (issue, row) => row.lifecycle.status },
+      { key: 'pic', header: 'PIC', width: 20, formats: ['excel'], value: (issue, row) => row.lifecycle.pic },
+      { key: 'dueDate', header: 'Due Date', width: 14, formats: ['excel'], value: (issue, row) => row.lifecycle.dueDate },
+      { key: 'aging', header: 'Aging (Hari)', width: 12, formats: ['excel'], value: (issue, row) => row.lifecycle.aging },
+      { key: 'overdue', header: 'Overdue', width: 10, formats: ['excel'], value: (issue, row) => row.lifecycle.overdue },
+      { key: 'photos', header: 'Foto Dokumentasi', width: 20, formats: ['excel'], value: issue => issue.imageIds && issue.imageIds.length > 0 ? `${issue.imageIds.length} foto` : 'Tidak ada foto' },
+      { key: 'followUpPhotos', header: 'Foto Follow Up', width: 20, formats: ['excel'], value: issue => issue.followUpImageIds && issue.followUpImageIds.length > 0 ? `${issue.followUpImageIds.length} foto` : 'Tidak ada foto' }
+    ]
   }
+};
 
-  // Create card for each excavator
-  excavators.forEach((excavatorId, index) => {
-    const card = createExcavatorCard(excavatorId, index);
-    container.appendChild(card);
+// Datasets whose columns are configurable, in the order the template modal lists them
+const REPORT_COLUMN_DATASETS = ['productivity', 'matchFactor', 'issues'];
+
+function getDefaultReportTemplate() {
+  const columns = {};
+  REPORT_COLUMN_DATASETS.forEach(dataset => {
+    columns[dataset] = {};
+    Object.keys(REPORT_FORMATS).forEach(format => {
+      columns[dataset][format] = REPORT_DATASETS[dataset].columns.filter(column => column.formats.includes(format)).map(column => column.key);
+    });
   });
 
-  // Create all charts after DOM insertion
-  setTimeout(() => {
-    excavators.forEach((excavatorId, index) => {
-      createExcavatorCharts(excavatorId, index);
+  return {
+    header: { company: '', site: '', address: '', documentNumber: '', revision: '' },
+    footer: { text: '', pageNumbers: true },
+    logoImageId: null,
+    sections: REPORT_SECTIONS.map(section => ({ key: section.key, enabled: true })),
+    issuePhotos: true,
+    columns
+  };
+}
+
+/**
+ * Saved report template merged over the defaults, so sections or columns added in later
+ * versions show up and removed ones are dropped
+ * @returns {Object}
+ */
+function getReportTemplate() {
+  const template = getDefaultReportTemplate();
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem('reportTemplate') || 'null');
+  } catch (error) {
+    console.warn('⚠️ Invalid report template in localStorage, using default:', error);
+  }
+  if (!saved || typeof saved !== 'object') return template;
+
+  template.header = { ...template.header, ...saved.header };
+  template.footer = { ...template.footer, ...saved.footer };
+  template.logoImageId = saved.logoImageId || null;
+  template.issuePhotos = saved.issuePhotos !== false;
+
+  if (Array.isArray(saved.sections)) {
+    const known = saved.sections.filter(section => REPORT_SECTIONS.some(entry => entry.key === section.key));
+    const missing = template.sections.filter(section => !known.some(entry => entry.key === section.key));
+    template.sections = [...known.map(section => ({ key: section.key, enabled: section.enabled !== false })), ...missing];
+  }
+
+  REPORT_COLUMN_DATASETS.forEach(dataset => {
+    Object.keys(REPORT_FORMATS).forEach(format => {
+      const keys = saved.columns?.[dataset]?.[format];
+      if (Array.isArray(keys)) {
+        template.columns[dataset][format] = REPORT_DATASETS[dataset].columns.map(column => column.key).filter(key => keys.includes(key));
+      }
     });
-    // Reset rendering flag after all charts created
-    isRendering = false;
-  }, 100);
+  });
+
+  return template;
 }
 
-function getUniqueExcavators() {
-  const excavators = new Set();
+// Enabled section keys in template order
+function getReportSectionOrder(template = getReportTemplate()) {
+  return template.sections.filter(section => section.enabled).map(section => section.key);
+}
 
-  AppState.productivityData.forEach(d => excavators.add(d.noExcavator));
-  AppState.matchFactorData.forEach(d => excavators.add(d.noExcavator));
+// Header and footer text is optional; the letterhead is only drawn when something is set
+function hasReportLetterhead(template, logo) {
+  return Boolean(logo || template.header.company || template.header.site || template.header.address || template.header.documentNumber);
+}
 
-  const result = Array.from(excavators).sort();
+/**
+ * Expand the document number pattern: {KODE} report code, {UNIT} excavator/pit/operator,
+ * {TANGGAL} YYYYMMDD of the export
+ */
+function formatDocumentNumber(pattern, { code, unit, date }) {
+  if (!pattern) return '';
+  return pattern
+    .replace(/\{KODE\}/g, code || '')
+    .replace(/\{UNIT\}/g, unit || '')
+    .replace(/\{TANGGAL\}/g, formatDateKey(date).replace(/-/g, ''));
+}
 
-  // Debug logging
-  console.log('🔍 Unique Excavators Analysis:');
-  console.log('  Productivity excavators:', AppState.productivityData.map(d => d.noExcavator));
-  console.log('  Match Factor excavators:', AppState.matchFactorData.map(d => d.noExcavator));
-  console.log('  Combined unique:', result);
+// "2 November 2025, 23.09"
+function formatReportTimestamp(date) {
+  return date.toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  }) + ', ' + date.toLocaleTimeString('id-ID', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).replace(':', '.');
+}
 
-  return result;
+/**
+ * Load the template logo from IndexedDB
+ * @returns {Promise<{base64: string, width: number, height: number}|null>} Null when none is set or it was removed
+ */
+async function loadReportLogo(template) {
+  if (!template.logoImageId) return null;
+  try {
+    const photoData = await imageStorage.getImage(template.logoImageId);
+    if (!photoData || !photoData.blob) return null;
+    const base64 = await imageStorage.blobToBase64(photoData.blob);
+
+    const img = new Image();
+    img.src = base64;
+    await new Promise(resolve => img.onload = resolve);
+    return { base64, width: img.width, height: img.height };
+  } catch (err) {
+    console.warn('Could not load report logo:', err);
+    return null;
+  }
 }
 
-function createExcavatorCard(excavatorId, index) {
-  const card = document.createElement('div');
-  card.className = 'excavator-card';
-  card.dataset.excavator = excavatorId;
+/**
+ * Table spec for a dataset with the template's columns for one format
+ * @param {string} dataset - Key of REPORT_DATASETS
+ * @param {Array} items - Records or issues in row order
+ * @param {string} format - 'pdf' | 'excel'
+ * @returns {{head: string[], rows: Array[], widths: number[], fills: Array[], columns: Object[]}}
+ */
+function buildReportTable(dataset, items, format, template = getReportTemplate()) {
+  const config = REPORT_DATASETS[dataset];
+  const selected = template.columns[dataset][format];
+  const columns = config.columns.filter(column => selected.includes(column.key));
+  const ctx = { getUsage: createTimeUsageLookup(), exportTime: new Date() };
+
+  const rows = [];
+  const fills = [];
+  items.forEach((item, index) => {
+    const row = config.prepare(item, ctx);
+    rows.push(columns.map(column => column.value(item, row, index, ctx)));
+    fills.push(columns.map(column => column.fill ? column.fill(item, row) : null));
+  });
+
+  return {
+    head: columns.map(column => column.header),
+    rows,
+    widths: columns.map(column => column.width),
+    pdfWidths: columns.map(column => column.pdfWidth),
+    fills,
+    columns
+  };
+}
+
+/**
+ * Place photos in rows of fixed-size boxes, adding pages as needed
+ * @returns {Promise<number>} yPos below the last row
+ */
+async function addPdfPhotoRow(doc, imageIds, yPos, { size = 40, margin = 14, bottomMargin = 20 } = {}) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let xPos = margin;
+
+  for (const imageId of imageIds) {
+    try {
+      const photoData = await imageStorage.getImage(imageId);
+      if (!photoData || !photoData.blob) continue;
+      const base64 = await imageStorage.blobToBase64(photoData.blob);
+
+      const img = new Image();
+      img.src = base64;
+      await new Promise(resolve => img.onload = resolve);
+      const aspectRatio = img.width / img.height;
+      const width = aspectRatio > 1 ? size : size * aspectRatio;
+      const height = aspectRatio > 1 ? size / aspectRatio : size;
+
+      if (xPos + size > pageWidth - margin) {
+        xPos = margin;
+        yPos += size + 4;
+      }
+      if (yPos + size > pageHeight - bottomMargin) {
+        doc.addPage();
+        yPos = 20;
+        xPos = margin;
+      }
+
+      doc.setFillColor(255, 255, 255);
+      doc.rect(xPos, yPos, width, height, 'F');
+      doc.setDrawColor(200, 200, 200);
+      doc.setLineWidth(0.5);
+      doc.rect(xPos, yPos, width, height);
+      doc.addImage(base64, 'JPEG', xPos + 1, yPos + 1, width - 2, height - 2);
+      xPos += size + 4;
+    } catch (err) {
+      console.warn(`Could not load photo ${imageId}:`, err);
+    }
+  }
+
+  return xPos === margin ? yPos : yPos + size + 4;
+}
+
+/**
+ * Start a PDF with the template letterhead and title. Section titles are numbered in the
+ * order they are added; save() draws the running header and footer on every page.
+ * @param {Object} options - { orientation: 'l' | 'p', title, subtitle, code, unit }
+ * @returns {Promise<Object>} Report with doc, yPos and drawing helpers
+ */
+async function createPdfReport({ orientation = 'l', title, subtitle = '', code, unit = '' }) {
+  const template = getReportTemplate();
+  const logo = await loadReportLogo(template);
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF(orientation, 'mm', 'a4');
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const generatedAt = new Date();
+  const documentNumber = formatDocumentNumber(template.header.documentNumber, { code, unit, date: generatedAt });
+  const { header } = template;
+  let yPos = 15;
 
-  // Color scheme rotation - Minimalist elegant design
-  const colors = [
-    { gradient: 'from-blue-500 to-blue-600', icon: 'text-blue-600', bg: 'bg-blue-50', border: 'blue-200' },
-    { gradient: 'from-purple-500 to-purple-600', icon: 'text-purple-600', bg: 'bg-purple-50', border: 'purple-200' },
-    { gradient: 'from-green-500 to-green-600', icon: 'text-green-600', bg: 'bg-green-50', border: 'green-200' },
-    { gradient: 'from-orange-500 to-orange-600', icon: 'text-orange-600', bg: 'bg-orange-50', border: 'orange-200' },
-    { gradient: 'from-pink-500 to-pink-600', icon: 'text-pink-600', bg: 'bg-pink-50', border: 'pink-200' },
-    { gradient: 'from-teal-500 to-teal-600', icon: 'text-teal-600', bg: 'bg-teal-50', border: 'teal-200' }
-  ];
-  const color = colors[index % colors.length];
+  // Letterhead: logo and company on the left, document details on the right
+  if (hasReportLetterhead(template, logo)) {
+    let textX = 14;
+    if (logo) {
+      const logoHeight = 16;
+      const logoWidth = Math.min(40, logoHeight * logo.width / logo.height);
+      doc.addImage(logo.base64, 'PNG', 14, 9, logoWidth, logoWidth * logo.height / logo.width);
+      textX += logoWidth + 4;
+    }
 
-  // Get data counts
-  const prodCount = AppState.productivityData.filter(d => d.noExcavator === excavatorId).length;
-  const mfCount = AppState.matchFactorData.filter(d => d.noExcavator === excavatorId).length;
-  const totalRecords = prodCount + mfCount;
+    doc.setFontSize(13);
+    doc.setFont(undefined, 'bold');
+    if (header.company) doc.text(header.company, textX, 14);
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    if (header.site) doc.text(header.site, textX, 19);
+    if (header.address) doc.text(header.address, textX, 23);
 
-  // Debug logging (can be removed after testing)
-  console.log(`[Card ${excavatorId}] Prod: ${prodCount}, MF: ${mfCount}, Total: ${totalRecords}`);
+    const details = [
+      documentNumber ? `No. Dokumen: ${documentNumber}` : '',
+      header.revision ? `Revisi: ${header.revision}` : '',
+      `Tanggal: ${formatReportTimestamp(generatedAt)}`
+    ].filter(Boolean);
+    details.forEach((line, index) => doc.text(line, pageWidth - 14, 14 + index * 4.5, { align: 'right' }));
 
-  // Debug: Show what MF excavator IDs exist
-  const mfExcavatorIds = AppState.matchFactorData.map(d => d.noExcavator);
-  console.log(`  → Looking for: "${excavatorId}", MF has:`, mfExcavatorIds);
+    doc.setDrawColor(68, 114, 196);
+    doc.setLineWidth(0.6);
+    doc.line(14, 28, pageWidth - 14, 28);
+    yPos = 36;
+  }
 
-  // Check if expanded (from localStorage)
-  const expandedCards = JSON.parse(localStorage.getItem('expandedCards') || '{}');
-  const isExpanded = expandedCards[excavatorId] !== false; // Default expanded
+  doc.setFontSize(16);
+  doc.setFont(undefined, 'bold');
+  doc.text(title, 14, yPos);
+  yPos += 7;
 
-  card.innerHTML = `
-    <div class="card-header bg-gradient-to-r ${color.gradient} text-white p-4 cursor-pointer" onclick="toggleExcavatorCard('${excavatorId}')">
-      <div class="flex items-center justify-between">
-        <div class="flex items-center gap-3">
-          <div class="${color.bg} rounded-lg p-2 hidden sm:flex items-center justify-center shadow-sm border border-${color.border}">
-            <i class="fas fa-layer-group ${color.icon} text-lg"></i>
-          </div>
-          <div class="flex-1 min-w-0">
-            <h3 class="text-base sm:text-lg font-bold truncate flex items-center gap-2">
-              <i class="fas fa-layer-group sm:hidden text-white/90 text-sm"></i>
-              <span>Excavator ${excavatorId}</span>
-            </h3>
-            <div class="flex flex-wrap gap-1 sm:gap-2 mt-1">
-              <span class="text-xs bg-white/20 px-1.5 sm:px-2 py-0.5 rounded-full whitespace-nowrap">
-                ${prodCount} Prod
-              </span>
-              <span class="text-xs bg-white/20 px-1.5 sm:px-2 py-0.5 rounded-full whitespace-nowrap">
-                ${mfCount} MF
-              </span>
-            </div>
-          </div>
-        </div>
-        <div class="flex items-center gap-2 sm:gap-3 flex-shrink-0">
-          <button
-            onclick="event.stopPropagation(); openIssueModalForExcavator('${excavatorId}')"
-            class="px-2 sm:px-3 py-1 bg-white/20 hover:bg-white/30 rounded-lg text-xs font-semibold transition-all duration-200 hover:scale-105 gap-1 whitespace-nowrap"
-            title="Tambah Catatan">
-            <i class="fas fa-plus text-xs"></i>
-            <span class="hidden sm:inline">Catatan</span>
-          </button>
-          <span class="hidden md:inline-block text-xs sm:text-sm font-semibold bg-white/20 px-2 sm:px-3 py-1 rounded-full whitespace-nowrap">
-            ${totalRecords} Records
-          </span>
-          <span class="md:hidden text-xs font-semibold bg-white/20 px-2 py-1 rounded-full">
-            ${totalRecords}
-          </span>
-          <i class="fas fa-chevron-down transition-transform duration-300 ${isExpanded ? 'rotate-180' : ''}" id="chevron-${excavatorId}"></i>
-        </div>
-      </div>
-    </div>
-    
-    <div class="charts-grid ${isExpanded ? '' : 'collapsed'}" id="charts-${excavatorId}">
-      <div class="chart-wrapper">
-        <h4 class="chart-title">
-          <i class="fas fa-chart-bar text-blue-500"></i>
-          <span class="hidden sm:inline">Productivity Trend</span>
-          <span class="sm:hidden">Productivity</span>
-        </h4>
-        <div class="chart-canvas-wrapper">
-          <canvas id="productivity-${excavatorId}"></canvas>
-        </div>
-        <div class="chart-stats" id="prod-stats-${excavatorId}">
-          <span><i class="fas fa-arrows-up-down text-gray-400 mr-1"></i>Loading...</span>
-        </div>
-      </div>
-      
-      <div class="chart-wrapper">
-        <h4 class="chart-title">
-          <i class="fas fa-chart-line text-purple-500"></i>
-          <span class="hidden sm:inline">Match Factor Analysis</span>
-          <span class="sm:hidden">Match Factor</span>
-        </h4>
-        <div class="chart-canvas-wrapper">
-          <canvas id="matchfactor-${excavatorId}"></canvas>
-        </div>
-        <div class="chart-stats" id="mf-stats-${excavatorId}">
-          <span><i class="fas fa-arrows-up-down text-gray-400 mr-1"></i>Loading...</span>
-        </div>
-      </div>
-    </div>
-  `;
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'normal');
+  if (subtitle) {
+    doc.text(subtitle, 14, yPos);
+    yPos += 5;
+  }
+  doc.text(`Generated: ${formatReportTimestamp(generatedAt)}`, 14, yPos);
+  yPos += 10;
 
-  return card;
-}
+  const report = {
+    doc,
+    template,
+    title,
+    generatedAt,
+    documentNumber,
+    yPos,
+    sectionCount: 0,
+
+    // Start a new page when less than `height` mm is left
+    ensureSpace(height) {
+      if (this.yPos > pageHeight - height) {
+        doc.addPage();
+        this.yPos = 20;
+      }
+    },
 
-function toggleExcavatorCard(excavatorId) {
-  const chartsGrid = document.getElementById(`charts-${excavatorId}`);
-  const chevron = document.getElementById(`chevron-${excavatorId}`);
+    section(sectionTitle) {
+      this.ensureSpace(40);
+      this.sectionCount++;
+      doc.setFontSize(12);
+      doc.setFont(undefined, 'bold');
+      doc.text(`${this.sectionCount}. ${sectionTitle}`, 14, this.yPos);
+      this.yPos += 5;
+    },
 
-  if (!chartsGrid || !chevron) return;
+    note(text) {
+      doc.setFontSize(9);
+      doc.setFont(undefined, 'italic');
+      doc.text(text, 14, this.yPos + 3);
+      doc.setFont(undefined, 'normal');
+      this.yPos += 11;
+    },
 
-  // Toggle collapsed state
-  const isCollapsed = chartsGrid.classList.toggle('collapsed');
-  chevron.classList.toggle('rotate-180');
+    /**
+     * Draw a table spec ({ head, rows, fills, pdfWidths }) with autoTable
+     * @param {Object} spec - Table spec, e.g. from buildReportTable
+     * @param {Object} options - Extra autoTable options (fillColor sets the header colour)
+     */
+    table(spec, { fillColor = [68, 114, 196], ...options } = {}) {
+      const columnStyles = {};
+      (spec.pdfWidths || []).forEach((cellWidth, index) => {
+        if (cellWidth) columnStyles[index] = { cellWidth };
+      });
 
-  // Save state to localStorage
-  const expandedCards = JSON.parse(localStorage.getItem('expandedCards') || '{}');
-  expandedCards[excavatorId] = !isCollapsed;
-  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
-}
+      doc.autoTable({
+        head: [spec.head],
+        body: spec.rows,
+        startY: this.yPos,
+        styles: { fontSize: 8 },
+        headStyles: { fillColor, halign: 'left' },
+        columnStyles,
+        margin: { top: 16, bottom: 16 },
+        didParseCell: spec.fills ? (data) => {
+          if (data.section !== 'body') return;
+          const fill = spec.fills[data.row.index]?.[data.column.index];
+          if (fill && fill.rgb) data.cell.styles.fillColor = fill.rgb;
+        } : undefined,
+        ...options
+      });
+      this.yPos = doc.lastAutoTable.finalY + 10;
+    },
 
-function createExcavatorCharts(excavatorId, index) {
-  const productivityData = AppState.productivityData.filter(
-    d => d.noExcavator === excavatorId
-  );
+    async photos(imageIds) {
+      this.yPos = await addPdfPhotoRow(doc, imageIds, this.yPos, { size: orientation === 'l' ? 45 : 40 });
+    },
 
-  const matchFactorData = AppState.matchFactorData.filter(
-    d => d.noExcavator === excavatorId
-  );
+    // Running header from page 2 and the footer on every page
+    finish() {
+      const pageCount = doc.internal.getNumberOfPages();
+      const footerText = template.footer.text || `SmartzProd · ${title}`;
+      for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'normal');
+        doc.setTextColor(120);
+        if (page > 1 && (header.company || documentNumber)) {
+          if (header.company) doc.text(header.company, 14, 8);
+          if (documentNumber) doc.text(documentNumber, pageWidth - 14, 8, { align: 'right' });
+        }
+        doc.text(footerText, 14, pageHeight - 8);
+        if (template.footer.pageNumbers) {
+          doc.text(`Halaman ${page}/${pageCount}`, pageWidth - 14, pageHeight - 8, { align: 'right' });
+        }
+        doc.setTextColor(0);
+      }
+    },
 
-  // Responsive font sizes
-  const isMobile = window.innerWidth < 768;
-  const fontSize = {
-    title: isMobile ? 10 : 12,
-    axis: isMobile ? 8 : 10,
-    tooltip: isMobile ? 10 : 12
+    save(fileName) {
+      this.finish();
+      doc.save(fileName);
+    },
+
+    output() {
+      this.finish();
+      return doc.output('blob');
+    }
   };
 
-  // Color schemes
-  const chartColors = [
-    { prod: 'rgb(59, 130, 246)', prodBg: 'rgba(59, 130, 246, 0.1)', mf: 'rgb(147, 51, 234)', mfBg: 'rgba(147, 51, 234, 0.7)' },
-    { prod: 'rgb(139, 92, 246)', prodBg: 'rgba(139, 92, 246, 0.1)', mf: 'rgb(236, 72, 153)', mfBg: 'rgba(236, 72, 153, 0.7)' },
-    { prod: 'rgb(16, 185, 129)', prodBg: 'rgba(16, 185, 129, 0.1)', mf: 'rgb(59, 130, 246)', mfBg: 'rgba(59, 130, 246, 0.7)' },
-    { prod: 'rgb(245, 158, 11)', prodBg: 'rgba(245, 158, 11, 0.1)', mf: 'rgb(16, 185, 129)', mfBg: 'rgba(16, 185, 129, 0.7)' },
-    { prod: 'rgb(236, 72, 153)', prodBg: 'rgba(236, 72, 153, 0.1)', mf: 'rgb(245, 158, 11)', mfBg: 'rgba(245, 158, 11, 0.7)' },
-    { prod: 'rgb(20, 184, 166)', prodBg: 'rgba(20, 184, 166, 0.1)', mf: 'rgb(139, 92, 246)', mfBg: 'rgba(139, 92, 246, 0.7)' }
-  ];
-  const colors = chartColors[index % chartColors.length];
+  return report;
+}
 
-  // Initialize chart storage
-  if (!AppState.excavatorCharts[excavatorId]) {
-    AppState.excavatorCharts[excavatorId] = {};
-  }
+// ExcelJS header/footer codes treat '&' as a control character
+function escapeExcelHeaderText(text) {
+  return String(text || '').replace(/&/g, '&&');
+}
 
-  // ===== PRODUCTIVITY CHART =====
-  if (productivityData.length > 0) {
-    const prodCanvas = document.getElementById(`productivity-${excavatorId}`);
-    if (!prodCanvas) {
-      console.warn(`Productivity canvas not found for ${excavatorId}`);
-      return;
+/**
+ * Start a workbook with the template letterhead on an "Info Laporan" sheet. save() adds the
+ * print header/footer to every sheet before downloading.
+ * @param {Object} options - { title, subtitle, code, unit }
+ * @returns {Promise<Object>} Report with workbook and sheet helpers
+ */
+async function createExcelReport({ title, subtitle = '', code, unit = '' }) {
+  const template = getReportTemplate();
+  const logo = await loadReportLogo(template);
+  const workbook = new ExcelJS.Workbook();
+  const generatedAt = new Date();
+  const documentNumber = formatDocumentNumber(template.header.documentNumber, { code, unit, date: generatedAt });
+  const { header } = template;
+
+  workbook.creator = header.company || 'SmartzProd';
+  workbook.company = header.company;
+  workbook.title = title;
+  workbook.created = generatedAt;
+
+  if (hasReportLetterhead(template, logo)) {
+    const infoSheet = workbook.addWorksheet('Info Laporan');
+    infoSheet.columns = [{ width: 22 }, { width: 60 }];
+    let startRow = 1;
+
+    if (logo) {
+      const logoHeight = 60;
+      infoSheet.addImage(workbook.addImage({ base64: logo.base64, extension: 'png' }), {
+        tl: { col: 0, row: 0, colOff: 5, rowOff: 5 },
+        ext: { width: Math.min(240, logoHeight * logo.width / logo.height), height: logoHeight }
+      });
+      infoSheet.getRow(1).height = 50;
+      startRow = 3;
     }
 
-    // Destroy existing chart if any
-    if (AppState.excavatorCharts[excavatorId].productivity) {
-      AppState.excavatorCharts[excavatorId].productivity.destroy();
-      AppState.excavatorCharts[excavatorId].productivity = null;
-    }
+    const rows = [
+      ['Perusahaan', header.company],
+      ['Site', header.site],
+      ['Alamat', header.address],
+      ['No. Dokumen', documentNumber],
+      ['Revisi', header.revision],
+      ['Judul', subtitle ? `${title} · ${subtitle}` : title],
+      ['Generated', formatReportTimestamp(generatedAt)]
+    ].filter(([, value]) => value);
+    rows.forEach(([label, value], index) => {
+      const row = infoSheet.getRow(startRow + index);
+      row.values = [label, value];
+      row.getCell(1).font = { bold: true };
+    });
+  }
 
-    const prodCtx = prodCanvas.getContext('2d');
-    if (prodCtx) {
-      AppState.excavatorCharts[excavatorId].productivity = new Chart(prodCtx, {
-        type: 'bar',
-        data: {
-          labels: productivityData.map(d => formatDateTime(d.waktu)),
-          datasets: [{
-            label: 'Productivity (BCM/Jam)',
-            data: productivityData.map(d => d.productivity),
-            backgroundColor: colors.prod,
-            borderColor: colors.prod,
-            borderWidth: 1,
-            borderRadius: 6,
-            borderSkipped: false
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          onClick: (event, activeElements) => {
-            if (activeElements && activeElements.length > 0) {
-              const index = activeElements[0].index;
-              const clickedData = productivityData[index];
-              if (clickedData && clickedData.waktu) {
-                viewIssuesForExcavatorAndDate(excavatorId, clickedData.waktu);
-              }
-            }
-          },
-          plugins: {
-            legend: { display: false },
-            tooltip: {
-              enabled: true,
-              backgroundColor: 'rgba(0, 0, 0, 0.8)',
-              titleFont: { size: fontSize.tooltip },
-              bodyFont: { size: fontSize.tooltip },
-              padding: 12,
-              callbacks: {
-                label: function (context) {
-                  return ` ${context.parsed.y.toLocaleString('id-ID')} BCM/Jam`;
-                },
-                afterLabel: function (context) {
-                  return '💡 Klik untuk lihat catatan';
-                }
-              }
-            }
-          },
-          scales: {
-            x: {
-              display: true,
-              ticks: {
-                font: { size: fontSize.axis },
-                maxRotation: 45,
-                minRotation: 45
-              },
-              grid: { display: false }
-            },
-            y: {
-              beginAtZero: true,
-              suggestedMax: 2000,
-              ticks: {
-                font: { size: fontSize.axis },
-                callback: function (value) {
-                  return value.toLocaleString('id-ID');
-                }
-              },
-              grid: { color: 'rgba(0, 0, 0, 0.05)' }
-            }
-          },
-          animation: { duration: isMobile ? 500 : 750 }
-        }
+  return {
+    workbook,
+    template,
+    documentNumber,
+
+    /**
+     * Add a sheet from a table spec ({ head, rows, widths, fills })
+     * @param {string} name - Worksheet name
+     * @param {Object} spec - Table spec, e.g. from buildReportTable
+     * @param {string} argb - Header fill colour
+     * @returns {Object} ExcelJS worksheet
+     */
+    addTableSheet(name, spec, argb = 'FF4472C4') {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = spec.head.map((headerText, index) => ({ header: headerText, width: (spec.widths && spec.widths[index]) || 14 }));
+      spec.rows.forEach((cells, rowIndex) => {
+        const row = sheet.addRow(cells);
+        (spec.fills?.[rowIndex] || []).forEach((fill, columnIndex) => {
+          if (fill && fill.argb) row.getCell(columnIndex + 1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill.argb } };
+        });
+      });
+
+      sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb } };
+      sheet.columns.forEach(col => {
+        col.alignment = { horizontal: 'left', vertical: 'middle' };
+      });
+      return sheet;
+    },
+
+    async save(fileName) {
+      const footerText = template.footer.text || `SmartzProd · ${title}`;
+      workbook.worksheets.forEach(sheet => {
+        sheet.headerFooter.oddHeader = `&L${escapeExcelHeaderText(header.company)}&R${escapeExcelHeaderText(documentNumber)}`;
+        sheet.headerFooter.oddFooter = `&L${escapeExcelHeaderText(footerText)}${template.footer.pageNumbers ? '&RHalaman &P/&N' : ''}`;
       });
 
-      // Calculate stats
-      const values = productivityData.map(d => d.productivity);
-      const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(0);
-      const max = Math.max(...values).toFixed(0);
-      const min = Math.min(...values).toFixed(0);
+      const buffer = await workbook.xlsx.writeBuffer();
+      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    }
+  };
+}
 
-      document.getElementById(`prod-stats-${excavatorId}`).innerHTML = `
-        <span><i class="fas fa-chart-simple text-gray-400 mr-1"></i>Avg: ${parseInt(avg).toLocaleString('id-ID')}</span>
-        <span><i class="fas fa-arrow-up text-green-500 mr-1"></i>Max: ${parseInt(max).toLocaleString('id-ID')}</span>
-        <span><i class="fas fa-arrow-down text-red-500 mr-1"></i>Min: ${parseInt(min).toLocaleString('id-ID')}</span>
-      `;
+/**
+ * Place issue photos one per column from `startCol`, documentation first then follow-up
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} sheet - Issue worksheet
+ * @param {Object} issue - Issue record
+ * @param {number} rowNumber - 1-based row of the issue
+ * @param {number} startCol - 0-based first photo column
+ */
+async function addExcelIssuePhotos(workbook, sheet, issue, rowNumber, startCol) {
+  const imageIds = [...(issue.imageIds || []), ...(issue.followUpImageIds || [])];
+  if (imageIds.length === 0) return;
+
+  const photoHeight = 90;
+  sheet.getRow(rowNumber).height = 70;
+
+  for (let photoIndex = 0; photoIndex < imageIds.length; photoIndex++) {
+    try {
+      const photoData = await imageStorage.getImage(imageIds[photoIndex]);
+      if (!photoData || !photoData.blob) continue;
+      const base64 = await imageStorage.blobToBase64(photoData.blob);
+
+      const img = new Image();
+      img.src = base64;
+      await new Promise(resolve => img.onload = resolve);
+
+      // Prevent overly wide photos from spilling into the next column
+      const photoWidth = Math.min(120, photoHeight * img.width / img.height);
+      sheet.getColumn(startCol + photoIndex + 1).width = 20;
+      sheet.addImage(workbook.addImage({ base64, extension: 'png' }), {
+        tl: { col: startCol + photoIndex, row: rowNumber - 1, colOff: 5, rowOff: 5 },
+        ext: { width: photoWidth, height: photoHeight }
+      });
+    } catch (err) {
+      console.warn(`Could not load photo ${imageIds[photoIndex]}:`, err);
     }
-  } else {
-    document.getElementById(`productivity-${excavatorId}`).parentElement.innerHTML = `
-      <div class="flex items-center justify-center h-48 text-gray-400">
-        <div class="text-center">
-          <i class="fas fa-chart-bar text-4xl mb-2"></i>
-          <p class="text-sm">No productivity data</p>
-        </div>
-      </div>
-    `;
   }
+}
 
-  // ===== MATCH FACTOR CHART =====
-  if (matchFactorData.length > 0) {
-    const mfCanvas = document.getElementById(`matchfactor-${excavatorId}`);
-    if (!mfCanvas) {
-      console.warn(`Match Factor canvas not found for ${excavatorId}`);
-      return;
+// ==========================================
+// Report Template Settings
+// ==========================================
+// Letterhead inputs are #reportHeader_<key>
+const REPORT_HEADER_FIELDS = ['company', 'site', 'address', 'documentNumber', 'revision'];
+
+let reportTemplateDraft = null;
+let reportTemplateColumnTab = 'productivity';
+// Logo picked in the modal, stored in IndexedDB only when the template is saved
+let pendingReportLogo = null;
+
+function renderReportTemplateSections() {
+  const container = document.getElementById('reportTemplateSections');
+  if (!container) return;
+
+  container.innerHTML = reportTemplateDraft.sections.map((section, index) => `
+    <div class="flex items-center gap-2 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2">
+      <input type="checkbox" ${section.enabled ? 'checked' : ''} onchange="toggleReportSection(${index}, this.checked)"
+             class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+      <span class="text-sm text-gray-700 flex-1">${index + 1}. ${REPORT_SECTIONS.find(entry => entry.key === section.key).label}</span>
+      <button type="button" onclick="moveReportSection(${index}, -1)" ${index === 0 ? 'disabled' : ''}
+              class="w-7 h-7 inline-flex items-center justify-center rounded border border-gray-200 text-gray-500 hover:bg-gray-100 disabled:opacity-30" title="Naikkan">
+        <i class="fas fa-arrow-up text-[10px]"></i>
+      </button>
+      <button type="button" onclick="moveReportSection(${index}, 1)" ${index === reportTemplateDraft.sections.length - 1 ? 'disabled' : ''}
+              class="w-7 h-7 inline-flex items-center justify-center rounded border border-gray-200 text-gray-500 hover:bg-gray-100 disabled:opacity-30" title="Turunkan">
+        <i class="fas fa-arrow-down text-[10px]"></i>
+      </button>
+    </div>
+  `).join('');
+}
+
+function renderReportTemplateColumns() {
+  document.querySelectorAll('[data-report-column-tab]').forEach(button => {
+    const active = button.dataset.reportColumnTab === reportTemplateColumnTab;
+    button.classList.toggle('bg-indigo-600', active);
+    button.classList.toggle('text-white', active);
+    button.classList.toggle('bg-gray-100', !active);
+    button.classList.toggle('text-gray-600', !active);
+  });
+
+  const body = document.getElementById('reportTemplateColumnsBody');
+  if (!body) return;
+  const selected = reportTemplateDraft.columns[reportTemplateColumnTab];
+  body.innerHTML = REPORT_DATASETS[reportTemplateColumnTab].columns.map(column => `
+    <tr class="border-t border-gray-100">
+      <td class="px-3 py-1.5 text-gray-700">${column.label || column.header}</td>
+      ${Object.keys(REPORT_FORMATS).map(format => `
+        <td class="px-3 py-1.5 text-center">
+          <input type="checkbox" ${selected[format].includes(column.key) ? 'checked' : ''}
+                 onchange="toggleReportColumn('${format}', '${column.key}', this.checked)"
+                 class="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500">
+        </td>
+      `).join('')}
+    </tr>
+  `).join('');
+}
+
+async function renderReportLogoPreview() {
+  const preview = document.getElementById('reportLogoPreview');
+  const removeButton = document.getElementById('btnRemoveReportLogo');
+  let src = null;
+
+  if (pendingReportLogo) {
+    src = pendingReportLogo.base64;
+  } else if (pendingReportLogo === null) {
+    src = (await loadReportLogo(reportTemplateDraft))?.base64 || null;
+  }
+
+  preview.innerHTML = src
+    ? `<img src="${src}" alt="Logo" class="max-h-14 max-w-[10rem] object-contain">`
+    : '<span class="text-xs text-gray-400">Belum ada logo</span>';
+  removeButton.classList.toggle('hidden', !src);
+}
+
+// Copy the letterhead inputs into the draft before re-rendering or saving
+function readReportTemplateHeader() {
+  REPORT_HEADER_FIELDS.forEach(key => {
+    reportTemplateDraft.header[key] = document.getElementById(`reportHeader_${key}`).value.trim();
+  });
+  reportTemplateDraft.footer.text = document.getElementById('reportFooterText').value.trim();
+  reportTemplateDraft.footer.pageNumbers = document.getElementById('reportFooterPageNumbers').checked;
+  reportTemplateDraft.issuePhotos = document.getElementById('reportIssuePhotos').checked;
+}
+
+function renderReportTemplateForm() {
+  REPORT_HEADER_FIELDS.forEach(key => {
+    document.getElementById(`reportHeader_${key}`).value = reportTemplateDraft.header[key] || '';
+  });
+  document.getElementById('reportFooterText').value = reportTemplateDraft.footer.text || '';
+  document.getElementById('reportFooterPageNumbers').checked = reportTemplateDraft.footer.pageNumbers;
+  document.getElementById('reportIssuePhotos').checked = reportTemplateDraft.issuePhotos;
+  renderReportTemplateSections();
+  renderReportTemplateColumns();
+  renderReportLogoPreview();
+}
+
+window.toggleReportSection = function (index, enabled) {
+  reportTemplateDraft.sections[index].enabled = enabled;
+};
+
+window.moveReportSection = function (index, offset) {
+  const sections = reportTemplateDraft.sections;
+  const target = index + offset;
+  if (target < 0 || target >= sections.length) return;
+  [sections[index], sections[target]] = [sections[target], sections[index]];
+  renderReportTemplateSections();
+};
+
+window.toggleReportColumn = function (format, key, enabled) {
+  const keys = reportTemplateDraft.columns[reportTemplateColumnTab][format];
+  const next = enabled ? [...keys, key] : keys.filter(existing => existing !== key);
+  // Keep catalog order so exports do not depend on the click order
+  reportTemplateDraft.columns[reportTemplateColumnTab][format] =
+    REPORT_DATASETS[reportTemplateColumnTab].columns.map(column => column.key).filter(columnKey => next.includes(columnKey));
+};
+
+function openReportTemplateModal() {
+  reportTemplateDraft = getReportTemplate();
+  reportTemplateColumnTab = 'productivity';
+  pendingReportLogo = null;
+  renderReportTemplateForm();
+  document.getElementById('reportTemplateModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
+
+function closeReportTemplateModal() {
+  document.getElementById('reportTemplateModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  document.getElementById('reportLogoInput').value = '';
+}
+
+async function handleReportLogoSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  if (!file.type.startsWith('image/')) {
+    showToast('Logo harus berupa file gambar', 'error');
+    event.target.value = '';
+    return;
+  }
+  pendingReportLogo = { blob: file, base64: await imageStorage.blobToBase64(file) };
+  renderReportLogoPreview();
+}
+
+function removeReportLogo() {
+  // false = remove the saved logo on save (null means keep it)
+  pendingReportLogo = false;
+  document.getElementById('reportLogoInput').value = '';
+  renderReportLogoPreview();
+}
+
+function resetReportTemplateDraft() {
+  const logoImageId = reportTemplateDraft.logoImageId;
+  reportTemplateDraft = { ...getDefaultReportTemplate(), logoImageId };
+  renderReportTemplateForm();
+}
+
+async function saveReportTemplate() {
+  readReportTemplateHeader();
+
+  for (const dataset of REPORT_COLUMN_DATASETS) {
+    for (const format of Object.keys(REPORT_FORMATS)) {
+      if (reportTemplateDraft.columns[dataset][format].length === 0) {
+        showToast(`Pilih minimal 1 kolom ${REPORT_DATASETS[dataset].label} untuk ${REPORT_FORMATS[format]}`, 'error');
+        return;
+      }
     }
+  }
+  if (!reportTemplateDraft.sections.some(section => section.enabled)) {
+    showToast('Pilih minimal 1 bagian laporan', 'error');
+    return;
+  }
 
-    // Destroy existing chart if any
-    if (AppState.excavatorCharts[excavatorId].matchFactor) {
-      AppState.excavatorCharts[excavatorId].matchFactor.destroy();
-      AppState.excavatorCharts[excavatorId].matchFactor = null;
+  try {
+    const previousLogoId = reportTemplateDraft.logoImageId;
+    if (pendingReportLogo) {
+      reportTemplateDraft.logoImageId = await imageStorage.storeImage(pendingReportLogo.blob, 'report-template');
+    } else if (pendingReportLogo === false) {
+      reportTemplateDraft.logoImageId = null;
     }
+    if (previousLogoId && previousLogoId !== reportTemplateDraft.logoImageId) {
+      await imageStorage.deleteImage(previousLogoId).catch(err => console.warn('Could not delete old report logo:', err));
+    }
+  } catch (error) {
+    console.error('Failed to store report logo:', error);
+    showToast('Gagal menyimpan logo: ' + error.message, 'error');
+    return;
+  }
 
-    const mfCtx = mfCanvas.getContext('2d');
-    if (mfCtx) {
-      AppState.excavatorCharts[excavatorId].matchFactor = new Chart(mfCtx, {
-        type: 'bar',
-        data: {
-          labels: matchFactorData.map(d => formatDateTime(d.waktu)),
-          datasets: [{
-            label: 'Match Factor',
-            data: matchFactorData.map(d => d.matchFactor),
-            backgroundColor: colors.mfBg,
-            borderColor: colors.mf,
-            borderWidth: 2,
-            borderRadius: isMobile ? 4 : 6,
-            barThickness: isMobile ? 20 : 30
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          onClick: (event, activeElements) => {
-            if (activeElements && activeElements.length > 0) {
-              const index = activeElements[0].index;
-              const clickedData = matchFactorData[index];
-              if (clickedData && clickedData.waktu) {
-                viewIssuesForExcavatorAndDate(excavatorId, clickedData.waktu);
-              }
-            }
-          },
-          plugins: {
-            legend: { display: false },
-            tooltip: {
-              enabled: true,
-              backgroundColor: 'rgba(0, 0, 0, 0.8)',
-              titleFont: { size: fontSize.tooltip },
-              bodyFont: { size: fontSize.tooltip },
-              padding: 12,
-              callbacks: {
-                label: function (context) {
-                  return ` ${context.parsed.y.toFixed(2)}`;
-                },
-                afterLabel: function (context) {
-                  return '💡 Klik untuk lihat catatan';
-                }
-              }
-            }
-          },
-          scales: {
-            x: {
-              display: true,
-              ticks: {
-                font: { size: fontSize.axis },
-                maxRotation: 45,
-                minRotation: 45
-              },
-              grid: { display: false }
-            },
-            y: {
-              beginAtZero: true,
-              suggestedMax: 2.0,
-              ticks: {
-                font: { size: fontSize.axis },
-                callback: function (value) {
-                  return value.toFixed(1);
-                }
-              },
-              grid: { color: 'rgba(0, 0, 0, 0.05)' }
-            }
-          },
-          animation: { duration: isMobile ? 500 : 750 }
-        }
-      });
+  localStorage.setItem('reportTemplate', JSON.stringify(reportTemplateDraft));
+  closeReportTemplateModal();
+  showToast('Template laporan disimpan', 'success');
+}
 
-      // Calculate stats
-      const values = matchFactorData.map(d => d.matchFactor);
-      const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2);
-      const max = Math.max(...values).toFixed(2);
-      const min = Math.min(...values).toFixed(2);
+// ==========================================
+// Export Functions - Comprehensive Format
+// ==========================================
+/**
+ * Records, issues and labels behind a Productivity or Match Factor report
+ * @param {string} type - 'productivity' | 'matchFactor'
+ * @param {string|null} excavatorId - Limit the report to one excavator
+ * @returns {Object} { type, config, excavatorId, records, issues, title, fileName(extension) }
+ */
+function getDatasetReport(type, excavatorId = null) {
+  const config = REPORT_DATASETS[type];
+  const source = type === 'productivity' ? AppState.productivityData : AppState.matchFactorData;
+  const issues = excavatorId ? AppState.issuesData.filter(d => d.excavator === excavatorId) : AppState.issuesData;
 
-      // Status color based on average
-      const avgNum = parseFloat(avg);
-      let statusColor = 'text-green-500';
-      let statusText = 'Optimal';
-      let statusIcon = 'fa-circle-check'; // Green check for optimal
+  return {
+    type,
+    config,
+    excavatorId,
+    records: excavatorId ? source.filter(d => d.noExcavator === excavatorId) : source,
+    // Newest first - consistent with web dashboard
+    issues: [...issues].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+    title: `Laporan ${config.label}${excavatorId ? ` - Excavator ${excavatorId}` : ''}`,
+    fileName: (extension) => excavatorId
+      ? `${config.filePrefix}_${excavatorId}_${new Date().getTime()}.${extension}`
+      : `SmartzProd_${type}_${new Date().getTime()}.${extension}`
+  };
+}
 
-      if (avgNum < 1) {
-        statusColor = 'text-yellow-500';
-        statusText = 'Under';
-        statusIcon = 'fa-triangle-exclamation'; // Yellow warning for under
-      } else if (avgNum > 1) {
-        statusColor = 'text-orange-500';
-        statusText = 'Over';
-        statusIcon = 'fa-circle-xmark'; // Orange X for over/excess
+/**
+ * Summary section: per-excavator statistics for a fleet report, or a metric list when the
+ * report covers a single excavator
+ * @returns {Object} Table spec
+ */
+function getDatasetSummaryTable(report) {
+  const { type, config, records, excavatorId } = report;
+  const getUsage = createTimeUsageLookup();
+  const stats = (items) => {
+    const values = items.map(d => parseFloat(d[config.valueField]) || 0);
+    return {
+      average: (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2),
+      max: Math.max(...values).toFixed(2),
+      min: Math.min(...values).toFixed(2)
+    };
+  };
+
+  if (excavatorId) {
+    const rows = [];
+    const fills = [];
+    const add = (metric, value, fill = null) => {
+      rows.push([metric, value]);
+      fills.push([null, fill]);
+    };
+    const unit = type === 'productivity' ? ' (BCM/Jam)' : '';
+    const { average, max, min } = stats(records);
+
+    add('Excavator', excavatorId);
+    add('Total Records', records.length);
+    add(`Average ${config.label}${unit}`, average);
+    add(`Max ${config.label}${unit}`, max);
+    add(`Min ${config.label}${unit}`, min);
+
+    if (type === 'productivity') {
+      const achievement = summarizeAchievement(records);
+      if (achievement) {
+        add('Avg Target (BCM/Jam)', achievement.target.toFixed(2));
+        add('Achievement (%)', `${achievement.percent.toFixed(1)} (${achievement.state.label})`, achievement.state);
       }
+      const timeUsage = summarizeTimeUsage(records, getUsage);
+      add('Jam Kerja', `${timeUsage.workingHours.toFixed(2)} (${timeUsage.workingPercent.toFixed(1)}%)`);
+      add('Jam Delay', `${timeUsage.delayHours.toFixed(2)} (${timeUsage.delayPercent.toFixed(1)}%)`);
+      add('Jam Tak Tercatat', `${timeUsage.unaccountedHours.toFixed(2)} (${timeUsage.unaccountedPercent.toFixed(1)}%)`);
+      add('Rincian Delay', formatDelayBreakdown(timeUsage.byCode));
+    }
 
-      document.getElementById(`mf-stats-${excavatorId}`).innerHTML = `
-        <span><i class="fas fa-chart-simple text-gray-400 mr-1"></i>Avg: ${avg}</span>
-        <span><i class="fas fa-arrow-up text-green-500 mr-1"></i>Max: ${max}</span>
-        <span><i class="fas fa-arrow-down text-red-500 mr-1"></i>Min: ${min}</span>
-        <span><i class="fas ${statusIcon} ${statusColor} mr-1"></i>${statusText}</span>
-      `;
+    return { head: ['Metric', 'Value'], rows, widths: [30, 40], fills };
+  }
+
+  const head = ['Excavator', 'Total Records', 'Average', 'Max', 'Min'];
+  const widths = [15, 15, 20, 20, 20];
+  if (type === 'productivity') {
+    head.push('Jam Kerja', 'Jam Delay', 'Jam Tak Tercatat', 'Kerja / Delay / Tak Tercatat (%)');
+    widths.push(12, 12, 16, 30);
+  }
+
+  const rows = [...new Set(records.map(d => d.noExcavator))].map(excavator => {
+    const excavatorData = records.filter(d => d.noExcavator === excavator);
+    const { average, max, min } = stats(excavatorData);
+    const row = [excavator, excavatorData.length, average, max, min];
+    if (type === 'productivity') {
+      const timeUsage = summarizeTimeUsage(excavatorData, getUsage);
+      row.push(
+        timeUsage.workingHours.toFixed(2),
+        timeUsage.delayHours.toFixed(2),
+        timeUsage.unaccountedHours.toFixed(2),
+        `${timeUsage.workingPercent.toFixed(1)} / ${timeUsage.delayPercent.toFixed(1)} / ${timeUsage.unaccountedPercent.toFixed(1)}`
+      );
     }
-  } else {
-    document.getElementById(`matchfactor-${excavatorId}`).parentElement.innerHTML = `
-      <div class="flex items-center justify-center h-48 text-gray-400">
-        <div class="text-center">
-          <i class="fas fa-chart-line text-4xl mb-2"></i>
-          <p class="text-sm">No match factor data</p>
-        </div>
-      </div>
-    `;
+    return row;
+  });
+
+  return { head, rows, widths };
+}
+
+/**
+ * Chart image of one excavator for a report whose card is not on screen (filtered out or
+ * not yet rendered): the report values as bars with the target (or MF 1.0) as a line
+ * @returns {{base64: string, width: number, height: number}}
+ */
+function renderOffscreenChartImage(report, excavatorId) {
+  const { type, config } = report;
+  const records = report.records
+    .filter(d => d.noExcavator === excavatorId)
+    .sort((a, b) => new Date(a.waktu) - new Date(b.waktu));
+  const canvas = document.createElement('canvas');
+  canvas.width = 1000;
+  canvas.height = 400;
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: records.map(d => formatDateTime(d.waktu)),
+      datasets: [{
+        label: type === 'productivity' ? 'Productivity (BCM/Jam)' : 'Match Factor',
+        data: records.map(d => parseFloat(d[config.valueField]) || 0),
+        backgroundColor: `rgb(${config.rgb.join(', ')})`,
+        borderRadius: 4
+      }, {
+        type: 'line',
+        label: type === 'productivity' ? 'Target' : 'MF Ideal',
+        data: records.map(d => {
+          if (type !== 'productivity') return 1;
+          const achievement = getProductivityAchievement(d);
+          return achievement ? achievement.target : null;
+        }),
+        borderColor: 'rgb(239, 68, 68)',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+        spanGaps: true
+      }]
+    },
+    options: {
+      responsive: false,
+      animation: false,
+      plugins: { title: { display: true, text: `${config.label} - Excavator ${excavatorId}` } }
+    }
+  });
+
+  const base64 = chart.toBase64Image('image/png', 1);
+  chart.destroy();
+  return { base64, width: canvas.width, height: canvas.height };
+}
+
+// One chart image per excavator in the report: the on-screen chart when its card is rendered,
+// otherwise an offscreen one
+function getDatasetChartImages(report) {
+  return [...new Set(report.records.map(d => d.noExcavator))].map(excavatorId => {
+    const canvas = document.getElementById(`${report.config.chartPrefix}-${excavatorId}`);
+    try {
+      const image = canvas
+        ? { base64: canvas.toDataURL('image/png', 1.0), width: canvas.width, height: canvas.height }
+        : renderOffscreenChartImage(report, excavatorId);
+      return { excavatorId, ...image };
+    } catch (err) {
+      console.warn(`Could not capture chart for ${excavatorId}:`, err);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// ==========================================
+// Pivot Data Model (Excel fact table)
+// ==========================================
+// One row per excavator-hour joining productivity, match factor and issues, with the
+// dimensions analysts pivot on. Values stay numeric (no toFixed) so PivotTables can sum them.
+const FACT_TABLE_NAME = 'FaktaExcavatorJam';
+
+const FACT_COLUMNS = [
+  { key: 'productionDate', header: 'Tanggal Produksi', width: 14, numFmt: 'dd/mm/yyyy' },
+  { key: 'shift', header: 'Shift', width: 8 },
+  { key: 'hour', header: 'Jam', width: 8 },
+  { key: 'pit', header: 'Pit', width: 12 },
+  { key: 'excavator', header: 'Excavator', width: 12 },
+  { key: 'excavatorClass', header: 'Kelas Excavator', width: 14 },
+  { key: 'material', header: 'Material', width: 12 },
+  { key: 'operator', header: 'Operator', width: 20 },
+  { key: 'supervisor', header: 'Pengawas', width: 20 },
+  { key: 'supervisorNrp', header: 'NRP Pengawas', width: 14 },
+  { key: 'ritase', header: 'Ritase', width: 9, numFmt: '0' },
+  { key: 'volumeBcm', header: 'Volume (BCM)', width: 13, numFmt: '#,##0.0' },
+  { key: 'productivity', header: 'Productivity (BCM/Jam)', width: 14, numFmt: '#,##0.0' },
+  { key: 'target', header: 'Target (BCM/Jam)', width: 13, numFmt: '#,##0.0' },
+  { key: 'achievement', header: 'Achievement (%)', width: 13, numFmt: '0.0' },
+  { key: 'workingMinutes', header: 'Kerja (Menit)', width: 12, numFmt: '0.0' },
+  { key: 'delayMinutes', header: 'Delay (Menit)', width: 12, numFmt: '0.0' },
+  { key: 'unaccountedMinutes', header: 'Tak Tercatat (Menit)', width: 14, numFmt: '0.0' },
+  { key: 'matchFactor', header: 'Match Factor', width: 12, numFmt: '0.00' },
+  { key: 'haulers', header: 'Jumlah HD', width: 10, numFmt: '0' },
+  { key: 'cycleTimeHauler', header: 'CT Hauler (min)', width: 13, numFmt: '0.00' },
+  { key: 'cycleTimeLoader', header: 'CT Loader (min)', width: 13, numFmt: '0.00' },
+  { key: 'issueCount', header: 'Jumlah Issue', width: 11, numFmt: '0' }
+];
+
+// Numeric cell value, or null so empty measures are skipped by Excel aggregates
+function toFactNumber(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * Fact rows for the excavator-hours of the report's scope (all excavators or one)
+ * @param {string|null} excavatorId
+ * @returns {Object[]} Rows keyed by FACT_COLUMNS, oldest hour first
+ */
+function buildFactRows(excavatorId = null) {
+  const inScope = (code) => !excavatorId || code === excavatorId;
+  const registry = getEquipmentRegistry();
+  const getUsage = createTimeUsageLookup();
+  const getIssues = createRecordIssueLookup();
+  const productivityByHour = indexLatestByExcavatorHour(AppState.productivityData.filter(record => inScope(record.noExcavator)));
+  const matchFactorByHour = indexLatestByExcavatorHour(AppState.matchFactorData.filter(record => inScope(record.noExcavator)));
+  const keys = new Set([...productivityByHour.keys(), ...matchFactorByHour.keys()]);
+
+  return Array.from(keys, key => ({
+    productivity: productivityByHour.get(key) || null,
+    matchFactor: matchFactorByHour.get(key) || null
+  })).map(({ productivity, matchFactor }) => {
+    const base = productivity || matchFactor;
+    const time = new Date(base.waktu);
+    const achievement = productivity ? getProductivityAchievement(productivity) : null;
+    const usage = productivity ? getUsage(productivity) : null;
+    const issues = new Map();
+    [productivity, matchFactor].filter(Boolean).forEach(record => {
+      getIssues(record).forEach(issue => issues.set(issue.id, issue));
+    });
+
+    return {
+      time,
+      // ExcelJS writes dates as UTC, so midnight UTC keeps the calendar day in every timezone
+      productionDate: base.productionDate ? new Date(`${base.productionDate}T00:00:00Z`) : null,
+      shift: base.shift || '',
+      hour: `${String(time.getHours()).padStart(2, '0')}:00`,
+      pit: String(findRegisteredExcavator(base.noExcavator, registry)?.pit || '').trim(),
+      excavator: base.noExcavator,
+      excavatorClass: getExcavatorClass(base),
+      material: base.jenisMaterial || '',
+      operator: normalizePersonName(base.namaOperator),
+      supervisor: normalizePersonName(base.namaPengawas),
+      supervisorNrp: base.nrp || '',
+      ritase: productivity ? toFactNumber(productivity.jumlahRitase) : null,
+      volumeBcm: productivity ? toFactNumber((parseFloat(productivity.jumlahRitase) || 0) * getCapacityBcm(productivity)) : null,
+      productivity: productivity ? toFactNumber(productivity.productivity) : null,
+      target: achievement ? achievement.target : null,
+      achievement: achievement ? achievement.percent : null,
+      workingMinutes: usage ? usage.workingMinutes : null,
+      delayMinutes: usage ? usage.delayMinutes : null,
+      unaccountedMinutes: usage ? usage.unaccountedMinutes : null,
+      matchFactor: matchFactor ? toFactNumber(matchFactor.matchFactor) : null,
+      haulers: matchFactor ? toFactNumber(matchFactor.jumlahHD) : null,
+      cycleTimeHauler: matchFactor ? toFactNumber(matchFactor.cycleTimeHauler) : null,
+      cycleTimeLoader: matchFactor ? toFactNumber(matchFactor.cycleTimeLoader) : null,
+      issueCount: issues.size
+    };
+  }).sort((a, b) => a.time - b.time);
+}
+
+// Column letter(s) for a 1-based column number
+function getExcelColumnLetter(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
   }
+  return letters;
 }
 
-// Legacy functions - now redirect to individual charts
-function updateProductivityChart() {
-  renderIndividualCharts();
-}
+/**
+ * Add the "Data Pivot" sheet: the fact rows as an Excel Table plus a named range for the
+ * whole table (Fakta_Tabel) and each column (Fakta_<key>), ready for PivotTables
+ * @returns {Object|null} Worksheet, or null when the scope has no excavator-hours
+ */
+function addFactTableSheet(workbook, excavatorId = null) {
+  const rows = buildFactRows(excavatorId);
+  if (rows.length === 0) return null;
+
+  const sheetName = 'Data Pivot';
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.addTable({
+    name: FACT_TABLE_NAME,
+    ref: 'A1',
+    headerRow: true,
+    style: { theme: 'TableStyleMedium2', showRowStripes: true },
+    columns: FACT_COLUMNS.map(column => ({ name: column.header, filterButton: true })),
+    rows: rows.map(row => FACT_COLUMNS.map(column => row[column.key]))
+  });
+
+  const lastRow = rows.length + 1;
+  const lastColumn = getExcelColumnLetter(FACT_COLUMNS.length);
+  workbook.definedNames.add(`'${sheetName}'!$A$1:$${lastColumn}$${lastRow}`, 'Fakta_Tabel');
+  FACT_COLUMNS.forEach((column, index) => {
+    const letter = getExcelColumnLetter(index + 1);
+    const sheetColumn = sheet.getColumn(index + 1);
+    sheetColumn.width = column.width;
+    if (column.numFmt) sheetColumn.numFmt = column.numFmt;
+    workbook.definedNames.add(`'${sheetName}'!$${letter}$2:$${letter}$${lastRow}`, `Fakta_${column.key}`);
+  });
 
-function updateMatchFactorChart() {
-  renderIndividualCharts();
+  return sheet;
 }
 
-// Make toggleExcavatorCard global
-window.toggleExcavatorCard = toggleExcavatorCard;
+/**
+ * Render a Productivity or Match Factor report to PDF in the template's section order
+ * @returns {Promise<Object>} PDF report (call save() or output())
+ */
+async function buildDatasetPdf(report) {
+  const { type, config, records, issues } = report;
+  const pdf = await createPdfReport({ orientation: 'l', title: report.title, code: config.code, unit: report.excavatorId || '' });
+  const { doc, template } = pdf;
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  const sections = {
+    data: () => {
+      pdf.section(`${config.label} Data`);
+      pdf.table(buildReportTable(type, records, 'pdf', template), { fillColor: config.rgb, styles: { fontSize: 7 } });
+    },
 
-// Expand/Collapse All Functions
-window.expandAllExcavators = function () {
-  const excavatorCards = document.querySelectorAll('.excavator-card');
-  const expandedCards = {};
+    summary: () => {
+      pdf.section(config.summaryTitle);
+      pdf.table(getDatasetSummaryTable(report), { fillColor: config.rgb, styles: { fontSize: 9 } });
+    },
 
-  excavatorCards.forEach(card => {
-    const excavatorId = card.dataset.excavator;
-    const chartsGrid = card.querySelector('.charts-grid');
-    const chevron = card.querySelector('.fa-chevron-down');
+    charts: () => {
+      const charts = getDatasetChartImages(report);
+      if (charts.length === 0) return;
+      pdf.section('Grafik per Excavator');
 
-    if (chartsGrid && chevron) {
-      chartsGrid.classList.remove('collapsed');
-      chevron.classList.add('rotate-180');
-      expandedCards[excavatorId] = true;
-    }
-  });
+      charts.forEach(({ excavatorId, base64, width, height }) => {
+        try {
+          // Keep the aspect ratio and center the chart horizontally
+          const chartWidth = 180;
+          const chartHeight = chartWidth / (width / height);
+          pdf.ensureSpace(chartHeight + 25);
 
-  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
+          doc.setFontSize(11);
+          doc.setFont(undefined, 'bold');
+          doc.text(`Chart - Excavator ${excavatorId}`, 14, pdf.yPos);
+          pdf.yPos += 5;
 
-  // Update button states
-  const expandBtn = document.getElementById('btnExpandAll');
-  const collapseBtn = document.getElementById('btnCollapseAll');
+          const xPos = (pageWidth - chartWidth) / 2;
+          doc.setFillColor(255, 255, 255);
+          doc.rect(xPos, pdf.yPos, chartWidth, chartHeight, 'F');
+          doc.addImage(base64, 'PNG', xPos, pdf.yPos, chartWidth, chartHeight);
+          pdf.yPos += chartHeight + 10;
+        } catch (err) {
+          console.warn(`Could not capture chart for ${excavatorId}:`, err);
+        }
+      });
+    },
 
-  if (expandBtn && collapseBtn) {
-    expandBtn.classList.add('active');
-    collapseBtn.classList.remove('active');
+    issues: async () => {
+      if (issues.length === 0) return;
+      pdf.section('Issue Log');
+      pdf.table(buildReportTable('issues', issues, 'pdf', template), {
+        fillColor: REPORT_DATASETS.issues.rgb,
+        styles: { fontSize: 7, cellPadding: 2, overflow: 'linebreak' }
+      });
+      if (!template.issuePhotos) return;
 
-    expandBtn.classList.remove('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
-    expandBtn.classList.add('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
+      for (let index = 0; index < issues.length; index++) {
+        const issue = issues[index];
+        const groups = [
+          ['Dokumentasi Masalah', issue.imageIds || []],
+          ['Follow Up Perbaikan', issue.followUpImageIds || []]
+        ];
+        for (const [label, imageIds] of groups) {
+          if (imageIds.length === 0) continue;
+          pdf.ensureSpace(60);
+          doc.setFontSize(9);
+          doc.setFont(undefined, 'bold');
+          doc.text(`Issue #${index + 1} - ${issue.excavator} - ${label} (${imageIds.length} foto)`, 14, pdf.yPos);
+          pdf.yPos += 4;
+          await pdf.photos(imageIds);
+          pdf.yPos += 4;
+        }
+      }
+    }
+  };
 
-    collapseBtn.classList.remove('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
-    collapseBtn.classList.add('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
+  for (const key of getReportSectionOrder(template)) {
+    await sections[key]();
   }
+  return pdf;
+}
 
-  showToast('All excavator cards expanded', 'success');
-};
+/**
+ * Render a Productivity or Match Factor report to Excel (one sheet per section) and download it
+ */
+async function exportDatasetExcel(report) {
+  const { type, config, records, issues, excavatorId } = report;
+  const excel = await createExcelReport({ title: report.title, code: config.code, unit: excavatorId || '' });
+  const { workbook, template } = excel;
+
+  const sections = {
+    data: () => {
+      excel.addTableSheet(`${config.label} Data`, buildReportTable(type, records, 'excel', template), config.argb);
+      if (type === 'matchFactor') {
+        addCycleTimeSampleSheet(workbook, records);
+      }
+    },
 
-window.collapseAllExcavators = function () {
-  const excavatorCards = document.querySelectorAll('.excavator-card');
-  const expandedCards = {};
+    summary: () => {
+      const sheetName = excavatorId ? 'Chart Summary' : (type === 'productivity' ? 'Productivity Trend' : 'Match Factor Analysis');
+      excel.addTableSheet(sheetName, getDatasetSummaryTable(report), config.argb);
+    },
 
-  excavatorCards.forEach(card => {
-    const excavatorId = card.dataset.excavator;
-    const chartsGrid = card.querySelector('.charts-grid');
-    const chevron = card.querySelector('.fa-chevron-down');
+    charts: () => {
+      const charts = getDatasetChartImages(report);
+      if (charts.length === 0) return;
 
-    if (chartsGrid && chevron) {
-      chartsGrid.classList.add('collapsed');
-      chevron.classList.remove('rotate-180');
-      expandedCards[excavatorId] = false;
+      const chartSheet = workbook.addWorksheet('Grafik');
+      let currentRow = 1;
+      charts.forEach(({ excavatorId: chartExcavator, base64, width, height }) => {
+        try {
+          const chartImageId = workbook.addImage({ base64, extension: 'png' });
+          chartSheet.getCell(`A${currentRow}`).value = `Chart - Excavator ${chartExcavator}`;
+          chartSheet.getCell(`A${currentRow}`).font = { bold: true, size: 12 };
+          currentRow += 1;
+
+          const imageWidth = 500;
+          const imageHeight = imageWidth / (width / height);
+          chartSheet.addImage(chartImageId, {
+            tl: { col: 0, row: currentRow },
+            ext: { width: imageWidth, height: imageHeight }
+          });
+          currentRow += Math.ceil(imageHeight / 20) + 2;
+        } catch (err) {
+          console.warn(`Could not capture chart for ${chartExcavator}:`, err);
+        }
+      });
+    },
+
+    issues: async () => {
+      if (issues.length === 0) return;
+      const spec = buildReportTable('issues', issues, 'excel', template);
+      const issueSheet = excel.addTableSheet('Issue Log', spec, REPORT_DATASETS.issues.argb);
+      if (!template.issuePhotos) return;
+
+      // Photos go one per column, right after the data columns
+      for (let index = 0; index < issues.length; index++) {
+        await addExcelIssuePhotos(workbook, issueSheet, issues[index], index + 2, spec.head.length);
+      }
     }
-  });
+  };
 
-  localStorage.setItem('expandedCards', JSON.stringify(expandedCards));
+  for (const key of getReportSectionOrder(template)) {
+    await sections[key]();
+  }
+  // Always included, whatever the template: the sheet analysts build PivotTables from
+  addFactTableSheet(workbook, excavatorId);
+  await excel.save(report.fileName('xlsx'));
+}
 
-  // Update button states
-  const expandBtn = document.getElementById('btnExpandAll');
-  const collapseBtn = document.getElementById('btnCollapseAll');
+async function exportToExcel(type) {
+  const report = getDatasetReport(type);
 
-  if (expandBtn && collapseBtn) {
-    collapseBtn.classList.add('active');
-    expandBtn.classList.remove('active');
+  if (report.records.length === 0) {
+    showAlert('Tidak ada data untuk diexport', 'error');
+    return;
+  }
 
-    collapseBtn.classList.remove('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
-    collapseBtn.classList.add('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
+  try {
+    showAlert('Memproses export... mohon tunggu', 'info');
+    await exportDatasetExcel(report);
+    showAlert('Export ke Excel berhasil!', 'success');
+  } catch (error) {
+    console.error('Export Excel error:', error);
+    showAlert('Gagal export ke Excel: ' + error.message, 'error');
+  }
+}
 
-    expandBtn.classList.remove('bg-blue-50', 'text-blue-600', 'hover:bg-blue-100');
-    expandBtn.classList.add('bg-gray-50', 'text-gray-600', 'hover:bg-gray-100');
+async function exportToPDF(type) {
+  const report = getDatasetReport(type);
+
+  if (report.records.length === 0) {
+    showAlert('Tidak ada data untuk diexport', 'error');
+    return;
   }
-  showToast('All excavator cards collapsed', 'info');
-};
+
+  try {
+    showAlert('Memproses export... mohon tunggu', 'info');
+    const pdf = await buildDatasetPdf(report);
+    pdf.save(report.fileName('pdf'));
+    showAlert('Export ke PDF berhasil!', 'success');
+  } catch (error) {
+    console.error('Export PDF error:', error);
+    showAlert('Gagal export ke PDF: ' + error.message, 'error');
+  }
+}
 
 // ==========================================
-// Edit & Delete Functions
+// WhatsApp Integration Helper
 // ==========================================
-function editData(type, index) {
-  AppState.currentEditType = type;
-  AppState.currentEditIndex = index;
+/**
+ * Opens WhatsApp (Desktop app or Web) with pre-filled caption
+ * @param {string} caption - The message to pre-fill in WhatsApp
+ */
+function openWhatsAppWithCaption(caption) {
+  const encodedCaption = encodeURIComponent(caption);
 
-  const data = type === 'productivity' ? AppState.productivityData[index] : AppState.matchFactorData[index];
+  // Try to open WhatsApp Desktop app first
+  const whatsappDesktopUrl = `whatsapp://send?text=${encodedCaption}`;
+  const whatsappWebUrl = `https://web.whatsapp.com/send?text=${encodedCaption}`;
 
-  let modalContent = '';
+  // Attempt to open desktop app
+  const desktopWindow = window.open(whatsappDesktopUrl, '_blank');
 
-  if (type === 'productivity') {
-    modalContent = `
-            <div class="space-y-4">
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-clock text-blue-500 mr-2"></i>Waktu
-                    </label>
-                    <input type="datetime-local" id="editWaktu" value="${data.waktu}"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-hashtag text-blue-500 mr-2"></i>Jumlah Ritase
-                    </label>
-                    <input type="number" id="editJumlahRitase" value="${data.jumlahRitase}"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-gauge text-blue-500 mr-2"></i>HM Awal
-                    </label>
-                    <input type="number" id="editHmAwal" value="${data.hmAwal}" step="0.01"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-gauge-high text-blue-500 mr-2"></i>HM Akhir
-                    </label>
-                    <input type="number" id="editHmAkhir" value="${data.hmAkhir}" step="0.01"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-box text-blue-500 mr-2"></i>Kapasitas (BCM)
-                    </label>
-                    <input type="number" id="editKapasitas" value="${data.kapasitas}" step="0.01"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200">
-                </div>
-            </div>
-        `;
-  } else {
-    modalContent = `
-            <div class="space-y-4">
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-clock text-purple-500 mr-2"></i>Waktu
-                    </label>
-                    <input type="datetime-local" id="editWaktuMF" value="${data.waktu}"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-truck text-purple-500 mr-2"></i>Jumlah HD
-                    </label>
-                    <input type="number" id="editJumlahHD" value="${data.jumlahHD}"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-hourglass-start text-purple-500 mr-2"></i>Cycle Time Hauler (menit)
-                    </label>
-                    <input type="number" id="editCycleTimeHauler" value="${data.cycleTimeHauler}" step="0.01"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
-                </div>
-                <div>
-                    <label class="block text-sm font-semibold text-gray-700 mb-2">
-                        <i class="fas fa-hourglass-half text-purple-500 mr-2"></i>Cycle Time Loader (menit)
-                    </label>
-                    <input type="number" id="editCycleTimeLoader" value="${data.cycleTimeLoader}" step="0.01"
-                           class="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200">
-                </div>
-            </div>
-        `;
+  // Fallback to WhatsApp Web after a short delay if desktop app doesn't respond
+  setTimeout(() => {
+    // If desktop app didn't open (window is null or closed immediately), open web version
+    if (!desktopWindow || desktopWindow.closed) {
+      window.open(whatsappWebUrl, '_blank');
+      console.log('Opened WhatsApp Web (desktop app not detected)');
+    } else {
+      console.log('Opened WhatsApp Desktop app');
+    }
+  }, 1000);
+}
+
+// ==========================================
+// Share PDF via Web Share API (Platform-aware)
+// ==========================================
+async function sharePDFToWhatsApp(type) {
+  const data = type === 'productivity' ? AppState.productivityData : AppState.matchFactorData;
+
+  if (data.length === 0) {
+    showAlert('Tidak ada data untuk dibagikan', 'error');
+    return;
   }
 
-  document.getElementById('editModalContent').innerHTML = modalContent;
+  // Check if Web Share API is supported
+  // Note: We check support but don't block - fallback to download if sharing unavailable
+  const webShareSupported = typeof navigator.share === 'function';
+  const canShareFiles = (file) => {
+    try {
+      return navigator.canShare && navigator.canShare({ files: [file] });
+    } catch {
+      return false;
+    }
+  };
+
+  try {
+    showAlert('Memproses PDF... mohon tunggu', 'info');
+
+    const report = getDatasetReport(type);
+    const pdf = await buildDatasetPdf(report);
+    const { doc, title } = pdf;
+    const formattedDate = formatReportTimestamp(pdf.generatedAt);
+
+    // Get PDF as blob
+    const pdfBlob = pdf.output();
+    const fileName = report.fileName('pdf');
 
-  const modal = document.getElementById('editModal');
-  modal.classList.remove('hidden');
+    // Create File object from blob
+    const pdfFile = new File([pdfBlob], fileName, { type: 'application/pdf' });
 
-  // Prevent body scroll when modal is open
-  document.body.classList.add('modal-open');
+    // Generate summary text for sharing (do this BEFORE sharing attempt so clipboard is ready)
+    const excavatorList = [...new Set(data.map(d => d.noExcavator))];
+    const pengawasList = [...new Set(data.map(d => d.namaPengawas))];
 
-  // Add ESC key listener for edit modal
-  const handleEscapeEdit = (e) => {
-    if (e.key === 'Escape') {
-      closeEditModal();
-      document.removeEventListener('keydown', handleEscapeEdit);
-    }
-  };
+    let summaryText = `📊 *${title}*\n`;
+    summaryText += `📅 _${formattedDate}_\n`;
+    summaryText += `━━━━━━━━━━━━━━━━━━━━\n\n`;
 
-  document.addEventListener('keydown', handleEscapeEdit);
+    // Pengawas Information
+    summaryText += `👤 *PENGAWAS*\n`;
+    const uniquePengawas = [...new Set(data.map(d => `${d.namaPengawas} (NRP: ${d.nrp})`))];
+    uniquePengawas.forEach(pengawas => {
+      summaryText += `   • ${pengawas}\n`;
+    });
+    summaryText += `\n`;
 
-  // Store the handler so we can remove it later
-  modal.dataset.escHandler = 'attached';
-}
+    if (type === 'productivity') {
+      // Calculate productivity statistics
+      const totalRecords = data.length;
+      const productivityValues = data.map(d => d.productivity);
+      const avgProductivity = (productivityValues.reduce((a, b) => a + b, 0) / totalRecords).toFixed(2);
+      const maxProductivity = Math.max(...productivityValues).toFixed(2);
+      const minProductivity = Math.min(...productivityValues).toFixed(2);
+      const totalRitase = data.reduce((sum, d) => sum + d.jumlahRitase, 0);
 
-function saveEdit() {
-  const type = AppState.currentEditType;
-  const index = AppState.currentEditIndex;
+      summaryText += `📈 *RINGKASAN DATA*\n`;
+      summaryText += `   • Total Records: *${totalRecords}*\n`;
+      summaryText += `   • Jumlah Excavator: *${excavatorList.length}*\n`;
+      summaryText += `   • Pengawas: *${pengawasList.length}*\n\n`;
 
-  if (type === 'productivity') {
-    const waktu = document.getElementById('editWaktu').value;
-    const jumlahRitase = parseFloat(document.getElementById('editJumlahRitase').value);
-    const hmAwal = parseFloat(document.getElementById('editHmAwal').value);
-    const hmAkhir = parseFloat(document.getElementById('editHmAkhir').value);
-    const kapasitas = parseFloat(document.getElementById('editKapasitas').value);
+      summaryText += `⚙️ *PRODUCTIVITY*\n`;
+      summaryText += `   • Rata-rata: *${avgProductivity}* BCM/Jam\n`;
+      summaryText += `   • Tertinggi: *${maxProductivity}* BCM/Jam\n`;
+      summaryText += `   • Terendah: *${minProductivity}* BCM/Jam\n`;
+      const fleetAchievement = summarizeAchievement(data);
+      if (fleetAchievement) {
+        summaryText += `   • Pencapaian Target: *${fleetAchievement.percent.toFixed(1)}%* (${fleetAchievement.state.label})\n`;
+      }
+      summaryText += `   • Total Ritase: *${totalRitase}*\n`;
+      const getShareUsage = createTimeUsageLookup();
+      const fleetTimeUsage = summarizeTimeUsage(data, getShareUsage);
+      summaryText += `   • Jam Kerja: *${fleetTimeUsage.workingHours.toFixed(1)}* jam (${fleetTimeUsage.workingPercent.toFixed(0)}%)  |  Delay: *${fleetTimeUsage.delayHours.toFixed(1)}* jam (${fleetTimeUsage.delayPercent.toFixed(0)}%)\n`;
+      summaryText += `   • ${formatAvailabilityText(summarizeAvailability(data, getShareUsage))}\n\n`;
 
-    const durasi = hmAkhir - hmAwal;
-    const productivity = (jumlahRitase * kapasitas) / durasi;
+      // Detailed Excavator breakdown with problems
+      summaryText += `━━━━━━━━━━━━━━━━━━━━\n`;
+      summaryText += `🚜 *DETAIL PER EXCAVATOR*\n\n`;
+      const getShareIssues = createRecordIssueLookup();
+      excavatorList.forEach(exc => {
+        const excData = data.filter(d => d.noExcavator === exc).sort((a, b) => {
+          return new Date(a.waktu) - new Date(b.waktu);
+        });
+        const excAvg = (excData.reduce((sum, d) => sum + d.productivity, 0) / excData.length).toFixed(2);
 
-    AppState.productivityData[index] = {
-      ...AppState.productivityData[index],
-      waktu,
-      jumlahRitase,
-      hmAwal,
-      hmAkhir,
-      durasi: parseFloat(durasi.toFixed(2)),
-      kapasitas,
-      productivity: parseFloat(productivity.toFixed(2))
-    };
+        // Get pengawas name for this excavator (use first record's pengawas)
+        const pengawasName = excData[0]?.namaPengawas || '';
 
-    renderProductivityTable();
-    updateProductivityChart();
-  } else {
-    const waktu = document.getElementById('editWaktuMF').value;
-    const jumlahHD = parseFloat(document.getElementById('editJumlahHD').value);
-    const cycleTimeHauler = parseFloat(document.getElementById('editCycleTimeHauler').value);
-    const cycleTimeLoader = parseFloat(document.getElementById('editCycleTimeLoader').value);
+        summaryText += `*${exc}*  |  _Pengawas: ${pengawasName}_\n`;
+        const excAchievement = summarizeAchievement(excData);
+        summaryText += `Rata-rata: *${excAvg} BCM/Jam*`;
+        if (excAchievement) {
+          summaryText += `  |  Target: ${excAchievement.target.toFixed(0)} (*${excAchievement.percent.toFixed(1)}%*)`;
+        }
+        summaryText += `\n\n`;
 
-    const matchFactor = (jumlahHD * cycleTimeLoader) / cycleTimeHauler;
+        excData.forEach((record, idx) => {
+          const time = new Date(record.waktu);
+          const timeStr = time.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false });
+          const timeUsage = getShareUsage(record);
 
-    AppState.matchFactorData[index] = {
-      ...AppState.matchFactorData[index],
-      waktu,
-      jumlahHD,
-      cycleTimeHauler,
-      cycleTimeLoader,
-      matchFactor: parseFloat(matchFactor.toFixed(2))
-    };
+          summaryText += `  *${String.fromCharCode(65 + idx)}. Jam ${timeStr}* (${formatShiftLabel(record)})  →  *${record.productivity} BCM/Jam*\n`;
+          summaryText += `     👤 Operator: _${record.namaOperator || '-'}_\n`;
+          summaryText += `     🪨 Material: ${record.jenisMaterial || '-'}\n`;
+          const recordAchievement = getProductivityAchievement(record);
+          if (recordAchievement) {
+            summaryText += `     🎯 Target: ${recordAchievement.target} BCM/Jam  |  Ach: *${recordAchievement.percent.toFixed(1)}%* (${recordAchievement.state.label})\n`;
+          }
+          summaryText += `     🔄 Ritase: *${record.jumlahRitase}*\n`;
+          summaryText += `     ⏱️ HM Awal: ${record.hmAwal}  |  HM Akhir: ${record.hmAkhir}\n`;
+          summaryText += `     ⚙️ WH: *${timeUsage.workingMinutes.toFixed(2)}* menit  |  Delay: *${timeUsage.delayMinutes.toFixed(2)}* menit`;
+          if (timeUsage.unaccountedMinutes > 0) {
+            summaryText += `  |  Tak tercatat: ${formatMinutes(timeUsage.unaccountedMinutes)} menit`;
+          }
+          summaryText += `\n`;
 
-    renderMatchFactorTable();
-    updateMatchFactorChart();
-  }
+          // Issues logged against this record
+          const relatedIssues = getShareIssues(record);
 
-  saveToLocalStorage();
-  closeEditModal();
-  showToast('Data berhasil diupdate!', 'success');
-}
+          if (relatedIssues.length > 0) {
+            // Collect all delay problems (supports multiple delays per issue)
+            const delayProblems = [];
+            const prodProblems = [];
 
-function deleteData(type, index) {
-  const data = type === 'productivity' ? AppState.productivityData[index] : AppState.matchFactorData[index];
+            relatedIssues.forEach(issue => {
+              // Get all delays from this issue (with backward compatibility)
+              const delays = getIssueDelays(issue);
+              delays.forEach(delay => {
+                let delayText = `${delay.mainCode} ‧ ${delay.mainLabel}`;
+                if (delay.subLabel) delayText += ` - ${delay.subLabel}`;
+                if (delay.customText) delayText += ` (${delay.customText})`;
+                if (getDelayMinutes(delay) > 0) delayText += ` [${formatDelayDuration(delay)}]`;
+                delayProblems.push(delayText);
+              });
 
-  // Build data preview
-  let previewHTML = '';
-  if (type === 'productivity') {
-    previewHTML = `
-      <div class="space-y-2 text-sm">
-        <div class="flex justify-between">
-          <span class="text-gray-500">Excavator:</span>
-          <span class="font-semibold text-gray-900">${data.noExcavator}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Waktu:</span>
-          <span class="font-semibold text-gray-900">${new Date(data.waktu).toLocaleString('id-ID', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    })}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Ritase:</span>
-          <span class="font-semibold text-blue-600">${data.jumlahRitase}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Productivity:</span>
-          <span class="font-semibold text-green-600">${data.productivity.toFixed(2)} BCM/jam</span>
-        </div>
-      </div>
-    `;
-  } else {
-    previewHTML = `
-      <div class="space-y-2 text-sm">
-        <div class="flex justify-between">
-          <span class="text-gray-500">Excavator:</span>
-          <span class="font-semibold text-gray-900">${data.noExcavator}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Waktu:</span>
-          <span class="font-semibold text-gray-900">${new Date(data.waktu).toLocaleString('id-ID', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    })}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Jumlah HD:</span>
-          <span class="font-semibold text-purple-600">${data.jumlahHD}</span>
-        </div>
-        <div class="flex justify-between">
-          <span class="text-gray-500">Match Factor:</span>
-          <span class="font-semibold text-green-600">${data.matchFactor.toFixed(2)}</span>
-        </div>
-      </div>
-    `;
-  }
+              // Get all productivities from this issue (with backward compatibility)
+              const productivities = getIssueProductivities(issue);
+              productivities.forEach(prod => {
+                let prodText = `Kat. ${prod.mainCode} ‧ ${prod.mainLabel}`;
+                if (prod.subOption) prodText += ` - ${prod.subOption}`;
+                if (prod.customText) prodText += ` (${prod.customText})`;
+                prodProblems.push(prodText);
+              });
+            });
 
-  // Show enhanced delete modal
-  showConfirm(
-    'Hapus Data',
-    `Apakah Anda yakin ingin menghapus data ${type === 'productivity' ? 'produktivitas' : 'match factor'} ini? Data yang dihapus tidak dapat dikembalikan.`,
-    'trash',
-    'red',
-    () => {
-      if (type === 'productivity') {
-        AppState.productivityData.splice(index, 1);
-        renderProductivityTable();
-        updateProductivityChart();
+            // Remove duplicates
+            const uniqueDelayProblems = [...new Set(delayProblems)];
+            const uniqueProdProblems = [...new Set(prodProblems)];
+
+            // Format Delay Problems
+            if (uniqueDelayProblems.length > 0) {
+              summaryText += `     ⚠️ *Problem Delay:*\n`;
+              uniqueDelayProblems.forEach(problem => {
+                summaryText += `        ▸ ${problem}\n`;
+              });
+            }
+
+            // Format Productivity Problems
+            if (uniqueProdProblems.length > 0) {
+              summaryText += `     ⚠️ *Problem Productivity:*\n`;
+              uniqueProdProblems.forEach(problem => {
+                summaryText += `        ▸ ${problem}\n`;
+              });
+            }
+          }
+          summaryText += `\n`;
+        });
+      });
+    } else {
+      // Match Factor statistics
+      const totalRecords = data.length;
+      const mfValues = data.map(d => d.matchFactor);
+      const avgMF = (mfValues.reduce((a, b) => a + b, 0) / totalRecords).toFixed(2);
+      const maxMF = Math.max(...mfValues).toFixed(2);
+      const minMF = Math.min(...mfValues).toFixed(2);
+
+      summaryText += `📈 *RINGKASAN DATA*\n`;
+      summaryText += `   • Total Records: *${totalRecords}*\n`;
+      summaryText += `   • Jumlah Excavator: *${excavatorList.length}*\n`;
+      summaryText += `   • Pengawas: *${pengawasList.length}*\n\n`;
+
+      summaryText += `⚖️ *MATCH FACTOR*\n`;
+      summaryText += `   • Rata-rata: *${avgMF}*\n`;
+      summaryText += `   • Tertinggi: *${maxMF}*\n`;
+      summaryText += `   • Terendah: *${minMF}*\n`;
+
+      // Status indication
+      const avgNum = parseFloat(avgMF);
+      if (avgNum >= 0.9 && avgNum <= 1.1) {
+        summaryText += `   • Status: ✅ *Optimal* _(0.9-1.1)_\n\n`;
+      } else if (avgNum < 0.9) {
+        summaryText += `   • Status: ⚠️ *Under Match* _(<0.9)_\n\n`;
       } else {
-        AppState.matchFactorData.splice(index, 1);
-        renderMatchFactorTable();
-        updateMatchFactorChart();
+        summaryText += `   • Status: ⚠️ *Over Match* _(>1.1)_\n\n`;
       }
 
-      saveToLocalStorage();
-      updateFilterOptions();
-      updateTotalRecords();
-      updateLastUpdate();
-      showToast('Data berhasil dihapus!', 'success');
-    },
-    null,
-    previewHTML
-  );
-}
+      // Detailed Excavator breakdown with problems
+      summaryText += `━━━━━━━━━━━━━━━━━━━━\n`;
+      summaryText += `🚜 *DETAIL PER EXCAVATOR*\n\n`;
+      const getShareIssues = createRecordIssueLookup();
+      excavatorList.forEach(exc => {
+        const excData = data.filter(d => d.noExcavator === exc).sort((a, b) => {
+          return new Date(a.waktu) - new Date(b.waktu);
+        });
+        const excAvg = (excData.reduce((sum, d) => sum + d.matchFactor, 0) / excData.length).toFixed(2);
+
+        // Get pengawas name for this excavator (use first record's pengawas)
+        const pengawasName = excData[0]?.namaPengawas || '';
 
-function closeEditModal() {
-  const modal = document.getElementById('editModal');
-  modal.classList.add('hidden');
-  AppState.currentEditIndex = null;
-  AppState.currentEditType = null;
+        summaryText += `*${exc}*  |  _Pengawas: ${pengawasName}_\n`;
+        summaryText += `Rata-rata MF: *${excAvg}*\n\n`;
 
-  // Re-enable body scroll
-  document.body.classList.remove('modal-open');
+        excData.forEach((record, idx) => {
+          const time = new Date(record.waktu);
+          const timeStr = time.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false });
 
-  // Clean up ESC key listener
-  if (modal.dataset.escHandler) {
-    delete modal.dataset.escHandler;
-  }
-}
+          summaryText += `  *${String.fromCharCode(65 + idx)}. Jam ${timeStr}* (${formatShiftLabel(record)})  →  *MF: ${record.matchFactor}*\n`;
+          summaryText += `     👤 Operator: _${record.namaOperator || '-'}_\n`;
+          summaryText += `     🪨 Material: ${record.jenisMaterial || '-'}\n`;
+          summaryText += `     🚚 Jumlah HD: *${record.jumlahHD}*\n`;
+          summaryText += `     ⏱️ CT Hauler: *${record.cycleTimeHauler}* min  |  CT Loader: *${record.cycleTimeLoader}* min\n`;
+          const recommendation = getMatchFactorRecommendation(record);
+          if (recommendation) {
+            summaryText += `     💡 ${describeMatchFactorRecommendation(recommendation)}\n`;
+          }
 
-// ==========================================
-// Filter Functions
-// ==========================================
-function updateFilterOptions() {
-  const filterNama = document.getElementById('filterNama');
-  const filterNRP = document.getElementById('filterNRP');
-  const filterExcavator = document.getElementById('filterExcavator');
+          // Issues logged against this record
+          const relatedIssues = getShareIssues(record);
 
-  // Get unique names
-  const allNames = [...new Set([
-    ...AppState.productivityData.map(d => d.namaPengawas),
-    ...AppState.matchFactorData.map(d => d.namaPengawas)
-  ])];
+          if (relatedIssues.length > 0) {
+            // Collect all delay problems (supports multiple delays per issue)
+            const delayProblems = [];
+            const prodProblems = [];
 
-  // Get unique NRPs
-  const allNRPs = [...new Set([
-    ...AppState.productivityData.map(d => d.nrp),
-    ...AppState.matchFactorData.map(d => d.nrp)
-  ])];
+            relatedIssues.forEach(issue => {
+              // Get all delays from this issue (with backward compatibility)
+              const delays = getIssueDelays(issue);
+              delays.forEach(delay => {
+                let delayText = `${delay.mainCode} ‧ ${delay.mainLabel}`;
+                if (delay.subLabel) delayText += ` - ${delay.subLabel}`;
+                if (delay.customText) delayText += ` (${delay.customText})`;
+                if (getDelayMinutes(delay) > 0) delayText += ` [${formatDelayDuration(delay)}]`;
+                delayProblems.push(delayText);
+              });
 
-  // Get unique excavators
-  const allExcavators = [...new Set([
-    ...AppState.productivityData.map(d => d.noExcavator),
-    ...AppState.matchFactorData.map(d => d.noExcavator)
-  ])];
+              // Get all productivities from this issue (with backward compatibility)
+              const productivities = getIssueProductivities(issue);
+              productivities.forEach(prod => {
+                let prodText = `Kat. ${prod.mainCode} ‧ ${prod.mainLabel}`;
+                if (prod.subOption) prodText += ` - ${prod.subOption}`;
+                if (prod.customText) prodText += ` (${prod.customText})`;
+                prodProblems.push(prodText);
+              });
+            });
 
-  // Update nama filter
-  filterNama.innerHTML = '<option value="">Semua Pengawas</option>';
-  allNames.forEach(name => {
-    filterNama.innerHTML += `<option value="${name}">${name}</option>`;
-  });
+            // Remove duplicates
+            const uniqueDelayProblems = [...new Set(delayProblems)];
+            const uniqueProdProblems = [...new Set(prodProblems)];
 
-  // Update NRP filter
-  if (filterNRP) {
-    filterNRP.innerHTML = '<option value="">Semua NRP</option>';
-    allNRPs.sort().forEach(nrp => {
-      filterNRP.innerHTML += `<option value="${nrp}">${nrp}</option>`;
-    });
-  }
+            // Format Delay Problems
+            if (uniqueDelayProblems.length > 0) {
+              summaryText += `     ⚠️ *Problem Delay:*\n`;
+              uniqueDelayProblems.forEach(problem => {
+                summaryText += `        ▸ ${problem}\n`;
+              });
+            }
 
-  // Update excavator filter
-  filterExcavator.innerHTML = '<option value="">Semua Excavator</option>';
-  allExcavators.forEach(exc => {
-    filterExcavator.innerHTML += `<option value="${exc}">${exc}</option>`;
-  });
+            // Format Productivity Problems
+            if (uniqueProdProblems.length > 0) {
+              summaryText += `     ⚠️ *Problem Productivity:*\n`;
+              uniqueProdProblems.forEach(problem => {
+                summaryText += `        ▸ ${problem}\n`;
+              });
+            }
+          }
+          summaryText += `\n`;
+        });
+      });
+    }
 
-  // Update date filter years
-  populateFilterYears();
-}
+    // Add issue log summary if available
+    if (AppState.issuesData.length > 0) {
+      summaryText += `\n⚠️ *Issue Log:*\n`;
+      summaryText += `• Total Issues: ${AppState.issuesData.length}\n`;
+      const issuesWithPhotos = AppState.issuesData.filter(i => i.imageIds && i.imageIds.length > 0).length;
+      if (issuesWithPhotos > 0) {
+        summaryText += `• Issues dengan foto: ${issuesWithPhotos}\n`;
+      }
+    }
 
-function applyFilters() {
-  const filterNamaValue = document.getElementById('filterNama').value;
-  const filterNRPValue = document.getElementById('filterNRP').value;
-  const filterExcavatorValue = document.getElementById('filterExcavator').value;
+    summaryText += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+    summaryText += `📱 _SmartzProd - Mining Productivity Tracker_`;
 
-  // Get date filter values
-  const filterYear = document.getElementById('filterYear').value;
-  const filterMonth = document.getElementById('filterMonth').value;
-  const filterDay = document.getElementById('filterDay').value;
+    // Copy summary text to clipboard FIRST (before any share attempt)
+    // This ensures caption is available regardless of share outcome
+    let clipboardSuccess = false;
+    try {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(summaryText);
+        clipboardSuccess = true;
+      }
+    } catch (clipboardError) {
+      console.warn('Could not copy to clipboard:', clipboardError);
+    }
 
-  let filteredProductivity = AppState.productivityData;
-  let filteredMatchFactor = AppState.matchFactorData;
-  let filteredIssues = AppState.issuesData;
+    // Platform-specific sharing strategy
+    const isDesktop = PlatformDetector.isDesktop();
 
-  if (filterNamaValue) {
-    filteredProductivity = filteredProductivity.filter(d => d.namaPengawas === filterNamaValue);
-    filteredMatchFactor = filteredMatchFactor.filter(d => d.namaPengawas === filterNamaValue);
-  }
+    if (isDesktop) {
+      // DESKTOP FLOW: Download PDF + Open WhatsApp with caption
+      console.log('Desktop detected: Downloading PDF and opening WhatsApp');
 
-  if (filterNRPValue) {
-    filteredProductivity = filteredProductivity.filter(d => d.nrp === filterNRPValue);
-    filteredMatchFactor = filteredMatchFactor.filter(d => d.nrp === filterNRPValue);
-  }
+      // Download the PDF
+      doc.save(fileName);
 
-  if (filterExcavatorValue) {
-    filteredProductivity = filteredProductivity.filter(d => d.noExcavator === filterExcavatorValue);
-    filteredMatchFactor = filteredMatchFactor.filter(d => d.noExcavator === filterExcavatorValue);
-    filteredIssues = filteredIssues.filter(d => d.excavator === filterExcavatorValue);
-  }
+      // Open WhatsApp (Desktop app or Web) with caption
+      openWhatsAppWithCaption(summaryText);
 
-  // Apply date filters (cascading)
-  if (filterYear) {
-    const year = parseInt(filterYear);
-    filteredProductivity = filteredProductivity.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getFullYear() === year;
-    });
-    filteredMatchFactor = filteredMatchFactor.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getFullYear() === year;
-    });
-    filteredIssues = filteredIssues.filter(d => {
-      const date = new Date(d.timestamp);
-      return date.getFullYear() === year;
-    });
-  }
+      // Show user-friendly message
+      showAlert(
+        '📥 PDF downloaded! 💬 WhatsApp is opening with your caption ready. Just attach the PDF file.',
+        'success'
+      );
 
-  if (filterMonth !== '') {
-    const month = parseInt(filterMonth);
-    filteredProductivity = filteredProductivity.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getMonth() === month;
-    });
-    filteredMatchFactor = filteredMatchFactor.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getMonth() === month;
-    });
-    filteredIssues = filteredIssues.filter(d => {
-      const date = new Date(d.timestamp);
-      return date.getMonth() === month;
-    });
-  }
+    } else {
+      // MOBILE FLOW: Use Web Share API (better UX on mobile)
+      console.log('Mobile detected: Using Web Share API');
 
-  if (filterDay) {
-    const day = parseInt(filterDay);
-    filteredProductivity = filteredProductivity.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getDate() === day;
-    });
-    filteredMatchFactor = filteredMatchFactor.filter(d => {
-      const date = new Date(d.waktu);
-      return date.getDate() === day;
-    });
-    filteredIssues = filteredIssues.filter(d => {
-      const date = new Date(d.timestamp);
-      return date.getDate() === day;
-    });
+      if (webShareSupported && canShareFiles(pdfFile)) {
+        // Browser supports file sharing - use Web Share API
+        try {
+          await navigator.share({
+            files: [pdfFile]
+          });
+
+          if (clipboardSuccess) {
+            showAlert('PDF berhasil dibagikan! Caption sudah disalin ke clipboard.', 'success');
+          } else {
+            showAlert('PDF berhasil dibagikan!', 'success');
+          }
+        } catch (shareError) {
+          if (shareError.name === 'AbortError') {
+            showAlert('Pembagian dibatalkan', 'info');
+          } else {
+            // Share failed - fallback to download
+            console.warn('Share failed, falling back to download:', shareError);
+            doc.save(fileName);
+            if (clipboardSuccess) {
+              showAlert('Caption disalin ke clipboard! PDF diunduh karena sharing gagal.', 'success');
+            } else {
+              showAlert('PDF berhasil diunduh.', 'success');
+            }
+          }
+        }
+      } else {
+        // Browser doesn't support file sharing - fallback to download
+        doc.save(fileName);
+        if (clipboardSuccess) {
+          showAlert('Caption disalin ke clipboard! PDF diunduh (browser tidak mendukung share file).', 'success');
+        } else {
+          showAlert('PDF berhasil diunduh.', 'success');
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Share PDF error:', error);
+    showAlert('Gagal memproses PDF: ' + error.message, 'error');
   }
-
-  renderProductivityTable(filteredProductivity);
-  renderMatchFactorTable(filteredMatchFactor);
-  renderIssuesTable(filteredIssues);
 }
 
 // ==========================================
-// Export Functions - Comprehensive Format
+// Export Individual Excavator Data
 // ==========================================
-async function exportToExcel(type) {
-  const data = type === 'productivity' ? AppState.productivityData : AppState.matchFactorData;
+async function exportExcavatorReport(type, excavatorId, format) {
+  const report = getDatasetReport(type, excavatorId);
 
-  if (data.length === 0) {
-    showAlert('Tidak ada data untuk diexport', 'error');
+  if (report.records.length === 0) {
+    showAlert(`Tidak ada data ${report.config.label.toLowerCase()} untuk excavator ini`, 'error');
     return;
   }
 
   try {
-    showAlert('Memproses export... mohon tunggu', 'info');
+    if (format === 'excel') {
+      await exportDatasetExcel(report);
+      showToast(`Export ${report.config.label} ke Excel berhasil!`, 'success');
+    } else if (format === 'pdf') {
+      const pdf = await buildDatasetPdf(report);
+      pdf.save(report.fileName('pdf'));
+      showToast(`Export ${report.config.label} ke PDF berhasil!`, 'success');
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    showAlert('Gagal export data: ' + error.message, 'error');
+  }
+}
 
-    const workbook = new ExcelJS.Workbook();
+window.exportProductivityData = function (excavatorId, format) {
+  return exportExcavatorReport('productivity', excavatorId, format);
+};
 
-    // Sheet 1: Main Data Table
-    const dataSheet = workbook.addWorksheet(type === 'productivity' ? 'Productivity Data' : 'Match Factor Data');
+window.exportMatchFactorData = function (excavatorId, format) {
+  return exportExcavatorReport('matchFactor', excavatorId, format);
+};
 
-    if (type === 'productivity') {
-      dataSheet.columns = [
-        { header: 'No', key: 'no', width: 5 },
-        { header: 'Pengawas', key: 'namaPengawas', width: 20 },
-        { header: 'NRP', key: 'nrp', width: 15 },
-        { header: 'Waktu', key: 'waktu', width: 20 },
-        { header: 'No Excavator', key: 'noExcavator', width: 15 },
-        { header: 'Operator', key: 'namaOperator', width: 20 },
-        { header: 'Jenis Material', key: 'jenisMaterial', width: 15 },
-        { header: 'Ritase', key: 'jumlahRitase', width: 10 },
-        { header: 'HM Awal', key: 'hmAwal', width: 10 },
-        { header: 'HM Akhir', key: 'hmAkhir', width: 10 },
-        { header: 'Durasi (Jam)', key: 'durasi', width: 12 },
-        { header: 'Kapasitas (BCM)', key: 'kapasitas', width: 15 },
-        { header: 'Productivity (BCM/Jam)', key: 'productivity', width: 20 },
-        { header: 'WH (Menit)', key: 'wh', width: 15 },
-        { header: 'Delay (Menit)', key: 'delay', width: 15 }
-      ];
-
-      data.forEach((item, index) => {
-        const selisihHM = parseFloat(item.hmAkhir) - parseFloat(item.hmAwal);
-        const whTarget = Math.ceil(selisihHM);
-        const delay = Math.max(0, (whTarget - selisihHM) * 60);
-        const wh = selisihHM * 60;
-        dataSheet.addRow({
-          no: index + 1,
-          ...item,
-          waktu: formatDateTime(item.waktu),
-          wh: wh.toFixed(2),
-          delay: delay.toFixed(2)
-        });
-      });
-    } else {
-      dataSheet.columns = [
-        { header: 'No', key: 'no', width: 5 },
-        { header: 'Pengawas', key: 'namaPengawas', width: 20 },
-        { header: 'NRP', key: 'nrp', width: 15 },
-        { header: 'Waktu', key: 'waktu', width: 20 },
-        { header: 'No Excavator', key: 'noExcavator', width: 15 },
-        { header: 'Operator', key: 'namaOperator', width: 20 },
-        { header: 'Jenis Material', key: 'jenisMaterial', width: 15 },
-        { header: 'Jumlah HD', key: 'jumlahHD', width: 12 },
-        { header: 'CT Hauler (min)', key: 'cycleTimeHauler', width: 15 },
-        { header: 'CT Loader (min)', key: 'cycleTimeLoader', width: 15 },
-        { header: 'Match Factor', key: 'matchFactor', width: 15 }
-      ];
-
-      data.forEach((item, index) => {
-        dataSheet.addRow({
-          no: index + 1,
-          ...item,
-          waktu: formatDateTime(item.waktu)
-        });
-      });
-    }
+// ==========================================
+// Shift Report (End-of-Shift PDF + XLSX)
+// ==========================================
+// One report per production date, shift and pit with a fixed section order, so every shift
+// report reads the same. Pits come from the excavator registry; unregistered units only
+// appear under "Semua Pit".
+const SHIFT_REPORT_SECTIONS = [
+  'KPI Armada',
+  'Productivity vs Target per Excavator',
+  'Status Match Factor',
+  'Top Delay',
+  'Issue Terbuka',
+  'Sign-off Pengawas'
+];
+
+// Match factor bands, the same as the Match Factor table colours
+function getMatchFactorStatus(matchFactor) {
+  if (!(matchFactor > 0)) return { label: '-', rgb: null, argb: null };
+  if (matchFactor < 0.95) return { label: 'Kurang HD', rgb: [255, 199, 206], argb: 'FFFFC7CE' };
+  if (matchFactor > 1) return { label: 'Lebih HD', rgb: [255, 221, 170], argb: 'FFFFDDAA' };
+  return { label: 'Sesuai', rgb: [198, 239, 206], argb: 'FFC6EFCE' };
+}
 
-    // Style header
-    dataSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    dataSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: type === 'productivity' ? 'FF4472C4' : 'FF9333EA' }
-    };
+function getRegisteredPits(registry = getEquipmentRegistry()) {
+  return Array.from(new Set(registry.excavators.map(excavator => String(excavator.pit || '').trim()).filter(Boolean))).sort();
+}
 
-    // Set all cells in dataSheet to left align
-    dataSheet.columns.forEach(col => {
-      col.alignment = { horizontal: 'left', vertical: 'middle' };
-    });
+function getShiftReportKey({ productionDate, shift, pit }) {
+  return `${productionDate}|${shift}|${pit || ''}`;
+}
 
-    // Sheet 2: Chart Analysis Summary with Images
-    const chartSheet = workbook.addWorksheet(type === 'productivity' ? 'Productivity Trend' : 'Match Factor Analysis');
-
-    // Get unique excavators
-    const uniqueExcavators = [...new Set(data.map(d => d.noExcavator))];
-
-    chartSheet.columns = [
-      { header: 'Excavator', key: 'excavator', width: 15 },
-      { header: 'Total Records', key: 'totalRecords', width: 15 },
-      { header: type === 'productivity' ? 'Avg Productivity' : 'Avg Match Factor', key: 'average', width: 20 },
-      { header: type === 'productivity' ? 'Max Productivity' : 'Max Match Factor', key: 'max', width: 20 },
-      { header: type === 'productivity' ? 'Min Productivity' : 'Min Match Factor', key: 'min', width: 20 }
-    ];
-
-    uniqueExcavators.forEach(excavatorId => {
-      const excavatorData = data.filter(d => d.noExcavator === excavatorId);
-      const values = excavatorData.map(d => parseFloat(type === 'productivity' ? d.productivity : d.matchFactor) || 0);
-
-      chartSheet.addRow({
-        excavator: excavatorId,
-        totalRecords: excavatorData.length,
-        average: (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2),
-        max: Math.max(...values).toFixed(2),
-        min: Math.min(...values).toFixed(2)
-      });
-    });
+function getShiftSignOffs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('shiftSignOffs') || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (error) {
+    console.warn('⚠️ Invalid shift sign-offs in localStorage, ignoring:', error);
+    return {};
+  }
+}
 
-    chartSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    chartSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: type === 'productivity' ? 'FF4472C4' : 'FF9333EA' }
+/**
+ * Everything the shift report shows, in report order
+ * @param {Object} scope - { productionDate: 'YYYY-MM-DD', shift: roster code, pit: '' for all pits }
+ * @returns {Object} { scope, shiftLabel, fleet, excavators, matchFactor, delays, openIssues, signOff }
+ */
+function buildShiftReport(scope) {
+  const { productionDate, shift, pit } = scope;
+  const registry = getEquipmentRegistry();
+  const inScope = (record, excavatorField) =>
+    record.productionDate === productionDate && record.shift === shift &&
+    (!pit || String(findRegisteredExcavator(record[excavatorField], registry)?.pit || '').trim() === pit);
+  const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+  const productivity = AppState.productivityData.filter(record => inScope(record, 'noExcavator')).sort(byTime('waktu'));
+  const matchFactor = AppState.matchFactorData.filter(record => inScope(record, 'noExcavator')).sort(byTime('waktu'));
+  const issues = AppState.issuesData.filter(issue => inScope(issue, 'excavator')).sort(byTime('timestamp'));
+
+  const getUsage = createTimeUsageLookup();
+  const getTheoretical = createTheoreticalLookup();
+  const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  const volume = (records) => records.reduce((sum, record) => sum + (parseFloat(record.jumlahRitase) || 0) * getCapacityBcm(record), 0);
+  const averageMatchFactor = (records) => average(records.map(record => parseFloat(record.matchFactor)).filter(value => value > 0));
+
+  const excavatorCodes = Array.from(new Set([...productivity, ...matchFactor].map(record => record.noExcavator))).sort();
+  const excavators = excavatorCodes.map(code => {
+    const records = productivity.filter(record => record.noExcavator === code);
+    const mfRecords = matchFactor.filter(record => record.noExcavator === code);
+    const mf = averageMatchFactor(mfRecords);
+    return {
+      excavator: code,
+      hours: records.length,
+      volume: volume(records),
+      avgProductivity: average(records.map(record => parseFloat(record.productivity) || 0)),
+      achievement: summarizeAchievement(records),
+      theoreticalGap: summarizeTheoreticalGap(records.map(getTheoretical)),
+      availability: summarizeAvailability(records, getUsage),
+      matchFactor: mf,
+      matchFactorStatus: getMatchFactorStatus(mf)
     };
+  });
 
-    // Set all cells in chartSheet to left align
-    chartSheet.columns.forEach(col => {
-      col.alignment = { horizontal: 'left', vertical: 'middle' };
-    });
+  const fleetMatchFactor = averageMatchFactor(matchFactor);
+  const pareto = buildDelayPareto(issues, { groupBy: 'mainCode', metric: 'duration' });
 
-    // Add chart images
-    let currentRow = chartSheet.rowCount + 3;
+  return {
+    scope,
+    shiftLabel: getShiftRoster().find(entry => entry.code === shift)?.label || shift,
+    fleet: {
+      excavatorCount: excavatorCodes.length,
+      hours: productivity.length,
+      volume: volume(productivity),
+      avgProductivity: average(productivity.map(record => parseFloat(record.productivity) || 0)),
+      achievement: summarizeAchievement(productivity),
+      availability: summarizeAvailability(productivity, getUsage),
+      matchFactor: fleetMatchFactor,
+      matchFactorStatus: getMatchFactorStatus(fleetMatchFactor),
+      theoreticalGap: summarizeTheoreticalGap(productivity.map(getTheoretical)),
+      issueCount: issues.length
+    },
+    excavators,
+    matchFactor,
+    delays: { items: pareto.items.slice(0, 5), total: pareto.total },
+    openIssues: issues.filter(issue => getIssueStatus(issue) !== 'closed'),
+    signOff: getShiftSignOffs()[getShiftReportKey(scope)] || null
+  };
+}
 
-    for (const excavatorId of uniqueExcavators) {
-      const canvasId = type === 'productivity' ? `productivity-${excavatorId}` : `matchfactor-${excavatorId}`;
-      const canvas = document.getElementById(canvasId);
+// KPI label/value pairs shared by the PDF and XLSX
+function getShiftReportKpis(report) {
+  const { fleet } = report;
+  const availability = fleet.availability;
+  return [
+    ['Excavator Aktif', fleet.excavatorCount],
+    ['Jam Data Productivity', fleet.hours],
+    ['Volume (BCM)', Math.round(fleet.volume).toLocaleString('id-ID')],
+    ['Rata-rata Productivity (BCM/Jam)', formatScore(fleet.avgProductivity, 1)],
+    ['Achievement Target', fleet.achievement ? `${fleet.achievement.percent.toFixed(1)}% (${fleet.achievement.state.label})` : '-'],
+    ['Gap vs Teoritis', fleet.theoreticalGap ? `${fleet.theoreticalGap.gapPercent.toFixed(1)}%` : '-'],
+    ...AVAILABILITY_KPIS.map(kpi => [kpi.label, availability ? formatKpiPercent(availability[kpi.key]) : '-']),
+    ['Rata-rata Match Factor', fleet.matchFactor !== null ? `${fleet.matchFactor.toFixed(2)} (${fleet.matchFactorStatus.label})` : '-'],
+    ['Jumlah Issue', fleet.issueCount]
+  ];
+}
 
-      if (canvas) {
-        try {
-          // Ensure chart is fully rendered before capturing
-          const chartImageBase64 = canvas.toDataURL('image/png', 1.0);
-          const chartImageId = workbook.addImage({
-            base64: chartImageBase64,
-            extension: 'png',
-          });
+function getShiftReportTables(report) {
+  const exportTime = new Date();
+  return {
+    excavators: {
+      head: ['Excavator', 'Jam', 'Volume (BCM)', 'Avg BCM/Jam', 'Target', 'Ach. (%)', 'Status', 'Gap Teoritis (%)', 'EU', 'MF'],
+      rows: report.excavators.map(row => [
+        row.excavator,
+        row.hours,
+        Math.round(row.volume),
+        formatScore(row.avgProductivity, 1),
+        row.achievement ? row.achievement.target.toFixed(0) : '-',
+        row.achievement ? row.achievement.percent.toFixed(1) : '-',
+        row.achievement ? row.achievement.state.label : '-',
+        row.theoreticalGap ? row.theoreticalGap.gapPercent.toFixed(1) : '-',
+        row.availability ? formatKpiPercent(row.availability.eu) : '-',
+        formatScore(row.matchFactor, 2)
+      ]),
+      widths: [14, 8, 14, 12, 10, 10, 12, 16, 10, 8],
+      fills: report.excavators.map(row => [null, null, null, null, null, row.achievement ? row.achievement.state : null, null, null, null, row.matchFactorStatus])
+    },
+    matchFactor: {
+      head: ['Waktu', 'Excavator', 'Jumlah HD', 'CT Hauler (min)', 'CT Loader (min)', 'MF', 'Status', 'Rekomendasi'],
+      rows: report.matchFactor.map(record => {
+        const recommendation = getMatchFactorRecommendation(record);
+        return [
+          formatDateTime(record.waktu),
+          record.noExcavator,
+          record.jumlahHD,
+          record.cycleTimeHauler,
+          record.cycleTimeLoader,
+          parseFloat(record.matchFactor).toFixed(2),
+          getMatchFactorStatus(parseFloat(record.matchFactor)).label,
+          recommendation ? formatHaulerDelta(recommendation.delta) : '-'
+        ];
+      }),
+      widths: [18, 14, 10, 14, 14, 8, 12, 14],
+      fills: report.matchFactor.map(record => [null, null, null, null, null, getMatchFactorStatus(parseFloat(record.matchFactor)), null, null])
+    },
+    delays: {
+      head: ['#', 'Kode', 'Delay', 'Kejadian', 'Menit', '% Total'],
+      rows: report.delays.items.map((item, index) => [index + 1, item.key, item.label, item.count, Math.round(item.minutes), item.percent.toFixed(1)]),
+      widths: [5, 8, 40, 10, 10, 10]
+    },
+    openIssues: {
+      head: ['Waktu', 'Excavator', 'Delay', 'Productivity Problem', 'Status / PIC', 'Catatan'],
+      rows: report.openIssues.map(issue => [
+        formatDateTime(issue.timestamp),
+        issue.excavator,
+        getIssueDelays(issue).length > 0 ? formatDelaysText(issue) : '-',
+        getIssueProductivities(issue).map(prod => [prod.mainLabel, prod.subOption, prod.customText].filter(Boolean).join(' | ')).join('\n') || '-',
+        formatIssueLifecycleText(issue, exportTime),
+        issue.notes || '-'
+      ]),
+      widths: [18, 12, 35, 35, 30, 40]
+    }
+  };
+}
 
-          // Add excavator label
-          chartSheet.getCell(`A${currentRow}`).value = `Chart - Excavator ${excavatorId}`;
-          chartSheet.getCell(`A${currentRow}`).font = { bold: true, size: 12 };
-          currentRow += 1;
+function getShiftReportTitle(report) {
+  const { productionDate, pit } = report.scope;
+  return `Shift ${report.shiftLabel} · ${formatProductionDate(productionDate)} · ${pit || 'Semua Pit'}`;
+}
 
-          // Calculate proper dimensions maintaining aspect ratio
-          const aspectRatio = canvas.width / canvas.height;
-          const maxWidth = 500;
-          const imageWidth = maxWidth;
-          const imageHeight = maxWidth / aspectRatio;
+function getShiftReportFileName(report, extension) {
+  const { productionDate, shift, pit } = report.scope;
+  return `ShiftReport_${productionDate}_${shift}${pit ? `_${pit.replace(/[^\w-]+/g, '_')}` : ''}.${extension}`;
+}
 
-          chartSheet.addImage(chartImageId, {
-            tl: { col: 0, row: currentRow },
-            ext: { width: imageWidth, height: imageHeight }
-          });
+async function exportShiftReportPDF(report) {
+  const pdf = await createPdfReport({
+    orientation: 'p',
+    title: 'Laporan Akhir Shift',
+    subtitle: getShiftReportTitle(report),
+    code: 'SHIFT',
+    unit: report.scope.pit || report.scope.shift
+  });
+  const { doc } = pdf;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const tables = getShiftReportTables(report);
+  const section = (index) => pdf.section(SHIFT_REPORT_SECTIONS[index]);
+
+  // 1. Fleet KPIs
+  section(0);
+  pdf.table({ head: ['Metric', 'Value'], rows: getShiftReportKpis(report) }, { styles: { fontSize: 9 }, columnStyles: { 0: { cellWidth: 90 } } });
+
+  // 2. Productivity vs target
+  section(1);
+  if (tables.excavators.rows.length > 0) {
+    pdf.table(tables.excavators);
+  } else {
+    pdf.note('Tidak ada data productivity di shift ini');
+  }
 
-          currentRow += Math.ceil(imageHeight / 20) + 2; // Move down based on actual height
-        } catch (err) {
-          console.warn(`Could not capture chart for ${excavatorId}:`, err);
-        }
-      }
+  // 3. Match factor
+  section(2);
+  if (tables.matchFactor.rows.length > 0) {
+    pdf.table(tables.matchFactor, { fillColor: [147, 51, 234] });
+  } else {
+    pdf.note('Tidak ada data match factor di shift ini');
+  }
+
+  // 4. Top delays
+  section(3);
+  if (tables.delays.rows.length > 0) {
+    pdf.table(tables.delays, { fillColor: [234, 88, 12] });
+  } else {
+    pdf.note('Tidak ada delay dengan durasi tercatat');
+  }
+
+  // 5. Open issues, each followed by its photos
+  section(4);
+  if (report.openIssues.length > 0) {
+    pdf.table(tables.openIssues, { fillColor: [225, 29, 72], columnStyles: { 2: { cellWidth: 35 }, 3: { cellWidth: 35 }, 5: { cellWidth: 40 } } });
+    for (const issue of report.openIssues) {
+      const imageIds = [...(issue.imageIds || []), ...(issue.followUpImageIds || [])];
+      if (imageIds.length === 0) continue;
+      pdf.ensureSpace(60);
+      doc.setFontSize(9);
+      doc.setFont(undefined, 'bold');
+      doc.text(`${issue.excavator} · ${formatDateTime(issue.timestamp)} (${imageIds.length} foto)`, 14, pdf.yPos);
+      pdf.yPos += 3;
+      await pdf.photos(imageIds);
     }
+    pdf.yPos += 4;
+  } else {
+    pdf.note('Tidak ada issue terbuka');
+  }
+
+  // 6. Sign-off box
+  pdf.ensureSpace(60);
+  section(5);
+  const { signOff } = report;
+  const yPos = pdf.yPos;
+  doc.setDrawColor(156, 163, 175);
+  doc.setLineWidth(0.3);
+  doc.rect(14, yPos, pageWidth - 28, 36);
+  doc.setFontSize(9);
+  doc.setFont(undefined, 'normal');
+  if (signOff) {
+    doc.text(`Nama: ${signOff.name}`, 18, yPos + 7);
+    doc.text(`NRP: ${signOff.nrp || '-'}`, 18, yPos + 13);
+    doc.text(`Ditandatangani: ${new Date(signOff.signedAt).toLocaleString('id-ID')}`, 18, yPos + 19);
+    doc.text(doc.splitTextToSize(`Catatan: ${signOff.note || '-'}`, pageWidth / 2 - 24), 18, yPos + 25);
+  } else {
+    doc.setFont(undefined, 'italic');
+    doc.text('Belum ditandatangani pengawas', 18, yPos + 7);
+    doc.setFont(undefined, 'normal');
+  }
+  doc.line(pageWidth - 84, yPos + 28, pageWidth - 20, yPos + 28);
+  doc.text('Tanda tangan pengawas', pageWidth - 84, yPos + 33);
 
-    // Sheet 3: Issue Log with Photos
-    if (AppState.issuesData.length > 0) {
-      const issueSheet = workbook.addWorksheet('Issue Log');
-
-      issueSheet.columns = [
-        { header: 'No', key: 'no', width: 5 },
-        { header: 'Waktu', key: 'waktu', width: 20 },
-        { header: 'Excavator', key: 'excavator', width: 15 },
-        { header: 'Delay Problem', key: 'delayProblem', width: 40 },
-        { header: 'Productivity Problem', key: 'productivityProblem', width: 40 },
-        { header: 'Dokumentasi Masalah', key: 'catatan', width: 45 },
-        { header: 'Follow Up Perbaikan', key: 'catatanLanjutan', width: 45 },
-        { header: 'Foto Dokumentasi', key: 'photos', width: 20 },
-        { header: 'Foto Follow Up', key: 'followUpPhotos', width: 20 }
-      ];
-
-      // Set consistent width for all photo columns (I onwards) - wide enough to prevent overlap
-      for (let col = 9; col <= 30; col++) { // Extended range for both photo types
-        issueSheet.getColumn(col).width = 20;
-      }
+  pdf.save(getShiftReportFileName(report, 'pdf'));
+}
 
-      // Sort issues by timestamp (newest first) - consistent with web dashboard
-      const sortedIssues = [...AppState.issuesData].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+async function exportShiftReportExcel(report) {
+  const excel = await createExcelReport({
+    title: 'Laporan Akhir Shift',
+    subtitle: getShiftReportTitle(report),
+    code: 'SHIFT',
+    unit: report.scope.pit || report.scope.shift
+  });
+  const { workbook } = excel;
+  const tables = getShiftReportTables(report);
+  const styleHeader = (row) => {
+    row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+  };
 
-      for (let index = 0; index < sortedIssues.length; index++) {
-        const issue = sortedIssues[index];
+  // Summary: title, scope, KPIs and sign-off in fixed positions
+  const summary = workbook.addWorksheet('Ringkasan');
+  summary.columns = [{ width: 42 }, { width: 40 }];
+  summary.addRow(['Laporan Akhir Shift']).font = { bold: true, size: 14 };
+  summary.addRow([getShiftReportTitle(report)]);
+  summary.addRow(['Generated', new Date().toLocaleString('id-ID')]);
+  summary.addRow([]);
+  styleHeader(summary.addRow([`1. ${SHIFT_REPORT_SECTIONS[0]}`, '']));
+  getShiftReportKpis(report).forEach(kpi => summary.addRow(kpi));
+  summary.addRow([]);
+  styleHeader(summary.addRow([`6. ${SHIFT_REPORT_SECTIONS[5]}`, '']));
+  const { signOff } = report;
+  summary.addRow(['Nama Pengawas', signOff ? signOff.name : 'Belum ditandatangani']);
+  summary.addRow(['NRP', signOff ? signOff.nrp || '-' : '-']);
+  summary.addRow(['Ditandatangani', signOff ? new Date(signOff.signedAt).toLocaleString('id-ID') : '-']);
+  summary.addRow(['Catatan', signOff ? signOff.note || '-' : '-']);
+
+  excel.addTableSheet('2. Excavator', tables.excavators, 'FF4472C4');
+  excel.addTableSheet('3. Match Factor', tables.matchFactor, 'FF9333EA');
+  excel.addTableSheet('4. Top Delay', tables.delays, 'FFEA580C');
+
+  // Open issues with their photos one per column after the data
+  const issueSheet = excel.addTableSheet('5. Issue Terbuka', tables.openIssues, 'FFE11D48');
+  for (let index = 0; index < report.openIssues.length; index++) {
+    issueSheet.getRow(index + 2).alignment = { vertical: 'top', wrapText: true };
+    await addExcelIssuePhotos(workbook, issueSheet, report.openIssues[index], index + 2, tables.openIssues.head.length);
+  }
+
+  await excel.save(getShiftReportFileName(report, 'xlsx'));
+}
 
-        // Build Delay Problem text with full labels (supports multiple delays)
-        const delays = getIssueDelays(issue);
-        const delayText = delays.length > 0 ?
-          delays.map(delay => {
-            let text = `${delay.mainCode} - ${delay.mainLabel}`;
-            if (delay.subCode && delay.subLabel) {
-              text += ` | ${delay.subCode} - ${delay.subLabel}`;
-            }
-            if (delay.customText) {
-              text += ` | ${delay.customText}`;
-            }
-            return text;
-          }).join('\n') : '-';
-
-        // Build Productivity Problem text with full labels (supports multiple productivities)
-        const productivities = getIssueProductivities(issue);
-        const prodText = productivities.length > 0 ?
-          productivities.map(prod => {
-            let text = `${prod.mainCode} - ${prod.mainLabel}`;
-            if (prod.subOption) {
-              text += ` | ${prod.subOption}`;
-            }
-            if (prod.customText) {
-              text += ` | ${prod.customText}`;
-            }
-            return text;
-          }).join('\n') : '-';
-
-        const rowIndex = issueSheet.addRow({
-          no: index + 1,
-          waktu: formatDateTime(issue.timestamp),
-          excavator: issue.excavator,
-          delayProblem: delayText,
-          productivityProblem: prodText,
-          catatan: issue.notes || '-',
-          catatanLanjutan: issue.followUpNotes || '-',
-          photos: issue.imageIds && issue.imageIds.length > 0 ? `${issue.imageIds.length} foto` : 'Tidak ada foto',
-          followUpPhotos: issue.followUpImageIds && issue.followUpImageIds.length > 0 ? `${issue.followUpImageIds.length} foto` : 'Tidak ada foto'
-        }).number;
-
-        // Add Dokumentasi Masalah photos in a horizontal line - one photo per column, starting from column J
-        if (issue.imageIds && issue.imageIds.length > 0) {
-          const photoHeight = 90;
-          const startCol = 9; // Column J (next to "Foto Dokumentasi" column I) - 0-indexed
-          const currentRow = rowIndex - 1;
-
-          // Set row height to accommodate photos perfectly
-          issueSheet.getRow(rowIndex).height = 70;
-
-          // Place each photo in its own column
-          for (let photoIndex = 0; photoIndex < issue.imageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.imageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
-
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
-
-                // Calculate width maintaining EXACT aspect ratio
-                const aspectRatio = img.width / img.height;
-                const photoWidth = photoHeight * aspectRatio;
-
-                const imageId = workbook.addImage({
-                  base64: base64,
-                  extension: 'png',
-                });
-
-                // One photo per column - neat and aligned
-                // Use tl/br to fit within column boundaries perfectly
-                issueSheet.addImage(imageId, {
-                  tl: {
-                    col: startCol + photoIndex, // Each photo gets its own column
-                    row: currentRow,
-                    colOff: 5, // Small offset from left edge
-                    rowOff: 5  // Small offset from top edge
-                  },
-                  ext: {
-                    width: photoWidth,
-                    height: photoHeight
-                  }
-                });
-              }
-            } catch (err) {
-              console.warn(`Could not load photo ${issue.imageIds[photoIndex]}:`, err);
-            }
-          }
-        }
+function getShiftReportScope() {
+  return {
+    productionDate: document.getElementById('shiftReportDate').value,
+    shift: document.getElementById('shiftReportShift').value,
+    pit: document.getElementById('shiftReportPit').value
+  };
+}
 
-        // Add Follow Up Perbaikan photos - continue in columns after dokumentasi photos
-        if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-          const photoHeight = 90;
-          // Calculate start column: base column (9) + number of dokumentasi photos
-          const dokPhotoCount = issue.imageIds ? issue.imageIds.length : 0;
-          const startCol = 9 + dokPhotoCount; // Start after dokumentasi photos
-          const currentRow = rowIndex - 1;
-
-          // Ensure row height is sufficient
-          if (issueSheet.getRow(rowIndex).height < 70) {
-            issueSheet.getRow(rowIndex).height = 70;
-          }
+// Show the saved sign-off of the chosen shift, or pre-fill the supervisor from Data Umum
+function loadShiftReportSignOff() {
+  const signOff = getShiftSignOffs()[getShiftReportKey(getShiftReportScope())];
+  document.getElementById('shiftReportSignName').value = signOff ? signOff.name : document.getElementById('namaPengawas').value.trim();
+  document.getElementById('shiftReportSignNrp').value = signOff ? signOff.nrp || '' : document.getElementById('nrp').value.trim();
+  document.getElementById('shiftReportSignNote').value = signOff ? signOff.note || '' : '';
+  document.getElementById('shiftReportSignConfirm').checked = Boolean(signOff);
+  document.getElementById('shiftReportSignStatus').textContent = signOff
+    ? `Ditandatangani ${signOff.name} · ${new Date(signOff.signedAt).toLocaleString('id-ID')}`
+    : 'Belum ditandatangani';
+}
 
-          for (let photoIndex = 0; photoIndex < issue.followUpImageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.followUpImageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
+function openShiftReportModal() {
+  const current = getShiftInfo(new Date());
+  const shiftSelect = document.getElementById('shiftReportShift');
+  shiftSelect.innerHTML = getShiftRoster().map(shift => `<option value="${shift.code}">${shift.label || shift.code}</option>`).join('');
+  shiftSelect.value = current.shift;
+  if (!shiftSelect.value) shiftSelect.selectedIndex = 0;
+  document.getElementById('shiftReportDate').value = current.productionDate;
+  document.getElementById('shiftReportPit').innerHTML = '<option value="">Semua Pit</option>' +
+    getRegisteredPits().map(pit => `<option value="${escapeHtmlAttr(pit)}">${pit}</option>`).join('');
+
+  loadShiftReportSignOff();
+  document.getElementById('shiftReportModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
+function closeShiftReportModal() {
+  document.getElementById('shiftReportModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
 
-                const aspectRatio = img.width / img.height;
-                let photoWidth = photoHeight * aspectRatio;
+/**
+ * Save the sign-off entered in the modal (a sign-off is only stored once confirmed)
+ * @returns {boolean} False when the form is confirmed but incomplete
+ */
+function saveShiftReportSignOff(scope) {
+  if (!document.getElementById('shiftReportSignConfirm').checked) return true;
 
-                // Prevent overly wide photos
-                if (photoWidth > 120) {
-                  photoWidth = 120;
-                }
+  const name = normalizePersonName(document.getElementById('shiftReportSignName').value);
+  if (!name) {
+    showToast('Isi nama pengawas untuk sign-off', 'error');
+    return false;
+  }
 
-                const imageId = workbook.addImage({
-                  base64: base64,
-                  extension: 'jpeg',
-                });
-
-                issueSheet.addImage(imageId, {
-                  tl: {
-                    col: startCol + photoIndex,
-                    row: currentRow,
-                    colOff: 5,
-                    rowOff: 5
-                  },
-                  ext: {
-                    width: photoWidth,
-                    height: photoHeight
-                  }
-                });
-              }
-            } catch (err) {
-              console.warn(`Could not load follow-up photo ${issue.followUpImageIds[photoIndex]}:`, err);
-            }
-          }
-        }
+  const signOffs = getShiftSignOffs();
+  const key = getShiftReportKey(scope);
+  const nrp = document.getElementById('shiftReportSignNrp').value.trim();
+  const note = document.getElementById('shiftReportSignNote').value.trim();
+  const previous = signOffs[key];
+  // Re-exporting without changes keeps the original sign-off time
+  if (!previous || previous.name !== name || previous.nrp !== nrp || previous.note !== note) {
+    signOffs[key] = { name, nrp, note, signedAt: new Date().toISOString() };
+    localStorage.setItem('shiftSignOffs', JSON.stringify(signOffs));
+  }
+  return true;
+}
+
+async function generateShiftReport(format) {
+  const scope = getShiftReportScope();
+  if (!scope.productionDate || !scope.shift) {
+    showToast('Pilih tanggal produksi dan shift', 'error');
+    return;
+  }
+  if (!saveShiftReportSignOff(scope)) return;
+
+  const report = buildShiftReport(scope);
+  if (report.fleet.excavatorCount === 0 && report.fleet.issueCount === 0) {
+    showToast(`Tidak ada data untuk ${getShiftReportTitle(report)}`, 'error');
+    return;
+  }
+
+  try {
+    showToast('Menyusun shift report... mohon tunggu', 'info');
+    if (format === 'pdf') {
+      await exportShiftReportPDF(report);
+    } else {
+      await exportShiftReportExcel(report);
+    }
+    loadShiftReportSignOff();
+    showToast(`Shift report ${format === 'pdf' ? 'PDF' : 'Excel'} berhasil dibuat`, 'success');
+  } catch (error) {
+    console.error('Shift report error:', error);
+    showAlert('Gagal membuat shift report: ' + error.message, 'error');
+  }
+}
+
+// ==========================================
+// Data Persistence (IndexedDB with localStorage fallback)
+// ==========================================
+
+/**
+ * Persist productivity, match factor and issue records.
+ * Writes go to IndexedDB in the background; localStorage is only used when IndexedDB is unavailable.
+ * @returns {Promise<void>}
+ */
+function saveAppData() {
+  if (!recordStorage.available) {
+    saveRecordsToLocalStorage();
+    return Promise.resolve();
+  }
+
+  return recordStorage.scheduleSave(AppState)
+    .then(stats => {
+      if (stats.written > 0 || stats.deleted > 0) {
+        console.log(`💾 IndexedDB saved: ${stats.written} written, ${stats.deleted} deleted`);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Error saving to IndexedDB:', error);
+
+      if (error?.name === 'QuotaExceededError') {
+        showAlert(
+          'Penyimpanan penuh! Silakan hapus beberapa foto atau issue lama. Gunakan fitur Backup untuk menyimpan data ke file.',
+          'error'
+        );
+      } else {
+        // Keep a copy in localStorage; it is merged back into IndexedDB on the next load
+        showAlert('Gagal menyimpan ke IndexedDB, data disimpan sementara di localStorage', 'warning');
+        saveRecordsToLocalStorage();
       }
+    });
+}
 
-      issueSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-      issueSheet.getRow(1).fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFFF6B6B' }
-      };
+/**
+ * Fallback for browsers without IndexedDB (e.g. some private browsing modes)
+ */
+function saveRecordsToLocalStorage() {
+  try {
+    // Check storage space before saving
+    const issuesSize = JSON.stringify(AppState.issuesData).length;
+    const totalSize = issuesSize + JSON.stringify(AppState.productivityData).length + JSON.stringify(AppState.matchFactorData).length;
+    const sizeMB = (totalSize / (1024 * 1024)).toFixed(2);
 
-      // Set all cells in issueSheet to left align
-      issueSheet.columns.forEach(col => {
-        col.alignment = { horizontal: 'left', vertical: 'middle' };
-      });
+    console.log(`💾 Attempting to save ${sizeMB}MB to localStorage`);
+    console.log(`   - Issues: ${(issuesSize / (1024 * 1024)).toFixed(2)}MB (${AppState.issuesData.length} records)`);
+
+    // Warn if approaching 5MB limit
+    if (totalSize > 5 * 1024 * 1024) {
+      console.warn('⚠️ Storage size exceeds 5MB, might fail in some browsers');
+      showAlert(`Warning: Data berukuran ${sizeMB}MB, mungkin melebihi limit browser. Pertimbangkan untuk menghapus foto lama.`, 'warning');
     }
 
-    const buffer = await workbook.xlsx.writeBuffer();
-    const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `SmartzProd_${type}_${new Date().getTime()}.xlsx`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+    localStorage.setItem('productivityData', JSON.stringify(AppState.productivityData));
+    localStorage.setItem('matchFactorData', JSON.stringify(AppState.matchFactorData));
+    localStorage.setItem('issuesData', JSON.stringify(AppState.issuesData));
+    console.log('✅ Data saved successfully');
+  } catch (error) {
+    console.error('❌ Error saving to localStorage:', error);
 
-    showAlert('Export ke Excel berhasil!', 'success');
+    if (error.name === 'QuotaExceededError') {
+      showAlert(
+        'Penyimpanan penuh! Silakan hapus beberapa foto atau issue lama. Gunakan fitur Backup untuk menyimpan data ke file.',
+        'error'
+      );
+    } else {
+      showAlert('Gagal menyimpan data ke localStorage', 'error');
+    }
+  }
+}
+
+/**
+ * Read records from IndexedDB, migrating any arrays older versions left in localStorage.
+ * Falls back to reading localStorage when IndexedDB cannot be opened.
+ * @returns {Promise<Object>} Arrays keyed like AppState
+ */
+async function readStoredRecords() {
+  try {
+    const migrated = await recordStorage.migrateFromLocalStorage();
+    if (migrated > 0) {
+      showToast(`${migrated} data dipindahkan ke penyimpanan IndexedDB`, 'success');
+    }
+    return await recordStorage.loadAll();
   } catch (error) {
-    console.error('Export Excel error:', error);
-    showAlert('Gagal export ke Excel: ' + error.message, 'error');
+    console.error('❌ IndexedDB unavailable, falling back to localStorage:', error);
+    recordStorage.available = false;
+    showAlert('IndexedDB tidak tersedia, data disimpan di localStorage (kapasitas terbatas)', 'warning');
+
+    const result = {};
+    Object.keys(RECORD_STORES).forEach(key => {
+      try {
+        result[key] = JSON.parse(localStorage.getItem(key) || '[]') || [];
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable localStorage key "${key}":`, error);
+        result[key] = [];
+      }
+    });
+    return result;
   }
 }
 
-async function exportToPDF(type) {
-  const data = type === 'productivity' ? AppState.productivityData : AppState.matchFactorData;
+async function loadAppData() {
+  // Ask the browser not to evict months of field data under storage pressure
+  if (navigator.storage?.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
 
-  if (data.length === 0) {
-    showAlert('Tidak ada data untuk diexport', 'error');
-    return;
+  const stored = await readStoredRecords();
+
+  console.log('🔄 loadAppData called:');
+  console.log('  storage:', recordStorage.available ? 'IndexedDB' : 'localStorage');
+
+  // Load all datasets first (without rendering)
+  AppState.productivityData = stored.productivityData || [];
+  AppState.matchFactorData = stored.matchFactorData || [];
+  AppState.issuesData = stored.issuesData || [];
+  console.log('  ✅ Loaded productivity:', AppState.productivityData.length, 'records');
+  console.log('  ✅ Loaded matchFactor:', AppState.matchFactorData.length, 'records');
+  console.log('  ✅ Loaded issues:', AppState.issuesData.length, 'records');
+
+  const productivity = AppState.productivityData.length > 0;
+  const matchFactor = AppState.matchFactorData.length > 0;
+  const issues = AppState.issuesData.length > 0;
+
+  // Stamp shift/production date on records saved before the shift roster existed
+  const shiftBackfilled = backfillShiftInfo();
+  if (shiftBackfilled > 0) {
+    console.log(`  🔄 Added shift info to ${shiftBackfilled} records`);
   }
 
-  try {
-    showAlert('Memproses export... mohon tunggu', 'info');
+  // Merge "EX-1201" / "ex1201" spellings and link records to the equipment registry
+  const registryNormalized = normalizeRecordsToRegistry();
+  if (registryNormalized > 0) {
+    console.log(`  🔄 Normalized ${registryNormalized} records against the equipment registry`);
+  }
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF('l', 'mm', 'a4');
-    let yPos = 15;
+  // Link issues saved before record IDs existed to the records of their excavator-hour
+  const issuesLinked = linkIssuesToRecords();
+  if (issuesLinked > 0) {
+    console.log(`  🔗 Linked ${issuesLinked} issues to their records`);
+  }
 
-    // Title
-    const title = type === 'productivity' ? 'Laporan Productivity' : 'Laporan Match Factor';
-    doc.setFontSize(16);
-    doc.setFont(undefined, 'bold');
-    doc.text(title, 14, yPos);
-    yPos += 7;
+  if (shiftBackfilled > 0 || registryNormalized > 0 || issuesLinked > 0) {
+    saveAppData();
+  }
 
-    // Format date as "2 November 2025, 23.09"
-    const now = new Date();
-    const formattedDate = now.toLocaleDateString('id-ID', {
-      day: 'numeric',
-      month: 'long',
-      year: 'numeric'
-    }) + ', ' + now.toLocaleTimeString('id-ID', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    }).replace(':', '.');
+  // Now render everything together (after all datasets loaded)
+  if (productivity) {
+    renderProductivityTable();
+    updateProductivityChart();
+  }
 
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Generated: ${formattedDate}`, 14, yPos);
-    yPos += 10;
+  if (matchFactor) {
+    renderMatchFactorTable();
+    updateMatchFactorChart();
+  }
 
-    // Section 1: Main Data Table
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text(`1. ${type === 'productivity' ? 'Productivity' : 'Match Factor'} Data`, 14, yPos);
-    yPos += 5;
+  if (issues) {
+    renderIssuesTable();
+    renderDelayPareto();
+  }
+
+  updateTotalRecords();
+
+  // Load and display last update timestamp
+  const lastUpdateTimestamp = localStorage.getItem('lastUpdateTimestamp');
+  const lastUpdateEl = document.getElementById('lastUpdate');
+  if (lastUpdateEl && lastUpdateTimestamp) {
+    const savedDate = new Date(lastUpdateTimestamp);
+    lastUpdateEl.textContent = savedDate.toLocaleString('id-ID');
+  }
+
+  // Run migration for old base64 photos (one-time automatic migration)
+  migrateBase64PhotosToIndexedDB();
+}
+
+/**
+ * Migrate old base64 photos to IndexedDB (one-time migration)
+ * Converts issue.photo (base64) to issue.imageIds (IndexedDB references)
+ */
+async function migrateBase64PhotosToIndexedDB() {
+  // Check if migration is needed
+  const needsMigration = AppState.issuesData.some(issue => issue.photo && !issue.imageIds);
 
-    let tableData = [];
-    let headers = [];
+  if (!needsMigration) {
+    console.log('✅ No base64 photos to migrate');
+    return;
+  }
 
-    if (type === 'productivity') {
-      headers = [['No', 'Pengawas', 'NRP', 'Waktu', 'No Excavator', 'Operator', 'Jenis Material', 'Ritase', 'HM Awal', 'HM Akhir', 'Durasi (Jam)', 'Kapasitas (BCM)', 'Productivity (BCM/Jam)', 'WH (Menit)', 'Delay (Menit)']];
-      tableData = data.map((item, index) => {
-        const selisihHM = parseFloat(item.hmAkhir) - parseFloat(item.hmAwal);
-        const whTarget = Math.ceil(selisihHM);
-        const delay = Math.max(0, (whTarget - selisihHM) * 60);
-        const wh = selisihHM * 60;
-        return [
-          index + 1,
-          item.namaPengawas,
-          item.nrp,
-          formatDateTime(item.waktu),
-          item.noExcavator,
-          item.namaOperator || '-',
-          item.jenisMaterial || '-',
-          item.jumlahRitase,
-          item.hmAwal,
-          item.hmAkhir,
-          item.durasi,
-          item.kapasitas,
-          item.productivity,
-          wh.toFixed(2),
-          delay.toFixed(2)
-        ];
-      });
-    } else {
-      headers = [['No', 'Pengawas', 'NRP', 'Waktu', 'No Excavator', 'Operator', 'Jenis Material', 'Jml HD', 'CT Hauler (min)', 'CT Loader (min)', 'Match Factor']];
-      tableData = data.map((item, index) => [
-        index + 1,
-        item.namaPengawas,
-        item.nrp,
-        formatDateTime(item.waktu),
-        item.noExcavator,
-        item.namaOperator || '-',
-        item.jenisMaterial || '-',
-        item.jumlahHD,
-        item.cycleTimeHauler,
-        item.cycleTimeLoader,
-        item.matchFactor
-      ]);
-    }
-
-    doc.autoTable({
-      head: headers,
-      body: tableData,
-      startY: yPos,
-      styles: { fontSize: 7 },
-      headStyles: {
-        fillColor: type === 'productivity' ? [68, 114, 196] : [147, 51, 234],
-        halign: 'left'
-      }
-    });
+  console.log('🔄 Starting migration: base64 photos → IndexedDB');
 
-    yPos = doc.lastAutoTable.finalY + 10;
+  let migratedCount = 0;
+  let failedCount = 0;
 
-    // Section 2: Chart Analysis with Images
-    if (yPos > 160) {
-      doc.addPage();
-      yPos = 15;
-    }
+  for (const issue of AppState.issuesData) {
+    // Skip if already migrated or no photo
+    if (!issue.photo || issue.imageIds) continue;
 
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text(`2. ${type === 'productivity' ? 'Productivity Trend' : 'Match Factor Analysis'} Summary`, 14, yPos);
-    yPos += 5;
+    try {
+      // Convert base64 to blob
+      const base64Data = issue.photo;
+      const blob = await imageStorage.base64ToBlob(base64Data, 'image/jpeg');
 
-    // Get unique excavators
-    const uniqueExcavators = [...new Set(data.map(d => d.noExcavator))];
-    const chartHeaders = [['Excavator', 'Total Records', 'Average', 'Max', 'Min']];
-    const chartData = uniqueExcavators.map(excavatorId => {
-      const excavatorData = data.filter(d => d.noExcavator === excavatorId);
-      const values = excavatorData.map(d => parseFloat(type === 'productivity' ? d.productivity : d.matchFactor) || 0);
-
-      return [
-        excavatorId,
-        excavatorData.length,
-        (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2),
-        Math.max(...values).toFixed(2),
-        Math.min(...values).toFixed(2)
-      ];
-    });
+      // Store in IndexedDB
+      const imageId = await imageStorage.storeImage(blob, issue.id.toString());
 
-    doc.autoTable({
-      head: chartHeaders,
-      body: chartData,
-      startY: yPos,
-      styles: { fontSize: 9 },
-      headStyles: {
-        fillColor: type === 'productivity' ? [68, 114, 196] : [147, 51, 234],
-        halign: 'left'
-      }
-    });
+      // Update issue record
+      issue.imageIds = [imageId];
+      delete issue.photo; // Remove old base64 data
+      recordStorage.markChanged('issuesData', [issue]);
 
-    yPos = doc.lastAutoTable.finalY + 10;
+      migratedCount++;
+      console.log(`✅ Migrated photo for issue ${issue.id}`);
+    } catch (error) {
+      console.error(`❌ Failed to migrate photo for issue ${issue.id}:`, error);
+      failedCount++;
+    }
+  }
 
-    // Add chart images for each excavator - each on its own page
-    for (let i = 0; i < uniqueExcavators.length; i++) {
-      const excavatorId = uniqueExcavators[i];
+  if (migratedCount > 0) {
+    // Save updated data
+    saveAppData();
 
-      // Add new page for each chart (except the first one if there's space)
-      if (i > 0 || yPos > 100) {
-        doc.addPage();
-        yPos = 20;
-      }
+    const msg = `Migrated ${migratedCount} photo(s) to IndexedDB${failedCount > 0 ? ` (${failedCount} failed)` : ''}`;
+    console.log(`✅ Migration complete: ${msg}`);
+    showToast(msg, 'success');
+  }
+}
 
-      const canvasId = type === 'productivity' ? `productivity-${excavatorId}` : `matchfactor-${excavatorId}`;
-      const canvas = document.getElementById(canvasId);
+// ==========================================
+// Utility Functions
+// ==========================================
+function formatDateTime(datetime) {
+  if (!datetime) return '-';
+  const dt = new Date(datetime);
+  return dt.toLocaleString('id-ID', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
 
-      if (canvas) {
-        try {
-          doc.setFontSize(14);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Chart - Excavator ${excavatorId}`, 14, yPos);
-          yPos += 10;
+// Toast Notification System
+function showToast(message, type = 'info') {
+  const colors = {
+    success: 'bg-gradient-to-r from-green-500 to-green-600 text-white border-green-600',
+    error: 'bg-gradient-to-r from-red-500 to-red-600 text-white border-red-600',
+    warning: 'bg-gradient-to-r from-yellow-500 to-yellow-600 text-white border-yellow-600',
+    info: 'bg-gradient-to-r from-blue-500 to-blue-600 text-white border-blue-600'
+  };
 
-          // Calculate proper dimensions maintaining aspect ratio
-          const aspectRatio = canvas.width / canvas.height;
-          const maxWidth = 180; // Max width in mm
-          const chartWidth = maxWidth;
-          const chartHeight = maxWidth / aspectRatio;
+  const icons = {
+    success: 'fa-check-circle',
+    error: 'fa-times-circle',
+    warning: 'fa-exclamation-triangle',
+    info: 'fa-info-circle'
+  };
 
-          // Center the chart horizontally
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const xPos = (pageWidth - chartWidth) / 2;
+  const toastContainer = document.getElementById('toastContainer');
+  const toast = document.createElement('div');
+  toast.className = `${colors[type]} px-5 py-4 rounded-xl shadow-2xl flex items-center gap-4 min-w-[320px] max-w-[500px] border-l-4 transform transition-all duration-500 ease-out translate-x-full opacity-0 backdrop-blur-sm`;
+  toast.innerHTML = `
+    <div class="flex-shrink-0">
+      <i class="fas ${icons[type]} text-2xl"></i>
+    </div>
+    <span class="flex-1 font-medium text-sm leading-relaxed">${message}</span>
+    <button onclick="this.parentElement.remove()" class="flex-shrink-0 text-white/80 hover:text-white hover:bg-white/20 rounded-lg p-2 transition-all duration-200">
+      <i class="fas fa-times text-sm"></i>
+    </button>
+  `;
 
-          // Add white background for the chart area
-          doc.setFillColor(255, 255, 255);
-          doc.rect(xPos, yPos, chartWidth, chartHeight, 'F');
+  toastContainer.appendChild(toast);
 
-          // Get chart image with maximum quality
-          const chartImage = canvas.toDataURL('image/png', 1.0);
+  // Trigger animation
+  setTimeout(() => {
+    toast.classList.remove('translate-x-full', 'opacity-0');
+    toast.classList.add('translate-x-0', 'opacity-100');
+  }, 10);
 
-          // Add the chart image
-          doc.addImage(chartImage, 'PNG', xPos, yPos, chartWidth, chartHeight);
-        } catch (err) {
-          console.warn(`Could not capture chart for ${excavatorId}:`, err);
-        }
-      }
-    }
+  // Auto remove after 5 seconds
+  setTimeout(() => {
+    toast.classList.add('translate-x-full', 'opacity-0');
+    setTimeout(() => toast.remove(), 500);
+  }, 5000);
+}
 
-    // Section 3: Issue Log with Photos
-    if (AppState.issuesData.length > 0) {
-      doc.addPage();
-      yPos = 15;
+// Legacy support - redirect to toast
+function showAlert(message, type = 'info') {
+  showToast(message, type);
+}
 
-      doc.setFontSize(12);
-      doc.setFont(undefined, 'bold');
-      doc.text('3. Issue Log', 14, yPos);
-      yPos += 5;
-
-      // Sort issues by timestamp (newest first) - consistent with web dashboard
-      const sortedIssues = [...AppState.issuesData].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-      const issueHeaders = [['No', 'Waktu', 'Excavator', 'Delay Problem', 'Productivity Problem', 'Dokumentasi Masalah', 'Follow Up Perbaikan']];
-      const issueTableData = sortedIssues.map((issue, index) => {
-        // Build Delay Problem text with full labels
-        let delayText = '-';
-        if (issue.delay) {
-          const { mainCode, mainLabel, subCode, subLabel, customText } = issue.delay;
-          delayText = `${mainCode} - ${mainLabel}`;
-          if (subCode && subLabel) {
-            delayText += ` | ${subCode} - ${subLabel}`;
-          }
-          if (customText) {
-            delayText += ` | ${customText}`;
-          }
-        }
+// Confirmation Modal System
+function showConfirm(title, message, iconType = 'question', color = 'blue', onConfirm, onCancel, dataPreview = null) {
+  const modal = document.getElementById('confirmModal');
+  const confirmTitle = document.getElementById('confirmTitle');
+  const confirmMessage = document.getElementById('confirmMessage');
+  const confirmIcon = document.getElementById('confirmIcon');
+  const confirmTopBar = document.getElementById('confirmTopBar');
+  const confirmOkBtn = document.getElementById('confirmOkBtn');
+  const confirmCancelBtn = document.getElementById('confirmCancelBtn');
+  const confirmDataPreview = document.getElementById('confirmDataPreview');
 
-        // Build Productivity Problem text with full labels
-        let prodText = '-';
-        if (issue.productivity) {
-          const { mainCode, mainLabel, subOption, customText } = issue.productivity;
-          prodText = `Kat. ${mainCode}: ${mainLabel}`;
-          if (subOption) {
-            prodText += ` | ${subOption}`;
-          }
-          if (customText) {
-            prodText += ` | ${customText}`;
-          }
-        }
+  const iconConfig = {
+    question: { icon: 'fa-question-circle', bg: 'bg-blue-500', gradient: 'from-blue-500 to-blue-600', topBar: 'from-blue-500 to-blue-600' },
+    trash: { icon: 'fa-trash-alt', bg: 'bg-red-500', gradient: 'from-red-500 to-red-600', topBar: 'from-red-500 to-red-600' },
+    warning: { icon: 'fa-exclamation-triangle', bg: 'bg-yellow-500', gradient: 'from-yellow-500 to-yellow-600', topBar: 'from-yellow-500 to-yellow-600' },
+    'exclamation-triangle': { icon: 'fa-exclamation-triangle', bg: 'bg-orange-500', gradient: 'from-orange-500 to-orange-600', topBar: 'from-orange-500 to-orange-600' },
+    info: { icon: 'fa-info-circle', bg: 'bg-blue-500', gradient: 'from-blue-500 to-blue-600', topBar: 'from-blue-500 to-blue-600' },
+    upload: { icon: 'fa-upload', bg: 'bg-teal-500', gradient: 'from-teal-500 to-teal-600', topBar: 'from-teal-500 to-teal-600' }
+  };
 
-        return [
-          index + 1,
-          formatDateTime(issue.timestamp),
-          issue.excavator,
-          delayText,
-          prodText,
-          issue.notes || '-',
-          issue.followUpNotes || '-'
-        ];
-      });
+  const colorConfig = {
+    blue: 'bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white',
+    red: 'bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white',
+    green: 'bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white',
+    orange: 'bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white',
+    purple: 'bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 text-white',
+    teal: 'bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white'
+  };
 
-      doc.autoTable({
-        head: issueHeaders,
-        body: issueTableData,
-        startY: yPos,
-        styles: {
-          fontSize: 7,
-          cellPadding: 2,
-          overflow: 'linebreak',
-          cellWidth: 'wrap'
-        },
-        headStyles: {
-          fillColor: [255, 107, 107],
-          fontStyle: 'bold',
-          halign: 'left'
-        },
-        columnStyles: {
-          0: { cellWidth: 10 }, // No
-          1: { cellWidth: 25 }, // Waktu
-          2: { cellWidth: 20 }, // Excavator
-          3: { cellWidth: 35 }, // Delay Problem
-          4: { cellWidth: 35 }, // Productivity Problem
-          5: { cellWidth: 35 }, // Dokumentasi Masalah
-          6: { cellWidth: 35 }  // Follow Up Perbaikan
-        }
-      });
+  const config = iconConfig[iconType] || iconConfig.question;
 
-      yPos = doc.lastAutoTable.finalY + 10;
+  // Update top bar gradient
+  confirmTopBar.className = `h-2 bg-gradient-to-r ${config.topBar} rounded-t-2xl`;
 
-      // Add issue photos (both Dokumentasi and Follow-up)
-      for (let index = 0; index < sortedIssues.length; index++) {
-        const issue = sortedIssues[index];
+  // Update icon with animation
+  confirmIcon.className = `relative w-20 h-20 rounded-full flex items-center justify-center bg-gradient-to-br ${config.gradient} shadow-xl mb-4 animate-bounce-in`;
+  confirmIcon.innerHTML = `
+    <div class="absolute inset-0 rounded-full bg-${iconType === 'trash' ? 'red' : 'blue'}-400 opacity-25 animate-pulse"></div>
+    <i class="fas ${config.icon} text-3xl text-white relative z-10"></i>
+  `;
 
-        // Process Dokumentasi Masalah photos
-        if (issue.imageIds && issue.imageIds.length > 0) {
-          const maxPhotoSize = 45; // Max size in mm
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const pageHeight = doc.internal.pageSize.getHeight();
-          const margin = 14;
-          const bottomMargin = 20;
+  confirmTitle.textContent = title;
 
-          // Start issue header
-          if (yPos > pageHeight - bottomMargin - 15) {
-            doc.addPage();
-            yPos = 15;
-          }
+  // Support HTML content in message
+  if (message.includes('<')) {
+    confirmMessage.innerHTML = message;
+  } else {
+    confirmMessage.textContent = message;
+  }
 
-          doc.setFontSize(9);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Issue #${index + 1} - ${issue.excavator} - Dokumentasi Masalah (${issue.imageIds.length} foto)`, margin, yPos);
-          yPos += 8;
+  // Show/hide data preview
+  if (dataPreview && confirmDataPreview) {
+    confirmDataPreview.innerHTML = dataPreview;
+    confirmDataPreview.classList.remove('hidden');
+  } else if (confirmDataPreview) {
+    confirmDataPreview.classList.add('hidden');
+  }
 
-          let xPos = margin;
-          let photosInCurrentRow = 0;
-          const photosPerRow = 4;
-          let maxHeightInCurrentRow = 0;
+  // Update button styles with shimmer effect
+  confirmOkBtn.className = `group relative overflow-hidden px-8 py-3.5 font-semibold rounded-xl transition-all duration-200 flex items-center justify-center gap-2.5 shadow-lg hover:shadow-2xl transform hover:-translate-y-0.5 ${colorConfig[color] || colorConfig.blue}`;
+  confirmOkBtn.innerHTML = `
+    <span class="absolute inset-0 shimmer opacity-0 group-hover:opacity-100"></span>
+    <i class="fas fa-check relative z-10"></i>
+    <span class="relative z-10">${iconType === 'trash' ? 'Delete' : 'OK'}</span>
+  `;
 
-          for (let photoIndex = 0; photoIndex < issue.imageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.imageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
-
-                // Create temporary image to get dimensions
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
-
-                // Calculate dimensions maintaining aspect ratio
-                const aspectRatio = img.width / img.height;
-                let photoWidth, photoHeight;
-                if (aspectRatio > 1) {
-                  photoWidth = maxPhotoSize;
-                  photoHeight = maxPhotoSize / aspectRatio;
-                } else {
-                  photoHeight = maxPhotoSize;
-                  photoWidth = maxPhotoSize * aspectRatio;
-                }
+  confirmCancelBtn.className = `group relative overflow-hidden px-8 py-3.5 bg-white hover:bg-gray-50 border-2 border-gray-300 hover:border-gray-400 text-gray-700 font-semibold rounded-xl transition-all duration-200 hover:shadow-lg flex items-center justify-center gap-2.5`;
 
-                // Track max height in this row
-                maxHeightInCurrentRow = Math.max(maxHeightInCurrentRow, photoHeight);
-
-                // Check if this photo would exceed page height
-                if (yPos + photoHeight > pageHeight - bottomMargin) {
-                  // Move to new page
-                  doc.addPage();
-                  yPos = 15;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-                }
+  // Show modal with animation
+  modal.classList.remove('hidden');
+  setTimeout(() => modal.classList.add('opacity-100'), 10);
 
-                // Check if we need to wrap to next row (exceeded page width)
-                if (photosInCurrentRow > 0 && xPos + maxPhotoSize + 5 > pageWidth - margin) {
-                  // Move to next row
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-
-                  // Check again if new row fits on page
-                  if (yPos + photoHeight > pageHeight - bottomMargin) {
-                    doc.addPage();
-                    yPos = 15;
-                  }
-                }
+  // Prevent body scroll when modal is open
+  document.body.classList.add('modal-open');
 
-                // Add white background
-                doc.setFillColor(255, 255, 255);
-                doc.rect(xPos, yPos, photoWidth, photoHeight, 'F');
+  // Handle OK button
+  const handleOk = () => {
+    modal.classList.remove('opacity-100');
+    setTimeout(() => {
+      modal.classList.add('hidden');
+      document.body.classList.remove('modal-open');
+      if (onConfirm) onConfirm();
+    }, 200);
+    cleanup();
+  };
 
-                // Add border
-                doc.setDrawColor(200, 200, 200);
-                doc.setLineWidth(0.5);
-                doc.rect(xPos, yPos, photoWidth, photoHeight);
+  // Handle Cancel button
+  const handleCancel = () => {
+    modal.classList.remove('opacity-100');
+    setTimeout(() => {
+      modal.classList.add('hidden');
+      document.body.classList.remove('modal-open');
+      if (onCancel) onCancel();
+    }, 200);
+    cleanup();
+  };
 
-                // Add image with slight padding
-                doc.addImage(base64, 'JPEG', xPos + 1, yPos + 1, photoWidth - 2, photoHeight - 2);
+  // Handle ESC key
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      handleCancel();
+    }
+  };
 
-                // Move to next position
-                xPos += maxPhotoSize + 5;
-                photosInCurrentRow++;
+  // Cleanup event listeners
+  const cleanup = () => {
+    confirmOkBtn.removeEventListener('click', handleOk);
+    confirmCancelBtn.removeEventListener('click', handleCancel);
+    modal.removeEventListener('click', handleBackdropClick);
+    document.removeEventListener('keydown', handleEscape);
+  };
 
-                // Force new row after photosPerRow photos
-                if (photosInCurrentRow >= photosPerRow && photoIndex < issue.imageIds.length - 1) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = 0;
-                }
-              }
-            } catch (err) {
-              console.warn(`Could not load photo ${issue.imageIds[photoIndex]}:`, err);
-            }
-          }
+  // Handle backdrop click
+  const handleBackdropClick = (e) => {
+    if (e.target === modal) handleCancel();
+  };
 
-          // Move past the last row of photos
-          if (photosInCurrentRow > 0) {
-            yPos += maxHeightInCurrentRow + 10;
-          } else {
-            yPos += 5;
-          }
-        }
+  confirmOkBtn.addEventListener('click', handleOk);
+  confirmCancelBtn.addEventListener('click', handleCancel);
+  modal.addEventListener('click', handleBackdropClick);
+  document.addEventListener('keydown', handleEscape);
+}
 
-        // Process Follow Up Perbaikan photos
-        if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-          const maxPhotoSize = 45;
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const pageHeight = doc.internal.pageSize.getHeight();
-          const margin = 14;
-          const bottomMargin = 20;
-
-          // Start follow-up header
-          if (yPos > pageHeight - bottomMargin - 15) {
-            doc.addPage();
-            yPos = 15;
-          }
+// ==========================================
+// Backup & Restore Functions
+// ==========================================
+async function backupData() {
+  try {
+    showAlert('Menyiapkan backup (termasuk foto dari IndexedDB)...', 'info');
 
-          doc.setFontSize(9);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Issue #${index + 1} - ${issue.excavator} - Follow Up Perbaikan (${issue.followUpImageIds.length} foto)`, margin, yPos);
-          yPos += 8;
+    // Export images from IndexedDB
+    let imagesBackup = [];
+    try {
+      imagesBackup = await imageStorage.exportImages();
+      console.log(`✅ Exported ${imagesBackup.length} images from IndexedDB`);
+    } catch (error) {
+      console.warn('Failed to export images:', error);
+      showAlert('Peringatan: Foto mungkin tidak terbackup!', 'warning');
+    }
 
-          let xPos = margin;
-          let photosInCurrentRow = 0;
-          const photosPerRow = 4;
-          let maxHeightInCurrentRow = 0;
+    // Collect all data from localStorage
+    const backupData = {
+      version: '3.0.0', // Bumped version for IndexedDB support
+      exportDate: new Date().toISOString(),
+      productivityData: AppState.productivityData,
+      matchFactorData: AppState.matchFactorData,
+      issuesData: AppState.issuesData,
+      imagesData: imagesBackup, // New: Include IndexedDB images
+      userSettings: {
+        nama: localStorage.getItem('userNama') || '',
+        nrp: localStorage.getItem('userNRP') || '',
+        lastUpdate: localStorage.getItem('lastUpdateTimestamp') || '',
+        expandedCards: localStorage.getItem('expandedCards') || '{}',
+        sidebarCollapsed: localStorage.getItem('sidebarCollapsed') || 'false',
+        shiftRoster: localStorage.getItem('shiftRoster') || '',
+        productivityTargets: localStorage.getItem('productivityTargets') || '',
+        equipmentRegistry: localStorage.getItem('equipmentRegistry') || '',
+        materialTable: localStorage.getItem('materialTable') || '',
+        jobEfficiency: localStorage.getItem('jobEfficiency') || '',
+        shiftSignOffs: localStorage.getItem('shiftSignOffs') || '',
+        reportTemplate: localStorage.getItem('reportTemplate') || '',
+        problemCatalog: localStorage.getItem('problemCatalog') || ''
+      },
+      metadata: {
+        totalProductivity: AppState.productivityData.length,
+        totalMatchFactor: AppState.matchFactorData.length,
+        totalIssues: AppState.issuesData.length,
+        totalImages: imagesBackup.length,
+        totalRecords: AppState.productivityData.length + AppState.matchFactorData.length + AppState.issuesData.length,
+        backupSizeEstimate: JSON.stringify(imagesBackup).length
+      }
+    };
 
-          for (let photoIndex = 0; photoIndex < issue.followUpImageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.followUpImageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
-
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
-
-                const aspectRatio = img.width / img.height;
-                let photoWidth, photoHeight;
-                if (aspectRatio > 1) {
-                  photoWidth = maxPhotoSize;
-                  photoHeight = maxPhotoSize / aspectRatio;
-                } else {
-                  photoHeight = maxPhotoSize;
-                  photoWidth = maxPhotoSize * aspectRatio;
-                }
+    // Convert to JSON
+    const jsonString = JSON.stringify(backupData, null, 2);
+    const sizeInMB = (jsonString.length / (1024 * 1024)).toFixed(2);
 
-                maxHeightInCurrentRow = Math.max(maxHeightInCurrentRow, photoHeight);
+    // Create blob and download
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
 
-                if (yPos + photoHeight > pageHeight - bottomMargin) {
-                  doc.addPage();
-                  yPos = 15;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-                }
+    // Generate filename with timestamp
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    link.href = url;
+    link.download = `SmartzProd-Backup-${timestamp}.json`;
 
-                if (photosInCurrentRow > 0 && xPos + maxPhotoSize + 5 > pageWidth - margin) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 
-                  if (yPos + photoHeight > pageHeight - bottomMargin) {
-                    doc.addPage();
-                    yPos = 15;
-                  }
-                }
+    const msg = `Backup berhasil! ${backupData.metadata.totalProductivity} Productivity + ${backupData.metadata.totalMatchFactor} Match Factor + ${backupData.metadata.totalIssues} Issues + ${imagesBackup.length} foto (${sizeInMB}MB)`;
+    showToast(msg, 'success');
+  } catch (error) {
+    console.error('Backup error:', error);
+    showToast('Gagal membuat backup: ' + error.message, 'error');
+  }
+}
 
-                doc.setFillColor(255, 255, 255);
-                doc.rect(xPos, yPos, photoWidth, photoHeight, 'F');
+function handleRestoreFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
 
-                doc.setDrawColor(200, 200, 200);
-                doc.setLineWidth(0.5);
-                doc.rect(xPos, yPos, photoWidth, photoHeight);
+  // Validate file type
+  if (!file.name.endsWith('.json')) {
+    showToast('File harus berformat JSON', 'error');
+    event.target.value = ''; // Reset input
+    return;
+  }
 
-                doc.addImage(base64, 'JPEG', xPos + 1, yPos + 1, photoWidth - 2, photoHeight - 2);
+  const reader = new FileReader();
 
-                xPos += maxPhotoSize + 5;
-                photosInCurrentRow++;
+  reader.onload = async function (e) {
+    try {
+      const backupData = JSON.parse(e.target.result);
 
-                if (photosInCurrentRow >= photosPerRow && photoIndex < issue.followUpImageIds.length - 1) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = 0;
-                }
-              }
-            } catch (err) {
-              console.warn(`Could not load follow-up photo ${issue.followUpImageIds[photoIndex]}:`, err);
-            }
-          }
+      // Validate backup data structure
+      if (!backupData.productivityData || !backupData.matchFactorData) {
+        throw new Error('Format backup tidak valid');
+      }
 
-          if (photosInCurrentRow > 0) {
-            yPos += maxHeightInCurrentRow + 10;
-          } else {
-            yPos += 5;
-          }
-        }
+      // Get current photo count from IndexedDB
+      let currentPhotoCount = 0;
+      try {
+        const storageInfo = await imageStorage.getStorageInfo();
+        currentPhotoCount = storageInfo.count || 0;
+      } catch (error) {
+        console.warn('Could not get current photo count:', error);
       }
-    }
 
-    doc.save(`SmartzProd_${type}_${new Date().getTime()}.pdf`);
-    showAlert('Export ke PDF berhasil!', 'success');
-  } catch (error) {
-    console.error('Export PDF error:', error);
-    showAlert('Gagal export ke PDF: ' + error.message, 'error');
-  }
-}
+      // Show enhanced confirmation dialog with beautiful stats preview
+      const backupDate = new Date(backupData.exportDate).toLocaleString('id-ID', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
 
-// ==========================================
-// WhatsApp Integration Helper
-// ==========================================
-/**
- * Opens WhatsApp (Desktop app or Web) with pre-filled caption
- * @param {string} caption - The message to pre-fill in WhatsApp
- */
-function openWhatsAppWithCaption(caption) {
-  const encodedCaption = encodeURIComponent(caption);
+      const currentTotal = AppState.productivityData.length + AppState.matchFactorData.length + AppState.issuesData.length;
 
-  // Try to open WhatsApp Desktop app first
-  const whatsappDesktopUrl = `whatsapp://send?text=${encodedCaption}`;
-  const whatsappWebUrl = `https://web.whatsapp.com/send?text=${encodedCaption}`;
+      const statsHTML = `
+        <div class="space-y-3 sm:space-y-4">
+          <!-- Backup File Header (Mobile Responsive) -->
+          <div class="text-center">
+            <div class="inline-flex items-center justify-center w-12 h-12 sm:w-16 sm:h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl sm:rounded-2xl shadow-lg mb-2 sm:mb-3">
+              <i class="fas fa-cloud-upload-alt text-white text-lg sm:text-2xl"></i>
+            </div>
+            <h4 class="text-xs sm:text-sm font-semibold text-gray-600 mb-1">File Backup</h4>
+            <p class="text-[10px] sm:text-xs text-gray-500 break-all px-2 sm:px-4 leading-tight">${file.name}</p>
+            <p class="text-[10px] sm:text-xs text-gray-400 mt-1">
+              <i class="fas fa-calendar-alt mr-1"></i>${backupDate}
+            </p>
+          </div>
 
-  // Attempt to open desktop app
-  const desktopWindow = window.open(whatsappDesktopUrl, '_blank');
+          <!-- Data Comparison Table (Mobile Adaptive) -->
+          <div class="bg-gradient-to-br from-gray-50 to-gray-100 rounded-lg sm:rounded-xl p-3 sm:p-4 border border-gray-200 overflow-x-auto">
+            <table class="w-full text-sm min-w-[280px]">
+              <thead>
+                <tr class="border-b border-gray-300">
+                  <th class="text-left py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Jenis Data</th>
+                  <th class="text-center py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Backup</th>
+                  ${currentTotal > 0 ? '<th class="text-center py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Saat Ini</th>' : ''}
+                </tr>
+              </thead>
+              <tbody>
+                <tr class="border-b border-gray-200">
+                  <td class="py-2 sm:py-3">
+                    <div class="flex items-center gap-1.5 sm:gap-2">
+                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-green-500 rounded-full flex-shrink-0"></div>
+                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Productivity</span>
+                    </div>
+                  </td>
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-green-100 text-green-700 rounded-full text-[10px] sm:text-xs font-bold">
+                      ${backupData.metadata.totalProductivity}
+                    </span>
+                  </td>
+                  ${currentTotal > 0 ? `
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
+                      ${AppState.productivityData.length}
+                    </span>
+                  </td>
+                  ` : ''}
+                </tr>
+                <tr class="border-b border-gray-200">
+                  <td class="py-2 sm:py-3">
+                    <div class="flex items-center gap-1.5 sm:gap-2">
+                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-purple-500 rounded-full flex-shrink-0"></div>
+                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Match Factor</span>
+                    </div>
+                  </td>
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-purple-100 text-purple-700 rounded-full text-[10px] sm:text-xs font-bold">
+                      ${backupData.metadata.totalMatchFactor}
+                    </span>
+                  </td>
+                  ${currentTotal > 0 ? `
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
+                      ${AppState.matchFactorData.length}
+                    </span>
+                  </td>
+                  ` : ''}
+                </tr>
+                <tr class="border-b border-gray-200">
+                  <td class="py-2 sm:py-3">
+                    <div class="flex items-center gap-1.5 sm:gap-2">
+                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-orange-500 rounded-full flex-shrink-0"></div>
+                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Issues Log</span>
+                    </div>
+                  </td>
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-orange-100 text-orange-700 rounded-full text-[10px] sm:text-xs font-bold">
+                      ${backupData.metadata.totalIssues || 0}
+                    </span>
+                  </td>
+                  ${currentTotal > 0 ? `
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
+                      ${AppState.issuesData.length}
+                    </span>
+                  </td>
+                  ` : ''}
+                </tr>
+                <tr class="border-b border-gray-200">
+                  <td class="py-2 sm:py-3">
+                    <div class="flex items-center gap-1.5 sm:gap-2">
+                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-blue-500 rounded-full flex-shrink-0"></div>
+                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Photos</span>
+                    </div>
+                  </td>
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-blue-100 text-blue-700 rounded-full text-[10px] sm:text-xs font-bold">
+                      ${backupData.metadata.totalImages || 0}
+                    </span>
+                  </td>
+                  ${currentTotal > 0 ? `
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
+                      ${currentPhotoCount}
+                    </span>
+                  </td>
+                  ` : ''}
+                </tr>
+                <tr>
+                  <td class="py-2 sm:py-3">
+                    <span class="text-[10px] sm:text-xs font-bold text-gray-800">Total Records</span>
+                  </td>
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-blue-500 text-white rounded-full text-xs sm:text-sm font-bold">
+                      ${backupData.metadata.totalRecords}
+                    </span>
+                  </td>
+                  ${currentTotal > 0 ? `
+                  <td class="text-center">
+                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-400 text-white rounded-full text-xs sm:text-sm font-bold">
+                      ${currentTotal}
+                    </span>
+                  </td>
+                  ` : ''}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <!-- Action Arrow (Mobile Responsive) -->
+          ${currentTotal > 0 ? `
+          <div class="flex items-center justify-center gap-2 sm:gap-3 py-1.5 sm:py-2">
+            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-red-300 to-transparent"></div>
+            <div class="flex items-center gap-1.5 sm:gap-2 px-2 sm:px-4 py-1.5 sm:py-2 bg-red-50 border-2 border-red-200 rounded-full">
+              <i class="fas fa-exchange-alt text-red-600 text-xs sm:text-sm"></i>
+              <span class="text-[10px] sm:text-xs font-bold text-red-700 whitespace-nowrap">Data akan diganti</span>
+            </div>
+            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-red-300 to-transparent"></div>
+          </div>
+          ` : `
+          <div class="flex items-center justify-center gap-2 sm:gap-3 py-1.5 sm:py-2">
+            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-green-300 to-transparent"></div>
+            <div class="flex items-center gap-1.5 sm:gap-2 px-2 sm:px-4 py-1.5 sm:py-2 bg-green-50 border-2 border-green-200 rounded-full">
+              <i class="fas fa-check-circle text-green-600 text-xs sm:text-sm"></i>
+              <span class="text-[10px] sm:text-xs font-bold text-green-700 whitespace-nowrap">Database kosong</span>
+            </div>
+            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-green-300 to-transparent"></div>
+          </div>
+          `}
 
-  // Fallback to WhatsApp Web after a short delay if desktop app doesn't respond
-  setTimeout(() => {
-    // If desktop app didn't open (window is null or closed immediately), open web version
-    if (!desktopWindow || desktopWindow.closed) {
-      window.open(whatsappWebUrl, '_blank');
-      console.log('Opened WhatsApp Web (desktop app not detected)');
-    } else {
-      console.log('Opened WhatsApp Desktop app');
-    }
-  }, 1000);
-}
+          <!-- Warning Message (Mobile Responsive) -->
+          ${currentTotal > 0 ? `
+          <div class="bg-gradient-to-r from-red-50 to-orange-50 border border-red-200 rounded-lg p-2.5 sm:p-3">
+            <div class="flex items-start gap-1.5 sm:gap-2">
+              <i class="fas fa-exclamation-circle text-red-500 text-xs sm:text-sm mt-0.5 flex-shrink-0"></i>
+              <p class="text-[10px] sm:text-xs text-red-800 leading-relaxed">
+                <strong>${currentTotal} records</strong> yang ada saat ini akan <strong>dihapus permanen</strong> dan diganti dengan <strong>${backupData.metadata.totalRecords} records</strong> dari backup.
+              </p>
+            </div>
+          </div>
+          ` : ''}
+        </div>
+      `;
 
-// ==========================================
-// Share PDF via Web Share API (Platform-aware)
-// ==========================================
-async function sharePDFToWhatsApp(type) {
-  const data = type === 'productivity' ? AppState.productivityData : AppState.matchFactorData;
+      const confirmReplace = () => showConfirm(
+        'Restore Data dari Backup',
+        statsHTML,
+        'exclamation-triangle',
+        'orange',
+        () => {
+          // User confirmed, proceed with restore
+          restoreData(backupData);
+        },
+        () => {
+          // User cancelled
+          showToast('Restore dibatalkan', 'info');
+        }
+      );
 
-  if (data.length === 0) {
-    showAlert('Tidak ada data untuk dibagikan', 'error');
-    return;
-  }
+      // With local data present, default to merging so a swapped backup never wipes it
+      if (currentTotal > 0) {
+        await openRestoreMergeModal(backupData, file.name, confirmReplace);
+      } else {
+        confirmReplace();
+      }
 
-  // Check if Web Share API is supported
-  // Note: We check support but don't block - fallback to download if sharing unavailable
-  const webShareSupported = typeof navigator.share === 'function';
-  const canShareFiles = (file) => {
-    try {
-      return navigator.canShare && navigator.canShare({ files: [file] });
-    } catch {
-      return false;
+    } catch (error) {
+      console.error('Restore error:', error);
+      showToast('Gagal membaca backup: ' + error.message, 'error');
     }
+
+    // Reset file input
+    event.target.value = '';
   };
 
-  try {
-    showAlert('Memproses PDF... mohon tunggu', 'info');
+  reader.onerror = function () {
+    showToast('Gagal membaca file', 'error');
+    event.target.value = '';
+  };
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF('l', 'mm', 'a4');
-    let yPos = 15;
+  reader.readAsText(file);
+}
 
-    // Title
-    const title = type === 'productivity' ? 'Laporan Productivity' : 'Laporan Match Factor';
-    doc.setFontSize(16);
-    doc.setFont(undefined, 'bold');
-    doc.text(title, 14, yPos);
-    yPos += 7;
+async function restoreData(backupData) {
+  try {
+    showAlert('Memulai restore data...', 'info');
 
-    // Format date as "2 November 2025, 23.09"
-    const now = new Date();
-    const formattedDate = now.toLocaleDateString('id-ID', {
-      day: 'numeric',
-      month: 'long',
-      year: 'numeric'
-    }) + ', ' + now.toLocaleTimeString('id-ID', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    }).replace(':', '.');
+    // Restore data to AppState
+    AppState.productivityData = backupData.productivityData || [];
+    AppState.matchFactorData = backupData.matchFactorData || [];
+    AppState.issuesData = backupData.issuesData || [];
+    Object.keys(RECORD_STORES).forEach(key => recordStorage.markReplaced(key));
 
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Generated: ${formattedDate}`, 14, yPos);
-    yPos += 10;
+    // Restore IndexedDB images if present
+    if (backupData.imagesData && backupData.imagesData.length > 0) {
+      try {
+        showAlert(`Memulihkan ${backupData.imagesData.length} foto ke IndexedDB...`, 'info');
 
-    // Section 1: Main Data Table
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text(`1. ${type === 'productivity' ? 'Productivity' : 'Match Factor'} Data`, 14, yPos);
-    yPos += 5;
+        // Clear existing images first
+        await imageStorage.clearAll();
 
-    let tableData = [];
-    let headers = [];
+        // Import images
+        await imageStorage.importImages(backupData.imagesData);
 
-    if (type === 'productivity') {
-      headers = [['No', 'Pengawas', 'NRP', 'Waktu', 'No Excavator', 'Operator', 'Jenis Material', 'Ritase', 'HM Awal', 'HM Akhir', 'Durasi (Jam)', 'Kapasitas (BCM)', 'Productivity (BCM/Jam)', 'WH (Menit)', 'Delay (Menit)']];
-      tableData = data.map((item, index) => {
-        const selisihHM = parseFloat(item.hmAkhir) - parseFloat(item.hmAwal);
-        const whTarget = Math.ceil(selisihHM);
-        const delay = Math.max(0, (whTarget - selisihHM) * 60);
-        const wh = selisihHM * 60;
-        return [
-          index + 1,
-          item.namaPengawas,
-          item.nrp,
-          formatDateTime(item.waktu),
-          item.noExcavator,
-          item.namaOperator || '-',
-          item.jenisMaterial || '-',
-          item.jumlahRitase,
-          item.hmAwal,
-          item.hmAkhir,
-          item.durasi,
-          item.kapasitas,
-          item.productivity,
-          wh.toFixed(2),
-          delay.toFixed(2)
-        ];
-      });
-    } else {
-      headers = [['No', 'Pengawas', 'NRP', 'Waktu', 'No Excavator', 'Operator', 'Jenis Material', 'Jml HD', 'CT Hauler (min)', 'CT Loader (min)', 'Match Factor']];
-      tableData = data.map((item, index) => [
-        index + 1,
-        item.namaPengawas,
-        item.nrp,
-        formatDateTime(item.waktu),
-        item.noExcavator,
-        item.namaOperator || '-',
-        item.jenisMaterial || '-',
-        item.jumlahHD,
-        item.cycleTimeHauler,
-        item.cycleTimeLoader,
-        item.matchFactor
-      ]);
-    }
-
-    doc.autoTable({
-      head: headers,
-      body: tableData,
-      startY: yPos,
-      styles: { fontSize: 7 },
-      headStyles: {
-        fillColor: type === 'productivity' ? [68, 114, 196] : [147, 51, 234],
-        halign: 'left'
+        console.log(`✅ Restored ${backupData.imagesData.length} images to IndexedDB`);
+      } catch (error) {
+        console.error('Failed to restore images:', error);
+        showAlert('Peringatan: Foto mungkin tidak terrestore!', 'warning');
       }
-    });
-
-    yPos = doc.lastAutoTable.finalY + 10;
-
-    // Section 2: Chart Analysis with Images
-    if (yPos > 160) {
-      doc.addPage();
-      yPos = 15;
     }
 
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text(`2. ${type === 'productivity' ? 'Productivity Trend' : 'Match Factor Analysis'} Summary`, 14, yPos);
-    yPos += 5;
-
-    // Get unique excavators
-    const uniqueExcavators = [...new Set(data.map(d => d.noExcavator))];
-    const chartHeaders = [['Excavator', 'Total Records', 'Average', 'Max', 'Min']];
-    const chartData = uniqueExcavators.map(excavatorId => {
-      const excavatorData = data.filter(d => d.noExcavator === excavatorId);
-      const values = excavatorData.map(d => parseFloat(type === 'productivity' ? d.productivity : d.matchFactor) || 0);
-
-      return [
-        excavatorId,
-        excavatorData.length,
-        (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2),
-        Math.max(...values).toFixed(2),
-        Math.min(...values).toFixed(2)
-      ];
-    });
-
-    doc.autoTable({
-      head: chartHeaders,
-      body: chartData,
-      startY: yPos,
-      styles: { fontSize: 9 },
-      headStyles: {
-        fillColor: type === 'productivity' ? [68, 114, 196] : [147, 51, 234],
-        halign: 'left'
+    // Restore user settings
+    if (backupData.userSettings) {
+      if (backupData.userSettings.nama) {
+        localStorage.setItem('userNama', backupData.userSettings.nama);
+        document.getElementById('namaPengawas').value = backupData.userSettings.nama;
       }
-    });
-
-    yPos = doc.lastAutoTable.finalY + 10;
-
-    // Add chart images for each excavator - each on its own page
-    for (let i = 0; i < uniqueExcavators.length; i++) {
-      const excavatorId = uniqueExcavators[i];
-
-      // Add new page for each chart (except the first one if there's space)
-      if (i > 0 || yPos > 100) {
-        doc.addPage();
-        yPos = 20;
+      if (backupData.userSettings.nrp) {
+        localStorage.setItem('userNRP', backupData.userSettings.nrp);
+        document.getElementById('nrp').value = backupData.userSettings.nrp;
       }
-
-      const canvasId = type === 'productivity' ? `productivity-${excavatorId}` : `matchfactor-${excavatorId}`;
-      const canvas = document.getElementById(canvasId);
-
-      if (canvas) {
-        try {
-          doc.setFontSize(14);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Chart - Excavator ${excavatorId}`, 14, yPos);
-          yPos += 10;
-
-          // Calculate proper dimensions maintaining aspect ratio
-          const aspectRatio = canvas.width / canvas.height;
-          const maxWidth = 180;
-          const chartWidth = maxWidth;
-          const chartHeight = maxWidth / aspectRatio;
-
-          // Center the chart horizontally
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const xPos = (pageWidth - chartWidth) / 2;
-
-          // Add white background
-          doc.setFillColor(255, 255, 255);
-          doc.rect(xPos, yPos, chartWidth, chartHeight, 'F');
-
-          // Get chart image
-          const chartImage = canvas.toDataURL('image/png', 1.0);
-
-          // Add the chart image
-          doc.addImage(chartImage, 'PNG', xPos, yPos, chartWidth, chartHeight);
-        } catch (err) {
-          console.warn(`Could not capture chart for ${excavatorId}:`, err);
-        }
+      if (backupData.userSettings.lastUpdate) {
+        localStorage.setItem('lastUpdateTimestamp', backupData.userSettings.lastUpdate);
       }
-    }
-
-    // Section 3: Issue Log with Photos
-    if (AppState.issuesData.length > 0) {
-      doc.addPage();
-      yPos = 15;
-
-      doc.setFontSize(12);
-      doc.setFont(undefined, 'bold');
-      doc.text('3. Issue Log', 14, yPos);
-      yPos += 5;
-
-      // Sort issues by timestamp (newest first) - consistent with web dashboard
-      const sortedIssues = [...AppState.issuesData].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-      const issueHeaders = [['No', 'Waktu', 'Excavator', 'Delay Problem', 'Productivity Problem', 'Dokumentasi Masalah', 'Follow Up Perbaikan']];
-      const issueTableData = sortedIssues.map((issue, index) => {
-        let delayText = '-';
-        if (issue.delay) {
-          const { mainCode, mainLabel, subCode, subLabel, customText } = issue.delay;
-          delayText = `${mainCode} - ${mainLabel}`;
-          if (subCode && subLabel) {
-            delayText += ` | ${subCode} - ${subLabel}`;
-          }
-          if (customText) {
-            delayText += ` | ${customText}`;
-          }
-        }
-
-        let prodText = '-';
-        if (issue.productivity) {
-          const { mainCode, mainLabel, subOption, customText } = issue.productivity;
-          prodText = `Kat. ${mainCode}: ${mainLabel}`;
-          if (subOption) {
-            prodText += ` | ${subOption}`;
-          }
-          if (customText) {
-            prodText += ` | ${customText}`;
-          }
-        }
-
-        return [
-          index + 1,
-          formatDateTime(issue.timestamp),
-          issue.excavator,
-          delayText,
-          prodText,
-          issue.notes || '-',
-          issue.followUpNotes || '-'
-        ];
-      });
-
-      doc.autoTable({
-        head: issueHeaders,
-        body: issueTableData,
-        startY: yPos,
-        styles: {
-          fontSize: 7,
-          cellPadding: 2,
-          overflow: 'linebreak',
-          cellWidth: 'wrap'
-        },
-        headStyles: {
-          fillColor: [255, 107, 107],
-          fontStyle: 'bold',
-          halign: 'left'
-        },
-        columnStyles: {
-          0: { cellWidth: 10 },
-          1: { cellWidth: 25 },
-          2: { cellWidth: 20 },
-          3: { cellWidth: 35 },
-          4: { cellWidth: 35 },
-          5: { cellWidth: 35 },
-          6: { cellWidth: 35 }
-        }
-      });
-
-      yPos = doc.lastAutoTable.finalY + 10;
-
-      // Add issue photos (both Dokumentasi and Follow-up)
-      for (let index = 0; index < sortedIssues.length; index++) {
-        const issue = sortedIssues[index];
-
-        // Process Dokumentasi Masalah photos
-        if (issue.imageIds && issue.imageIds.length > 0) {
-          const maxPhotoSize = 45;
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const pageHeight = doc.internal.pageSize.getHeight();
-          const margin = 14;
-          const bottomMargin = 20;
-
-          if (yPos > pageHeight - bottomMargin - 15) {
-            doc.addPage();
-            yPos = 15;
-          }
-
-          doc.setFontSize(9);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Issue #${index + 1} - ${issue.excavator} - Dokumentasi Masalah (${issue.imageIds.length} foto)`, margin, yPos);
-          yPos += 8;
-
-          let xPos = margin;
-          let photosInCurrentRow = 0;
-          const photosPerRow = 4;
-          let maxHeightInCurrentRow = 0;
-
-          for (let photoIndex = 0; photoIndex < issue.imageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.imageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
-
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
-
-                const aspectRatio = img.width / img.height;
-                let photoWidth, photoHeight;
-                if (aspectRatio > 1) {
-                  photoWidth = maxPhotoSize;
-                  photoHeight = maxPhotoSize / aspectRatio;
-                } else {
-                  photoHeight = maxPhotoSize;
-                  photoWidth = maxPhotoSize * aspectRatio;
-                }
-
-                maxHeightInCurrentRow = Math.max(maxHeightInCurrentRow, photoHeight);
-
-                if (yPos + photoHeight > pageHeight - bottomMargin) {
-                  doc.addPage();
-                  yPos = 15;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-                }
-
-                if (photosInCurrentRow > 0 && xPos + maxPhotoSize + 5 > pageWidth - margin) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-
-                  if (yPos + photoHeight > pageHeight - bottomMargin) {
-                    doc.addPage();
-                    yPos = 15;
-                  }
-                }
-
-                doc.setFillColor(255, 255, 255);
-                doc.rect(xPos, yPos, photoWidth, photoHeight, 'F');
-
-                doc.setDrawColor(200, 200, 200);
-                doc.setLineWidth(0.5);
-                doc.rect(xPos, yPos, photoWidth, photoHeight);
-
-                doc.addImage(base64, 'JPEG', xPos + 1, yPos + 1, photoWidth - 2, photoHeight - 2);
-
-                xPos += maxPhotoSize + 5;
-                photosInCurrentRow++;
-
-                if (photosInCurrentRow >= photosPerRow && photoIndex < issue.imageIds.length - 1) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = 0;
-                }
-              }
-            } catch (err) {
-              console.warn(`Could not load photo ${issue.imageIds[photoIndex]}:`, err);
-            }
-          }
-
-          if (photosInCurrentRow > 0) {
-            yPos += maxHeightInCurrentRow + 10;
-          } else {
-            yPos += 5;
-          }
-        }
-
-        // Process Follow Up Perbaikan photos
-        if (issue.followUpImageIds && issue.followUpImageIds.length > 0) {
-          const maxPhotoSize = 45;
-          const pageWidth = doc.internal.pageSize.getWidth();
-          const pageHeight = doc.internal.pageSize.getHeight();
-          const margin = 14;
-          const bottomMargin = 20;
-
-          if (yPos > pageHeight - bottomMargin - 15) {
-            doc.addPage();
-            yPos = 15;
-          }
-
-          doc.setFontSize(9);
-          doc.setFont(undefined, 'bold');
-          doc.text(`Issue #${index + 1} - ${issue.excavator} - Follow Up Perbaikan (${issue.followUpImageIds.length} foto)`, margin, yPos);
-          yPos += 8;
-
-          let xPos = margin;
-          let photosInCurrentRow = 0;
-          const photosPerRow = 4;
-          let maxHeightInCurrentRow = 0;
-
-          for (let photoIndex = 0; photoIndex < issue.followUpImageIds.length; photoIndex++) {
-            try {
-              const photoData = await imageStorage.getImage(issue.followUpImageIds[photoIndex]);
-              if (photoData && photoData.blob) {
-                const base64 = await imageStorage.blobToBase64(photoData.blob);
-
-                const img = new Image();
-                img.src = base64;
-                await new Promise(resolve => img.onload = resolve);
-
-                const aspectRatio = img.width / img.height;
-                let photoWidth, photoHeight;
-                if (aspectRatio > 1) {
-                  photoWidth = maxPhotoSize;
-                  photoHeight = maxPhotoSize / aspectRatio;
-                } else {
-                  photoHeight = maxPhotoSize;
-                  photoWidth = maxPhotoSize * aspectRatio;
-                }
-
-                maxHeightInCurrentRow = Math.max(maxHeightInCurrentRow, photoHeight);
-
-                if (yPos + photoHeight > pageHeight - bottomMargin) {
-                  doc.addPage();
-                  yPos = 15;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-                }
-
-                if (photosInCurrentRow > 0 && xPos + maxPhotoSize + 5 > pageWidth - margin) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = photoHeight;
-
-                  if (yPos + photoHeight > pageHeight - bottomMargin) {
-                    doc.addPage();
-                    yPos = 15;
-                  }
-                }
-
-                doc.setFillColor(255, 255, 255);
-                doc.rect(xPos, yPos, photoWidth, photoHeight, 'F');
-
-                doc.setDrawColor(200, 200, 200);
-                doc.setLineWidth(0.5);
-                doc.rect(xPos, yPos, photoWidth, photoHeight);
-
-                doc.addImage(base64, 'JPEG', xPos + 1, yPos + 1, photoWidth - 2, photoHeight - 2);
-
-                xPos += maxPhotoSize + 5;
-                photosInCurrentRow++;
-
-                if (photosInCurrentRow >= photosPerRow && photoIndex < issue.followUpImageIds.length - 1) {
-                  yPos += maxHeightInCurrentRow + 5;
-                  xPos = margin;
-                  photosInCurrentRow = 0;
-                  maxHeightInCurrentRow = 0;
-                }
-              }
-            } catch (err) {
-              console.warn(`Could not load follow-up photo ${issue.followUpImageIds[photoIndex]}:`, err);
-            }
-          }
-
-          if (photosInCurrentRow > 0) {
-            yPos += maxHeightInCurrentRow + 10;
-          } else {
-            yPos += 5;
-          }
-        }
+      if (backupData.userSettings.expandedCards) {
+        localStorage.setItem('expandedCards', backupData.userSettings.expandedCards);
       }
-    }
-
-    // Get PDF as blob
-    const pdfBlob = doc.output('blob');
-    const fileName = `SmartzProd_${type}_${new Date().getTime()}.pdf`;
-
-    // Create File object from blob
-    const pdfFile = new File([pdfBlob], fileName, { type: 'application/pdf' });
-
-    // Generate summary text for sharing (do this BEFORE sharing attempt so clipboard is ready)
-    const excavatorList = [...new Set(data.map(d => d.noExcavator))];
-    const pengawasList = [...new Set(data.map(d => d.namaPengawas))];
+      if (backupData.userSettings.sidebarCollapsed) {
+        localStorage.setItem('sidebarCollapsed', backupData.userSettings.sidebarCollapsed);
+      }
+      if (backupData.userSettings.shiftRoster) {
+        localStorage.setItem('shiftRoster', backupData.userSettings.shiftRoster);
+      }
+      if (backupData.userSettings.productivityTargets) {
+        localStorage.setItem('productivityTargets', backupData.userSettings.productivityTargets);
+      }
+      if (backupData.userSettings.equipmentRegistry) {
+        localStorage.setItem('equipmentRegistry', backupData.userSettings.equipmentRegistry);
+      }
+      if (backupData.userSettings.reportTemplate) {
+        localStorage.setItem('reportTemplate', backupData.userSettings.reportTemplate);
+      }
+      if (backupData.userSettings.shiftSignOffs) {
+        localStorage.setItem('shiftSignOffs', backupData.userSettings.shiftSignOffs);
+      }
+      if (backupData.userSettings.jobEfficiency) {
+        localStorage.setItem('jobEfficiency', backupData.userSettings.jobEfficiency);
+      }
+      if (backupData.userSettings.materialTable) {
+        localStorage.setItem('materialTable', backupData.userSettings.materialTable);
+      }
+      if (backupData.userSettings.problemCatalog) {
+        localStorage.setItem('problemCatalog', backupData.userSettings.problemCatalog);
+      }
+    }
 
-    let summaryText = `📊 *${title}*\n`;
-    summaryText += `📅 _${formattedDate}_\n`;
-    summaryText += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+    const imageMsg = backupData.imagesData && backupData.imagesData.length > 0
+      ? ` + ${backupData.imagesData.length} foto`
+      : '';
+    finishRestore(
+      `Restore berhasil! ${backupData.metadata.totalProductivity || 0} Productivity + ${backupData.metadata.totalMatchFactor || 0} Match Factor + ${backupData.metadata.totalIssues || 0} Issues${imageMsg} dipulihkan`
+    );
 
-    // Pengawas Information
-    summaryText += `👤 *PENGAWAS*\n`;
-    const uniquePengawas = [...new Set(data.map(d => `${d.namaPengawas} (NRP: ${d.nrp})`))];
-    uniquePengawas.forEach(pengawas => {
-      summaryText += `   • ${pengawas}\n`;
-    });
-    summaryText += `\n`;
+  } catch (error) {
+    console.error('Restore data error:', error);
+    showToast('Gagal restore data: ' + error.message, 'error');
+  }
+}
 
-    if (type === 'productivity') {
-      // Calculate productivity statistics
-      const totalRecords = data.length;
-      const productivityValues = data.map(d => d.productivity);
-      const avgProductivity = (productivityValues.reduce((a, b) => a + b, 0) / totalRecords).toFixed(2);
-      const maxProductivity = Math.max(...productivityValues).toFixed(2);
-      const minProductivity = Math.min(...productivityValues).toFixed(2);
-      const totalRitase = data.reduce((sum, d) => sum + d.jumlahRitase, 0);
+/**
+ * Shared tail of replace and merge restores: normalize, save and refresh the UI
+ * @param {string} message - Success toast
+ */
+function finishRestore(message) {
+  // Older backups have no shift info, registry links or issue-record links
+  backfillShiftInfo();
+  normalizeRecordsToRegistry();
+  linkIssuesToRecords();
 
-      summaryText += `📈 *RINGKASAN DATA*\n`;
-      summaryText += `   • Total Records: *${totalRecords}*\n`;
-      summaryText += `   • Jumlah Excavator: *${excavatorList.length}*\n`;
-      summaryText += `   • Pengawas: *${pengawasList.length}*\n\n`;
+  saveAppData();
 
-      summaryText += `⚙️ *PRODUCTIVITY*\n`;
-      summaryText += `   • Rata-rata: *${avgProductivity}* BCM/Jam\n`;
-      summaryText += `   • Tertinggi: *${maxProductivity}* BCM/Jam\n`;
-      summaryText += `   • Terendah: *${minProductivity}* BCM/Jam\n`;
-      summaryText += `   • Total Ritase: *${totalRitase}*\n\n`;
+  // Refresh UI
+  renderProductivityTable();
+  renderMatchFactorTable();
+  renderIssuesTable();
+  renderDelayPareto();
+  updateProductivityChart();
+  updateMatchFactorChart();
+  updateFilterOptions();
+  updateTotalRecords();
+  updateLastUpdate();
 
-      // Detailed Excavator breakdown with problems
-      summaryText += `━━━━━━━━━━━━━━━━━━━━\n`;
-      summaryText += `🚜 *DETAIL PER EXCAVATOR*\n\n`;
-      excavatorList.forEach(exc => {
-        const excData = data.filter(d => d.noExcavator === exc).sort((a, b) => {
-          return new Date(a.waktu) - new Date(b.waktu);
-        });
-        const excAvg = (excData.reduce((sum, d) => sum + d.productivity, 0) / excData.length).toFixed(2);
+  showToast(message, 'success');
 
-        // Get pengawas name for this excavator (use first record's pengawas)
-        const pengawasName = excData[0]?.namaPengawas || '';
+  // Optional: Scroll to top to show the results
+  window.scrollTo({ top: 0, behavior: 'smooth' });
 
-        summaryText += `*${exc}*  |  _Pengawas: ${pengawasName}_\n`;
-        summaryText += `Rata-rata: *${excAvg} BCM/Jam*\n\n`;
+  // Restored data never went through the save-time HM check
+  const hmFindings = auditHmTimeline(AppState.productivityData);
+  if (hmFindings.length > 0) {
+    showHmAuditReport(hmFindings);
+  }
+}
 
-        excData.forEach((record, idx) => {
-          const time = new Date(record.waktu);
-          const timeStr = time.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false });
-          const selisihHM = parseFloat(record.hmAkhir) - parseFloat(record.hmAwal);
-          const whTarget = Math.ceil(selisihHM);
-          const delay = Math.max(0, (whTarget - selisihHM) * 60);
-          const wh = selisihHM * 60;
+// ==========================================
+// Restore Merge
+// ==========================================
+const RESTORE_MERGE_TYPES = {
+  productivityData: { label: 'Productivity', dot: 'bg-green-500', excavatorField: 'noExcavator', datetimeField: 'waktu' },
+  matchFactorData: { label: 'Match Factor', dot: 'bg-purple-500', excavatorField: 'noExcavator', datetimeField: 'waktu' },
+  issuesData: { label: 'Issues Log', dot: 'bg-orange-500', excavatorField: 'excavator', datetimeField: 'timestamp' }
+};
 
-          summaryText += `  *${String.fromCharCode(65 + idx)}. Jam ${timeStr}*  →  *${record.productivity} BCM/Jam*\n`;
-          summaryText += `     👤 Operator: _${record.namaOperator || '-'}_\n`;
-          summaryText += `     🪨 Material: ${record.jenisMaterial || '-'}\n`;
-          summaryText += `     🔄 Ritase: *${record.jumlahRitase}*\n`;
-          summaryText += `     ⏱️ HM Awal: ${record.hmAwal}  |  HM Akhir: ${record.hmAkhir}\n`;
-          summaryText += `     ⚙️ WH: *${wh.toFixed(2)}* menit  |  Delay: *${delay.toFixed(2)}* menit\n`;
+// Settings a merge only fills in when this device has none yet
+const RESTORE_MERGE_SETTINGS = {
+  shiftRoster: 'shiftRoster',
+  productivityTargets: 'productivityTargets',
+  equipmentRegistry: 'equipmentRegistry',
+  materialTable: 'materialTable',
+  jobEfficiency: 'jobEfficiency',
+  reportTemplate: 'reportTemplate'
+};
 
-          // Find related issues for this excavator
-          const relatedIssues = AppState.issuesData.filter(issue => {
-            // Must match excavator (issue uses 'excavator' not 'noExcavator')
-            if (issue.excavator !== exc) return false;
+let restoreMergeState = null;
 
-            // Check if issue has a time and matches (issue uses 'timestamp' not 'waktu')
-            if (issue.timestamp) {
-              const issueTime = new Date(issue.timestamp);
-              const recordTime = new Date(record.waktu);
+/**
+ * Natural key used when two devices recorded the same hour separately (no shared ID).
+ * Records: excavator + waktu + NRP. Issues: excavator + timestamp.
+ */
+function getRecordNaturalKey(type, record) {
+  const { excavatorField, datetimeField } = RESTORE_MERGE_TYPES[type];
+  const excavator = normalizeEquipmentCode(record[excavatorField]);
 
-              // Match only if same hour on the same date
-              const sameHour = issueTime.getHours() === recordTime.getHours() &&
-                issueTime.getDate() === recordTime.getDate() &&
-                issueTime.getMonth() === recordTime.getMonth();
+  if (type === 'issuesData') {
+    const time = new Date(record[datetimeField]);
+    return `${excavator}|${isNaN(time) ? '' : time.toISOString()}`;
+  }
+  return `${excavator}|${record[datetimeField] || ''}|${String(record.nrp || '').trim()}`;
+}
 
-              return sameHour;
-            }
+// Key-order independent JSON, so the same record saved on two devices compares equal
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
 
-            // If no time on issue, still include if same excavator
-            return true;
-          });
+function getRecordFingerprint(record) {
+  const { id, ...content } = record;
+  return stableStringify(content);
+}
 
-          if (relatedIssues.length > 0) {
-            // Collect all delay problems (supports multiple delays per issue)
-            const delayProblems = [];
-            const prodProblems = [];
+function getChangedFields(local, incoming) {
+  const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  keys.delete('id');
+  return [...keys].filter(key => stableStringify(local[key]) !== stableStringify(incoming[key]));
+}
 
-            relatedIssues.forEach(issue => {
-              // Get all delays from this issue (with backward compatibility)
-              const delays = getIssueDelays(issue);
-              delays.forEach(delay => {
-                let delayText = `${delay.mainCode} ‧ ${delay.mainLabel}`;
-                if (delay.subLabel) delayText += ` - ${delay.subLabel}`;
-                if (delay.customText) delayText += ` (${delay.customText})`;
-                delayProblems.push(delayText);
-              });
+/**
+ * Compare a backup with the current data.
+ * Records matched by ID that differ are "changed"; records matched only by natural key are "conflicts".
+ * @param {Object} backupData - Parsed backup file
+ * @returns {Object} { types: {type: {added, changed, conflicts, identical}}, items: [...] }
+ */
+function buildRestoreDiff(backupData) {
+  const registry = getEquipmentRegistry();
+  const diff = { types: {}, items: [] };
+  // Backup record ID -> ID the record has after the merge, for re-pointing incoming issue links
+  const recordIdMap = new Map();
+
+  Object.entries(RESTORE_MERGE_TYPES).forEach(([type, config]) => {
+    const local = AppState[type];
+    const byId = new Map();
+    const byKey = new Map();
+
+    local.forEach((record, index) => {
+      if (record.id !== undefined && record.id !== null) byId.set(String(record.id), index);
+      const key = getRecordNaturalKey(type, record);
+      if (!byKey.has(key)) byKey.set(key, index);
+    });
 
-              // Get all productivities from this issue (with backward compatibility)
-              const productivities = getIssueProductivities(issue);
-              productivities.forEach(prod => {
-                let prodText = `Kat. ${prod.mainCode} ‧ ${prod.mainLabel}`;
-                if (prod.subOption) prodText += ` - ${prod.subOption}`;
-                if (prod.customText) prodText += ` (${prod.customText})`;
-                prodProblems.push(prodText);
-              });
-            });
+    const summary = { added: [], changed: 0, conflicts: 0, identical: 0 };
+    const matched = new Set();
+
+    (backupData[type] || []).forEach(source => {
+      // Normalize like local records so older backups don't show every record as changed
+      const incoming = JSON.parse(JSON.stringify(source));
+      if (!incoming.shift || !incoming.productionDate) applyShiftInfo(incoming, config.datetimeField);
+      applyRegistryInfo(incoming, config.excavatorField, registry);
+      // Record types come first in RESTORE_MERGE_TYPES, so the map is complete by the time issues arrive
+      if (isIssueLinked(incoming)) {
+        incoming.recordIds = incoming.recordIds.map(id => recordIdMap.has(String(id)) ? recordIdMap.get(String(id)) : id);
+      }
 
-            // Remove duplicates
-            const uniqueDelayProblems = [...new Set(delayProblems)];
-            const uniqueProdProblems = [...new Set(prodProblems)];
+      let index = incoming.id !== undefined && incoming.id !== null ? byId.get(String(incoming.id)) : undefined;
+      const matchedById = index !== undefined;
+      if (!matchedById) index = byKey.get(getRecordNaturalKey(type, incoming));
+
+      if (index === undefined || matched.has(index)) {
+        // Same ID but a different record: give it a fresh one and remember where its issues must point
+        const { idPrefix } = RECORD_STORES[type];
+        if (idPrefix && byId.has(String(incoming.id))) {
+          const freshId = generateRecordId(idPrefix);
+          recordIdMap.set(String(incoming.id), freshId);
+          incoming.id = freshId;
+        }
+        summary.added.push(incoming);
+        return;
+      }
+      matched.add(index);
 
-            // Format Delay Problems
-            if (uniqueDelayProblems.length > 0) {
-              summaryText += `     ⚠️ *Problem Delay:*\n`;
-              uniqueDelayProblems.forEach(problem => {
-                summaryText += `        ▸ ${problem}\n`;
-              });
-            }
+      const current = local[index];
+      if (RECORD_STORES[type].idPrefix && incoming.id !== undefined && incoming.id !== null) {
+        recordIdMap.set(String(incoming.id), current.id);
+      }
+      if (getRecordFingerprint(current) === getRecordFingerprint(incoming)) {
+        summary.identical++;
+        return;
+      }
 
-            // Format Productivity Problems
-            if (uniqueProdProblems.length > 0) {
-              summaryText += `     ⚠️ *Problem Productivity:*\n`;
-              uniqueProdProblems.forEach(problem => {
-                summaryText += `        ▸ ${problem}\n`;
-              });
-            }
-          }
-          summaryText += `\n`;
-        });
+      if (matchedById) {
+        summary.changed++;
+      } else {
+        summary.conflicts++;
+      }
+      diff.items.push({
+        type,
+        index,
+        incoming,
+        kind: matchedById ? 'changed' : 'conflict',
+        fields: getChangedFields(current, incoming),
+        resolution: 'local'
       });
-    } else {
-      // Match Factor statistics
-      const totalRecords = data.length;
-      const mfValues = data.map(d => d.matchFactor);
-      const avgMF = (mfValues.reduce((a, b) => a + b, 0) / totalRecords).toFixed(2);
-      const maxMF = Math.max(...mfValues).toFixed(2);
-      const minMF = Math.min(...mfValues).toFixed(2);
+    });
 
-      summaryText += `📈 *RINGKASAN DATA*\n`;
-      summaryText += `   • Total Records: *${totalRecords}*\n`;
-      summaryText += `   • Jumlah Excavator: *${excavatorList.length}*\n`;
-      summaryText += `   • Pengawas: *${pengawasList.length}*\n\n`;
+    diff.types[type] = summary;
+  });
 
-      summaryText += `⚖️ *MATCH FACTOR*\n`;
-      summaryText += `   • Rata-rata: *${avgMF}*\n`;
-      summaryText += `   • Tertinggi: *${maxMF}*\n`;
-      summaryText += `   • Terendah: *${minMF}*\n`;
+  return diff;
+}
 
-      // Status indication
-      const avgNum = parseFloat(avgMF);
-      if (avgNum >= 0.9 && avgNum <= 1.1) {
-        summaryText += `   • Status: ✅ *Optimal* _(0.9-1.1)_\n\n`;
-      } else if (avgNum < 0.9) {
-        summaryText += `   • Status: ⚠️ *Under Match* _(<0.9)_\n\n`;
-      } else {
-        summaryText += `   • Status: ⚠️ *Over Match* _(>1.1)_\n\n`;
-      }
+function formatMergeValue(value) {
+  if (value === undefined || value === null || value === '') return '-';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const short = text.length > 60 ? text.slice(0, 57) + '...' : text;
+  return short.replace(/</g, '&lt;');
+}
 
-      // Detailed Excavator breakdown with problems
-      summaryText += `━━━━━━━━━━━━━━━━━━━━\n`;
-      summaryText += `🚜 *DETAIL PER EXCAVATOR*\n\n`;
-      excavatorList.forEach(exc => {
-        const excData = data.filter(d => d.noExcavator === exc).sort((a, b) => {
-          return new Date(a.waktu) - new Date(b.waktu);
-        });
-        const excAvg = (excData.reduce((sum, d) => sum + d.matchFactor, 0) / excData.length).toFixed(2);
+function renderRestoreMergeSummary() {
+  const { diff, missingImages } = restoreMergeState;
+  const cell = (value, classes) => `<td class="text-center py-2"><span class="inline-flex items-center justify-center min-w-[40px] px-2 py-0.5 rounded-full text-xs font-bold ${value > 0 ? classes : 'bg-gray-100 text-gray-400'}">${value}</span></td>`;
 
-        // Get pengawas name for this excavator (use first record's pengawas)
-        const pengawasName = excData[0]?.namaPengawas || '';
+  const rows = Object.entries(RESTORE_MERGE_TYPES).map(([type, config]) => {
+    const summary = diff.types[type];
+    return `
+      <tr class="border-b border-gray-200">
+        <td class="py-2">
+          <div class="flex items-center gap-2">
+            <div class="w-2 h-2 ${config.dot} rounded-full flex-shrink-0"></div>
+            <span class="text-xs font-medium text-gray-700">${config.label}</span>
+          </div>
+        </td>
+        ${cell(summary.added.length, 'bg-green-100 text-green-700')}
+        ${cell(summary.changed, 'bg-blue-100 text-blue-700')}
+        ${cell(summary.conflicts, 'bg-orange-100 text-orange-700')}
+        ${cell(summary.identical, 'bg-gray-200 text-gray-600')}
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('restoreMergeSummary').innerHTML = `
+    <div class="bg-gradient-to-br from-gray-50 to-gray-100 rounded-xl p-3 sm:p-4 border border-gray-200">
+      <table class="w-full text-sm min-w-[360px]">
+        <thead>
+          <tr class="border-b border-gray-300">
+            <th class="text-left py-2 text-xs font-semibold text-gray-600">Jenis Data</th>
+            <th class="text-center py-2 text-xs font-semibold text-gray-600">Baru</th>
+            <th class="text-center py-2 text-xs font-semibold text-gray-600">Berubah</th>
+            <th class="text-center py-2 text-xs font-semibold text-gray-600">Konflik</th>
+            <th class="text-center py-2 text-xs font-semibold text-gray-600">Sama</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="text-xs text-gray-500 mt-3">
+        <i class="fas fa-image mr-1"></i>${missingImages.length} foto belum ada di perangkat ini akan diimpor
+      </p>
+    </div>
+  `;
+}
 
-        summaryText += `*${exc}*  |  _Pengawas: ${pengawasName}_\n`;
-        summaryText += `Rata-rata MF: *${excAvg}*\n\n`;
+function renderRestoreConflictList() {
+  const { diff } = restoreMergeState;
+  const section = document.getElementById('restoreConflictSection');
+  section.classList.toggle('hidden', diff.items.length === 0);
+
+  document.getElementById('restoreConflictList').innerHTML = diff.items.map((item, itemIndex) => {
+    const config = RESTORE_MERGE_TYPES[item.type];
+    const current = AppState[item.type][item.index];
+    const badge = item.kind === 'conflict'
+      ? '<span class="px-2 py-0.5 bg-orange-100 text-orange-700 rounded-full text-[10px] font-bold">Konflik</span>'
+      : '<span class="px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full text-[10px] font-bold">Berubah</span>';
+    const shownFields = item.fields.slice(0, 8);
+    const moreFields = item.fields.length - shownFields.length;
+
+    const fieldRows = shownFields.map(field => `
+      <tr class="border-t border-gray-100">
+        <td class="py-1 pr-2 font-mono text-gray-500">${field}</td>
+        <td class="py-1 pr-2 ${item.resolution === 'local' ? 'text-gray-900 font-semibold' : 'text-gray-400'}">${formatMergeValue(current[field])}</td>
+        <td class="py-1 ${item.resolution === 'backup' ? 'text-gray-900 font-semibold' : 'text-gray-400'}">${formatMergeValue(item.incoming[field])}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="border border-gray-200 rounded-lg p-3">
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <p class="text-xs font-semibold text-gray-900 flex items-center gap-2">
+            ${badge}
+            <span>${config.label} · ${current[config.excavatorField] || '-'} · ${formatDateTime(current[config.datetimeField])}${current.nrp ? ` · NRP ${current.nrp}` : ''}</span>
+          </p>
+          <div class="flex gap-3 text-xs">
+            <label class="flex items-center gap-1 cursor-pointer">
+              <input type="radio" name="mergeItem-${itemIndex}" value="local" ${item.resolution === 'local' ? 'checked' : ''} onchange="setRestoreMergeResolution(${itemIndex}, 'local')">
+              <span>Lokal</span>
+            </label>
+            <label class="flex items-center gap-1 cursor-pointer">
+              <input type="radio" name="mergeItem-${itemIndex}" value="backup" ${item.resolution === 'backup' ? 'checked' : ''} onchange="setRestoreMergeResolution(${itemIndex}, 'backup')">
+              <span>Backup</span>
+            </label>
+          </div>
+        </div>
+        <table class="w-full text-[11px]">
+          <thead>
+            <tr class="text-left text-gray-500">
+              <th class="pb-1 font-semibold">Field</th>
+              <th class="pb-1 font-semibold">Lokal</th>
+              <th class="pb-1 font-semibold">Backup</th>
+            </tr>
+          </thead>
+          <tbody>${fieldRows}</tbody>
+        </table>
+        ${moreFields > 0 ? `<p class="text-[10px] text-gray-400 mt-1">+${moreFields} field lain berbeda</p>` : ''}
+      </div>
+    `;
+  }).join('');
+}
 
-        excData.forEach((record, idx) => {
-          const time = new Date(record.waktu);
-          const timeStr = time.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', hour12: false });
+window.setRestoreMergeResolution = function (itemIndex, resolution) {
+  if (!restoreMergeState) return;
+  restoreMergeState.diff.items[itemIndex].resolution = resolution;
+  renderRestoreConflictList();
+};
 
-          summaryText += `  *${String.fromCharCode(65 + idx)}. Jam ${timeStr}*  →  *MF: ${record.matchFactor}*\n`;
-          summaryText += `     👤 Operator: _${record.namaOperator || '-'}_\n`;
-          summaryText += `     🪨 Material: ${record.jenisMaterial || '-'}\n`;
-          summaryText += `     🚚 Jumlah HD: *${record.jumlahHD}*\n`;
-          summaryText += `     ⏱️ CT Hauler: *${record.cycleTimeHauler}* min  |  CT Loader: *${record.cycleTimeLoader}* min\n`;
+function setAllRestoreMergeResolutions(resolution) {
+  if (!restoreMergeState) return;
+  restoreMergeState.diff.items.forEach(item => { item.resolution = resolution; });
+  renderRestoreConflictList();
+}
 
-          // Find related issues for this excavator
-          const relatedIssues = AppState.issuesData.filter(issue => {
-            // Must match excavator (issue uses 'excavator' not 'noExcavator')
-            if (issue.excavator !== exc) return false;
+/**
+ * Show what a merge would add or change before touching any data
+ * @param {Object} backupData - Parsed backup file
+ * @param {string} fileName - Backup file name
+ * @param {Function} onReplace - Opens the full-overwrite confirmation
+ */
+async function openRestoreMergeModal(backupData, fileName, onReplace) {
+  const diff = buildRestoreDiff(backupData);
 
-            // Check if issue has a time and matches (issue uses 'timestamp' not 'waktu')
-            if (issue.timestamp) {
-              const issueTime = new Date(issue.timestamp);
-              const recordTime = new Date(record.waktu);
+  let localImageIds = [];
+  try {
+    localImageIds = await imageStorage.getAllImageIds();
+  } catch (error) {
+    console.warn('Could not read local image IDs:', error);
+  }
+  const localImageSet = new Set(localImageIds);
+  const missingImages = (backupData.imagesData || []).filter(image => !localImageSet.has(image.id));
 
-              // Match only if same hour on the same date
-              const sameHour = issueTime.getHours() === recordTime.getHours() &&
-                issueTime.getDate() === recordTime.getDate() &&
-                issueTime.getMonth() === recordTime.getMonth();
+  restoreMergeState = { backupData, diff, missingImages, onReplace };
 
-              return sameHour;
-            }
+  const backupDate = backupData.exportDate ? new Date(backupData.exportDate).toLocaleString('id-ID') : '-';
+  document.getElementById('restoreMergeDescription').textContent =
+    `${fileName} · ${backupDate}. Data di perangkat ini tetap ada; hanya data baru dan versi yang Anda pilih yang diambil dari backup.`;
 
-            // If no time on issue, still include if same excavator
-            return true;
-          });
+  renderRestoreMergeSummary();
+  renderRestoreConflictList();
 
-          if (relatedIssues.length > 0) {
-            // Collect all delay problems (supports multiple delays per issue)
-            const delayProblems = [];
-            const prodProblems = [];
+  document.getElementById('restoreMergeModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-            relatedIssues.forEach(issue => {
-              // Get all delays from this issue (with backward compatibility)
-              const delays = getIssueDelays(issue);
-              delays.forEach(delay => {
-                let delayText = `${delay.mainCode} ‧ ${delay.mainLabel}`;
-                if (delay.subLabel) delayText += ` - ${delay.subLabel}`;
-                if (delay.customText) delayText += ` (${delay.customText})`;
-                delayProblems.push(delayText);
-              });
+function closeRestoreMergeModal() {
+  document.getElementById('restoreMergeModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  restoreMergeState = null;
+}
 
-              // Get all productivities from this issue (with backward compatibility)
-              const productivities = getIssueProductivities(issue);
-              productivities.forEach(prod => {
-                let prodText = `Kat. ${prod.mainCode} ‧ ${prod.mainLabel}`;
-                if (prod.subOption) prodText += ` - ${prod.subOption}`;
-                if (prod.customText) prodText += ` (${prod.customText})`;
-                prodProblems.push(prodText);
-              });
-            });
+function replaceFromRestoreMergeModal() {
+  const onReplace = restoreMergeState?.onReplace;
+  closeRestoreMergeModal();
+  if (onReplace) onReplace();
+}
 
-            // Remove duplicates
-            const uniqueDelayProblems = [...new Set(delayProblems)];
-            const uniqueProdProblems = [...new Set(prodProblems)];
+async function confirmRestoreMerge() {
+  if (!restoreMergeState) return;
+  const { backupData, diff, missingImages } = restoreMergeState;
+  closeRestoreMergeModal();
 
-            // Format Delay Problems
-            if (uniqueDelayProblems.length > 0) {
-              summaryText += `     ⚠️ *Problem Delay:*\n`;
-              uniqueDelayProblems.forEach(problem => {
-                summaryText += `        ▸ ${problem}\n`;
-              });
-            }
+  try {
+    showAlert('Menggabungkan data backup...', 'info');
+
+    let added = 0;
+    let replaced = 0;
+
+    // Chosen backup versions keep the local ID so existing references stay valid
+    diff.items.forEach(item => {
+      if (item.resolution !== 'backup') return;
+      const current = AppState[item.type][item.index];
+      AppState[item.type][item.index] = { ...item.incoming, id: current.id };
+      recordStorage.markChanged(item.type, [AppState[item.type][item.index]]);
+      replaced++;
+    });
 
-            // Format Productivity Problems
-            if (uniqueProdProblems.length > 0) {
-              summaryText += `     ⚠️ *Problem Productivity:*\n`;
-              uniqueProdProblems.forEach(problem => {
-                summaryText += `        ▸ ${problem}\n`;
-              });
-            }
-          }
-          summaryText += `\n`;
-        });
+    Object.entries(diff.types).forEach(([type, summary]) => {
+      const localIds = new Set(AppState[type].map(record => String(record.id)));
+      summary.added.forEach(record => {
+        // Same ID but a different record: let the storage layer assign a fresh one
+        if (record.id !== undefined && localIds.has(String(record.id))) delete record.id;
+        AppState[type].push(record);
+        recordStorage.markChanged(type, [record]);
+        added++;
       });
-    }
+    });
 
-    // Add issue log summary if available
-    if (AppState.issuesData.length > 0) {
-      summaryText += `\n⚠️ *Issue Log:*\n`;
-      summaryText += `• Total Issues: ${AppState.issuesData.length}\n`;
-      const issuesWithPhotos = AppState.issuesData.filter(i => i.imageIds && i.imageIds.length > 0).length;
-      if (issuesWithPhotos > 0) {
-        summaryText += `• Issues dengan foto: ${issuesWithPhotos}\n`;
+    // Only photos referenced by the merged issues and not already on this device
+    const referencedImages = new Set();
+    AppState.issuesData.forEach(issue => {
+      [...(issue.imageIds || []), ...(issue.followUpImageIds || [])].forEach(id => referencedImages.add(id));
+    });
+    const imagesToImport = missingImages.filter(image => referencedImages.has(image.id));
+
+    if (imagesToImport.length > 0) {
+      try {
+        showAlert(`Mengimpor ${imagesToImport.length} foto baru ke IndexedDB...`, 'info');
+        await imageStorage.importImages(imagesToImport);
+      } catch (error) {
+        console.error('Failed to import merged images:', error);
+        showAlert('Peringatan: Sebagian foto mungkin tidak terimpor!', 'warning');
       }
     }
 
-    summaryText += `\n━━━━━━━━━━━━━━━━━━━━\n`;
-    summaryText += `📱 _SmartzProd - Mining Productivity Tracker_`;
+    // Settings are only taken from the backup when this device has none
+    const settings = backupData.userSettings || {};
+    Object.entries(RESTORE_MERGE_SETTINGS).forEach(([settingKey, storageKey]) => {
+      if (settings[settingKey] && !localStorage.getItem(storageKey)) {
+        localStorage.setItem(storageKey, settings[settingKey]);
+      }
+    });
 
-    // Copy summary text to clipboard FIRST (before any share attempt)
-    // This ensures caption is available regardless of share outcome
-    let clipboardSuccess = false;
-    try {
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        await navigator.clipboard.writeText(summaryText);
-        clipboardSuccess = true;
+    // Sign-offs are per shift, so keep local ones and add shifts signed on the other device
+    if (settings.shiftSignOffs) {
+      try {
+        const merged = { ...JSON.parse(settings.shiftSignOffs), ...getShiftSignOffs() };
+        localStorage.setItem('shiftSignOffs', JSON.stringify(merged));
+      } catch (error) {
+        console.warn('⚠️ Invalid shift sign-offs in backup, skipping:', error);
       }
-    } catch (clipboardError) {
-      console.warn('Could not copy to clipboard:', clipboardError);
     }
 
-    // Platform-specific sharing strategy
-    const isDesktop = PlatformDetector.isDesktop();
+    // The problem catalog is a site standard: a newer version in the backup replaces the local one
+    if (settings.problemCatalog && getCatalogVersion(settings.problemCatalog) > getProblemCatalog().version) {
+      localStorage.setItem('problemCatalog', settings.problemCatalog);
+    }
 
-    if (isDesktop) {
-      // DESKTOP FLOW: Download PDF + Open WhatsApp with caption
-      console.log('Desktop detected: Downloading PDF and opening WhatsApp');
+    finishRestore(`Merge berhasil! ${added} data baru, ${replaced} data diganti versi backup, ${imagesToImport.length} foto diimpor`);
+  } catch (error) {
+    console.error('Restore merge error:', error);
+    showToast('Gagal menggabungkan data: ' + error.message, 'error');
+  }
+}
 
-      // Download the PDF
-      doc.save(fileName);
+// ==========================================
+// Clear All Data Function
+// ==========================================
+async function clearAllData() {
+  showConfirm(
+    'Hapus Semua Data?',
+    'Apakah Anda yakin ingin menghapus semua data? Tindakan ini tidak dapat dibatalkan. Pastikan Anda sudah melakukan backup jika diperlukan.',
+    'trash',
+    'red',
+    async () => {
+      try {
+        showAlert('Menghapus semua data...', 'info');
 
-      // Open WhatsApp (Desktop app or Web) with caption
-      openWhatsAppWithCaption(summaryText);
+        // Clear AppState
+        AppState.productivityData = [];
+        AppState.matchFactorData = [];
+        AppState.issuesData = [];
+        AppState.selectedExcavator = '';
+        Object.keys(RECORD_STORES).forEach(key => recordStorage.markReplaced(key));
 
-      // Show user-friendly message
-      showAlert(
-        '📥 PDF downloaded! 💬 WhatsApp is opening with your caption ready. Just attach the PDF file.',
-        'success'
-      );
+        // Clear record stores (and any localStorage fallback copy)
+        await saveAppData();
+        localStorage.removeItem('productivityData');
+        localStorage.removeItem('matchFactorData');
+        localStorage.removeItem('issuesData');
+        localStorage.removeItem('lastImport');
 
-    } else {
-      // MOBILE FLOW: Use Web Share API (better UX on mobile)
-      console.log('Mobile detected: Using Web Share API');
+        // Clear all images from IndexedDB
+        await imageStorage.clearAll();
 
-      if (webShareSupported && canShareFiles(pdfFile)) {
-        // Browser supports file sharing - use Web Share API
-        try {
-          await navigator.share({
-            files: [pdfFile]
-          });
+        // Update UI
+        renderProductivityTable();
+        renderMatchFactorTable();
+        renderIssuesTable();
+        renderDelayPareto();
+        updateProductivityChart();
+        updateMatchFactorChart();
 
-          if (clipboardSuccess) {
-            showAlert('PDF berhasil dibagikan! Caption sudah disalin ke clipboard.', 'success');
-          } else {
-            showAlert('PDF berhasil dibagikan!', 'success');
-          }
-        } catch (shareError) {
-          if (shareError.name === 'AbortError') {
-            showAlert('Pembagian dibatalkan', 'info');
-          } else {
-            // Share failed - fallback to download
-            console.warn('Share failed, falling back to download:', shareError);
-            doc.save(fileName);
-            if (clipboardSuccess) {
-              showAlert('Caption disalin ke clipboard! PDF diunduh karena sharing gagal.', 'success');
-            } else {
-              showAlert('PDF berhasil diunduh.', 'success');
-            }
-          }
-        }
-      } else {
-        // Browser doesn't support file sharing - fallback to download
-        doc.save(fileName);
-        if (clipboardSuccess) {
-          showAlert('Caption disalin ke clipboard! PDF diunduh (browser tidak mendukung share file).', 'success');
-        } else {
-          showAlert('PDF berhasil diunduh.', 'success');
+        // Reset excavator filter
+        const excavatorFilter = document.getElementById('excavatorFilter');
+        if (excavatorFilter) {
+          excavatorFilter.value = '';
         }
+
+        showToast('Semua data berhasil dihapus', 'success');
+      } catch (error) {
+        console.error('Clear data error:', error);
+        showToast('Gagal menghapus data: ' + error.message, 'error');
       }
     }
-  } catch (error) {
-    console.error('Share PDF error:', error);
-    showAlert('Gagal memproses PDF: ' + error.message, 'error');
-  }
+  );
 }
 
 // ==========================================
-// Export Individual Excavator Data (Productivity)
+// Shift Roster Settings
 // ==========================================
-window.exportProductivityData = async function (excavatorId, format) {
-  try {
-    // Filter data for this excavator
-    const productivityData = AppState.productivityData.filter(d => d.noExcavator === excavatorId);
-    const issuesData = AppState.issuesData.filter(d => d.excavator === excavatorId);
+function renderShiftRosterRows(roster) {
+  const container = document.getElementById('shiftRosterRows');
+  if (!container) return;
+
+  container.innerHTML = roster.map((shift, index) => `
+    <div class="shift-roster-row grid grid-cols-12 gap-2 items-end bg-gray-50 border border-gray-200 rounded-lg p-3">
+      <div class="col-span-6 sm:col-span-3">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Kode</label>
+        <input type="text" data-field="code" value="${shift.code}" maxlength="12"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200">
+      </div>
+      <div class="col-span-6 sm:col-span-3">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Nama</label>
+        <input type="text" data-field="label" value="${shift.label || ''}"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200">
+      </div>
+      <div class="col-span-5 sm:col-span-2">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Mulai</label>
+        <input type="time" data-field="start" value="${shift.start}"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200">
+      </div>
+      <div class="col-span-5 sm:col-span-2">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Selesai</label>
+        <input type="time" data-field="end" value="${shift.end}"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200">
+      </div>
+      <div class="col-span-2 flex justify-end">
+        <button type="button" onclick="removeShiftRosterRow(${index})"
+                class="w-9 h-9 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200 transition-colors"
+                title="Hapus shift">
+          <i class="fas fa-trash text-xs"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
 
-    if (productivityData.length === 0) {
-      showAlert('Tidak ada data productivity untuk excavator ini', 'error');
-      return;
-    }
+// Read the roster currently shown in the modal
+function readShiftRosterRows() {
+  return Array.from(document.querySelectorAll('#shiftRosterRows .shift-roster-row')).map(row => ({
+    code: row.querySelector('[data-field="code"]').value.trim(),
+    label: row.querySelector('[data-field="label"]').value.trim(),
+    start: row.querySelector('[data-field="start"]').value,
+    end: row.querySelector('[data-field="end"]').value
+  }));
+}
 
-    if (format === 'excel') {
-      await exportProductivityToExcel(excavatorId, productivityData, issuesData);
-    } else if (format === 'pdf') {
-      await exportProductivityToPDF(excavatorId, productivityData, issuesData);
-    }
-  } catch (error) {
-    console.error('Export error:', error);
-    showAlert('Gagal export data: ' + error.message, 'error');
-  }
+window.removeShiftRosterRow = function (index) {
+  const roster = readShiftRosterRows();
+  roster.splice(index, 1);
+  renderShiftRosterRows(roster);
 };
 
-async function exportProductivityToExcel(excavatorId, productivityData, issuesData) {
-  const workbook = new ExcelJS.Workbook();
-
-  // Sheet 1: Productivity Table
-  const prodSheet = workbook.addWorksheet('Productivity Data');
+function openShiftRosterModal() {
+  renderShiftRosterRows(getShiftRoster());
+  document.getElementById('shiftRosterModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-  prodSheet.columns = [
-    { header: 'No', key: 'no', width: 5 },
-    { header: 'Pengawas', key: 'namaPengawas', width: 20 },
-    { header: 'Tanggal', key: 'tanggal', width: 15 },
-    { header: 'Shift', key: 'shift', width: 10 },
-    { header: 'Produktivitas (BCM/Jam)', key: 'produktivitas', width: 20 }
-  ];
+function closeShiftRosterModal() {
+  document.getElementById('shiftRosterModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
 
-  productivityData.forEach((row, index) => {
-    prodSheet.addRow({
-      no: index + 1,
-      namaPengawas: row.namaPengawas,
-      tanggal: row.tanggal,
-      shift: row.shift,
-      produktivitas: row.produktivitas
+/**
+ * Validate a roster: unique codes, valid times and no overlapping shifts
+ * @param {Array} roster - Roster rows from the modal
+ * @returns {{error: string|null, uncoveredMinutes: number}}
+ */
+function validateShiftRoster(roster) {
+  if (roster.length === 0) {
+    return { error: 'Minimal harus ada 1 shift', uncoveredMinutes: 0 };
+  }
+
+  const codes = new Set();
+  for (const shift of roster) {
+    if (!shift.code) return { error: 'Kode shift tidak boleh kosong', uncoveredMinutes: 0 };
+    if (codes.has(shift.code)) return { error: `Kode shift "${shift.code}" duplikat`, uncoveredMinutes: 0 };
+    if (!shift.start || !shift.end) return { error: `Jam mulai/selesai shift ${shift.code} belum diisi`, uncoveredMinutes: 0 };
+    if (shift.start === shift.end) return { error: `Jam mulai dan selesai shift ${shift.code} tidak boleh sama`, uncoveredMinutes: 0 };
+    codes.add(shift.code);
+  }
+
+  // Walk every minute of the day and count how many shifts cover it
+  let uncoveredMinutes = 0;
+  for (let minute = 0; minute < 24 * 60; minute++) {
+    const covering = roster.filter(shift => {
+      const start = timeToMinutes(shift.start);
+      const end = timeToMinutes(shift.end);
+      return end <= start ? minute >= start || minute < end : minute >= start && minute < end;
     });
-  });
-
-  prodSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  prodSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF4472C4' }
-  };
-
-  // Sheet 2: Chart Analysis Summary
-  const chartSheet = workbook.addWorksheet('Chart Analysis');
-  chartSheet.columns = [
-    { header: 'Metric', key: 'metric', width: 30 },
-    { header: 'Value', key: 'value', width: 20 }
-  ];
-
-  const values = productivityData.map(d => parseFloat(d.produktivitas));
-  const avgProd = (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2);
-  const maxProd = Math.max(...values).toFixed(2);
-  const minProd = Math.min(...values).toFixed(2);
-
-  chartSheet.addRow({ metric: 'Excavator', value: excavatorId });
-  chartSheet.addRow({ metric: 'Total Records', value: productivityData.length });
-  chartSheet.addRow({ metric: 'Average Productivity (BCM/Jam)', value: avgProd });
-  chartSheet.addRow({ metric: 'Max Productivity (BCM/Jam)', value: maxProd });
-  chartSheet.addRow({ metric: 'Min Productivity (BCM/Jam)', value: minProd });
-
-  chartSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  chartSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF4472C4' }
-  };
 
-  // Sheet 3: Issue Log
-  if (issuesData.length > 0) {
-    const issueSheet = workbook.addWorksheet('Issue Log');
-
-    issueSheet.columns = [
-      { header: 'No', key: 'no', width: 5 },
-      { header: 'Waktu', key: 'waktu', width: 20 },
-      { header: 'Excavator', key: 'excavator', width: 15 },
-      { header: 'Delay Problem', key: 'delayProblem', width: 30 },
-      { header: 'Productivity Problem', key: 'productivityProblem', width: 30 },
-      { header: 'Catatan', key: 'catatan', width: 40 },
-      { header: 'Catatan Lanjutan', key: 'catatanLanjutan', width: 40 },
-      { header: 'Jumlah Foto', key: 'photoCount', width: 12 }
-    ];
-
-    for (let index = 0; index < issuesData.length; index++) {
-      const issue = issuesData[index];
-
-      const delayText = issue.delay ?
-        `${issue.delay.mainCode} - ${issue.delay.subCode || ''}${issue.delay.customText ? ': ' + issue.delay.customText : ''}` : '-';
-
-      const prodText = issue.productivity ?
-        `${issue.productivity.mainCode} - ${issue.productivity.subOption || ''}${issue.productivity.customText ? ': ' + issue.productivity.customText : ''}` : '-';
-
-      issueSheet.addRow({
-        no: index + 1,
-        waktu: formatDateTime(issue.timestamp),
-        excavator: issue.excavator,
-        delayProblem: delayText,
-        productivityProblem: prodText,
-        catatan: issue.notes || '-',
-        catatanLanjutan: issue.followUpNotes || '-',
-        photoCount: issue.imageIds ? issue.imageIds.length : 0
-      });
+    if (covering.length > 1) {
+      return { error: `Shift ${covering.map(s => s.code).join(' & ')} saling tumpang tindih`, uncoveredMinutes: 0 };
     }
-
-    issueSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    issueSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFFF6B6B' }
-    };
+    if (covering.length === 0) uncoveredMinutes++;
   }
 
-  const buffer = await workbook.xlsx.writeBuffer();
-  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `Productivity_EX${excavatorId}_${new Date().toISOString().split('T')[0]}.xlsx`;
-  a.click();
-  window.URL.revokeObjectURL(url);
-
-  showAlert(`✅ Excel file for Excavator ${excavatorId} has been downloaded successfully!`, 'success');
+  return { error: null, uncoveredMinutes };
 }
 
-async function exportProductivityToPDF(excavatorId, productivityData, issuesData) {
-
-  prodSheet.columns = [
-    { header: 'No', key: 'no', width: 5 },
-    { header: 'Pengawas', key: 'namaPengawas', width: 20 },
-    { header: 'NRP', key: 'nrp', width: 15 },
-    { header: 'Waktu', key: 'waktu', width: 20 },
-    { header: 'No Excavator', key: 'noExcavator', width: 15 },
-    { header: 'Ritase', key: 'jumlahRitase', width: 10 },
-    { header: 'HM Awal', key: 'hmAwal', width: 10 },
-    { header: 'HM Akhir', key: 'hmAkhir', width: 10 },
-    { header: 'Durasi (Jam)', key: 'durasi', width: 12 },
-    { header: 'Kapasitas (BCM)', key: 'kapasitas', width: 15 },
-    { header: 'Productivity (BCM/Jam)', key: 'productivity', width: 20 }
-  ];
+function saveShiftRoster() {
+  const roster = readShiftRosterRows().map(shift => ({ ...shift, label: shift.label || shift.code }));
+  const { error, uncoveredMinutes } = validateShiftRoster(roster);
 
-  productivityData.forEach((item, index) => {
-    prodSheet.addRow({
-      no: index + 1,
-      ...item,
-      waktu: formatDateTime(item.waktu)
-    });
-  });
+  if (error) {
+    showToast(error, 'error');
+    return;
+  }
 
-  // Style header
-  prodSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  prodSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF4472C4' }
-  };
+  localStorage.setItem('shiftRoster', JSON.stringify(roster));
 
-  // Sheet 2: Chart Summary
-  const chartSheet = workbook.addWorksheet('Chart Summary');
-  chartSheet.columns = [
-    { header: 'Metric', key: 'metric', width: 30 },
-    { header: 'Value', key: 'value', width: 20 }
-  ];
+  // Shift and production date are derived from the roster, so re-stamp everything
+  const updated = backfillShiftInfo(true);
+  saveAppData();
 
-  const avgProd = (productivityData.reduce((sum, d) => sum + parseFloat(d.productivity || 0), 0) / productivityData.length).toFixed(2);
-  const maxProd = Math.max(...productivityData.map(d => parseFloat(d.productivity || 0))).toFixed(2);
-  const minProd = Math.min(...productivityData.map(d => parseFloat(d.productivity || 0))).toFixed(2);
+  updateFilterOptions();
+  applyFilters();
+  renderIndividualCharts();
+  closeShiftRosterModal();
 
-  chartSheet.addRow({ metric: 'Excavator', value: excavatorId });
-  chartSheet.addRow({ metric: 'Total Records', value: productivityData.length });
-  chartSheet.addRow({ metric: 'Average Productivity (BCM/Jam)', value: avgProd });
-  chartSheet.addRow({ metric: 'Max Productivity (BCM/Jam)', value: maxProd });
-  chartSheet.addRow({ metric: 'Min Productivity (BCM/Jam)', value: minProd });
+  if (uncoveredMinutes > 0) {
+    showToast(`Roster disimpan. ${uncoveredMinutes} menit per hari tidak masuk shift mana pun.`, 'warning');
+  } else {
+    showToast(`Shift roster disimpan, ${updated} record diperbarui`, 'success');
+  }
+}
 
-  chartSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  chartSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF4472C4' }
-  };
+// ==========================================
+// Productivity Target Settings
+// ==========================================
+function renderProductivityTargetRows(targets) {
+  const container = document.getElementById('productivityTargetRows');
+  if (!container) return;
+
+  // Keep targets for materials that were since removed from the material table selectable
+  const materialNames = getMaterialTable().map(material => material.name);
+  targets.forEach(entry => {
+    if (entry.jenisMaterial && !materialNames.includes(entry.jenisMaterial)) materialNames.push(entry.jenisMaterial);
+  });
 
-  // Sheet 3: Issue Log
-  if (issuesData.length > 0) {
-    const issueSheet = workbook.addWorksheet('Issue Log');
-
-    issueSheet.columns = [
-      { header: 'No', key: 'no', width: 5 },
-      { header: 'Waktu', key: 'waktu', width: 20 },
-      { header: 'Excavator', key: 'excavator', width: 15 },
-      { header: 'Delay Problem', key: 'delayProblem', width: 30 },
-      { header: 'Productivity Problem', key: 'productivityProblem', width: 30 },
-      { header: 'Catatan', key: 'catatan', width: 40 },
-      { header: 'Catatan Lanjutan', key: 'catatanLanjutan', width: 40 },
-      { header: 'Jumlah Foto', key: 'photoCount', width: 12 }
-    ];
-
-    for (let index = 0; index < issuesData.length; index++) {
-      const issue = issuesData[index];
-
-      const delayText = issue.delay ?
-        `${issue.delay.mainCode} - ${issue.delay.subCode || ''}${issue.delay.customText ? ': ' + issue.delay.customText : ''}` : '-';
-
-      const prodText = issue.productivity ?
-        `${issue.productivity.mainCode} - ${issue.productivity.subOption || ''}${issue.productivity.customText ? ': ' + issue.productivity.customText : ''}` : '-';
-
-      issueSheet.addRow({
-        no: index + 1,
-        waktu: formatDateTime(issue.timestamp),
-        excavator: issue.excavator,
-        delayProblem: delayText,
-        productivityProblem: prodText,
-        catatan: issue.notes || '-',
-        catatanLanjutan: issue.followUpNotes || '-',
-        photoCount: issue.imageIds ? issue.imageIds.length : 0
-      });
-    }
+  container.innerHTML = targets.map((entry, index) => `
+    <div class="productivity-target-row grid grid-cols-12 gap-2 items-end bg-gray-50 border border-gray-200 rounded-lg p-3">
+      <div class="col-span-6 sm:col-span-2">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Prefix</label>
+        <input type="text" data-field="prefix" value="${entry.prefix || ''}" placeholder="EX20"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-teal-500 focus:ring-2 focus:ring-teal-200">
+      </div>
+      <div class="col-span-6 sm:col-span-3">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Model</label>
+        <input type="text" data-field="model" value="${entry.model || ''}" placeholder="PC2000"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-teal-500 focus:ring-2 focus:ring-teal-200">
+      </div>
+      <div class="col-span-6 sm:col-span-3">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Material</label>
+        <select data-field="jenisMaterial"
+                class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-teal-500 focus:ring-2 focus:ring-teal-200 bg-white">
+          <option value="">Semua</option>
+          ${materialNames.map(material => `<option value="${material}" ${entry.jenisMaterial === material ? 'selected' : ''}>${material}</option>`).join('')}
+        </select>
+      </div>
+      <div class="col-span-4 sm:col-span-2">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">BCM/Jam</label>
+        <input type="number" data-field="target" value="${entry.target}" min="0" step="any"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-teal-500 focus:ring-2 focus:ring-teal-200">
+      </div>
+      <div class="col-span-2 flex justify-end">
+        <button type="button" onclick="removeProductivityTargetRow(${index})"
+                class="w-9 h-9 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200 transition-colors"
+                title="Hapus target">
+          <i class="fas fa-trash text-xs"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
 
-    issueSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    issueSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFFF6B6B' }
-    };
-  }
+// Read the targets currently shown in the modal
+function readProductivityTargetRows() {
+  return Array.from(document.querySelectorAll('#productivityTargetRows .productivity-target-row')).map(row => ({
+    prefix: row.querySelector('[data-field="prefix"]').value.trim().toUpperCase(),
+    model: row.querySelector('[data-field="model"]').value.trim().toUpperCase(),
+    jenisMaterial: row.querySelector('[data-field="jenisMaterial"]').value,
+    target: row.querySelector('[data-field="target"]').value
+  }));
+}
 
-  const buffer = await workbook.xlsx.writeBuffer();
-  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `Productivity_${excavatorId}_${new Date().getTime()}.xlsx`;
-  a.click();
-  window.URL.revokeObjectURL(url);
+window.removeProductivityTargetRow = function (index) {
+  const targets = readProductivityTargetRows();
+  targets.splice(index, 1);
+  renderProductivityTargetRows(targets);
+};
 
-  showToast('Export Productivity ke Excel berhasil!', 'success');
+function openProductivityTargetModal() {
+  renderProductivityTargetRows(getProductivityTargets());
+  document.getElementById('jobEfficiencyInput').value = parseFloat((getJobEfficiency() * 100).toFixed(1));
+  document.getElementById('productivityTargetModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
 }
 
-async function exportProductivityToPDF(excavatorId, productivityData, issuesData) {
-  const { jsPDF } = window.jspdf;
-  const doc = new jsPDF('l', 'mm', 'a4');
-  let yPos = 15;
-
-  // Title
-  doc.setFontSize(16);
-  doc.setFont(undefined, 'bold');
-  doc.text(`Laporan Productivity - Excavator ${excavatorId}`, 14, yPos);
-  yPos += 7;
+function closeProductivityTargetModal() {
+  document.getElementById('productivityTargetModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
 
-  doc.setFontSize(10);
-  doc.setFont(undefined, 'normal');
-  doc.text(`Generated: ${new Date().toLocaleString()}`, 14, yPos);
-  yPos += 10;
+function saveProductivityTargets() {
+  const targets = readProductivityTargetRows();
+  const seen = new Set();
 
-  // Section 1: Productivity Table
-  doc.setFontSize(12);
-  doc.setFont(undefined, 'bold');
-  doc.text('1. Productivity Data', 14, yPos);
-  yPos += 5;
-
-  const prodHeaders = [['No', 'Pengawas', 'NRP', 'Waktu', 'Ritase', 'HM Awal', 'HM Akhir', 'Durasi', 'Kapasitas', 'Productivity']];
-  const prodTableData = productivityData.map((item, index) => [
-    index + 1,
-    item.namaPengawas,
-    item.nrp,
-    formatDateTime(item.waktu),
-    item.jumlahRitase,
-    item.hmAwal,
-    item.hmAkhir,
-    item.durasi,
-    item.kapasitas,
-    item.productivity
-  ]);
+  const efficiencyPercent = parseFloat(document.getElementById('jobEfficiencyInput').value);
+  if (!(efficiencyPercent > 0 && efficiencyPercent <= 100)) {
+    showToast('Efisiensi kerja harus di antara 1 dan 100%', 'error');
+    return;
+  }
 
-  doc.autoTable({
-    head: prodHeaders,
-    body: prodTableData,
-    startY: yPos,
-    styles: { fontSize: 8 },
-    headStyles: { fillColor: [68, 114, 196] }
-  });
+  for (const entry of targets) {
+    if (!entry.prefix && !entry.model) {
+      showToast('Isi prefix atau model excavator untuk setiap target', 'error');
+      return;
+    }
+    if (!(parseFloat(entry.target) > 0)) {
+      showToast(`Target ${entry.prefix || entry.model} harus lebih dari 0`, 'error');
+      return;
+    }
+    const key = `${entry.prefix}|${entry.model}|${entry.jenisMaterial}`;
+    if (seen.has(key)) {
+      showToast(`Target ${entry.prefix || entry.model} (${entry.jenisMaterial || 'Semua'}) duplikat`, 'error');
+      return;
+    }
+    seen.add(key);
+    entry.target = parseFloat(entry.target);
+  }
 
-  yPos = doc.lastAutoTable.finalY + 10;
+  // Achievement is computed on render, so a re-render is enough
+  localStorage.setItem('productivityTargets', JSON.stringify(targets));
+  localStorage.setItem('jobEfficiency', String(efficiencyPercent / 100));
+  applyFilters();
+  renderIndividualCharts();
+  closeProductivityTargetModal();
+  showToast(`${targets.length} target produktivitas disimpan`, 'success');
+}
 
-  // Section 2: Chart Summary
-  doc.setFontSize(12);
-  doc.setFont(undefined, 'bold');
-  doc.text('2. Productivity Trend Summary', 14, yPos);
-  yPos += 5;
-
-  const avgProd = (productivityData.reduce((sum, d) => sum + parseFloat(d.productivity || 0), 0) / productivityData.length).toFixed(2);
-  const maxProd = Math.max(...productivityData.map(d => parseFloat(d.productivity || 0))).toFixed(2);
-  const minProd = Math.min(...productivityData.map(d => parseFloat(d.productivity || 0))).toFixed(2);
-
-  const summaryHeaders = [['Metric', 'Value']];
-  const summaryData = [
-    ['Total Records', productivityData.length],
-    ['Average Productivity (BCM/Jam)', avgProd],
-    ['Max Productivity (BCM/Jam)', maxProd],
-    ['Min Productivity (BCM/Jam)', minProd]
-  ];
+// ==========================================
+// Material Table Settings
+// ==========================================
+const MATERIAL_FIELDS = [
+  { key: 'swellFactor', label: 'Swell (BCM/LCM)' },
+  { key: 'density', label: 'Densitas (ton/BCM)' },
+  { key: 'fillFactor', label: 'Fill Factor' }
+];
+
+function renderMaterialTableRows(materials) {
+  const container = document.getElementById('materialTableRows');
+  if (!container) return;
+
+  container.innerHTML = materials.map((material, index) => `
+    <div class="material-row grid grid-cols-12 gap-2 items-end bg-gray-50 border border-gray-200 rounded-lg p-3">
+      <div class="col-span-12 sm:col-span-3">
+        <label class="block text-[10px] font-semibold text-gray-500 mb-1">Material</label>
+        <input type="text" data-field="name" value="${escapeHtmlAttr(material.name || '')}" placeholder="Soil"
+               class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-amber-500 focus:ring-2 focus:ring-amber-200">
+      </div>
+      ${MATERIAL_FIELDS.map(field => `
+        <div class="col-span-4 sm:col-span-2">
+          <label class="block text-[10px] font-semibold text-gray-500 mb-1">${field.label}</label>
+          <input type="number" data-field="${field.key}" value="${material[field.key] !== undefined && material[field.key] !== null ? material[field.key] : ''}" min="0" step="any"
+                 class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-amber-500 focus:ring-2 focus:ring-amber-200">
+        </div>
+      `).join('')}
+      <div class="col-span-12 sm:col-span-3 flex justify-end">
+        <button type="button" onclick="removeMaterialRow(${index})"
+                class="w-9 h-9 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200 transition-colors"
+                title="Hapus material">
+          <i class="fas fa-trash text-xs"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
 
-  doc.autoTable({
-    head: summaryHeaders,
-    body: summaryData,
-    startY: yPos,
-    styles: { fontSize: 9 },
-    headStyles: { fillColor: [68, 114, 196] }
+// Read the materials currently shown in the modal
+function readMaterialTableRows() {
+  return Array.from(document.querySelectorAll('#materialTableRows .material-row')).map(row => {
+    const material = { name: row.querySelector('[data-field="name"]').value.trim() };
+    MATERIAL_FIELDS.forEach(field => {
+      material[field.key] = row.querySelector(`[data-field="${field.key}"]`).value;
+    });
+    return material;
   });
+}
 
-  // Section 3: Issue Log
-  if (issuesData.length > 0) {
-    yPos = doc.lastAutoTable.finalY + 10;
+window.removeMaterialRow = function (index) {
+  const materials = readMaterialTableRows();
+  materials.splice(index, 1);
+  renderMaterialTableRows(materials);
+};
 
-    // Check if we need a new page
-    if (yPos > 160) {
-      doc.addPage();
-      yPos = 15;
-    }
+function openMaterialTableModal() {
+  renderMaterialTableRows(getMaterialTable());
+  document.getElementById('materialTableModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text('3. Issue Log', 14, yPos);
-    yPos += 5;
+function closeMaterialTableModal() {
+  document.getElementById('materialTableModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
 
-    const issueHeaders = [['No', 'Waktu', 'Delay Problem', 'Productivity Problem', 'Catatan', 'Foto']];
-    const issueTableData = issuesData.map((issue, index) => {
-      // Format multiple delays (with backward compatibility)
-      const delays = getIssueDelays(issue);
-      const delayText = delays.length > 0 ?
-        delays.map(d => `${d.mainCode}-${d.subCode || ''}`).join(', ') : '-';
+function saveMaterialTable() {
+  const materials = readMaterialTableRows();
+  const seen = new Set();
 
-      // Format multiple productivities (with backward compatibility)
-      const productivities = getIssueProductivities(issue);
-      const prodText = productivities.length > 0 ?
-        productivities.map(p => `${p.mainCode}-${p.subOption || ''}`).join(', ') : '-';
+  if (materials.length === 0) {
+    showToast('Minimal harus ada 1 material', 'error');
+    return;
+  }
 
-      return [
-        index + 1,
-        formatDateTime(issue.timestamp),
-        delayText,
-        prodText,
-        (issue.notes || '-').substring(0, 50) + (issue.notes && issue.notes.length > 50 ? '...' : ''),
-        issue.imageIds ? issue.imageIds.length : 0
-      ];
-    });
+  for (const material of materials) {
+    if (!material.name) {
+      showToast('Nama material tidak boleh kosong', 'error');
+      return;
+    }
+    if (seen.has(material.name.toLowerCase())) {
+      showToast(`Material "${material.name}" duplikat`, 'error');
+      return;
+    }
+    seen.add(material.name.toLowerCase());
 
-    doc.autoTable({
-      head: issueHeaders,
-      body: issueTableData,
-      startY: yPos,
-      styles: { fontSize: 8 },
-      headStyles: { fillColor: [255, 107, 107] }
+    MATERIAL_FIELDS.forEach(field => {
+      material[field.key] = parseFloat(material[field.key]);
     });
+    if (!(material.swellFactor > 0 && material.swellFactor <= 1)) {
+      showToast(`Swell factor ${material.name} harus di antara 0 dan 1`, 'error');
+      return;
+    }
+    if (!(material.density > 0)) {
+      showToast(`Densitas ${material.name} harus lebih dari 0`, 'error');
+      return;
+    }
+    if (!(material.fillFactor > 0)) {
+      showToast(`Fill factor ${material.name} harus lebih dari 0`, 'error');
+      return;
+    }
   }
 
-  doc.save(`Productivity_${excavatorId}_${new Date().getTime()}.pdf`);
-  showToast('Export Productivity ke PDF berhasil!', 'success');
+  // Saved records keep their own bcmFactor, so only new entries pick up the change
+  localStorage.setItem('materialTable', JSON.stringify(materials));
+  populateMaterialOptions();
+  updateCapacityHint();
+  renderIndividualCharts();
+  closeMaterialTableModal();
+  showToast(`${materials.length} material disimpan`, 'success');
 }
 
 // ==========================================
-// Export Individual Excavator Data (Match Factor)
+// Equipment Registry Settings
 // ==========================================
-window.exportMatchFactorData = async function (excavatorId, format) {
-  try {
-    // Filter data for this excavator
-    const matchFactorData = AppState.matchFactorData.filter(d => d.noExcavator === excavatorId);
-    const issuesData = AppState.issuesData.filter(d => d.excavator === excavatorId);
-
-    if (matchFactorData.length === 0) {
-      showAlert('Tidak ada data match factor untuk excavator ini', 'error');
-      return;
-    }
-
-    if (format === 'excel') {
-      await exportMatchFactorToExcel(excavatorId, matchFactorData, issuesData);
-    } else if (format === 'pdf') {
-      await exportMatchFactorToPDF(excavatorId, matchFactorData, issuesData);
-    }
-  } catch (error) {
-    console.error('Export error:', error);
-    showAlert('Gagal export data: ' + error.message, 'error');
+// Field layout and import header aliases per registry list
+const REGISTRY_TYPES = {
+  excavators: {
+    idPrefix: 'EXC',
+    label: 'excavator',
+    fields: [
+      { key: 'code', label: 'No Unit', type: 'text', placeholder: 'EX2030', span: 'sm:col-span-2', aliases: ['code', 'kode', 'unit', 'nounit', 'noexcavator', 'excavator'] },
+      { key: 'model', label: 'Model', type: 'text', placeholder: 'PC2000', span: 'sm:col-span-2', aliases: ['model', 'tipe', 'type'] },
+      { key: 'pit', label: 'Pit', type: 'text', placeholder: 'Pit 1', span: 'sm:col-span-2', aliases: ['pit', 'lokasi', 'area', 'location'] },
+      { key: 'bucketCapacity', label: 'Bucket (BCM)', type: 'number', span: 'sm:col-span-2', aliases: ['bucket', 'bucketcapacity', 'kapasitasbucket', 'bucketbcm'] },
+      { key: 'haulerCapacity', label: 'Kap. HD (BCM)', type: 'number', span: 'sm:col-span-2', aliases: ['haulercapacity', 'kapasitashd', 'kapasitashauler', 'defaulthaulercapacity', 'kapasitasvessel'] }
+    ],
+    key: entry => normalizeEquipmentCode(entry.code)
+  },
+  haulers: {
+    idPrefix: 'HDC',
+    label: 'kelas HD',
+    fields: [
+      { key: 'name', label: 'Kelas HD', type: 'text', placeholder: 'HD785', span: 'sm:col-span-6', aliases: ['kelas', 'class', 'kelashd', 'nama', 'name', 'hauler', 'model'] },
+      { key: 'capacity', label: 'Kapasitas (BCM)', type: 'number', span: 'sm:col-span-4', aliases: ['kapasitas', 'capacity', 'kapasitasbcm', 'capacitybcm'] }
+    ],
+    key: entry => normalizeEquipmentCode(entry.name)
+  },
+  operators: {
+    idPrefix: 'OPR',
+    label: 'operator',
+    fields: [
+      { key: 'name', label: 'Nama Operator', type: 'text', placeholder: 'Nama lengkap', span: 'sm:col-span-6', aliases: ['nama', 'name', 'namaoperator', 'operator'] },
+      { key: 'nrp', label: 'NRP', type: 'text', placeholder: '12345', span: 'sm:col-span-4', aliases: ['nrp', 'nik', 'id'] }
+    ],
+    key: entry => String(entry.nrp || '').trim() || normalizePersonName(entry.name).toLowerCase()
   }
 };
 
-async function exportMatchFactorToExcel(excavatorId, matchFactorData, issuesData) {
-  const workbook = new ExcelJS.Workbook();
+let registryDraft = null;
+let activeRegistryTab = 'excavators';
 
-  // Sheet 1: Match Factor Table
-  const mfSheet = workbook.addWorksheet('Match Factor Data');
+function renderEquipmentRegistryRows() {
+  const container = document.getElementById('equipmentRegistryRows');
+  if (!container) return;
 
-  mfSheet.columns = [
-    { header: 'No', key: 'no', width: 5 },
-    { header: 'Pengawas', key: 'namaPengawas', width: 20 },
-    { header: 'NRP', key: 'nrp', width: 15 },
-    { header: 'Waktu', key: 'waktu', width: 20 },
-    { header: 'No Excavator', key: 'noExcavator', width: 15 },
-    { header: 'Jumlah HD', key: 'jumlahHD', width: 12 },
-    { header: 'CT Hauler (min)', key: 'cycleTimeHauler', width: 15 },
-    { header: 'CT Loader (min)', key: 'cycleTimeLoader', width: 15 },
-    { header: 'Match Factor', key: 'matchFactor', width: 15 }
-  ];
+  const type = REGISTRY_TYPES[activeRegistryTab];
+  const entries = registryDraft[activeRegistryTab];
 
-  matchFactorData.forEach((item, index) => {
-    mfSheet.addRow({
-      no: index + 1,
-      ...item,
-      waktu: formatDateTime(item.waktu)
-    });
+  document.querySelectorAll('[data-registry-tab]').forEach(tab => {
+    const active = tab.dataset.registryTab === activeRegistryTab;
+    tab.classList.toggle('border-sky-500', active);
+    tab.classList.toggle('text-sky-700', active);
+    tab.classList.toggle('border-transparent', !active);
+    tab.classList.toggle('text-gray-500', !active);
   });
+  document.getElementById('registryImportHint').textContent =
+    `Kolom: ${type.fields.map(field => field.label).join(', ')}`;
 
-  // Style header
-  mfSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  mfSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF9333EA' }
-  };
-
-  // Sheet 2: Chart Summary
-  const chartSheet = workbook.addWorksheet('Chart Summary');
-  chartSheet.columns = [
-    { header: 'Metric', key: 'metric', width: 30 },
-    { header: 'Value', key: 'value', width: 20 }
-  ];
+  if (entries.length === 0) {
+    container.innerHTML = `<p class="text-sm text-gray-400 text-center py-6">Belum ada data ${type.label}</p>`;
+    return;
+  }
 
-  const avgMF = (matchFactorData.reduce((sum, d) => sum + parseFloat(d.matchFactor || 0), 0) / matchFactorData.length).toFixed(2);
-  const maxMF = Math.max(...matchFactorData.map(d => parseFloat(d.matchFactor || 0))).toFixed(2);
-  const minMF = Math.min(...matchFactorData.map(d => parseFloat(d.matchFactor || 0))).toFixed(2);
+  container.innerHTML = entries.map((entry, index) => `
+    <div class="registry-row grid grid-cols-12 gap-2 items-end bg-gray-50 border border-gray-200 rounded-lg p-3" data-id="${entry.id || ''}">
+      ${type.fields.map(field => `
+        <div class="col-span-6 ${field.span}">
+          <label class="block text-[10px] font-semibold text-gray-500 mb-1">${field.label}</label>
+          <input type="${field.type}" data-field="${field.key}" value="${entry[field.key] !== undefined && entry[field.key] !== null ? entry[field.key] : ''}"
+                 ${field.placeholder ? `placeholder="${field.placeholder}"` : ''} ${field.type === 'number' ? 'min="0" step="any"' : ''}
+                 class="w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-sky-500 focus:ring-2 focus:ring-sky-200">
+        </div>
+      `).join('')}
+      <div class="col-span-12 sm:col-span-2 flex justify-end">
+        <button type="button" onclick="removeEquipmentRegistryRow(${index})"
+                class="w-9 h-9 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200 transition-colors"
+                title="Hapus">
+          <i class="fas fa-trash text-xs"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
 
-  chartSheet.addRow({ metric: 'Excavator', value: excavatorId });
-  chartSheet.addRow({ metric: 'Total Records', value: matchFactorData.length });
-  chartSheet.addRow({ metric: 'Average Match Factor', value: avgMF });
-  chartSheet.addRow({ metric: 'Max Match Factor', value: maxMF });
-  chartSheet.addRow({ metric: 'Min Match Factor', value: minMF });
+// Copy the visible rows back into the draft before switching tabs or saving
+function readEquipmentRegistryRows() {
+  const type = REGISTRY_TYPES[activeRegistryTab];
+  registryDraft[activeRegistryTab] = Array.from(document.querySelectorAll('#equipmentRegistryRows .registry-row')).map(row => {
+    const entry = { id: row.dataset.id || '' };
+    type.fields.forEach(field => {
+      const value = row.querySelector(`[data-field="${field.key}"]`).value.trim();
+      entry[field.key] = field.type === 'number' ? (parseFloat(value) || null) : value;
+    });
+    return entry;
+  });
+}
 
-  chartSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-  chartSheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF9333EA' }
-  };
+function switchEquipmentRegistryTab(tab) {
+  readEquipmentRegistryRows();
+  activeRegistryTab = tab;
+  renderEquipmentRegistryRows();
+}
 
-  // Sheet 3: Issue Log
-  if (issuesData.length > 0) {
-    const issueSheet = workbook.addWorksheet('Issue Log');
-
-    issueSheet.columns = [
-      { header: 'No', key: 'no', width: 5 },
-      { header: 'Waktu', key: 'waktu', width: 20 },
-      { header: 'Excavator', key: 'excavator', width: 15 },
-      { header: 'Delay Problem', key: 'delayProblem', width: 30 },
-      { header: 'Productivity Problem', key: 'productivityProblem', width: 30 },
-      { header: 'Catatan', key: 'catatan', width: 40 },
-      { header: 'Catatan Lanjutan', key: 'catatanLanjutan', width: 40 },
-      { header: 'Jumlah Foto', key: 'photoCount', width: 12 }
-    ];
-
-    for (let index = 0; index < issuesData.length; index++) {
-      const issue = issuesData[index];
-
-      const delayText = issue.delay ?
-        `${issue.delay.mainCode} - ${issue.delay.subCode || ''}${issue.delay.customText ? ': ' + issue.delay.customText : ''}` : '-';
-
-      const prodText = issue.productivity ?
-        `${issue.productivity.mainCode} - ${issue.productivity.subOption || ''}${issue.productivity.customText ? ': ' + issue.productivity.customText : ''}` : '-';
-
-      issueSheet.addRow({
-        no: index + 1,
-        waktu: formatDateTime(issue.timestamp),
-        excavator: issue.excavator,
-        delayProblem: delayText,
-        productivityProblem: prodText,
-        catatan: issue.notes || '-',
-        catatanLanjutan: issue.followUpNotes || '-',
-        photoCount: issue.imageIds ? issue.imageIds.length : 0
-      });
-    }
+function addEquipmentRegistryRow() {
+  readEquipmentRegistryRows();
+  const entry = { id: '' };
+  REGISTRY_TYPES[activeRegistryTab].fields.forEach(field => {
+    entry[field.key] = field.type === 'number' ? null : '';
+  });
+  registryDraft[activeRegistryTab].push(entry);
+  renderEquipmentRegistryRows();
+}
 
-    issueSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
-    issueSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFFF6B6B' }
-    };
-  }
+window.removeEquipmentRegistryRow = function (index) {
+  readEquipmentRegistryRows();
+  registryDraft[activeRegistryTab].splice(index, 1);
+  renderEquipmentRegistryRows();
+};
 
-  const buffer = await workbook.xlsx.writeBuffer();
-  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `MatchFactor_${excavatorId}_${new Date().getTime()}.xlsx`;
-  a.click();
-  window.URL.revokeObjectURL(url);
+function openEquipmentRegistryModal() {
+  registryDraft = JSON.parse(JSON.stringify(getEquipmentRegistry()));
+  activeRegistryTab = 'excavators';
+  renderEquipmentRegistryRows();
+  document.getElementById('equipmentRegistryModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-  showToast('Export Match Factor ke Excel berhasil!', 'success');
+function closeEquipmentRegistryModal() {
+  document.getElementById('equipmentRegistryModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  registryDraft = null;
 }
 
-async function exportMatchFactorToPDF(excavatorId, matchFactorData, issuesData) {
-  const { jsPDF } = window.jspdf;
-  const doc = new jsPDF('l', 'mm', 'a4');
-  let yPos = 15;
+/**
+ * Parse CSV text into rows of cells (quoted fields, comma or semicolon separated)
+ * @param {string} text - CSV content
+ * @returns {string[][]}
+ */
+function parseCsvText(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
 
-  // Title
-  doc.setFontSize(16);
-  doc.setFont(undefined, 'bold');
-  doc.text(`Laporan Match Factor - Excavator ${excavatorId}`, 14, yPos);
-  yPos += 7;
+  return rows.filter(cells => cells.some(value => String(value).trim() !== ''));
+}
 
-  doc.setFontSize(10);
-  doc.setFont(undefined, 'normal');
-  doc.text(`Generated: ${new Date().toLocaleString()}`, 14, yPos);
-  yPos += 10;
+/**
+ * Read the first sheet of a CSV or XLSX file as rows of text cells
+ * @param {File} file - Selected file
+ * @param {Object} [options] - { seconds } keep the seconds of XLSX date cells
+ * @returns {Promise<string[][]>}
+ */
+async function readSpreadsheetRows(file, options) {
+  if (/\.csv$/i.test(file.name)) {
+    return parseCsvText(await file.text());
+  }
 
-  // Section 1: Match Factor Table
-  doc.setFontSize(12);
-  doc.setFont(undefined, 'bold');
-  doc.text('1. Match Factor Data', 14, yPos);
-  yPos += 5;
-
-  const mfHeaders = [['No', 'Pengawas', 'NRP', 'Waktu', 'Jml HD', 'CT Hauler', 'CT Loader', 'Match Factor']];
-  const mfTableData = matchFactorData.map((item, index) => [
-    index + 1,
-    item.namaPengawas,
-    item.nrp,
-    formatDateTime(item.waktu),
-    item.jumlahHD,
-    item.cycleTimeHauler,
-    item.cycleTimeLoader,
-    item.matchFactor
-  ]);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  return readWorksheetRows(workbook.worksheets[0], options);
+}
 
-  doc.autoTable({
-    head: mfHeaders,
-    body: mfTableData,
-    startY: yPos,
-    styles: { fontSize: 8 },
-    headStyles: { fillColor: [147, 51, 234] }
+// Non-empty rows of an ExcelJS worksheet as trimmed text cells; dates as YYYY-MM-DDTHH:mm(:ss)
+function readWorksheetRows(sheet, { seconds = false } = {}) {
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, row => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      const cell = row.getCell(col);
+      // ExcelJS reads Excel's zone-less dates as UTC, so the UTC fields are the time as typed
+      cells.push(cell.value instanceof Date ? cell.value.toISOString().slice(0, seconds ? 19 : 16) : String(cell.text || '').trim());
+    }
+    rows.push(cells);
   });
+  return rows;
+}
 
-  yPos = doc.lastAutoTable.finalY + 10;
-
-  // Section 2: Chart Summary
-  doc.setFontSize(12);
-  doc.setFont(undefined, 'bold');
-  doc.text('2. Match Factor Analysis Summary', 14, yPos);
-  yPos += 5;
-
-  const avgMF = (matchFactorData.reduce((sum, d) => sum + parseFloat(d.matchFactor || 0), 0) / matchFactorData.length).toFixed(2);
-  const maxMF = Math.max(...matchFactorData.map(d => parseFloat(d.matchFactor || 0))).toFixed(2);
-  const minMF = Math.min(...matchFactorData.map(d => parseFloat(d.matchFactor || 0))).toFixed(2);
-
-  const summaryHeaders = [['Metric', 'Value']];
-  const summaryData = [
-    ['Total Records', matchFactorData.length],
-    ['Average Match Factor', avgMF],
-    ['Max Match Factor', maxMF],
-    ['Min Match Factor', minMF]
-  ];
-
-  doc.autoTable({
-    head: summaryHeaders,
-    body: summaryData,
-    startY: yPos,
-    styles: { fontSize: 9 },
-    headStyles: { fillColor: [147, 51, 234] }
-  });
+// Header text compared without case, spaces or punctuation ("No. Unit" -> "nounit")
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
 
-  // Section 3: Issue Log
-  if (issuesData.length > 0) {
-    yPos = doc.lastAutoTable.finalY + 10;
+async function handleRegistryImportFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
 
-    // Check if we need a new page
-    if (yPos > 160) {
-      doc.addPage();
-      yPos = 15;
+  try {
+    readEquipmentRegistryRows();
+    const rows = await readSpreadsheetRows(file);
+    if (rows.length < 2) {
+      showToast('File kosong atau hanya berisi header', 'warning');
+      return;
     }
 
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'bold');
-    doc.text('3. Issue Log', 14, yPos);
-    yPos += 5;
+    const type = REGISTRY_TYPES[activeRegistryTab];
+    const headers = rows[0].map(normalizeHeader);
+    const columns = type.fields.map(field => ({
+      field,
+      index: headers.findIndex(header => field.aliases.includes(header))
+    }));
 
-    const issueHeaders = [['No', 'Waktu', 'Delay Problem', 'Productivity Problem', 'Catatan', 'Foto']];
-    const issueTableData = issuesData.map((issue, index) => {
-      // Format multiple delays (with backward compatibility)
-      const delays = getIssueDelays(issue);
-      const delayText = delays.length > 0 ?
-        delays.map(d => `${d.mainCode}-${d.subCode || ''}`).join(', ') : '-';
+    const keyColumn = columns[0];
+    if (keyColumn.index === -1) {
+      showToast(`Kolom "${keyColumn.field.label}" tidak ditemukan di header`, 'error');
+      return;
+    }
 
-      // Format multiple productivities (with backward compatibility)
-      const productivities = getIssueProductivities(issue);
-      const prodText = productivities.length > 0 ?
-        productivities.map(p => `${p.mainCode}-${p.subOption || ''}`).join(', ') : '-';
+    let added = 0;
+    let updated = 0;
+    const entries = registryDraft[activeRegistryTab];
 
-      return [
-        index + 1,
-        formatDateTime(issue.timestamp),
-        delayText,
-        prodText,
-        (issue.notes || '-').substring(0, 50) + (issue.notes && issue.notes.length > 50 ? '...' : ''),
-        issue.imageIds ? issue.imageIds.length : 0
-      ];
+    rows.slice(1).forEach(cells => {
+      const imported = {};
+      columns.forEach(({ field, index }) => {
+        if (index === -1) return;
+        const value = String(cells[index] || '').trim();
+        imported[field.key] = field.type === 'number' ? (parseFloat(value.replace(',', '.')) || null) : value;
+      });
+      if (activeRegistryTab === 'excavators') imported.code = normalizeEquipmentCode(imported.code);
+      if (activeRegistryTab === 'operators') imported.name = normalizePersonName(imported.name);
+      if (!type.key(imported)) return;
+
+      const existing = entries.find(entry => type.key(entry) === type.key(imported));
+      if (existing) {
+        Object.assign(existing, imported);
+        updated++;
+      } else {
+        entries.push({ id: '', ...imported });
+        added++;
+      }
     });
 
-    doc.autoTable({
-      head: issueHeaders,
-      body: issueTableData,
-      startY: yPos,
-      styles: { fontSize: 8 },
-      headStyles: { fillColor: [255, 107, 107] }
-    });
+    renderEquipmentRegistryRows();
+    showToast(`Import ${type.label}: ${added} baru, ${updated} diperbarui. Klik Simpan untuk menerapkan.`, 'success');
+  } catch (error) {
+    console.error('❌ Registry import failed:', error);
+    showToast('Gagal membaca file: ' + error.message, 'error');
   }
-
-  doc.save(`MatchFactor_${excavatorId}_${new Date().getTime()}.pdf`);
-  showToast('Export Match Factor ke PDF berhasil!', 'success');
 }
 
-// ==========================================
-// LocalStorage Functions
-// ==========================================
-function saveToLocalStorage() {
-  try {
-    // Check storage space before saving
-    const issuesSize = JSON.stringify(AppState.issuesData).length;
-    const totalSize = issuesSize + JSON.stringify(AppState.productivityData).length + JSON.stringify(AppState.matchFactorData).length;
-    const sizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-
-    console.log(`💾 Attempting to save ${sizeMB}MB to localStorage`);
-    console.log(`   - Issues: ${(issuesSize / (1024 * 1024)).toFixed(2)}MB (${AppState.issuesData.length} records)`);
+function saveEquipmentRegistryFromModal() {
+  readEquipmentRegistryRows();
 
-    // Warn if approaching 5MB limit
-    if (totalSize > 5 * 1024 * 1024) {
-      console.warn('⚠️ Storage size exceeds 5MB, might fail in some browsers');
-      showAlert(`Warning: Data berukuran ${sizeMB}MB, mungkin melebihi limit browser. Pertimbangkan untuk menghapus foto lama.`, 'warning');
-    }
+  for (const [listName, type] of Object.entries(REGISTRY_TYPES)) {
+    const seen = new Set();
+    for (const entry of registryDraft[listName]) {
+      if (listName === 'excavators') entry.code = normalizeEquipmentCode(entry.code);
+      if (listName === 'operators') entry.name = normalizePersonName(entry.name);
 
-    localStorage.setItem('productivityData', JSON.stringify(AppState.productivityData));
-    localStorage.setItem('matchFactorData', JSON.stringify(AppState.matchFactorData));
-    localStorage.setItem('issuesData', JSON.stringify(AppState.issuesData));
-    console.log('✅ Data saved successfully');
-  } catch (error) {
-    console.error('❌ Error saving to localStorage:', error);
+      const key = type.key(entry);
+      if (!key || (listName === 'operators' && !entry.name)) {
+        showToast(`Data ${type.label} belum lengkap`, 'error');
+        switchEquipmentRegistryTab(listName);
+        return;
+      }
+      if (seen.has(key)) {
+        showToast(`Data ${type.label} "${key}" duplikat`, 'error');
+        switchEquipmentRegistryTab(listName);
+        return;
+      }
+      seen.add(key);
 
-    if (error.name === 'QuotaExceededError') {
-      showAlert(
-        'Penyimpanan penuh! Silakan hapus beberapa foto atau issue lama. Gunakan fitur Backup untuk menyimpan data ke file.',
-        'error'
-      );
-    } else {
-      showAlert('Gagal menyimpan data ke localStorage', 'error');
+      if (!entry.id) entry.id = generateRegistryId(type.idPrefix);
     }
   }
-}
 
-function loadFromLocalStorage() {
-  const productivity = localStorage.getItem('productivityData');
-  const matchFactor = localStorage.getItem('matchFactorData');
-  const issues = localStorage.getItem('issuesData');
+  saveEquipmentRegistry(registryDraft);
 
-  console.log('🔄 loadFromLocalStorage called:');
-  console.log('  productivity exists:', !!productivity, 'length:', productivity?.length);
-  console.log('  matchFactor exists:', !!matchFactor, 'length:', matchFactor?.length);
-  console.log('  issues exists:', !!issues, 'length:', issues?.length);
+  // Relink stored records to the new registry and merge spelling variants
+  const updated = normalizeRecordsToRegistry();
+  saveAppData();
 
-  // Load all datasets first (without rendering)
-  if (productivity) {
-    AppState.productivityData = JSON.parse(productivity);
-    console.log('  ✅ Loaded productivity:', AppState.productivityData.length, 'records');
-  }
+  updateFilterOptions();
+  applyFilters();
+  renderIndividualCharts();
+  closeEquipmentRegistryModal();
+  showToast(`Master equipment disimpan, ${updated} record diperbarui`, 'success');
+}
 
-  if (matchFactor) {
-    AppState.matchFactorData = JSON.parse(matchFactor);
-    console.log('  ✅ Loaded matchFactor:', AppState.matchFactorData.length, 'records');
-    console.log('  Sample MF record:', AppState.matchFactorData[0]);
-  } else {
-    console.log('  ❌ No matchFactor in localStorage!');
+// ==========================================
+// Bulk Import (CSV/XLSX)
+// ==========================================
+const DATA_UMUM_IMPORT_FIELDS = [
+  { key: 'namaPengawas', label: 'Nama Pengawas', type: 'text', aliases: ['namapengawas', 'pengawas', 'supervisor'] },
+  { key: 'nrp', label: 'NRP', type: 'text', aliases: ['nrp', 'nrppengawas', 'nik'] },
+  { key: 'waktu', label: 'Waktu', type: 'datetime', aliases: ['waktu', 'tanggaljam', 'datetime', 'jam', 'time'] },
+  { key: 'noExcavator', label: 'No Excavator', type: 'text', aliases: ['noexcavator', 'excavator', 'nounit', 'unit', 'loader'] },
+  { key: 'namaOperator', label: 'Nama Operator', type: 'text', aliases: ['namaoperator', 'operator'] },
+  { key: 'jenisMaterial', label: 'Jenis Material', type: 'material', aliases: ['jenismaterial', 'material'] }
+];
+
+// Fields per record type; aliases match the headers of this app's own Excel export, so exports re-import as-is
+const IMPORT_TYPES = {
+  productivityData: {
+    label: 'Productivity',
+    build: buildProductivityRecord,
+    fields: [
+      ...DATA_UMUM_IMPORT_FIELDS,
+      { key: 'jumlahRitase', label: 'Jumlah Ritase', type: 'number', aliases: ['jumlahritase', 'ritase'] },
+      { key: 'hmAwal', label: 'HM Awal', type: 'number', aliases: ['hmawal', 'hmstart'] },
+      { key: 'hmAkhir', label: 'HM Akhir', type: 'number', aliases: ['hmakhir', 'hmend'] },
+      { key: 'kapasitas', label: 'Kapasitas', type: 'number', aliases: ['kapasitas', 'kapasitasvessel', 'capacity'] },
+      { key: 'kapasitasUnit', label: 'Satuan Kapasitas', type: 'unit', optional: true, aliases: ['satuan', 'satuankapasitas', 'kapasitasunit'] }
+    ]
+  },
+  matchFactorData: {
+    label: 'Match Factor',
+    build: buildMatchFactorRecord,
+    fields: [
+      ...DATA_UMUM_IMPORT_FIELDS,
+      { key: 'jumlahHD', label: 'Jumlah HD', type: 'number', aliases: ['jumlahhd', 'hd', 'jumlahhauler'] },
+      { key: 'cycleTimeHauler', label: 'CT Hauler (menit)', type: 'number', aliases: ['cthaulermin', 'cthauler', 'cycletimehauler'] },
+      { key: 'cycleTimeLoader', label: 'CT Loader (menit)', type: 'number', aliases: ['ctloadermin', 'ctloader', 'cycletimeloader'] }
+    ]
   }
+};
 
-  if (issues) {
-    AppState.issuesData = JSON.parse(issues);
-    console.log('  ✅ Loaded issues:', AppState.issuesData.length, 'records');
-  }
+const IMPORT_STATUS = {
+  ok: { label: 'OK', badge: 'bg-green-100 text-green-700' },
+  warning: { label: 'Peringatan', badge: 'bg-yellow-100 text-yellow-800' },
+  duplicate: { label: 'Duplikat', badge: 'bg-gray-200 text-gray-600' },
+  error: { label: 'Error', badge: 'bg-red-100 text-red-700' }
+};
 
-  // Now render everything together (after all datasets loaded)
-  if (productivity) {
-    renderProductivityTable();
-    updateProductivityChart();
-  }
+const IMPORT_PREVIEW_LIMIT = 200;
 
-  if (matchFactor) {
-    renderMatchFactorTable();
-    updateMatchFactorChart();
-  }
+// { type, fileName, headers, rows, mapping: {fieldKey: columnIndex}, defaultUnit, results }
+let bulkImportState = null;
 
-  if (issues) {
-    renderIssuesTable();
+/**
+ * Parse an imported date-time: ISO (2025-01-31 07:00), day-first (31/01/2025 07.00, as in
+ * this app's exports) or an XLSX date cell
+ * @param {string} value
+ * @returns {string|null} 'YYYY-MM-DDTHH:mm', or null when there is no valid date and hour
+ */
+function parseImportDateTime(value) {
+  const text = String(value || '').trim();
+  const pad = (number) => String(number).padStart(2, '0');
+  let parts = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T,]+(\d{1,2})[:.](\d{2})/);
+  if (parts) {
+    parts = { year: +parts[1], month: +parts[2], day: +parts[3], hour: +parts[4], minute: +parts[5] };
+  } else {
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})[ T,]+(\d{1,2})[:.](\d{2})/);
+    if (!dayFirst) return null;
+    parts = { year: +dayFirst[3], month: +dayFirst[2], day: +dayFirst[1], hour: +dayFirst[4], minute: +dayFirst[5] };
   }
 
-  updateTotalRecords();
-
-  // Load and display last update timestamp
-  const lastUpdateTimestamp = localStorage.getItem('lastUpdateTimestamp');
-  const lastUpdateEl = document.getElementById('lastUpdate');
-  if (lastUpdateEl && lastUpdateTimestamp) {
-    const savedDate = new Date(lastUpdateTimestamp);
-    lastUpdateEl.textContent = savedDate.toLocaleString('id-ID');
+  // Reject dates the Date constructor would roll over (31/02 -> 03/03)
+  const date = new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  if (date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day || parts.hour > 23 || parts.minute > 59) {
+    return null;
   }
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
 
-  // Run migration for old base64 photos (one-time automatic migration)
-  migrateBase64PhotosToIndexedDB();
+// Number with a decimal comma or point; blank stays 0 so the calculator rules report it
+function parseImportNumber(value) {
+  const text = String(value || '').trim().replace(',', '.');
+  if (text === '') return 0;
+  return /^-?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+}
+
+// Column index per field, matched by header alias (-1 when the file has no such column)
+function autoMapImportColumns(type, headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_TYPES[type].fields.forEach(field => {
+    mapping[field.key] = normalized.findIndex(header => field.aliases.includes(header));
+  });
+  return mapping;
 }
 
 /**
- * Migrate old base64 photos to IndexedDB (one-time migration)
- * Converts issue.photo (base64) to issue.imageIds (IndexedDB references)
+ * Turn one file row into calculator input
+ * @returns {{input: Object}|{error: string}}
  */
-async function migrateBase64PhotosToIndexedDB() {
-  // Check if migration is needed
-  const needsMigration = AppState.issuesData.some(issue => issue.photo && !issue.imageIds);
-
-  if (!needsMigration) {
-    console.log('✅ No base64 photos to migrate');
-    return;
-  }
-
-  console.log('🔄 Starting migration: base64 photos → IndexedDB');
-
-  let migratedCount = 0;
-  let failedCount = 0;
-
-  for (const issue of AppState.issuesData) {
-    // Skip if already migrated or no photo
-    if (!issue.photo || issue.imageIds) continue;
-
-    try {
-      // Convert base64 to blob
-      const base64Data = issue.photo;
-      const blob = await imageStorage.base64ToBlob(base64Data, 'image/jpeg');
-
-      // Store in IndexedDB
-      const imageId = await imageStorage.storeImage(blob, issue.id.toString());
-
-      // Update issue record
-      issue.imageIds = [imageId];
-      delete issue.photo; // Remove old base64 data
-
-      migratedCount++;
-      console.log(`✅ Migrated photo for issue ${issue.id}`);
-    } catch (error) {
-      console.error(`❌ Failed to migrate photo for issue ${issue.id}:`, error);
-      failedCount++;
+function readImportRow(type, cells, mapping, defaultUnit) {
+  const input = {};
+  const materials = getMaterialTable();
+
+  for (const field of IMPORT_TYPES[type].fields) {
+    const index = mapping[field.key];
+    const value = index >= 0 ? String(cells[index] || '').trim() : '';
+
+    if (field.type === 'datetime') {
+      input[field.key] = parseImportDateTime(value);
+      if (!input[field.key]) return { error: `${field.label} "${value}" tidak valid (contoh: 2025-01-31 07:00 atau 31/01/2025 07:00)` };
+    } else if (field.type === 'number') {
+      input[field.key] = parseImportNumber(value);
+      if (isNaN(input[field.key])) return { error: `${field.label} "${value}" bukan angka` };
+    } else if (field.type === 'unit') {
+      const unit = Object.keys(CAPACITY_UNITS).find(key => key.toLowerCase() === value.toLowerCase());
+      if (value && !unit) return { error: `${field.label} "${value}" tidak dikenal (${Object.keys(CAPACITY_UNITS).join(', ')})` };
+      input[field.key] = unit || defaultUnit;
+    } else if (field.type === 'material') {
+      // The form only offers materials from the table; match their spelling case-insensitively
+      const material = materials.find(entry => entry.name.toLowerCase() === value.toLowerCase());
+      if (value && !material) return { error: `Material "${value}" tidak ada di Tabel Material` };
+      input[field.key] = material ? material.name : '';
+    } else {
+      input[field.key] = value;
     }
   }
 
-  if (migratedCount > 0) {
-    // Save updated data
-    saveToLocalStorage();
-
-    const msg = `Migrated ${migratedCount} photo(s) to IndexedDB${failedCount > 0 ? ` (${failedCount} failed)` : ''}`;
-    console.log(`✅ Migration complete: ${msg}`);
-    showToast(msg, 'success');
-  }
+  return { input };
 }
 
-// ==========================================
-// Utility Functions
-// ==========================================
-function formatDateTime(datetime) {
-  if (!datetime) return '-';
-  const dt = new Date(datetime);
-  return dt.toLocaleString('id-ID', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-}
+/**
+ * Validate every row with the calculator rules and detect duplicates against the stored records
+ * and earlier rows of the file (same excavator + waktu + NRP as the restore merge)
+ * @returns {Object[]} [{ rowNumber, status, messages, data }]
+ */
+function validateImportRows(state) {
+  const { type, rows, mapping, defaultUnit } = state;
+  const seenKeys = new Map();
+  AppState[type].forEach(record => seenKeys.set(getRecordNaturalKey(type, record), 'data yang sudah ada'));
+  // Stored records plus the rows accepted so far, so HM checks also see earlier rows of the same file
+  const hmTimelines = type === 'productivityData' ? buildHmTimelines(AppState.productivityData) : null;
+
+  return rows.map((cells, index) => {
+    const rowNumber = index + 2;
+    const row = readImportRow(type, cells, mapping, defaultUnit);
+    if (row.error) return { rowNumber, status: 'error', messages: [row.error], data: null };
+
+    const { data, warning, error } = IMPORT_TYPES[type].build(row.input);
+    if (error) return { rowNumber, status: 'error', messages: [error], data: null };
+
+    const key = getRecordNaturalKey(type, data);
+    if (seenKeys.has(key)) {
+      return { rowNumber, status: 'duplicate', messages: [`Excavator, waktu dan NRP sama dengan ${seenKeys.get(key)}`], data };
+    }
+    seenKeys.set(key, `baris ${rowNumber}`);
 
-// Toast Notification System
-function showToast(message, type = 'info') {
-  const colors = {
-    success: 'bg-gradient-to-r from-green-500 to-green-600 text-white border-green-600',
-    error: 'bg-gradient-to-r from-red-500 to-red-600 text-white border-red-600',
-    warning: 'bg-gradient-to-r from-yellow-500 to-yellow-600 text-white border-yellow-600',
-    info: 'bg-gradient-to-r from-blue-500 to-blue-600 text-white border-blue-600'
-  };
+    const messages = warning ? [warning] : [];
+    if (hmTimelines) {
+      checkHmAgainstTimelines(data, hmTimelines).forEach(issue => messages.push(issue.message));
+      addToHmTimelines(hmTimelines, data);
+    }
+    return { rowNumber, status: messages.length > 0 ? 'warning' : 'ok', messages, data };
+  });
+}
 
-  const icons = {
-    success: 'fa-check-circle',
-    error: 'fa-times-circle',
-    warning: 'fa-exclamation-triangle',
-    info: 'fa-info-circle'
-  };
+function getImportableRows() {
+  const skipWarnings = document.getElementById('bulkImportSkipWarnings').checked;
+  return bulkImportState.results.filter(result => result.status === 'ok' || (result.status === 'warning' && !skipWarnings));
+}
 
-  const toastContainer = document.getElementById('toastContainer');
-  const toast = document.createElement('div');
-  toast.className = `${colors[type]} px-5 py-4 rounded-xl shadow-2xl flex items-center gap-4 min-w-[320px] max-w-[500px] border-l-4 transform transition-all duration-500 ease-out translate-x-full opacity-0 backdrop-blur-sm`;
-  toast.innerHTML = `
-    <div class="flex-shrink-0">
-      <i class="fas ${icons[type]} text-2xl"></i>
+function renderBulkImportMapping() {
+  const { type, headers, mapping, defaultUnit } = bulkImportState;
+  const options = (selected) => [
+    `<option value="-1">-- Tidak ada --</option>`,
+    ...headers.map((header, index) => `<option value="${index}" ${selected === index ? 'selected' : ''}>${escapeHtmlAttr(header || `Kolom ${index + 1}`)}</option>`)
+  ].join('');
+
+  document.getElementById('bulkImportMapping').innerHTML = IMPORT_TYPES[type].fields.map(field => `
+    <div>
+      <label class="block text-[10px] font-semibold text-gray-500 mb-1">${field.label}${field.optional ? '' : ' <span class="text-red-500">*</span>'}</label>
+      <select data-import-field="${field.key}"
+              class="w-full px-2 py-2 text-sm border-2 rounded-lg focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 ${mapping[field.key] === -1 && !field.optional ? 'border-red-300' : 'border-gray-200'}">
+        ${options(mapping[field.key])}
+      </select>
+      ${field.type === 'unit' ? `
+        <select id="bulkImportDefaultUnit" class="w-full mt-1 px-2 py-1.5 text-xs border border-gray-200 rounded-lg" title="Satuan untuk baris tanpa satuan">
+          ${Object.entries(CAPACITY_UNITS).map(([key, label]) => `<option value="${key}" ${key === defaultUnit ? 'selected' : ''}>Default: ${label}</option>`).join('')}
+        </select>` : ''}
     </div>
-    <span class="flex-1 font-medium text-sm leading-relaxed">${message}</span>
-    <button onclick="this.parentElement.remove()" class="flex-shrink-0 text-white/80 hover:text-white hover:bg-white/20 rounded-lg p-2 transition-all duration-200">
-      <i class="fas fa-times text-sm"></i>
-    </button>
-  `;
+  `).join('');
+}
 
-  toastContainer.appendChild(toast);
+function renderBulkImportPreview() {
+  const { results } = bulkImportState;
+  const counts = { ok: 0, warning: 0, duplicate: 0, error: 0 };
+  results.forEach(result => counts[result.status]++);
+
+  document.getElementById('bulkImportSummary').innerHTML = Object.entries(IMPORT_STATUS).map(([status, config]) => `
+    <span class="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-bold ${counts[status] > 0 ? config.badge : 'bg-gray-100 text-gray-400'}">
+      ${config.label} <span>${counts[status]}</span>
+    </span>
+  `).join('');
+
+  // Problem rows first; OK rows only fill what is left of the limit
+  const shown = [...results]
+    .sort((a, b) => (a.status === 'ok') - (b.status === 'ok') || a.rowNumber - b.rowNumber)
+    .slice(0, IMPORT_PREVIEW_LIMIT);
+
+  document.getElementById('bulkImportPreview').innerHTML = shown.length === 0
+    ? '<p class="text-sm text-gray-400 text-center py-6">Tidak ada baris data</p>'
+    : `
+      <table class="w-full text-xs">
+        <thead class="bg-gray-50 sticky top-0">
+          <tr>
+            <th class="text-left px-2 py-2 font-semibold text-gray-600">Baris</th>
+            <th class="text-left px-2 py-2 font-semibold text-gray-600">Status</th>
+            <th class="text-left px-2 py-2 font-semibold text-gray-600">Data</th>
+            <th class="text-left px-2 py-2 font-semibold text-gray-600">Keterangan</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown.map(result => `
+            <tr class="border-t border-gray-100 align-top">
+              <td class="px-2 py-1.5 text-gray-500">${result.rowNumber}</td>
+              <td class="px-2 py-1.5"><span class="inline-flex px-2 py-0.5 rounded-full text-[10px] font-bold ${IMPORT_STATUS[result.status].badge}">${IMPORT_STATUS[result.status].label}</span></td>
+              <td class="px-2 py-1.5 text-gray-900 whitespace-nowrap">${result.data ? `${escapeHtmlAttr(result.data.noExcavator)} · ${formatDateTime(result.data.waktu)}` : '-'}</td>
+              <td class="px-2 py-1.5 text-gray-600">${result.messages.map(escapeHtmlAttr).join('<br>') || '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${results.length > shown.length ? `<p class="text-[11px] text-gray-400 text-center py-2">Menampilkan ${shown.length} dari ${results.length} baris</p>` : ''}
+    `;
 
-  // Trigger animation
-  setTimeout(() => {
-    toast.classList.remove('translate-x-full', 'opacity-0');
-    toast.classList.add('translate-x-0', 'opacity-100');
-  }, 10);
+  updateBulkImportConfirm();
+}
 
-  // Auto remove after 5 seconds
-  setTimeout(() => {
-    toast.classList.add('translate-x-full', 'opacity-0');
-    setTimeout(() => toast.remove(), 500);
-  }, 5000);
+function updateBulkImportConfirm() {
+  const ready = bulkImportState && bulkImportState.results;
+  const count = ready ? getImportableRows().length : 0;
+  document.getElementById('bulkImportConfirmLabel').textContent = `Import ${count} Data`;
+  document.getElementById('btnConfirmBulkImport').disabled = count === 0;
 }
 
-// Legacy support - redirect to toast
-function showAlert(message, type = 'info') {
-  showToast(message, type);
+// Re-run validation after the file, type or mapping changed
+function refreshBulkImport() {
+  const { type, mapping } = bulkImportState;
+  const missing = IMPORT_TYPES[type].fields.filter(field => !field.optional && mapping[field.key] === -1);
+
+  renderBulkImportMapping();
+  document.getElementById('bulkImportStepMapping').classList.remove('hidden');
+  document.getElementById('bulkImportStepPreview').classList.toggle('hidden', missing.length > 0);
+  document.getElementById('bulkImportMissing').classList.toggle('hidden', missing.length === 0);
+  document.getElementById('bulkImportMissing').textContent = missing.length > 0
+    ? `Pilih kolom untuk: ${missing.map(field => field.label).join(', ')}`
+    : '';
+
+  bulkImportState.results = missing.length > 0 ? null : validateImportRows(bulkImportState);
+  if (bulkImportState.results) {
+    renderBulkImportPreview();
+  } else {
+    updateBulkImportConfirm();
+  }
 }
 
-// Confirmation Modal System
-function showConfirm(title, message, iconType = 'question', color = 'blue', onConfirm, onCancel, dataPreview = null) {
-  const modal = document.getElementById('confirmModal');
-  const confirmTitle = document.getElementById('confirmTitle');
-  const confirmMessage = document.getElementById('confirmMessage');
-  const confirmIcon = document.getElementById('confirmIcon');
-  const confirmTopBar = document.getElementById('confirmTopBar');
-  const confirmOkBtn = document.getElementById('confirmOkBtn');
-  const confirmCancelBtn = document.getElementById('confirmCancelBtn');
-  const confirmDataPreview = document.getElementById('confirmDataPreview');
+function getLastImport() {
+  try {
+    return JSON.parse(localStorage.getItem('lastImport') || 'null');
+  } catch (error) {
+    return null;
+  }
+}
 
-  const iconConfig = {
-    question: { icon: 'fa-question-circle', bg: 'bg-blue-500', gradient: 'from-blue-500 to-blue-600', topBar: 'from-blue-500 to-blue-600' },
-    trash: { icon: 'fa-trash-alt', bg: 'bg-red-500', gradient: 'from-red-500 to-red-600', topBar: 'from-red-500 to-red-600' },
-    warning: { icon: 'fa-exclamation-triangle', bg: 'bg-yellow-500', gradient: 'from-yellow-500 to-yellow-600', topBar: 'from-yellow-500 to-yellow-600' },
-    'exclamation-triangle': { icon: 'fa-exclamation-triangle', bg: 'bg-orange-500', gradient: 'from-orange-500 to-orange-600', topBar: 'from-orange-500 to-orange-600' },
-    info: { icon: 'fa-info-circle', bg: 'bg-blue-500', gradient: 'from-blue-500 to-blue-600', topBar: 'from-blue-500 to-blue-600' },
-    upload: { icon: 'fa-upload', bg: 'bg-teal-500', gradient: 'from-teal-500 to-teal-600', topBar: 'from-teal-500 to-teal-600' }
-  };
+function renderBulkImportUndo() {
+  const lastImport = getLastImport();
+  const container = document.getElementById('bulkImportUndo');
+  container.classList.toggle('hidden', !lastImport);
+  if (!lastImport) return;
 
-  const colorConfig = {
-    blue: 'bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white',
-    red: 'bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white',
-    green: 'bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 text-white',
-    orange: 'bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white',
-    purple: 'bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 text-white',
-    teal: 'bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white'
-  };
+  document.getElementById('bulkImportUndoText').textContent =
+    `Import terakhir: ${lastImport.recordIds.length} data ${IMPORT_TYPES[lastImport.type].label} dari ${lastImport.fileName} (${formatDateTime(lastImport.at)})`;
+}
 
-  const config = iconConfig[iconType] || iconConfig.question;
+function openBulkImportModal() {
+  bulkImportState = null;
+  document.getElementById('bulkImportType').value = 'productivityData';
+  document.getElementById('bulkImportFileName').textContent = 'Belum ada file';
+  document.getElementById('bulkImportSkipWarnings').checked = false;
+  document.getElementById('bulkImportStepMapping').classList.add('hidden');
+  document.getElementById('bulkImportStepPreview').classList.add('hidden');
+  updateBulkImportConfirm();
+  renderBulkImportUndo();
+
+  document.getElementById('bulkImportModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
 
-  // Update top bar gradient
-  confirmTopBar.className = `h-2 bg-gradient-to-r ${config.topBar} rounded-t-2xl`;
+function closeBulkImportModal() {
+  document.getElementById('bulkImportModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  bulkImportState = null;
+}
 
-  // Update icon with animation
-  confirmIcon.className = `relative w-20 h-20 rounded-full flex items-center justify-center bg-gradient-to-br ${config.gradient} shadow-xl mb-4 animate-bounce-in`;
-  confirmIcon.innerHTML = `
-    <div class="absolute inset-0 rounded-full bg-${iconType === 'trash' ? 'red' : 'blue'}-400 opacity-25 animate-pulse"></div>
-    <i class="fas ${config.icon} text-3xl text-white relative z-10"></i>
-  `;
+async function handleBulkImportFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
 
-  confirmTitle.textContent = title;
+  try {
+    const rows = await readSpreadsheetRows(file);
+    if (rows.length < 2) {
+      showToast('File kosong atau hanya berisi header', 'warning');
+      return;
+    }
 
-  // Support HTML content in message
-  if (message.includes('<')) {
-    confirmMessage.innerHTML = message;
+    const type = document.getElementById('bulkImportType').value;
+    const headers = rows[0];
+    bulkImportState = {
+      type,
+      fileName: file.name,
+      headers,
+      rows: rows.slice(1),
+      mapping: autoMapImportColumns(type, headers),
+      defaultUnit: 'BCM',
+      results: null
+    };
+    document.getElementById('bulkImportFileName').textContent = `${file.name} · ${rows.length - 1} baris`;
+    refreshBulkImport();
+  } catch (error) {
+    console.error('❌ Bulk import read failed:', error);
+    showToast('Gagal membaca file: ' + error.message, 'error');
+  }
+}
+
+function handleBulkImportTypeChange(event) {
+  if (!bulkImportState) return;
+  bulkImportState.type = event.target.value;
+  bulkImportState.mapping = autoMapImportColumns(bulkImportState.type, bulkImportState.headers);
+  refreshBulkImport();
+}
+
+function handleBulkImportMappingChange(event) {
+  if (!bulkImportState) return;
+  if (event.target.id === 'bulkImportDefaultUnit') {
+    bulkImportState.defaultUnit = event.target.value;
+  } else if (event.target.dataset.importField) {
+    bulkImportState.mapping[event.target.dataset.importField] = parseInt(event.target.value, 10);
   } else {
-    confirmMessage.textContent = message;
+    return;
   }
+  refreshBulkImport();
+}
 
-  // Show/hide data preview
-  if (dataPreview && confirmDataPreview) {
-    confirmDataPreview.innerHTML = dataPreview;
-    confirmDataPreview.classList.remove('hidden');
-  } else if (confirmDataPreview) {
-    confirmDataPreview.classList.add('hidden');
+// Refresh everything that shows records after an import or its undo
+function refreshAfterBulkImport() {
+  renderProductivityTable();
+  renderMatchFactorTable();
+  renderIssuesTable();
+  renderDelayPareto();
+  updateProductivityChart();
+  updateMatchFactorChart();
+  updateFilterOptions();
+  updateTotalRecords();
+  updateLastUpdate();
+}
+
+function confirmBulkImport() {
+  if (!bulkImportState || !bulkImportState.results) return;
+
+  const { type, fileName } = bulkImportState;
+  const records = getImportableRows().map(result => result.data);
+  if (records.length === 0) return;
+
+  AppState[type].push(...records);
+  recordStorage.markChanged(type, records);
+  localStorage.setItem('lastImport', JSON.stringify({
+    type,
+    fileName,
+    at: new Date().toISOString(),
+    recordIds: records.map(record => record.id)
+  }));
+
+  // Unlinked issues already logged for these hours now have a record to point at
+  linkIssuesToRecords();
+  saveAppData();
+  refreshAfterBulkImport();
+  closeBulkImportModal();
+  showToast(`${records.length} data ${IMPORT_TYPES[type].label} berhasil diimport`, 'success');
+
+  if (type === 'productivityData') {
+    const imported = new Set(records);
+    const hmFindings = auditHmTimeline(AppState.productivityData).filter(finding => imported.has(finding.record));
+    if (hmFindings.length > 0) {
+      showHmAuditReport(hmFindings);
+    }
   }
+}
 
-  // Update button styles with shimmer effect
-  confirmOkBtn.className = `group relative overflow-hidden px-8 py-3.5 font-semibold rounded-xl transition-all duration-200 flex items-center justify-center gap-2.5 shadow-lg hover:shadow-2xl transform hover:-translate-y-0.5 ${colorConfig[color] || colorConfig.blue}`;
-  confirmOkBtn.innerHTML = `
-    <span class="absolute inset-0 shimmer opacity-0 group-hover:opacity-100"></span>
-    <i class="fas fa-check relative z-10"></i>
-    <span class="relative z-10">${iconType === 'trash' ? 'Delete' : 'OK'}</span>
-  `;
+/**
+ * Remove the records of the last import. Issues are never deleted here: links to the removed
+ * records are dropped, so issues logged against them fall back to the excavator-hour match.
+ */
+function undoLastImport() {
+  const lastImport = getLastImport();
+  if (!lastImport) return;
 
-  confirmCancelBtn.className = `group relative overflow-hidden px-8 py-3.5 bg-white hover:bg-gray-50 border-2 border-gray-300 hover:border-gray-400 text-gray-700 font-semibold rounded-xl transition-all duration-200 hover:shadow-lg flex items-center justify-center gap-2.5`;
+  const { type, fileName, recordIds } = lastImport;
+  const ids = new Set(recordIds.map(String));
+  const remaining = AppState[type].filter(record => ids.has(String(record.id))).length;
 
-  // Show modal with animation
-  modal.classList.remove('hidden');
-  setTimeout(() => modal.classList.add('opacity-100'), 10);
+  showConfirm(
+    'Batalkan Import',
+    `Hapus ${remaining} data ${IMPORT_TYPES[type].label} yang diimport dari ${fileName}? Issue yang tercatat pada data tersebut tetap disimpan.`,
+    'warning',
+    'orange',
+    () => {
+      recordStorage.markDeleted(type, AppState[type].filter(record => ids.has(String(record.id))));
+      AppState[type] = AppState[type].filter(record => !ids.has(String(record.id)));
+      AppState.issuesData.forEach(issue => {
+        if (!isIssueLinked(issue) || !issue.recordIds.some(id => ids.has(String(id)))) return;
+        issue.recordIds = issue.recordIds.filter(id => !ids.has(String(id)));
+        if (issue.recordIds.length === 0) delete issue.recordIds;
+        recordStorage.markChanged('issuesData', [issue]);
+      });
+      localStorage.removeItem('lastImport');
 
-  // Prevent body scroll when modal is open
-  document.body.classList.add('modal-open');
+      saveAppData();
+      refreshAfterBulkImport();
+      renderBulkImportUndo();
+      showToast(`Import dibatalkan, ${remaining} data dihapus`, 'success');
+    }
+  );
+}
 
-  // Handle OK button
-  const handleOk = () => {
-    modal.classList.remove('opacity-100');
-    setTimeout(() => {
-      modal.classList.add('hidden');
-      document.body.classList.remove('modal-open');
-      if (onConfirm) onConfirm();
-    }, 200);
-    cleanup();
-  };
+// ==========================================
+// FMS Dispatch Ingestion
+// ==========================================
+// Dispatch (Fleet Management System) CSV/XLSX exports are read into per excavator-hour values:
+// ritase and distinct haulers from truck loads, hauler cycle time from the gap between a truck's
+// loads (or the file's own cycle time column), and working minutes from equipment status intervals.
+// They are compared with the supervisors' manual records; HM readings are never overwritten.
+const FMS_FILE_TYPES = {
+  // Checked first: status files rarely carry a truck column, load files rarely carry start/end
+  status: {
+    label: 'Status Equipment',
+    columns: [
+      { key: 'unit', label: 'Unit', aliases: ['unit', 'equipment', 'equipmentid', 'nounit', 'excavator', 'loader', 'noexcavator'] },
+      { key: 'status', label: 'Status', aliases: ['status', 'state', 'kondisi', 'statusequipment'] },
+      { key: 'start', label: 'Mulai', aliases: ['start', 'mulai', 'starttime', 'waktumulai', 'from', 'statusstart'] },
+      { key: 'end', label: 'Selesai', aliases: ['end', 'selesai', 'endtime', 'waktuselesai', 'to', 'statusend'] }
+    ]
+  },
+  loads: {
+    label: 'Ritase (Truck Load)',
+    columns: [
+      { key: 'time', label: 'Waktu Muat', aliases: ['waktu', 'waktumuat', 'loadtime', 'timestamp', 'time', 'datetime', 'tanggaljam'] },
+      { key: 'excavator', label: 'Loader', aliases: ['loader', 'excavator', 'noexcavator', 'shovel', 'loadingunit', 'loaderunit'] },
+      { key: 'hauler', label: 'Truck', aliases: ['truck', 'hauler', 'dumptruck', 'nohd', 'hd', 'haulerunit', 'truckunit'] },
+      { key: 'cycleTime', label: 'Cycle Time (menit)', optional: true, aliases: ['cycletime', 'ct', 'cthauler', 'cycletimemin', 'cycletimemenit', 'ctmenit'] }
+    ]
+  }
+};
 
-  // Handle Cancel button
-  const handleCancel = () => {
-    modal.classList.remove('opacity-100');
-    setTimeout(() => {
-      modal.classList.add('hidden');
-      document.body.classList.remove('modal-open');
-      if (onCancel) onCancel();
-    }, 200);
-    cleanup();
-  };
+const FMS_WORKING_STATUSES = ['working', 'operating', 'operasi', 'kerja', 'produksi', 'production', 'running', 'loading'];
+const FMS_MAX_CYCLE_MINUTES = 120; // longer gaps between two loads of one truck are breaks, not cycles
+const FMS_TOLERANCE = {
+  ritase: 1, // loads
+  haulers: 0, // units
+  cycleTimeHauler: 0.1, // share of the manual value
+  workingHours: 0.1 // jam
+};
 
-  // Handle ESC key
-  const handleEscape = (e) => {
-    if (e.key === 'Escape') {
-      handleCancel();
+const FMS_STATUS = {
+  diff: { label: 'Selisih', badge: 'bg-orange-100 text-orange-700' },
+  fmsOnly: { label: 'Hanya FMS', badge: 'bg-blue-100 text-blue-700' },
+  manualOnly: { label: 'Hanya Manual', badge: 'bg-gray-200 text-gray-600' },
+  match: { label: 'Cocok', badge: 'bg-green-100 text-green-700' }
+};
+
+// { files: [{ name, size, type, rows, skipped, duplicates }], loads: [], statuses: [], rows: [] }
+let fmsState = { files: [], loads: [], statuses: [], rows: [] };
+
+// Dispatch timestamps keep their seconds, which matter for cycle times
+function parseFmsTime(value) {
+  const minute = parseImportDateTime(value);
+  if (!minute) return null;
+  const seconds = String(value).trim().match(/^\S+[ T,]+\d{1,2}[:.]\d{2}[:.](\d{2})/);
+  return new Date(`${minute}:${seconds ? seconds[1] : '00'}`);
+}
+
+/**
+ * Recognize a dispatch file by its header
+ * @param {string[]} headers
+ * @returns {{type: string, mapping: Object}|null} Column index per column key, or null if no type fits
+ */
+function detectFmsFile(headers) {
+  const normalized = headers.map(normalizeHeader);
+  for (const [type, config] of Object.entries(FMS_FILE_TYPES)) {
+    const mapping = {};
+    config.columns.forEach(column => {
+      mapping[column.key] = normalized.findIndex(header => column.aliases.includes(header));
+    });
+    if (config.columns.every(column => column.optional || mapping[column.key] !== -1)) {
+      return { type, mapping };
     }
-  };
+  }
+  return null;
+}
 
-  // Cleanup event listeners
-  const cleanup = () => {
-    confirmOkBtn.removeEventListener('click', handleOk);
-    confirmCancelBtn.removeEventListener('click', handleCancel);
-    modal.removeEventListener('click', handleBackdropClick);
-    document.removeEventListener('keydown', handleEscape);
-  };
+/**
+ * Parse the data rows of a recognized dispatch file
+ * @returns {{items: Object[], skipped: number}} Loads or status intervals; unreadable rows are skipped
+ */
+function parseFmsRows(type, rows, mapping) {
+  const cell = (cells, key) => mapping[key] >= 0 ? String(cells[mapping[key]] || '').trim() : '';
+  const items = [];
+  let skipped = 0;
+
+  rows.forEach(cells => {
+    if (type === 'loads') {
+      const time = parseFmsTime(cell(cells, 'time'));
+      const excavator = normalizeEquipmentCode(cell(cells, 'excavator'));
+      const hauler = normalizeEquipmentCode(cell(cells, 'hauler'));
+      const cycleTime = parseImportNumber(cell(cells, 'cycleTime'));
+      if (!time || !excavator || !hauler) {
+        skipped++;
+        return;
+      }
+      items.push({ time, excavator, hauler, cycleTime: cycleTime > 0 ? cycleTime : null });
+      return;
+    }
 
-  // Handle backdrop click
-  const handleBackdropClick = (e) => {
-    if (e.target === modal) handleCancel();
-  };
+    const unit = normalizeEquipmentCode(cell(cells, 'unit'));
+    const status = cell(cells, 'status');
+    const start = parseFmsTime(cell(cells, 'start'));
+    const end = parseFmsTime(cell(cells, 'end'));
+    if (!unit || !status || !start || !end || end <= start) {
+      skipped++;
+      return;
+    }
+    items.push({ unit, status, working: FMS_WORKING_STATUSES.includes(status.toLowerCase()), start, end });
+  });
 
-  confirmOkBtn.addEventListener('click', handleOk);
-  confirmCancelBtn.addEventListener('click', handleCancel);
-  modal.addEventListener('click', handleBackdropClick);
-  document.addEventListener('keydown', handleEscape);
+  return { items, skipped };
 }
 
-// ==========================================
-// Backup & Restore Functions
-// ==========================================
-async function backupData() {
-  try {
-    showAlert('Menyiapkan backup (termasuk foto dari IndexedDB)...', 'info');
+function getFmsHourStart(time) {
+  const hour = new Date(time);
+  hour.setMinutes(0, 0, 0);
+  return hour;
+}
 
-    // Export images from IndexedDB
-    let imagesBackup = [];
-    try {
-      imagesBackup = await imageStorage.exportImages();
-      console.log(`✅ Exported ${imagesBackup.length} images from IndexedDB`);
-    } catch (error) {
-      console.warn('Failed to export images:', error);
-      showAlert('Peringatan: Foto mungkin tidak terbackup!', 'warning');
+// One truck loaded by one loader at one moment is the same load, whichever export it came from
+function getFmsLoadKey(load) {
+  return `${load.hauler}|${load.excavator}|${load.time.getTime()}`;
+}
+
+// Overlapping or touching intervals joined into one, sorted by start
+function mergeFmsIntervals(intervals) {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
     }
+  });
+  return merged;
+}
 
-    // Collect all data from localStorage
-    const backupData = {
-      version: '3.0.0', // Bumped version for IndexedDB support
-      exportDate: new Date().toISOString(),
-      productivityData: AppState.productivityData,
-      matchFactorData: AppState.matchFactorData,
-      issuesData: AppState.issuesData,
-      imagesData: imagesBackup, // New: Include IndexedDB images
-      userSettings: {
-        nama: localStorage.getItem('userNama') || '',
-        nrp: localStorage.getItem('userNRP') || '',
-        lastUpdate: localStorage.getItem('lastUpdateTimestamp') || '',
-        expandedCards: localStorage.getItem('expandedCards') || '{}',
-        sidebarCollapsed: localStorage.getItem('sidebarCollapsed') || 'false'
-      },
-      metadata: {
-        totalProductivity: AppState.productivityData.length,
-        totalMatchFactor: AppState.matchFactorData.length,
-        totalIssues: AppState.issuesData.length,
-        totalImages: imagesBackup.length,
-        totalRecords: AppState.productivityData.length + AppState.matchFactorData.length + AppState.issuesData.length,
-        backupSizeEstimate: JSON.stringify(imagesBackup).length
+// Call back with each clock-hour piece of an interval
+function forEachFmsHour(start, end, callback) {
+  for (let from = start; from < end;) {
+    const next = getFmsHourStart(from);
+    next.setHours(next.getHours() + 1);
+    const to = next < end ? next : end;
+    callback(from, to);
+    from = to;
+  }
+}
+
+/**
+ * Aggregate dispatch loads and status intervals per excavator-hour
+ * @param {Object[]} loads
+ * @param {Object[]} statuses
+ * @returns {Map<string, Object>} Hour key -> { excavator, hour, ritase, haulers, cycleTimes, workingMinutes }
+ *   workingMinutes stays null for hours no status interval covers
+ */
+function deriveFmsHours(loads, statuses) {
+  const hours = new Map();
+  const entry = (excavator, time) => {
+    const key = getExcavatorHourKey(excavator, time);
+    if (!hours.has(key)) {
+      hours.set(key, { key, excavator, hour: getFmsHourStart(time), ritase: 0, haulers: new Set(), cycleTimes: [], workingMinutes: null });
+    }
+    return hours.get(key);
+  };
+
+  loads.forEach(load => {
+    const hour = entry(load.excavator, load.time);
+    hour.ritase++;
+    hour.haulers.add(load.hauler);
+    if (load.cycleTime) hour.cycleTimes.push(load.cycleTime);
+  });
+
+  // Without a cycle time column, a truck's cycle is the time until its next load, credited to
+  // the hour of the load that started it
+  const byHauler = new Map();
+  loads.filter(load => !load.cycleTime).forEach(load => {
+    if (!byHauler.has(load.hauler)) byHauler.set(load.hauler, []);
+    byHauler.get(load.hauler).push(load);
+  });
+  byHauler.forEach(haulerLoads => {
+    haulerLoads.sort((a, b) => a.time - b.time);
+    haulerLoads.slice(0, -1).forEach((load, index) => {
+      const minutes = (haulerLoads[index + 1].time - load.time) / 60000;
+      if (minutes > 0 && minutes <= FMS_MAX_CYCLE_MINUTES) {
+        entry(load.excavator, load.time).cycleTimes.push(minutes);
       }
-    };
+    });
+  });
 
-    // Convert to JSON
-    const jsonString = JSON.stringify(backupData, null, 2);
-    const sizeInMB = (jsonString.length / (1024 * 1024)).toFixed(2);
+  // Status rows also cover trucks; only units that load (in the file, registry or records) count
+  const registry = getEquipmentRegistry();
+  const loaders = new Set([
+    ...loads.map(load => load.excavator),
+    ...registry.excavators.map(excavator => normalizeEquipmentCode(excavator.code)),
+    ...AppState.productivityData.map(record => record.noExcavator),
+    ...AppState.matchFactorData.map(record => record.noExcavator)
+  ]);
+  const units = new Map();
+  statuses.filter(status => loaders.has(status.unit)).forEach(status => {
+    if (!units.has(status.unit)) units.set(status.unit, []);
+    units.get(status.unit).push(status);
+  });
 
-    // Create blob and download
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
+  // Intervals of one unit can overlap (overlapping exports, a status logged twice), so working
+  // intervals are merged first and an hour never counts more than its 60 minutes
+  units.forEach((unitStatuses, unit) => {
+    unitStatuses.forEach(status => forEachFmsHour(status.start, status.end, from => {
+      const hour = entry(unit, from);
+      if (hour.workingMinutes === null) hour.workingMinutes = 0;
+    }));
+    mergeFmsIntervals(unitStatuses.filter(status => status.working)).forEach(interval => {
+      forEachFmsHour(interval.start, interval.end, (from, to) => {
+        entry(unit, from).workingMinutes += (to - from) / 60000;
+      });
+    });
+  });
 
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    link.href = url;
-    link.download = `SmartzProd-Backup-${timestamp}.json`;
+  return hours;
+}
 
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+function getFmsCycleTime(hour) {
+  if (hour.cycleTimes.length === 0) return null;
+  return hour.cycleTimes.reduce((sum, minutes) => sum + minutes, 0) / hour.cycleTimes.length;
+}
 
-    const msg = `Backup berhasil! ${backupData.metadata.totalProductivity} Productivity + ${backupData.metadata.totalMatchFactor} Match Factor + ${backupData.metadata.totalIssues} Issues + ${imagesBackup.length} foto (${sizeInMB}MB)`;
-    showToast(msg, 'success');
-  } catch (error) {
-    console.error('Backup error:', error);
-    showToast('Gagal membuat backup: ' + error.message, 'error');
-  }
+/**
+ * Compare dispatch hours with the manual records of the same excavators and period
+ * @returns {Object[]} [{ key, excavator, hour, fms, productivity, matchFactor, checks, status }] by excavator, then hour
+ */
+function buildFmsComparison(hours) {
+  // The latest manual record of an hour stands for it, like in the charts
+  const productivityByHour = indexLatestByExcavatorHour(AppState.productivityData);
+  const matchFactorByHour = indexLatestByExcavatorHour(AppState.matchFactorData);
+  const manual = (key) => ({ productivity: productivityByHour.get(key) || null, matchFactor: matchFactorByHour.get(key) || null });
+
+  const fmsHours = [...hours.values()];
+  if (fmsHours.length === 0) return [];
+  const excavators = new Set(fmsHours.map(hour => hour.excavator));
+  const first = Math.min(...fmsHours.map(hour => hour.hour.getTime()));
+  const last = Math.max(...fmsHours.map(hour => hour.hour.getTime()));
+
+  const rows = [];
+  hours.forEach(fms => {
+    const { productivity, matchFactor } = manual(fms.key);
+    // Standby-only hours without manual data are not production hours
+    if (!productivity && !matchFactor && fms.ritase === 0 && !fms.workingMinutes) return;
+    rows.push({ key: fms.key, excavator: fms.excavator, hour: fms.hour, fms, productivity, matchFactor });
+  });
+  new Set([...productivityByHour.keys(), ...matchFactorByHour.keys()]).forEach(key => {
+    const { productivity, matchFactor } = manual(key);
+    const base = productivity || matchFactor;
+    const hour = getFmsHourStart(new Date(base.waktu));
+    if (hours.has(key) || !excavators.has(base.noExcavator) || hour.getTime() < first || hour.getTime() > last) return;
+    rows.push({ key, excavator: base.noExcavator, hour, fms: null, productivity, matchFactor });
+  });
+
+  rows.forEach(row => {
+    row.checks = getFmsChecks(row);
+    if (!row.fms) row.status = 'manualOnly';
+    else if (!row.productivity && !row.matchFactor) row.status = 'fmsOnly';
+    else row.status = Object.values(row.checks).some(check => !check.ok) ? 'diff' : 'match';
+  });
+
+  return rows.sort((a, b) => a.excavator.localeCompare(b.excavator) || a.hour - b.hour);
 }
 
-function handleRestoreFile(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+/**
+ * Field-by-field comparison of one hour, for the values both sides have
+ * @returns {Object} { ritase, workingHours, haulers, cycleTimeHauler } each { fms, manual, ok } or absent
+ */
+function getFmsChecks(row) {
+  const { fms, productivity, matchFactor } = row;
+  const checks = {};
+  const add = (field, fmsValue, manualValue, ok) => {
+    checks[field] = { fms: fmsValue, manual: manualValue, ok: fmsValue === null || manualValue === null ? true : ok(fmsValue, manualValue) };
+  };
 
-  // Validate file type
-  if (!file.name.endsWith('.json')) {
-    showToast('File harus berformat JSON', 'error');
-    event.target.value = ''; // Reset input
-    return;
-  }
+  const hasLoads = fms && fms.ritase > 0;
+  const cycleTime = fms ? getFmsCycleTime(fms) : null;
+  add('ritase', hasLoads ? fms.ritase : null, productivity ? parseFloat(productivity.jumlahRitase) : null,
+    (a, b) => Math.abs(a - b) <= FMS_TOLERANCE.ritase);
+  add('workingHours', fms && fms.workingMinutes !== null ? fms.workingMinutes / 60 : null, productivity ? parseFloat(productivity.durasi) : null,
+    (a, b) => Math.abs(a - b) <= FMS_TOLERANCE.workingHours);
+  add('haulers', hasLoads ? fms.haulers.size : null, matchFactor ? parseFloat(matchFactor.jumlahHD) : null,
+    (a, b) => Math.abs(a - b) <= FMS_TOLERANCE.haulers);
+  add('cycleTimeHauler', cycleTime, matchFactor ? parseFloat(matchFactor.cycleTimeHauler) : null,
+    (a, b) => Math.abs(a - b) <= b * FMS_TOLERANCE.cycleTimeHauler);
+
+  return checks;
+}
 
-  const reader = new FileReader();
+function refreshFmsComparison() {
+  fmsState.rows = buildFmsComparison(deriveFmsHours(fmsState.loads, fmsState.statuses));
+  renderFmsFiles();
+  renderFmsComparison();
+}
 
-  reader.onload = async function (e) {
-    try {
-      const backupData = JSON.parse(e.target.result);
+function renderFmsFiles() {
+  document.getElementById('fmsFileList').innerHTML = fmsState.files.length === 0
+    ? '<p class="text-xs text-gray-400">Belum ada file dispatch</p>'
+    : fmsState.files.map(file => `
+      <p class="text-xs text-gray-600">
+        <i class="fas fa-file-csv text-cyan-500 mr-1"></i>${escapeHtmlAttr(file.name)} · ${FMS_FILE_TYPES[file.type].label} · ${file.rows} baris${file.skipped > 0 ? ` <span class="text-orange-600">(${file.skipped} dilewati)</span>` : ''}${file.duplicates > 0 ? ` <span class="text-gray-400">(${file.duplicates} ganda)</span>` : ''}
+      </p>
+    `).join('');
+}
 
-      // Validate backup data structure
-      if (!backupData.productivityData || !backupData.matchFactorData) {
-        throw new Error('Format backup tidak valid');
-      }
+function formatFmsValue(value, decimals) {
+  return value === null || value === undefined || isNaN(value) ? '-' : Number(value).toFixed(decimals);
+}
 
-      // Get current photo count from IndexedDB
-      let currentPhotoCount = 0;
-      try {
-        const storageInfo = await imageStorage.getStorageInfo();
-        currentPhotoCount = storageInfo.count || 0;
-      } catch (error) {
-        console.warn('Could not get current photo count:', error);
-      }
+function renderFmsComparison() {
+  const filter = document.getElementById('fmsStatusFilter').value;
+  const counts = { diff: 0, fmsOnly: 0, manualOnly: 0, match: 0 };
+  fmsState.rows.forEach(row => counts[row.status]++);
 
-      // Show enhanced confirmation dialog with beautiful stats preview
-      const backupDate = new Date(backupData.exportDate).toLocaleString('id-ID', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+  document.getElementById('fmsSummary').innerHTML = Object.entries(FMS_STATUS).map(([status, config]) => `
+    <span class="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-bold ${counts[status] > 0 ? config.badge : 'bg-gray-100 text-gray-400'}">
+      ${config.label} <span>${counts[status]}</span>
+    </span>
+  `).join('');
 
-      const currentTotal = AppState.productivityData.length + AppState.matchFactorData.length + AppState.issuesData.length;
+  const cell = (check, decimals) => {
+    if (check.fms === null && check.manual === null) return '<td class="px-2 py-1.5 text-center text-gray-300">-</td>';
+    return `<td class="px-2 py-1.5 text-center whitespace-nowrap ${check.ok ? 'text-gray-700' : 'text-red-600 font-semibold'}">${formatFmsValue(check.fms, decimals)} / ${formatFmsValue(check.manual, decimals)}</td>`;
+  };
 
-      const statsHTML = `
-        <div class="space-y-3 sm:space-y-4">
-          <!-- Backup File Header (Mobile Responsive) -->
-          <div class="text-center">
-            <div class="inline-flex items-center justify-center w-12 h-12 sm:w-16 sm:h-16 bg-gradient-to-br from-blue-500 to-indigo-600 rounded-xl sm:rounded-2xl shadow-lg mb-2 sm:mb-3">
-              <i class="fas fa-cloud-upload-alt text-white text-lg sm:text-2xl"></i>
-            </div>
-            <h4 class="text-xs sm:text-sm font-semibold text-gray-600 mb-1">File Backup</h4>
-            <p class="text-[10px] sm:text-xs text-gray-500 break-all px-2 sm:px-4 leading-tight">${file.name}</p>
-            <p class="text-[10px] sm:text-xs text-gray-400 mt-1">
-              <i class="fas fa-calendar-alt mr-1"></i>${backupDate}
-            </p>
-          </div>
+  const rows = fmsState.rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => !filter || row.status === filter);
+
+  document.getElementById('fmsComparisonBody').innerHTML = rows.length === 0
+    ? `<tr><td colspan="7" class="px-2 py-6 text-center text-sm text-gray-400">${fmsState.files.length === 0 ? 'Pilih file dispatch untuk mulai membandingkan' : 'Tidak ada jam dengan status ini'}</td></tr>`
+    : rows.map(({ row, index }) => `
+      <tr class="border-t border-gray-100">
+        <td class="px-2 py-1.5 whitespace-nowrap"><span class="font-semibold text-gray-900">${escapeHtmlAttr(row.excavator)}</span> <span class="text-gray-500">· ${formatDateTime(row.hour)}</span></td>
+        <td class="px-2 py-1.5"><span class="inline-flex px-2 py-0.5 rounded-full text-[10px] font-bold ${FMS_STATUS[row.status].badge}">${FMS_STATUS[row.status].label}</span></td>
+        ${cell(row.checks.ritase, 0)}
+        ${cell(row.checks.workingHours, 2)}
+        ${cell(row.checks.haulers, 0)}
+        ${cell(row.checks.cycleTimeHauler, 2)}
+        <td class="px-2 py-1.5 text-right whitespace-nowrap">
+          ${row.status === 'diff' && canApplyFmsRow(row) ? `<button type="button" onclick="applyFmsRow(${index})" class="px-2 py-1 bg-orange-50 hover:bg-orange-100 text-orange-700 border border-orange-200 rounded-md text-[11px] font-semibold">Terapkan FMS</button>` : ''}
+          ${row.status === 'fmsOnly' ? `<button type="button" onclick="fillFormFromFms(${index})" class="px-2 py-1 bg-blue-50 hover:bg-blue-100 text-blue-700 border border-blue-200 rounded-md text-[11px] font-semibold">Isi Form</button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+}
 
-          <!-- Data Comparison Table (Mobile Adaptive) -->
-          <div class="bg-gradient-to-br from-gray-50 to-gray-100 rounded-lg sm:rounded-xl p-3 sm:p-4 border border-gray-200 overflow-x-auto">
-            <table class="w-full text-sm min-w-[280px]">
-              <thead>
-                <tr class="border-b border-gray-300">
-                  <th class="text-left py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Jenis Data</th>
-                  <th class="text-center py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Backup</th>
-                  ${currentTotal > 0 ? '<th class="text-center py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold text-gray-600">Saat Ini</th>' : ''}
-                </tr>
-              </thead>
-              <tbody>
-                <tr class="border-b border-gray-200">
-                  <td class="py-2 sm:py-3">
-                    <div class="flex items-center gap-1.5 sm:gap-2">
-                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-green-500 rounded-full flex-shrink-0"></div>
-                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Productivity</span>
-                    </div>
-                  </td>
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-green-100 text-green-700 rounded-full text-[10px] sm:text-xs font-bold">
-                      ${backupData.metadata.totalProductivity}
-                    </span>
-                  </td>
-                  ${currentTotal > 0 ? `
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
-                      ${AppState.productivityData.length}
-                    </span>
-                  </td>
-                  ` : ''}
-                </tr>
-                <tr class="border-b border-gray-200">
-                  <td class="py-2 sm:py-3">
-                    <div class="flex items-center gap-1.5 sm:gap-2">
-                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-purple-500 rounded-full flex-shrink-0"></div>
-                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Match Factor</span>
-                    </div>
-                  </td>
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-purple-100 text-purple-700 rounded-full text-[10px] sm:text-xs font-bold">
-                      ${backupData.metadata.totalMatchFactor}
-                    </span>
-                  </td>
-                  ${currentTotal > 0 ? `
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
-                      ${AppState.matchFactorData.length}
-                    </span>
-                  </td>
-                  ` : ''}
-                </tr>
-                <tr class="border-b border-gray-200">
-                  <td class="py-2 sm:py-3">
-                    <div class="flex items-center gap-1.5 sm:gap-2">
-                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-orange-500 rounded-full flex-shrink-0"></div>
-                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Issues Log</span>
-                    </div>
-                  </td>
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-orange-100 text-orange-700 rounded-full text-[10px] sm:text-xs font-bold">
-                      ${backupData.metadata.totalIssues || 0}
-                    </span>
-                  </td>
-                  ${currentTotal > 0 ? `
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
-                      ${AppState.issuesData.length}
-                    </span>
-                  </td>
-                  ` : ''}
-                </tr>
-                <tr class="border-b border-gray-200">
-                  <td class="py-2 sm:py-3">
-                    <div class="flex items-center gap-1.5 sm:gap-2">
-                      <div class="w-1.5 h-1.5 sm:w-2 sm:h-2 bg-blue-500 rounded-full flex-shrink-0"></div>
-                      <span class="text-[10px] sm:text-xs font-medium text-gray-700">Photos</span>
-                    </div>
-                  </td>
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-blue-100 text-blue-700 rounded-full text-[10px] sm:text-xs font-bold">
-                      ${backupData.metadata.totalImages || 0}
-                    </span>
-                  </td>
-                  ${currentTotal > 0 ? `
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-200 text-gray-600 rounded-full text-[10px] sm:text-xs font-medium">
-                      ${currentPhotoCount}
-                    </span>
-                  </td>
-                  ` : ''}
-                </tr>
-                <tr>
-                  <td class="py-2 sm:py-3">
-                    <span class="text-[10px] sm:text-xs font-bold text-gray-800">Total Records</span>
-                  </td>
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-blue-500 text-white rounded-full text-xs sm:text-sm font-bold">
-                      ${backupData.metadata.totalRecords}
-                    </span>
-                  </td>
-                  ${currentTotal > 0 ? `
-                  <td class="text-center">
-                    <span class="inline-flex items-center justify-center min-w-[50px] sm:min-w-[60px] px-2 sm:px-3 py-0.5 sm:py-1 bg-gray-400 text-white rounded-full text-xs sm:text-sm font-bold">
-                      ${currentTotal}
-                    </span>
-                  </td>
-                  ` : ''}
-                </tr>
-              </tbody>
-            </table>
-          </div>
+// Ritase, jumlah HD and CT hauler can be taken over; working hours only inform (HM stays as read)
+function getFmsChanges(row) {
+  const { checks, productivity, matchFactor } = row;
+  const changes = [];
+  if (productivity && !checks.ritase.ok) {
+    changes.push({ type: 'productivityData', record: productivity, field: 'jumlahRitase', label: 'Ritase', from: productivity.jumlahRitase, to: checks.ritase.fms });
+  }
+  if (matchFactor && !checks.haulers.ok) {
+    changes.push({ type: 'matchFactorData', record: matchFactor, field: 'jumlahHD', label: 'Jumlah HD', from: matchFactor.jumlahHD, to: checks.haulers.fms });
+  }
+  if (matchFactor && !checks.cycleTimeHauler.ok) {
+    changes.push({ type: 'matchFactorData', record: matchFactor, field: 'cycleTimeHauler', label: 'CT Hauler', from: matchFactor.cycleTimeHauler, to: parseFloat(checks.cycleTimeHauler.fms.toFixed(2)) });
+  }
+  return changes;
+}
 
-          <!-- Action Arrow (Mobile Responsive) -->
-          ${currentTotal > 0 ? `
-          <div class="flex items-center justify-center gap-2 sm:gap-3 py-1.5 sm:py-2">
-            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-red-300 to-transparent"></div>
-            <div class="flex items-center gap-1.5 sm:gap-2 px-2 sm:px-4 py-1.5 sm:py-2 bg-red-50 border-2 border-red-200 rounded-full">
-              <i class="fas fa-exchange-alt text-red-600 text-xs sm:text-sm"></i>
-              <span class="text-[10px] sm:text-xs font-bold text-red-700 whitespace-nowrap">Data akan diganti</span>
-            </div>
-            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-red-300 to-transparent"></div>
-          </div>
-          ` : `
-          <div class="flex items-center justify-center gap-2 sm:gap-3 py-1.5 sm:py-2">
-            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-green-300 to-transparent"></div>
-            <div class="flex items-center gap-1.5 sm:gap-2 px-2 sm:px-4 py-1.5 sm:py-2 bg-green-50 border-2 border-green-200 rounded-full">
-              <i class="fas fa-check-circle text-green-600 text-xs sm:text-sm"></i>
-              <span class="text-[10px] sm:text-xs font-bold text-green-700 whitespace-nowrap">Database kosong</span>
-            </div>
-            <div class="flex-1 h-px bg-gradient-to-r from-transparent via-green-300 to-transparent"></div>
-          </div>
-          `}
+// Field detail recorded with the manual value, which no longer describes an FMS value
+const FMS_SUPERSEDED_DETAILS = {
+  jumlahRitase: 'ritaseTally',
+  cycleTimeHauler: 'cycleTimeSamples'
+};
 
-          <!-- Warning Message (Mobile Responsive) -->
-          ${currentTotal > 0 ? `
-          <div class="bg-gradient-to-r from-red-50 to-orange-50 border border-red-200 rounded-lg p-2.5 sm:p-3">
-            <div class="flex items-start gap-1.5 sm:gap-2">
-              <i class="fas fa-exclamation-circle text-red-500 text-xs sm:text-sm mt-0.5 flex-shrink-0"></i>
-              <p class="text-[10px] sm:text-xs text-red-800 leading-relaxed">
-                <strong>${currentTotal} records</strong> yang ada saat ini akan <strong>dihapus permanen</strong> dan diganti dengan <strong>${backupData.metadata.totalRecords} records</strong> dari backup.
-              </p>
-            </div>
-          </div>
-          ` : ''}
+function canApplyFmsRow(row) {
+  return getFmsChanges(row).length > 0;
+}
+
+/**
+ * Recalculate a record after FMS values were written into it
+ * @returns {Object|null} Updated record, or null when the productivity can't be converted to BCM
+ */
+function recalculateFmsRecord(type, record, values) {
+  const updated = { ...record, ...values };
+  if (type === 'matchFactorData') {
+    updated.matchFactor = parseFloat(((updated.jumlahHD * updated.cycleTimeLoader) / updated.cycleTimeHauler).toFixed(2));
+    return updated;
+  }
+
+  const figures = buildProductivityFigures({
+    jumlahRitase: updated.jumlahRitase,
+    kapasitas: parseFloat(updated.kapasitas),
+    kapasitasUnit: getCapacityUnit(updated),
+    jenisMaterial: updated.jenisMaterial,
+    durasi: parseFloat(updated.hmAkhir) - parseFloat(updated.hmAwal),
+    bcmFactor: updated.bcmFactor
+  });
+  return figures ? { ...updated, ...figures } : null;
+}
+
+window.applyFmsRow = function (index) {
+  const row = fmsState.rows[index];
+  if (!row) return;
+  const changes = getFmsChanges(row);
+  if (changes.length === 0) return;
+
+  const previewHTML = `
+    <div class="space-y-2 text-sm">
+      ${changes.map(change => `
+        <div class="flex justify-between">
+          <span class="text-gray-500">${change.label}:</span>
+          <span class="font-semibold text-gray-900">${change.from} → ${change.to}</span>
         </div>
-      `;
+      `).join('')}
+    </div>
+  `;
 
-      showConfirm(
-        'Restore Data dari Backup',
-        statsHTML,
-        'exclamation-triangle',
-        'orange',
-        () => {
-          // User confirmed, proceed with restore
-          restoreData(backupData);
-        },
-        () => {
-          // User cancelled
-          showToast('Restore dibatalkan', 'info');
+  showConfirm(
+    'Terapkan Data FMS',
+    `Perbarui data ${row.excavator} jam ${formatDateTime(row.hour)} dengan nilai dari dispatch? Nilai lama disimpan di riwayat rekonsiliasi.`,
+    'question',
+    'blue',
+    () => {
+      // Records edited or deleted since the comparison was built are no longer in AppState
+      if (changes.some(change => AppState[change.type].indexOf(change.record) === -1)) {
+        showToast(`Data ${row.excavator} berubah sejak dibandingkan, periksa ulang perbandingan`, 'warning');
+        refreshFmsComparison();
+        return;
+      }
+
+      const at = new Date().toISOString();
+      const files = fmsState.files.map(file => file.name);
+
+      for (const type of ['productivityData', 'matchFactorData']) {
+        const typeChanges = changes.filter(change => change.type === type);
+        if (typeChanges.length === 0) continue;
+
+        const record = typeChanges[0].record;
+        const values = {};
+        typeChanges.forEach(change => { values[change.field] = change.to; });
+        const updated = recalculateFmsRecord(type, record, values);
+        if (!updated) {
+          showToast(`Material ${record.jenisMaterial} belum punya faktor konversi di Tabel Material`, 'error');
+          return;
         }
-      );
+        // Tally / stopwatch detail of an overwritten value moves into the history entry
+        const superseded = {};
+        typeChanges.forEach(change => {
+          const detail = FMS_SUPERSEDED_DETAILS[change.field];
+          if (detail && updated[detail]) {
+            superseded[detail] = updated[detail];
+            delete updated[detail];
+          }
+        });
+        const entry = { at, files, changes: typeChanges.map(change => ({ field: change.field, from: change.from, to: change.to })) };
+        if (Object.keys(superseded).length > 0) entry.superseded = superseded;
+        updated.fmsReconciliation = [...(record.fmsReconciliation || []), entry];
+        AppState[type][AppState[type].indexOf(record)] = updated;
+        recordStorage.markChanged(type, [updated]);
+      }
+
+      saveAppData();
+      renderProductivityTable();
+      renderMatchFactorTable();
+      updateProductivityChart();
+      updateMatchFactorChart();
+      refreshFmsComparison();
+      showToast(`Data ${row.excavator} diperbarui dari FMS`, 'success');
+    }
+  );
+};
+
+window.fillFormFromFms = function (index) {
+  const row = fmsState.rows[index];
+  if (!row || !row.fms) return;
+  const { fms } = row;
+
+  // Data Umum from the excavator's latest record; HM chains on from the previous hour when known
+  const records = [...AppState.productivityData, ...AppState.matchFactorData]
+    .filter(record => record.noExcavator === row.excavator && new Date(record.waktu) < row.hour)
+    .sort((a, b) => new Date(b.waktu) - new Date(a.waktu));
+  const values = {};
+  if (fms.ritase > 0) {
+    values.jumlahRitase = fms.ritase;
+    values.jumlahHD = fms.haulers.size;
+  }
+  const cycleTime = getFmsCycleTime(fms);
+  if (cycleTime !== null) values.cycleTimeHauler = cycleTime.toFixed(2);
+
+  const previous = records.find(record => record.hmAkhir !== undefined);
+  if (previous && fms.workingMinutes !== null && row.hour - new Date(previous.waktu) <= HM_NEIGHBOUR_WINDOW_MINUTES * 60 * 1000) {
+    const hmAwal = parseFloat(previous.hmAkhir);
+    values.hmAwal = hmAwal;
+    values.hmAkhir = parseFloat((hmAwal + fms.workingMinutes / 60).toFixed(2));
+  }
+
+  closeFmsModal();
+  prefillEntryForm({ slot: row.hour, excavator: row.excavator, reference: records[0], values, focusId: 'jumlahRitase' });
+  showToast(`Form diisi dari FMS untuk ${row.excavator} jam ${formatSlotInput(row.hour).slice(11)}. Periksa lalu simpan.`, 'info');
+};
+
+async function handleFmsFiles(event) {
+  const files = Array.from(event.target.files);
+  event.target.value = '';
+
+  for (const file of files) {
+    if (fmsState.files.some(loaded => loaded.name === file.name && loaded.size === file.size)) {
+      showToast(`${file.name} sudah dimuat`, 'info');
+      continue;
+    }
+
+    try {
+      const rows = await readSpreadsheetRows(file, { seconds: true });
+      const detected = rows.length > 0 ? detectFmsFile(rows[0]) : null;
+      if (!detected) {
+        const expected = Object.values(FMS_FILE_TYPES)
+          .map(config => `${config.label}: ${config.columns.filter(column => !column.optional).map(column => column.label).join(', ')}`)
+          .join(' atau ');
+        showToast(`${file.name}: kolom tidak dikenali (${expected})`, 'error');
+        continue;
+      }
 
+      const { items, skipped } = parseFmsRows(detected.type, rows.slice(1), detected.mapping);
+      // Exports of overlapping periods repeat loads; status overlaps are merged in deriveFmsHours
+      let added = items;
+      if (detected.type === 'loads') {
+        const loaded = new Set(fmsState.loads.map(getFmsLoadKey));
+        added = items.filter(load => {
+          const key = getFmsLoadKey(load);
+          if (loaded.has(key)) return false;
+          loaded.add(key);
+          return true;
+        });
+      }
+      fmsState[detected.type === 'loads' ? 'loads' : 'statuses'].push(...added);
+      fmsState.files.push({ name: file.name, size: file.size, type: detected.type, rows: added.length, skipped, duplicates: items.length - added.length });
     } catch (error) {
-      console.error('Restore error:', error);
-      showToast('Gagal membaca backup: ' + error.message, 'error');
+      console.error('❌ FMS file read failed:', error);
+      showToast(`Gagal membaca ${file.name}: ${error.message}`, 'error');
     }
+  }
 
-    // Reset file input
-    event.target.value = '';
-  };
+  refreshFmsComparison();
+}
 
-  reader.onerror = function () {
-    showToast('Gagal membaca file', 'error');
-    event.target.value = '';
-  };
+function resetFmsData() {
+  fmsState = { files: [], loads: [], statuses: [], rows: [] };
+  refreshFmsComparison();
+}
 
-  reader.readAsText(file);
+function openFmsModal() {
+  refreshFmsComparison();
+  document.getElementById('fmsModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
 }
 
-async function restoreData(backupData) {
-  try {
-    showAlert('Memulai restore data...', 'info');
+function closeFmsModal() {
+  document.getElementById('fmsModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
 
-    // Restore data to AppState
-    AppState.productivityData = backupData.productivityData || [];
-    AppState.matchFactorData = backupData.matchFactorData || [];
-    AppState.issuesData = backupData.issuesData || [];
+// ==========================================
+// Problem Catalog Settings
+// ==========================================
+// Spreadsheet layout for catalog import/export (one sheet per kind, one row per sub-category)
+const CATALOG_SHEET_COLUMNS = {
+  delay: [
+    { key: 'code', header: 'Kode', aliases: ['kode', 'code', 'kodedelay'] },
+    { key: 'label', header: 'Kategori', aliases: ['kategori', 'label', 'nama', 'category'] },
+    { key: 'active', header: 'Aktif', aliases: ['aktif', 'active', 'aktifkategori'] },
+    { key: 'timeClass', header: 'Kelas Waktu', aliases: ['kelaswaktu', 'timeclass', 'kelas', 'class'] },
+    { key: 'subCode', header: 'Sub Kode', aliases: ['subkode', 'subcode'] },
+    { key: 'subLabel', header: 'Sub Kategori', aliases: ['subkategori', 'sublabel', 'subcategory'] },
+    { key: 'subActive', header: 'Sub Aktif', aliases: ['subaktif', 'subactive', 'aktifsub'] }
+  ],
+  productivity: [
+    { key: 'code', header: 'Kode', aliases: ['kode', 'code', 'kategorino'] },
+    { key: 'label', header: 'Kategori', aliases: ['kategori', 'label', 'nama', 'category'] },
+    { key: 'active', header: 'Aktif', aliases: ['aktif', 'active', 'aktifkategori'] },
+    { key: 'subLabel', header: 'Sub Kategori', aliases: ['subkategori', 'sublabel', 'subcategory'] },
+    { key: 'subActive', header: 'Sub Aktif', aliases: ['subaktif', 'subactive', 'aktifsub'] }
+  ]
+};
 
-    // Restore IndexedDB images if present
-    if (backupData.imagesData && backupData.imagesData.length > 0) {
-      try {
-        showAlert(`Memulihkan ${backupData.imagesData.length} foto ke IndexedDB...`, 'info');
+let catalogDraft = null;
+let activeCatalogTab = 'delay';
 
-        // Clear existing images first
-        await imageStorage.clearAll();
+function escapeHtmlAttr(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
 
-        // Import images
-        await imageStorage.importImages(backupData.imagesData);
+// "Breakdown" / "BD" / "repair" mark repair time; anything else is standby
+function parseDelayTimeClass(value) {
+  return /^(breakdown|bd|repair|rusak)$/i.test(String(value || '').trim()) ? 'breakdown' : 'standby';
+}
 
-        console.log(`✅ Restored ${backupData.imagesData.length} images to IndexedDB`);
-      } catch (error) {
-        console.error('Failed to restore images:', error);
-        showAlert('Peringatan: Foto mungkin tidak terrestore!', 'warning');
-      }
-    }
+// "Ya", "1", "true", "aktif" or blank count as active
+function parseCatalogActive(value) {
+  return !/^(tidak|no|n|0|false|nonaktif|inactive)$/i.test(String(value || '').trim());
+}
 
-    // Restore user settings
-    if (backupData.userSettings) {
-      if (backupData.userSettings.nama) {
-        localStorage.setItem('userNama', backupData.userSettings.nama);
-        document.getElementById('namaPengawas').value = backupData.userSettings.nama;
-      }
-      if (backupData.userSettings.nrp) {
-        localStorage.setItem('userNRP', backupData.userSettings.nrp);
-        document.getElementById('nrp').value = backupData.userSettings.nrp;
-      }
-      if (backupData.userSettings.lastUpdate) {
-        localStorage.setItem('lastUpdateTimestamp', backupData.userSettings.lastUpdate);
+function renderProblemCatalogRows() {
+  const container = document.getElementById('problemCatalogRows');
+  if (!container) return;
+
+  const kind = activeCatalogTab;
+  const config = CATALOG_KINDS[kind];
+
+  document.querySelectorAll('[data-catalog-tab]').forEach(tab => {
+    const active = tab.dataset.catalogTab === kind;
+    tab.classList.toggle('border-rose-500', active);
+    tab.classList.toggle('text-rose-700', active);
+    tab.classList.toggle('border-transparent', !active);
+    tab.classList.toggle('text-gray-500', !active);
+  });
+  document.getElementById('problemCatalogVersion').textContent = catalogDraft.version > 0
+    ? `Versi ${catalogDraft.version}${catalogDraft.updatedAt ? ` · diperbarui ${new Date(catalogDraft.updatedAt).toLocaleString('id-ID')}` : ''}`
+    : 'Versi bawaan (belum pernah diubah)';
+
+  const inputClass = 'w-full px-2 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-rose-500 focus:ring-2 focus:ring-rose-200';
+  const removeButton = (handler) => `
+    <button type="button" onclick="${handler}"
+            class="w-9 h-9 inline-flex items-center justify-center rounded-lg bg-red-50 hover:bg-red-100 text-red-600 border border-red-200 transition-colors"
+            title="Hapus">
+      <i class="fas fa-trash text-xs"></i>
+    </button>`;
+  const activeToggle = (checked, handler) => `
+    <label class="inline-flex items-center gap-1.5 text-xs font-semibold text-gray-600 h-9">
+      <input type="checkbox" ${checked ? 'checked' : ''} onchange="${handler}" class="w-4 h-4 text-rose-600 rounded">
+      Aktif
+    </label>`;
+
+  container.innerHTML = catalogDraft[kind].map((entry, index) => {
+    // "Tidak Ada" is fixed: the form and time usage logic depend on it
+    if (entry.code === config.noneCode) return '';
+
+    const subRows = (entry.sub || []).map((sub, subIndex) => `
+      <div class="grid grid-cols-12 gap-2 items-end ${sub.active === false ? 'opacity-60' : ''}">
+        ${config.subHasCode ? `
+          <div class="col-span-4 sm:col-span-2">
+            <input type="text" value="${escapeHtmlAttr(sub.code)}" placeholder="Sub kode" ${sub.isNew ? '' : 'readonly'}
+                   onchange="updateCatalogSub(${index}, ${subIndex}, 'code', this.value)"
+                   class="${inputClass} ${sub.isNew ? '' : 'bg-gray-100 text-gray-500'}">
+          </div>` : ''}
+        <div class="${config.subHasCode ? 'col-span-8 sm:col-span-7' : 'col-span-12 sm:col-span-9'}">
+          <input type="text" value="${escapeHtmlAttr(sub.label)}" placeholder="Nama sub-kategori"
+                 onchange="updateCatalogSub(${index}, ${subIndex}, 'label', this.value)" class="${inputClass}">
+        </div>
+        <div class="col-span-8 sm:col-span-2">${activeToggle(sub.active !== false, `updateCatalogSub(${index}, ${subIndex}, 'active', this.checked)`)}</div>
+        <div class="col-span-4 sm:col-span-1 flex justify-end">${sub.isNew ? removeButton(`removeCatalogSub(${index}, ${subIndex})`) : ''}</div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-2">
+        <div class="grid grid-cols-12 gap-2 items-end ${entry.active === false ? 'opacity-60' : ''}">
+          <div class="col-span-4 sm:col-span-2">
+            <label class="block text-[10px] font-semibold text-gray-500 mb-1">Kode</label>
+            <input type="text" value="${escapeHtmlAttr(entry.code)}" ${entry.isNew ? '' : 'readonly'}
+                   onchange="updateCatalogEntry(${index}, 'code', this.value)"
+                   class="${inputClass} ${entry.isNew ? '' : 'bg-gray-100 text-gray-500'}">
+          </div>
+          <div class="col-span-8 ${kind === 'delay' ? 'sm:col-span-4' : 'sm:col-span-7'}">
+            <label class="block text-[10px] font-semibold text-gray-500 mb-1">Kategori ${config.label}</label>
+            <input type="text" value="${escapeHtmlAttr(entry.label)}" onchange="updateCatalogEntry(${index}, 'label', this.value)" class="${inputClass}">
+          </div>
+          ${kind === 'delay' ? `
+            <div class="col-span-12 sm:col-span-3">
+              <label class="block text-[10px] font-semibold text-gray-500 mb-1">Kelas Waktu</label>
+              <select onchange="updateCatalogEntry(${index}, 'timeClass', this.value)" class="${inputClass} bg-white">
+                ${Object.entries(DELAY_TIME_CLASSES).map(([value, label]) => `
+                  <option value="${value}" ${(entry.timeClass || 'standby') === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>` : ''}
+          <div class="col-span-8 sm:col-span-2">${activeToggle(entry.active !== false, `updateCatalogEntry(${index}, 'active', this.checked)`)}</div>
+          <div class="col-span-4 sm:col-span-1 flex justify-end">${entry.isNew ? removeButton(`removeCatalogEntry(${index})`) : ''}</div>
+        </div>
+        <div class="pl-3 border-l-2 border-rose-200 space-y-2">
+          ${subRows}
+          <button type="button" onclick="addCatalogSub(${index})" class="text-xs font-semibold text-rose-600 hover:text-rose-700">
+            <i class="fas fa-plus mr-1"></i>Tambah Sub-Kategori
+          </button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function switchProblemCatalogTab(tab) {
+  activeCatalogTab = tab;
+  renderProblemCatalogRows();
+}
+
+window.updateCatalogEntry = function (index, field, value) {
+  const entry = catalogDraft[activeCatalogTab][index];
+  entry[field] = typeof value === 'string' ? value.trim() : value;
+  if (field === 'active') renderProblemCatalogRows();
+};
+
+window.updateCatalogSub = function (index, subIndex, field, value) {
+  const sub = catalogDraft[activeCatalogTab][index].sub[subIndex];
+  sub[field] = typeof value === 'string' ? value.trim() : value;
+  if (field === 'active') renderProblemCatalogRows();
+};
+
+function addCatalogMainEntry() {
+  const entry = { code: '', label: '', active: true, sub: [], isNew: true };
+  if (activeCatalogTab === 'delay') entry.timeClass = 'standby';
+  catalogDraft[activeCatalogTab].push(entry);
+  renderProblemCatalogRows();
+}
+
+window.addCatalogSub = function (index) {
+  const sub = { label: '', active: true, isNew: true };
+  if (CATALOG_KINDS[activeCatalogTab].subHasCode) sub.code = '';
+  catalogDraft[activeCatalogTab][index].sub.push(sub);
+  renderProblemCatalogRows();
+};
+
+// Only entries added in this session can be removed; saved codes are deactivated instead
+window.removeCatalogEntry = function (index) {
+  catalogDraft[activeCatalogTab].splice(index, 1);
+  renderProblemCatalogRows();
+};
+
+window.removeCatalogSub = function (index, subIndex) {
+  catalogDraft[activeCatalogTab][index].sub.splice(subIndex, 1);
+  renderProblemCatalogRows();
+};
+
+function openProblemCatalogModal() {
+  catalogDraft = JSON.parse(JSON.stringify(getProblemCatalog()));
+  activeCatalogTab = 'delay';
+  renderProblemCatalogRows();
+  document.getElementById('problemCatalogModal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
+
+function closeProblemCatalogModal() {
+  document.getElementById('problemCatalogModal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+  catalogDraft = null;
+}
+
+// Strip editor-only flags so saved and exported catalogs compare cleanly
+function cleanCatalogEntries(entries) {
+  return entries.map(({ isNew, ...entry }) => ({
+    ...entry,
+    active: entry.active !== false,
+    sub: (entry.sub || []).map(({ isNew: subIsNew, ...sub }) => ({ ...sub, active: sub.active !== false }))
+  }));
+}
+
+/**
+ * Validate the draft catalog
+ * @returns {{kind: string, message: string}|null} First problem found, or null when valid
+ */
+function validateCatalogDraft() {
+  for (const [kind, config] of Object.entries(CATALOG_KINDS)) {
+    const codes = new Set();
+    for (const entry of catalogDraft[kind]) {
+      if (!entry.code || !entry.label) {
+        return { kind, message: `Kode dan nama kategori ${config.label} wajib diisi` };
       }
-      if (backupData.userSettings.expandedCards) {
-        localStorage.setItem('expandedCards', backupData.userSettings.expandedCards);
+      if (codes.has(entry.code)) {
+        return { kind, message: `Kode ${config.label} "${entry.code}" duplikat` };
       }
-      if (backupData.userSettings.sidebarCollapsed) {
-        localStorage.setItem('sidebarCollapsed', backupData.userSettings.sidebarCollapsed);
+      codes.add(entry.code);
+
+      const subKeys = new Set();
+      for (const sub of entry.sub || []) {
+        const key = getCatalogSubKey(kind, sub);
+        if (!key || !sub.label) {
+          return { kind, message: `Sub-kategori ${entry.code} belum lengkap` };
+        }
+        if (subKeys.has(key)) {
+          return { kind, message: `Sub-kategori "${key}" duplikat di ${entry.code}` };
+        }
+        subKeys.add(key);
       }
     }
+  }
+  return null;
+}
 
-    // Save to localStorage
-    saveToLocalStorage();
+function saveProblemCatalogFromModal() {
+  const error = validateCatalogDraft();
+  if (error) {
+    showToast(error.message, 'error');
+    switchProblemCatalogTab(error.kind);
+    return;
+  }
 
-    // Refresh UI
-    renderProductivityTable();
-    renderMatchFactorTable();
-    renderIssuesTable();
-    updateProductivityChart();
-    updateMatchFactorChart();
-    updateFilterOptions();
-    updateTotalRecords();
-    updateLastUpdate();
+  const current = getProblemCatalog();
+  const entries = {
+    delay: cleanCatalogEntries(catalogDraft.delay),
+    productivity: cleanCatalogEntries(catalogDraft.productivity)
+  };
+  const unchanged = JSON.stringify(entries) === JSON.stringify({ delay: current.delay, productivity: current.productivity });
+  if (unchanged && !(catalogDraft.importedVersion > current.version)) {
+    closeProblemCatalogModal();
+    showToast('Tidak ada perubahan katalog', 'info');
+    return;
+  }
 
-    const imageMsg = backupData.imagesData && backupData.imagesData.length > 0
-      ? ` + ${backupData.imagesData.length} foto`
-      : '';
-    showToast(
-      `Restore berhasil! ${backupData.metadata.totalProductivity || 0} Productivity + ${backupData.metadata.totalMatchFactor || 0} Match Factor + ${backupData.metadata.totalIssues || 0} Issues${imageMsg} dipulihkan`,
-      'success'
-    );
+  // An imported site standard keeps its version number so devices can compare catalogs
+  const version = Math.max(current.version + 1, catalogDraft.importedVersion || 0);
+  saveProblemCatalog({ version, updatedAt: new Date().toISOString(), ...entries });
+
+  renderDelayItems();
+  renderProductivityItems();
+  // Time classes may have changed, which moves delay hours between standby and repair
+  renderIndividualCharts();
+  closeProblemCatalogModal();
+  showToast(`Katalog problem versi ${version} disimpan`, 'success');
+}
+
+function downloadCatalogFile(blob, extension) {
+  const catalog = getProblemCatalog();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `SmartzProd-Katalog-v${catalog.version}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+function exportProblemCatalogJSON() {
+  const catalog = getProblemCatalog();
+  const payload = { type: 'smartzprod-problem-catalog', ...catalog };
+  downloadCatalogFile(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), 'json');
+  showToast(`Katalog versi ${catalog.version} diexport`, 'success');
+}
+
+async function exportProblemCatalogXLSX() {
+  try {
+    const catalog = getProblemCatalog();
+    const workbook = new ExcelJS.Workbook();
 
-    // Optional: Scroll to top to show the results
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    Object.entries(CATALOG_SHEET_COLUMNS).forEach(([kind, columns]) => {
+      const sheet = workbook.addWorksheet(CATALOG_KINDS[kind].label);
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: /label/i.test(column.key) ? 45 : 12
+      }));
+      catalog[kind].forEach(entry => {
+        const base = { code: entry.code, label: entry.label, active: entry.active !== false ? 'Ya' : 'Tidak' };
+        if (kind === 'delay') base.timeClass = DELAY_TIME_CLASSES[entry.timeClass] || DELAY_TIME_CLASSES.standby;
+        if (!entry.sub || entry.sub.length === 0) {
+          sheet.addRow(base);
+          return;
+        }
+        entry.sub.forEach(sub => {
+          sheet.addRow({
+            ...base,
+            subCode: sub.code || '',
+            subLabel: sub.label,
+            subActive: sub.active !== false ? 'Ya' : 'Tidak'
+          });
+        });
+      });
+      sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE11D48' } };
+    });
 
+    const info = workbook.addWorksheet('Info');
+    info.addRow(['Versi', catalog.version]);
+    info.addRow(['Diperbarui', catalog.updatedAt || '-']);
+    info.getColumn(1).font = { bold: true };
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    downloadCatalogFile(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'xlsx');
+    showToast(`Katalog versi ${catalog.version} diexport`, 'success');
   } catch (error) {
-    console.error('Restore data error:', error);
-    showToast('Gagal restore data: ' + error.message, 'error');
+    console.error('❌ Catalog export failed:', error);
+    showToast('Gagal export katalog: ' + error.message, 'error');
   }
 }
 
-// ==========================================
-// Clear All Data Function
-// ==========================================
-async function clearAllData() {
-  showConfirm(
-    'Hapus Semua Data?',
-    'Apakah Anda yakin ingin menghapus semua data? Tindakan ini tidak dapat dibatalkan. Pastikan Anda sudah melakukan backup jika diperlukan.',
-    'trash',
-    'red',
-    async () => {
-      try {
-        showAlert('Menghapus semua data...', 'info');
+// Normalize a catalog read from JSON into the editor's entry shape
+function parseCatalogJson(data) {
+  const catalog = { version: parseInt(data?.version) || 0 };
+  Object.entries(CATALOG_KINDS).forEach(([kind, config]) => {
+    if (!Array.isArray(data?.[kind])) return;
+    catalog[kind] = data[kind].map(entry => ({
+      code: String(entry.code || '').trim(),
+      label: String(entry.label || '').trim(),
+      ...(kind === 'delay' ? { timeClass: parseDelayTimeClass(entry.timeClass) } : {}),
+      active: entry.active !== false,
+      sub: (Array.isArray(entry.sub) ? entry.sub : []).map(sub => {
+        const parsed = typeof sub === 'string'
+          ? { label: sub.trim(), active: true }
+          : { label: String(sub.label || '').trim(), active: sub.active !== false };
+        if (config.subHasCode) parsed.code = String(sub.code || '').trim();
+        return parsed;
+      })
+    })).filter(entry => entry.code);
+  });
+  return catalog;
+}
 
-        // Clear AppState
-        AppState.productivityData = [];
-        AppState.matchFactorData = [];
-        AppState.issuesData = [];
-        AppState.selectedExcavator = '';
+// Group spreadsheet rows (one per sub-category) back into catalog entries
+function parseCatalogSheetRows(kind, rows) {
+  const headers = rows[0].map(normalizeHeader);
+  const columns = CATALOG_SHEET_COLUMNS[kind].map(column => ({
+    key: column.key,
+    index: headers.findIndex(header => column.aliases.includes(header))
+  }));
+  if (columns[0].index === -1) return null;
+
+  const entries = [];
+  rows.slice(1).forEach(cells => {
+    const row = {};
+    columns.forEach(({ key, index }) => {
+      row[key] = index === -1 ? '' : String(cells[index] || '').trim();
+    });
+    if (!row.code) return;
 
-        // Clear localStorage
-        localStorage.removeItem('productivityData');
-        localStorage.removeItem('matchFactorData');
-        localStorage.removeItem('issuesData');
+    let entry = entries.find(existing => existing.code === row.code);
+    if (!entry) {
+      entry = { code: row.code, label: row.label, active: parseCatalogActive(row.active), sub: [] };
+      if (kind === 'delay') entry.timeClass = parseDelayTimeClass(row.timeClass);
+      entries.push(entry);
+    }
+    if (!row.subLabel && !row.subCode) return;
 
-        // Clear all images from IndexedDB
-        await imageStorage.clearAll();
+    const sub = { label: row.subLabel, active: parseCatalogActive(row.subActive) };
+    if (CATALOG_KINDS[kind].subHasCode) sub.code = row.subCode;
+    entry.sub.push(sub);
+  });
+  return entries;
+}
 
-        // Update UI
-        renderProductivityTable();
-        renderMatchFactorTable();
-        renderIssuesTable();
-        updateProductivityChart();
-        updateMatchFactorChart();
+async function readCatalogWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+
+  const catalog = { version: 0 };
+  Object.entries(CATALOG_KINDS).forEach(([kind, config]) => {
+    const rows = readWorksheetRows(workbook.getWorksheet(config.label));
+    if (rows.length < 2) return;
+    const entries = parseCatalogSheetRows(kind, rows);
+    if (entries) catalog[kind] = entries;
+  });
 
-        // Reset excavator filter
-        const excavatorFilter = document.getElementById('excavatorFilter');
-        if (excavatorFilter) {
-          excavatorFilter.value = '';
-        }
+  const versionRow = readWorksheetRows(workbook.getWorksheet('Info')).find(cells => normalizeHeader(cells[0]) === 'versi');
+  if (versionRow) catalog.version = parseInt(versionRow[1]) || 0;
+  return catalog;
+}
 
-        showToast('Semua data berhasil dihapus', 'success');
-      } catch (error) {
-        console.error('Clear data error:', error);
-        showToast('Gagal menghapus data: ' + error.message, 'error');
+/**
+ * Merge an imported catalog into the draft
+ * Imported entries replace matching codes; local codes missing from the import are kept but
+ * deactivated, so older issues still resolve while the form follows the shared standard.
+ * @param {Object} imported - Parsed catalog ({version, delay?, productivity?})
+ * @returns {{added: number, updated: number, deactivated: number}}
+ */
+function mergeImportedCatalog(imported) {
+  const summary = { added: 0, updated: 0, deactivated: 0 };
+
+  Object.entries(CATALOG_KINDS).forEach(([kind, config]) => {
+    if (!imported[kind]) return;
+    const keyOf = sub => getCatalogSubKey(kind, sub);
+
+    const merged = imported[kind].map(entry => {
+      const existing = catalogDraft[kind].find(local => local.code === entry.code);
+      if (!existing) {
+        summary.added++;
+        return { ...entry, isNew: true, sub: entry.sub.map(sub => ({ ...sub, isNew: true })) };
+      }
+
+      summary.updated++;
+      const sub = entry.sub.map(importedSub => (
+        existing.sub.some(localSub => keyOf(localSub) === keyOf(importedSub)) ? importedSub : { ...importedSub, isNew: true }
+      ));
+      existing.sub.forEach(localSub => {
+        if (!sub.some(importedSub => keyOf(importedSub) === keyOf(localSub))) sub.push({ ...localSub, active: false });
+      });
+      return { ...entry, sub };
+    });
+
+    catalogDraft[kind].forEach(local => {
+      if (merged.some(entry => entry.code === local.code)) return;
+      if (local.code === config.noneCode) {
+        merged.unshift(local);
+        return;
       }
+      if (local.active !== false) summary.deactivated++;
+      merged.push({ ...local, active: false });
+    });
+
+    catalogDraft[kind] = merged;
+  });
+
+  catalogDraft.importedVersion = Math.max(catalogDraft.importedVersion || 0, imported.version || 0);
+  return summary;
+}
+
+async function handleCatalogImportFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const imported = /\.json$/i.test(file.name)
+      ? parseCatalogJson(JSON.parse(await file.text()))
+      : await readCatalogWorkbook(file);
+
+    if (!imported.delay && !imported.productivity) {
+      showToast('Katalog tidak ditemukan di file (butuh data delay/productivity)', 'warning');
+      return;
     }
-  );
+
+    const { added, updated, deactivated } = mergeImportedCatalog(imported);
+    renderProblemCatalogRows();
+    showToast(`Import katalog: ${added} baru, ${updated} diperbarui, ${deactivated} dinonaktifkan. Klik Simpan untuk menerapkan.`, 'success');
+  } catch (error) {
+    console.error('❌ Catalog import failed:', error);
+    showToast('Gagal membaca file: ' + error.message, 'error');
+  }
 }
 
 // Expose functions to global scope for onclick handlers
@@ -0,0 +1,88 @@
+// ==========================================
+// SmartzProd Service Worker
+// ==========================================
+// APP_VERSION is the release shown to users. SHELL_HASH is a hash of every file in SHELL_FILES,
+// written by `node tools/stamp-sw-version.js` (`--check` fails when it is stale). Either changing
+// re-downloads the app shell into a fresh cache and the page offers the user a reload.
+const APP_VERSION = '1.0.0';
+const SHELL_HASH = '102d115e9b';
+const SHELL_CACHE = `smartzprod-shell-${APP_VERSION}-${SHELL_HASH}`;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'css/style.css',
+  'js/script.js',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'vendor/tailwind/tailwind.min.css',
+  'vendor/chart.js/chart.umd.min.js',
+  'vendor/exceljs/exceljs.min.js',
+  'vendor/jspdf/jspdf.umd.min.js',
+  'vendor/jspdf-autotable/jspdf.plugin.autotable.min.js',
+  'vendor/fontawesome/css/all.min.css',
+  'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+  'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+  'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache =>
+      // Bypass the HTTP cache so a new version never precaches stale files
+      cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          // Also drops the runtime cache older versions kept for the Tailwind CDN
+          .filter(key => key.startsWith('smartzprod-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (!event.data) return;
+
+  if (event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data.type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: `${APP_VERSION} (${SHELL_HASH})` });
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Offline navigation to an uncached URL still gets the app shell
+    if (request.mode === 'navigate') {
+      return caches.match('index.html');
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,15 @@
+// ==========================================
+// Tailwind build for vendor/tailwind/tailwind.min.css
+// ==========================================
+// The stylesheet is vendored so the app renders offline from the first launch. Rebuild it
+// after adding classes to index.html or js/script.js:
+//   npx tailwindcss@3.4.17 -c tailwind.config.js -o vendor/tailwind/tailwind.min.css --minify
+// then run `node tools/stamp-sw-version.js` so installed apps pick up the new file.
+module.exports = {
+  content: ['./index.html', './js/**/*.js'],
+  // Classes assembled from parts at runtime, which the content scan cannot see
+  safelist: [
+    { pattern: /^border-(blue|purple|green|orange|pink|teal)-200$/ },
+    { pattern: /^bg-(red|blue)-400$/ }
+  ]
+};
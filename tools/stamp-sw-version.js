@@ -0,0 +1,49 @@
+// ==========================================
+// Stamp the service worker with a hash of the app shell
+// ==========================================
+// sw.js serves the app shell cache-first, so browsers only pick up changed files when sw.js
+// itself changes. This writes a hash of every precached file into SHELL_HASH; any edit to the
+// shell therefore yields a new cache and the in-app update notice.
+//   node tools/stamp-sw-version.js          update SHELL_HASH in sw.js
+//   node tools/stamp-sw-version.js --check  exit 1 when SHELL_HASH is stale (for CI / pre-commit)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const swPath = path.join(root, 'sw.js');
+const HASH_PATTERN = /const SHELL_HASH = '([0-9a-f]*)';/;
+
+function getShellFiles(source) {
+  const list = source.match(/const SHELL_FILES = \[([\s\S]*?)\];/);
+  if (!list) throw new Error('SHELL_FILES not found in sw.js');
+  // './' is index.html again
+  return [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]).filter(file => file !== './');
+}
+
+function hashShell(source) {
+  const hash = crypto.createHash('sha256');
+  getShellFiles(source).forEach(file => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(root, file)));
+  });
+  return hash.digest('hex').slice(0, 10);
+}
+
+const source = fs.readFileSync(swPath, 'utf8');
+const current = source.match(HASH_PATTERN);
+if (!current) throw new Error('SHELL_HASH not found in sw.js');
+const expected = hashShell(source);
+
+if (process.argv.includes('--check')) {
+  if (current[1] !== expected) {
+    console.error(`sw.js SHELL_HASH is ${current[1] || '(empty)'}, app shell hashes to ${expected}. Run: node tools/stamp-sw-version.js`);
+    process.exit(1);
+  }
+  console.log(`sw.js SHELL_HASH ${expected} is up to date`);
+} else if (current[1] === expected) {
+  console.log(`sw.js SHELL_HASH ${expected} already up to date`);
+} else {
+  fs.writeFileSync(swPath, source.replace(HASH_PATTERN, `const SHELL_HASH = '${expected}';`));
+  console.log(`sw.js SHELL_HASH ${current[1] || '(empty)'} -> ${expected}`);
+}